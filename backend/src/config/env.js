@@ -41,7 +41,56 @@ export const config = {
       key: process.env.SUPABASE_ANON_KEY
     }
   },
+
+  // AI provider routing (see utils/aiProviders)
+  ai: {
+    // Default fallback order; providers without an API key are skipped
+    providers: process.env.AI_PROVIDERS ? process.env.AI_PROVIDERS.split(',').map(name => name.trim()) : ['openai', 'gemini', 'local'],
+    // Per-task overrides, e.g. "summarize=local;chapters=gemini,local"
+    taskRoutes: process.env.AI_TASK_ROUTES || '',
+    failureThreshold: parseInt(process.env.AI_FAILURE_THRESHOLD) || 3,
+    cooldownMs: parseInt(process.env.AI_COOLDOWN_MS) || 60 * 1000
+  },
+
+  // Transcription pipeline (services/whisper.js)
+  transcription: {
+    // 'provider' (AI provider layer, i.e. Whisper), 'local' (a command) or 'http'
+    backend: process.env.STT_BACKEND || 'provider',
+    localCommand: process.env.STT_LOCAL_COMMAND || '',
+    httpUrl: process.env.STT_HTTP_URL || '',
+    httpApiKey: process.env.STT_HTTP_API_KEY || '',
+    timeoutMs: parseInt(process.env.STT_TIMEOUT_MS) || 10 * 60 * 1000,
+    // Long audio is sent in chunks that overlap slightly so no word is cut in half
+    chunkSeconds: parseInt(process.env.STT_CHUNK_SECONDS) || 600,
+    chunkOverlapSeconds: Number(process.env.STT_CHUNK_OVERLAP_SECONDS ?? 2),
+    // A local directory for the transcript cache; unset, it lives in media storage
+    cacheDir: process.env.TRANSCRIPT_CACHE_DIR || ''
+  },
   
+  // HLS adaptive-bitrate transcoding of uploaded videos (services/transcodingService.js)
+  transcoding: {
+    enabled: process.env.HLS_TRANSCODING !== 'false',
+    // Renditions are encoded here, then moved into media storage
+    workPath: process.env.HLS_WORK_PATH || './temp/hls',
+    // Ladder heights to produce when the source is at least that tall, e.g. "1080,720,480,360"
+    ladder: process.env.HLS_LADDER || '1080,720,480,360,240',
+    segmentSeconds: parseInt(process.env.HLS_SEGMENT_SECONDS) || 6,
+    preset: process.env.HLS_PRESET || 'veryfast',
+    concurrency: parseInt(process.env.HLS_CONCURRENCY) || 1
+  },
+
+  // Seek-bar preview sprite sheets and their WebVTT index (services/previewService.js)
+  previews: {
+    enabled: process.env.PREVIEW_SPRITES !== 'false',
+    // One tile every `interval` seconds, `columns` x `rows` tiles per sheet
+    interval: Number(process.env.PREVIEW_INTERVAL_SECONDS) || 5,
+    columns: parseInt(process.env.PREVIEW_SPRITE_COLUMNS) || 10,
+    rows: parseInt(process.env.PREVIEW_SPRITE_ROWS) || 10,
+    tileWidth: parseInt(process.env.PREVIEW_TILE_WIDTH) || 160,
+    // Sheets are drawn here, then moved into media storage
+    workPath: process.env.PREVIEW_WORK_PATH || './temp/previews'
+  },
+
   // Security configuration
   bcrypt: {
     rounds: parseInt(process.env.BCRYPT_ROUNDS) || 12
@@ -54,10 +103,41 @@ export const config = {
     authMaxRequests: parseInt(process.env.AUTH_RATE_LIMIT_MAX) || 5
   },
   
+  // Where uploaded media, thumbnails and transcripts are kept (services/storageService.js)
+  storage: {
+    // 'local' (a directory) or 's3' (AWS S3, MinIO, R2 or another S3-compatible service)
+    driver: process.env.STORAGE_DRIVER || 'local',
+    localRoot: process.env.STORAGE_LOCAL_ROOT || './uploads',
+    // Local signed URLs point here and are checked with this secret
+    mediaBaseUrl: process.env.STORAGE_MEDIA_BASE_URL || '/api/media',
+    signingSecret: process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET,
+    signedUrlSeconds: parseInt(process.env.STORAGE_SIGNED_URL_SECONDS) || 60 * 60,
+    // ffmpeg reads bucket files through signed URLs that must outlive a transcode
+    processingUrlSeconds: parseInt(process.env.STORAGE_PROCESSING_URL_SECONDS) || 12 * 60 * 60,
+    s3: {
+      endpoint: process.env.S3_ENDPOINT || '',
+      region: process.env.S3_REGION || 'us-east-1',
+      bucket: process.env.S3_BUCKET || '',
+      accessKeyId: process.env.S3_ACCESS_KEY_ID || '',
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY || '',
+      // Path-style URLs (endpoint/bucket/key) work with MinIO and most stand-ins
+      forcePathStyle: process.env.S3_FORCE_PATH_STYLE !== 'false'
+    }
+  },
+
   // File upload configuration
   upload: {
     maxFileSize: parseInt(process.env.MAX_FILE_SIZE) || 100 * 1024 * 1024, // 100MB
-    allowedTypes: process.env.ALLOWED_FILE_TYPES ? process.env.ALLOWED_FILE_TYPES.split(',') : ['video/mp4', 'video/webm', 'video/ogg']
+    allowedTypes: process.env.ALLOWED_FILE_TYPES ? process.env.ALLOWED_FILE_TYPES.split(',') : ['video/mp4', 'video/webm', 'video/ogg'],
+    // Uploads made just for a room expire after this; cleanup keeps them while a live room still plays them
+    temporaryVideoHours: parseInt(process.env.TEMPORARY_VIDEO_HOURS) || 24,
+    // Resumable chunked uploads (services/uploadService.js)
+    resumable: {
+      tempPath: process.env.RESUMABLE_UPLOAD_PATH || './temp/uploads',
+      maxFileSize: parseInt(process.env.RESUMABLE_MAX_FILE_SIZE) || 10 * 1024 * 1024 * 1024, // 10GB
+      chunkSize: parseInt(process.env.RESUMABLE_CHUNK_SIZE) || 8 * 1024 * 1024, // 8MB
+      expiryHours: parseInt(process.env.RESUMABLE_UPLOAD_EXPIRY_HOURS) || 24
+    }
   }
 };
 
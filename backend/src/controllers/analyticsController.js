@@ -2,7 +2,17 @@ import { VideoAnalytics } from '../models/VideoAnalytics.js';
 import { ChatMessage } from '../models/ChatMessage.js';
 import { CollaborativeNote } from '../models/CollaborativeNote.js';
 import { BranchingPoint } from '../models/BranchingPoint.js';
+import Video from '../models/Video.js';
+import { SyncSession } from '../models/SyncSession.js';
+import analyticsService from '../services/analyticsService.js';
+import branchingService from '../services/branchingService.js';
 import logger from '../utils/logger.js';
+import {
+  NotFoundError,
+  AuthorizationError,
+  ValidationError,
+  createSuccessResponse
+} from '../middleware/errorHandler.js';
 
 /**
  * Track a user interaction event
@@ -174,9 +184,9 @@ export const getHeatmap = async (req, res) => {
 };
 
 /**
- * Get user-specific analytics
+ * Get user-specific analytics within a room
  */
-export const getUserAnalytics = async (req, res) => {
+export const getRoomUserAnalytics = async (req, res) => {
   try {
     const { roomCode, userId } = req.params;
     
@@ -475,3 +485,293 @@ async function calculateRealTimeMetrics(roomCode) {
     }
   };
 }
+
+// Platform analytics (mounted under /api/analytics). Unlike the room
+// analytics above, these throw AppErrors for the route wrappers to forward.
+
+const isAdmin = (user) => user.role === 'admin';
+
+const rangeFromQuery = (query) => analyticsService.resolveRange({
+  start: query.start,
+  end: query.end,
+  period: query.period || query.timeRange
+});
+
+/**
+ * Load a video whose analytics the requester may see (its uploader or an admin)
+ */
+const getOwnedVideo = async (videoId, user) => {
+  const video = await Video.findOne({ _id: videoId, isDeleted: false }).lean();
+  if (!video) {
+    throw new NotFoundError('Video');
+  }
+  if (video.uploadedBy !== user.id && !isAdmin(user)) {
+    throw new AuthorizationError('Only the video owner can view its analytics');
+  }
+  return video;
+};
+
+/**
+ * Headline figures for the requester's dashboard
+ */
+export const getDashboardData = async (req, res) => {
+  const dashboard = await analyticsService.getDashboard(req.user.id);
+  res.json(createSuccessResponse(dashboard));
+};
+
+/**
+ * The requester's own viewing history by day
+ */
+export const getViewHistory = async (req, res) => {
+  const history = await analyticsService.getViewHistory(req.user.id, rangeFromQuery(req.query));
+  res.json(createSuccessResponse(history));
+};
+
+/**
+ * Viewing, upload and participation figures for a user
+ */
+export const getUserAnalytics = async (req, res) => {
+  const { userId } = req.params;
+  if (userId !== req.user.id && !isAdmin(req.user)) {
+    throw new AuthorizationError('You can only view your own analytics');
+  }
+
+  const activity = await analyticsService.getUserActivity(userId, rangeFromQuery(req.query));
+  res.json(createSuccessResponse(activity));
+};
+
+/**
+ * Views, watch time and completion for a video
+ */
+export const getVideoAnalytics = async (req, res) => {
+  const video = await getOwnedVideo(req.params.videoId, req.user);
+  const analytics = await analyticsService.getVideoAnalytics(video, rangeFromQuery(req.query));
+  res.json(createSuccessResponse(analytics));
+};
+
+/**
+ * Retention curve and interactions for a video
+ */
+export const getEngagementAnalytics = async (req, res) => {
+  const video = await getOwnedVideo(req.params.videoId, req.user);
+  const engagement = await analyticsService.getEngagementAnalytics(video, rangeFromQuery(req.query));
+  res.json(createSuccessResponse(engagement));
+};
+
+/**
+ * Where viewers stay and drop off in a video
+ */
+export const getVideoHeatmap = async (req, res) => {
+  const video = await getOwnedVideo(req.params.videoId, req.user);
+  const retention = await analyticsService.getRetention(video, rangeFromQuery(req.query));
+  res.json(createSuccessResponse({ videoId: video._id, ...retention }));
+};
+
+/**
+ * File and delivery figures for a video
+ */
+export const getPerformanceAnalytics = async (req, res) => {
+  const video = await getOwnedVideo(req.params.videoId, req.user);
+  const performance = await analyticsService.getPerformanceAnalytics(video, rangeFromQuery(req.query));
+  res.json(createSuccessResponse(performance));
+};
+
+/**
+ * Most viewed videos; the requester's own unless they are an admin
+ */
+export const getPopularityAnalytics = async (req, res) => {
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+  const popularity = await analyticsService.getPopularity({
+    uploadedBy: isAdmin(req.user) ? null : req.user.id,
+    limit
+  });
+  res.json(createSuccessResponse(popularity));
+};
+
+/**
+ * Sync session figures: one session (its host or an admin), or an overview
+ */
+export const getSyncAnalytics = async (req, res) => {
+  const { sessionId } = req.params;
+
+  if (sessionId) {
+    const session = await SyncSession.findById(sessionId).lean();
+    if (!session) {
+      throw new NotFoundError('Sync session');
+    }
+    if (session.hostUserId !== req.user.id && !isAdmin(req.user)) {
+      throw new AuthorizationError('Only the session host can view its analytics');
+    }
+    return res.json(createSuccessResponse(await analyticsService.getSyncSessionAnalytics(session)));
+  }
+
+  const overview = await analyticsService.getSyncOverview({
+    hostUserId: isAdmin(req.user) ? null : req.user.id,
+    range: rangeFromQuery(req.query)
+  });
+  res.json(createSuccessResponse(overview));
+};
+
+/**
+ * Branching video figures: one video (its creator or an admin), or an overview
+ */
+export const getBranchingAnalytics = async (req, res) => {
+  const { branchingVideoId } = req.params;
+
+  if (branchingVideoId) {
+    const branchingId = isAdmin(req.user)
+      ? branchingVideoId
+      : (await branchingService.getOwnedBranching(branchingVideoId, req.user.id))._id;
+    return res.json(createSuccessResponse(await branchingService.getBranchingAnalytics(branchingId)));
+  }
+
+  const overview = await analyticsService.getBranchingOverview({
+    createdBy: isAdmin(req.user) ? null : req.user.id
+  });
+  res.json(createSuccessResponse(overview));
+};
+
+/**
+ * Transcripts, summaries and subtitles generated for the requester's videos
+ */
+export const getAIAnalytics = async (req, res) => {
+  const usage = await analyticsService.getAIUsage({
+    uploadedBy: isAdmin(req.user) ? null : req.user.id,
+    range: rangeFromQuery(req.query)
+  });
+  res.json(createSuccessResponse(usage));
+};
+
+/**
+ * Platform-wide totals (admin only)
+ */
+export const getSystemAnalytics = async (req, res) => {
+  const overview = await analyticsService.getSystemOverview();
+  res.json(createSuccessResponse(overview));
+};
+
+/**
+ * Daily views or watch time with growth against the previous window
+ */
+export const getTrends = async (req, res) => {
+  const trends = await analyticsService.getTrends({
+    uploadedBy: isAdmin(req.user) ? null : req.user.id,
+    range: rangeFromQuery(req.query),
+    metric: req.query.metric
+  });
+  res.json(createSuccessResponse(trends));
+};
+
+/**
+ * Side-by-side figures for up to ten of the requester's videos
+ */
+export const getComparisons = async (req, res) => {
+  const videoIds = (req.query.videoIds || '').split(',').map(id => id.trim()).filter(Boolean);
+  if (videoIds.length < 2 || videoIds.length > 10) {
+    throw new ValidationError('Between 2 and 10 video IDs are required for comparison');
+  }
+
+  const range = rangeFromQuery(req.query);
+  const videos = await Promise.all(videoIds.map(id => getOwnedVideo(id, req.user)));
+  const data = await Promise.all(videos.map(video => analyticsService.getVideoAnalytics(video, range)));
+
+  const leader = (field) => data.reduce((best, entry) => (entry[field] > best[field] ? entry : best)).videoId;
+  res.json(createSuccessResponse({
+    period: range,
+    videos: data,
+    summary: {
+      mostViewed: leader('views'),
+      longestWatched: leader('averageWatchTime'),
+      bestCompletion: leader('completionRate')
+    }
+  }));
+};
+
+/**
+ * Current viewers and live sync sessions
+ */
+export const getRealtimeAnalytics = async (req, res) => {
+  const realtime = await analyticsService.getRealtimeOverview({
+    uploadedBy: isAdmin(req.user) ? null : req.user.id
+  });
+  res.json(createSuccessResponse(realtime));
+};
+
+/**
+ * Generate a report; non-admins only get reports on their own data
+ */
+export const generateReport = async (req, res) => {
+  const options = { ...req.body };
+  if (!isAdmin(req.user) && options.scope !== 'user') {
+    options.scope = 'user';
+    options.filters = {};
+  }
+
+  const report = await analyticsService.createReport(req.user.id, options);
+
+  if (report.format === 'csv') {
+    res.set('Content-Type', 'text/csv');
+    res.attachment(`report_${report.id}.csv`);
+    return res.status(201).send(analyticsService.reportToCsv(report));
+  }
+  res.status(201).json(createSuccessResponse(report, 'Report generated'));
+};
+
+/**
+ * Reports generated for the requester, newest first
+ */
+export const getReports = async (req, res) => {
+  const reports = analyticsService.getReports(req.user.id).map(({ data, ...summary }) => summary);
+  res.json(createSuccessResponse(reports));
+};
+
+/**
+ * Schedule a recurring report for the requester
+ */
+export const scheduleReport = async (req, res) => {
+  const { reportConfig } = req.body;
+  if (!isAdmin(req.user)) {
+    reportConfig.scope = 'user';
+  }
+
+  const schedule = analyticsService.scheduleReport(req.user.id, req.body);
+  res.status(201).json(createSuccessResponse(schedule, 'Report scheduled'));
+};
+
+/**
+ * Export selected metrics for the requester's content
+ */
+export const exportPlatformAnalytics = async (req, res) => {
+  const { format, dateRange, metrics } = req.body;
+  const range = analyticsService.resolveRange(dateRange);
+  const uploadedBy = isAdmin(req.user) ? null : req.user.id;
+
+  const data = {};
+  if (metrics.includes('views') || metrics.includes('duration')) {
+    data.trends = await analyticsService.getTrends({
+      uploadedBy,
+      range,
+      metric: metrics.includes('views') ? 'views' : 'watchTime'
+    });
+  }
+  if (metrics.includes('engagement')) {
+    data.popularity = await analyticsService.getPopularity({ uploadedBy });
+  }
+  if (metrics.includes('sync')) {
+    data.sync = await analyticsService.getSyncOverview({ hostUserId: uploadedBy, range });
+  }
+  if (metrics.includes('branching')) {
+    data.branching = await analyticsService.getBranchingOverview({ createdBy: uploadedBy });
+  }
+  if (metrics.includes('ai')) {
+    data.ai = await analyticsService.getAIUsage({ uploadedBy, range });
+  }
+
+  const exported = { exportedAt: new Date().toISOString(), period: range, metrics, data };
+  if (format === 'csv') {
+    res.set('Content-Type', 'text/csv');
+    res.attachment('analytics_export.csv');
+    return res.send(analyticsService.reportToCsv(exported));
+  }
+  res.json(createSuccessResponse(exported));
+};
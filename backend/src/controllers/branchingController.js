@@ -1,207 +1,227 @@
 import branchingService from '../services/branchingService.js';
 import logger from '../utils/logger.js';
+import {
+  NotFoundError,
+  AuthorizationError,
+  ValidationError,
+  createSuccessResponse,
+  createPaginatedResponse
+} from '../middleware/errorHandler.js';
 
 /**
- * Create a new branching video
+ * Create a new branching video on top of a parent video
  */
 export const createBranchingVideo = async (req, res) => {
-  try {
-    const { title, parentVideoId, branchStructure, createdBy } = req.body;
-    
-    if (!title || !branchStructure) {
-      return res.status(400).json({ error: 'Title and branch structure are required' });
-    }
-    
-    const branchingVideo = await branchingService.createBranchingVideo({
-      title,
-      parentVideoId,
-      branchStructure,
-      createdBy
-    });
-    
-    logger.info(`Branching video created: ${branchingVideo.id}`);
-    res.status(201).json(branchingVideo);
-  } catch (error) {
-    logger.error('Error creating branching video:', error);
-    res.status(500).json({ error: 'Failed to create branching video' });
-  }
+  const { parentVideoId, branchStructure, ...options } = req.body;
+
+  const branchingVideo = await branchingService.createBranching(
+    parentVideoId,
+    branchStructure,
+    req.user.id,
+    options
+  );
+
+  logger.info(`Branching video created: ${branchingVideo._id}`);
+  res.status(201).json(createSuccessResponse(branchingVideo, 'Branching video created'));
 };
 
 /**
- * Get branching video by ID
+ * Get branching video by its ID or its parent video's ID
  */
 export const getBranchingVideo = async (req, res) => {
-  try {
-    const { branchingVideoId } = req.params;
-    
-    const branchingVideo = await branchingService.getBranchingVideo(branchingVideoId);
-    
-    if (!branchingVideo) {
-      return res.status(404).json({ error: 'Branching video not found' });
-    }
-    
-    res.json(branchingVideo);
-  } catch (error) {
-    logger.error('Error fetching branching video:', error);
-    res.status(500).json({ error: 'Failed to fetch branching video' });
-  }
+  const branchingVideo = await branchingService.findBranching(
+    req.params.branchingVideoId,
+    req.user?.id || null
+  );
+
+  res.json(createSuccessResponse(branchingVideo));
 };
 
 /**
- * Update branching video structure
+ * Update branching video structure, metadata or publish state
  */
 export const updateBranchingVideo = async (req, res) => {
-  try {
-    const { branchingVideoId } = req.params;
-    const updates = req.body;
-    
-    const branchingVideo = await branchingService.updateBranchingVideo(branchingVideoId, updates);
-    
-    if (!branchingVideo) {
-      return res.status(404).json({ error: 'Branching video not found' });
-    }
-    
-    res.json(branchingVideo);
-  } catch (error) {
-    logger.error('Error updating branching video:', error);
-    res.status(500).json({ error: 'Failed to update branching video' });
-  }
+  const branchingVideo = await branchingService.updateBranching(
+    req.params.branchingVideoId,
+    req.body,
+    req.user.id
+  );
+
+  res.json(createSuccessResponse(branchingVideo, 'Branching video updated'));
 };
 
 /**
  * Add decision point to branching video
  */
 export const addDecisionPoint = async (req, res) => {
-  try {
-    const { branchingVideoId } = req.params;
-    const { timestamp, questionText, choices, timeLimit } = req.body;
-    
-    if (!timestamp || !questionText || !choices) {
-      return res.status(400).json({ error: 'Timestamp, question text, and choices are required' });
-    }
-    
-    const decisionPoint = await branchingService.addDecisionPoint(branchingVideoId, {
-      timestamp,
-      questionText,
-      choices,
-      timeLimit
-    });
-    
-    res.status(201).json(decisionPoint);
-  } catch (error) {
-    logger.error('Error adding decision point:', error);
-    res.status(500).json({ error: 'Failed to add decision point' });
-  }
+  const { timestamp, question, choices, type, layout, timeLimit } = req.body;
+
+  const decisionPoint = await branchingService.addDecisionPoint(req.params.branchingVideoId, {
+    title: question,
+    timestamp,
+    timeLimit,
+    type,
+    layout,
+    choices: choices.map((choice, index) => ({
+      id: `choice-${index + 1}`,
+      label: choice.text,
+      nextTimestamp: choice.targetTimestamp,
+      effects: { action: choice.action, videoId: choice.videoId || null }
+    }))
+  }, req.user.id);
+
+  res.status(201).json(createSuccessResponse(decisionPoint, 'Decision point added'));
 };
 
 /**
- * Get decision points for branching video
+ * Get decision points for branching video, in playback order
  */
 export const getDecisionPoints = async (req, res) => {
-  try {
-    const { branchingVideoId } = req.params;
-    
-    const decisionPoints = await branchingService.getDecisionPoints(branchingVideoId);
-    
-    res.json(decisionPoints);
-  } catch (error) {
-    logger.error('Error fetching decision points:', error);
-    res.status(500).json({ error: 'Failed to fetch decision points' });
-  }
+  const branchingVideo = await branchingService.findBranching(
+    req.params.branchingVideoId,
+    req.user?.id || null
+  );
+
+  const decisionPoints = [...branchingVideo.branchStructure.decisionPoints]
+    .sort((a, b) => a.timestamp - b.timestamp);
+  res.json(createSuccessResponse(decisionPoints));
 };
 
 /**
- * Record user choice at decision point
+ * Record user choice at decision point; starts a viewing session when the
+ * client does not have one yet
  */
 export const recordChoice = async (req, res) => {
-  try {
-    const { branchingVideoId, decisionPointId } = req.params;
-    const { userId, choice, timestamp } = req.body;
-    
-    if (!choice) {
-      return res.status(400).json({ error: 'Choice is required' });
-    }
-    
-    const userChoice = await branchingService.recordUserChoice({
-      branchingVideoId,
-      decisionPointId,
-      userId,
-      choice,
-      timestamp
+  const { decisionPointId, choiceIndex, userSessionId, videoTime, decisionTime, deviceId } = req.body;
+  const userId = req.user?.id || null;
+
+  const branchingVideo = await branchingService.findBranching(req.params.branchingVideoId, userId);
+
+  let session = userSessionId ? branchingService.getUserSession(userSessionId) : null;
+  if (session && (session.branchingId !== branchingVideo._id || session.userId !== userId)) {
+    throw new AuthorizationError('Viewing session belongs to another viewer');
+  }
+  if (!session) {
+    const started = await branchingService.startBranchingSession(branchingVideo._id, userId, null, {
+      deviceInfo: { deviceId }
     });
-    
-    res.status(201).json(userChoice);
-  } catch (error) {
-    logger.error('Error recording user choice:', error);
-    res.status(500).json({ error: 'Failed to record choice' });
+    session = started.sessionData;
   }
+
+  const decisionPoint = branchingService.findDecisionPoint(branchingVideo.branchStructure, decisionPointId);
+  if (!decisionPoint) {
+    throw new NotFoundError('Decision point');
+  }
+  const choice = decisionPoint.choices[choiceIndex];
+  if (!choice) {
+    throw new ValidationError('Invalid choice for decision point');
+  }
+
+  const result = await branchingService.recordUserChoice(session.sessionId, decisionPointId, choice.id, {
+    timestamp: videoTime,
+    timeSpentDeciding: decisionTime,
+    deviceId,
+    userAgent: req.get('User-Agent') || null,
+    ipAddress: req.ip
+  });
+
+  res.status(201).json(createSuccessResponse({
+    userSessionId: session.sessionId,
+    choice: result.choice,
+    nextState: result.nextState,
+    completionPercentage: result.sessionData.completionPercentage
+  }, 'Choice recorded'));
 };
 
 /**
- * Get user's viewing path through branching video
+ * Get a viewer's path through a branching video; guests identify their
+ * viewing session with ?userSessionId=
  */
 export const getViewingPath = async (req, res) => {
-  try {
-    const { branchingVideoId } = req.params;
-    const { userId } = req.query;
-    
-    if (!userId) {
-      return res.status(400).json({ error: 'User ID is required' });
-    }
-    
-    const path = await branchingService.getViewingPath(branchingVideoId, userId);
-    
-    res.json(path);
-  } catch (error) {
-    logger.error('Error fetching viewing path:', error);
-    res.status(500).json({ error: 'Failed to fetch viewing path' });
+  const userId = req.user?.id || null;
+  const { userSessionId } = req.query;
+
+  if (!userId && !userSessionId) {
+    throw new ValidationError('userSessionId is required for guests');
   }
+
+  const path = await branchingService.getViewingPath(req.params.branchingVideoId, { userId, userSessionId });
+  res.json(createSuccessResponse(path));
 };
 
 /**
- * Get analytics for branching video
+ * Get analytics for branching video (creator only)
  */
 export const getBranchingAnalytics = async (req, res) => {
-  try {
-    const { branchingVideoId } = req.params;
-    
-    const analytics = await branchingService.getAnalytics(branchingVideoId);
-    
-    res.json(analytics);
-  } catch (error) {
-    logger.error('Error fetching branching analytics:', error);
-    res.status(500).json({ error: 'Failed to fetch analytics' });
-  }
+  const branchingVideo = await branchingService.getOwnedBranching(req.params.branchingVideoId, req.user.id);
+  const analytics = await branchingService.getBranchingAnalytics(branchingVideo._id);
+
+  res.json(createSuccessResponse(analytics));
 };
 
 /**
  * Delete decision point
  */
 export const deleteDecisionPoint = async (req, res) => {
-  try {
-    const { decisionPointId } = req.params;
-    
-    await branchingService.deleteDecisionPoint(decisionPointId);
-    
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('Error deleting decision point:', error);
-    res.status(500).json({ error: 'Failed to delete decision point' });
-  }
+  await branchingService.removeDecisionPoint(req.params.decisionPointId, req.user.id);
+  res.json(createSuccessResponse(null, 'Decision point deleted'));
 };
 
 /**
- * Validate branching video structure
+ * Validate branching video structure without saving it
  */
 export const validateStructure = async (req, res) => {
+  const { branchStructure } = req.body;
+
   try {
-    const { branchStructure } = req.body;
-    
-    const validation = await branchingService.validateBranchStructure(branchStructure);
-    
-    res.json(validation);
+    branchingService.validateBranchStructure(branchStructure);
   } catch (error) {
-    logger.error('Error validating branch structure:', error);
-    res.status(500).json({ error: 'Failed to validate structure' });
+    if (error instanceof ValidationError) {
+      return res.json(createSuccessResponse({ valid: false, error: error.message }));
+    }
+    throw error;
   }
+
+  const normalized = branchingService.normalizeBranchStructure(branchStructure);
+  res.json(createSuccessResponse({
+    valid: true,
+    totalDecisionPoints: normalized.decisionPoints.length,
+    totalPaths: branchingService.calculateTotalPaths(normalized),
+    estimatedDuration: branchingService.calculateEstimatedDuration(normalized)
+  }));
+};
+
+/**
+ * Browse published branching videos
+ */
+export const discoverBranchingVideos = async (req, res) => {
+  const { category, difficulty, tags } = req.query;
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+
+  const { videos, pagination } = await branchingService.discoverBranching({
+    category,
+    difficulty,
+    tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined
+  }, { page, limit });
+
+  res.json(createPaginatedResponse(videos, pagination));
+};
+
+/**
+ * Most viewed published branching videos
+ */
+export const getTrendingBranchingVideos = async (req, res) => {
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+  const trending = await branchingService.getTrendingBranching(limit);
+
+  res.json(createSuccessResponse(trending));
+};
+
+/**
+ * Branching videos the user created or played
+ */
+export const getUserBranchingVideos = async (req, res) => {
+  const videos = await branchingService.getUserBranching(req.user.id);
+  res.json(createSuccessResponse(videos));
 };
@@ -1,5 +1,6 @@
 import { ChatMessage } from '../models/ChatMessage.js';
 import logger from '../utils/logger.js';
+import { emitRoomEvent } from '../sockets/roomSocket.js';
 
 // Get io instance from app
 let io;
@@ -47,7 +48,7 @@ export const sendMessage = async (req, res) => {
     
     // Broadcast to all room participants via Socket.IO
     if (io) {
-      io.to(roomCode).emit('chat:message', {
+      await emitRoomEvent(io, roomCode, 'chat:message', {
         _id: chatMessage._id,
         roomCode: chatMessage.roomCode,
         userId: chatMessage.userId,
@@ -1,185 +1,205 @@
+import fs from 'fs';
+import path from 'path';
 import editorService from '../services/editorService.js';
+import videoService from '../services/videoService.js';
+import generalUtils from '../utils/generalUtils.js';
 import logger from '../utils/logger.js';
+import {
+  ValidationError,
+  FileUploadError,
+  createSuccessResponse,
+  createPaginatedResponse
+} from '../middleware/errorHandler.js';
+
+const EXPORT_CONTENT_TYPES = {
+  json: 'application/json',
+  edl: 'text/plain',
+  srt: 'application/x-subrip',
+  csv: 'text/csv',
+  xml: 'application/xml',
+  fcpxml: 'application/xml'
+};
+
+const IMPORT_FORMATS = {
+  '.json': 'JSON',
+  '.edl': 'EDL',
+  '.srt': 'SRT',
+  '.csv': 'CSV'
+};
+
+/**
+ * Resolve the video a marker request targets: a project's video, or a video
+ * the user can see
+ */
+const resolveVideoId = async (req, { requireEdit = false } = {}) => {
+  const projectId = req.params.projectId || req.body.projectId;
+
+  if (projectId) {
+    const project = await editorService.getEditSession(projectId, req.user.id, { requireEdit });
+    return project.videoId;
+  }
+
+  if (!req.body.videoId) {
+    throw new ValidationError('Either projectId or videoId is required');
+  }
+
+  await videoService.getVideo(req.body.videoId, req.user.id);
+  return req.body.videoId;
+};
 
 /**
  * Create a new editor project
  */
 export const createProject = async (req, res) => {
-  try {
-    const { name, videoId, userId } = req.body;
-    
-    if (!name || !videoId) {
-      return res.status(400).json({ error: 'Project name and video ID are required' });
-    }
-    
-    const project = await editorService.createProject({ name, videoId, userId });
-    
-    logger.info(`Editor project created: ${project.id} for video ${videoId}`);
-    res.status(201).json(project);
-  } catch (error) {
-    logger.error('Error creating editor project:', error);
-    res.status(500).json({ error: 'Failed to create project' });
+  const { name, description, videoId, settings } = req.body;
+
+  if (!videoId) {
+    throw new ValidationError('Video ID is required');
   }
+  await videoService.getVideo(videoId, req.user.id);
+
+  const project = await editorService.createEditSession(videoId, req.user.id, {
+    name,
+    description,
+    exportSettings: settings
+  });
+
+  logger.info(`Editor project created: ${project.id} for video ${videoId}`);
+  res.status(201).json(createSuccessResponse(project, 'Project created'));
 };
 
 /**
  * Get editor project by ID
  */
 export const getProject = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    
-    const project = await editorService.getProject(projectId);
-    
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-    
-    res.json(project);
-  } catch (error) {
-    logger.error('Error fetching editor project:', error);
-    res.status(500).json({ error: 'Failed to fetch project' });
-  }
+  const project = await editorService.getEditSession(req.params.projectId, req.user.id);
+  res.json(createSuccessResponse(project));
 };
 
 /**
- * Add scene marker to project
+ * Add scene marker to a project's video, or directly to a video
  */
 export const addSceneMarker = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { timestamp, label, type, metadata } = req.body;
-    
-    if (timestamp === undefined || !label) {
-      return res.status(400).json({ error: 'Timestamp and label are required' });
+  const { timestamp, type, title, description, duration, properties = {} } = req.body;
+  const videoId = await resolveVideoId(req, { requireEdit: true });
+
+  const marker = await editorService.addMarker(
+    videoId,
+    timestamp,
+    title || `${type} at ${generalUtils.formatDuration(timestamp)}`,
+    type,
+    req.user.id,
+    {
+      description,
+      duration,
+      color: properties.color
     }
-    
-    const marker = await editorService.addSceneMarker(projectId, {
-      timestamp,
-      label,
-      type: type || 'scene',
-      metadata
-    });
-    
-    res.status(201).json(marker);
-  } catch (error) {
-    logger.error('Error adding scene marker:', error);
-    res.status(500).json({ error: 'Failed to add scene marker' });
-  }
+  );
+
+  res.status(201).json(createSuccessResponse(marker, 'Marker added'));
 };
 
 /**
- * Get scene markers for project
+ * Get scene markers for a project or a video
  */
 export const getSceneMarkers = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    
-    const markers = await editorService.getSceneMarkers(projectId);
-    
-    res.json(markers);
-  } catch (error) {
-    logger.error('Error fetching scene markers:', error);
-    res.status(500).json({ error: 'Failed to fetch scene markers' });
+  const { type, start, end } = req.query;
+  let videoId = req.params.videoId;
+
+  if (req.params.projectId) {
+    const project = await editorService.getEditSession(req.params.projectId, req.user.id);
+    videoId = project.videoId;
+  } else {
+    await videoService.getVideo(videoId, req.user?.id || null);
   }
+
+  const markers = await editorService.listMarkers(videoId, {
+    markerType: type ? type.split(',') : undefined,
+    startTime: start !== undefined ? Number(start) : undefined,
+    endTime: end !== undefined ? Number(end) : undefined,
+    viewerId: req.user?.id || null
+  });
+
+  res.json(createSuccessResponse(markers));
 };
 
 /**
  * Update scene marker
  */
 export const updateSceneMarker = async (req, res) => {
-  try {
-    const { markerId } = req.params;
-    const updates = req.body;
-    
-    const marker = await editorService.updateSceneMarker(markerId, updates);
-    
-    if (!marker) {
-      return res.status(404).json({ error: 'Scene marker not found' });
-    }
-    
-    res.json(marker);
-  } catch (error) {
-    logger.error('Error updating scene marker:', error);
-    res.status(500).json({ error: 'Failed to update scene marker' });
-  }
+  const { type, title, properties, ...updates } = req.body;
+  if (type !== undefined) updates.markerType = type;
+  if (title !== undefined) updates.label = title;
+  if (properties?.color !== undefined) updates.color = properties.color;
+
+  const marker = await editorService.updateMarker(req.params.markerId, updates, req.user.id);
+  res.json(createSuccessResponse(marker, 'Marker updated'));
 };
 
 /**
  * Delete scene marker
  */
 export const deleteSceneMarker = async (req, res) => {
-  try {
-    const { markerId } = req.params;
-    
-    await editorService.deleteSceneMarker(markerId);
-    
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('Error deleting scene marker:', error);
-    res.status(500).json({ error: 'Failed to delete scene marker' });
-  }
+  await editorService.deleteMarker(req.params.markerId, req.user.id);
+  res.json(createSuccessResponse(null, 'Marker deleted'));
 };
 
 /**
- * Generate AI-suggested cut points
+ * Generate suggested cut points for a project's video
  */
 export const generateCutSuggestions = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { targetDuration, style } = req.body;
-    
-    const suggestions = await editorService.generateCutSuggestions(projectId, {
-      targetDuration,
-      style
-    });
-    
-    res.json(suggestions);
-  } catch (error) {
-    logger.error('Error generating cut suggestions:', error);
-    res.status(500).json({ error: 'Failed to generate cut suggestions' });
-  }
+  const { analysisType, sensitivity, maxSuggestions } = req.body;
+  const project = await editorService.getEditSession(req.params.projectId, req.user.id);
+  const comprehensive = analysisType === 'comprehensive';
+
+  const suggestions = await editorService.generateEditSuggestions(project.videoId, {
+    detectScenes: comprehensive || analysisType === 'scene',
+    analyzeAudio: comprehensive || analysisType === 'audio',
+    detectMotion: comprehensive || analysisType === 'motion',
+    sensitivity
+  });
+
+  res.json(createSuccessResponse(suggestions.slice(0, maxSuggestions)));
 };
 
 /**
- * Export project in specified format
+ * Export a project's (or video's) marker timeline as a downloadable file
  */
 export const exportProject = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { format = 'json', includeVideo = false } = req.body;
-    
-    const exportResult = await editorService.exportProject(projectId, format, includeVideo);
-    
-    if (format === 'download' && exportResult.downloadUrl) {
-      res.redirect(exportResult.downloadUrl);
-    } else {
-      res.json(exportResult);
-    }
-  } catch (error) {
-    logger.error('Error exporting project:', error);
-    res.status(500).json({ error: 'Failed to export project' });
-  }
+  const { format, markerTypes } = req.body;
+  const videoId = await resolveVideoId(req);
+
+  const data = await editorService.exportMarkers(videoId, format, { markerTypes });
+
+  res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+  res.attachment(`markers_${videoId}.${format}`);
+  res.send(data);
 };
 
 /**
- * Import project from file
+ * Import markers from an uploaded JSON, EDL, SRT or CSV file
  */
 export const importProject = async (req, res) => {
+  const file = req.file;
+  if (!file) {
+    throw new FileUploadError('Project file is required');
+  }
+
   try {
-    const file = req.file;
-    const { userId } = req.body;
-    
-    if (!file) {
-      return res.status(400).json({ error: 'Project file is required' });
+    const format = IMPORT_FORMATS[path.extname(file.originalname).toLowerCase()];
+    if (!format) {
+      throw new FileUploadError('Unsupported project file; use .json, .edl, .srt or .csv');
     }
-    
-    const project = await editorService.importProject(file, userId);
-    
-    res.status(201).json(project);
-  } catch (error) {
-    logger.error('Error importing project:', error);
-    res.status(500).json({ error: 'Failed to import project' });
+
+    const videoId = await resolveVideoId(req, { requireEdit: true });
+    const data = await fs.promises.readFile(file.path, 'utf8');
+    const markers = await editorService.importMarkers(videoId, data, format, req.user.id, {
+      continueOnError: true
+    });
+
+    res.status(201).json(createSuccessResponse({ videoId, imported: markers.length, markers }, 'Markers imported'));
+  } finally {
+    fs.promises.unlink(file.path).catch(() => {});
   }
 };
 
@@ -187,70 +207,62 @@ export const importProject = async (req, res) => {
  * Get user's editor projects
  */
 export const getUserProjects = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { page = 1, limit = 10 } = req.query;
-    
-    const projects = await editorService.getUserProjects(userId, page, limit);
-    
-    res.json(projects);
-  } catch (error) {
-    logger.error('Error fetching user projects:', error);
-    res.status(500).json({ error: 'Failed to fetch projects' });
-  }
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(50, Math.max(1, parseInt(req.query.limit, 10) || 10));
+
+  const { sessions, pagination } = await editorService.listEditSessions(req.params.userId, { page, limit });
+  res.json(createPaginatedResponse(sessions, pagination));
 };
 
 /**
  * Update project metadata
  */
 export const updateProject = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const updates = req.body;
-    
-    const project = await editorService.updateProject(projectId, updates);
-    
-    if (!project) {
-      return res.status(404).json({ error: 'Project not found' });
-    }
-    
-    res.json(project);
-  } catch (error) {
-    logger.error('Error updating project:', error);
-    res.status(500).json({ error: 'Failed to update project' });
-  }
+  const { settings, ...updates } = req.body;
+
+  const project = await editorService.updateEditSession(req.params.projectId, {
+    ...updates,
+    exportSettings: settings
+  }, req.user.id);
+
+  res.json(createSuccessResponse(project, 'Project updated'));
 };
 
 /**
  * Delete project
  */
 export const deleteProject = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { userId } = req.body;
-    
-    await editorService.deleteProject(projectId, userId);
-    
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('Error deleting project:', error);
-    res.status(500).json({ error: 'Failed to delete project' });
-  }
+  await editorService.deleteEditSession(req.params.projectId, req.user.id);
+  res.json(createSuccessResponse(null, 'Project deleted'));
+};
+
+/**
+ * Share a project with other users
+ */
+export const shareProject = async (req, res) => {
+  const { userIds, permissions } = req.body;
+
+  const project = await editorService.shareEditSession(req.params.projectId, req.user.id, userIds, permissions);
+  res.json(createSuccessResponse({
+    sharedWith: userIds,
+    participants: project.getActiveParticipants()
+  }, 'Project shared'));
+};
+
+/**
+ * Marker and collaboration statistics for a project
+ */
+export const getProjectAnalytics = async (req, res) => {
+  const stats = await editorService.getEditSessionStats(req.params.projectId, req.user.id);
+  res.json(createSuccessResponse(stats));
 };
 
 /**
  * Generate timeline thumbnail preview
  */
 export const generateTimelineThumbnails = async (req, res) => {
-  try {
-    const { projectId } = req.params;
-    const { interval = 10 } = req.query; // seconds
-    
-    const jobId = await editorService.generateTimelineThumbnails(projectId, parseInt(interval));
-    
-    res.status(202).json({ jobId, status: 'generating' });
-  } catch (error) {
-    logger.error('Error generating timeline thumbnails:', error);
-    res.status(500).json({ error: 'Failed to generate thumbnails' });
-  }
+  const interval = Math.min(300, Math.max(1, parseInt(req.query.interval, 10) || 10)); // seconds
+
+  const jobId = await editorService.generateTimelineThumbnails(req.params.projectId, req.user.id, interval);
+  res.status(202).json(createSuccessResponse({ jobId, status: 'generating' }, 'Thumbnail generation started'));
 };
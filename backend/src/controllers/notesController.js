@@ -1,5 +1,12 @@
 import { CollaborativeNote } from '../models/CollaborativeNote.js';
 import logger from '../utils/logger.js';
+import { emitRoomEvent } from '../sockets/roomSocket.js';
+
+// Get io instance from app
+let io;
+export const setSocketIO = (ioInstance) => {
+  io = ioInstance;
+};
 
 /**
  * Create a new collaborative note
@@ -24,6 +31,9 @@ export const createNote = async (req, res) => {
     });
     
     await note.save();
+
+    // Broadcast to all room participants via Socket.IO
+    if (io) await emitRoomEvent(io, roomCode, 'notes:new', note.toObject());
     
     logger.info(`📝 Note created in room ${roomCode} at ${timestamp}s by ${username}`);
     
@@ -92,6 +102,8 @@ export const updateNote = async (req, res) => {
     note.updatedAt = new Date();
     
     await note.save();
+
+    if (io) await emitRoomEvent(io, note.roomCode, 'notes:update', note.toObject());
     
     logger.info(`📝 Note updated: ${noteId}`);
     
@@ -125,6 +137,8 @@ export const deleteNote = async (req, res) => {
     }
     
     await CollaborativeNote.findByIdAndDelete(noteId);
+
+    if (io) await emitRoomEvent(io, note.roomCode, 'notes:delete', { _id: note._id, roomCode: note.roomCode });
     
     logger.info(`🗑️ Note deleted: ${noteId}`);
     
@@ -167,6 +181,8 @@ export const addComment = async (req, res) => {
     
     note.comments.push(comment);
     await note.save();
+
+    if (io) await emitRoomEvent(io, note.roomCode, 'notes:update', note.toObject());
     
     logger.info(`💬 Comment added to note ${noteId} by ${username}`);
     
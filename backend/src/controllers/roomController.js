@@ -1,21 +1,65 @@
 import { SyncRoom } from '../models/SyncRoom.js';
 import { nanoid } from 'nanoid';
 import logger from '../utils/logger.js';
+import syncUtils from '../utils/syncUtils.js';
+import roomPermissions from '../utils/roomPermissions.js';
+import roomQueue from '../utils/roomQueue.js';
+import roomRetention from '../utils/roomRetention.js';
+import roomVideoSource from '../utils/roomVideoSource.js';
+import { ROOM_ACTIONS } from '../utils/constants.js';
+import { broadcastQueue, emitRoomEvent } from '../sockets/roomSocket.js';
+import { SERVER_EVENTS } from '../sockets/protocol.js';
+import catchUpService from '../services/catchUpService.js';
+import searchService from '../services/searchService.js';
+import videoQAService from '../services/videoQAService.js';
+import roomService from '../services/roomService.js';
+import videoService from '../services/videoService.js';
+
+// Socket.IO instance so REST queue changes reach connected clients
+let io;
+export const setSocketIO = (ioInstance) => {
+  io = ioInstance;
+};
 
 export const createRoom = async (req, res) => {
   try {
-    const code = nanoid(6).toUpperCase();
     const hostId = req.body?.userId || `host_${Date.now()}`;
-    const room = await SyncRoom.create({ 
+    const { persistent, retention, videoId, maxParticipants } = req.body || {};
+    if (videoId) {
+      // A video already in the library, e.g. one that arrived through a resumable upload
+      const video = await videoService.getVideo(videoId, hostId);
+      const room = await roomService.createVideoRoom(hostId, video, {
+        maxParticipants: maxParticipants || undefined,
+        persistent: Boolean(persistent),
+        retention
+      });
+      return res.json({
+        code: room.code,
+        roomId: room._id,
+        hostId,
+        videoId: video._id,
+        video: room.video,
+        currentState: room.currentState,
+        expiresAt: room.expiresAt,
+        ...roomRetention.describe(room)
+      });
+    }
+
+    const code = nanoid(6).toUpperCase();
+    const room = new SyncRoom({ 
       code, 
       hostId, 
       controllers: [hostId] // Host is always a controller
     });
+    if (persistent || retention) {
+      roomRetention.configure(room, hostId, { persistent: Boolean(persistent), retention });
+    }
+    await room.save();
     logger.info(`📱 New room created: ${code} (ID: ${room._id}) by host: ${hostId}`);
-    res.json({ code, roomId: room._id, hostId });
+    res.json({ code, roomId: room._id, hostId, ...roomRetention.describe(room) });
   } catch (e) {
     logger.error(`❌ Failed to create room: ${e.message}`);
-    res.status(500).json({ error: e.message });
+    res.status(e.statusCode || 500).json({ error: e.message });
   }
 };export const joinRoom = async (req, res) => {
   const { code } = req.params;
@@ -30,6 +74,9 @@ export const createRoom = async (req, res) => {
     }
     
     const now = new Date();
+    if (roomRetention.wake(room, now.getTime())) {
+      logger.info(`☀️ Dormant room ${room.code} woken by ${userId}`);
+    }
     room.participants = room.participants.filter(p => (now - p.lastSeen) < 1000 * 60 * 60);
     
     if (userId && !room.participants.find(p => p.userId === userId)) {
@@ -39,7 +86,13 @@ export const createRoom = async (req, res) => {
     
     await room.save();
     logger.info(`✅ Room ${room.code} joined successfully. Participants: ${room.participants.length}`);
-  res.json({ code: room.code, state: room.currentState, participants: room.participants, hostId: room.hostId, controllers: room.controllers || [] });
+  res.json({
+      code: room.code,
+      state: { ...room.toObject().currentState, ...syncUtils.snapshotClock(room.currentState) },
+      participants: room.participants,
+      ...roomPermissions.describe(room),
+      ...roomRetention.describe(room)
+    });
   } catch (e) {
     logger.error(`❌ Failed to join room ${code}: ${e.message}`);
     res.status(500).json({ error: e.message });
@@ -52,32 +105,71 @@ export const getState = async (req, res) => {
     const upperCode = code.toUpperCase();
     const room = await SyncRoom.findOne({ code: upperCode });
     if (!room) return res.status(404).json({ error: 'Room not found' });
-    res.json(room.currentState);
+    res.json({ ...room.toObject().currentState, ...syncUtils.snapshotClock(room.currentState) });
   } catch (e) {
     res.status(500).json({ error: e.message });
   }
 };
 
+// Move the room clock over REST; applied and broadcast like the socket playback controls
 export const updateState = async (req, res) => {
   const { code } = req.params;
-  const { t, paused, rate, videoHash, videoUrl } = req.body;
+  const { userId, t, paused, rate } = req.body || {};
   try {
+    if (t !== undefined && !(Number.isFinite(t) && t >= 0)) {
+      return res.status(400).json({ error: 't must be a non-negative number of seconds' });
+    }
+    if (paused !== undefined && typeof paused !== 'boolean') {
+      return res.status(400).json({ error: 'paused must be a boolean' });
+    }
+    if (rate !== undefined && !(Number.isFinite(rate) && rate > 0)) {
+      return res.status(400).json({ error: 'rate must be a positive number' });
+    }
+    if (t === undefined && paused === undefined && rate === undefined) {
+      return res.status(400).json({ error: 't, paused or rate is required' });
+    }
+
     const upperCode = code.toUpperCase();
     const room = await SyncRoom.findOne({ code: upperCode });
     if (!room) return res.status(404).json({ error: 'Room not found' });
-  // Optional: enforce only host/controllers can update state via REST (socket already handles broadcasts)
-    room.currentState = { ...room.currentState, t, paused, rate, videoHash, videoUrl };
+    roomPermissions.assertCan(room, userId, ROOM_ACTIONS.PLAYBACK);
+    roomVideoSource.assertVerified(room, userId);
+
+    const now = Date.now();
+    const action = paused === undefined ? (t === undefined ? 'rate' : 'seek') : (paused ? 'pause' : 'play');
+    let clock = syncUtils.applyPlaybackAction(room.toObject().currentState, action, { t, rate }, now);
+    if (rate !== undefined && action !== 'rate') {
+      clock = syncUtils.applyPlaybackAction(clock, 'rate', { rate }, now);
+    }
+    room.set({
+      'currentState.t': clock.t,
+      'currentState.paused': clock.paused,
+      'currentState.rate': clock.rate,
+      'currentState.anchorAt': clock.anchorAt,
+      'currentState.lastUpdatedBy': userId,
+      'currentState.lastUpdatedAt': new Date(now)
+    });
     await room.save();
-    res.json({ ok: true });
+
+    const snapshot = syncUtils.snapshotClock(clock, now);
+    if (io) {
+      await emitRoomEvent(io, room.code, SERVER_EVENTS.PLAYBACK_STATE, {
+        action,
+        ...snapshot,
+        userId,
+        roomCode: room.code
+      });
+    }
+    res.json({ ok: true, ...snapshot });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(e.statusCode || 500).json({ error: e.message });
   }
 };
 
 // Set or change the canonical video URL for a room
 export const setVideoUrl = async (req, res) => {
   const { code } = req.params;
-  const { videoUrl } = req.body || {};
+  const { userId, videoUrl } = req.body || {};
   try {
     if (!videoUrl || typeof videoUrl !== 'string') {
       return res.status(400).json({ error: 'videoUrl is required' });
@@ -85,11 +177,12 @@ export const setVideoUrl = async (req, res) => {
     const upperCode = code.toUpperCase();
     const room = await SyncRoom.findOne({ code: upperCode });
     if (!room) return res.status(404).json({ error: 'Room not found' });
-    room.currentState = { ...room.currentState, videoUrl };
+    roomPermissions.assertCan(room, userId, ROOM_ACTIONS.SET_VIDEO);
+    roomVideoSource.useStream(room, videoUrl);
     await room.save();
     res.json({ ok: true, currentState: room.currentState });
   } catch (e) {
-    res.status(500).json({ error: e.message });
+    res.status(e.statusCode || 500).json({ error: e.message });
   }
 };
 
@@ -101,10 +194,13 @@ export const setControllers = async (req, res) => {
     const upperCode = code.toUpperCase();
     const room = await SyncRoom.findOne({ code: upperCode });
     if (!room) return res.status(404).json({ error: 'Room not found' });
-    if (!hostId || hostId !== room.hostId) return res.status(403).json({ error: 'Only host can modify controllers' });
+    if (!roomPermissions.can(room, hostId, ROOM_ACTIONS.MANAGE_CONTROLLERS)) {
+      return res.status(403).json({ error: 'Only the host or a moderator can modify controllers' });
+    }
     room.controllers = Array.isArray(controllers) ? controllers : [];
     // Ensure host is always a controller
     if (room.hostId && !room.controllers.includes(room.hostId)) room.controllers.push(room.hostId);
+    roomPermissions.refreshParticipants(room);
     await room.save();
     res.json({ ok: true, controllers: room.controllers });
   } catch (e) {
@@ -112,6 +208,126 @@ export const setControllers = async (req, res) => {
   }
 };
 
+// Current queue for a room
+export const getQueue = async (req, res) => {
+  const { code } = req.params;
+  try {
+    const room = await SyncRoom.findOne({ code: code.toUpperCase() });
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    res.json({ code: room.code, ...roomQueue.describe(room) });
+  } catch (e) {
+    res.status(500).json({ error: e.message });
+  }
+};
+
+// Shared path for queue mutations: `mutate` returns true when the room advanced
+const updateQueue = (mutate) => async (req, res) => {
+  const { code } = req.params;
+  const upperCode = code.toUpperCase();
+  try {
+    const body = await roomQueue.runExclusive(upperCode, async () => {
+      const room = await SyncRoom.findOne({ code: upperCode });
+      if (!room) return null;
+
+      const now = Date.now();
+      const playingId = room.nowPlaying?.id ?? null;
+      const advanced = mutate(room, req, now);
+      if (advanced && !await roomQueue.saveAdvance(room, playingId)) {
+        // Another instance advanced the room first and has broadcast it
+        const current = await SyncRoom.findOne({ code: upperCode });
+        return { ok: true, advanced: false, ...roomQueue.describe(current, now) };
+      }
+      if (!advanced) await room.save();
+      if (io) await broadcastQueue(io, room.code, room, advanced, now);
+      return { ok: true, advanced, ...roomQueue.describe(room, now) };
+    });
+    if (!body) return res.status(404).json({ error: 'Room not found' });
+    res.json(body);
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ error: e.message });
+  }
+};
+
+export const addToQueue = updateQueue((room, req, now) =>
+  roomQueue.add(room, req.body?.userId, req.body, now).advanced);
+
+export const removeFromQueue = updateQueue((room, req) =>
+  (roomQueue.remove(room, req.body?.userId || req.query.userId, req.params.itemId), false));
+
+export const moveQueueItem = updateQueue((room, req) =>
+  (roomQueue.move(room, req.body?.userId, req.params.itemId, req.body?.toIndex), false));
+
+export const voteSkip = updateQueue((room, req, now) =>
+  roomQueue.voteSkip(room, req.body?.userId, now).advanced);
+
+// Host turns persistence on/off and sets the retention policy
+export const setPersistence = async (req, res) => {
+  const { code } = req.params;
+  const { userId, persistent, retention } = req.body || {};
+  try {
+    const room = await SyncRoom.findOne({ code: code.toUpperCase() });
+    if (!room) return res.status(404).json({ error: 'Room not found' });
+    const persistence = roomRetention.configure(room, userId, { persistent, retention });
+    await room.save();
+    logger.info(`📌 Room ${room.code} persistence updated by ${userId}: ${JSON.stringify(persistence.retention)}, persistent=${persistence.persistent}`);
+    res.json({ ok: true, ...persistence, expiresAt: room.expiresAt || null });
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ error: e.message });
+  }
+};
+
+// Spoiler-free summary of what a participant missed, bounded by the room's position
+export const getCatchUp = async (req, res) => {
+  const { code } = req.params;
+  const { userId, from, to, maxLength } = req.query;
+  const toNumber = (value) => (value === undefined || value === '' ? undefined : Number(value));
+  try {
+    const catchUp = await catchUpService.catchUpInRoom(code, userId, {
+      from: toNumber(from),
+      to: toNumber(to),
+      maxLength: Math.min(Math.max(toNumber(maxLength) || 120, 20), 500)
+    });
+    res.json(catchUp);
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ error: e.message });
+  }
+};
+
+// Ranked search over the room's transcripts, subtitles, notes and chat
+export const searchRoom = async (req, res) => {
+  const { code } = req.params;
+  const { userId, q, sources, mode, limit } = req.query;
+  try {
+    const results = await searchService.searchRoom(code, {
+      userId,
+      query: q,
+      sources: sources ? String(sources).split(',').map(source => source.trim()).filter(Boolean) : undefined,
+      mode: mode || 'auto',
+      limit
+    });
+    res.json(results);
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ error: e.message });
+  }
+};
+
+// Question about what the room has watched, answered from the transcript with cited timestamps
+export const askVideo = async (req, res) => {
+  const { code } = req.params;
+  const { userId, username, question, share = true } = req.body;
+  try {
+    const answer = await videoQAService.askInRoom(code, userId, { question, username, share: Boolean(share) });
+    if (io) {
+      for (const message of answer.messages || []) {
+        await emitRoomEvent(io, answer.roomCode, SERVER_EVENTS.CHAT_MESSAGE, message);
+      }
+    }
+    res.json(answer);
+  } catch (e) {
+    res.status(e.statusCode || 500).json({ error: e.message });
+  }
+};
+
 // Generate minimal share payload (room join URL is handled client-side with ?room=CODE)
 export const getShareInfo = async (req, res) => {
   const { code } = req.params;
@@ -140,9 +356,12 @@ export const getRoomDetails = async (req, res) => {
     
     res.json({ 
       code: room.code,
+      ...roomPermissions.describe(room),
       participants: room.participants,
       participantCount: room.participants.length,
       currentState: room.currentState,
+      ...roomQueue.describe(room),
+      ...roomRetention.describe(room),
       createdAt: room.createdAt
     });
   } catch (e) {
@@ -155,7 +374,7 @@ export const getRoomDetails = async (req, res) => {
 export const getAllRooms = async (req, res) => {
   try {
     const rooms = await SyncRoom.find({})
-      .select('code participants createdAt expiresAt currentState')
+      .select('code participants createdAt expiresAt currentState persistent status')
       .sort({ createdAt: -1 })
       .limit(10);
     
@@ -164,7 +383,9 @@ export const getAllRooms = async (req, res) => {
       participantCount: room.participants.length,
       createdAt: room.createdAt,
       expiresAt: room.expiresAt,
-      isExpired: new Date() > room.expiresAt,
+      isExpired: Boolean(room.expiresAt) && new Date() > room.expiresAt,
+      persistent: room.persistent,
+      status: room.status,
       currentState: room.currentState
     }));
     
@@ -1,5 +1,13 @@
 import { Subtitle } from '../models/Subtitle.js';
+import subtitleGenerator from '../services/subtitleService.js';
+import subtitleTimingService from '../services/subtitleTimingService.js';
 import logger from '../utils/logger.js';
+import {
+  SUBTITLE_FORMATS,
+  SUBTITLE_CONTENT_TYPES,
+  parseSubtitles,
+  serializeSubtitles
+} from '../utils/subtitleFormats/index.js';
 
 /**
  * Upload subtitles for a video
@@ -14,24 +22,33 @@ export const uploadSubtitles = async (req, res) => {
       });
     }
 
-    // Parse subtitle data based on format
-    let cues = [];
-    
-    if (format === 'srt') {
-      cues = parseSRT(subtitleData);
-    } else if (format === 'vtt') {
-      cues = parseVTT(subtitleData);
-    } else if (format === 'json') {
-      cues = JSON.parse(subtitleData);
-    } else {
+    if (format !== 'auto' && !SUBTITLE_FORMATS.includes(format)) {
       return res.status(400).json({ error: 'Unsupported subtitle format' });
     }
 
+    // 'auto' detects the format from the content
+    let track;
+    try {
+      const data = typeof subtitleData === 'string' ? subtitleData : JSON.stringify(subtitleData);
+      track = parseSubtitles(data, format);
+    } catch (error) {
+      return res.status(400).json({ error: `Invalid subtitle data: ${error.message}` });
+    }
+
+    // Events with nothing to show (e.g. ASS drawings) are not cues
+    const cues = track.cues.filter(cue => cue.text.trim());
+    if (cues.length === 0) {
+      return res.status(400).json({ error: 'No subtitle cues found' });
+    }
+
     const subtitle = new Subtitle({
       roomCode,
       language,
-      format,
+      format: track.format,
       cues,
+      styles: track.styles,
+      notes: track.notes,
+      formatData: track.formatData,
       uploadedBy: userId,
       uploaderName: username || 'Unknown'
     });
@@ -101,8 +118,21 @@ export const getLanguages = async (req, res) => {
     const { roomCode } = req.params;
     
     const languages = await Subtitle.distinct('language', { roomCode });
+    const tracks = await Subtitle.find({ roomCode })
+      .select('language videoId isAutoGenerated isMachineTranslated translatedFrom')
+      .lean();
     
-    res.json({ languages });
+    res.json({
+      languages,
+      tracks: tracks.map(track => ({
+        id: track._id,
+        language: track.language,
+        videoId: track.videoId || null,
+        isAutoGenerated: track.isAutoGenerated,
+        isMachineTranslated: track.isMachineTranslated || false,
+        translatedFrom: track.translatedFrom?.language || null
+      }))
+    });
   } catch (error) {
     logger.error(`❌ Error fetching subtitle languages: ${error.message}`);
     res.status(500).json({ error: 'Failed to fetch languages' });
@@ -134,6 +164,8 @@ export const updateSubtitles = async (req, res) => {
       return res.status(403).json({ error: 'Unauthorized to edit these subtitles' });
     }
     
+    // Keep the previous cues so the edit can be undone
+    await subtitleTimingService.recordRevision(subtitle, { operation: 'edit', userId });
     subtitle.cues = cues;
     subtitle.updatedAt = new Date();
     
@@ -260,137 +292,152 @@ export const exportSubtitles = async (req, res) => {
       return res.status(404).json({ error: 'Subtitles not found' });
     }
     
-    if (format === 'srt') {
-      const srtContent = convertToSRT(subtitle.cues);
-      res.type('text/plain').send(srtContent);
-    } else if (format === 'vtt') {
-      const vttContent = convertToVTT(subtitle.cues);
-      res.type('text/vtt').send(vttContent);
-    } else if (format === 'json') {
-      res.json({
+    if (!SUBTITLE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `Invalid format. Supported formats: ${SUBTITLE_FORMATS.join(', ')}` });
+    }
+
+    if (format === 'json') {
+      return res.json({
         language: subtitle.language,
-        cues: subtitle.cues
+        cues: subtitle.cues,
+        styles: subtitle.styles || {},
+        notes: subtitle.notes || [],
+        formatData: subtitle.formatData || {}
       });
-    } else {
-      res.status(400).json({ error: 'Invalid format. Supported formats: srt, vtt, json' });
     }
+
+    const content = serializeSubtitles(subtitle, format, { lang: subtitle.language });
+    res.attachment(`subtitles_${subtitle.language}.${format}`);
+    res.type(SUBTITLE_CONTENT_TYPES[format]).send(content);
   } catch (error) {
     logger.error(`❌ Error exporting subtitles: ${error.message}`);
     res.status(500).json({ error: 'Failed to export subtitles' });
   }
 };
 
-// Helper functions for parsing different subtitle formats
-
-function parseSRT(srtData) {
-  const cues = [];
-  const blocks = srtData.trim().split('\n\n');
-  
-  blocks.forEach(block => {
-    const lines = block.split('\n');
-    if (lines.length >= 3) {
-      const timeMatch = lines[1].match(/(\d{2}:\d{2}:\d{2},\d{3}) --> (\d{2}:\d{2}:\d{2},\d{3})/);
-      if (timeMatch) {
-        const startTime = parseTimeToSeconds(timeMatch[1].replace(',', '.'));
-        const endTime = parseTimeToSeconds(timeMatch[2].replace(',', '.'));
-        const text = lines.slice(2).join('\n');
-        
-        cues.push({ startTime, endTime, text });
-      }
+/**
+ * Generate a room's subtitle track from the transcript of the video it plays
+ */
+export const generateSubtitles = async (req, res) => {
+  try {
+    const { roomCode } = req.params;
+    const {
+      userId,
+      videoId,
+      language,
+      force,
+      maxLineLength,
+      maxLines,
+      maxCharsPerSecond,
+      speakerLabels,
+      speakerNames
+    } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: 'Missing required field: userId' });
     }
-  });
-  
-  return cues;
-}
-
-function parseVTT(vttData) {
-  const cues = [];
-  const lines = vttData.split('\n');
-  let i = 0;
-  
-  // Skip header
-  while (i < lines.length && !lines[i].includes('-->')) {
-    i++;
+
+    const job = await subtitleGenerator.startJob(roomCode, {
+      userId,
+      videoId,
+      language,
+      force: force === true,
+      settings: { maxLineLength, maxLines, maxCharsPerSecond, speakerLabels, speakerNames }
+    });
+
+    res.status(202).json({ success: true, job });
+  } catch (error) {
+    logger.error(`❌ Error starting subtitle generation: ${error.message}`);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
-  
-  while (i < lines.length) {
-    const line = lines[i];
-    if (line.includes('-->')) {
-      const timeMatch = line.match(/(\d{2}:\d{2}:\d{2}\.\d{3}) --> (\d{2}:\d{2}:\d{2}\.\d{3})/);
-      if (timeMatch) {
-        const startTime = parseTimeToSeconds(timeMatch[1]);
-        const endTime = parseTimeToSeconds(timeMatch[2]);
-        
-        i++;
-        let text = '';
-        while (i < lines.length && lines[i].trim() !== '') {
-          text += (text ? '\n' : '') + lines[i];
-          i++;
-        }
-        
-        cues.push({ startTime, endTime, text });
-      }
+};
+
+/**
+ * Progress of a subtitle generation job
+ */
+export const getGenerationJob = async (req, res) => {
+  const job = subtitleGenerator.getJob(req.params.jobId);
+  if (!job) {
+    return res.status(404).json({ error: 'Subtitle job not found' });
+  }
+  res.json({ job });
+};
+
+/**
+ * Machine-translate a track into another language (any room member)
+ */
+export const translateSubtitles = async (req, res) => {
+  try {
+    const { subtitleId } = req.params;
+    const { userId, language, force } = req.body;
+
+    if (!userId || !language) {
+      return res.status(400).json({ error: 'Missing required fields: userId, language' });
     }
-    i++;
+
+    const job = await subtitleGenerator.startTranslation(subtitleId, { userId, language, force: force === true });
+
+    res.status(job.status === 'completed' ? 200 : 202).json({ success: true, job });
+  } catch (error) {
+    logger.error(`❌ Error starting subtitle translation: ${error.message}`);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * Shift, stretch, convert the frame rate of or align a track's timing;
+ * with `preview` only the diff is returned
+ */
+export const retimeSubtitles = async (req, res) => {
+  try {
+    const { subtitleId } = req.params;
+    const { userId, operation, params, preview } = req.body;
+
+    if (!userId || !operation) {
+      return res.status(400).json({ error: 'Missing required fields: userId, operation' });
+    }
+
+    const result = await subtitleTimingService.applyOperation(subtitleId, {
+      userId,
+      operation,
+      params: params || {},
+      preview: preview === true
+    });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`❌ Error retiming subtitles: ${error.message}`);
+    res.status(error.statusCode || 500).json({ error: error.message, ...(error.details && { details: error.details }) });
   }
-  
-  return cues;
-}
-
-function parseTimeToSeconds(timeStr) {
-  const parts = timeStr.split(':');
-  const hours = parseInt(parts[0]);
-  const minutes = parseInt(parts[1]);
-  const secondsParts = parts[2].split(/[.,]/);
-  const seconds = parseInt(secondsParts[0]);
-  const milliseconds = parseInt(secondsParts[1]) || 0;
-  
-  return hours * 3600 + minutes * 60 + seconds + milliseconds / 1000;
-}
-
-function convertToSRT(cues) {
-  let srtContent = '';
-  
-  cues.forEach((cue, index) => {
-    const startTime = formatTimeForSRT(cue.startTime);
-    const endTime = formatTimeForSRT(cue.endTime);
-    
-    srtContent += `${index + 1}\n`;
-    srtContent += `${startTime} --> ${endTime}\n`;
-    srtContent += `${cue.text}\n\n`;
-  });
-  
-  return srtContent;
-}
-
-function convertToVTT(cues) {
-  let vttContent = 'WEBVTT\n\n';
-  
-  cues.forEach(cue => {
-    const startTime = formatTimeForVTT(cue.startTime);
-    const endTime = formatTimeForVTT(cue.endTime);
-    
-    vttContent += `${startTime} --> ${endTime}\n`;
-    vttContent += `${cue.text}\n\n`;
-  });
-  
-  return vttContent;
-}
-
-function formatTimeForSRT(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  const ms = Math.floor((seconds % 1) * 1000);
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')},${ms.toString().padStart(3, '0')}`;
-}
-
-function formatTimeForVTT(seconds) {
-  const hours = Math.floor(seconds / 3600);
-  const minutes = Math.floor((seconds % 3600) / 60);
-  const secs = Math.floor(seconds % 60);
-  const ms = Math.floor((seconds % 1) * 1000);
-  
-  return `${hours.toString().padStart(2, '0')}:${minutes.toString().padStart(2, '0')}:${secs.toString().padStart(2, '0')}.${ms.toString().padStart(3, '0')}`;
-}
+};
+
+/**
+ * Undo the latest timing operation or edit
+ */
+export const undoSubtitleChange = async (req, res) => {
+  try {
+    const { subtitleId } = req.params;
+    const { userId } = req.body;
+
+    const result = await subtitleTimingService.undo(subtitleId, { userId });
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    logger.error(`❌ Error undoing subtitle change: ${error.message}`);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * List the revisions undo can restore, newest first
+ */
+export const getSubtitleRevisions = async (req, res) => {
+  try {
+    const revisions = await subtitleTimingService.listRevisions(req.params.subtitleId);
+
+    res.json({ revisions });
+  } catch (error) {
+    logger.error(`❌ Error fetching subtitle revisions: ${error.message}`);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
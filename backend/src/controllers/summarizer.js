@@ -1,34 +1,45 @@
-import genAI from '../services/gemini.js';
+import aiUtils from '../utils/aiUtils.js';
+import { toSegments } from '../utils/aiProviders/localProvider.js';
+import { segmentsUntil } from '../services/catchUpService.js';
 import logger from '../utils/logger.js';
 
-console.log('In summarizer - genAI:', genAI);
-console.log('In summarizer - genAI type:', typeof genAI);
+/**
+ * Transcript text that has finished playing by `untilTimestamp`. Works on
+ * segment arrays and timestamped lines; untimed text cannot be cut, so it is
+ * used whole.
+ */
+export const transcriptUntil = (transcript, untilTimestamp) => {
+  if (untilTimestamp === undefined || untilTimestamp === null) {
+    return Array.isArray(transcript) ? transcript.map(segment => segment.text).join(' ') : transcript;
+  }
 
-async function getGeminiCompletion(prompt) {
-  if (!genAI) {
-    throw new Error('Gemini AI is not configured. Please check your API key.');
+  // Segment arrays may carry end times; timestamped lines only have starts
+  const segments = Array.isArray(transcript)
+    ? transcript.map(segment => ({
+      start: Number(segment.start ?? segment.startTime ?? 0),
+      end: segment.end ?? segment.endTime,
+      text: String(segment.text || '')
+    }))
+    : toSegments(transcript);
+  if (segments.length === 0) {
+    return Array.isArray(transcript) ? '' : transcript;
   }
-  
-  const model = genAI.getGenerativeModel({ model: "gemini-pro"});
-  const result = await model.generateContent(prompt);
-  const response = await result.response;
-  const text = response.text();
-  return text;
-}
+
+  return segmentsUntil(segments, Number(untilTimestamp)).map(segment => segment.text).join(' ');
+};
 
 /**
  * Generate summary for video transcript up to a specific timestamp
  */
 export const getSummary = async ({ transcript, untilTimestamp }) => {
-  // For simplicity, we're summarizing the whole transcript.
-  // A real implementation would filter the transcript up to `untilTimestamp`.
-  const prompt = `Summarize the following text:\n\n${transcript}`;
+  const text = transcriptUntil(transcript, untilTimestamp);
+  if (!text || !text.trim()) {
+    return '';
+  }
 
   try {
     logger.info('Starting AI summary generation...');
-    logger.info('genAI available:', !!genAI);
-    
-    const summary = await getGeminiCompletion(prompt);
+    const summary = await aiUtils.summarizeTranscript(text);
     logger.info('AI summary generated successfully');
     return summary;
   } catch (error) {
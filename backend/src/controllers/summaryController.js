@@ -1,5 +1,5 @@
 import { VideoSummary } from '../models/VideoSummary.js';
-import { getSummary as getGeminiSummary } from './summarizer.js';
+import { getSummary as getAISummary } from './summarizer.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -26,8 +26,8 @@ export const generateSummary = async (req, res) => {
     
     This is a collaborative video viewing session where participants can discuss and analyze the content together.`;
 
-    // Use Gemini AI to generate summary
-    const aiSummary = await getGeminiSummary({ 
+    // Generate the summary through the AI provider registry
+    const aiSummary = await getAISummary({ 
       transcript: sampleContent, 
       untilTimestamp: videoDuration 
     });
@@ -1,159 +1,165 @@
 import syncService from '../services/syncService.js';
 import logger from '../utils/logger.js';
+import { NotFoundError, AuthorizationError, createSuccessResponse } from '../middleware/errorHandler.js';
+
+const connectionInfo = (req) => ({
+  ipAddress: req.ip,
+  userAgent: req.get('User-Agent') || null
+});
 
 /**
- * Create a new sync session
+ * Create a new sync session; the host's device joins as controller
  */
 export const createSession = async (req, res) => {
-  try {
-    const { videoId, name, hostUserId } = req.body;
-    
-    if (!videoId) {
-      return res.status(400).json({ error: 'Video ID is required' });
+  const { videoId, name, deviceId, deviceName, isPrivate, maxParticipants, settings = {} } = req.body;
+
+  const { session, participant } = await syncService.createSession(videoId, name, req.user.id, {
+    deviceId,
+    deviceName,
+    sessionType: isPrivate ? 'private' : 'public',
+    settings: {
+      maxParticipants,
+      allowParticipantControl: settings.allowControl === 'all',
+      chatEnabled: settings.allowChat !== false,
+      syncTolerance: settings.syncDelay ?? 250
     }
-    
-    const session = await syncService.createSession(videoId, name, hostUserId);
-    
-    logger.info(`Sync session created: ${session.id} for video ${videoId}`);
-    res.status(201).json(session);
-  } catch (error) {
-    logger.error('Error creating sync session:', error);
-    res.status(500).json({ error: 'Failed to create sync session' });
-  }
+  });
+
+  logger.info(`Sync session created: ${session._id} for video ${videoId}`);
+  res.status(201).json(createSuccessResponse({ session, participant }, 'Session created'));
 };
 
 /**
- * Join an existing sync session
+ * Join an existing sync session by ID or session code
  */
 export const joinSession = async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const { deviceId, userId } = req.body;
-    
-    const participant = await syncService.joinSession(sessionId, deviceId, userId);
-    
-    if (!participant) {
-      return res.status(404).json({ error: 'Session not found' });
+  const { sessionId, sessionCode, deviceId, deviceName, nickname } = req.body;
+
+  let id = sessionId;
+  if (!id) {
+    const session = await syncService.findSessionByAccessCode(sessionCode);
+    if (!session) {
+      throw new NotFoundError('Session');
     }
-    
-    logger.info(`Device ${deviceId} joined session ${sessionId}`);
-    res.json(participant);
-  } catch (error) {
-    logger.error('Error joining sync session:', error);
-    res.status(500).json({ error: 'Failed to join session' });
+    id = session._id;
   }
+
+  const participant = await syncService.joinSession(id, req.user?.id || null, deviceId, deviceName, {
+    nickname,
+    connectionInfo: connectionInfo(req)
+  });
+  const session = await syncService.getSession(id);
+
+  logger.info(`Device ${deviceId} joined session ${id}`);
+  res.json(createSuccessResponse({ session, participant }, 'Joined session'));
 };
 
 /**
- * Get sync session details
+ * Get sync session details with its active participants
  */
 export const getSession = async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    
-    const session = await syncService.getSession(sessionId);
-    
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
-    
-    res.json(session);
-  } catch (error) {
-    logger.error('Error fetching sync session:', error);
-    res.status(500).json({ error: 'Failed to fetch session' });
+  const session = await syncService.getSession(req.params.id, true);
+
+  if (!session) {
+    throw new NotFoundError('Session');
   }
+
+  res.json(createSuccessResponse(session));
 };
 
 /**
  * Update sync session state (play/pause/seek)
  */
 export const updateSessionState = async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const { currentTimestamp, isPlaying, playbackRate } = req.body;
-    
-    const session = await syncService.updateSessionState(sessionId, {
-      currentTimestamp,
-      isPlaying,
-      playbackRate
-    });
-    
-    if (!session) {
-      return res.status(404).json({ error: 'Session not found' });
-    }
-    
-    res.json({ success: true, session });
-  } catch (error) {
-    logger.error('Error updating session state:', error);
-    res.status(500).json({ error: 'Failed to update session state' });
-  }
+  const { deviceId, currentTime, isPlaying, playbackRate, eventType } = req.body;
+
+  const result = await syncService.updatePlaybackState(req.params.id, {
+    timestamp: currentTime,
+    isPlaying,
+    playbackRate,
+    eventType,
+    deviceId
+  }, req.user?.id || null);
+
+  res.json(createSuccessResponse(result));
 };
 
 /**
  * Report lag compensation for a participant
  */
 export const reportLag = async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const { deviceId, lagOffsetMs, latency } = req.body;
-    
-    await syncService.updateLagCompensation(sessionId, deviceId, lagOffsetMs, latency);
-    
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('Error reporting lag:', error);
-    res.status(500).json({ error: 'Failed to report lag' });
+  const { deviceId, ...heartbeat } = req.body;
+
+  const participant = await syncService.findParticipant(req.params.id, req.user?.id || null, deviceId);
+  if (!participant) {
+    throw new NotFoundError('Participant');
   }
+
+  const lag = await syncService.updateParticipantHeartbeat(participant._id, heartbeat);
+  res.json(createSuccessResponse(lag));
 };
 
 /**
  * Leave sync session
  */
 export const leaveSession = async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const { deviceId } = req.body;
-    
-    await syncService.leaveSession(sessionId, deviceId);
-    
-    logger.info(`Device ${deviceId} left session ${sessionId}`);
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('Error leaving session:', error);
-    res.status(500).json({ error: 'Failed to leave session' });
+  const { deviceId } = req.body;
+
+  const left = await syncService.leaveSession(req.params.id, req.user?.id || null, deviceId);
+  if (!left) {
+    throw new NotFoundError('Participant');
   }
+
+  logger.info(`Device ${deviceId} left session ${req.params.id}`);
+  res.json(createSuccessResponse(null, 'Left session'));
 };
 
 /**
  * Get all participants in a session
  */
 export const getParticipants = async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    
-    const participants = await syncService.getParticipants(sessionId);
-    
-    res.json(participants);
-  } catch (error) {
-    logger.error('Error fetching participants:', error);
-    res.status(500).json({ error: 'Failed to fetch participants' });
+  const session = await syncService.getSession(req.params.id);
+  if (!session) {
+    throw new NotFoundError('Session');
   }
+
+  const participants = await syncService.getParticipants(req.params.id);
+  res.json(createSuccessResponse(participants));
 };
 
 /**
- * End sync session
+ * End sync session (host only)
  */
 export const endSession = async (req, res) => {
-  try {
-    const { sessionId } = req.params;
-    const { hostUserId } = req.body;
-    
-    await syncService.endSession(sessionId, hostUserId);
-    
-    logger.info(`Sync session ${sessionId} ended by host ${hostUserId}`);
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('Error ending session:', error);
-    res.status(500).json({ error: 'Failed to end session' });
+  await syncService.endSession(req.params.id, req.user.id);
+
+  logger.info(`Sync session ${req.params.id} ended by host ${req.user.id}`);
+  res.json(createSuccessResponse(null, 'Session ended'));
+};
+
+/**
+ * Active sessions the user hosts or takes part in
+ */
+export const getMySessions = async (req, res) => {
+  const sessions = await syncService.getUserSessions(req.user.id);
+  res.json(createSuccessResponse(sessions));
+};
+
+/**
+ * Join details for a session; clients render the join URL as a QR code
+ */
+export const getJoinInfo = async (req, res) => {
+  const session = await syncService.getSession(req.params.id);
+  if (!session || !session.isActive) {
+    throw new NotFoundError('Session');
   }
+  if (session.sessionType === 'private' && session.hostUserId !== req.user?.id) {
+    throw new AuthorizationError('Only the host can share a private session');
+  }
+
+  res.json(createSuccessResponse({
+    sessionCode: session.sessionCode,
+    joinUrl: `/sync/join/${session.sessionCode}`,
+    expiresAt: session.expiresAt
+  }));
 };
@@ -0,0 +1,71 @@
+import Video from '../models/Video.js';
+import { VideoTranscript } from '../models/VideoTranscript.js';
+import transcriptionPipeline from '../services/whisper.js';
+import {
+  NotFoundError,
+  AuthorizationError,
+  createSuccessResponse
+} from '../middleware/errorHandler.js';
+
+const isAdmin = (user) => user?.role === 'admin';
+
+const findVideo = async (videoId) => {
+  const video = await Video.findOne({ _id: videoId, isDeleted: false })
+    .select('uploadedBy isPublic')
+    .lean();
+  if (!video) {
+    throw new NotFoundError('Video');
+  }
+  return video;
+};
+
+/**
+ * Start transcribing a video (its uploader or an admin)
+ */
+export const startTranscription = async (req, res) => {
+  const { videoId, language, force } = req.body;
+
+  const video = await findVideo(videoId);
+  if (video.uploadedBy !== req.user.id && !isAdmin(req.user)) {
+    throw new AuthorizationError('Only the video owner can transcribe it');
+  }
+
+  const job = await transcriptionPipeline.startJob(videoId, { language, force, requestedBy: req.user.id });
+  res.status(202).json(createSuccessResponse(job, 'Transcription started'));
+};
+
+/**
+ * Progress of a transcription job
+ */
+export const getTranscriptionJob = async (req, res) => {
+  const job = transcriptionPipeline.getJob(req.params.jobId);
+  if (!job) {
+    throw new NotFoundError('Transcription job');
+  }
+  if (job.requestedBy !== req.user.id && !isAdmin(req.user)) {
+    throw new AuthorizationError('Only the requester can follow this transcription');
+  }
+
+  res.json(createSuccessResponse(job));
+};
+
+/**
+ * Stored transcript of a video the requester can watch
+ */
+export const getVideoTranscript = async (req, res) => {
+  const { videoId } = req.params;
+  const { language } = req.query;
+
+  const video = await findVideo(videoId);
+  if (!video.isPublic && video.uploadedBy !== req.user?.id && !isAdmin(req.user)) {
+    throw new AuthorizationError('This video is private');
+  }
+
+  const transcript = await VideoTranscript.findOne({ videoId, isActive: true, ...(language && { language }) })
+    .sort({ generatedAt: -1 });
+  if (!transcript) {
+    throw new NotFoundError('Transcript');
+  }
+
+  res.json(createSuccessResponse(transcript));
+};
@@ -0,0 +1,65 @@
+import uploadService, { parseChecksum, parseOffset } from '../services/uploadService.js';
+import { createSuccessResponse } from '../middleware/errorHandler.js';
+
+// Offsets are sent as headers too so tus-style clients can resume without parsing JSON
+const setOffsetHeaders = (res, upload) => {
+  res.set({
+    'Upload-Offset': String(upload.offset),
+    'Upload-Length': String(upload.size),
+    'Cache-Control': 'no-store'
+  });
+};
+
+/**
+ * Start a resumable upload; anonymous room hosts pass their userId in the body
+ */
+export const createUpload = async (req, res) => {
+  const userId = req.user?.id || req.body?.userId;
+  const upload = await uploadService.create(userId, req.body, { authenticated: Boolean(req.user) });
+
+  setOffsetHeaders(res, upload);
+  res.status(201)
+    .location(`${req.baseUrl}/${upload.uploadId}`)
+    .json(createSuccessResponse(upload, 'Upload created'));
+};
+
+/**
+ * Bytes received so far (HEAD answers with headers only)
+ */
+export const getUpload = async (req, res) => {
+  const session = await uploadService.getSession(req.params.id, req.user?.id || null);
+  const upload = uploadService.describe(session);
+
+  setOffsetHeaders(res, upload);
+  if (req.method === 'HEAD') {
+    res.status(200).end();
+    return;
+  }
+  res.json(createSuccessResponse(upload));
+};
+
+/**
+ * Append the chunk in the request body at Upload-Offset
+ */
+export const appendChunk = async (req, res) => {
+  const contentLength = req.headers['content-length'] !== undefined
+    ? parseInt(req.headers['content-length'], 10)
+    : null;
+
+  const upload = await uploadService.writeChunk(req.params.id, req.user?.id || null, req, {
+    offset: parseOffset(req.headers['upload-offset']),
+    checksum: parseChecksum(req.headers['upload-checksum']),
+    contentLength: Number.isFinite(contentLength) ? contentLength : null
+  });
+
+  setOffsetHeaders(res, upload);
+  res.json(createSuccessResponse(upload, upload.video ? 'Upload complete' : 'Chunk stored'));
+};
+
+/**
+ * Cancel an upload
+ */
+export const abortUpload = async (req, res) => {
+  await uploadService.abort(req.params.id, req.user?.id || null);
+  res.status(204).end();
+};
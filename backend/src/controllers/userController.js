@@ -1,259 +1,255 @@
-import userService from '../services/userService.js';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import Video from '../models/Video.js';
+import ViewHistory from '../models/ViewHistory.js';
+import { hashPassword, comparePassword, generateTokens } from '../middleware/auth.js';
+import {
+  AppError,
+  AuthenticationError,
+  NotFoundError,
+  createSuccessResponse,
+  createPaginatedResponse
+} from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
+// Profile fields anyone may see
+const PUBLIC_FIELDS = ['username', 'firstName', 'lastName', 'bio', 'avatarUrl', 'createdAt'];
+
+/**
+ * Issue a token pair and remember the refresh token on the user
+ * Expired refresh tokens are dropped at the same time.
+ */
+const issueTokens = async (user) => {
+  const tokens = generateTokens(user._id, user.role);
+  const { exp } = jwt.decode(tokens.refreshToken);
+
+  user.refreshTokens = user.refreshTokens
+    .filter(stored => stored.expiresAt > new Date())
+    .concat({ token: tokens.refreshToken, expiresAt: new Date(exp * 1000) });
+  await user.save();
+
+  return tokens;
+};
+
 /**
  * Create a new user account
  */
 export const createUser = async (req, res) => {
-  try {
-    const { username, email, password } = req.body;
-    
-    if (!username || !email || !password) {
-      return res.status(400).json({ error: 'Username, email, and password are required' });
-    }
-    
-    const user = await userService.createUser({ username, email, password });
-    
-    logger.info(`User created: ${user.id} (${user.email})`);
-    res.status(201).json({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      createdAt: user.createdAt
-    });
-  } catch (error) {
-    logger.error('Error creating user:', error);
-    
-    if (error.message.includes('already exists')) {
-      return res.status(409).json({ error: error.message });
-    }
-    
-    res.status(500).json({ error: 'Failed to create user' });
+  const { username, email, password, firstName, lastName } = req.body;
+
+  const existing = await User.findOne({ $or: [{ email: email.toLowerCase() }, { username }] }).lean();
+  if (existing) {
+    const field = existing.username === username ? 'Username' : 'Email';
+    throw new AppError(`${field} already exists`, 409, 'CONFLICT');
   }
+
+  const user = new User({
+    username,
+    email,
+    firstName,
+    lastName,
+    passwordHash: await hashPassword(password)
+  });
+  const tokens = await issueTokens(user);
+
+  logger.info(`User created: ${user._id} (${user.email})`);
+  res.status(201).json(createSuccessResponse({ user, tokens }, 'Account created'));
 };
 
 /**
  * User login
  */
 export const loginUser = async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    
-    if (!email || !password) {
-      return res.status(400).json({ error: 'Email and password are required' });
-    }
-    
-    const result = await userService.authenticateUser(email, password);
-    
-    if (!result.success) {
-      return res.status(401).json({ error: result.error });
-    }
-    
-    logger.info(`User logged in: ${result.user.id} (${result.user.email})`);
-    res.json({
-      user: {
-        id: result.user.id,
-        username: result.user.username,
-        email: result.user.email
-      },
-      token: result.token,
-      refreshToken: result.refreshToken
-    });
-  } catch (error) {
-    logger.error('Error during login:', error);
-    res.status(500).json({ error: 'Login failed' });
+  const { email, password } = req.body;
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user || !(await comparePassword(password, user.passwordHash))) {
+    throw new AuthenticationError('Invalid email or password');
+  }
+  if (!user.isActive) {
+    throw new AuthenticationError('User account is deactivated');
   }
+
+  user.lastLogin = new Date();
+  const tokens = await issueTokens(user);
+
+  logger.info(`User logged in: ${user._id} (${user.email})`);
+  res.json(createSuccessResponse({ user, tokens }, 'Logged in'));
 };
 
 /**
- * Get user profile
+ * Get a user profile; the full profile for yourself, public fields otherwise
  */
 export const getUserProfile = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    
-    const user = await userService.getUserById(userId);
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    res.json({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      createdAt: user.createdAt,
-      lastLogin: user.lastLogin,
-      preferences: user.preferences
-    });
-  } catch (error) {
-    logger.error('Error fetching user profile:', error);
-    res.status(500).json({ error: 'Failed to fetch user profile' });
+  const userId = req.params.userId || req.user?.id;
+
+  const user = await User.findOne({ _id: userId, isActive: true });
+  if (!user) {
+    throw new NotFoundError('User');
+  }
+
+  if (req.user?.id === user._id || req.user?.role === 'admin') {
+    return res.json(createSuccessResponse(user));
+  }
+
+  const profile = { id: user._id };
+  for (const field of PUBLIC_FIELDS) {
+    profile[field] = user[field];
   }
+  res.json(createSuccessResponse(profile));
 };
 
 /**
- * Update user profile
+ * Update the authenticated user's profile
  */
 export const updateUserProfile = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const updates = req.body;
-    
-    // Remove sensitive fields that shouldn't be updated via this endpoint
-    delete updates.password;
-    delete updates.email;
-    delete updates.id;
-    
-    const user = await userService.updateUser(userId, updates);
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    res.json({
-      id: user.id,
-      username: user.username,
-      email: user.email,
-      preferences: user.preferences
-    });
-  } catch (error) {
-    logger.error('Error updating user profile:', error);
-    res.status(500).json({ error: 'Failed to update user profile' });
+  const { avatar, preferences, ...fields } = req.body;
+  const user = req.user;
+
+  Object.assign(user, fields);
+  if (avatar !== undefined) {
+    user.avatarUrl = avatar;
+  }
+  if (preferences) {
+    user.preferences = { ...user.preferences, ...preferences };
+    user.markModified('preferences');
   }
+  await user.save();
+
+  res.json(createSuccessResponse(user, 'Profile updated'));
 };
 
 /**
- * Change user password
+ * Change password; other sessions are signed out
  */
 export const changePassword = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { currentPassword, newPassword } = req.body;
-    
-    if (!currentPassword || !newPassword) {
-      return res.status(400).json({ error: 'Current and new passwords are required' });
-    }
-    
-    const result = await userService.changePassword(userId, currentPassword, newPassword);
-    
-    if (!result.success) {
-      return res.status(400).json({ error: result.error });
-    }
-    
-    logger.info(`Password changed for user: ${userId}`);
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('Error changing password:', error);
-    res.status(500).json({ error: 'Failed to change password' });
+  const { currentPassword, newPassword } = req.body;
+  const user = await User.findById(req.user.id);
+
+  if (!(await comparePassword(currentPassword, user.passwordHash))) {
+    throw new AuthenticationError('Current password is incorrect');
   }
+
+  user.passwordHash = await hashPassword(newPassword);
+  user.refreshTokens = [];
+  const tokens = await issueTokens(user);
+
+  logger.info(`Password changed for user ${user._id}`);
+  res.json(createSuccessResponse({ tokens }, 'Password changed'));
 };
 
 /**
- * Get user's viewing history
+ * Get the authenticated user's viewing history, most recent first
  */
 export const getViewingHistory = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { page = 1, limit = 20 } = req.query;
-    
-    const history = await userService.getViewingHistory(userId, page, limit);
-    
-    res.json(history);
-  } catch (error) {
-    logger.error('Error fetching viewing history:', error);
-    res.status(500).json({ error: 'Failed to fetch viewing history' });
+  const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit, 10) || 20));
+  const filter = { userId: req.user.id };
+
+  const [history, total] = await Promise.all([
+    ViewHistory.find(filter)
+      .sort({ lastUpdated: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('videoId', 'title duration thumbnailUrl')
+      .lean(),
+    ViewHistory.countDocuments(filter)
+  ]);
+
+  res.json(createPaginatedResponse(history, { page, limit, total }));
+};
+
+/**
+ * Record the authenticated user's playback position in a video
+ */
+export const recordViewingHistory = async (req, res) => {
+  const { videoId, position, completed, sessionId } = req.body;
+
+  const video = await Video.findOne({ _id: videoId, isDeleted: false }).select('duration').lean();
+  if (!video) {
+    throw new NotFoundError('Video');
+  }
+
+  let entry = await ViewHistory.findOne({ userId: req.user.id, videoId });
+  if (!entry) {
+    entry = new ViewHistory({
+      userId: req.user.id,
+      videoId,
+      watchDuration: 0,
+      lastPosition: 0,
+      deviceInfo: { userAgent: req.get('User-Agent') || null }
+    });
+  }
+
+  entry.updateProgress(Math.min(position, video.duration));
+  if (completed || position >= video.duration * 0.9) {
+    entry.completed = true;
+  }
+  if (sessionId) {
+    entry.sessionId = sessionId;
   }
+  await entry.save();
+
+  res.json(createSuccessResponse(entry, 'Viewing history updated'));
 };
 
 /**
- * Update user preferences
+ * Update the authenticated user's playback preferences
  */
 export const updatePreferences = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { preferences } = req.body;
-    
-    const user = await userService.updatePreferences(userId, preferences);
-    
-    if (!user) {
-      return res.status(404).json({ error: 'User not found' });
-    }
-    
-    res.json({ preferences: user.preferences });
-  } catch (error) {
-    logger.error('Error updating preferences:', error);
-    res.status(500).json({ error: 'Failed to update preferences' });
-  }
+  const user = req.user;
+
+  user.preferences = { ...user.preferences, ...req.body };
+  user.markModified('preferences');
+  await user.save();
+
+  res.json(createSuccessResponse({ preferences: user.preferences }, 'Preferences updated'));
 };
 
 /**
- * Delete user account
+ * Deactivate the authenticated user's account (password confirmed)
  */
 export const deleteUser = async (req, res) => {
-  try {
-    const { userId } = req.params;
-    const { password } = req.body;
-    
-    if (!password) {
-      return res.status(400).json({ error: 'Password confirmation is required' });
-    }
-    
-    const result = await userService.deleteUser(userId, password);
-    
-    if (!result.success) {
-      return res.status(400).json({ error: result.error });
-    }
-    
-    logger.info(`User deleted: ${userId}`);
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('Error deleting user:', error);
-    res.status(500).json({ error: 'Failed to delete user' });
+  const { password } = req.body;
+  const user = await User.findById(req.user.id);
+
+  if (!password || !(await comparePassword(password, user.passwordHash))) {
+    throw new AuthenticationError('Password confirmation failed');
   }
+
+  user.isActive = false;
+  user.refreshTokens = [];
+  await user.save();
+
+  logger.info(`User deactivated: ${user._id}`);
+  res.json(createSuccessResponse(null, 'Account deactivated'));
 };
 
 /**
- * Refresh authentication token
+ * Exchange a refresh token (checked by verifyRefreshToken) for a new pair
  */
 export const refreshToken = async (req, res) => {
-  try {
-    const { refreshToken } = req.body;
-    
-    if (!refreshToken) {
-      return res.status(400).json({ error: 'Refresh token is required' });
-    }
-    
-    const result = await userService.refreshAuthToken(refreshToken);
-    
-    if (!result.success) {
-      return res.status(401).json({ error: result.error });
-    }
-    
-    res.json({
-      token: result.token,
-      refreshToken: result.refreshToken
-    });
-  } catch (error) {
-    logger.error('Error refreshing token:', error);
-    res.status(500).json({ error: 'Failed to refresh token' });
-  }
+  const user = req.user;
+
+  user.refreshTokens = user.refreshTokens.filter(stored => stored.token !== req.refreshToken);
+  const tokens = await issueTokens(user);
+
+  res.json(createSuccessResponse({ tokens }, 'Token refreshed'));
 };
 
 /**
- * User logout
+ * User logout: forget the refresh token (the access token is blacklisted by
+ * the logout middleware when Redis is available)
  */
 export const logoutUser = async (req, res) => {
-  try {
-    const { refreshToken } = req.body;
-    
-    if (refreshToken) {
-      await userService.revokeRefreshToken(refreshToken);
-    }
-    
-    res.json({ success: true });
-  } catch (error) {
-    logger.error('Error during logout:', error);
-    res.status(500).json({ error: 'Logout failed' });
+  const { refreshToken: token } = req.body || {};
+
+  if (token) {
+    await User.updateOne(
+      { 'refreshTokens.token': token },
+      { $pull: { refreshTokens: { token } } }
+    );
   }
+
+  res.json(createSuccessResponse(null, 'Logged out'));
 };
@@ -1,24 +1,50 @@
+import fs from 'fs';
 import videoService from '../services/videoService.js';
 import logger from '../utils/logger.js';
+import { FileUploadError, createSuccessResponse, createPaginatedResponse } from '../middleware/errorHandler.js';
+
+const SORT_ORDERS = {
+  newest: '-createdAt',
+  oldest: 'createdAt',
+  views: '-viewCount',
+  rating: '-averageRating',
+  title: 'title'
+};
+
+const pageParams = (query) => ({
+  page: Math.max(1, parseInt(query.page, 10) || 1),
+  limit: Math.min(100, Math.max(1, parseInt(query.limit, 10) || 20))
+});
+
+const paginated = (res, { videos, pagination }) =>
+  res.json(createPaginatedResponse(videos, pagination));
 
 /**
- * Upload video file to S3 and enqueue for processing
+ * Upload a video file, extract its metadata and store it
  */
 export const uploadVideo = async (req, res) => {
+  const file = req.file;
+  if (!file) {
+    throw new FileUploadError('No video file provided');
+  }
+
+  const { title, description, tags, category, isPrivate, allowDownload } = req.body;
   try {
-    const file = req.file;
-    if (!file) {
-      return res.status(400).json({ error: 'No video file provided' });
-    }
-
-    const userId = req.user?.id || req.body.userId;
-    const metadata = await videoService.storeAndEnqueue(file, userId);
-    
-    logger.info(`Video uploaded: ${metadata.id} by user ${userId}`);
-    res.status(201).json(metadata);
+    const video = await videoService.storeAndProcessVideo(file.path, file, req.user.id, {
+      title,
+      description,
+      tags,
+      category,
+      isPublic: !isPrivate,
+      allowDownload
+    });
+
+    logger.info(`Video uploaded: ${video._id} by user ${req.user.id}`);
+    res.status(201).json(createSuccessResponse(video, 'Video uploaded'));
   } catch (error) {
-    logger.error('Error uploading video:', error);
-    res.status(500).json({ error: 'Failed to upload video' });
+    // The temp file is only moved into storage on success
+    fs.promises.unlink(file.path).catch(() => {});
+    throw error;
   }
 };
 
@@ -26,100 +52,160 @@ export const uploadVideo = async (req, res) => {
  * Get video metadata by ID
  */
 export const getVideo = async (req, res) => {
-  try {
-    const { videoId } = req.params;
-    const video = await videoService.getVideoById(videoId);
-    
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
-    }
-    
-    res.json(video);
-  } catch (error) {
-    logger.error('Error fetching video:', error);
-    res.status(500).json({ error: 'Failed to fetch video' });
-  }
+  const video = await videoService.getVideo(req.params.id, req.user?.id || null);
+  res.json(createSuccessResponse(video));
 };
 
 /**
  * Stream video with range header support
  */
 export const streamVideo = async (req, res) => {
-  try {
-    const { videoId } = req.params;
-    const range = req.headers.range;
-    
-    await videoService.streamVideo(videoId, range, res);
-  } catch (error) {
-    logger.error('Error streaming video:', error);
-    res.status(500).json({ error: 'Failed to stream video' });
+  const range = req.headers.range;
+  const info = await videoService.getStreamingInfo(req.params.id, range, req.user?.id || null);
+
+  const headers = {
+    'Content-Type': info.mimeType,
+    'Content-Length': info.contentLength,
+    'Accept-Ranges': 'bytes'
+  };
+  if (info.hasRange) {
+    headers['Content-Range'] = `bytes ${info.start}-${info.end}/${info.fileSize}`;
+  }
+
+  // Opened before the headers go out so a missing file is still a 404
+  const stream = await videoService.openVideoStream(info);
+  res.writeHead(info.hasRange ? 206 : 200, headers);
+  stream
+    .on('error', (error) => {
+      logger.error('Error streaming video:', error);
+      res.destroy(error);
+    })
+    .pipe(res);
+};
+
+/**
+ * Send the client to a video's thumbnail
+ */
+export const getThumbnail = async (req, res) => {
+  const { url, filePath } = await videoService.getThumbnail(req.params.id, req.user?.id || null);
+  if (filePath) {
+    res.sendFile(filePath);
+    return;
   }
+  // Signed URLs expire; let the browser cache the redirect for less than that
+  res.set('Cache-Control', 'private, max-age=300');
+  res.redirect(302, url);
 };
 
 /**
- * Get user's video library
+ * Serve an HLS master or rendition playlist, or send the client to a segment
  */
-export const getUserVideos = async (req, res) => {
-  try {
-    const userId = req.user?.id || req.query.userId;
-    const { page = 1, limit = 10 } = req.query;
-    
-    const videos = await videoService.getUserVideos(userId, page, limit);
-    res.json(videos);
-  } catch (error) {
-    logger.error('Error fetching user videos:', error);
-    res.status(500).json({ error: 'Failed to fetch videos' });
+export const streamHls = async (req, res) => {
+  const { id, rendition, file } = req.params;
+  const { playlist, url } = await videoService.getHlsFile(id, file, rendition || null, req.user?.id || null);
+  if (playlist !== null) {
+    // Playlists change when a video is transcoded again
+    res.set({ 'Content-Type': 'application/vnd.apple.mpegurl', 'Cache-Control': 'no-cache' });
+    res.send(playlist);
+    return;
   }
+  // Signed URLs expire; let the browser cache the redirect for less than that
+  res.set('Cache-Control', 'private, max-age=300');
+  res.redirect(302, url);
+};
+
+/**
+ * Serve a video's seek-bar preview track, or send the client to one of its sprite sheets
+ */
+export const getPreviewFile = async (req, res) => {
+  const { track, url } = await videoService.getPreviewFile(req.params.id, req.params.file, req.user?.id || null);
+  if (track !== null) {
+    // Redone previews replace the track under the same name
+    res.set({ 'Content-Type': 'text/vtt; charset=utf-8', 'Cache-Control': 'no-cache' });
+    res.send(track);
+    return;
+  }
+  res.set('Cache-Control', 'private, max-age=300');
+  res.redirect(302, url);
+};
+
+/**
+ * Queue seek-bar preview sprites of a video, or redo them with ?force=true
+ */
+export const generatePreviews = async (req, res) => {
+  const previews = await videoService.requestPreviews(req.params.id, req.user.id, {
+    force: req.query.force === 'true' || req.body?.force === true
+  });
+  res.status(202).json(createSuccessResponse(previews, 'Preview sprites queued'));
+};
+
+/**
+ * Queue HLS transcoding of a video, or redo it with ?force=true
+ */
+export const transcodeVideo = async (req, res) => {
+  const streaming = await videoService.requestTranscoding(req.params.id, req.user.id, {
+    force: req.query.force === 'true' || req.body?.force === true
+  });
+  res.status(202).json(createSuccessResponse(streaming, 'Transcoding queued'));
+};
+
+/**
+ * Get a user's video library; other users only see public videos
+ */
+export const getUserVideos = async (req, res) => {
+  const { userId } = req.params;
+  const requesterId = req.user?.id || null;
+
+  const result = await videoService.searchVideos(
+    { uploadedBy: userId, userId: requesterId },
+    { ...pageParams(req.query), includePrivate: requesterId === userId }
+  );
+  paginated(res, result);
+};
+
+/**
+ * Search videos visible to the requester
+ */
+export const searchVideos = async (req, res) => {
+  const { q, category, tags, sort, page, limit } = req.query;
+
+  const result = await videoService.searchVideos({
+    query: q,
+    category,
+    tags: tags ? tags.split(',').map(tag => tag.trim()).filter(Boolean) : undefined,
+    userId: req.user?.id || null
+  }, {
+    page,
+    limit,
+    sort: SORT_ORDERS[sort] || SORT_ORDERS.newest
+  });
+  paginated(res, result);
 };
 
 /**
  * Update video metadata
  */
 export const updateVideo = async (req, res) => {
-  try {
-    const { videoId } = req.params;
-    const updates = req.body;
-    
-    const video = await videoService.updateVideo(videoId, updates);
-    
-    if (!video) {
-      return res.status(404).json({ error: 'Video not found' });
-    }
-    
-    res.json(video);
-  } catch (error) {
-    logger.error('Error updating video:', error);
-    res.status(500).json({ error: 'Failed to update video' });
-  }
+  const { isPrivate, thumbnail, ...updates } = req.body;
+  if (isPrivate !== undefined) updates.isPublic = !isPrivate;
+  if (thumbnail !== undefined) updates.thumbnailUrl = thumbnail;
+
+  const video = await videoService.updateVideoMetadata(req.params.id, updates, req.user.id);
+  res.json(createSuccessResponse(video, 'Video updated'));
 };
 
 /**
  * Delete video
  */
 export const deleteVideo = async (req, res) => {
-  try {
-    const { videoId } = req.params;
-    const userId = req.user?.id;
-    
-    await videoService.deleteVideo(videoId, userId);
-    res.json({ message: 'Video deleted successfully' });
-  } catch (error) {
-    logger.error('Error deleting video:', error);
-    res.status(500).json({ error: 'Failed to delete video' });
-  }
+  await videoService.deleteVideo(req.params.id, req.user.id);
+  res.json(createSuccessResponse(null, 'Video deleted successfully'));
 };
 
 /**
  * Get video processing status
  */
 export const getProcessingStatus = async (req, res) => {
-  try {
-    const { videoId } = req.params;
-    const status = await videoService.getProcessingStatus(videoId);
-    
-    res.json(status);
-  } catch (error) {
-    logger.error('Error fetching processing status:', error);
-    res.status(500).json({ error: 'Failed to fetch processing status' });
-  }
+  const status = await videoService.getProcessingStatus(req.params.id);
+  res.json(createSuccessResponse(status));
 };
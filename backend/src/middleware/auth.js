@@ -317,7 +317,7 @@ export const verifyRefreshToken = async (req, res, next) => {
     }
 
     // Check if refresh token is still valid (stored in user record)
-    if (!user.refreshTokens.includes(refreshToken)) {
+    if (!user.refreshTokens.some(stored => stored.token === refreshToken && stored.expiresAt > new Date())) {
       return res.status(401).json({
         success: false,
         data: null,
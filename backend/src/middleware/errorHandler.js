@@ -169,8 +169,8 @@ const handleMulterError = (err) => {
  * Convert known errors to AppError instances
  */
 const convertToAppError = (err) => {
-  // Mongoose validation error
-  if (err.name === 'ValidationError') {
+  // Mongoose validation error (request validation errors carry no `errors` map)
+  if (err.name === 'ValidationError' && err.errors) {
     return handleMongooseValidationError(err);
   }
 
@@ -190,7 +190,7 @@ const convertToAppError = (err) => {
   }
 
   // Multer errors
-  if (err.code && err.code.startsWith('LIMIT_')) {
+  if (typeof err.code === 'string' && err.code.startsWith('LIMIT_')) {
     return handleMulterError(err);
   }
 
@@ -199,6 +199,11 @@ const convertToAppError = (err) => {
     return err;
   }
 
+  // Operational errors thrown by other middleware (auth, request validation)
+  if (err.isOperational && err.statusCode) {
+    return new AppError(err.message, err.statusCode, err.code, err.details);
+  }
+
   // Default server error
   return new AppError(
     process.env.NODE_ENV === 'production' 
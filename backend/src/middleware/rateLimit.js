@@ -56,6 +56,39 @@ const rateLimiters = {
     }
   },
 
+  // Starting resumable uploads; their chunks are not limited
+  'upload-create': {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 20, // 20 uploads started per hour
+    message: {
+      success: false,
+      data: null,
+      error: 'Upload limit exceeded, please try again later'
+    }
+  },
+
+  // Queueing (or forcing a redo of) HLS transcoding; each job is minutes of ffmpeg
+  'video-transcode': {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // 10 transcoding requests per hour
+    message: {
+      success: false,
+      data: null,
+      error: 'Transcoding limit exceeded, please try again later'
+    }
+  },
+
+  // Queueing (or forcing a redo of) seek-bar preview sprites
+  'video-previews': {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 10, // 10 preview requests per hour
+    message: {
+      success: false,
+      data: null,
+      error: 'Preview generation limit exceeded, please try again later'
+    }
+  },
+
   'video-stream': {
     windowMs: 60 * 1000, // 1 minute
     max: 100, // 100 stream requests per minute
@@ -77,6 +110,37 @@ const rateLimiters = {
     }
   },
 
+  'subtitle-translation': {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 20, // 20 translations per hour
+    message: {
+      success: false,
+      data: null,
+      error: 'Translation limit exceeded, please try again later'
+    }
+  },
+
+  // Semantic search embeds new room content, so it is limited like other AI calls
+  'room-search': {
+    windowMs: 60 * 1000, // 1 minute
+    max: 30, // 30 searches per minute
+    message: {
+      success: false,
+      data: null,
+      error: 'Too many searches, please slow down'
+    }
+  },
+
+  'video-qa': {
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 60, // 60 questions per hour
+    message: {
+      success: false,
+      data: null,
+      error: 'Question limit exceeded, please try again later'
+    }
+  },
+
   'ai-summarization': {
     windowMs: 60 * 60 * 1000, // 1 hour
     max: 50, // 50 summarizations per hour
@@ -118,6 +182,16 @@ const rateLimiters = {
     }
   },
 
+  'sync-state': {
+    windowMs: 60 * 1000, // 1 minute
+    max: 30, // 30 state updates per minute
+    message: {
+      success: false,
+      data: null,
+      error: 'Too many playback updates, please slow down'
+    }
+  },
+
   // Branching endpoints
   'branching-create': {
     windowMs: 60 * 60 * 1000, // 1 hour
@@ -129,6 +203,16 @@ const rateLimiters = {
     }
   },
 
+  'branching-choice': {
+    windowMs: 60 * 1000, // 1 minute
+    max: 100, // 100 choices per minute
+    message: {
+      success: false,
+      data: null,
+      error: 'Too many choices recorded, please slow down'
+    }
+  },
+
   // Editor endpoints
   'editor-projects': {
     windowMs: 60 * 60 * 1000, // 1 hour
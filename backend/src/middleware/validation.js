@@ -59,6 +59,25 @@ export const commonSchemas = {
 };
 
 // Validation schemas
+const dateRangeSchema = Joi.object({
+  start: Joi.date().iso().required(),
+  end: Joi.date().iso().min(Joi.ref('start')).required()
+});
+
+// Report options shared by one-off and scheduled reports
+const generateReportSchema = Joi.object({
+  type: Joi.string().valid('engagement', 'performance', 'user', 'video', 'sync', 'comprehensive').required(),
+  dateRange: dateRangeSchema,
+  scope: Joi.string().valid('user', 'video', 'global').default('user'),
+  format: Joi.string().valid('json', 'csv').default('json'),
+  filters: Joi.object({
+    videoIds: Joi.array().items(mongoIdSchema),
+    categories: Joi.array().items(Joi.string()),
+    minViews: Joi.number().integer().min(0),
+    minDuration: Joi.number().min(0)
+  }).default({})
+});
+
 const validationSchemas = {
   // User validation schemas
   registerUser: Joi.object({
@@ -97,6 +116,27 @@ const validationSchemas = {
     confirmPassword: Joi.string().valid(Joi.ref('newPassword')).required()
   }),
 
+  refreshToken: Joi.object({
+    refreshToken: Joi.string().required()
+  }),
+
+  updatePreferences: Joi.object({
+    playbackSpeed: Joi.number().min(0.25).max(3),
+    theme: Joi.string().valid('dark', 'light', 'system'),
+    autoplay: Joi.boolean(),
+    volume: Joi.number().min(0).max(1),
+    quality: Joi.string().valid('auto', '240p', '360p', '480p', '720p', '1080p'),
+    subtitleLanguage: Joi.string().max(10),
+    notifications: Joi.boolean()
+  }).min(1),
+
+  updateHistory: Joi.object({
+    videoId: mongoIdSchema,
+    position: Joi.number().min(0).required(),
+    completed: Joi.boolean(),
+    sessionId: optionalMongoIdSchema
+  }),
+
   forgotPassword: Joi.object({
     email: emailSchema
   }),
@@ -111,7 +151,7 @@ const validationSchemas = {
   uploadVideo: Joi.object({
     title: Joi.string().min(1).max(200).required(),
     description: Joi.string().max(2000),
-    tags: Joi.array().items(Joi.string().max(50)).max(20),
+    tags: Joi.array().items(Joi.string().max(50)).max(20).single(),
     category: Joi.string().max(50),
     isPrivate: Joi.boolean().default(false),
     allowDownload: Joi.boolean().default(true),
@@ -133,10 +173,21 @@ const validationSchemas = {
     thumbnail: Joi.string().uri()
   }),
 
+  searchVideos: Joi.object({
+    q: Joi.string().trim().min(1).max(API_CONSTANTS.MAX_SEARCH_QUERY_LENGTH),
+    category: Joi.string().max(50),
+    tags: Joi.string().max(500), // comma-separated
+    sort: Joi.string().valid('newest', 'oldest', 'views', 'rating', 'title').default('newest'),
+    page: Joi.number().integer().min(1).default(1),
+    limit: Joi.number().integer().min(1).max(100).default(20)
+  }),
+
   // Sync validation schemas
   createSyncSession: Joi.object({
     videoId: mongoIdSchema,
     name: Joi.string().min(1).max(100),
+    deviceId: Joi.string().max(128),
+    deviceName: Joi.string().max(100),
     description: Joi.string().max(500),
     isPrivate: Joi.boolean().default(false),
     maxParticipants: Joi.number().integer().min(2).max(100).default(10),
@@ -149,17 +200,40 @@ const validationSchemas = {
   }),
 
   joinSyncSession: Joi.object({
-    sessionCode: Joi.string().length(6).required(),
+    sessionId: optionalMongoIdSchema,
+    sessionCode: Joi.string().length(6),
+    deviceId: Joi.string().max(128).required(),
+    deviceName: Joi.string().max(100),
+    nickname: Joi.string().min(1).max(50)
+  }).xor('sessionId', 'sessionCode'),
+
+  joinByCode: Joi.object({
+    deviceId: Joi.string().max(128).required(),
+    deviceName: Joi.string().max(100),
     nickname: Joi.string().min(1).max(50)
   }),
 
   updateSyncState: Joi.object({
+    deviceId: Joi.string().max(128),
     currentTime: Joi.number().min(0).required(),
     isPlaying: Joi.boolean().required(),
-    playbackRate: Joi.number().positive().max(3).default(1),
+    playbackRate: Joi.number().min(0.25).max(3).default(1),
+    eventType: Joi.string().valid('play', 'pause', 'seek', 'rate', 'update').default('update'),
     timestamp: Joi.date().iso().default(() => new Date())
   }),
 
+  reportLag: Joi.object({
+    deviceId: Joi.string().max(128).required(),
+    latency: Joi.number().min(0),
+    jitter: Joi.number().min(0),
+    lagOffsetMs: Joi.number(),
+    clientTime: Joi.number()
+  }),
+
+  leaveSession: Joi.object({
+    deviceId: Joi.string().max(128).required()
+  }),
+
   // AI validation schemas
   transcribeVideo: Joi.object({
     videoId: mongoIdSchema,
@@ -168,6 +242,12 @@ const validationSchemas = {
     includeTimestamps: Joi.boolean().default(true)
   }),
 
+  startTranscription: Joi.object({
+    videoId: mongoIdSchema,
+    language: Joi.alternatives().try(Joi.string().valid('auto'), Joi.string().pattern(/^[a-z]{2}$/)).default('auto'),
+    force: Joi.boolean().default(false)
+  }),
+
   summarizeVideo: Joi.object({
     videoId: mongoIdSchema,
     type: Joi.string().valid('brief', 'detailed', 'bullets', 'chapters').default('brief'),
@@ -196,6 +276,45 @@ const validationSchemas = {
     })
   }),
 
+  createBranching: Joi.object({
+    title: Joi.string().min(1).max(255).required(),
+    description: Joi.string().max(2000).allow(''),
+    branchStructure: Joi.object({
+      decisionPoints: Joi.array().items(Joi.object().unknown(true)).required()
+    }).unknown(true).required(),
+    category: Joi.string().max(50),
+    tags: Joi.array().items(Joi.string().max(30)).max(20),
+    difficulty: Joi.string().valid('easy', 'medium', 'hard'),
+    settings: Joi.object({
+      allowSkipping: Joi.boolean(),
+      showProgress: Joi.boolean(),
+      enableAnalytics: Joi.boolean(),
+      maxReplayCount: Joi.number().integer().min(1).allow(null)
+    })
+  }),
+
+  updateBranching: Joi.object({
+    title: Joi.string().min(1).max(255),
+    description: Joi.string().max(2000).allow(''),
+    branchStructure: Joi.object({
+      decisionPoints: Joi.array().items(Joi.object().unknown(true)).required()
+    }).unknown(true),
+    category: Joi.string().max(50),
+    tags: Joi.array().items(Joi.string().max(30)).max(20),
+    difficulty: Joi.string().valid('easy', 'medium', 'hard'),
+    isPublished: Joi.boolean(),
+    settings: Joi.object({
+      allowSkipping: Joi.boolean(),
+      showProgress: Joi.boolean(),
+      enableAnalytics: Joi.boolean(),
+      maxReplayCount: Joi.number().integer().min(1).allow(null)
+    })
+  }).min(1),
+
+  validateStructure: Joi.object({
+    branchStructure: Joi.object().unknown(true).required()
+  }),
+
   addDecisionPoint: Joi.object({
     timestamp: Joi.number().min(0).required(),
     question: Joi.string().min(1).max(500).required(),
@@ -208,11 +327,17 @@ const validationSchemas = {
       })
     ).min(2).max(5).required(),
     type: Joi.string().valid('multiple-choice', 'binary', 'custom').default('multiple-choice'),
-    layout: Joi.string().valid('horizontal', 'vertical', 'grid').default('horizontal')
+    layout: Joi.string().valid('horizontal', 'vertical', 'grid').default('horizontal'),
+    timeLimit: Joi.number().integer().min(5).max(300)
   }),
 
   recordChoice: Joi.object({
+    decisionPointId: Joi.string().max(100).required(),
     choiceIndex: Joi.number().integer().min(0).required(),
+    userSessionId: Joi.string().max(100),
+    videoTime: Joi.number().min(0),
+    decisionTime: Joi.number().integer().min(0),
+    deviceId: Joi.string().max(100),
     timestamp: Joi.date().iso().default(() => new Date()),
     userAgent: Joi.string(),
     metadata: Joi.object()
@@ -242,7 +367,7 @@ const validationSchemas = {
 
   addSceneMarker: Joi.object({
     timestamp: Joi.number().min(0).required(),
-    type: Joi.string().valid('cut', 'fade', 'transition', 'annotation', 'chapter').required(),
+    type: Joi.string().valid(...EDITOR_CONSTANTS.MARKER_TYPES).default('bookmark'),
     title: Joi.string().min(1).max(100),
     description: Joi.string().max(500),
     duration: Joi.number().min(0),
@@ -257,7 +382,7 @@ const validationSchemas = {
 
   updateSceneMarker: Joi.object({
     timestamp: Joi.number().min(0),
-    type: Joi.string().valid('cut', 'fade', 'transition', 'annotation', 'chapter'),
+    type: Joi.string().valid(...EDITOR_CONSTANTS.MARKER_TYPES),
     title: Joi.string().min(1).max(100),
     description: Joi.string().max(500),
     duration: Joi.number().min(0),
@@ -275,15 +400,9 @@ const validationSchemas = {
   }),
 
   exportProject: Joi.object({
-    format: Joi.string().valid('mp4', 'avi', 'mov', 'webm').default('mp4'),
-    quality: Joi.string().valid('low', 'medium', 'high', 'ultra').default('medium'),
-    resolution: Joi.string().valid('480p', '720p', '1080p', '4k'),
-    includeAudio: Joi.boolean().default(true),
-    watermark: Joi.object({
-      enabled: Joi.boolean().default(false),
-      text: Joi.string().max(50),
-      position: Joi.string().valid('top-left', 'top-right', 'bottom-left', 'bottom-right').default('bottom-right')
-    })
+    format: Joi.string().lowercase().valid('json', 'edl', 'srt', 'csv', 'xml', 'fcpxml').default('json'),
+    markerTypes: Joi.array().items(Joi.string().valid(...EDITOR_CONSTANTS.MARKER_TYPES)),
+    videoId: optionalMongoIdSchema
   }),
 
   shareProject: Joi.object({
@@ -293,26 +412,12 @@ const validationSchemas = {
   }),
 
   // Analytics validation schemas
-  generateReport: Joi.object({
-    type: Joi.string().valid('engagement', 'performance', 'user', 'video', 'sync', 'comprehensive').required(),
-    dateRange: Joi.object({
-      start: Joi.date().iso().required(),
-      end: Joi.date().iso().min(Joi.ref('start')).required()
-    }).required(),
-    scope: Joi.string().valid('user', 'video', 'global').default('user'),
-    format: Joi.string().valid('json', 'csv', 'pdf').default('json'),
-    includeCharts: Joi.boolean().default(false),
-    filters: Joi.object({
-      videoIds: Joi.array().items(mongoIdSchema),
-      userIds: Joi.array().items(mongoIdSchema),
-      categories: Joi.array().items(Joi.string()),
-      minViews: Joi.number().integer().min(0),
-      minDuration: Joi.number().min(0)
-    })
+  generateReport: generateReportSchema.keys({
+    dateRange: dateRangeSchema.required()
   }),
 
   scheduleReport: Joi.object({
-    reportConfig: Joi.object().required(), // Uses generateReport schema
+    reportConfig: generateReportSchema.required(), // dateRange is set per run
     schedule: Joi.object({
       frequency: Joi.string().valid('daily', 'weekly', 'monthly').required(),
       time: Joi.string().pattern(/^([01]\d|2[0-3]):([0-5]\d)$/).required(), // HH:MM format
@@ -327,15 +432,11 @@ const validationSchemas = {
   }),
 
   exportAnalytics: Joi.object({
-    format: Joi.string().valid('json', 'csv', 'xlsx').default('json'),
-    dateRange: Joi.object({
-      start: Joi.date().iso().required(),
-      end: Joi.date().iso().min(Joi.ref('start')).required()
-    }).required(),
+    format: Joi.string().valid('json', 'csv').default('json'),
+    dateRange: dateRangeSchema.required(),
     metrics: Joi.array().items(
       Joi.string().valid('views', 'engagement', 'duration', 'sync', 'branching', 'ai')
-    ).min(1).required(),
-    includeRawData: Joi.boolean().default(false)
+    ).min(1).required()
   }),
 
   // Query parameter validations
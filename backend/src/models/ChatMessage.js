@@ -30,9 +30,24 @@ const chatMessageSchema = new mongoose.Schema({
   },
   messageType: {
     type: String,
-    enum: ['text', 'timestamp', 'system'],
+    enum: ['text', 'timestamp', 'system', 'bot'],
     default: 'text'
   },
+  // Bot answers: transcript moments the answer cites, and the question it answers
+  citations: {
+    type: [{
+      _id: false,
+      ref: { type: Number, required: true },
+      start: { type: Number, required: true, min: 0 },
+      end: { type: Number, min: 0 },
+      text: { type: String, maxlength: 300 }
+    }],
+    default: undefined
+  },
+  replyTo: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ChatMessage'
+  },
   referencedTimestamp: {
     type: Number,
     min: 0
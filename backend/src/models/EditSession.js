@@ -10,14 +10,34 @@ const editSessionSchema = new mongoose.Schema({
     type: String,
     required: true,
     unique: true,
-    index: true
+    index: true,
+    default: () => new mongoose.Types.ObjectId().toString()
   },
+  // Set for sessions attached to a sync room; standalone editor projects have none
   roomId: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'SyncRoom',
-    required: true,
+    default: null,
+    index: true
+  },
+  videoId: {
+    type: String,
+    ref: 'Video',
+    default: null,
     index: true
   },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+    default: 'Untitled project'
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: ''
+  },
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -147,6 +167,23 @@ const editSessionSchema = new mongoose.Schema({
       default: 30000 // 30 seconds
     }
   },
+  exportSettings: {
+    resolution: {
+      type: String,
+      enum: ['720p', '1080p', '4k'],
+      default: '1080p'
+    },
+    frameRate: {
+      type: Number,
+      enum: [24, 30, 60],
+      default: 30
+    },
+    audioQuality: {
+      type: String,
+      enum: ['standard', 'high', 'lossless'],
+      default: 'high'
+    }
+  },
   status: {
     type: String,
     enum: ['active', 'paused', 'completed', 'cancelled'],
@@ -1,9 +1,10 @@
 import mongoose from 'mongoose';
 
 const subtitleSchema = new mongoose.Schema({
+  // Set for tracks generated from a platform video's transcript
   videoId: {
     type: String,
-    required: true,
+    default: null,
     index: true
   },
   roomCode: {
@@ -18,10 +19,10 @@ const subtitleSchema = new mongoose.Schema({
   },
   format: {
     type: String,
-    enum: ['vtt', 'srt'],
+    enum: ['vtt', 'srt', 'ass', 'ssa', 'ttml', 'dfxp', 'sbv', 'json'],
     default: 'vtt'
   },
-  subtitles: [{
+  cues: [{
     startTime: {
       type: Number,
       required: true
@@ -34,16 +35,55 @@ const subtitleSchema = new mongoose.Schema({
       type: String,
       required: true
     },
-    speaker: String
+    speaker: String,
+    // Cue identifier (WebVTT cue id, TTML xml:id)
+    id: String,
+    // Name of an entry in `styles`
+    style: String,
+    // { anchor, x, y, size, vertical, line, region }, see utils/subtitleFormats
+    layout: mongoose.Schema.Types.Mixed,
+    // Formatted text runs [{ text, italic, bold, underline, color }]
+    runs: mongoose.Schema.Types.Mixed,
+    // ASS event fields with no equivalent elsewhere
+    ass: mongoose.Schema.Types.Mixed
+  }],
+  // Named styles, format comments and format-specific data kept from the
+  // uploaded file so exports to the same format lose as little as possible
+  styles: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  notes: [{
+    before: Number,
+    text: String
   }],
+  formatData: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
   transcript: {
     type: String,
     default: ''
   },
+  uploadedBy: {
+    type: String,
+    default: null
+  },
+  uploaderName: String,
   isAutoGenerated: {
     type: Boolean,
     default: false
   },
+  // Display names of the diarized speakers in auto-generated tracks
+  speakers: [String],
+  isMachineTranslated: {
+    type: Boolean,
+    default: false
+  },
+  translatedFrom: {
+    subtitleId: String,
+    language: String
+  },
   accuracy: {
     type: Number,
     min: 0,
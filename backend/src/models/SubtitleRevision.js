@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Cues of a subtitle track as they were before a timing operation or edit,
+// so the change can be undone
+const subtitleRevisionSchema = new mongoose.Schema({
+  subtitleId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Increases per track; the highest one is undone first
+  revision: {
+    type: Number,
+    required: true
+  },
+  operation: {
+    type: String,
+    enum: ['shift', 'stretch', 'framerate', 'align', 'edit'],
+    required: true
+  },
+  params: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  cues: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  },
+  cueCount: {
+    type: Number,
+    default: 0
+  },
+  createdBy: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+subtitleRevisionSchema.index({ subtitleId: 1, revision: -1 }, { unique: true });
+
+export const SubtitleRevision = mongoose.model('SubtitleRevision', subtitleRevisionSchema);
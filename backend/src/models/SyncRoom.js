@@ -5,8 +5,12 @@ const ParticipantSchema = new mongoose.Schema({
   lastSeen: { type: Date, default: Date.now },
   isHost: { type: Boolean, default: false },
   canControl: { type: Boolean, default: false },
-  lagMs: { type: Number, default: 0 },
-  lastSync: { type: Date, default: Date.now }
+  lagMs: { type: Number, default: 0 }, // measured playback drift against the room clock
+  clockOffsetMs: { type: Number, default: 0 }, // server clock minus client clock
+  rttMs: { type: Number, default: 0 },
+  jitterMs: { type: Number, default: 0 },
+  lastSync: { type: Date, default: Date.now },
+  verifiedHash: { type: String } // content hash of the local file this participant opened, once it matched the room's
 }, { _id: false });
 
 const VideoMetadataSchema = new mongoose.Schema({
@@ -16,11 +20,22 @@ const VideoMetadataSchema = new mongoose.Schema({
   mimeType: { type: String },
   resolution: { type: String },
   uploadedBy: { type: String, required: true },
+  videoId: { type: String }, // the library video the room was created around
+  contentHash: { type: String },
   uploadedAt: { type: Date, default: Date.now },
-  expiresAt: { type: Date, required: true }, // when video becomes unavailable
+  expiresAt: { type: Date, required: function () { return this.isTemporary !== false; } }, // when video becomes unavailable
   isTemporary: { type: Boolean, default: true }
 }, { _id: false });
 
+const QueueItemSchema = new mongoose.Schema({
+  id: { type: String, required: true },
+  videoUrl: { type: String, required: true },
+  title: { type: String },
+  duration: { type: Number }, // in seconds, used to validate end-of-item reports
+  addedBy: { type: String },
+  addedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
 const SyncRoomSchema = new mongoose.Schema({
   code: { type: String, unique: true, index: true },
   hostId: { type: String, required: true },
@@ -28,7 +43,13 @@ const SyncRoomSchema = new mongoose.Schema({
     t: { type: Number, default: 0 },
     paused: { type: Boolean, default: true },
     rate: { type: Number, default: 1 },
-    videoHash: { type: String },
+    anchorAt: { type: Date, default: Date.now }, // wall-clock time at which playback was at `t`
+    // 'stream': everyone plays videoUrl; 'local': everyone opens their own copy of the file with videoHash
+    source: { type: String, enum: ['stream', 'local'], default: 'stream' },
+    videoHash: { type: String }, // content hash of the video (utils/contentHash.js), when known
+    videoId: { type: String }, // library video being streamed, if any
+    videoSize: { type: Number }, // bytes of the local file
+    videoName: { type: String }, // file name the host opened, as a hint for the others
     videoUrl: { type: String },
     lastUpdatedBy: { type: String },
     lastUpdatedAt: { type: Date, default: Date.now }
@@ -36,17 +57,34 @@ const SyncRoomSchema = new mongoose.Schema({
   video: VideoMetadataSchema,
   participants: [ParticipantSchema],
   controllers: [{ type: String }], // userIds who are allowed to control besides host
+  moderators: [{ type: String }], // userIds who can manage controllers (and control playback unless allowControl is 'host')
+  queue: [QueueItemSchema], // upcoming items, played in order
+  nowPlaying: QueueItemSchema, // queue item currently loaded, if playback came from the queue
+  skipVotes: [{ type: String }], // userIds voting to skip the current item
   settings: {
     allowControl: { type: String, enum: ['host', 'all', 'moderators'], default: 'host' },
     maxParticipants: { type: Number, default: 10 },
     autoSync: { type: Boolean, default: true },
     lagCompensation: { type: Boolean, default: true }
   },
-  expiresAt: { type: Date, default: () => new Date(Date.now() + 1000 * 60 * 60 * 6) }, // 6 hours default
-  status: { type: String, enum: ['active', 'paused', 'ended'], default: 'active' }
+  // 6 hours default; persistent rooms have none, or loading one would fill it in and the next save would let the TTL index delete it
+  expiresAt: {
+    type: Date,
+    default: function () {
+      return this.persistent ? undefined : new Date(Date.now() + 1000 * 60 * 60 * 6);
+    }
+  },
+  status: { type: String, enum: ['active', 'paused', 'ended', 'dormant'], default: 'active' },
+  persistent: { type: Boolean, default: false }, // kept across sessions instead of TTL-expired
+  retention: {
+    policy: { type: String, enum: ['inactivity', 'forever'], default: 'inactivity' },
+    inactiveDays: { type: Number, default: 30 } // persistent rooms dormant this long are purged
+  },
+  lastActiveAt: { type: Date, default: Date.now },
+  dormantSince: { type: Date }
 }, { timestamps: true });
 
-// TTL index for auto-expiration
+// TTL index for auto-expiration (documents without expiresAt, i.e. persistent rooms, are never TTL-deleted)
 SyncRoomSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
 // Index for video expiration
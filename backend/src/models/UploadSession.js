@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+
+// One resumable (chunked) upload; bytes land in tempPath until the last chunk arrives
+const uploadSessionSchema = new mongoose.Schema({
+  uploadId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: String,
+    required: true
+  },
+  // Sessions started while logged in only accept chunks from that account
+  authenticated: {
+    type: Boolean,
+    default: false
+  },
+  filename: {
+    type: String,
+    required: true,
+    maxlength: 255
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 1 // bytes
+  },
+  chunkSize: {
+    type: Number,
+    required: true
+  },
+  // Bytes received and verified so far; the next chunk must start here
+  offset: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tempPath: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'processing', 'completed', 'failed'],
+    default: 'uploading'
+  },
+  // Passed to videoService.storeAndProcessVideo() once the file is complete
+  options: {
+    title: String,
+    description: String,
+    isPublic: Boolean,
+    temporary: Boolean // the video expires unless a room keeps it (see Video.expiresAt)
+  },
+  videoId: {
+    type: String,
+    default: null
+  },
+  // Content hash the client computed before uploading, and the one the server got
+  expectedHash: {
+    type: String,
+    default: null
+  },
+  contentHash: {
+    type: String,
+    default: null
+  },
+  error: String,
+  // Pushed forward by every chunk; abandoned uploads are removed after it
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  completedAt: Date
+}, {
+  timestamps: true
+});
+
+uploadSessionSchema.index({ status: 1, expiresAt: 1 });
+
+const UploadSession = mongoose.model('UploadSession', uploadSessionSchema);
+
+export { UploadSession };
+export default UploadSession;
@@ -26,6 +26,29 @@ const userSchema = new mongoose.Schema({
     required: true,
     minlength: 8
   },
+  role: {
+    type: String,
+    enum: ['user', 'verified', 'premium', 'admin'],
+    default: 'user'
+  },
+  firstName: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: null
+  },
+  lastName: {
+    type: String,
+    trim: true,
+    maxlength: 50,
+    default: null
+  },
+  bio: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+    default: null
+  },
   avatarUrl: {
     type: String,
     default: null
@@ -10,6 +10,15 @@ const userChoiceSchema = new mongoose.Schema({
     ref: 'User',
     default: null
   },
+  branchingVideoId: {
+    type: String,
+    ref: 'BranchingVideo',
+    default: null
+  },
+  userSessionId: {
+    type: String,
+    default: null
+  },
   decisionPointId: {
     type: String,
     required: true,
@@ -109,6 +118,8 @@ const userChoiceSchema = new mongoose.Schema({
 userChoiceSchema.index({ userId: 1, createdAt: -1 });
 userChoiceSchema.index({ decisionPointId: 1, createdAt: -1 });
 userChoiceSchema.index({ sessionId: 1 });
+userChoiceSchema.index({ branchingVideoId: 1, decisionPointId: 1 });
+userChoiceSchema.index({ userSessionId: 1, createdAt: 1 });
 userChoiceSchema.index({ deviceId: 1 });
 userChoiceSchema.index({ choiceMade: 1 });
 userChoiceSchema.index({ isValid: 1 });
@@ -168,6 +179,31 @@ userChoiceSchema.methods.getChoicePath = function() {
 // Method to validate choice against decision point
 userChoiceSchema.methods.validateChoice = async function() {
   try {
+    // Choices on a branching video are checked against its branch structure
+    if (this.branchingVideoId) {
+      const BranchingVideo = mongoose.model('BranchingVideo');
+      const branchingVideo = await BranchingVideo.findById(this.branchingVideoId)
+        .select('branchStructure')
+        .lean();
+      const point = branchingVideo?.branchStructure?.decisionPoints
+        ?.find(candidate => candidate.id === this.decisionPointId);
+
+      if (!point) {
+        this.isValid = false;
+        this.validationNotes = 'Decision point not found';
+        return false;
+      }
+      if (!point.choices.some(choice => choice.id === this.choiceMade)) {
+        this.isValid = false;
+        this.validationNotes = 'Choice not available in decision point';
+        return false;
+      }
+
+      this.isValid = true;
+      this.validationNotes = null;
+      return true;
+    }
+
     const DecisionPoint = mongoose.model('DecisionPoint');
     const decisionPoint = await DecisionPoint.findById(this.decisionPointId);
     
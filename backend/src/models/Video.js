@@ -27,9 +27,17 @@ const videoSchema = new mongoose.Schema({
     required: true,
     min: 0 // bytes
   },
+  // Key of the file in media storage (services/storageService.js)
+  storageKey: {
+    type: String,
+    default: null
+  },
+  // Path on local disk, for videos stored before media storage
   filePath: {
     type: String,
-    required: true
+    required() {
+      return !this.storageKey;
+    }
   },
   mimeType: {
     type: String,
@@ -56,10 +64,24 @@ const videoSchema = new mongoose.Schema({
     type: String,
     default: null
   },
+  // Content hash of the stored file (see VideoBlob); null for files stored before deduplication
+  contentHash: {
+    type: String,
+    default: null
+  },
+  // Set for temporary uploads, e.g. a room's video; removed after this once no live room plays it
+  expiresAt: {
+    type: Date,
+    default: null
+  },
   thumbnailUrl: {
     type: String,
     default: null
   },
+  thumbnailKey: {
+    type: String,
+    default: null
+  },
   uploadedBy: {
     type: String,
     required: true,
@@ -74,6 +96,55 @@ const videoSchema = new mongoose.Schema({
     enum: ['pending', 'processing', 'completed', 'failed'],
     default: 'pending'
   },
+  // HLS ladder transcoded from the original; the original stays playable meanwhile
+  streaming: {
+    status: {
+      type: String,
+      enum: ['none', 'queued', 'transcoding', 'ready', 'failed'],
+      default: 'none'
+    },
+    renditions: [{
+      _id: false,
+      name: { type: String, required: true },
+      width: Number,
+      height: Number,
+      videoBitrate: Number, // kbit/s
+      audioBitrate: Number, // kbit/s
+      status: { type: String, enum: ['pending', 'transcoding', 'ready', 'failed'], default: 'pending' },
+      progress: { type: Number, default: 0, min: 0, max: 1 },
+      segments: { type: Number, default: 0 }, // segments in storage, segment_00000.ts onwards
+      error: String,
+      completedAt: Date
+    }],
+    segmentSeconds: Number,
+    attempts: { type: Number, default: 0 },
+    heartbeatAt: Date, // refreshed while a worker transcodes; a stale one means the worker died
+    queuedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    error: String
+  },
+  // Seek-bar preview sprite sheets in media storage, indexed by a WebVTT track
+  previews: {
+    status: {
+      type: String,
+      enum: ['none', 'queued', 'generating', 'ready', 'failed'],
+      default: 'none'
+    },
+    interval: Number, // seconds between tiles
+    columns: Number,
+    rows: Number,
+    tileWidth: Number,
+    tileHeight: Number,
+    sheets: { type: Number, default: 0 }, // sheets in storage, sprite_000.jpg onwards
+    progress: { type: Number, default: 0, min: 0, max: 1 },
+    attempts: { type: Number, default: 0 },
+    heartbeatAt: Date, // refreshed while a worker draws; a stale one means the worker died
+    queuedAt: Date,
+    startedAt: Date,
+    completedAt: Date,
+    error: String
+  },
   metadata: {
     type: mongoose.Schema.Types.Mixed,
     default: {}
@@ -119,6 +190,8 @@ videoSchema.index({ isPublic: 1, isDeleted: 1 });
 videoSchema.index({ title: 'text', description: 'text' });
 videoSchema.index({ tags: 1 });
 videoSchema.index({ category: 1 });
+videoSchema.index({ contentHash: 1 });
+videoSchema.index({ expiresAt: 1 }, { partialFilterExpression: { expiresAt: { $type: 'date' } } });
 
 // Virtual for formatted duration
 videoSchema.virtual('formattedDuration').get(function() {
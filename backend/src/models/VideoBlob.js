@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// One stored video file, shared by every Video whose upload had the same bytes
+const videoBlobSchema = new mongoose.Schema({
+  // Content hash of the file (utils/contentHash.js)
+  _id: {
+    type: String,
+    required: true,
+    match: /^[0-9a-f]{64}$/
+  },
+  // Where the file is kept (services/storageService.js)
+  storageKey: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number,
+    required: true,
+    min: 0 // bytes
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  // Videos pointing at this file; it is deleted when the last one goes
+  refCount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Probe results, so a duplicate upload does not need ffprobe again
+  probe: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+const VideoBlob = mongoose.model('VideoBlob', videoBlobSchema);
+
+export { VideoBlob };
+export default VideoBlob;
@@ -35,7 +35,7 @@ const videoTranscriptSchema = new mongoose.Schema({
   },
   processingMethod: {
     type: String,
-    enum: ['whisper', 'google-speech', 'azure-speech', 'manual'],
+    enum: ['whisper', 'google-speech', 'azure-speech', 'local', 'http', 'manual'],
     default: 'whisper'
   },
   modelVersion: {
@@ -59,7 +59,9 @@ const videoTranscriptSchema = new mongoose.Schema({
       type: Number,
       min: 0,
       max: 1
-    }
+    },
+    // Speaker label from diarizing speech-to-text backends
+    speaker: String
   }],
   isActive: {
     type: Boolean,
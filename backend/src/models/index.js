@@ -18,7 +18,10 @@ export { BranchingPoint } from './BranchingPoint.js';
 export { ChatMessage } from './ChatMessage.js';
 export { CollaborativeNote } from './CollaborativeNote.js';
 export { Subtitle } from './Subtitle.js';
+export { SubtitleRevision } from './SubtitleRevision.js';
 export { VideoAnalytics } from './VideoAnalytics.js';
+export { UploadSession } from './UploadSession.js';
+export { VideoBlob } from './VideoBlob.js';
 
 // Import models for the collections object
 import { User } from './User.js';
@@ -38,7 +41,10 @@ import { BranchingPoint } from './BranchingPoint.js';
 import { ChatMessage } from './ChatMessage.js';
 import { CollaborativeNote } from './CollaborativeNote.js';
 import { Subtitle } from './Subtitle.js';
+import { SubtitleRevision } from './SubtitleRevision.js';
 import { VideoAnalytics } from './VideoAnalytics.js';
+import { UploadSession } from './UploadSession.js';
+import { VideoBlob } from './VideoBlob.js';
 
 // Model collections for batch operations
 export const models = {
@@ -59,7 +65,10 @@ export const models = {
   ChatMessage,
   CollaborativeNote,
   Subtitle,
-  VideoAnalytics
+  SubtitleRevision,
+  VideoAnalytics,
+  UploadSession,
+  VideoBlob
 };
 
 // Model names for dynamic access
@@ -81,7 +90,10 @@ export const modelNames = [
   'ChatMessage',
   'CollaborativeNote',
   'Subtitle',
-  'VideoAnalytics'
+  'SubtitleRevision',
+  'VideoAnalytics',
+  'UploadSession',
+  'VideoBlob'
 ];
 
 // Helper function to get model by name
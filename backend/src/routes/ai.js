@@ -1,11 +1,28 @@
 import { Router } from 'express';
 import { getSummary } from '../controllers/summarizer.js';
 import { transcribeVideo } from '../services/whisper.js';
+import aiUtils from '../utils/aiUtils.js';
+import {
+  startTranscription,
+  getTranscriptionJob,
+  getVideoTranscript
+} from '../controllers/transcriptionController.js';
+import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { validateRequest } from '../middleware/validation.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = Router();
 
-// Endpoint to transcribe a video
-router.post('/transcribe', async (req, res) => {
+const handle = (controller) => async (req, res, next) => {
+  try {
+    await controller(req, res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Endpoint to transcribe an uploaded (base64) or remote video
+router.post('/transcribe', requireAuth, rateLimit('ai-transcription'), async (req, res) => {
   const { videoUrl, base64, lang } = req.body;
   if (!videoUrl && !base64) {
     return res.status(400).json({ error: 'videoUrl or base64 is required.' });
@@ -14,10 +31,26 @@ router.post('/transcribe', async (req, res) => {
     const transcript = await transcribeVideo({ videoUrl, base64, lang });
     res.json({ transcript });
   } catch (error) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ error: error.message });
+    }
     res.status(500).json({ error: 'Failed to transcribe video.' });
   }
 });
 
+// Transcribe a stored video in the background; poll the job for progress
+router.post('/transcriptions',
+  requireAuth,
+  rateLimit('ai-transcription'),
+  validateRequest('startTranscription'),
+  handle(startTranscription)
+);
+
+router.get('/transcriptions/:jobId', requireAuth, handle(getTranscriptionJob));
+
+// Stored transcript (segments and word timestamps) of a video
+router.get('/transcripts/:videoId', optionalAuth, handle(getVideoTranscript));
+
 // Endpoint to summarize a transcript up to a certain point
 router.post('/summarize', async (req, res) => {
   const { transcript, untilTimestamp } = req.body;
@@ -32,6 +65,11 @@ router.post('/summarize', async (req, res) => {
   }
 });
 
+// Provider health and which providers each AI task is routed to
+router.get('/providers', (req, res) => {
+  res.json(aiUtils.getServiceStatus());
+});
+
 // Optional: Endpoint for summary caching
 router.get('/summary-cache', (req, res) => {
   const { videoId, timestamp } = req.query;
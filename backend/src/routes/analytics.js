@@ -3,7 +3,7 @@ import {
   trackEvent,
   getAnalytics,
   getHeatmap,
-  getUserAnalytics,
+  getRoomUserAnalytics,
   exportAnalytics,
   getDashboard
 } from '../controllers/analyticsController.js';
@@ -14,7 +14,7 @@ const router = express.Router();
 router.post('/track', trackEvent);
 router.get('/:roomCode/analytics', getAnalytics);
 router.get('/:roomCode/heatmap', getHeatmap);
-router.get('/:roomCode/users/:userId', getUserAnalytics);
+router.get('/:roomCode/users/:userId', getRoomUserAnalytics);
 router.get('/:roomCode/export', exportAnalytics);
 router.get('/:roomCode/dashboard', getDashboard);
 
@@ -6,487 +6,103 @@ import {
   getPerformanceAnalytics,
   getUserAnalytics,
   getVideoAnalytics,
+  getVideoHeatmap,
   getSyncAnalytics,
   getBranchingAnalytics,
   getAIAnalytics,
   getSystemAnalytics,
+  getTrends,
+  getComparisons,
+  getRealtimeAnalytics,
   generateReport,
   getReports,
   scheduleReport,
+  exportPlatformAnalytics,
   getDashboardData
 } from '../controllers/analyticsController.js';
 import { requireAuth, requireRole } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
-import { createRateLimit } from '../middleware/rateLimit.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
-// Dashboard endpoint
-router.get('/dashboard',
-  requireAuth,
-  async (req, res) => {
-    try {
-      req.query.userId = req.user.id;
-      await getDashboardData(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
+// Every analytics endpoint needs a signed-in user; the controllers limit
+// non-admins to their own videos, sessions and branching videos
+router.use(requireAuth);
+
+const handle = (controller) => async (req, res, next) => {
+  try {
+    await controller(req, res);
+  } catch (error) {
+    next(error);
   }
-);
+};
+
+// Dashboard endpoint
+router.get('/dashboard', handle(getDashboardData));
 
 // View history analytics
-router.get('/views/history',
-  requireAuth,
-  async (req, res) => {
-    try {
-      req.query.userId = req.user.id;
-      await getViewHistory(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
+router.get('/views/history', handle(getViewHistory));
 
 // User analytics
-router.get('/users/:userId',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // Users can only access their own analytics unless they're admin
-      if (req.params.userId !== req.user.id && req.user.role !== 'admin') {
-        return res.status(403).json({
-          success: false,
-          data: null,
-          error: 'Access denied. You can only view your own analytics.'
-        });
-      }
-      await getUserAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
+router.get('/users/:userId', handle(getUserAnalytics));
 
 // My analytics (simplified endpoint for current user)
 router.get('/my/overview',
-  requireAuth,
-  async (req, res) => {
-    try {
-      req.params.userId = req.user.id;
-      await getUserAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
+  (req, res, next) => {
+    req.params.userId = req.user.id;
+    next();
+  },
+  handle(getUserAnalytics)
 );
 
-// Video analytics
-router.get('/videos/:videoId',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // TODO: Add authorization check for video ownership/access
-      await getVideoAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-router.get('/videos/:videoId/engagement',
-  requireAuth,
-  async (req, res) => {
-    try {
-      await getEngagementAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-router.get('/videos/:videoId/performance',
-  requireAuth,
-  async (req, res) => {
-    try {
-      await getPerformanceAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
+// Video analytics (owner or admin)
+router.get('/videos/:videoId', handle(getVideoAnalytics));
+router.get('/videos/:videoId/engagement', handle(getEngagementAnalytics));
+router.get('/videos/:videoId/performance', handle(getPerformanceAnalytics));
+router.get('/heatmaps/:videoId', handle(getVideoHeatmap));
 
 // Popular content analytics
-router.get('/popularity',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // Filter by user's content unless admin
-      if (req.user.role !== 'admin') {
-        req.query.userId = req.user.id;
-      }
-      await getPopularityAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
+router.get('/popularity', handle(getPopularityAnalytics));
 
 // Sync session analytics
-router.get('/sync',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // Filter by user's sessions unless admin
-      if (req.user.role !== 'admin') {
-        req.query.userId = req.user.id;
-      }
-      await getSyncAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-router.get('/sync/:sessionId',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // TODO: Add authorization check for session access
-      await getSyncAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
+router.get('/sync', handle(getSyncAnalytics));
+router.get('/sync/:sessionId', handle(getSyncAnalytics));
 
 // Branching video analytics
-router.get('/branching',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // Filter by user's branching videos unless admin
-      if (req.user.role !== 'admin') {
-        req.query.userId = req.user.id;
-      }
-      await getBranchingAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-router.get('/branching/:branchingVideoId',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // TODO: Add authorization check for branching video ownership
-      await getBranchingAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
+router.get('/branching', handle(getBranchingAnalytics));
+router.get('/branching/:branchingVideoId', handle(getBranchingAnalytics));
 
 // AI analytics
-router.get('/ai',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // Filter by user's AI usage unless admin
-      if (req.user.role !== 'admin') {
-        req.query.userId = req.user.id;
-      }
-      await getAIAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
+router.get('/ai', handle(getAIAnalytics));
 
 // System analytics (admin only)
-router.get('/system',
-  requireAuth,
-  requireRole('admin'),
-  async (req, res) => {
-    try {
-      await getSystemAnalytics(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
+router.get('/system', requireRole('admin'), handle(getSystemAnalytics));
+
+// Trends, comparisons and live figures
+router.get('/trends', handle(getTrends));
+router.get('/comparisons', handle(getComparisons));
+router.get('/realtime', handle(getRealtimeAnalytics));
 
 // Reports
 router.post('/reports',
-  requireAuth,
-  createRateLimit('analytics-reports', 10, 60 * 60 * 1000), // 10 reports per hour
+  rateLimit('analytics-reports', 10, 60 * 60 * 1000), // 10 reports per hour
   validateRequest('generateReport'),
-  async (req, res) => {
-    try {
-      req.body.requestedBy = req.user.id;
-      // Users can only generate reports for their own data unless admin
-      if (req.user.role !== 'admin' && req.body.scope !== 'user') {
-        req.body.userId = req.user.id;
-        req.body.scope = 'user';
-      }
-      await generateReport(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
+  handle(generateReport)
 );
 
-router.get('/reports',
-  requireAuth,
-  async (req, res) => {
-    try {
-      req.query.userId = req.user.id;
-      await getReports(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
+router.get('/reports', handle(getReports));
 
 router.post('/reports/schedule',
-  requireAuth,
   validateRequest('scheduleReport'),
-  async (req, res) => {
-    try {
-      req.body.userId = req.user.id;
-      await scheduleReport(req, res);
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-// Advanced analytics endpoints
-router.get('/heatmaps/:videoId',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // Generate viewing heatmap for a video
-      const heatmapData = {
-        videoId: req.params.videoId,
-        segments: [], // TODO: Calculate actual heatmap segments
-        totalViews: 0,
-        averageWatchTime: 0,
-        dropOffPoints: [],
-        engagementPoints: []
-      };
-
-      res.json({
-        success: true,
-        data: heatmapData,
-        error: null
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-router.get('/trends',
-  requireAuth,
-  async (req, res) => {
-    try {
-      const { timeRange = '7d', metric = 'views' } = req.query;
-      
-      // TODO: Implement actual trend calculation
-      const trends = {
-        timeRange,
-        metric,
-        data: [],
-        growth: 0,
-        prediction: []
-      };
-
-      res.json({
-        success: true,
-        data: trends,
-        error: null
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-router.get('/comparisons',
-  requireAuth,
-  async (req, res) => {
-    try {
-      const { videoIds, metrics = ['views', 'engagement'] } = req.query;
-      
-      if (!videoIds) {
-        return res.status(400).json({
-          success: false,
-          data: null,
-          error: 'Video IDs are required for comparison'
-        });
-      }
-
-      // TODO: Implement video comparison logic
-      const comparison = {
-        videos: videoIds.split(','),
-        metrics: metrics,
-        data: {},
-        summary: {}
-      };
-
-      res.json({
-        success: true,
-        data: comparison,
-        error: null
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-// Real-time analytics
-router.get('/realtime',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // TODO: Implement real-time analytics
-      const realtimeData = {
-        activeUsers: 0,
-        currentViews: 0,
-        activeSessions: 0,
-        serverLoad: 0,
-        timestamp: new Date().toISOString()
-      };
-
-      res.json({
-        success: true,
-        data: realtimeData,
-        error: null
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
+  handle(scheduleReport)
 );
 
 // Export analytics data
 router.post('/export',
-  requireAuth,
-  createRateLimit('analytics-export', 5, 60 * 60 * 1000), // 5 exports per hour
+  rateLimit('analytics-export', 5, 60 * 60 * 1000), // 5 exports per hour
   validateRequest('exportAnalytics'),
-  async (req, res) => {
-    try {
-      const { format = 'json', dateRange, metrics } = req.body;
-      
-      // TODO: Implement analytics export
-      const exportData = {
-        exportId: `export_${Date.now()}`,
-        format,
-        dateRange,
-        metrics,
-        status: 'processing',
-        downloadUrl: null
-      };
-
-      res.json({
-        success: true,
-        data: exportData,
-        error: null
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
+  handle(exportPlatformAnalytics)
 );
 
 export default router;
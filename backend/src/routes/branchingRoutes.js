@@ -9,47 +9,78 @@ import {
   getViewingPath,
   getBranchingAnalytics,
   deleteDecisionPoint,
-  validateStructure
+  validateStructure,
+  discoverBranchingVideos,
+  getTrendingBranchingVideos,
+  getUserBranchingVideos
 } from '../controllers/branchingController.js';
 import { requireAuth, optionalAuth } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
-import { createRateLimit } from '../middleware/rateLimit.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
+// Static paths are registered first so '/my/branching' is not read as '/:id/branching'
+
+// Get all branching videos (public)
+router.get('/branching/discover',
+  optionalAuth,
+  async (req, res, next) => {
+    try {
+      await discoverBranchingVideos(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get trending branching videos
+router.get('/branching/trending',
+  async (req, res, next) => {
+    try {
+      await getTrendingBranchingVideos(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Get user's branching videos
+router.get('/my/branching',
+  requireAuth,
+  async (req, res, next) => {
+    try {
+      await getUserBranchingVideos(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
 // Branching video management
 router.post('/:id/branching',
   requireAuth,
-  createRateLimit('branching', 10, 60 * 60 * 1000), // 10 branching videos per hour
+  rateLimit('branching-create', 10, 60 * 60 * 1000), // 10 branching videos per hour
   validateRequest('createBranching'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       req.body.parentVideoId = req.params.id;
-      req.body.createdBy = req.user.id;
       await createBranchingVideo(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.get('/:id/branching',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       // Find branching video by parent video ID
       req.params.branchingVideoId = req.params.id;
       await getBranchingVideo(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -57,16 +88,12 @@ router.get('/:id/branching',
 router.put('/:id/branching',
   requireAuth,
   validateRequest('updateBranching'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       req.params.branchingVideoId = req.params.id;
       await updateBranchingVideo(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -75,47 +102,35 @@ router.put('/:id/branching',
 router.post('/:id/decision-points',
   requireAuth,
   validateRequest('addDecisionPoint'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       req.params.branchingVideoId = req.params.id;
       await addDecisionPoint(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.get('/:id/decision-points',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       req.params.branchingVideoId = req.params.id;
       await getDecisionPoints(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.delete('/decision-points/:decisionPointId',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await deleteDecisionPoint(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -123,19 +138,14 @@ router.delete('/decision-points/:decisionPointId',
 // User choice recording
 router.post('/:id/choice',
   optionalAuth,
-  createRateLimit('choice', 100, 60 * 1000), // 100 choices per minute
+  rateLimit('branching-choice', 100, 60 * 1000), // 100 choices per minute
   validateRequest('recordChoice'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      req.body.userId = req.user?.id;
       req.params.branchingVideoId = req.params.id;
       await recordChoice(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -143,34 +153,25 @@ router.post('/:id/choice',
 // User viewing path
 router.get('/:id/path',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       req.params.branchingVideoId = req.params.id;
-      req.query.userId = req.user?.id || req.query.guestId;
       await getViewingPath(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
-// Analytics
+// Analytics (creator only)
 router.get('/:id/analytics',
-  optionalAuth,
-  async (req, res) => {
+  requireAuth,
+  async (req, res, next) => {
     try {
       req.params.branchingVideoId = req.params.id;
       await getBranchingAnalytics(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -179,97 +180,11 @@ router.get('/:id/analytics',
 router.post('/validate-structure',
   requireAuth,
   validateRequest('validateStructure'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await validateStructure(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-// Get all branching videos (public)
-router.get('/branching/discover',
-  optionalAuth,
-  async (req, res) => {
-    try {
-      const { category, difficulty, tags, limit = 10, page = 1 } = req.query;
-      
-      // TODO: Implement discoverBranchingVideos in branchingController
-      res.json({
-        success: true,
-        data: {
-          videos: [],
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: 0,
-            pages: 0
-          },
-          filters: {
-            categories: ['interactive', 'educational', 'entertainment'],
-            difficulties: ['easy', 'medium', 'hard']
-          }
-        },
-        error: null
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-// Get trending branching videos
-router.get('/branching/trending',
-  async (req, res) => {
-    try {
-      // TODO: Implement getTrendingBranchingVideos in branchingController
-      res.json({
-        success: true,
-        data: {
-          trending: [],
-          timeframe: '7d'
-        },
-        error: null
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
-    }
-  }
-);
-
-// Get user's branching videos
-router.get('/my/branching',
-  requireAuth,
-  async (req, res) => {
-    try {
-      // TODO: Implement getUserBranchingVideos in branchingController
-      res.json({
-        success: true,
-        data: {
-          created: [],
-          participated: []
-        },
-        error: null
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -13,11 +13,14 @@ import {
   getUserProjects,
   updateProject,
   deleteProject,
+  shareProject,
+  getProjectAnalytics,
   generateTimelineThumbnails
 } from '../controllers/editorController.js';
 import { requireAuth, optionalAuth } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
-import { createRateLimit } from '../middleware/rateLimit.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { FileUploadError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
@@ -31,14 +34,14 @@ const upload = multer({
     const allowedTypes = [
       'application/json',
       'text/plain',
-      'application/xml',
-      'text/xml'
+      'text/csv',
+      'application/x-subrip'
     ];
     
-    if (allowedTypes.includes(file.mimetype) || file.originalname.endsWith('.edl')) {
+    if (allowedTypes.includes(file.mimetype) || /\.(edl|srt|csv)$/i.test(file.originalname)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only JSON, EDL, and XML project files are allowed.'), false);
+      cb(new FileUploadError('Invalid file type. Only JSON, EDL, SRT and CSV project files are allowed.'), false);
     }
   }
 });
@@ -46,33 +49,24 @@ const upload = multer({
 // Project management
 router.post('/projects',
   requireAuth,
-  createRateLimit('editor-projects', 20, 60 * 60 * 1000), // 20 projects per hour
+  rateLimit('editor-projects', 20, 60 * 60 * 1000), // 20 projects per hour
   validateRequest('createProject'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      req.body.userId = req.user.id;
       await createProject(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.get('/projects/:projectId',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await getProject(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -80,31 +74,22 @@ router.get('/projects/:projectId',
 router.put('/projects/:projectId',
   requireAuth,
   validateRequest('updateProject'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await updateProject(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.delete('/projects/:projectId',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      req.body.userId = req.user.id;
       await deleteProject(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -112,16 +97,12 @@ router.delete('/projects/:projectId',
 // Get user's projects
 router.get('/my/projects',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       req.params.userId = req.user.id;
       await getUserProjects(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -129,39 +110,25 @@ router.get('/my/projects',
 // Scene markers management
 router.post('/markers',
   requireAuth,
-  createRateLimit('editor-markers', 50, 60 * 1000), // 50 markers per minute
+  rateLimit('editor-markers', 50, 60 * 1000), // 50 markers per minute
   validateRequest('addSceneMarker'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      // If projectId is not provided, create a marker directly on the video
-      if (!req.body.projectId && req.body.videoId) {
-        // Create a temporary project or add marker directly to video
-        req.body.createdBy = req.user.id;
-      }
+      // Markers go on the project's video, or directly on body.videoId
       await addSceneMarker(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.get('/markers/:videoId',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      // Get markers for a specific video
-      req.params.projectId = req.params.videoId; // Assume project ID = video ID for simplicity
       await getSceneMarkers(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -169,30 +136,22 @@ router.get('/markers/:videoId',
 router.put('/markers/:markerId',
   requireAuth,
   validateRequest('updateSceneMarker'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await updateSceneMarker(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.delete('/markers/:markerId',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await deleteSceneMarker(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -200,31 +159,24 @@ router.delete('/markers/:markerId',
 // Project markers (specific to a project)
 router.get('/projects/:projectId/markers',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await getSceneMarkers(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.post('/projects/:projectId/markers',
   requireAuth,
+  rateLimit('editor-markers', 50, 60 * 1000), // 50 markers per minute
   validateRequest('addSceneMarker'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await addSceneMarker(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -232,33 +184,25 @@ router.post('/projects/:projectId/markers',
 // AI-powered features
 router.post('/projects/:projectId/cut-suggestions',
   requireAuth,
-  createRateLimit('editor-ai', 10, 60 * 60 * 1000), // 10 AI suggestions per hour
+  rateLimit('editor-ai', 10, 60 * 60 * 1000), // 10 AI suggestions per hour
   validateRequest('generateCutSuggestions'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await generateCutSuggestions(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.post('/projects/:projectId/thumbnails',
   requireAuth,
-  createRateLimit('editor-thumbnails', 5, 60 * 60 * 1000), // 5 thumbnail generations per hour
-  async (req, res) => {
+  rateLimit('editor-thumbnails', 5, 60 * 60 * 1000), // 5 thumbnail generations per hour
+  async (req, res, next) => {
     try {
       await generateTimelineThumbnails(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -266,17 +210,13 @@ router.post('/projects/:projectId/thumbnails',
 // Export functionality
 router.post('/export',
   requireAuth,
-  createRateLimit('editor-export', 10, 60 * 60 * 1000), // 10 exports per hour
+  rateLimit('editor-export', 10, 60 * 60 * 1000), // 10 exports per hour
   validateRequest('exportProject'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await exportProject(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -284,15 +224,11 @@ router.post('/export',
 router.post('/projects/:projectId/export',
   requireAuth,
   validateRequest('exportProject'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await exportProject(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -301,16 +237,11 @@ router.post('/projects/:projectId/export',
 router.post('/import',
   requireAuth,
   upload.single('projectFile'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      req.body.userId = req.user.id;
       await importProject(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -318,7 +249,7 @@ router.post('/import',
 // Templates and presets
 router.get('/templates',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       res.json({
         success: true,
@@ -347,11 +278,7 @@ router.get('/templates',
         error: null
       });
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -360,25 +287,11 @@ router.get('/templates',
 router.post('/projects/:projectId/share',
   requireAuth,
   validateRequest('shareProject'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      // TODO: Implement project sharing
-      const { userIds, permissions } = req.body;
-      
-      res.json({
-        success: true,
-        data: {
-          sharedWith: userIds,
-          shareCode: `EDIT-${req.params.projectId.slice(-6).toUpperCase()}`
-        },
-        error: null
-      });
+      await shareProject(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -386,28 +299,11 @@ router.post('/projects/:projectId/share',
 // Project analytics
 router.get('/projects/:projectId/analytics',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      // TODO: Implement project analytics
-      res.json({
-        success: true,
-        data: {
-          markers: {
-            total: 0,
-            byType: {}
-          },
-          exports: 0,
-          collaborators: 0,
-          lastModified: new Date().toISOString()
-        },
-        error: null
-      });
+      await getProjectAnalytics(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
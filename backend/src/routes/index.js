@@ -0,0 +1,54 @@
+import aiRoutes from './ai.js';
+import storyRoutes from './story.js';
+import markerRoutes from './markers.js';
+import roomRoutes from './roomRoutes.js';
+import chatRoutes from './chat.js';
+import notesRoutes from './notes.js';
+import subtitlesRoutes from './subtitles.js';
+import summaryRoutes from './summary.js';
+import videoRoutes from './videoRoutes.js';
+import uploadRoutes from './uploadRoutes.js';
+import mediaRoutes from './mediaRoutes.js';
+import syncRoutes from './syncRoutes.js';
+import userRoutes from './userRoutes.js';
+import branchingRoutes from './branchingRoutes.js';
+import editorRoutes from './editorRoutes.js';
+import analyticsRoutes from './analyticsRoutes.js';
+import roomAnalyticsRoutes from './analytics.js';
+
+/**
+ * Mount every REST API router on the app. Kept apart from server.js so the
+ * integration tests can build the same API without sockets or a listener.
+ * @param {import('express').Express} app - express app
+ */
+export const mountApiRoutes = (app) => {
+  app.use('/api/rooms', roomRoutes);
+  app.use('/api/ai', aiRoutes);
+
+  // Collaborative features
+  app.use('/api/chat', chatRoutes);
+  app.use('/api/notes', notesRoutes);
+  app.use('/api/subtitles', subtitlesRoutes);
+  app.use('/api/summary', summaryRoutes);
+
+  // Accounts (/api/auth/*, /api/users/*), the video library and synced playback
+  app.use('/api', userRoutes);
+  app.use('/api/videos', videoRoutes);
+  app.use('/api/uploads', uploadRoutes); // resumable uploads that end up in the video library
+  app.use('/api/media', mediaRoutes); // signed links into local media storage
+  app.use('/api/sync', syncRoutes);
+
+  // Branching videos hang off their parent video (/api/videos/:id/branching)
+  app.use('/api/videos', branchingRoutes);
+
+  // The marker editor and analytics
+  app.use('/api/editor', editorRoutes);
+  app.use('/api/analytics', analyticsRoutes);
+  app.use('/api/room-analytics', roomAnalyticsRoutes);
+
+  // Legacy routes (for backward compatibility)
+  app.use('/api/story', storyRoutes);
+  app.use('/api/markers', markerRoutes);
+};
+
+export default mountApiRoutes;
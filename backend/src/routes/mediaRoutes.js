@@ -0,0 +1,32 @@
+import express from 'express';
+import storageService from '../services/storageService.js';
+import { LocalStorageDriver } from '../utils/storageDrivers.js';
+import { AuthorizationError, NotFoundError, asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Signed links to media kept on local disk (see LocalStorageDriver.signedUrl);
+// with a bucket the signed URLs point at the bucket and nothing is served here
+router.get('/*',
+  asyncHandler(async (req, res) => {
+    const driver = storageService.getDriver();
+    if (!(driver instanceof LocalStorageDriver)) {
+      throw new NotFoundError('Media');
+    }
+
+    const key = req.params[0];
+    if (!driver.verify(key, req.query)) {
+      throw new AuthorizationError('This media link is invalid or has expired');
+    }
+    if (!await driver.stat(key)) {
+      throw new NotFoundError('Media');
+    }
+
+    // sendFile answers Range requests and sets the content type
+    res.sendFile(driver.localPath(key), {
+      headers: { 'Cache-Control': 'private, max-age=300' }
+    });
+  })
+);
+
+export default router;
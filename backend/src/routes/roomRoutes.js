@@ -8,13 +8,23 @@ import {
   getRoomDetails, 
   setVideoUrl, 
   setControllers, 
-  getShareInfo
+  getShareInfo,
+  getQueue,
+  addToQueue,
+  removeFromQueue,
+  moveQueueItem,
+  voteSkip,
+  setPersistence,
+  getCatchUp,
+  searchRoom,
+  askVideo
 } from '../controllers/roomController.js';
 import { videoUpload } from '../middleware/upload.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = Router();
 
-// Create room with optional video upload
+// Create a room, optionally around a library video ({ videoId }, e.g. from /api/uploads)
 router.post('/', videoUpload.single('videoFile'), createRoom);
 
 router.post('/:code/join', joinRoom);
@@ -27,6 +37,25 @@ router.post('/:code/video', setVideoUrl);
 // Host controls who can control
 router.post('/:code/controllers', setControllers);
 
+// Persistent rooms and retention policy (host only)
+router.post('/:code/persistence', setPersistence);
+
+// Playback queue
+router.get('/:code/queue', getQueue);
+router.post('/:code/queue', addToQueue);
+router.post('/:code/queue/skip', voteSkip);
+router.patch('/:code/queue/:itemId', moveQueueItem);
+router.delete('/:code/queue/:itemId', removeFromQueue);
+
+// Catch-up summary for late joiners (never past the room's position)
+router.get('/:code/catch-up', getCatchUp);
+
+// Search transcripts, subtitles, notes and chat; every hit has a video timestamp
+router.get('/:code/search', rateLimit('room-search'), searchRoom);
+
+// Ask about the video; answers cite transcript moments the room has already watched
+router.post('/:code/ask', rateLimit('video-qa'), askVideo);
+
 // Share info for UI
 router.get('/:code/share', getShareInfo);
 
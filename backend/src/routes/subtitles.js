@@ -6,18 +6,35 @@ import {
   updateSubtitles,
   deleteSubtitles,
   searchSubtitles,
-  exportSubtitles
+  exportSubtitles,
+  generateSubtitles,
+  getGenerationJob,
+  translateSubtitles,
+  retimeSubtitles,
+  undoSubtitleChange,
+  getSubtitleRevisions
 } from '../controllers/subtitleController.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
 // Subtitle routes
 router.post('/upload', uploadSubtitles);
+router.post('/:roomCode/generate', generateSubtitles);
+router.get('/jobs/:jobId', getGenerationJob);
 router.get('/:roomCode/subtitles', getSubtitles);
 router.get('/:roomCode/languages', getLanguages);
 router.put('/subtitles/:subtitleId', updateSubtitles);
 router.delete('/subtitles/:subtitleId', deleteSubtitles);
 router.get('/:roomCode/search', searchSubtitles);
 router.get('/subtitles/:subtitleId/export', exportSubtitles);
+router.post(
+  '/subtitles/:subtitleId/translate',
+  rateLimit('subtitle-translation'),
+  translateSubtitles
+);
+router.post('/subtitles/:subtitleId/timing', retimeSubtitles);
+router.post('/subtitles/:subtitleId/undo', undoSubtitleChange);
+router.get('/subtitles/:subtitleId/revisions', getSubtitleRevisions);
 
 export default router;
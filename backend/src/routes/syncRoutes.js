@@ -7,28 +7,26 @@ import {
   reportLag,
   leaveSession,
   getParticipants,
-  endSession
+  endSession,
+  getMySessions,
+  getJoinInfo
 } from '../controllers/syncController.js';
 import { optionalAuth, requireAuth } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
-import { createRateLimit } from '../middleware/rateLimit.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
 // Create sync session
 router.post('/create-session',
-  optionalAuth,
-  createRateLimit('sync', 10, 60 * 1000), // 10 sessions per minute
-  validateRequest('createSession'),
-  async (req, res) => {
+  requireAuth,
+  rateLimit('sync-create', 10, 60 * 1000), // 10 sessions per minute
+  validateRequest('createSyncSession'),
+  async (req, res, next) => {
     try {
       await createSession(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -36,16 +34,12 @@ router.post('/create-session',
 // Join sync session
 router.post('/join-session',
   optionalAuth,
-  validateRequest('joinSession'),
-  async (req, res) => {
+  validateRequest('joinSyncSession'),
+  async (req, res, next) => {
     try {
       await joinSession(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -54,16 +48,12 @@ router.post('/join-session',
 router.post('/join/:code',
   optionalAuth,
   validateRequest('joinByCode'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      req.body.sessionId = req.params.code;
+      req.body.sessionCode = req.params.code;
       await joinSession(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -71,15 +61,11 @@ router.post('/join/:code',
 // Get session details
 router.get('/session/:id',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await getSession(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -87,17 +73,13 @@ router.get('/session/:id',
 // Update session playback state
 router.put('/session/:id/state',
   optionalAuth,
-  createRateLimit('sync-state', 30, 60 * 1000), // 30 state updates per minute
-  validateRequest('updateSessionState'),
-  async (req, res) => {
+  rateLimit('sync-state', 30, 60 * 1000), // 30 state updates per minute
+  validateRequest('updateSyncState'),
+  async (req, res, next) => {
     try {
       await updateSessionState(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -106,15 +88,11 @@ router.put('/session/:id/state',
 router.post('/session/:id/lag',
   optionalAuth,
   validateRequest('reportLag'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await reportLag(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -123,15 +101,11 @@ router.post('/session/:id/lag',
 router.post('/session/:id/leave',
   optionalAuth,
   validateRequest('leaveSession'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await leaveSession(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -139,31 +113,23 @@ router.post('/session/:id/leave',
 // Get session participants
 router.get('/session/:id/participants',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await getParticipants(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 // End sync session (host only)
 router.delete('/session/:id',
-  optionalAuth,
-  async (req, res) => {
+  requireAuth,
+  async (req, res, next) => {
     try {
       await endSession(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -171,50 +137,23 @@ router.delete('/session/:id',
 // Get user's active sessions
 router.get('/my-sessions',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      // TODO: Implement getUserSessions in syncController
-      res.json({
-        success: true,
-        data: {
-          hosted: [],
-          participating: []
-        },
-        error: null
-      });
+      await getMySessions(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
-// Generate QR code for session
+// Join details for the session's QR code
 router.get('/session/:id/qr',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      // TODO: Implement generateQRCode in syncController
-      const { sessionId } = req.params;
-      
-      res.json({
-        success: true,
-        data: {
-          qrCodeUrl: `data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNkYPhfDwAChwGA60e6kgAAAABJRU5ErkJggg==`,
-          sessionCode: sessionId,
-          joinUrl: `/sync/join/${sessionId}`
-        },
-        error: null
-      });
+      await getJoinInfo(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -0,0 +1,49 @@
+import express from 'express';
+import {
+  createUpload,
+  getUpload,
+  appendChunk,
+  abortUpload
+} from '../controllers/uploadController.js';
+import { optionalAuth } from '../middleware/auth.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { ValidationError, asyncHandler } from '../middleware/errorHandler.js';
+
+const router = express.Router();
+
+// Chunks are raw bytes; anything else was probably meant for another endpoint
+const requireChunkBody = (req, res, next) => {
+  if (!req.is('application/offset+octet-stream')) {
+    next(new ValidationError('Chunks must be sent as application/offset+octet-stream'));
+    return;
+  }
+  next();
+};
+
+// Start a resumable upload: { filename, size, mimeType, title?, description?, isPublic?, temporary?, contentHash?, userId? }
+router.post('/',
+  optionalAuth,
+  rateLimit('upload-create'),
+  asyncHandler(createUpload)
+);
+
+// Offset to resume from (HEAD for headers only)
+router.get('/:id',
+  optionalAuth,
+  asyncHandler(getUpload)
+);
+
+// Append a chunk at Upload-Offset, optionally verified by Upload-Checksum
+router.patch('/:id',
+  optionalAuth,
+  requireChunkBody,
+  asyncHandler(appendChunk)
+);
+
+// Cancel an upload
+router.delete('/:id',
+  optionalAuth,
+  asyncHandler(abortUpload)
+);
+
+export default router;
@@ -7,73 +7,61 @@ import {
   updateUserProfile,
   changePassword,
   getViewingHistory,
+  recordViewingHistory,
   updatePreferences,
   logoutUser
 } from '../controllers/userController.js';
-import { requireAuth, optionalAuth } from '../middleware/auth.js';
+import { requireAuth, optionalAuth, verifyRefreshToken, logout } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
-import { createRateLimit } from '../middleware/rateLimit.js';
+import { rateLimit } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
 // Authentication routes
 router.post('/auth/register', 
-  createRateLimit('auth', 5, 15 * 60 * 1000), // 5 requests per 15 minutes
-  validateRequest('register'),
-  async (req, res) => {
+  rateLimit('auth-register', 5, 15 * 60 * 1000), // 5 requests per 15 minutes
+  validateRequest('registerUser'),
+  async (req, res, next) => {
     try {
       await createUser(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.post('/auth/login',
-  createRateLimit('auth', 10, 15 * 60 * 1000), // 10 requests per 15 minutes
-  validateRequest('login'),
-  async (req, res) => {
+  rateLimit('auth-login', 10, 15 * 60 * 1000), // 10 requests per 15 minutes
+  validateRequest('loginUser'),
+  async (req, res, next) => {
     try {
       await loginUser(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.post('/auth/refresh',
-  validateRequest('refresh'),
-  async (req, res) => {
+  validateRequest('refreshToken'),
+  verifyRefreshToken,
+  async (req, res, next) => {
     try {
       await refreshToken(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.post('/auth/logout',
-  async (req, res) => {
+  optionalAuth,
+  logout,
+  async (req, res, next) => {
     try {
       await logoutUser(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -81,15 +69,11 @@ router.post('/auth/logout',
 // User profile routes
 router.get('/users/profile',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await getUserProfile(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -97,16 +81,12 @@ router.get('/users/profile',
 router.put('/users/profile',
   requireAuth,
   validateRequest('updateProfile'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       req.params.userId = req.user.id;
       await updateUserProfile(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -114,16 +94,12 @@ router.put('/users/profile',
 router.put('/users/password',
   requireAuth,
   validateRequest('changePassword'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       req.params.userId = req.user.id;
       await changePassword(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -131,41 +107,24 @@ router.put('/users/password',
 // User viewing history routes
 router.get('/users/history',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       req.params.userId = req.user.id;
       await getViewingHistory(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
 
 router.post('/users/history',
-  optionalAuth,
+  requireAuth,
   validateRequest('updateHistory'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      // Implementation would go in userController
-      const { videoId, timestamp, duration } = req.body;
-      const userId = req.user?.id;
-      
-      // TODO: Implement updateViewingHistory in userController
-      res.json({
-        success: true,
-        data: { message: 'Viewing history updated' },
-        error: null
-      });
+      await recordViewingHistory(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -174,16 +133,12 @@ router.post('/users/history',
 router.put('/users/preferences',
   requireAuth,
   validateRequest('updatePreferences'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       req.params.userId = req.user.id;
       await updatePreferences(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -191,15 +146,11 @@ router.put('/users/preferences',
 // Get user by ID (public, limited info)
 router.get('/users/:userId',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await getUserProfile(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -4,14 +4,21 @@ import {
   uploadVideo,
   getVideo,
   streamVideo,
+  getThumbnail,
+  getPreviewFile,
+  generatePreviews,
   updateVideo,
   deleteVideo,
   getUserVideos,
-  getProcessingStatus
+  getProcessingStatus,
+  searchVideos,
+  streamHls,
+  transcodeVideo
 } from '../controllers/videoController.js';
 import { requireAuth, optionalAuth } from '../middleware/auth.js';
 import { validateRequest } from '../middleware/validation.js';
-import { createRateLimit } from '../middleware/rateLimit.js';
+import { rateLimit } from '../middleware/rateLimit.js';
+import { FileUploadError } from '../middleware/errorHandler.js';
 
 const router = express.Router();
 
@@ -34,7 +41,7 @@ const upload = multer({
     if (allowedTypes.includes(file.mimetype)) {
       cb(null, true);
     } else {
-      cb(new Error('Invalid file type. Only video files are allowed.'), false);
+      cb(new FileUploadError('Invalid file type. Only video files are allowed.'), false);
     }
   }
 });
@@ -42,18 +49,14 @@ const upload = multer({
 // Video upload route
 router.post('/upload',
   requireAuth,
-  createRateLimit('upload', 3, 60 * 60 * 1000), // 3 uploads per hour
+  rateLimit('video-upload', 3, 60 * 60 * 1000), // 3 uploads per hour
   upload.single('video'),
   validateRequest('uploadVideo'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await uploadVideo(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -61,15 +64,11 @@ router.post('/upload',
 // Get video metadata
 router.get('/:id',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await getVideo(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -77,15 +76,84 @@ router.get('/:id',
 // Stream video with range support
 router.get('/:id/stream',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await streamVideo(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
+    }
+  }
+);
+
+// Thumbnail image (redirects to media storage)
+router.get('/:id/thumbnail',
+  optionalAuth,
+  async (req, res, next) => {
+    try {
+      await getThumbnail(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// HLS adaptive streaming: master playlist, then each rendition's playlist and segments
+router.get('/:id/hls/:file',
+  optionalAuth,
+  async (req, res, next) => {
+    try {
+      await streamHls(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+router.get('/:id/hls/:rendition/:file',
+  optionalAuth,
+  async (req, res, next) => {
+    try {
+      await streamHls(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Queue (or redo) HLS transcoding
+router.post('/:id/transcode',
+  requireAuth,
+  rateLimit('video-transcode'),
+  async (req, res, next) => {
+    try {
+      await transcodeVideo(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Seek-bar previews: thumbnails.vtt and the sprite sheets it points into
+router.get('/:id/previews/:file',
+  optionalAuth,
+  async (req, res, next) => {
+    try {
+      await getPreviewFile(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Queue (or redo) preview sprites
+router.post('/:id/previews',
+  requireAuth,
+  rateLimit('video-previews'),
+  async (req, res, next) => {
+    try {
+      await generatePreviews(req, res);
+    } catch (error) {
+      next(error);
     }
   }
 );
@@ -94,15 +162,11 @@ router.get('/:id/stream',
 router.put('/:id',
   requireAuth,
   validateRequest('updateVideo'),
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await updateVideo(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -110,15 +174,11 @@ router.put('/:id',
 // Delete video
 router.delete('/:id',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await deleteVideo(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -126,15 +186,11 @@ router.delete('/:id',
 // Get user's videos
 router.get('/user/:userId',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await getUserVideos(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -142,16 +198,12 @@ router.get('/user/:userId',
 // Get current user's videos
 router.get('/my/videos',
   requireAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
-      req.query.userId = req.user.id;
+      req.params.userId = req.user.id;
       await getUserVideos(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -159,15 +211,11 @@ router.get('/my/videos',
 // Get video processing status
 router.get('/:id/status',
   optionalAuth,
-  async (req, res) => {
+  async (req, res, next) => {
     try {
       await getProcessingStatus(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -175,31 +223,12 @@ router.get('/:id/status',
 // Video search endpoint
 router.get('/',
   optionalAuth,
-  validateRequest('searchVideos'),
-  async (req, res) => {
+  validateRequest('searchVideos', 'query'),
+  async (req, res, next) => {
     try {
-      // TODO: Implement searchVideos in videoController
-      const { q, category, tags, limit = 10, page = 1 } = req.query;
-      
-      res.json({
-        success: true,
-        data: {
-          videos: [],
-          pagination: {
-            page: parseInt(page),
-            limit: parseInt(limit),
-            total: 0,
-            pages: 0
-          }
-        },
-        error: null
-      });
+      await searchVideos(req, res);
     } catch (error) {
-      res.status(500).json({
-        success: false,
-        data: null,
-        error: error.message
-      });
+      next(error);
     }
   }
 );
@@ -1,5 +1,4 @@
 import express from 'express';
-import path from 'path';
 import http from 'http';
 import { Server } from 'socket.io';
 import cors from 'cors';
@@ -8,26 +7,37 @@ import dotenv from 'dotenv';
 import logger from './utils/logger.js';
 import connectDB from './config/db.js';
 import syncHandler from './sockets/sync.js';
+import collabHandler from './sockets/collabSocket.js';
 import { socketAuth, handleSocketConnection } from './sockets/roomSocket.js';
+import { attachCompat } from './sockets/compat.js';
+import { attachClusterAdapter } from './sockets/cluster.js';
 import { setSocketIO } from './controllers/chatController.js';
-
-// Import all routes
-import aiRoutes from './routes/ai.js';
-import storyRoutes from './routes/story.js';
-import markerRoutes from './routes/markers.js';
-import roomRoutes from './routes/roomRoutes.js';
-
-// New collaborative feature routes
-import chatRoutes from './routes/chat.js';
-import notesRoutes from './routes/notes.js';
-import subtitlesRoutes from './routes/subtitles.js';
-import summaryRoutes from './routes/summary.js';
+import { setSocketIO as setRoomSocketIO } from './controllers/roomController.js';
+import { setSocketIO as setNotesSocketIO } from './controllers/notesController.js';
+import './services/roomService.js'; // starts the room expiry/retention cleanup loop
+import transcodingService from './services/transcodingService.js';
+import previewService from './services/previewService.js';
+import uploadService from './services/uploadService.js';
+import { config } from './config/env.js';
+import { mountApiRoutes } from './routes/index.js';
+import { notFound, errorHandler } from './middleware/errorHandler.js';
 
 dotenv.config();
 
 // Connect to MongoDB
 connectDB();
 
+// Pick up HLS transcoding and preview sprite jobs left unfinished by a restart
+if (config.transcoding.enabled) {
+  transcodingService.start();
+}
+if (config.previews.enabled) {
+  previewService.start();
+}
+
+// Remove resumable uploads that were abandoned
+uploadService.start();
+
 const app = express();
 const server = http.createServer(app);
 
@@ -40,8 +50,13 @@ const io = new Server(server, {
   }
 });
 
+// Share rooms across backend instances through Redis pub/sub (single-node without Redis)
+await attachClusterAdapter(io);
+
 // Set up Socket.IO instance for controllers
 setSocketIO(io);
+setRoomSocketIO(io);
+setNotesSocketIO(io);
 
 // Socket.IO Authentication Middleware
 io.use(socketAuth);
@@ -50,12 +65,18 @@ io.use(socketAuth);
 io.on('connection', (socket) => {
   logger.info(`📱 New socket connection: ${socket.id}`);
 
-  // Main connection handler with all event listeners
+  // Translate pre-v1 clients' events before any handler sees them (see sockets/protocol.js)
+  attachCompat(socket);
+
+  // Rooms, playback, chat and the queue
   handleSocketConnection(io, socket);
   
-  // Legacy sync handler for backward compatibility
+  // Clock sync and lag compensation
   syncHandler(io, socket);
 
+  // Scene markers and branching choices
+  collabHandler(io, socket);
+
   // Disconnect handler
   socket.on('disconnect', (reason) => {
     logger.info(`🔌 Socket disconnected: ${socket.id} (${reason})`);
@@ -70,7 +91,8 @@ io.on('connection', (socket) => {
 // Express Middleware
 app.use(cors({
   origin: process.env.FRONTEND_URL || ['http://localhost:3000', 'http://localhost:5173', 'http://localhost:5174'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['Location', 'Upload-Offset', 'Upload-Length']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -85,21 +107,7 @@ app.get('/health', (req, res) => {
 });
 
 // REST API Routes
-app.use('/api/rooms', roomRoutes);
-app.use('/api/ai', aiRoutes);
-
-// New collaborative feature routes
-app.use('/api/chat', chatRoutes);
-app.use('/api/notes', notesRoutes);
-app.use('/api/subtitles', subtitlesRoutes);
-app.use('/api/summary', summaryRoutes);
-
-// Legacy routes (for backward compatibility)
-app.use('/api/story', storyRoutes);
-app.use('/api/markers', markerRoutes);
-
-// Static serving for uploaded assets
-app.use('/uploads', express.static(path.resolve('uploads')));
+mountApiRoutes(app);
 
 // Root endpoint
 app.get('/', (req, res) => {
@@ -110,25 +118,9 @@ app.get('/', (req, res) => {
   });
 });
 
-// Error handling middleware
-app.use((err, req, res, next) => {
-  logger.error('Express error:', err);
-  
-  res.status(err.status || 500).json({
-    success: false,
-    error: process.env.NODE_ENV === 'production' 
-      ? 'Internal server error' 
-      : err.message
-  });
-});
-
-// 404 handler
-app.use('*', (req, res) => {
-  res.status(404).json({
-    success: false,
-    error: `Route ${req.method} ${req.originalUrl} not found`
-  });
-});
+// 404 and error handling
+app.use(notFound);
+app.use(errorHandler);
 
 // Start server
 const PORT = process.env.PORT || 5000;
@@ -1,7 +1,9 @@
-import VideoTranscript from '../models/VideoTranscript.js';
-import AISummary from '../models/AISummary.js';
+import { VideoTranscript } from '../models/VideoTranscript.js';
+import { AISummary } from '../models/AISummary.js';
 import aiUtils from '../utils/aiUtils.js';
+import catchUpService, { segmentsUntil } from './catchUpService.js';
 import generalUtils from '../utils/generalUtils.js';
+import videoUtils from '../utils/videoUtils.js';
 import logger from '../utils/logger.js';
 import fs from 'fs';
 import path from 'path';
@@ -11,6 +13,9 @@ const readFile = promisify(fs.readFile);
 const writeFile = promisify(fs.writeFile);
 const access = promisify(fs.access);
 
+// End of the last transcript segment, in seconds
+const transcriptEndTime = (transcript) => transcript.segments?.[transcript.segments.length - 1]?.end || 0;
+
 /**
  * AI Service - Handles AI-powered features like transcription, summarization, and content analysis
  */
@@ -56,7 +61,7 @@ export class AIService {
       });
 
       // Check if transcript already exists
-      const existingTranscript = await VideoTranscript.findOne({ video: videoId });
+      const existingTranscript = await VideoTranscript.findOne({ videoId, isActive: true });
       if (existingTranscript && !options.forceRetranscribe) {
         logger.info('Using existing transcript:', {
           videoId,
@@ -187,110 +192,24 @@ export class AIService {
         options
       });
 
-      // Get transcript
-      let transcript = this.transcriptCache.get(videoId);
+      const transcript = await this.getTranscript(videoId);
       if (!transcript) {
-        transcript = await VideoTranscript.findOne({ video: videoId });
-        if (!transcript) {
-          throw new Error('No transcript found for video. Please transcribe first.');
-        }
-        this.transcriptCache.set(videoId, transcript);
-      }
-
-      // Extract text up to timestamp
-      const partialText = this.extractTextUpToTimestamp(
-        transcript,
-        timestamp,
-        options
-      );
-
-      if (!partialText.trim()) {
-        throw new Error('No content available for summarization at this timestamp');
+        throw new Error('No transcript found for video. Please transcribe first.');
       }
 
-      // Check if summary already exists for this timestamp range
-      const existingSummary = await AISummary.findOne({
-        video: videoId,
-        startTimestamp: 0,
-        endTimestamp: timestamp,
-        summaryType: options.summaryType || 'pause'
+      // Built from stored per-block summaries, so each new timestamp only
+      // summarizes what was added since the last one
+      const summary = await catchUpService.summarizeRange(transcript, {
+        from: options.from || 0,
+        to: timestamp,
+        maxLength: options.maxLength || 200
       });
 
-      if (existingSummary && !options.forceRegenerate) {
-        logger.info('Using existing summary:', {
-          videoId,
-          summaryId: existingSummary._id,
-          timestamp
-        });
-        return existingSummary;
+      if (!summary.summary) {
+        throw new Error('No content available for summarization at this timestamp');
       }
 
-      // Prepare summarization options
-      const summaryOptions = {
-        maxLength: options.maxLength || 200,
-        style: options.style || 'concise',
-        includeKeyPoints: options.includeKeyPoints !== false,
-        includeTimestamps: options.includeTimestamps !== false,
-        language: options.language || transcript.language || 'en',
-        model: options.model || 'gpt-4o-mini'
-      };
-
-      // Generate summary using AI
-      const summaryResult = await aiUtils.summarizeTranscript(
-        partialText,
-        summaryOptions
-      );
-
-      // Process summary result
-      const processedSummary = await this.processSummaryResult(
-        summaryResult,
-        partialText,
-        options
-      );
-
-      // Save summary to database
-      const summaryData = {
-        video: videoId,
-        startTimestamp: 0,
-        endTimestamp: timestamp,
-        summaryText: processedSummary.text,
-        summaryType: options.summaryType || 'pause',
-        
-        // AI processing details
-        model: summaryOptions.model,
-        prompt: summaryResult.prompt,
-        tokensUsed: summaryResult.usage?.total_tokens || 0,
-        
-        // Content analysis
-        keyPoints: processedSummary.keyPoints,
-        topics: processedSummary.topics,
-        sentiment: processedSummary.sentiment,
-        
-        // Quality metrics
-        originalLength: partialText.length,
-        summaryLength: processedSummary.text.length,
-        compressionRatio: processedSummary.compressionRatio,
-        
-        // Timestamps
-        generatedAt: new Date(),
-        createdAt: new Date()
-      };
-
-      const summary = new AISummary(summaryData);
-      await summary.save();
-
-      // Cache summary
-      const cacheKey = `${videoId}_${timestamp}`;
-      this.summaryCache.set(cacheKey, summary);
-
-      logger.info('Summary generated successfully:', {
-        videoId,
-        summaryId: summary._id,
-        timestamp,
-        tokensUsed: summaryData.tokensUsed,
-        compressionRatio: processedSummary.compressionRatio
-      });
-
+      this.summaryCache.set(`${videoId}_${timestamp}`, summary);
       return summary;
 
     } catch (error) {
@@ -316,7 +235,7 @@ export class AIService {
       // Get transcript
       let transcript = this.transcriptCache.get(videoId);
       if (!transcript) {
-        transcript = await VideoTranscript.findOne({ video: videoId });
+        transcript = await VideoTranscript.findOne({ videoId, isActive: true });
         if (!transcript) {
           throw new Error('No transcript found for video');
         }
@@ -334,24 +253,28 @@ export class AIService {
 
       // Generate chapters using AI
       const chapters = await aiUtils.generateChapters(
-        transcript.transcriptText,
-        transcript.segments,
+        transcript.segments?.length ? transcript.segments : transcript.transcriptText,
         chapterOptions
       );
 
-      // Process and validate chapters
-      const processedChapters = chapters.map((chapter, index) => ({
-        id: generalUtils.generateUUID(),
-        index: index + 1,
-        title: chapter.title,
-        description: chapter.description || '',
-        startTime: chapter.startTime,
-        endTime: chapter.endTime,
-        duration: chapter.endTime - chapter.startTime,
-        keyTopics: chapter.keyTopics || [],
-        confidence: chapter.confidence || 0.8,
-        createdAt: new Date()
-      }));
+      // Process and validate chapters; each runs until the next one starts
+      const transcriptEnd = transcriptEndTime(transcript);
+      const processedChapters = chapters.map((chapter, index) => {
+        const startTime = chapter.timestamp;
+        const endTime = Math.max(chapters[index + 1]?.timestamp ?? transcriptEnd, startTime);
+        return {
+          id: generalUtils.generateUUID(),
+          index: index + 1,
+          title: chapter.title,
+          description: chapter.description || '',
+          startTime,
+          endTime,
+          duration: endTime - startTime,
+          keyTopics: chapter.keyTopics || [],
+          confidence: chapter.confidence || 0.8,
+          createdAt: new Date()
+        };
+      });
 
       logger.info('AI chapters generated:', {
         videoId,
@@ -383,7 +306,7 @@ export class AIService {
       // Get transcript
       let transcript = this.transcriptCache.get(videoId);
       if (!transcript) {
-        transcript = await VideoTranscript.findOne({ video: videoId });
+        transcript = await VideoTranscript.findOne({ videoId, isActive: true });
         if (!transcript) {
           throw new Error('No transcript found for video');
         }
@@ -400,7 +323,7 @@ export class AIService {
       };
 
       // Perform AI analysis
-      const analysis = await aiUtils.analyzeContent(
+      const analysis = await aiUtils.analyzeTranscriptTopics(
         transcript.transcriptText,
         analysisOptions
       );
@@ -471,7 +394,7 @@ export class AIService {
       // Get transcript
       let transcript = this.transcriptCache.get(videoId);
       if (!transcript) {
-        transcript = await VideoTranscript.findOne({ video: videoId });
+        transcript = await VideoTranscript.findOne({ videoId, isActive: true });
         if (!transcript) {
           throw new Error('No transcript found for video');
         }
@@ -487,7 +410,8 @@ export class AIService {
       };
 
       // Generate description
-      const description = await aiUtils.generateDescription(
+      const description = await aiUtils.generateVideoDescription(
+        { duration: transcriptEndTime(transcript) },
         transcript.transcriptText,
         descriptionOptions
       );
@@ -521,7 +445,7 @@ export class AIService {
       
       if (!transcript) {
         // Check database
-        transcript = await VideoTranscript.findOne({ video: videoId });
+        transcript = await VideoTranscript.findOne({ videoId, isActive: true });
         
         if (transcript) {
           this.transcriptCache.set(videoId, transcript);
@@ -585,24 +509,25 @@ export class AIService {
    * Extract audio from video for transcription
    * @param {String} videoPath - path to video file
    * @param {String} videoId - video ID for naming
-   * @returns {Promise<String>} path to extracted audio file
+   * @param {Object} options - { start, duration, suffix } to extract one chunk
+   * @returns {Promise<String>} path to extracted 16kHz mono WAV file
    */
-  async extractAudioForTranscription(videoPath, videoId) {
+  async extractAudioForTranscription(videoPath, videoId, options = {}) {
+    const { start = 0, duration = null, suffix = 'audio' } = options;
+
     try {
-      const audioPath = path.join(this.tempPath, `${videoId}_audio.wav`);
-      
-      // Use ffmpeg to extract audio (this would need to be implemented)
-      // For now, return the original path assuming it's audio-compatible
+      await fs.promises.mkdir(this.tempPath, { recursive: true });
+      const audioPath = path.join(this.tempPath, `${videoId}_${suffix}.wav`);
+
       logger.info('Audio extraction for transcription:', {
         videoPath,
         audioPath,
-        videoId
+        videoId,
+        start,
+        duration
       });
 
-      // TODO: Implement actual audio extraction using ffmpeg
-      // await extractAudio(videoPath, audioPath);
-
-      return audioPath;
+      return await videoUtils.extractAudio(videoPath, audioPath, { start, duration });
 
     } catch (error) {
       logger.error('Audio extraction failed:', {
@@ -725,10 +650,8 @@ export class AIService {
   extractTextUpToTimestamp(transcript, timestamp, options = {}) {
     try {
       if (transcript.segments && transcript.segments.length > 0) {
-        // Use segments for more accurate timestamp filtering
-        const relevantSegments = transcript.segments.filter(
-          segment => segment.start <= timestamp
-        );
+        // Only segments that have finished playing, so nothing past the timestamp leaks
+        const relevantSegments = segmentsUntil(transcript.segments, timestamp);
         
         return relevantSegments
           .map(segment => segment.text)
@@ -5,6 +5,23 @@
 
 import logger from '../utils/logger.js';
 import { config } from '../config/env.js';
+import generalUtils from '../utils/generalUtils.js';
+import Video from '../models/Video.js';
+import User from '../models/User.js';
+import ViewHistory from '../models/ViewHistory.js';
+import { SyncSession } from '../models/SyncSession.js';
+import SyncParticipant from '../models/SyncParticipant.js';
+import BranchingVideo from '../models/BranchingVideo.js';
+import UserChoice from '../models/UserChoice.js';
+import { VideoTranscript } from '../models/VideoTranscript.js';
+import { AISummary } from '../models/AISummary.js';
+import { Subtitle } from '../models/Subtitle.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_REPORTS_PER_USER = 20;
+
+// Window covered by each run of a scheduled report
+const SCHEDULE_WINDOWS = { daily: DAY_MS, weekly: 7 * DAY_MS, monthly: 30 * DAY_MS };
 
 /**
  * Analytics service for tracking user behavior and system metrics
@@ -13,6 +30,9 @@ class AnalyticsService {
   constructor() {
     this.metrics = new Map();
     this.enabled = config.analytics?.enabled || false;
+    this.reports = new Map(); // userId -> generated reports, newest first
+    this.schedules = new Map(); // scheduleId -> scheduled report
+    this.schedulerInterval = null;
   }
 
   /**
@@ -810,6 +830,650 @@ class AnalyticsService {
     // Weighted score: 60% choice engagement, 40% completion rate
     return Math.round((choiceRate * 60) + (completionRate * 40));
   }
+
+  // Platform analytics, computed from the stored viewing, sync and branching data
+
+  /**
+   * Resolve a date range from explicit dates or a period string
+   */
+  resolveRange({ start, end, period } = {}) {
+    const rangeEnd = end ? new Date(end) : new Date();
+    const rangeStart = start ? new Date(start) : new Date(rangeEnd.getTime() - this.parsePeriod(period));
+    return { start: rangeStart, end: rangeEnd };
+  }
+
+  /**
+   * IDs of the (non-deleted) videos a user uploaded
+   */
+  async getOwnedVideoIds(userId) {
+    const videos = await Video.find({ uploadedBy: userId, isDeleted: false }).select('_id').lean();
+    return videos.map(video => video._id);
+  }
+
+  /**
+   * Aggregate watch statistics for the view history entries matching a filter
+   */
+  async getWatchStats(match) {
+    const [stats] = await ViewHistory.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          views: { $sum: 1 },
+          viewers: { $addToSet: '$userId' },
+          totalWatchTime: { $sum: '$watchDuration' },
+          completions: { $sum: { $cond: ['$completed', 1, 0] } }
+        }
+      }
+    ]);
+
+    if (!stats) {
+      return { views: 0, uniqueViewers: 0, totalWatchTime: 0, averageWatchTime: 0, completionRate: 0 };
+    }
+
+    return {
+      views: stats.views,
+      uniqueViewers: stats.viewers.length,
+      totalWatchTime: stats.totalWatchTime,
+      averageWatchTime: stats.totalWatchTime / stats.views,
+      completionRate: (stats.completions / stats.views) * 100
+    };
+  }
+
+  /**
+   * Views and watch time per day for the view history entries matching a filter
+   */
+  async getDailySeries(match) {
+    const days = await ViewHistory.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$startedAt' } },
+          views: { $sum: 1 },
+          watchTime: { $sum: '$watchDuration' }
+        }
+      },
+      { $sort: { _id: 1 } }
+    ]);
+
+    return days.map(day => ({ date: day._id, views: day.views, watchTime: day.watchTime }));
+  }
+
+  /**
+   * Share of viewers still watching at each tenth of a video
+   */
+  async getRetention(video, range) {
+    const entries = await ViewHistory.find({
+      videoId: video._id,
+      startedAt: { $gte: range.start, $lte: range.end }
+    })
+      .select('lastPosition completed')
+      .lean();
+
+    const segmentCount = 10;
+    const segmentLength = (video.duration || 0) / segmentCount;
+    const segments = Array.from({ length: segmentCount }, (_, index) => ({
+      startTime: index * segmentLength,
+      endTime: (index + 1) * segmentLength,
+      viewers: 0
+    }));
+
+    for (const entry of entries) {
+      const reached = entry.completed || !segmentLength
+        ? segmentCount
+        : Math.min(segmentCount, Math.floor(entry.lastPosition / segmentLength));
+      for (let index = 0; index < reached; index++) {
+        segments[index].viewers++;
+      }
+    }
+
+    const dropOffPoints = segments
+      .map((segment, index) => ({
+        timestamp: segment.startTime,
+        lost: (index === 0 ? entries.length : segments[index - 1].viewers) - segment.viewers
+      }))
+      .filter(point => point.lost > 0)
+      .sort((a, b) => b.lost - a.lost)
+      .slice(0, 3);
+
+    return {
+      totalViews: entries.length,
+      segments: segments.map(segment => ({
+        ...segment,
+        retention: entries.length ? (segment.viewers / entries.length) * 100 : 0
+      })),
+      dropOffPoints
+    };
+  }
+
+  /**
+   * Views, watch time and completion for one video
+   */
+  async getVideoAnalytics(video, range) {
+    const match = { videoId: video._id, startedAt: { $gte: range.start, $lte: range.end } };
+    const [watch, daily] = await Promise.all([this.getWatchStats(match), this.getDailySeries(match)]);
+
+    return {
+      videoId: video._id,
+      title: video.title,
+      period: range,
+      lifetimeViews: video.viewCount,
+      ...watch,
+      daily
+    };
+  }
+
+  /**
+   * Engagement breakdown for one video: retention curve and interaction counts
+   */
+  async getEngagementAnalytics(video, range) {
+    const [retention, interactions] = await Promise.all([
+      this.getRetention(video, range),
+      ViewHistory.aggregate([
+        { $match: { videoId: video._id, startedAt: { $gte: range.start, $lte: range.end } } },
+        { $unwind: '$interactions' },
+        { $group: { _id: '$interactions.type', count: { $sum: 1 } } }
+      ])
+    ]);
+
+    return {
+      videoId: video._id,
+      period: range,
+      ...retention,
+      interactions: Object.fromEntries(interactions.map(entry => [entry._id, entry.count]))
+    };
+  }
+
+  /**
+   * Delivery and processing figures for one video
+   */
+  async getPerformanceAnalytics(video, range) {
+    const devices = await ViewHistory.aggregate([
+      { $match: { videoId: video._id, startedAt: { $gte: range.start, $lte: range.end } } },
+      { $group: { _id: '$deviceInfo.deviceType', views: { $sum: 1 } } }
+    ]);
+
+    return {
+      videoId: video._id,
+      period: range,
+      processingStatus: video.processingStatus,
+      file: {
+        size: video.fileSize,
+        resolution: video.resolution,
+        fps: video.fps,
+        bitrate: video.bitrate,
+        codec: video.codec
+      },
+      devices: Object.fromEntries(devices.map(entry => [entry._id || 'unknown', entry.views]))
+    };
+  }
+
+  /**
+   * A user's own viewing, uploading and participation figures
+   */
+  async getUserActivity(userId, range) {
+    const match = { userId, startedAt: { $gte: range.start, $lte: range.end } };
+    const [watch, uploads, hosted, joined, choices] = await Promise.all([
+      this.getWatchStats(match),
+      Video.countDocuments({ uploadedBy: userId, isDeleted: false, createdAt: { $gte: range.start, $lte: range.end } }),
+      SyncSession.countDocuments({ hostUserId: userId, createdAt: { $gte: range.start, $lte: range.end } }),
+      SyncParticipant.countDocuments({ userId, joinedAt: { $gte: range.start, $lte: range.end } }),
+      UserChoice.countDocuments({ userId, createdAt: { $gte: range.start, $lte: range.end } })
+    ]);
+
+    return {
+      userId,
+      period: range,
+      watching: {
+        videosWatched: watch.views,
+        totalWatchTime: watch.totalWatchTime,
+        averageWatchTime: watch.averageWatchTime,
+        completionRate: watch.completionRate
+      },
+      uploads,
+      syncSessions: { hosted, joined },
+      branchingChoices: choices
+    };
+  }
+
+  /**
+   * A user's own viewing history grouped by day, with the most watched videos
+   */
+  async getViewHistory(userId, range) {
+    const match = { userId, startedAt: { $gte: range.start, $lte: range.end } };
+    const [daily, topVideos] = await Promise.all([
+      this.getDailySeries(match),
+      ViewHistory.find(match)
+        .sort({ watchDuration: -1 })
+        .limit(10)
+        .populate('videoId', 'title duration thumbnailUrl')
+        .lean()
+    ]);
+
+    return {
+      period: range,
+      daily,
+      topVideos: topVideos.map(entry => ({
+        video: entry.videoId,
+        watchDuration: entry.watchDuration,
+        completed: entry.completed
+      }))
+    };
+  }
+
+  /**
+   * Most viewed videos, optionally limited to one uploader's library
+   */
+  async getPopularity({ uploadedBy = null, limit = 10 } = {}) {
+    const filter = { isDeleted: false };
+    if (uploadedBy) {
+      filter.uploadedBy = uploadedBy;
+    }
+
+    const [videos, categories] = await Promise.all([
+      Video.find(filter)
+        .select('title viewCount averageRating category createdAt')
+        .sort({ viewCount: -1 })
+        .limit(limit)
+        .lean(),
+      Video.aggregate([
+        { $match: filter },
+        { $group: { _id: '$category', videos: { $sum: 1 }, views: { $sum: '$viewCount' } } },
+        { $sort: { views: -1 } }
+      ])
+    ]);
+
+    return {
+      topVideos: videos,
+      categories: categories.map(entry => ({ category: entry._id, videos: entry.videos, views: entry.views }))
+    };
+  }
+
+  /**
+   * Sync session figures, for one host's sessions or the whole platform
+   */
+  async getSyncOverview({ hostUserId = null, range }) {
+    const filter = { createdAt: { $gte: range.start, $lte: range.end } };
+    if (hostUserId) {
+      filter.hostUserId = hostUserId;
+    }
+
+    const sessions = await SyncSession.find(filter).select('_id isActive').lean();
+    const sessionIds = sessions.map(session => session._id);
+    const [participants] = await SyncParticipant.aggregate([
+      { $match: { sessionId: { $in: sessionIds } } },
+      {
+        $group: {
+          _id: null,
+          total: { $sum: 1 },
+          averageLatency: { $avg: '$syncMetrics.averageLatency' }
+        }
+      }
+    ]);
+
+    return {
+      period: range,
+      sessions: sessions.length,
+      activeSessions: sessions.filter(session => session.isActive).length,
+      participants: participants?.total || 0,
+      averageParticipants: sessions.length ? (participants?.total || 0) / sessions.length : 0,
+      averageLatency: participants?.averageLatency ?? null
+    };
+  }
+
+  /**
+   * Participant-level sync quality for one session
+   */
+  async getSyncSessionAnalytics(session) {
+    const participants = await SyncParticipant.find({ sessionId: session._id })
+      .select('userId deviceName nickname joinedAt isActive lagOffset syncMetrics')
+      .lean();
+
+    return {
+      sessionId: session._id,
+      videoId: session.videoId,
+      isActive: session.isActive,
+      createdAt: session.createdAt,
+      participants
+    };
+  }
+
+  /**
+   * Summary of the branching videos a user created (or all of them)
+   */
+  async getBranchingOverview({ createdBy = null } = {}) {
+    const filter = { isActive: true };
+    if (createdBy) {
+      filter.createdBy = createdBy;
+    }
+
+    const videos = await BranchingVideo.find(filter)
+      .select('title isPublished analytics completionRate')
+      .sort({ 'analytics.totalViews': -1 })
+      .lean();
+    const choices = await UserChoice.aggregate([
+      { $match: { branchingVideoId: { $in: videos.map(video => video._id) } } },
+      { $group: { _id: '$branchingVideoId', choices: { $sum: 1 } } }
+    ]);
+    const choiceCounts = Object.fromEntries(choices.map(entry => [entry._id, entry.choices]));
+
+    return {
+      totalVideos: videos.length,
+      published: videos.filter(video => video.isPublished).length,
+      videos: videos.map(video => ({
+        id: video._id,
+        title: video.title,
+        totalViews: video.analytics.totalViews,
+        completionRate: video.completionRate,
+        choicesMade: choiceCounts[video._id] || 0
+      }))
+    };
+  }
+
+  /**
+   * Transcripts, summaries and subtitles produced for a user's videos (or all)
+   */
+  async getAIUsage({ uploadedBy = null, range }) {
+    const created = { createdAt: { $gte: range.start, $lte: range.end } };
+    const scope = uploadedBy ? { videoId: { $in: await this.getOwnedVideoIds(uploadedBy) } } : {};
+
+    const [transcripts, summaries, subtitles] = await Promise.all([
+      VideoTranscript.countDocuments({ ...scope, ...created }),
+      AISummary.aggregate([
+        { $match: { ...scope, ...created } },
+        { $group: { _id: '$modelUsed', count: { $sum: 1 } } }
+      ]),
+      Subtitle.countDocuments({ ...scope, ...created, isAutoGenerated: true })
+    ]);
+
+    return {
+      period: range,
+      transcripts,
+      summaries: summaries.reduce((sum, entry) => sum + entry.count, 0),
+      summariesByModel: Object.fromEntries(summaries.map(entry => [entry._id || 'unknown', entry.count])),
+      autoSubtitles: subtitles
+    };
+  }
+
+  /**
+   * Platform-wide totals for administrators
+   */
+  async getSystemOverview() {
+    const [users, videos, activeSessions, storage] = await Promise.all([
+      User.countDocuments({ isActive: true }),
+      Video.countDocuments({ isDeleted: false }),
+      SyncSession.countDocuments({ isActive: true }),
+      Video.aggregate([
+        { $match: { isDeleted: false } },
+        { $group: { _id: null, bytes: { $sum: '$fileSize' } } }
+      ])
+    ]);
+
+    return {
+      users,
+      videos,
+      activeSyncSessions: activeSessions,
+      storageBytes: storage[0]?.bytes || 0,
+      process: {
+        uptime: process.uptime(),
+        memory: process.memoryUsage(),
+        nodeVersion: process.version
+      },
+      events: this.getSystemMetrics()
+    };
+  }
+
+  /**
+   * What is happening right now: live sync sessions and recent playback
+   */
+  async getRealtimeOverview({ uploadedBy = null } = {}) {
+    const since = new Date(Date.now() - 5 * 60 * 1000);
+    const viewing = { lastUpdated: { $gte: since } };
+    const sessions = { isActive: true, lastActivity: { $gte: since } };
+
+    if (uploadedBy) {
+      const videoIds = await this.getOwnedVideoIds(uploadedBy);
+      viewing.videoId = { $in: videoIds };
+      sessions.videoId = { $in: videoIds };
+    }
+
+    const [currentViewers, liveSessions] = await Promise.all([
+      ViewHistory.distinct('userId', viewing),
+      SyncSession.find(sessions).select('_id participantCount').lean()
+    ]);
+
+    return {
+      currentViewers: currentViewers.length,
+      activeSessions: liveSessions.length,
+      sessionParticipants: liveSessions.reduce((sum, session) => sum + (session.participantCount || 0), 0),
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Daily views or watch time for a user's videos, with growth against the
+   * preceding window of the same length
+   */
+  async getTrends({ uploadedBy = null, range, metric = 'views' }) {
+    const scope = uploadedBy ? { videoId: { $in: await this.getOwnedVideoIds(uploadedBy) } } : {};
+    const length = range.end.getTime() - range.start.getTime();
+    const previous = { start: new Date(range.start.getTime() - length), end: range.start };
+
+    const [daily, before] = await Promise.all([
+      this.getDailySeries({ ...scope, startedAt: { $gte: range.start, $lte: range.end } }),
+      this.getWatchStats({ ...scope, startedAt: { $gte: previous.start, $lt: previous.end } })
+    ]);
+
+    const field = metric === 'watchTime' ? 'watchTime' : 'views';
+    const current = daily.reduce((sum, day) => sum + day[field], 0);
+    const prior = field === 'views' ? before.views : before.totalWatchTime;
+
+    return {
+      metric: field,
+      period: range,
+      data: daily.map(day => ({ date: day.date, value: day[field] })),
+      total: current,
+      growth: prior > 0 ? ((current - prior) / prior) * 100 : null
+    };
+  }
+
+  /**
+   * Headline figures for a user's dashboard
+   */
+  async getDashboard(userId) {
+    const range = this.resolveRange({ period: '30d' });
+    const videoIds = await this.getOwnedVideoIds(userId);
+
+    const [audience, activity, totals, branching] = await Promise.all([
+      this.getWatchStats({ videoId: { $in: videoIds }, startedAt: { $gte: range.start } }),
+      this.getUserActivity(userId, range),
+      Video.aggregate([
+        { $match: { uploadedBy: userId, isDeleted: false } },
+        { $group: { _id: null, views: { $sum: '$viewCount' } } }
+      ]),
+      BranchingVideo.countDocuments({ createdBy: userId, isActive: true })
+    ]);
+
+    return {
+      period: range,
+      library: {
+        videos: videoIds.length,
+        lifetimeViews: totals[0]?.views || 0,
+        branchingVideos: branching
+      },
+      audience,
+      activity
+    };
+  }
+
+  /**
+   * Build and store a report; `scope` picks whose data it covers
+   * @param {String} ownerId - user the report is stored for
+   * @param {Object} options - type, dateRange, scope, format, filters
+   * @returns {Promise<Object>} stored report
+   */
+  async createReport(ownerId, { type, dateRange, scope = 'user', format = 'json', filters = {}, userId = null }) {
+    const range = this.resolveRange(dateRange);
+    const uploadedBy = scope === 'global' ? null : (userId || ownerId);
+
+    let videos = [];
+    if (scope === 'video' && filters.videoIds?.length) {
+      videos = await Video.find({ _id: { $in: filters.videoIds }, isDeleted: false }).lean();
+    } else if (['performance', 'video', 'comprehensive'].includes(type)) {
+      const filter = { isDeleted: false };
+      if (uploadedBy) filter.uploadedBy = uploadedBy;
+      if (filters.categories?.length) filter.category = { $in: filters.categories };
+      if (filters.minViews) filter.viewCount = { $gte: filters.minViews };
+      if (filters.minDuration) filter.duration = { $gte: filters.minDuration };
+      videos = await Video.find(filter).sort({ viewCount: -1 }).limit(50).lean();
+    }
+
+    const data = {};
+    if (type === 'engagement' || type === 'comprehensive') {
+      data.engagement = await this.getTrends({ uploadedBy, range });
+    }
+    if (type === 'user' || type === 'comprehensive') {
+      data.user = await this.getUserActivity(userId || ownerId, range);
+    }
+    if (type === 'sync' || type === 'comprehensive') {
+      data.sync = await this.getSyncOverview({ hostUserId: uploadedBy, range });
+    }
+    if (type === 'performance' || type === 'video' || type === 'comprehensive') {
+      data.videos = await Promise.all(videos.map(async (video) => ({
+        ...(await this.getVideoAnalytics(video, range)),
+        ...(type === 'performance' ? await this.getPerformanceAnalytics(video, range) : {})
+      })));
+    }
+
+    const report = {
+      id: generalUtils.generateUUID(),
+      type,
+      scope,
+      format,
+      period: range,
+      generatedAt: new Date().toISOString(),
+      data
+    };
+
+    const stored = [report, ...(this.reports.get(ownerId) || [])].slice(0, MAX_REPORTS_PER_USER);
+    this.reports.set(ownerId, stored);
+
+    return report;
+  }
+
+  /**
+   * Reports generated for a user, newest first
+   */
+  getReports(ownerId) {
+    return this.reports.get(ownerId) || [];
+  }
+
+  /**
+   * Flatten a report into `path,value` CSV rows
+   */
+  reportToCsv(report) {
+    const rows = [['metric', 'value']];
+    const walk = (value, prefix) => {
+      if (value && typeof value === 'object' && !(value instanceof Date)) {
+        for (const [key, child] of Object.entries(value)) {
+          walk(child, prefix ? `${prefix}.${key}` : key);
+        }
+      } else {
+        rows.push([prefix, value instanceof Date ? value.toISOString() : value ?? '']);
+      }
+    };
+    walk(report.data, '');
+
+    return rows
+      .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+      .join('\n');
+  }
+
+  /**
+   * Schedule a recurring report; each run covers the window since the last one
+   * @param {String} ownerId - user the reports are stored for
+   * @param {Object} options - reportConfig, schedule, delivery
+   * @returns {Object} schedule
+   */
+  scheduleReport(ownerId, { reportConfig, schedule, delivery }) {
+    const entry = {
+      id: generalUtils.generateUUID(),
+      ownerId,
+      reportConfig,
+      schedule,
+      delivery,
+      nextRunAt: this.nextRunAt(schedule, new Date(schedule.startDate)),
+      lastRunAt: null,
+      createdAt: new Date()
+    };
+
+    this.schedules.set(entry.id, entry);
+    this.startScheduler();
+
+    return entry;
+  }
+
+  /**
+   * Next run of a schedule at or after `from`; times are UTC
+   */
+  nextRunAt(schedule, from) {
+    const [hours, minutes] = schedule.time.split(':').map(Number);
+    const next = new Date(from);
+    next.setUTCHours(hours, minutes, 0, 0);
+
+    while (next < from) {
+      if (schedule.frequency === 'monthly') {
+        next.setUTCMonth(next.getUTCMonth() + 1);
+      } else {
+        next.setUTCDate(next.getUTCDate() + (schedule.frequency === 'weekly' ? 7 : 1));
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Start the once-a-minute check for due scheduled reports
+   */
+  startScheduler() {
+    if (this.schedulerInterval) return;
+
+    this.schedulerInterval = setInterval(() => {
+      this.runDueReports().catch(error => logger.error('Scheduled reports failed', { error: error.message }));
+    }, 60 * 1000);
+    this.schedulerInterval.unref();
+  }
+
+  /**
+   * Generate every scheduled report that is due and deliver it. Reports are
+   * always stored; a webhook receives the JSON. Email needs a mail transport,
+   * which this service does not have, so email delivery is only logged.
+   */
+  async runDueReports(now = new Date()) {
+    for (const entry of this.schedules.values()) {
+      if (entry.nextRunAt > now) continue;
+
+      const window = SCHEDULE_WINDOWS[entry.schedule.frequency];
+      const report = await this.createReport(entry.ownerId, {
+        ...entry.reportConfig,
+        dateRange: { start: new Date(now.getTime() - window), end: now }
+      });
+
+      if (entry.delivery?.webhook) {
+        await fetch(entry.delivery.webhook, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(report)
+        }).catch(error => logger.warn('Report webhook delivery failed', { scheduleId: entry.id, error: error.message }));
+      }
+      if (entry.delivery?.email) {
+        logger.warn('Email delivery for scheduled reports is not configured', { scheduleId: entry.id });
+      }
+
+      entry.lastRunAt = now;
+      entry.nextRunAt = this.nextRunAt(entry.schedule, new Date(now.getTime() + 1000));
+    }
+  }
 }
 
 // Create singleton instance
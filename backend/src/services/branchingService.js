@@ -1,7 +1,9 @@
 import BranchingVideo from '../models/BranchingVideo.js';
 import UserChoice from '../models/UserChoice.js';
+import Video from '../models/Video.js';
 import generalUtils from '../utils/generalUtils.js';
 import logger from '../utils/logger.js';
+import { NotFoundError, AuthorizationError, ValidationError } from '../middleware/errorHandler.js';
 import { EventEmitter } from 'events';
 
 /**
@@ -16,7 +18,7 @@ export class BranchingService extends EventEmitter {
     this.analytics = new Map(); // Analytics for decision points
     
     // Cleanup sessions every 30 minutes
-    setInterval(() => this.cleanupSessions(), 30 * 60 * 1000);
+    setInterval(() => this.cleanupSessions(), 30 * 60 * 1000).unref();
   }
 
   /**
@@ -38,63 +40,41 @@ export class BranchingService extends EventEmitter {
       // Validate branching structure
       this.validateBranchStructure(branchStructure);
 
-      const branchingId = generalUtils.generateUUID();
+      const parentVideo = await Video.findOne({ _id: videoId, isDeleted: false }).select('_id').lean();
+      if (!parentVideo) {
+        throw new NotFoundError('Video');
+      }
+
+      const normalizedStructure = this.normalizeBranchStructure(branchStructure);
+      const estimatedDuration = this.calculateEstimatedDuration(normalizedStructure);
 
-      // Prepare branching data
-      const branchingData = {
-        _id: branchingId,
-        parentVideo: videoId,
+      const branchingVideo = new BranchingVideo({
+        parentVideoId: videoId,
         title: options.title || `Branching Story - ${Date.now()}`,
         description: options.description || '',
         createdBy: userId,
-        
-        // Branching structure
-        branchStructure: this.normalizeBranchStructure(branchStructure),
-        
-        // Metadata
-        version: 1,
-        totalDecisionPoints: branchStructure.decisionPoints?.length || 0,
-        totalPaths: this.calculateTotalPaths(branchStructure),
-        estimatedDuration: this.calculateEstimatedDuration(branchStructure),
-        
-        // Settings
-        allowRestart: options.allowRestart !== false,
-        showProgress: options.showProgress !== false,
-        trackChoices: options.trackChoices !== false,
-        requireCompletion: options.requireCompletion || false,
-        
-        // Access control
-        isPublic: options.isPublic || false,
-        requireAuth: options.requireAuth !== false,
-        
-        // Status
-        isPublished: false,
-        isDraft: true,
-        
-        // Analytics
-        totalViews: 0,
-        totalCompletions: 0,
-        averageCompletionTime: 0,
-        
-        // Timestamps
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-
-      const branchingVideo = new BranchingVideo(branchingData);
+        branchStructure: normalizedStructure,
+        category: options.category,
+        tags: options.tags,
+        difficulty: options.difficulty,
+        estimatedPlaytime: Math.ceil(estimatedDuration / 60),
+        settings: options.settings
+      });
       await branchingVideo.save();
 
+      const branchingId = branchingVideo._id;
+
       // Cache the branching video
-      this.activeBranches.set(branchingId, branchingVideo);
+      this.activeBranches.set(branchingId, branchingVideo.toObject());
 
       // Initialize analytics for decision points
-      this.initializeAnalytics(branchingId, branchStructure);
+      this.initializeAnalytics(branchingId, normalizedStructure);
 
       logger.info('Branching video created successfully:', {
         branchingId,
         videoId,
-        totalDecisionPoints: branchingData.totalDecisionPoints,
-        totalPaths: branchingData.totalPaths
+        totalDecisionPoints: normalizedStructure.decisionPoints.length,
+        totalPaths: this.calculateTotalPaths(normalizedStructure)
       });
 
       return branchingVideo;
@@ -105,7 +85,7 @@ export class BranchingService extends EventEmitter {
         userId,
         error: error.message
       });
-      throw new Error(`Failed to create branching video: ${error.message}`);
+      throw error;
     }
   }
 
@@ -128,18 +108,18 @@ export class BranchingService extends EventEmitter {
       // Get branching video
       const branchingVideo = await this.getBranching(branchingId);
       if (!branchingVideo) {
-        throw new Error('Branching video not found');
+        throw new NotFoundError('Branching video');
       }
 
-      if (!branchingVideo.isPublished && branchingVideo.createdBy.toString() !== userId) {
-        throw new Error('Access denied to unpublished branching video');
+      if (!branchingVideo.isPublished && branchingVideo.createdBy !== userId) {
+        throw new AuthorizationError('Access denied to unpublished branching video');
       }
 
       // Create session tracking
       const userSessionId = generalUtils.generateUUID();
       const sessionData = {
         sessionId: userSessionId,
-        branchingId,
+        branchingId: branchingVideo._id,
         userId,
         syncSessionId: sessionId,
         
@@ -169,7 +149,7 @@ export class BranchingService extends EventEmitter {
       this.userSessions.set(userSessionId, sessionData);
 
       // Update analytics
-      await this.updateBranchingAnalytics(branchingId, 'session_started');
+      await this.updateBranchingAnalytics(branchingVideo._id, 'session_started');
 
       // Emit session start event
       this.emit('session-started', {
@@ -221,13 +201,13 @@ export class BranchingService extends EventEmitter {
       // Get user session
       const sessionData = this.userSessions.get(userSessionId);
       if (!sessionData || !sessionData.isActive) {
-        throw new Error('Session not found or inactive');
+        throw new NotFoundError('Branching session');
       }
 
       // Get branching video
       const branchingVideo = await this.getBranching(sessionData.branchingId);
       if (!branchingVideo) {
-        throw new Error('Branching video not found');
+        throw new NotFoundError('Branching video');
       }
 
       // Find decision point in structure
@@ -237,13 +217,13 @@ export class BranchingService extends EventEmitter {
       );
 
       if (!decisionPoint) {
-        throw new Error('Decision point not found');
+        throw new NotFoundError('Decision point');
       }
 
       // Validate choice
       const choice = decisionPoint.choices.find(c => c.id === choiceMade);
       if (!choice) {
-        throw new Error('Invalid choice for decision point');
+        throw new ValidationError('Invalid choice for decision point');
       }
 
       // Check if choice already made for this decision point
@@ -252,34 +232,30 @@ export class BranchingService extends EventEmitter {
       );
 
       if (existingChoice && !decisionPoint.allowChange) {
-        throw new Error('Choice already made for this decision point');
+        throw new ValidationError('Choice already made for this decision point');
       }
 
       // Record choice in database
-      const choiceRecord = {
-        user: sessionData.userId,
-        branchingVideo: sessionData.branchingId,
+      const userChoice = new UserChoice({
+        userId: sessionData.userId || null,
+        branchingVideoId: sessionData.branchingId,
+        userSessionId,
         decisionPointId,
         choiceMade,
-        choiceLabel: choice.label,
-        timestamp: context.timestamp || 0,
-        sessionId: userSessionId,
-        syncSessionId: sessionData.syncSessionId,
-        
-        // Context data
-        timeSpentDeciding: context.timeSpentDeciding || 0,
-        deviceInfo: context.deviceInfo || sessionData.deviceInfo,
-        
-        // Choice metadata
-        isRevision: !!existingChoice,
-        previousChoice: existingChoice?.choiceMade || null,
-        
-        // Timestamps
-        madeAt: new Date(),
-        createdAt: new Date()
-      };
-
-      const userChoice = new UserChoice(choiceRecord);
+        sessionId: sessionData.syncSessionId,
+        deviceId: context.deviceId || null,
+        decisionTime: context.timeSpentDeciding ?? null,
+        wasTimeout: !!context.wasTimeout,
+        previousChoices: sessionData.choiceHistory.map(previous => ({
+          decisionPointId: previous.decisionPointId,
+          choice: previous.choiceMade,
+          timestamp: previous.madeAt
+        })),
+        metadata: {
+          userAgent: context.userAgent || null,
+          ipAddress: context.ipAddress || null
+        }
+      });
       await userChoice.save();
 
       // Update session data
@@ -329,7 +305,7 @@ export class BranchingService extends EventEmitter {
       if (nextState.isCompleted) {
         sessionData.isCompleted = true;
         sessionData.completedAt = new Date();
-        await this.updateBranchingAnalytics(sessionData.branchingId, 'session_completed');
+        await this.updateBranchingAnalytics(sessionData.branchingId, 'session_completed', sessionData);
       }
 
       // Update analytics for decision point
@@ -386,9 +362,7 @@ export class BranchingService extends EventEmitter {
 
       if (!branchingVideo) {
         // Fetch from database
-        branchingVideo = await BranchingVideo.findById(branchingId)
-          .populate('parentVideo', 'title duration thumbnail')
-          .lean();
+        branchingVideo = await BranchingVideo.findOne({ _id: branchingId, isActive: true }).lean();
 
         if (branchingVideo) {
           this.activeBranches.set(branchingId, branchingVideo);
@@ -400,8 +374,9 @@ export class BranchingService extends EventEmitter {
       }
 
       if (includeAnalytics) {
+        // Copy so the cached document is left untouched
         const analytics = await this.getBranchingAnalytics(branchingId);
-        branchingVideo.analytics = analytics;
+        return { ...branchingVideo, analytics };
       }
 
       return branchingVideo;
@@ -416,63 +391,56 @@ export class BranchingService extends EventEmitter {
   }
 
   /**
-   * Update branching video structure
+   * Update a branching video; a new structure bumps the version
    * @param {String} branchingId - branching video ID
-   * @param {Object} updatedStructure - new structure
+   * @param {Object} updates - title, description, branchStructure, settings, etc.
    * @param {String} userId - user making the update
    * @returns {Promise<Object>} updated branching video
    */
-  async updateBranching(branchingId, updatedStructure, userId) {
+  async updateBranching(branchingId, updates, userId) {
     try {
       logger.info('Updating branching video:', {
         branchingId,
         userId
       });
 
-      const branchingVideo = await BranchingVideo.findById(branchingId);
-      if (!branchingVideo) {
-        throw new Error('Branching video not found');
-      }
+      const branchingVideo = await this.getOwnedBranching(branchingId, userId);
+      const { branchStructure, settings, ...fields } = updates;
 
-      // Check permissions
-      if (branchingVideo.createdBy.toString() !== userId) {
-        throw new Error('Access denied');
-      }
+      Object.assign(branchingVideo, fields);
 
-      // Validate new structure
-      this.validateBranchStructure(updatedStructure);
+      if (settings) {
+        Object.assign(branchingVideo.settings, settings);
+      }
 
-      // Update structure
-      const normalizedStructure = this.normalizeBranchStructure(updatedStructure);
-      
-      const updateData = {
-        branchStructure: normalizedStructure,
-        version: branchingVideo.version + 1,
-        totalDecisionPoints: updatedStructure.decisionPoints?.length || 0,
-        totalPaths: this.calculateTotalPaths(updatedStructure),
-        estimatedDuration: this.calculateEstimatedDuration(updatedStructure),
-        updatedAt: new Date()
-      };
+      if (branchStructure) {
+        this.validateBranchStructure(branchStructure);
+        branchingVideo.branchStructure = this.normalizeBranchStructure(branchStructure);
+        branchingVideo.estimatedPlaytime = Math.ceil(
+          this.calculateEstimatedDuration(branchingVideo.branchStructure) / 60
+        );
+        branchingVideo.version += 1;
+      }
 
-      const updatedBranching = await BranchingVideo.findByIdAndUpdate(
-        branchingId,
-        updateData,
-        { new: true }
-      );
+      if (branchingVideo.isPublished) {
+        this.validateBranchStructure(branchingVideo.branchStructure);
+      }
 
-      // Update cache
-      this.activeBranches.set(branchingId, updatedBranching);
+      await branchingVideo.save();
+      this.activeBranches.set(branchingVideo._id, branchingVideo.toObject());
 
       // Re-initialize analytics for new structure
-      this.initializeAnalytics(branchingId, normalizedStructure);
+      if (branchStructure) {
+        this.initializeAnalytics(branchingVideo._id, branchingVideo.branchStructure);
+      }
 
       logger.info('Branching video updated successfully:', {
         branchingId,
-        version: updateData.version,
-        totalDecisionPoints: updateData.totalDecisionPoints
+        version: branchingVideo.version,
+        totalDecisionPoints: branchingVideo.branchStructure.decisionPoints.length
       });
 
-      return updatedBranching;
+      return branchingVideo;
 
     } catch (error) {
       logger.error('Branching video update failed:', {
@@ -491,50 +459,102 @@ export class BranchingService extends EventEmitter {
    * @returns {Promise<Object>} published branching video
    */
   async publishBranching(branchingId, userId) {
-    try {
-      const branchingVideo = await BranchingVideo.findById(branchingId);
-      if (!branchingVideo) {
-        throw new Error('Branching video not found');
-      }
+    return this.updateBranching(branchingId, { isPublished: true }, userId);
+  }
 
-      if (branchingVideo.createdBy.toString() !== userId) {
-        throw new Error('Access denied');
-      }
+  /**
+   * Add a decision point to a branching video's structure
+   * @param {String} branchingId - branching video ID
+   * @param {Object} point - decision point definition (timestamp, title, choices)
+   * @param {String} userId - owner user ID
+   * @returns {Promise<Object>} the normalized decision point
+   */
+  async addDecisionPoint(branchingId, point, userId) {
+    const branchingVideo = await this.getOwnedBranching(branchingId, userId);
+    const decisionPointId = point.id || generalUtils.generateUUID();
 
-      // Validate structure before publishing
-      this.validateBranchStructure(branchingVideo.branchStructure);
+    const decisionPoints = [
+      ...branchingVideo.branchStructure.decisionPoints,
+      { ...point, id: decisionPointId }
+    ].sort((a, b) => a.timestamp - b.timestamp);
 
-      const updateData = {
-        isPublished: true,
-        isDraft: false,
-        publishedAt: new Date(),
-        updatedAt: new Date()
-      };
+    await this.updateBranching(branchingVideo._id, {
+      branchStructure: { ...branchingVideo.branchStructure, decisionPoints }
+    }, userId);
 
-      const publishedBranching = await BranchingVideo.findByIdAndUpdate(
-        branchingId,
-        updateData,
-        { new: true }
-      );
+    const updated = await this.getBranching(branchingVideo._id);
+    return this.findDecisionPoint(updated.branchStructure, decisionPointId);
+  }
 
-      // Update cache
-      this.activeBranches.set(branchingId, publishedBranching);
+  /**
+   * Remove a decision point from whichever of the user's branching videos holds it
+   * @param {String} decisionPointId - decision point ID
+   * @param {String} userId - owner user ID
+   * @returns {Promise<Object>} updated branching video
+   */
+  async removeDecisionPoint(decisionPointId, userId) {
+    const branchingVideo = await BranchingVideo.findOne({
+      'branchStructure.decisionPoints.id': decisionPointId,
+      isActive: true
+    }).select('_id').lean();
+
+    if (!branchingVideo) {
+      throw new NotFoundError('Decision point');
+    }
 
-      logger.info('Branching video published:', {
-        branchingId,
-        userId
-      });
+    const owned = await this.getOwnedBranching(branchingVideo._id, userId);
+    const decisionPoints = owned.branchStructure.decisionPoints
+      .filter(point => point.id !== decisionPointId);
 
-      return publishedBranching;
+    return this.updateBranching(owned._id, {
+      branchStructure: { ...owned.branchStructure, decisionPoints }
+    }, userId);
+  }
 
-    } catch (error) {
-      logger.error('Branching video publish failed:', {
-        branchingId,
-        userId,
-        error: error.message
-      });
-      throw error;
+  /**
+   * Find a branching video by its own ID or its parent video's ID
+   * @param {String} id - branching video ID or parent video ID
+   * @param {String} userId - requesting user (drafts are only visible to their creator)
+   * @returns {Promise<Object>} branching video
+   */
+  async findBranching(id, userId = null) {
+    let branchingVideo = await this.getBranching(id);
+
+    if (!branchingVideo) {
+      const candidates = await BranchingVideo.find({ parentVideoId: id, isActive: true })
+        .sort({ isPublished: -1, updatedAt: -1 })
+        .lean();
+      branchingVideo = candidates.find(candidate => candidate.isPublished || candidate.createdBy === userId);
     }
+
+    if (!branchingVideo || (!branchingVideo.isPublished && branchingVideo.createdBy !== userId)) {
+      throw new NotFoundError('Branching video');
+    }
+
+    return branchingVideo;
+  }
+
+  /**
+   * Load a branching video document the user is allowed to modify
+   * @param {String} branchingId - branching video ID or parent video ID
+   * @param {String} userId - user ID
+   * @returns {Promise<Object>} mongoose document
+   */
+  async getOwnedBranching(branchingId, userId) {
+    const branchingVideo = await BranchingVideo.findOne({
+      $or: [{ _id: branchingId }, { parentVideoId: branchingId, createdBy: userId }],
+      isActive: true
+    });
+
+    if (!branchingVideo) {
+      throw new NotFoundError('Branching video');
+    }
+
+    if (branchingVideo.createdBy !== userId) {
+      throw new AuthorizationError('Only the creator can modify this branching video');
+    }
+
+    return branchingVideo;
   }
 
   /**
@@ -554,13 +574,13 @@ export class BranchingService extends EventEmitter {
    */
   async getUserChoiceHistory(userId, branchingId = null) {
     try {
-      const filter = { user: userId };
+      const filter = { userId };
       if (branchingId) {
-        filter.branchingVideo = branchingId;
+        filter.branchingVideoId = branchingId;
       }
 
       const choices = await UserChoice.find(filter)
-        .populate('branchingVideo', 'title')
+        .populate('branchingVideoId', 'title')
         .sort('-createdAt')
         .lean();
 
@@ -576,6 +596,103 @@ export class BranchingService extends EventEmitter {
     }
   }
 
+  /**
+   * Get the path a viewer took through a branching video, oldest choice first
+   * @param {String} branchingId - branching video ID
+   * @param {Object} viewer - { userId } or { userSessionId } for guests
+   * @returns {Promise<Object>} viewing path
+   */
+  async getViewingPath(branchingId, { userId = null, userSessionId = null }) {
+    const branchingVideo = await this.findBranching(branchingId, userId);
+    const filter = { branchingVideoId: branchingVideo._id, isValid: true };
+
+    if (userId) {
+      filter.userId = userId;
+    } else {
+      filter.userSessionId = userSessionId;
+    }
+
+    const choices = await UserChoice.find(filter).sort({ createdAt: 1 }).lean();
+    const session = userSessionId ? this.userSessions.get(userSessionId) : null;
+
+    return {
+      branchingVideoId: branchingVideo._id,
+      decisionPoints: branchingVideo.branchStructure.decisionPoints.length,
+      choicesMade: choices.length,
+      completionPercentage: session?.completionPercentage ?? null,
+      path: choices.map(choice => ({
+        userSessionId: choice.userSessionId,
+        decisionPointId: choice.decisionPointId,
+        choice: choice.choiceMade,
+        decisionTime: choice.decisionTime,
+        madeAt: choice.createdAt
+      }))
+    };
+  }
+
+  /**
+   * Published branching videos, optionally filtered
+   * @param {Object} filters - category, difficulty, tags
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>} videos and pagination
+   */
+  async discoverBranching({ category, difficulty, tags } = {}, { page = 1, limit = 10 } = {}) {
+    const filter = { isPublished: true, isActive: true };
+    if (category) filter.category = category;
+    if (difficulty) filter.difficulty = difficulty;
+    if (tags?.length) filter.tags = { $all: tags };
+
+    const [videos, total] = await Promise.all([
+      BranchingVideo.find(filter)
+        .select('-branchStructure')
+        .sort({ publishedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      BranchingVideo.countDocuments(filter)
+    ]);
+
+    return { videos, pagination: { page, limit, total } };
+  }
+
+  /**
+   * Most viewed published branching videos
+   * @param {Number} limit - maximum results
+   * @returns {Promise<Array>} trending branching videos
+   */
+  async getTrendingBranching(limit = 10) {
+    return BranchingVideo.find({ isPublished: true, isActive: true })
+      .select('-branchStructure')
+      .sort({ 'analytics.totalViews': -1, publishedAt: -1 })
+      .limit(limit)
+      .lean();
+  }
+
+  /**
+   * Branching videos a user created or made choices in
+   * @param {String} userId - user ID
+   * @returns {Promise<Object>} { created, participated }
+   */
+  async getUserBranching(userId) {
+    const [created, participatedIds] = await Promise.all([
+      BranchingVideo.find({ createdBy: userId, isActive: true })
+        .select('-branchStructure')
+        .sort({ updatedAt: -1 })
+        .lean(),
+      UserChoice.distinct('branchingVideoId', { userId, branchingVideoId: { $ne: null } })
+    ]);
+
+    const participated = await BranchingVideo.find({
+      _id: { $in: participatedIds },
+      createdBy: { $ne: userId },
+      isActive: true
+    })
+      .select('-branchStructure')
+      .lean();
+
+    return { created, participated };
+  }
+
   /**
    * Get branching analytics
    * @param {String} branchingId - branching video ID
@@ -583,14 +700,14 @@ export class BranchingService extends EventEmitter {
    */
   async getBranchingAnalytics(branchingId) {
     try {
-      const branchingVideo = await BranchingVideo.findById(branchingId);
+      const branchingVideo = await BranchingVideo.findById(branchingId).lean();
       if (!branchingVideo) {
-        throw new Error('Branching video not found');
+        throw new NotFoundError('Branching video');
       }
 
       // Get choice statistics
       const choiceStats = await UserChoice.aggregate([
-        { $match: { branchingVideo: branchingVideo._id } },
+        { $match: { branchingVideoId: branchingVideo._id, isValid: true } },
         {
           $group: {
             _id: {
@@ -598,7 +715,7 @@ export class BranchingService extends EventEmitter {
               choiceMade: '$choiceMade'
             },
             count: { $sum: 1 },
-            averageDecisionTime: { $avg: '$timeSpentDeciding' }
+            averageDecisionTime: { $avg: '$decisionTime' }
           }
         }
       ]);
@@ -612,12 +729,10 @@ export class BranchingService extends EventEmitter {
       return {
         branchingId,
         overview: {
-          totalViews: branchingVideo.totalViews,
-          totalCompletions: branchingVideo.totalCompletions,
-          completionRate: branchingVideo.totalViews > 0 
-            ? (branchingVideo.totalCompletions / branchingVideo.totalViews) * 100 
-            : 0,
-          averageCompletionTime: branchingVideo.averageCompletionTime
+          totalViews: branchingVideo.analytics.totalViews,
+          uniqueViewers: branchingVideo.analytics.uniqueViewers,
+          completionRate: branchingVideo.completionRate,
+          averageCompletionTime: branchingVideo.analytics.averageCompletionTime
         },
         decisionPoints: this.formatDecisionPointAnalytics(choiceStats),
         paths: pathAnalytics,
@@ -641,25 +756,31 @@ export class BranchingService extends EventEmitter {
    */
   validateBranchStructure(structure) {
     if (!structure || typeof structure !== 'object') {
-      throw new Error('Branching structure must be an object');
+      throw new ValidationError('Branching structure must be an object');
     }
 
     if (!structure.decisionPoints || !Array.isArray(structure.decisionPoints)) {
-      throw new Error('Branching structure must have decisionPoints array');
+      throw new ValidationError('Branching structure must have decisionPoints array');
     }
 
+    const seenIds = new Set();
     for (const [index, point] of structure.decisionPoints.entries()) {
-      if (!point.id || !point.timestamp || !point.choices) {
-        throw new Error(`Decision point ${index} missing required fields (id, timestamp, choices)`);
+      if (!point.id || typeof point.timestamp !== 'number' || !point.choices) {
+        throw new ValidationError(`Decision point ${index} missing required fields (id, timestamp, choices)`);
+      }
+
+      if (seenIds.has(point.id)) {
+        throw new ValidationError(`Decision point ${index} has a duplicate id`);
       }
+      seenIds.add(point.id);
 
       if (!Array.isArray(point.choices) || point.choices.length < 2) {
-        throw new Error(`Decision point ${index} must have at least 2 choices`);
+        throw new ValidationError(`Decision point ${index} must have at least 2 choices`);
       }
 
       for (const [choiceIndex, choice] of point.choices.entries()) {
         if (!choice.id || !choice.label) {
-          throw new Error(`Choice ${choiceIndex} in decision point ${index} missing required fields`);
+          throw new ValidationError(`Choice ${choiceIndex} in decision point ${index} missing required fields`);
         }
       }
     }
@@ -830,21 +951,28 @@ export class BranchingService extends EventEmitter {
    * Update branching analytics
    * @param {String} branchingId - branching video ID
    * @param {String} eventType - type of event
+   * @param {Object} sessionData - session that triggered the event (completions)
    */
-  async updateBranchingAnalytics(branchingId, eventType) {
+  async updateBranchingAnalytics(branchingId, eventType, sessionData = null) {
     try {
-      const updateData = { updatedAt: new Date() };
-
       switch (eventType) {
         case 'session_started':
-          updateData.$inc = { totalViews: 1 };
+          await BranchingVideo.updateOne({ _id: branchingId }, { $inc: { 'analytics.totalViews': 1 } });
           break;
-        case 'session_completed':
-          updateData.$inc = { totalCompletions: 1 };
+        case 'session_completed': {
+          const branchingVideo = await BranchingVideo.findById(branchingId);
+          if (branchingVideo && branchingVideo.analytics.totalViews > 0) {
+            const completionTime = (Date.now() - sessionData.startedAt.getTime()) / 1000;
+            await branchingVideo.updateCompletionAnalytics(
+              completionTime,
+              sessionData.choiceHistory.map(choice => choice.choiceMade)
+            );
+          }
           break;
+        }
       }
 
-      await BranchingVideo.findByIdAndUpdate(branchingId, updateData);
+      this.activeBranches.delete(branchingId);
 
     } catch (error) {
       logger.error('Analytics update failed:', {
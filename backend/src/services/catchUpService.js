@@ -0,0 +1,282 @@
+import { AISummary } from '../models/AISummary.js';
+import { VideoTranscript } from '../models/VideoTranscript.js';
+import { SyncRoom } from '../models/SyncRoom.js';
+import aiUtils from '../utils/aiUtils.js';
+import syncUtils from '../utils/syncUtils.js';
+import roomPermissions from '../utils/roomPermissions.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, AuthorizationError } from '../middleware/errorHandler.js';
+
+const BLOCK_SECONDS = 60;
+const BLOCK_SUMMARY_WORDS = 40;
+// Edge pieces this short are quoted rather than summarized
+const VERBATIM_WORDS = 40;
+const ROLLING_CACHE_ENTRIES = 200;
+const BLOCK_CACHE_ENTRIES = 5000;
+
+const wordCount = (text) => (text.match(/\S+/g) || []).length;
+const segmentEnd = (segment) => segment.end ?? segment.start;
+
+// Insert into a Map used as an LRU, dropping the oldest entry when full
+const remember = (map, key, value, limit) => {
+  map.delete(key);
+  map.set(key, value);
+  if (map.size > limit) {
+    map.delete(map.keys().next().value);
+  }
+};
+
+/**
+ * Segments whose speech has fully played by `until`; a segment that is still
+ * being spoken at `until` is left out, so its ending cannot be revealed
+ * @param {Array} segments - transcript segments ({ start, end, text })
+ * @param {number} until - position in seconds
+ * @returns {Array} segments
+ */
+export const segmentsUntil = (segments, until) => {
+  const ordered = [...segments].sort((a, b) => a.start - b.start);
+  return ordered.filter((segment, index) => {
+    // Timestamped lines without an end last until the next line starts
+    const end = segment.end ?? ordered[index + 1]?.start ?? segment.start;
+    return end <= until;
+  });
+};
+
+/**
+ * Group a transcript's segments into fixed-length blocks by start time. A
+ * block ends when its last segment ends, which may be a little past the
+ * block's nominal boundary.
+ * @param {Array} segments - transcript segments
+ * @param {number} blockSeconds - nominal block length
+ * @returns {Array<{ index, start, end, segments }>}
+ */
+export const buildBlocks = (segments, blockSeconds = BLOCK_SECONDS) => {
+  const blocks = new Map();
+  for (const segment of [...segments].sort((a, b) => a.start - b.start)) {
+    const index = Math.floor(segment.start / blockSeconds);
+    if (!blocks.has(index)) {
+      blocks.set(index, { index, start: index * blockSeconds, end: 0, segments: [] });
+    }
+    const block = blocks.get(index);
+    block.segments.push(segment);
+    block.end = Math.max(block.end, segmentEnd(segment));
+  }
+  return [...blocks.values()];
+};
+
+/**
+ * "Catch me up" summaries: what a viewer missed between two positions,
+ * never reaching past what has already played.
+ *
+ * The transcript is cut into fixed blocks whose summaries are generated once
+ * and stored (AISummary, type 'segment'). A catch-up stitches together the
+ * stored summaries of every block inside the range and only summarizes the
+ * partial blocks at its edges, so moving the range along the video costs at
+ * most one new block summary.
+ */
+export class CatchUpService {
+  /**
+   * @param {Object} options - { blockSeconds, summarizer, persist }; `persist: false`
+   *   keeps block summaries in memory only
+   */
+  constructor(options = {}) {
+    this.blockSeconds = options.blockSeconds || BLOCK_SECONDS;
+    this.summarizer = options.summarizer || aiUtils;
+    this.persist = options.persist !== false;
+    this.blockSummaries = new Map(); // `${version}:${blockIndex}` -> summary text
+    this.rollingCache = new Map(); // range key -> catch-up result, oldest first
+  }
+
+  /**
+   * Identifies one generation of a transcript; stored block summaries from a
+   * re-transcription are not reused
+   */
+  transcriptVersion(transcript) {
+    const generatedAt = transcript.generatedAt ? new Date(transcript.generatedAt).getTime() : 0;
+    return `${transcript._id || transcript.id}@${generatedAt}`;
+  }
+
+  /**
+   * Catch-up summary of a stored video's transcript
+   * @param {String} videoId - video ID
+   * @param {Object} options - { from, to, limit, language, maxLength }
+   * @returns {Promise<Object>} catch-up result
+   */
+  async summarizeVideoRange(videoId, options = {}) {
+    const { language } = options;
+    const transcript = await VideoTranscript.findOne({ videoId, isActive: true, ...(language && { language }) })
+      .sort({ generatedAt: -1 })
+      .lean();
+    if (!transcript) {
+      throw new NotFoundError('Transcript');
+    }
+    return this.summarizeRange(transcript, options);
+  }
+
+  /**
+   * Catch-up for a participant of a watch-party room, bounded by the room's
+   * current playback position
+   * @param {String} roomCode - room code
+   * @param {String} userId - requesting participant
+   * @param {Object} options - { from, to, maxLength, now }
+   * @returns {Promise<Object>} catch-up result with the room position
+   */
+  async catchUpInRoom(roomCode, userId, options = {}) {
+    const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() }).lean();
+    if (!room) {
+      throw new NotFoundError('Room');
+    }
+    if (!roomPermissions.isMember(room, userId)) {
+      throw new AuthorizationError('Only room members can catch up');
+    }
+
+    const videoId = this.resolveRoomVideoId(room);
+    if (!videoId) {
+      throw new NotFoundError('Transcript');
+    }
+
+    const position = syncUtils.extrapolatePosition(room.currentState, options.now);
+    const result = await this.summarizeVideoRange(videoId, { ...options, limit: position });
+    return { roomCode: room.code, position, ...result };
+  }
+
+  /**
+   * The platform video a room is playing, if it is one
+   * @param {Object} room - room document
+   * @returns {String|null} video ID
+   */
+  resolveRoomVideoId(room) {
+    const { videoId, videoHash, videoUrl } = room.currentState || {};
+    if (/^[0-9a-f]{24}$/i.test(videoId || '')) {
+      return videoId;
+    }
+    // Rooms created before currentState.videoId kept the ID in videoHash
+    if (/^[0-9a-f]{24}$/i.test(videoHash || '')) {
+      return videoHash;
+    }
+    const match = String(videoUrl || '').match(/\/api\/videos\/([0-9a-f]{24})\/(?:stream|hls\/)/i);
+    return match ? match[1] : null;
+  }
+
+  /**
+   * Summarize the part of a transcript between `from` and `to`, never past
+   * `limit`
+   * @param {Object} transcript - VideoTranscript (document or plain object)
+   * @param {Object} options - { from, to, limit, maxLength }
+   * @returns {Promise<Object>} { videoId, from, to, summary, parts, stats }
+   */
+  async summarizeRange(transcript, options = {}) {
+    const { maxLength = 120 } = options;
+    const limit = Number.isFinite(options.limit) ? options.limit : Infinity;
+    const from = Math.max(0, Number(options.from) || 0);
+    const to = Math.min(Number.isFinite(options.to) ? options.to : limit, limit);
+    const version = this.transcriptVersion(transcript);
+
+    const empty = { videoId: transcript.videoId, from, to, summary: '', parts: [], stats: { cachedBlocks: 0, newBlocks: 0, edgeSegments: 0 } };
+    if (!(to > from)) {
+      return empty;
+    }
+
+    // Everything that finished playing inside the window
+    const missed = segmentsUntil(transcript.segments || [], to).filter(segment => segmentEnd(segment) > from);
+    if (missed.length === 0) {
+      return empty;
+    }
+
+    const rollingKey = `${version}:${missed[0].start}:${missed[missed.length - 1].start}:${missed.length}:${maxLength}`;
+    if (this.rollingCache.has(rollingKey)) {
+      return { ...this.rollingCache.get(rollingKey), from, to };
+    }
+
+    const missedSet = new Set(missed);
+    const stats = { cachedBlocks: 0, newBlocks: 0, edgeSegments: 0 };
+    const parts = [];
+
+    for (const block of buildBlocks(transcript.segments || [], this.blockSeconds)) {
+      const inRange = block.segments.filter(segment => missedSet.has(segment));
+      if (inRange.length === 0) continue;
+
+      if (inRange.length === block.segments.length) {
+        const { summary, cached } = await this.getBlockSummary(transcript, version, block);
+        stats[cached ? 'cachedBlocks' : 'newBlocks']++;
+        parts.push({ start: block.start, end: block.end, summary });
+      } else {
+        // A block cut by the window's edge: only the missed part is used
+        stats.edgeSegments += inRange.length;
+        const text = inRange.map(segment => segment.text).join(' ');
+        const summary = wordCount(text) <= VERBATIM_WORDS
+          ? text
+          : await this.summarizer.summarizeTranscript(text, { maxLength: BLOCK_SUMMARY_WORDS });
+        parts.push({ start: inRange[0].start, end: segmentEnd(inRange[inRange.length - 1]), summary });
+      }
+    }
+
+    const combined = parts.map(part => part.summary).join(' ');
+    const summary = wordCount(combined) > maxLength
+      ? await this.summarizer.summarizeTranscript(combined, { maxLength })
+      : combined;
+
+    const result = { videoId: transcript.videoId, from, to, summary, parts, stats };
+    remember(this.rollingCache, rollingKey, result, ROLLING_CACHE_ENTRIES);
+
+    logger.info('Catch-up summary built:', {
+      videoId: transcript.videoId,
+      from,
+      to,
+      ...stats
+    });
+
+    return result;
+  }
+
+  /**
+   * Summary of one whole block, from memory, the database or freshly generated
+   * @returns {Promise<{ summary: string, cached: boolean }>}
+   */
+  async getBlockSummary(transcript, version, block) {
+    const key = `${version}:${block.index}`;
+    if (this.blockSummaries.has(key)) {
+      return { summary: this.blockSummaries.get(key), cached: true };
+    }
+
+    if (this.persist) {
+      const stored = await AISummary.findOne({
+        videoId: transcript.videoId,
+        summaryType: 'segment',
+        sourceTranscript: version,
+        startTimestamp: block.start,
+        isActive: true
+      }).lean();
+      if (stored) {
+        remember(this.blockSummaries, key, stored.summaryText, BLOCK_CACHE_ENTRIES);
+        return { summary: stored.summaryText, cached: true };
+      }
+    }
+
+    const text = block.segments.map(segment => segment.text).join(' ');
+    const summary = wordCount(text) <= VERBATIM_WORDS
+      ? text
+      : await this.summarizer.summarizeTranscript(text, { maxLength: BLOCK_SUMMARY_WORDS });
+    remember(this.blockSummaries, key, summary, BLOCK_CACHE_ENTRIES);
+
+    if (this.persist) {
+      await AISummary.create({
+        videoId: transcript.videoId,
+        startTimestamp: block.start,
+        endTimestamp: block.end,
+        summaryText: summary,
+        summaryType: 'segment',
+        modelUsed: 'auto',
+        language: transcript.language || 'en',
+        wordCount: wordCount(summary),
+        sourceTranscript: version
+      });
+    }
+
+    return { summary, cached: false };
+  }
+}
+
+const catchUpService = new CatchUpService();
+
+export default catchUpService;
@@ -1,8 +1,13 @@
 import SceneMarker from '../models/SceneMarker.js';
 import EditSession from '../models/EditSession.js';
+import Video from '../models/Video.js';
+import User from '../models/User.js';
 import generalUtils from '../utils/generalUtils.js';
 import videoUtils from '../utils/videoUtils.js';
 import logger from '../utils/logger.js';
+import storageService from './storageService.js';
+import { EDITOR_CONSTANTS } from '../utils/constants.js';
+import { AppError, NotFoundError, AuthorizationError, ValidationError } from '../middleware/errorHandler.js';
 import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
@@ -10,6 +15,11 @@ import { promisify } from 'util';
 const writeFile = promisify(fs.writeFile);
 const readFile = promisify(fs.readFile);
 
+const { MARKER_TYPES } = EDITOR_CONSTANTS;
+
+// Share permissions map onto edit session participant roles
+const SHARE_ROLES = { view: 'viewer', edit: 'editor', admin: 'editor' };
+
 /**
  * Editor Service - Manages video editing features including scene markers,
  * edit sessions, timeline management, and export functionality
@@ -19,10 +29,11 @@ export class EditorService {
     this.activeEditSessions = new Map(); // Cache for active edit sessions
     this.markerCache = new Map(); // Cache for video markers
     this.exportQueue = new Map(); // Track export jobs
+    this.thumbnailJobs = new Map(); // Track timeline thumbnail jobs
     this.tempPath = process.env.TEMP_PATH || './temp/editor';
     
     // Cleanup exports every hour
-    setInterval(() => this.cleanupExports(), 60 * 60 * 1000);
+    setInterval(() => this.cleanupExports(), 60 * 60 * 1000).unref();
     
     // Initialize temp directory
     this.initializeTempDirectory();
@@ -62,79 +73,46 @@ export class EditorService {
 
       // Validate timestamp
       if (timestamp < 0) {
-        throw new Error('Timestamp cannot be negative');
+        throw new ValidationError('Timestamp cannot be negative');
       }
 
       // Validate marker type
-      const validTypes = ['scene', 'chapter', 'bookmark', 'cut', 'transition', 'highlight', 'note'];
-      if (!validTypes.includes(markerType)) {
-        throw new Error(`Invalid marker type. Must be one of: ${validTypes.join(', ')}`);
+      if (!MARKER_TYPES.includes(markerType)) {
+        throw new ValidationError(`Invalid marker type. Must be one of: ${MARKER_TYPES.join(', ')}`);
       }
 
       // Check for duplicate markers at the same timestamp (within 1 second)
       const existingMarker = await SceneMarker.findOne({
-        video: videoId,
+        videoId,
         timestamp: { $gte: timestamp - 1, $lte: timestamp + 1 },
-        markerType
+        markerType,
+        isActive: true
       });
 
       if (existingMarker && !options.allowDuplicate) {
-        throw new Error(`${markerType} marker already exists near timestamp ${timestamp}`);
+        throw new AppError(`${markerType} marker already exists near timestamp ${timestamp}`, 409, 'CONFLICT');
       }
 
-      // Prepare marker data
-      const markerData = {
-        video: videoId,
+      const marker = new SceneMarker({
+        videoId,
         timestamp,
         label: label.trim(),
         markerType,
         createdBy: userId,
-        
-        // Optional metadata
         description: options.description || '',
         color: options.color || this.getDefaultMarkerColor(markerType),
-        duration: options.duration || 0, // For range markers
-        
-        // Editor-specific data
-        editSessionId: options.editSessionId || null,
-        isKeyframe: options.isKeyframe || false,
-        transitions: options.transitions || {},
-        effects: options.effects || {},
-        
-        // Collaboration
-        isPublic: options.isPublic || false,
+        duration: options.duration || null, // For range markers
         tags: options.tags || [],
-        
-        // Metadata
-        confidence: options.confidence || 1.0, // For AI-generated markers
-        source: options.source || 'manual', // manual, ai, import
-        
-        // Status
-        isActive: true,
-        
-        // Timestamps
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-
-      const marker = new SceneMarker(markerData);
+        visibility: options.visibility || 'private',
+        confidenceScore: options.confidence ?? null, // For AI-generated markers
+        metadata: {
+          detectionMethod: options.detectionMethod || 'manual'
+        }
+      });
       await marker.save();
 
-      // Update cache
-      const cacheKey = `${videoId}_markers`;
-      if (this.markerCache.has(cacheKey)) {
-        const cachedMarkers = this.markerCache.get(cacheKey);
-        cachedMarkers.push(marker);
-        cachedMarkers.sort((a, b) => a.timestamp - b.timestamp);
-      }
-
-      // Update edit session if provided
-      if (options.editSessionId) {
-        await this.updateEditSession(options.editSessionId, {
-          lastMarkerAdded: marker._id,
-          lastActivity: new Date()
-        });
-      }
+      // Cached listings are rebuilt on next read
+      this.markerCache.delete(`${videoId}_markers`);
 
       logger.info('Scene marker added successfully:', {
         markerId: marker._id,
@@ -154,7 +132,7 @@ export class EditorService {
         userId,
         error: error.message
       });
-      throw new Error(`Failed to add marker: ${error.message}`);
+      throw error;
     }
   }
 
@@ -171,6 +149,7 @@ export class EditorService {
         startTime,
         endTime,
         userId,
+        viewerId,
         sortBy = 'timestamp',
         sortOrder = 'asc',
         limit,
@@ -183,7 +162,7 @@ export class EditorService {
 
       if (!markers) {
         // Build query
-        const query = { video: videoId, isActive: true };
+        const query = { videoId, isActive: true };
         
         if (markerType) {
           if (Array.isArray(markerType)) {
@@ -216,12 +195,12 @@ export class EditorService {
         if (limit) dbQuery = dbQuery.limit(limit);
 
         // Populate user info
-        dbQuery = dbQuery.populate('createdBy', 'username email');
+        dbQuery = dbQuery.populate('createdBy', 'username');
 
         markers = await dbQuery.lean();
 
         // Cache the results (cache all markers for the video)
-        if (!startTime && !endTime && !markerType && !userId) {
+        if (startTime === undefined && endTime === undefined && !markerType && !userId && !limit && !offset) {
           this.markerCache.set(cacheKey, markers);
         }
       } else {
@@ -242,13 +221,11 @@ export class EditorService {
         }
 
         if (userId) {
-          filteredMarkers = filteredMarkers.filter(m => 
-            m.createdBy.toString() === userId || m.createdBy._id?.toString() === userId
-          );
+          filteredMarkers = filteredMarkers.filter(m => this.markerOwnerId(m) === userId);
         }
 
         // Apply sorting
-        filteredMarkers.sort((a, b) => {
+        filteredMarkers = [...filteredMarkers].sort((a, b) => {
           const aVal = a[sortBy];
           const bVal = b[sortBy];
           const comparison = aVal > bVal ? 1 : aVal < bVal ? -1 : 0;
@@ -264,6 +241,15 @@ export class EditorService {
         markers = filteredMarkers;
       }
 
+      // Private markers are only listed for their creator; shared ones for invitees
+      if (viewerId !== undefined) {
+        markers = markers.filter(marker =>
+          marker.visibility === 'public' ||
+          (viewerId && this.markerOwnerId(marker) === viewerId) ||
+          (viewerId && marker.visibility === 'shared' && marker.sharedWith?.includes(viewerId))
+        );
+      }
+
       // Add formatted timestamps
       const formattedMarkers = markers.map(marker => ({
         ...marker,
@@ -285,7 +271,7 @@ export class EditorService {
         options,
         error: error.message
       });
-      throw new Error(`Failed to list markers: ${error.message}`);
+      throw error;
     }
   }
 
@@ -304,21 +290,21 @@ export class EditorService {
         userId
       });
 
-      const marker = await SceneMarker.findById(markerId);
+      const marker = await SceneMarker.findOne({ _id: markerId, isActive: true });
       
       if (!marker) {
-        throw new Error('Marker not found');
+        throw new NotFoundError('Marker');
       }
 
       // Check permissions
-      if (marker.createdBy.toString() !== userId && !this.isAdmin(userId)) {
-        throw new Error('Access denied');
+      if (marker.createdBy !== userId && !(await this.isAdmin(userId))) {
+        throw new AuthorizationError('Only the marker creator can change it');
       }
 
       // Validate updates
       const allowedUpdates = [
-        'label', 'description', 'color', 'duration', 'markerType',
-        'transitions', 'effects', 'tags', 'isPublic'
+        'timestamp', 'label', 'description', 'color', 'duration', 'markerType',
+        'tags', 'visibility'
       ];
 
       const sanitizedUpdates = {};
@@ -328,21 +314,19 @@ export class EditorService {
         }
       }
 
-      sanitizedUpdates.updatedAt = new Date();
-
       const updatedMarker = await SceneMarker.findByIdAndUpdate(
         markerId,
         sanitizedUpdates,
         { new: true, runValidators: true }
-      ).populate('createdBy', 'username email');
+      );
 
       // Invalidate cache
-      const cacheKey = `${marker.video}_markers`;
+      const cacheKey = `${marker.videoId}_markers`;
       this.markerCache.delete(cacheKey);
 
       logger.info('Scene marker updated successfully:', {
         markerId,
-        videoId: marker.video,
+        videoId: marker.videoId,
         updates: Object.keys(sanitizedUpdates)
       });
 
@@ -368,31 +352,27 @@ export class EditorService {
     try {
       logger.info('Deleting scene marker:', { markerId, userId });
 
-      const marker = await SceneMarker.findById(markerId);
+      const marker = await SceneMarker.findOne({ _id: markerId, isActive: true });
       
       if (!marker) {
-        throw new Error('Marker not found');
+        throw new NotFoundError('Marker');
       }
 
       // Check permissions
-      if (marker.createdBy.toString() !== userId && !this.isAdmin(userId)) {
-        throw new Error('Access denied');
+      if (marker.createdBy !== userId && !(await this.isAdmin(userId))) {
+        throw new AuthorizationError('Only the marker creator can delete it');
       }
 
       // Soft delete by marking as inactive
-      await SceneMarker.findByIdAndUpdate(markerId, {
-        isActive: false,
-        deletedAt: new Date(),
-        deletedBy: userId
-      });
+      await SceneMarker.updateOne({ _id: markerId }, { isActive: false });
 
       // Invalidate cache
-      const cacheKey = `${marker.video}_markers`;
+      const cacheKey = `${marker.videoId}_markers`;
       this.markerCache.delete(cacheKey);
 
       logger.info('Scene marker deleted successfully:', {
         markerId,
-        videoId: marker.video,
+        videoId: marker.videoId,
         userId
       });
 
@@ -409,10 +389,10 @@ export class EditorService {
   }
 
   /**
-   * Create a new edit session
+   * Create a new edit session (an editor project) for a video
    * @param {String} videoId - video ID
    * @param {String} userId - user creating the session
-   * @param {Object} options - session options
+   * @param {Object} options - name, description, exportSettings, roomId
    * @returns {Promise<Object>} created edit session
    */
   async createEditSession(videoId, userId, options = {}) {
@@ -423,55 +403,28 @@ export class EditorService {
         options
       });
 
-      const sessionId = generalUtils.generateUUID();
+      const video = await Video.findOne({ _id: videoId, isDeleted: false }).select('_id').lean();
+      if (!video) {
+        throw new NotFoundError('Video');
+      }
 
-      const sessionData = {
-        _id: sessionId,
-        video: videoId,
+      const editSession = new EditSession({
+        sessionId: generalUtils.generateUUID(),
+        videoId,
+        roomId: options.roomId || null,
+        name: options.name,
+        description: options.description,
         createdBy: userId,
-        sessionName: options.name || `Edit Session ${Date.now()}`,
-        description: options.description || '',
-        
-        // Timeline state
-        timeline: {
-          markers: [],
-          cuts: [],
-          transitions: [],
-          effects: []
-        },
-        
-        // Playback state
-        currentTimestamp: 0,
-        zoomLevel: 1,
-        timelineStart: 0,
-        timelineEnd: options.videoDuration || 0,
-        
-        // Collaboration
-        isCollaborative: options.isCollaborative || false,
-        invitedUsers: options.invitedUsers || [],
-        permissions: options.permissions || {},
-        
-        // Version control
-        version: 1,
-        lastSaved: new Date(),
-        autoSave: options.autoSave !== false,
-        
-        // Status
-        isActive: true,
-        
-        // Timestamps
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-
-      const editSession = new EditSession(sessionData);
+        participants: [{ userId, role: 'owner' }],
+        exportSettings: options.exportSettings
+      });
       await editSession.save();
 
       // Cache the session
-      this.activeEditSessions.set(sessionId, editSession);
+      this.activeEditSessions.set(editSession.id, editSession);
 
       logger.info('Edit session created successfully:', {
-        sessionId,
+        sessionId: editSession.id,
         videoId,
         userId
       });
@@ -484,7 +437,7 @@ export class EditorService {
         userId,
         error: error.message
       });
-      throw new Error(`Failed to create edit session: ${error.message}`);
+      throw error;
     }
   }
 
@@ -492,17 +445,19 @@ export class EditorService {
    * Get edit session
    * @param {String} sessionId - edit session ID
    * @param {String} userId - requesting user ID
-   * @returns {Promise<Object>} edit session data
+   * @param {Object} options - { requireEdit } to demand owner/editor access
+   * @returns {Promise<Object>} edit session document
    */
-  async getEditSession(sessionId, userId) {
+  async getEditSession(sessionId, userId, { requireEdit = false } = {}) {
     try {
       // Check cache first
       let editSession = this.activeEditSessions.get(sessionId);
 
       if (!editSession) {
-        editSession = await EditSession.findById(sessionId)
-          .populate('video', 'title duration')
-          .populate('createdBy', 'username email');
+        editSession = await EditSession.findOne({
+          _id: sessionId,
+          status: { $ne: 'cancelled' }
+        }).catch(() => null);
 
         if (editSession) {
           this.activeEditSessions.set(sessionId, editSession);
@@ -510,12 +465,12 @@ export class EditorService {
       }
 
       if (!editSession) {
-        throw new Error('Edit session not found');
+        throw new NotFoundError('Edit session');
       }
 
       // Check permissions
-      if (!this.hasEditSessionAccess(editSession, userId)) {
-        throw new Error('Access denied to edit session');
+      if (!this.hasEditSessionAccess(editSession, userId, requireEdit)) {
+        throw new AuthorizationError('Access denied to edit session');
       }
 
       return editSession;
@@ -533,43 +488,31 @@ export class EditorService {
   /**
    * Update edit session
    * @param {String} sessionId - edit session ID
-   * @param {Object} updates - updates to apply
+   * @param {Object} updates - name, description, exportSettings, editingState
    * @param {String} userId - user making the update
    * @returns {Promise<Object>} updated session
    */
-  async updateEditSession(sessionId, updates, userId = null) {
+  async updateEditSession(sessionId, updates, userId) {
     try {
-      const editSession = await EditSession.findById(sessionId);
+      const editSession = await this.getEditSession(sessionId, userId, { requireEdit: true });
+      const { exportSettings, editingState, ...fields } = updates;
 
-      if (!editSession) {
-        throw new Error('Edit session not found');
+      for (const key of ['name', 'description', 'status']) {
+        if (fields[key] !== undefined) {
+          editSession[key] = fields[key];
+        }
       }
-
-      if (userId && !this.hasEditSessionAccess(editSession, userId)) {
-        throw new Error('Access denied to edit session');
+      if (exportSettings) {
+        Object.assign(editSession.exportSettings, exportSettings);
       }
-
-      // Prepare updates
-      const updateData = {
-        ...updates,
-        updatedAt: new Date()
-      };
-
-      if (updates.timeline) {
-        updateData.lastSaved = new Date();
-        updateData.version = editSession.version + 1;
+      if (editingState) {
+        Object.assign(editSession.editingState, editingState);
       }
 
-      const updatedSession = await EditSession.findByIdAndUpdate(
-        sessionId,
-        updateData,
-        { new: true }
-      );
-
-      // Update cache
-      this.activeEditSessions.set(sessionId, updatedSession);
+      editSession.version += 1;
+      await editSession.save();
 
-      return updatedSession;
+      return editSession;
 
     } catch (error) {
       logger.error('Edit session update failed:', {
@@ -581,6 +524,157 @@ export class EditorService {
     }
   }
 
+  /**
+   * Cancel an edit session; only its creator may do so
+   * @param {String} sessionId - edit session ID
+   * @param {String} userId - requesting user ID
+   * @returns {Promise<Boolean>} deletion success
+   */
+  async deleteEditSession(sessionId, userId) {
+    const editSession = await this.getEditSession(sessionId, userId);
+
+    if (editSession.createdBy.toString() !== userId) {
+      throw new AuthorizationError('Only the project owner can delete it');
+    }
+
+    editSession.status = 'cancelled';
+    await editSession.save();
+    this.activeEditSessions.delete(sessionId);
+
+    logger.info('Edit session cancelled:', { sessionId, userId });
+    return true;
+  }
+
+  /**
+   * Edit sessions a user owns or was invited to, most recently updated first
+   * @param {String} userId - user ID
+   * @param {Object} pagination - page, limit
+   * @returns {Promise<Object>} sessions and pagination
+   */
+  async listEditSessions(userId, { page = 1, limit = 10 } = {}) {
+    const filter = {
+      $or: [
+        { createdBy: userId },
+        { participants: { $elemMatch: { userId, isActive: true } } }
+      ],
+      status: { $in: ['active', 'paused', 'completed'] }
+    };
+
+    const [sessions, total] = await Promise.all([
+      EditSession.find(filter)
+        .select('-edits -markers')
+        .sort({ updatedAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      EditSession.countDocuments(filter)
+    ]);
+
+    return { sessions, pagination: { page, limit, total } };
+  }
+
+  /**
+   * Invite users to an edit session
+   * @param {String} sessionId - edit session ID
+   * @param {String} userId - owner user ID
+   * @param {Array} userIds - users to invite
+   * @param {String} permission - view, edit or admin
+   * @returns {Promise<Object>} updated session
+   */
+  async shareEditSession(sessionId, userId, userIds, permission = 'view') {
+    const editSession = await this.getEditSession(sessionId, userId);
+
+    if (editSession.createdBy.toString() !== userId) {
+      throw new AuthorizationError('Only the project owner can share it');
+    }
+
+    const found = await User.find({ _id: { $in: userIds }, isActive: true }).select('_id').lean();
+    if (found.length !== userIds.length) {
+      throw new NotFoundError('User');
+    }
+
+    if (editSession.participants.length + userIds.length > editSession.settings.maxParticipants) {
+      throw new ValidationError('Project participant limit reached');
+    }
+
+    const role = SHARE_ROLES[permission] || 'viewer';
+    for (const inviteeId of userIds) {
+      const existing = editSession.participants.find(p => p.userId.toString() === inviteeId);
+      if (existing) {
+        existing.isActive = true;
+        if (existing.role !== 'owner') existing.role = role;
+      } else {
+        editSession.participants.push({ userId: inviteeId, role });
+      }
+    }
+    await editSession.save();
+
+    return editSession;
+  }
+
+  /**
+   * Marker and collaboration statistics for an edit session
+   * @param {String} sessionId - edit session ID
+   * @param {String} userId - requesting user ID
+   * @returns {Promise<Object>} statistics
+   */
+  async getEditSessionStats(sessionId, userId) {
+    const editSession = await this.getEditSession(sessionId, userId);
+
+    const byType = await SceneMarker.aggregate([
+      { $match: { videoId: editSession.videoId, isActive: true } },
+      { $group: { _id: '$markerType', count: { $sum: 1 } } }
+    ]);
+
+    return {
+      markers: {
+        total: byType.reduce((sum, entry) => sum + entry.count, 0),
+        byType: Object.fromEntries(byType.map(entry => [entry._id, entry.count]))
+      },
+      edits: editSession.edits.length,
+      collaborators: editSession.getActiveParticipants().length,
+      version: editSession.version,
+      lastModified: editSession.updatedAt
+    };
+  }
+
+  /**
+   * Start extracting timeline thumbnails for an edit session's video
+   * @param {String} sessionId - edit session ID
+   * @param {String} userId - requesting user ID
+   * @param {Number} interval - seconds between thumbnails
+   * @returns {Promise<String>} job ID
+   */
+  async generateTimelineThumbnails(sessionId, userId, interval = 10) {
+    const editSession = await this.getEditSession(sessionId, userId, { requireEdit: true });
+    const video = await Video.findOne({ _id: editSession.videoId, isDeleted: false })
+      .select('filePath storageKey duration')
+      .lean();
+    if (!video) {
+      throw new NotFoundError('Video');
+    }
+
+    const jobId = generalUtils.generateUUID();
+    const outputDir = path.join(this.tempPath, 'thumbnails', jobId);
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    const job = { jobId, sessionId, status: 'generating', frames: [], startedAt: new Date() };
+    this.thumbnailJobs.set(jobId, job);
+
+    const maxFrames = Math.max(1, Math.ceil((video.duration || interval) / interval));
+    videoUtils.extractFrames(await storageService.videoInput(video), outputDir, { interval, maxFrames, format: 'jpg' })
+      .then((frames) => {
+        job.status = 'completed';
+        job.frames = frames;
+      })
+      .catch((error) => {
+        job.status = 'failed';
+        job.error = error.message;
+      });
+
+    return jobId;
+  }
+
   /**
    * Export markers in various formats
    * @param {String} videoId - video ID
@@ -598,7 +692,7 @@ export class EditorService {
 
       const validFormats = ['JSON', 'EDL', 'SRT', 'CSV', 'XML', 'FCPXML'];
       if (!validFormats.includes(format.toUpperCase())) {
-        throw new Error(`Unsupported export format. Supported: ${validFormats.join(', ')}`);
+        throw new ValidationError(`Unsupported export format. Supported: ${validFormats.join(', ')}`);
       }
 
       // Get markers
@@ -609,7 +703,7 @@ export class EditorService {
       });
 
       if (markers.length === 0) {
-        throw new Error('No markers found for export');
+        throw new NotFoundError('Markers');
       }
 
       // Export based on format
@@ -681,7 +775,7 @@ export class EditorService {
         format,
         error: error.message
       });
-      throw new Error(`Export failed: ${error.message}`);
+      throw error;
     }
   }
 
@@ -723,7 +817,7 @@ export class EditorService {
           break;
 
         default:
-          throw new Error(`Import format ${format} not supported`);
+          throw new ValidationError(`Import format ${format} not supported`);
       }
 
       // Create markers
@@ -734,12 +828,13 @@ export class EditorService {
             videoId,
             markerData.timestamp,
             markerData.label,
-            markerData.markerType || 'scene',
+            MARKER_TYPES.includes(markerData.markerType) ? markerData.markerType : 'bookmark',
             userId,
             {
-              ...markerData,
-              source: 'import',
-              editSessionId: options.editSessionId
+              description: markerData.description,
+              duration: markerData.duration,
+              color: markerData.color,
+              tags: markerData.tags
             }
           );
           importedMarkers.push(marker);
@@ -772,7 +867,7 @@ export class EditorService {
         userId,
         error: error.message
       });
-      throw new Error(`Import failed: ${error.message}`);
+      throw error;
     }
   }
 
@@ -788,17 +883,16 @@ export class EditorService {
 
       const suggestions = [];
 
-      // Get video metadata for analysis
-      const videoMetadata = await videoUtils.getVideoMetadata(videoId);
-      if (!videoMetadata) {
-        throw new Error('Could not retrieve video metadata');
+      const video = await Video.findOne({ _id: videoId, isDeleted: false }).select('filePath').lean();
+      if (!video) {
+        throw new NotFoundError('Video');
       }
 
       // Scene detection suggestions
       if (options.detectScenes !== false) {
         const sceneChanges = await this.detectSceneChanges(videoId, options);
         suggestions.push(...sceneChanges.map(scene => ({
-          type: 'scene',
+          type: 'ai_detected',
           action: 'add_marker',
           timestamp: scene.timestamp,
           label: `Scene ${scene.index + 1}`,
@@ -846,7 +940,7 @@ export class EditorService {
         videoId,
         error: error.message
       });
-      throw new Error(`Failed to generate suggestions: ${error.message}`);
+      throw error;
     }
   }
 
@@ -879,13 +973,12 @@ export class EditorService {
             videoId,
             suggestion.timestamp,
             suggestion.label,
-            suggestion.type,
+            MARKER_TYPES.includes(suggestion.type) ? suggestion.type : 'ai_detected',
             userId,
             {
               description: suggestion.reason,
               confidence: suggestion.confidence,
-              source: 'ai',
-              editSessionId: options.editSessionId
+              detectionMethod: 'scene_change'
             }
           );
           createdMarkers.push(marker);
@@ -923,13 +1016,13 @@ export class EditorService {
    */
   getDefaultMarkerColor(markerType) {
     const colorMap = {
-      scene: '#FF6B6B',      // Red
-      chapter: '#4ECDC4',    // Teal
-      bookmark: '#45B7D1',   // Blue
-      cut: '#96CEB4',        // Green
-      transition: '#FFEAA7', // Yellow
-      highlight: '#DDA0DD',  // Plum
-      note: '#98D8C8'        // Mint
+      important: '#FF6B6B',   // Red
+      chapter: '#4ECDC4',     // Teal
+      bookmark: '#45B7D1',    // Blue
+      edit: '#96CEB4',        // Green
+      ai_detected: '#FFEAA7', // Yellow
+      highlight: '#DDA0DD',   // Plum
+      note: '#98D8C8'         // Mint
     };
 
     return colorMap[markerType] || '#CCCCCC';
@@ -939,29 +1032,42 @@ export class EditorService {
    * Check if user has access to edit session
    * @param {Object} editSession - edit session object
    * @param {String} userId - user ID to check
+   * @param {Boolean} requireEdit - whether owner/editor rights are needed
    * @returns {Boolean} has access
    */
-  hasEditSessionAccess(editSession, userId) {
+  hasEditSessionAccess(editSession, userId, requireEdit = false) {
     if (editSession.createdBy.toString() === userId) {
       return true;
     }
 
-    if (editSession.isCollaborative) {
-      return editSession.invitedUsers.includes(userId) ||
-             editSession.permissions[userId]?.canEdit;
+    const participant = editSession.participants.find(p =>
+      p.isActive && p.userId.toString() === userId
+    );
+    if (!participant) {
+      return false;
     }
 
-    return false;
+    return !requireEdit || participant.role !== 'viewer';
+  }
+
+  /**
+   * ID of a marker's creator, whether or not createdBy was populated
+   * @param {Object} marker - marker object
+   * @returns {String} user ID
+   */
+  markerOwnerId(marker) {
+    return marker.createdBy?._id ?? marker.createdBy;
   }
 
   /**
    * Check if user has admin privileges
    * @param {String} userId - user ID to check
-   * @returns {Boolean} is admin
+   * @returns {Promise<Boolean>} is admin
    */
-  isAdmin(userId) {
-    // TODO: Implement actual admin check
-    return false;
+  async isAdmin(userId) {
+    if (!userId) return false;
+    const user = await User.findById(userId).select('role').lean();
+    return user?.role === 'admin';
   }
 
   // Export format methods
@@ -1163,7 +1269,7 @@ export class EditorService {
       const parsed = JSON.parse(data);
       return parsed.markers || parsed;
     } catch (error) {
-      throw new Error('Invalid JSON format');
+      throw new ValidationError('Invalid JSON format');
     }
   }
 
@@ -1176,17 +1282,21 @@ export class EditorService {
     const markers = [];
     const lines = data.split('\n');
     
-    // Simplified EDL parsing - implement full EDL parser as needed
+    // Simplified EDL parsing: the record-in timecode of each event line
+    // becomes the timestamp of the clip name that follows it
+    let timestamp = 0;
     for (let i = 0; i < lines.length; i++) {
       const line = lines[i].trim();
-      if (line.startsWith('*') && line.includes('FROM CLIP NAME:')) {
+      const event = line.match(/^\d{3}\s.*?(\d{2}:\d{2}:\d{2}(?:\.\d+)?)\s*$/);
+      if (event) {
+        timestamp = videoUtils.timecodeToSeconds(event[1]);
+      } else if (line.startsWith('*') && line.includes('FROM CLIP NAME:')) {
         const label = line.replace('* FROM CLIP NAME:', '').trim();
-        const timestamp = 0; // Extract from previous line timecode
         
         markers.push({
           timestamp,
           label,
-          markerType: 'scene'
+          markerType: 'bookmark'
         });
       }
     }
@@ -1216,7 +1326,7 @@ export class EditorService {
           timestamp: startTime,
           label,
           description,
-          markerType: 'scene'
+          markerType: 'bookmark'
         });
       }
     }
@@ -1240,7 +1350,7 @@ export class EditorService {
         markers.push({
           timestamp: parseFloat(values[0]) || 0,
           label: values[1] || `Marker ${i}`,
-          markerType: values[2] || 'scene',
+          markerType: values[2] || 'bookmark',
           description: values[3] || '',
           duration: parseFloat(values[4]) || 0
         });
@@ -1346,12 +1456,19 @@ export class EditorService {
         const filePath = path.join(this.tempPath, file);
         const stats = await fs.promises.stat(filePath);
         
-        if (stats.mtime < cutoffTime) {
+        if (stats.isFile() && stats.mtime < cutoffTime) {
           await fs.promises.unlink(filePath);
           logger.info(`Cleaned up old export file: ${filePath}`);
         }
       }
 
+      for (const [jobId, job] of this.thumbnailJobs) {
+        if (job.startedAt < cutoffTime) {
+          await fs.promises.rm(path.join(this.tempPath, 'thumbnails', jobId), { recursive: true, force: true });
+          this.thumbnailJobs.delete(jobId);
+        }
+      }
+
     } catch (error) {
       logger.error('Export cleanup failed:', error);
     }
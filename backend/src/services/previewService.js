@@ -0,0 +1,263 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import Video from '../models/Video.js';
+import videoUtils from '../utils/videoUtils.js';
+import storageService from './storageService.js';
+import { VideoJobRunner, MAX_ATTEMPTS, PROGRESS_WRITE_MS } from './videoJobRunner.js';
+import { config } from '../config/env.js';
+import {
+  planSprites,
+  spriteOutputOptions,
+  spriteFileName,
+  previewTrack,
+  PREVIEW_TRACK,
+  SPRITE_FILE_PATTERN
+} from '../utils/previewSprites.js';
+import { progressFraction } from '../utils/hlsLadder.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+/**
+ * Seek-bar preview thumbnails
+ *
+ * After upload, draws sprite sheets of small frames taken every `interval`
+ * seconds (see utils/previewSprites.js) and a `thumbnails.vtt` track mapping
+ * each stretch of the timeline to its tile. Both are kept in media storage
+ * under `previews/<videoId>/` and served through the video routes, so a
+ * participant hovering the seek bar sees where a jump would land.
+ *
+ * Job state lives on the Video document (`previews`) and is queued, claimed
+ * and resumed by a VideoJobRunner (services/videoJobRunner.js), as for HLS
+ * transcoding. Jobs run one at a time per process.
+ *
+ * Emits 'completed' and 'failed' with the video ID and its preview state.
+ */
+export class PreviewService extends EventEmitter {
+  /**
+   * @param {Object} options - { generator, interval, columns, rows, tileWidth, workPath };
+   *   the generator is anything with videoUtils' generateSpriteSheets()
+   */
+  constructor(options = {}) {
+    super();
+    this.settings = { ...config.previews, ...options };
+    this.generator = options.generator || videoUtils;
+    this.runner = new VideoJobRunner({
+      field: 'previews',
+      activeStatus: 'generating',
+      label: 'preview',
+      claimFields: { progress: 0 },
+      work: (videoId) => this.process(videoId)
+    });
+  }
+
+  /**
+   * Resume unfinished jobs now and keep checking for abandoned ones
+   */
+  start() {
+    if (this.runner.start()) {
+      logger.info('🖼️ Preview sprite runner started');
+    }
+  }
+
+  /**
+   * Stop checking for abandoned jobs; a running job finishes
+   */
+  stop() {
+    this.runner.stop();
+  }
+
+  /**
+   * Queue a video for preview sprites. A video already queued or being drawn
+   * is left alone; a finished one is only redone when forced.
+   * @param {String} videoId - video ID
+   * @param {Object} options - { force }
+   * @returns {Promise<Object>} preview status
+   */
+  async enqueue(videoId, { force = false } = {}) {
+    const video = await Video.findOne({ _id: videoId, isDeleted: false });
+    if (!video) {
+      throw new NotFoundError('Video');
+    }
+
+    if (this.runner.isBusy(video.previews) || (video.previews?.status === 'ready' && !force)) {
+      return this.describe(video);
+    }
+    if (!(video.duration > 0)) {
+      throw new ValidationError('Video duration is unknown, so no previews can be drawn');
+    }
+
+    await this.removeOutput(video);
+    video.previews = { status: 'queued', sheets: 0, progress: 0, attempts: 0, queuedAt: new Date() };
+    await video.save();
+
+    logger.info('Preview job enqueued:', { videoId });
+    this.runner.add(videoId);
+    return this.describe(video);
+  }
+
+  /**
+   * Draw the sheets of a claimed video, store them with their track
+   * @param {String} videoId - video ID
+   */
+  async process(videoId) {
+    const video = await this.runner.claim(videoId);
+    if (!video) return;
+
+    if (video.previews.attempts > MAX_ATTEMPTS) {
+      await this.finish(video, 'failed', `Gave up after ${MAX_ATTEMPTS} attempts`);
+      return;
+    }
+    if (await storageService.videoSize(video) === null) {
+      await this.finish(video, 'failed', 'Source file is missing');
+      return;
+    }
+
+    const plan = planSprites({
+      duration: video.duration,
+      width: video.metadata?.width,
+      height: video.metadata?.height
+    }, this.settings);
+    // Whatever an interrupted attempt left behind is started over
+    const dir = path.join(this.settings.workPath, String(videoId));
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    let lastWrite = Date.now();
+    const onProgress = (progress) => {
+      if (Date.now() - lastWrite < PROGRESS_WRITE_MS) return;
+      lastWrite = Date.now();
+      this.update(videoId, { progress: progressFraction(progress, video.duration) })
+        .catch(error => logger.warn('Could not record preview progress:', { videoId, error: error.message }));
+    };
+
+    try {
+      await this.generator.generateSpriteSheets(
+        await storageService.videoInput(video),
+        path.join(dir, 'sprite_%03d.jpg'),
+        spriteOutputOptions(plan),
+        { onProgress }
+      );
+
+      // ffmpeg may stop a sheet short of the plan when the container's duration was generous
+      const files = (await fs.promises.readdir(dir)).filter(file => SPRITE_FILE_PATTERN.test(file)).sort();
+      if (!files.length) {
+        throw new Error('No sprite sheet was drawn');
+      }
+      const sheets = files.length;
+      for (let index = 0; index < sheets; index++) {
+        await storageService.put(
+          storageService.previewKey(videoId, spriteFileName(index)),
+          path.join(dir, spriteFileName(index)),
+          { move: true, contentType: 'image/jpeg' }
+        );
+        // Counted as they land, so a failed attempt's sheets can still be deleted
+        video.previews.sheets = index + 1;
+        await this.update(videoId, { sheets: index + 1 });
+      }
+      await storageService.put(
+        storageService.previewKey(videoId, PREVIEW_TRACK),
+        Buffer.from(previewTrack(plan, { duration: video.duration, sheets })),
+        { contentType: 'text/vtt' }
+      );
+
+      Object.assign(video.previews, {
+        interval: plan.interval,
+        columns: plan.columns,
+        rows: plan.rows,
+        tileWidth: plan.tileWidth,
+        tileHeight: plan.tileHeight
+      });
+      await this.finish(video, 'ready');
+    } catch (error) {
+      await this.finish(video, 'failed', error.message);
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Set preview fields in the database and refresh the heartbeat
+   */
+  update(videoId, fields) {
+    return this.runner.update(videoId, fields);
+  }
+
+  async finish(video, status, error = null) {
+    const videoId = String(video._id);
+    const { interval, columns, rows, tileWidth, tileHeight, sheets } = video.previews;
+    Object.assign(video.previews, { status, error, completedAt: new Date() });
+    if (status === 'ready') {
+      video.previews.progress = 1;
+    }
+    await this.update(videoId, {
+      status,
+      error,
+      progress: video.previews.progress,
+      completedAt: video.previews.completedAt,
+      ...(status === 'ready' ? { interval, columns, rows, tileWidth, tileHeight, sheets } : {})
+    });
+
+    const described = this.describe(video);
+    if (status === 'ready') {
+      logger.info('Preview sprites ready:', { videoId, sheets });
+      this.emit('completed', videoId, described);
+    } else {
+      logger.error('Preview sprites failed:', { videoId, error });
+      this.emit('failed', videoId, described);
+    }
+  }
+
+  /**
+   * Storage key of a servable preview file: the track, or one of its sheets
+   * @param {Object} video - video document
+   * @param {String} file - file name
+   * @returns {String} storage key
+   */
+  resolveFile(video, file) {
+    const { previews } = video;
+    if (previews?.status !== 'ready') {
+      throw new NotFoundError('Preview thumbnails');
+    }
+    const sheet = SPRITE_FILE_PATTERN.test(file) ? parseInt(file.slice(7, 10), 10) : -1;
+    if (file !== PREVIEW_TRACK && !(sheet >= 0 && sheet < previews.sheets)) {
+      throw new NotFoundError('Preview file');
+    }
+    return storageService.previewKey(String(video._id), file);
+  }
+
+  /**
+   * Delete a video's sheets and track from storage
+   * @param {Object} video - video document
+   */
+  async removeOutput(video) {
+    const videoId = String(video._id);
+    const files = [PREVIEW_TRACK];
+    for (let index = 0; index < (video.previews?.sheets || 0); index++) {
+      files.push(spriteFileName(index));
+    }
+    await Promise.all(files.map(file => storageService.delete(storageService.previewKey(videoId, file))
+      .catch(error => logger.warn('Could not delete preview file:', { videoId, file, error: error.message }))));
+  }
+
+  /**
+   * Client-facing preview state of a video
+   * @param {Object} video - video document
+   * @returns {Object} { status, progress, interval, sheets, trackUrl, error }
+   */
+  describe(video) {
+    const { status = 'none', progress = 0, interval = null, sheets = 0, error = null } = video.previews || {};
+    return {
+      status,
+      progress,
+      interval,
+      sheets,
+      trackUrl: status === 'ready' ? `/api/videos/${video._id}/previews/${PREVIEW_TRACK}` : null,
+      error: error || null
+    };
+  }
+}
+
+const previewService = new PreviewService();
+
+export default previewService;
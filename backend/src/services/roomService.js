@@ -1,5 +1,16 @@
 import { SyncRoom } from '../models/SyncRoom.js';
+import { nanoid } from 'nanoid';
+import { ChatMessage } from '../models/ChatMessage.js';
+import { CollaborativeNote } from '../models/CollaborativeNote.js';
+import { Subtitle } from '../models/Subtitle.js';
+import { VideoSummary } from '../models/VideoSummary.js';
+import { Video } from '../models/Video.js';
+import videoService from './videoService.js';
 import logger from '../utils/logger.js';
+import roomPermissions from '../utils/roomPermissions.js';
+import roomRetention from '../utils/roomRetention.js';
+import roomEventLog from '../utils/roomEventLog.js';
+import { ROOM_ACTIONS } from '../utils/constants.js';
 import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
@@ -25,6 +36,7 @@ export class RoomService {
       try {
         await this.cleanupExpiredRooms();
         await this.cleanupExpiredVideos();
+        await this.cleanupPersistentRooms();
       } catch (error) {
         logger.error('Cleanup service error:', error);
       }
@@ -54,7 +66,9 @@ export class RoomService {
         allowControl = 'host',
         autoSync = true,
         lagCompensation = true,
-        customExpiry = null
+        customExpiry = null,
+        persistent = false,
+        retention = null
       } = options;
 
       // Calculate video expiration based on duration
@@ -65,6 +79,7 @@ export class RoomService {
       const roomExpiresAt = videoExpiresAt;
 
       const roomData = {
+        code: nanoid(6).toUpperCase(),
         hostId,
         settings: {
           maxParticipants: parseInt(maxParticipants),
@@ -81,14 +96,18 @@ export class RoomService {
           uploadedBy: hostId,
           uploadedAt: new Date(),
           expiresAt: videoExpiresAt,
-          isTemporary: true
+          isTemporary: true,
+          videoId: videoMetadata._id,
+          contentHash: videoMetadata.contentHash || undefined
         },
         currentState: {
           t: 0,
           paused: true,
           rate: 1,
+          source: 'stream',
           videoUrl: `/api/videos/${videoMetadata._id}/stream`,
-          videoHash: videoMetadata._id,
+          videoId: videoMetadata._id,
+          videoHash: videoMetadata.contentHash || undefined,
           lastUpdatedBy: hostId,
           lastUpdatedAt: new Date()
         },
@@ -104,7 +123,16 @@ export class RoomService {
         status: 'active'
       };
 
-      const room = await SyncRoom.create(roomData);
+      const room = new SyncRoom(roomData);
+      if (persistent || retention) {
+        roomRetention.configure(room, hostId, { persistent, retention: retention || undefined });
+      }
+      await room.save();
+
+      // A temporary upload lives at least as long as the room built around it
+      if (videoMetadata.expiresAt) {
+        await Video.updateOne({ _id: videoMetadata._id }, { $max: { expiresAt: roomExpiresAt } });
+      }
       
       logger.info(`🎬 Video room created: ${room.code} with video: ${videoMetadata.title}`);
       
@@ -126,11 +154,15 @@ export class RoomService {
         throw new Error('Room not found');
       }
 
+      if (roomRetention.wake(room)) {
+        logger.info(`☀️ Dormant room ${room.code} woken by ${userId}`);
+      }
+
       if (room.status !== 'active') {
         throw new Error('Room is not active');
       }
 
-      if (new Date() > room.expiresAt) {
+      if (room.expiresAt && new Date() > room.expiresAt) {
         throw new Error('Room has expired');
       }
 
@@ -152,17 +184,13 @@ export class RoomService {
         existingParticipant.lastSync = now;
       } else {
         // Add new participant
-        const isHost = userId === room.hostId;
-        const canControl = isHost || room.controllers.includes(userId);
-        
         room.participants.push({
           userId,
-          isHost,
-          canControl,
           lastSeen: now,
           lastSync: now
         });
       }
+      roomPermissions.refreshParticipants(room);
       
       await room.save();
       
@@ -186,10 +214,7 @@ export class RoomService {
         throw new Error('Room not found');
       }
 
-      const participant = room.participants.find(p => p.userId === userId);
-      if (!participant || !participant.canControl) {
-        throw new Error('No permission to control playback');
-      }
+      roomPermissions.assertCan(room, userId, ROOM_ACTIONS.PLAYBACK);
 
       // Update state
       room.currentState = {
@@ -229,11 +254,12 @@ export class RoomService {
         totalParticipants: room.participants.length,
         activeParticipants: activeParticipants.length,
         roomAge: Math.floor((now - room.createdAt) / 1000 / 60), // minutes
-        timeUntilExpiry: Math.floor((room.expiresAt - now) / 1000 / 60), // minutes
+        timeUntilExpiry: room.expiresAt ? Math.floor((room.expiresAt - now) / 1000 / 60) : null, // minutes
         videoDuration: room.video?.duration || 0,
         currentPlaybackTime: room.currentState?.t || 0,
-        isExpired: now > room.expiresAt,
+        isExpired: Boolean(room.expiresAt) && now > room.expiresAt,
         status: room.status,
+        ...roomRetention.describe(room),
         hostId: room.hostId,
         controllers: room.controllers
       };
@@ -297,6 +323,53 @@ export class RoomService {
     }
   }
 
+  /**
+   * Apply persistent room lifecycles: put abandoned rooms to sleep and purge
+   * dormant rooms (with their chat, notes, subtitles and summaries) once the
+   * owner's retention policy runs out
+   */
+  async cleanupPersistentRooms() {
+    try {
+      const now = Date.now();
+
+      const activeRooms = await SyncRoom.find({ persistent: true, status: 'active' });
+      for (const room of activeRooms) {
+        if (roomRetention.isStale(room, now) && roomRetention.markDormant(room, now)) {
+          await room.save();
+          logger.info(`💤 Idle persistent room ${room.code} marked as dormant`);
+        }
+      }
+
+      const dormantRooms = await SyncRoom.find({ persistent: true, status: 'dormant', 'retention.policy': { $ne: 'forever' } });
+      const expired = dormantRooms.filter(room => roomRetention.isExpired(room, now));
+      for (const room of expired) {
+        await this.purgeRoom(room.code);
+      }
+
+      if (expired.length > 0) {
+        logger.info(`🧹 Purged ${expired.length} persistent rooms past their retention`);
+      }
+    } catch (error) {
+      logger.error('Error cleaning up persistent rooms:', error);
+    }
+  }
+
+  /**
+   * Delete a room and everything stored under its code
+   */
+  async purgeRoom(roomCode) {
+    const code = roomCode.toUpperCase();
+    await Promise.all([
+      ChatMessage.deleteMany({ roomCode: code }),
+      CollaborativeNote.deleteMany({ roomCode: code }),
+      Subtitle.deleteMany({ roomCode: code }),
+      VideoSummary.deleteMany({ roomCode: code }),
+      roomEventLog.clear(code)
+    ]);
+    await SyncRoom.deleteOne({ code });
+    logger.info(`🗑️ Room ${code} and its content purged`);
+  }
+
   /**
    * Clean up expired videos and their files
    */
@@ -323,11 +396,54 @@ export class RoomService {
       if (roomsWithExpiredVideos.length > 0) {
         logger.info(`🧹 Cleaned up ${roomsWithExpiredVideos.length} expired videos`);
       }
+
+      // Temporary uploads go once no live room plays them; their stored file
+      // only goes with the last video sharing it (videoService.removeVideo)
+      const expiredUploads = await Video.find({ expiresAt: { $lt: now }, isDeleted: false });
+      let removed = 0;
+      for (const video of expiredUploads) {
+        try {
+          if (await this.isVideoInUse(video, now)) continue;
+          await videoService.removeVideo(video);
+          removed++;
+        } catch (error) {
+          logger.error(`Error removing expired video ${video._id}:`, error);
+        }
+      }
+      if (removed > 0) {
+        logger.info(`🧹 Removed ${removed} expired temporary videos`);
+      }
     } catch (error) {
       logger.error('Error cleaning up expired videos:', error);
     }
   }
 
+  /**
+   * Whether a room that is still live plays (or has queued) a library video
+   * @param {Object} video - Video document
+   * @param {Date} now - current time
+   * @returns {Promise<boolean>}
+   */
+  async isVideoInUse(video, now = new Date()) {
+    const id = String(video._id);
+    const streamUrl = new RegExp(`/api/videos/${id}/`);
+    const room = await SyncRoom.exists({
+      status: { $ne: 'ended' },
+      $and: [
+        { $or: [{ persistent: true }, { expiresAt: { $gt: now } }] },
+        {
+          $or: [
+            { 'currentState.videoId': id },
+            { 'video.videoId': id },
+            { 'currentState.videoUrl': streamUrl },
+            { 'queue.videoUrl': streamUrl }
+          ]
+        }
+      ]
+    });
+    return Boolean(room);
+  }
+
   /**
    * Get active rooms summary
    */
@@ -336,8 +452,8 @@ export class RoomService {
       const now = new Date();
       const activeRooms = await SyncRoom.find({
         status: 'active',
-        expiresAt: { $gt: now }
-      }).select('code hostId participants video createdAt expiresAt');
+        $or: [{ expiresAt: { $gt: now } }, { persistent: true }]
+      }).select('code hostId participants video createdAt expiresAt persistent');
 
       const summary = activeRooms.map(room => ({
         code: room.code,
@@ -347,7 +463,8 @@ export class RoomService {
         videoDuration: room.video?.duration || 0,
         createdAt: room.createdAt,
         expiresAt: room.expiresAt,
-        timeUntilExpiry: Math.floor((room.expiresAt - now) / 1000 / 60) // minutes
+        persistent: room.persistent,
+        timeUntilExpiry: room.expiresAt ? Math.floor((room.expiresAt - now) / 1000 / 60) : null // minutes
       }));
 
       return summary;
@@ -372,6 +489,10 @@ export class RoomService {
         throw new Error('Only host can extend room expiration');
       }
 
+      if (room.persistent) {
+        throw new Error('Persistent rooms do not expire; change their retention policy instead');
+      }
+
       const newExpiry = new Date(room.expiresAt.getTime() + (additionalHours * 60 * 60 * 1000));
       
       room.expiresAt = newExpiry;
@@ -0,0 +1,269 @@
+import { SyncRoom } from '../models/SyncRoom.js';
+import { VideoTranscript } from '../models/VideoTranscript.js';
+import { Subtitle } from '../models/Subtitle.js';
+import { CollaborativeNote } from '../models/CollaborativeNote.js';
+import { ChatMessage } from '../models/ChatMessage.js';
+import catchUpService from './catchUpService.js';
+import aiUtils from '../utils/aiUtils.js';
+import roomPermissions from '../utils/roomPermissions.js';
+import {
+  searchTerms,
+  bm25Scores,
+  vectorCosine,
+  rankByScore,
+  fuseRankings,
+  matchRanges
+} from '../utils/searchRanking.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
+
+export const SEARCH_SOURCES = ['transcript', 'subtitle', 'note', 'chat'];
+export const SEARCH_MODES = ['auto', 'bm25', 'semantic'];
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_RESULTS = 50;
+const MAX_CHAT_MESSAGES = 2000;
+const EMBED_BATCH_SIZE = 96;
+const MAX_CACHED_EMBEDDINGS = 20000;
+// Only the semantically closest documents take part in fusion, so a long
+// tail of faintly related text does not crowd out exact matches
+const SEMANTIC_CANDIDATES = 50;
+const MIN_SIMILARITY = 0.2;
+
+/**
+ * Room search
+ *
+ * Searches everything in a room that points at a moment of the video:
+ * transcript segments of the room's videos, subtitle cues, collaborative
+ * notes (public ones and the searcher's own) and chat messages with a video
+ * timestamp. Every hit carries that timestamp so the client can seek the
+ * room to it.
+ *
+ * Ranking is BM25 over word stems. When an AI provider can embed text, the
+ * `semantic` mode also ranks by embedding similarity and fuses both
+ * rankings, so paraphrases match and exact words still count; `auto` uses it
+ * when available and falls back to BM25 if embedding fails. Document vectors
+ * are cached per provider, since vectors from different providers are not
+ * comparable.
+ */
+export class SearchService {
+  /**
+   * @param {Object} options - { embedder }; anything with aiUtils' canEmbed() and embedTexts()
+   */
+  constructor(options = {}) {
+    this.embedder = options.embedder || aiUtils;
+    this.embeddings = new Map(); // `${provider}\n${text}` -> vector, oldest first
+  }
+
+  /**
+   * Search a room
+   * @param {String} roomCode - room code
+   * @param {Object} options - { userId, query, sources, mode, limit }
+   * @returns {Promise<Object>} { roomCode, query, mode, results }
+   */
+  async searchRoom(roomCode, options = {}) {
+    const { userId, sources = SEARCH_SOURCES, mode = 'auto' } = options;
+    const query = String(options.query || '').trim();
+    const limit = Math.min(Math.max(parseInt(options.limit, 10) || 20, 1), MAX_RESULTS);
+
+    if (!query || query.length > MAX_QUERY_LENGTH) {
+      throw new ValidationError(`A search query of at most ${MAX_QUERY_LENGTH} characters is required`);
+    }
+    if (!SEARCH_MODES.includes(mode)) {
+      throw new ValidationError(`mode must be one of: ${SEARCH_MODES.join(', ')}`);
+    }
+    const unknown = sources.filter(source => !SEARCH_SOURCES.includes(source));
+    if (unknown.length) {
+      throw new ValidationError(`Unknown search sources: ${unknown.join(', ')}`);
+    }
+
+    const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() }).lean();
+    if (!room) {
+      throw new NotFoundError('Room');
+    }
+    if (!roomPermissions.isMember(room, userId)) {
+      throw new AuthorizationError('Only room members can search the room');
+    }
+
+    const documents = await this.collectDocuments(room, { userId, sources });
+    const ranked = await this.rank(documents, query, { mode, limit });
+
+    return { roomCode: room.code, query, ...ranked };
+  }
+
+  /**
+   * Everything searchable in a room, as { type, text, timestamp, ... }
+   * @param {Object} room - room document
+   * @param {Object} options - { userId, sources }
+   * @returns {Promise<Array>} documents
+   */
+  async collectDocuments(room, { userId, sources }) {
+    const wants = (source) => sources.includes(source);
+    const [subtitles, notes, messages] = await Promise.all([
+      wants('subtitle') || wants('transcript') ? Subtitle.find({ roomCode: room.code }).select('videoId language cues').lean() : [],
+      wants('note') || wants('transcript')
+        ? CollaborativeNote.find({ roomCode: room.code, $or: [{ isPrivate: false }, { authorId: userId }] }).lean()
+        : [],
+      wants('chat')
+        ? ChatMessage.find({
+          roomCode: room.code,
+          messageType: { $ne: 'system' },
+          $or: [{ videoTimestamp: { $ne: null } }, { referencedTimestamp: { $ne: null } }]
+        }).sort({ timestamp: -1 }).limit(MAX_CHAT_MESSAGES).lean()
+        : []
+    ]);
+
+    const documents = [];
+
+    if (wants('transcript')) {
+      // The room's current video and any video its subtitles or notes belong to
+      const videoIds = [...new Set([
+        catchUpService.resolveRoomVideoId(room),
+        ...subtitles.map(subtitle => subtitle.videoId),
+        ...notes.map(note => note.videoId)
+      ].filter(Boolean))];
+      const transcripts = videoIds.length
+        ? await VideoTranscript.find({ videoId: { $in: videoIds }, isActive: true }).select('videoId language segments').lean()
+        : [];
+      for (const transcript of transcripts) {
+        (transcript.segments || []).forEach((segment, index) => {
+          documents.push({
+            type: 'transcript',
+            id: `${transcript._id}:${index}`,
+            text: segment.text,
+            timestamp: segment.start,
+            endTime: segment.end,
+            videoId: transcript.videoId,
+            language: transcript.language,
+            speaker: segment.speaker || null
+          });
+        });
+      }
+    }
+
+    if (wants('subtitle')) {
+      for (const subtitle of subtitles) {
+        subtitle.cues.forEach((cue, index) => {
+          documents.push({
+            type: 'subtitle',
+            id: `${subtitle._id}:${index}`,
+            text: cue.text,
+            timestamp: cue.startTime,
+            endTime: cue.endTime,
+            videoId: subtitle.videoId || null,
+            subtitleId: subtitle._id,
+            language: subtitle.language
+          });
+        });
+      }
+    }
+
+    if (wants('note')) {
+      for (const note of notes) {
+        documents.push({
+          type: 'note',
+          id: String(note._id),
+          text: [note.content, ...(note.tags || [])].join(' '),
+          timestamp: note.timestamp,
+          videoId: note.videoId,
+          author: note.authorName
+        });
+      }
+    }
+
+    for (const message of messages) {
+      documents.push({
+        type: 'chat',
+        id: String(message._id),
+        text: message.message,
+        // A message about an earlier moment points there rather than where it was sent
+        timestamp: message.referencedTimestamp ?? message.videoTimestamp,
+        videoId: null,
+        author: message.username
+      });
+    }
+
+    return documents.filter(document => document.text && typeof document.timestamp === 'number');
+  }
+
+  /**
+   * Rank documents for a query
+   * @param {Array} documents - from collectDocuments()
+   * @param {String} query - query text
+   * @param {Object} options - { mode, limit }
+   * @returns {Promise<Object>} { mode, provider, total, results }
+   */
+  async rank(documents, query, { mode = 'auto', limit = 20 } = {}) {
+    const queryTerms = searchTerms(query, { query: true });
+    const lexical = rankByScore(bm25Scores(documents.map(document => searchTerms(document.text)), queryTerms));
+
+    let semantic = null;
+    let provider = null;
+    if (mode !== 'bm25') {
+      if (!this.embedder.canEmbed()) {
+        if (mode === 'semantic') {
+          throw new ValidationError('No AI provider can embed text; search with mode=bm25');
+        }
+      } else {
+        try {
+          const similarity = await this.similarities(documents, query);
+          provider = similarity.provider;
+          semantic = rankByScore(similarity.scores, MIN_SIMILARITY).slice(0, SEMANTIC_CANDIDATES);
+        } catch (error) {
+          if (mode === 'semantic') throw error;
+          logger.warn('Semantic search failed, using BM25 only', { error: error.message });
+        }
+      }
+    }
+
+    const scores = fuseRankings(semantic ? [lexical, semantic] : [lexical]);
+    const ordered = [...scores.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+
+    return {
+      mode: semantic ? 'semantic' : 'bm25',
+      provider,
+      total: ordered.length,
+      results: ordered.slice(0, limit).map(([index, score]) => ({
+        ...documents[index],
+        score: Math.round(score * 1e6) / 1e6,
+        highlights: matchRanges(documents[index].text, queryTerms)
+      }))
+    };
+  }
+
+  /**
+   * Embedding similarity of every document to the query. The query decides
+   * the provider; document vectors it has not made yet are embedded with
+   * the same provider and cached.
+   * @returns {Promise<{ scores: number[], provider: string }>}
+   */
+  async similarities(documents, query) {
+    const { vectors: [queryVector], provider } = await this.embedder.embedTexts([query]);
+    const key = (text) => `${provider}\n${text}`;
+
+    const missing = [...new Set(documents.map(document => document.text))].filter(text => !this.embeddings.has(key(text)));
+    for (let start = 0; start < missing.length; start += EMBED_BATCH_SIZE) {
+      const batch = missing.slice(start, start + EMBED_BATCH_SIZE);
+      const { vectors } = await this.embedder.embedTexts(batch, { provider });
+      batch.forEach((text, i) => this.embeddings.set(key(text), vectors[i]));
+    }
+
+    const scores = documents.map(document => vectorCosine(queryVector, this.embeddings.get(key(document.text)) || []));
+    this.trimCache();
+    return { scores, provider };
+  }
+
+  /**
+   * Drop the oldest cached vectors beyond MAX_CACHED_EMBEDDINGS
+   */
+  trimCache() {
+    for (const cacheKey of this.embeddings.keys()) {
+      if (this.embeddings.size <= MAX_CACHED_EMBEDDINGS) break;
+      this.embeddings.delete(cacheKey);
+    }
+  }
+}
+
+const searchService = new SearchService();
+
+export default searchService;
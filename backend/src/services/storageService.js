@@ -0,0 +1,123 @@
+import fs from 'fs';
+import { config } from '../config/env.js';
+import { createStorageDriver } from '../utils/storageDrivers.js';
+import generalUtils from '../utils/generalUtils.js';
+
+/**
+ * Where uploaded media and its derived artifacts are kept
+ *
+ * Everything goes through the driver named in config.storage (see
+ * utils/storageDrivers.js): videos under `videos/`, thumbnails under
+ * `thumbnails/`, HLS renditions under `hls/`, seek-bar preview sprites under
+ * `previews/` and transcripts under `transcripts/`. Records store the storage key, never a path, so
+ * switching from local disk to a bucket only needs the files copied across
+ * with the same keys.
+ *
+ * Videos stored before the storage layer have a `filePath` on local disk and
+ * no `storageKey`; they are still read from that path.
+ */
+export class StorageService {
+  /**
+   * @param {Object} options - overrides for config.storage, and { driver } to use a ready driver
+   */
+  constructor(options = {}) {
+    this.settings = { ...config.storage, ...options };
+    this.driver = options.driver || null; // created from config on first use
+  }
+
+  getDriver() {
+    if (!this.driver) {
+      this.driver = createStorageDriver(this.settings.driver, this.settings);
+    }
+    return this.driver;
+  }
+
+  videoKey(contentHash, extension = '') {
+    return `videos/${contentHash.slice(0, 2)}/${contentHash}${extension.toLowerCase()}`;
+  }
+
+  thumbnailKey(videoId) {
+    return `thumbnails/${videoId}.jpg`;
+  }
+
+  hlsKey(videoId, ...files) {
+    return `hls/${videoId}/${files.join('/')}`;
+  }
+
+  previewKey(videoId, file) {
+    return `previews/${videoId}/${file}`;
+  }
+
+  transcriptKey(name) {
+    return `transcripts/${name}.json`;
+  }
+
+  put(key, source, options) {
+    return this.getDriver().put(key, source, options);
+  }
+
+  createReadStream(key, range) {
+    return this.getDriver().createReadStream(key, range);
+  }
+
+  stat(key) {
+    return this.getDriver().stat(key);
+  }
+
+  delete(key) {
+    return this.getDriver().delete(key);
+  }
+
+  signedUrl(key, { expiresIn = this.settings.signedUrlSeconds } = {}) {
+    return this.getDriver().signedUrl(key, { expiresIn });
+  }
+
+  /**
+   * Something ffmpeg/ffprobe can read a stored file from: its path when it is
+   * on this machine, otherwise a signed URL valid long enough for a transcode
+   * @param {string} key - storage key
+   * @returns {Promise<string>}
+   */
+  async mediaInput(key) {
+    return this.getDriver().localPath(key) || this.signedUrl(key, { expiresIn: this.settings.processingUrlSeconds });
+  }
+
+  /**
+   * Media input for a video's file (legacy videos: their path on disk)
+   * @param {Object} video - Video document
+   * @returns {Promise<string>}
+   */
+  async videoInput(video) {
+    return video.storageKey ? this.mediaInput(video.storageKey) : video.filePath;
+  }
+
+  /**
+   * Size of a video's file, or null when it is missing
+   * @param {Object} video - Video document
+   * @returns {Promise<number|null>}
+   */
+  async videoSize(video) {
+    if (video.storageKey) {
+      return (await this.stat(video.storageKey))?.size ?? null;
+    }
+    const fileInfo = await generalUtils.getFileInfo(video.filePath);
+    return fileInfo.exists ? fileInfo.size : null;
+  }
+
+  /**
+   * Read (part of) a video's file
+   * @param {Object} video - Video document
+   * @param {Object} range - { start, end }, end inclusive
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async openVideo(video, range = {}) {
+    if (video.storageKey) {
+      return this.createReadStream(video.storageKey, range);
+    }
+    return fs.createReadStream(video.filePath, range);
+  }
+}
+
+const storageService = new StorageService();
+
+export default storageService;
@@ -0,0 +1,368 @@
+import { EventEmitter } from 'events';
+import { Subtitle } from '../models/Subtitle.js';
+import { SyncRoom } from '../models/SyncRoom.js';
+import { VideoTranscript } from '../models/VideoTranscript.js';
+import catchUpService from './catchUpService.js';
+import videoService from './videoService.js';
+import aiUtils from '../utils/aiUtils.js';
+import { buildSubtitleCues, splitCueText, joinCueText } from '../utils/subtitleUtils.js';
+import roomPermissions from '../utils/roomPermissions.js';
+import generalUtils from '../utils/generalUtils.js';
+import logger from '../utils/logger.js';
+import { ROOM_ACTIONS } from '../utils/constants.js';
+import { NotFoundError, ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+const TRANSLATION_BATCH_LINES = 20;
+// Lines either side of a batch sent along as context
+const TRANSLATION_CONTEXT_LINES = 3;
+
+/**
+ * Auto-generated subtitles
+ *
+ * A generation job turns the stored transcript of the video a room is playing
+ * into a subtitle track (see utils/subtitleUtils.js for the cue rules) and
+ * saves it as the room's track for that language, where GET
+ * /api/subtitles/:roomCode/subtitles serves it like an uploaded one.
+ *
+ * A translation job machine-translates an existing track into another
+ * language through the AI provider layer, keeping every cue's timing. Cues go
+ * out in batches with a few neighbouring lines as context.
+ *
+ * Uploaded tracks are never replaced unless the job is forced.
+ *
+ * Jobs run in the background; poll getJob() or listen for 'completed' and
+ * 'failed' events.
+ */
+export class SubtitleGenerator extends EventEmitter {
+  /**
+   * @param {Object} options - { translator }; anything with aiUtils' translateLines()
+   */
+  constructor(options = {}) {
+    super();
+    this.translator = options.translator || aiUtils;
+    this.jobs = new Map(); // jobId -> job
+    this.activeTranslations = new Map(); // `${subtitleId}:${language}` -> jobId of the running job
+  }
+
+  /**
+   * Queue subtitle generation for a room
+   * @param {String} roomCode - room code
+   * @param {Object} options - { userId, videoId, language, force, settings }
+   * @returns {Promise<Object>} job
+   */
+  async startJob(roomCode, options = {}) {
+    const { userId, language, force = false, settings = {} } = options;
+
+    const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() }).lean();
+    if (!room) {
+      throw new NotFoundError('Room');
+    }
+    roomPermissions.assertCan(room, userId, ROOM_ACTIONS.SET_VIDEO);
+
+    const roomVideoId = catchUpService.resolveRoomVideoId(room);
+    const videoId = options.videoId || roomVideoId;
+    if (!videoId) {
+      throw new ValidationError('The room is not playing a platform video; pass videoId');
+    }
+    // Members may read the room's own video; any other must be visible to the caller
+    if (String(videoId) !== String(roomVideoId)) {
+      await videoService.getVideo(videoId, userId);
+    }
+
+    const transcript = await VideoTranscript.findOne({ videoId, isActive: true, ...(language && { language }) })
+      .sort({ generatedAt: -1 })
+      .select('_id language')
+      .lean();
+    if (!transcript) {
+      throw new NotFoundError('Transcript');
+    }
+
+    this.pruneJobs();
+
+    const job = {
+      jobId: generalUtils.generateUUID(),
+      type: 'generate',
+      roomCode: room.code,
+      videoId,
+      language: transcript.language,
+      requestedBy: userId,
+      status: 'queued',
+      subtitleId: null,
+      cueCount: 0,
+      error: null,
+      startedAt: new Date(),
+      completedAt: null
+    };
+    this.jobs.set(job.jobId, job);
+
+    this.runJob(job, transcript._id, { force, settings }).catch(() => {}); // recorded on the job
+
+    return job;
+  }
+
+  /**
+   * @param {String} jobId - job ID
+   * @returns {Object|null} job
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Forget finished jobs after an hour
+   */
+  pruneJobs() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+    for (const [jobId, job] of this.jobs) {
+      if (job.completedAt && job.completedAt.getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  async runJob(job, transcriptId, { force, settings }) {
+    try {
+      job.status = 'generating';
+      const transcript = await VideoTranscript.findById(transcriptId).lean();
+      if (!transcript) {
+        throw new NotFoundError('Transcript');
+      }
+
+      const track = buildSubtitleCues(transcript, settings);
+      if (track.cues.length === 0) {
+        throw new ValidationError('The transcript has no timed segments');
+      }
+
+      const key = { videoId: job.videoId, roomCode: job.roomCode, language: job.language };
+      const subtitle = await this.saveTrack(key, {
+        format: 'vtt',
+        cues: track.cues,
+        transcript: transcript.transcriptText,
+        isAutoGenerated: true,
+        isMachineTranslated: false,
+        accuracy: track.accuracy ?? transcript.confidenceScore ?? 1,
+        speakers: track.speakers,
+        uploadedBy: job.requestedBy,
+        uploaderName: 'Auto-generated'
+      }, { force, protect: { isAutoGenerated: false } });
+
+      Object.assign(job, {
+        status: 'completed',
+        subtitleId: subtitle._id,
+        cueCount: track.cues.length,
+        completedAt: new Date()
+      });
+      this.emit('completed', job);
+
+      logger.info(`📺 Subtitles generated for room ${job.roomCode} in ${job.language}: ${track.cues.length} cues, ${track.speakers.length} speakers`);
+    } catch (error) {
+      Object.assign(job, { status: 'failed', error: error.message, completedAt: new Date() });
+      this.emit('failed', job);
+      logger.error(`❌ Subtitle generation failed for room ${job.roomCode}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Queue a machine translation of a track into another language. Any room
+   * member may ask; an up-to-date translation is returned as a finished job
+   * and a running one for the same track and language is shared.
+   * @param {String} subtitleId - source Subtitle ID
+   * @param {Object} options - { userId, language, force }
+   * @returns {Promise<Object>} job
+   */
+  async startTranslation(subtitleId, options = {}) {
+    const { userId, force = false } = options;
+    const language = String(options.language || '').toLowerCase();
+    if (!/^[a-z]{2}$/.test(language)) {
+      throw new ValidationError('language must be a two-letter code');
+    }
+
+    const source = await Subtitle.findById(subtitleId).lean();
+    if (!source) {
+      throw new NotFoundError('Subtitles');
+    }
+    if (source.language === language) {
+      throw new ValidationError('The track is already in that language');
+    }
+
+    const room = await SyncRoom.findOne({ code: source.roomCode }).lean();
+    if (!room) {
+      throw new NotFoundError('Room');
+    }
+    if (!roomPermissions.isMember(room, userId)) {
+      throw new AuthorizationError('Only room members can request translations');
+    }
+
+    const activeKey = `${source._id}:${language}`;
+    const running = this.jobs.get(this.activeTranslations.get(activeKey));
+    if (running) {
+      return running;
+    }
+
+    this.pruneJobs();
+
+    const job = {
+      jobId: generalUtils.generateUUID(),
+      type: 'translate',
+      roomCode: source.roomCode,
+      videoId: source.videoId,
+      sourceId: String(source._id),
+      sourceLanguage: source.language,
+      language,
+      requestedBy: userId,
+      status: 'queued',
+      progress: 0,
+      subtitleId: null,
+      cueCount: 0,
+      cached: false,
+      error: null,
+      startedAt: new Date(),
+      completedAt: null
+    };
+    this.jobs.set(job.jobId, job);
+
+    const existing = await Subtitle.findOne({
+      roomCode: source.roomCode,
+      language,
+      'translatedFrom.subtitleId': job.sourceId
+    }).select('_id cues updatedAt').lean();
+    if (existing && !force && existing.updatedAt >= source.updatedAt) {
+      return Object.assign(job, {
+        status: 'completed',
+        progress: 100,
+        subtitleId: existing._id,
+        cueCount: existing.cues.length,
+        cached: true,
+        completedAt: new Date()
+      });
+    }
+
+    this.activeTranslations.set(activeKey, job.jobId);
+    this.runTranslation(job, source, { force })
+      .catch(() => {}) // recorded on the job
+      .finally(() => this.activeTranslations.delete(activeKey));
+
+    return job;
+  }
+
+  async runTranslation(job, source, { force }) {
+    try {
+      job.status = 'translating';
+      const cues = await this.translateCues(source.cues, {
+        from: source.language,
+        to: job.language,
+        onProgress: progress => {
+          job.progress = progress;
+          this.emit('progress', job);
+        }
+      });
+
+      const key = { videoId: source.videoId ?? null, roomCode: source.roomCode, language: job.language };
+      const subtitle = await this.saveTrack(key, {
+        format: 'vtt',
+        cues,
+        transcript: cues.map(cue => cue.text.replace(/\n/g, ' ')).join(' '),
+        isAutoGenerated: true,
+        isMachineTranslated: true,
+        translatedFrom: { subtitleId: job.sourceId, language: source.language },
+        accuracy: source.accuracy,
+        speakers: source.speakers || [],
+        styles: source.styles || {},
+        uploadedBy: job.requestedBy,
+        uploaderName: 'Machine translation'
+      }, { force, protect: { isMachineTranslated: { $ne: true } } });
+
+      Object.assign(job, {
+        status: 'completed',
+        progress: 100,
+        subtitleId: subtitle._id,
+        cueCount: cues.length,
+        completedAt: new Date()
+      });
+      this.emit('completed', job);
+
+      logger.info(`🌐 Subtitles for room ${job.roomCode} translated ${source.language} -> ${job.language}: ${cues.length} cues`);
+    } catch (error) {
+      Object.assign(job, { status: 'failed', error: error.message, completedAt: new Date() });
+      this.emit('failed', job);
+      logger.error(`❌ Subtitle translation failed for room ${job.roomCode}: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Translate cue texts, keeping timings and speakers
+   * @param {Array} cues - source cues ({ startTime, endTime, text, speaker })
+   * @param {Object} options - { from, to, batchSize, contextLines, onProgress }
+   * @returns {Promise<Array>} translated cues
+   */
+  async translateCues(cues, options = {}) {
+    const {
+      from,
+      to,
+      batchSize = TRANSLATION_BATCH_LINES,
+      contextLines = TRANSLATION_CONTEXT_LINES,
+      onProgress = () => {}
+    } = options;
+
+    const splits = cues.map(cue => splitCueText(cue.text));
+    const parts = splits.flatMap(split => split.parts);
+    const translated = [];
+
+    for (let offset = 0; offset < parts.length; offset += batchSize) {
+      const lines = parts.slice(offset, offset + batchSize);
+      translated.push(...await this.translator.translateLines(lines, {
+        from,
+        to,
+        before: parts.slice(Math.max(0, offset - contextLines), offset),
+        after: parts.slice(offset + lines.length, offset + lines.length + contextLines)
+      }));
+      onProgress(Math.round((translated.length / parts.length) * 95));
+    }
+
+    let cursor = 0;
+    return cues.map((cue, i) => {
+      const split = splits[i];
+      const text = joinCueText(split, translated.slice(cursor, cursor + split.parts.length));
+      cursor += split.parts.length;
+      return {
+        startTime: cue.startTime,
+        endTime: cue.endTime,
+        text,
+        ...(cue.speaker && { speaker: cue.speaker }),
+        // Placement and named styles still apply; inline formatting runs do not
+        ...(cue.style && { style: cue.style }),
+        ...(cue.layout && { layout: cue.layout })
+      };
+    });
+  }
+
+  /**
+   * Store a track as the room's track for its language
+   * @param {Object} key - { videoId, roomCode, language }
+   * @param {Object} fields - track fields
+   * @param {Object} options - { force, protect }; tracks in the room and language
+   *   matching `protect` are only replaced when forced
+   * @returns {Promise<Object>} Subtitle document
+   */
+  async saveTrack(key, fields, { force = false, protect } = {}) {
+    if (protect && !force) {
+      const existing = await Subtitle.exists({ roomCode: key.roomCode, language: key.language, ...protect });
+      if (existing) {
+        throw new ValidationError('The room already has subtitles in this language that would be replaced');
+      }
+    }
+
+    return Subtitle.findOneAndUpdate(
+      key,
+      { ...key, ...fields },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+}
+
+const subtitleGenerator = new SubtitleGenerator();
+
+export default subtitleGenerator;
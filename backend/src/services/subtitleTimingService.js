@@ -0,0 +1,243 @@
+import { Subtitle } from '../models/Subtitle.js';
+import { SubtitleRevision } from '../models/SubtitleRevision.js';
+import { SyncRoom } from '../models/SyncRoom.js';
+import { VideoTranscript } from '../models/VideoTranscript.js';
+import catchUpService from './catchUpService.js';
+import videoService from './videoService.js';
+import {
+  TIMING_OPERATIONS,
+  shiftCues,
+  stretchCues,
+  convertFrameRate,
+  alignCues,
+  diffCues
+} from '../utils/subtitleTiming.js';
+import roomPermissions from '../utils/roomPermissions.js';
+import logger from '../utils/logger.js';
+import { ROOM_ACTIONS } from '../utils/constants.js';
+import { NotFoundError, ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
+
+// Revisions kept per track; older ones can no longer be undone
+const MAX_REVISIONS = 20;
+const MAX_OFFSET_SECONDS = 6 * 60 * 60;
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isPair = (value) => Array.isArray(value) && value.length === 2 && value.every(isNumber);
+
+// Cues as plain objects without subdocument ids
+const plainCues = (subtitle) => (subtitle.toObject ? subtitle.toObject() : subtitle).cues
+  .map(({ _id, ...cue }) => cue);
+
+/**
+ * Subtitle timing
+ *
+ * Retimes a stored track: a constant shift, a linear stretch between two
+ * anchor points, a frame rate conversion, or alignment against the words of
+ * the video's transcript (see utils/subtitleTiming.js). Every operation can
+ * run as a preview, which returns the per-cue diff without saving; applied
+ * operations store the previous cues as a revision that undo() restores.
+ * Manual cue edits are recorded the same way.
+ *
+ * The uploader of a track may retime it, as may anyone who can change the
+ * room's video.
+ */
+export class SubtitleTimingService {
+  /**
+   * Run a timing operation on a track
+   * @param {String} subtitleId - Subtitle ID
+   * @param {Object} options - { userId, operation, params, preview }
+   * @returns {Promise<Object>} { operation, params, preview, diff, revision, alignment }
+   */
+  async applyOperation(subtitleId, options = {}) {
+    const { userId, operation, params = {}, preview = false } = options;
+    if (!TIMING_OPERATIONS.includes(operation)) {
+      throw new ValidationError(`operation must be one of: ${TIMING_OPERATIONS.join(', ')}`);
+    }
+
+    const { subtitle, room } = await this.loadForEdit(subtitleId, userId);
+    const before = plainCues(subtitle);
+    const { cues, alignment } = await this.runOperation(operation, params, before, subtitle, room, userId);
+    const diff = diffCues(before, cues);
+
+    const result = { operation, params, preview: Boolean(preview), diff, ...(alignment && { alignment }) };
+    if (preview) {
+      return { ...result, revision: null };
+    }
+    if (cues.length === 0) {
+      throw new ValidationError('The operation would leave no cues');
+    }
+
+    const revision = await this.recordRevision(subtitle, { operation, params, userId });
+    subtitle.cues = cues;
+    await subtitle.save();
+
+    logger.info(`📺 Subtitles ${subtitleId} retimed (${operation}): ${diff.changed} cues changed, revision ${revision.revision}`);
+
+    return { ...result, revision: revision.revision };
+  }
+
+  /**
+   * Compute the retimed cues for an operation
+   * @returns {Promise<Object>} { cues, alignment }
+   */
+  async runOperation(operation, params, cues, subtitle, room, userId) {
+    switch (operation) {
+      case 'shift': {
+        if (!isNumber(params.offset) || Math.abs(params.offset) > MAX_OFFSET_SECONDS) {
+          throw new ValidationError('params.offset must be a number of seconds');
+        }
+        return { cues: shiftCues(cues, params.offset) };
+      }
+      case 'stretch': {
+        if (!isPair(params.from) || !isPair(params.to)) {
+          throw new ValidationError('params.from and params.to must each be two times in seconds');
+        }
+        if (params.from[0] >= params.from[1] || params.to[0] >= params.to[1]) {
+          throw new ValidationError('Anchor times must be in increasing order');
+        }
+        return { cues: stretchCues(cues, params) };
+      }
+      case 'framerate': {
+        const valid = (rate) => isNumber(rate) && rate > 0 && rate <= 240;
+        if (!valid(params.from) || !valid(params.to)) {
+          throw new ValidationError('params.from and params.to must be frame rates');
+        }
+        return { cues: convertFrameRate(cues, params) };
+      }
+      case 'align': {
+        if (params.mode && !['linear', 'piecewise'].includes(params.mode)) {
+          throw new ValidationError('params.mode must be linear or piecewise');
+        }
+        const transcript = await this.findTranscript(subtitle, room, params, userId);
+        const aligned = alignCues(cues, transcript, { mode: params.mode || 'linear' });
+        if (!aligned.alignment.aligned) {
+          throw new ValidationError('Too little of the track matches the transcript to align it', aligned.alignment);
+        }
+        return aligned;
+      }
+      default:
+        throw new ValidationError(`Unknown operation: ${operation}`);
+    }
+  }
+
+  /**
+   * The active transcript in the track's language for the video the track
+   * belongs to, or the room is playing
+   */
+  async findTranscript(subtitle, room, params, userId) {
+    const roomVideoId = room && catchUpService.resolveRoomVideoId(room);
+    const videoId = subtitle.videoId || params.videoId || roomVideoId;
+    if (!videoId) {
+      throw new ValidationError('The room is not playing a platform video; pass params.videoId');
+    }
+    // A generated track's video was checked when it was generated; any other must be visible to the caller
+    if (!subtitle.videoId && String(videoId) !== String(roomVideoId)) {
+      await videoService.getVideo(videoId, userId);
+    }
+
+    const transcript = await VideoTranscript.findOne({ videoId, isActive: true, language: subtitle.language })
+      .sort({ generatedAt: -1 })
+      .select('segments wordTimestamps')
+      .lean();
+    if (!transcript) {
+      throw new NotFoundError('Transcript');
+    }
+    return transcript;
+  }
+
+  /**
+   * Restore the cues from before the latest operation or edit
+   * @param {String} subtitleId - Subtitle ID
+   * @param {Object} options - { userId }
+   * @returns {Promise<Object>} { operation, revision, diff, remaining }
+   */
+  async undo(subtitleId, { userId } = {}) {
+    const { subtitle } = await this.loadForEdit(subtitleId, userId);
+
+    const revision = await SubtitleRevision.findOne({ subtitleId: String(subtitle._id) }).sort({ revision: -1 });
+    if (!revision) {
+      throw new NotFoundError('Revision');
+    }
+
+    const diff = diffCues(plainCues(subtitle), revision.cues);
+    subtitle.cues = revision.cues;
+    await subtitle.save();
+    await revision.deleteOne();
+
+    const remaining = await SubtitleRevision.countDocuments({ subtitleId: String(subtitle._id) });
+    logger.info(`📺 Subtitles ${subtitleId} restored to before revision ${revision.revision} (${revision.operation})`);
+
+    return { operation: revision.operation, revision: revision.revision, diff, remaining };
+  }
+
+  /**
+   * Revisions of a track, newest first, without their cues
+   * @param {String} subtitleId - Subtitle ID
+   * @returns {Promise<Array>} revisions
+   */
+  async listRevisions(subtitleId) {
+    const subtitle = await Subtitle.exists({ _id: subtitleId });
+    if (!subtitle) {
+      throw new NotFoundError('Subtitles');
+    }
+
+    return SubtitleRevision.find({ subtitleId: String(subtitleId) })
+      .sort({ revision: -1 })
+      .select('-cues')
+      .lean();
+  }
+
+  /**
+   * Store a track's current cues as a new revision, dropping the oldest
+   * beyond MAX_REVISIONS
+   * @param {Object} subtitle - Subtitle document, before the change
+   * @param {Object} change - { operation, params, userId }
+   * @returns {Promise<Object>} SubtitleRevision document
+   */
+  async recordRevision(subtitle, { operation, params = {}, userId = null }) {
+    const subtitleId = String(subtitle._id);
+    const latest = await SubtitleRevision.findOne({ subtitleId }).sort({ revision: -1 }).select('revision').lean();
+    const cues = plainCues(subtitle);
+
+    const revision = await SubtitleRevision.create({
+      subtitleId,
+      revision: (latest?.revision || 0) + 1,
+      operation,
+      params,
+      cues,
+      cueCount: cues.length,
+      createdBy: userId
+    });
+
+    await SubtitleRevision.deleteMany({ subtitleId, revision: { $lte: revision.revision - MAX_REVISIONS } });
+    return revision;
+  }
+
+  /**
+   * Load a track and check the user may change it
+   * @returns {Promise<Object>} { subtitle, room }
+   */
+  async loadForEdit(subtitleId, userId) {
+    if (!userId) {
+      throw new ValidationError('userId is required');
+    }
+
+    const subtitle = await Subtitle.findById(subtitleId);
+    if (!subtitle) {
+      throw new NotFoundError('Subtitles');
+    }
+
+    const room = await SyncRoom.findOne({ code: subtitle.roomCode }).lean();
+    const allowed = subtitle.uploadedBy === userId
+      || (room && roomPermissions.can(room, userId, ROOM_ACTIONS.SET_VIDEO));
+    if (!allowed) {
+      throw new AuthorizationError('Unauthorized to edit these subtitles');
+    }
+
+    return { subtitle, room };
+  }
+}
+
+const subtitleTimingService = new SubtitleTimingService();
+
+export default subtitleTimingService;
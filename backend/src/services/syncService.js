@@ -1,35 +1,49 @@
 import { SyncSession } from '../models/SyncSession.js';
 import { SyncParticipant } from '../models/SyncParticipant.js';
 import syncUtils from '../utils/syncUtils.js';
-import generalUtils from '../utils/generalUtils.js';
 import logger from '../utils/logger.js';
+import { NotFoundError, AuthorizationError, ValidationError } from '../middleware/errorHandler.js';
 import { EventEmitter } from 'events';
 
+const DEFAULT_SETTINGS = {
+  allowGuests: true,
+  maxParticipants: 10,
+  allowParticipantControl: false,
+  requirePassword: false,
+  password: null,
+  syncTolerance: 250, // ms
+  lagCompensation: true,
+  chatEnabled: true,
+  reactionsEnabled: true
+};
+
 /**
  * Sync Service - Manages multi-device synchronization sessions
  * Handles playback states, participant lag tracking, and group management
+ *
+ * A participant is one device in a session (unique per sessionId + deviceId);
+ * guests join without a userId. The host's devices are controllers.
  */
 export class SyncService extends EventEmitter {
   constructor() {
     super();
-    this.activeSessions = new Map(); // In-memory session cache
     this.participantHeartbeats = new Map(); // Track participant heartbeats
     this.lagCalculations = new Map(); // Store lag calculation data
-    
+
     // Cleanup inactive sessions every 5 minutes
-    setInterval(() => this.cleanupInactiveSessions(), 5 * 60 * 1000);
-    
+    setInterval(() => this.cleanupInactiveSessions(), 5 * 60 * 1000).unref();
+
     // Check participant heartbeats every 30 seconds
-    setInterval(() => this.checkParticipantHeartbeats(), 30 * 1000);
+    setInterval(() => this.checkParticipantHeartbeats(), 30 * 1000).unref();
   }
 
   /**
-   * Create a new synchronization session
+   * Create a new synchronization session and join the host's device
    * @param {String} videoId - video ID to sync
    * @param {String} sessionName - display name for session
    * @param {String} hostUserId - host user ID
-   * @param {Object} options - additional session options
-   * @returns {Promise<Object>} created session
+   * @param {Object} options - { deviceId, deviceName, settings, sessionType }
+   * @returns {Promise<Object>} { session, participant }
    */
   async createSession(videoId, sessionName, hostUserId, options = {}) {
     try {
@@ -39,66 +53,34 @@ export class SyncService extends EventEmitter {
         hostUserId
       });
 
-      const sessionId = generalUtils.generateUUID();
-      const accessCode = generalUtils.generateAccessCode(6);
-
-      const sessionData = {
-        _id: sessionId,
-        video: videoId,
-        sessionName: sessionName || `Session ${accessCode}`,
-        hostUser: hostUserId,
-        accessCode,
-        
-        // Playback state
-        currentTimestamp: 0,
-        isPlaying: false,
-        playbackRate: 1.0,
-        lastSyncTime: new Date(),
-        
-        // Session settings
-        maxParticipants: options.maxParticipants || 50,
-        allowGuestParticipants: options.allowGuestParticipants !== false,
-        requireApproval: options.requireApproval || false,
-        enableLagCompensation: options.enableLagCompensation !== false,
-        
-        // Permissions
-        allowParticipantControl: options.allowParticipantControl || false,
-        allowSeek: options.allowSeek !== false,
-        allowPause: options.allowPause !== false,
-        allowPlaybackRate: options.allowPlaybackRate !== false,
-        
-        // Status
-        isActive: true,
-        participantCount: 0,
-        
-        // Timestamps
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-
-      const session = new SyncSession(sessionData);
-      await session.save();
-
-      // Cache session in memory for quick access
-      this.activeSessions.set(sessionId, {
-        ...sessionData,
-        participants: new Map(),
-        lagData: new Map()
+      const overrides = Object.entries(options.settings || {}).filter(([, value]) => value !== undefined);
+      const session = new SyncSession({
+        videoId,
+        sessionName: sessionName || null,
+        hostUserId,
+        sessionType: options.sessionType || 'private',
+        settings: { ...DEFAULT_SETTINGS, ...Object.fromEntries(overrides) }
       });
+      await session.save();
 
       // Add host as first participant
-      await this.joinSession(sessionId, hostUserId, 'host-device', 'Host Device', {
-        isController: true,
-        isHost: true
-      });
+      const participant = await this.joinSession(
+        session._id,
+        hostUserId,
+        options.deviceId || `host-${hostUserId}`,
+        options.deviceName || 'Host Device',
+        { isController: true }
+      );
 
       logger.info('Sync session created:', {
-        sessionId,
-        accessCode,
-        sessionName
+        sessionId: session._id,
+        sessionCode: session.sessionCode
       });
 
-      return session;
+      return {
+        session: await SyncSession.findById(session._id),
+        participant
+      };
 
     } catch (error) {
       logger.error('Session creation failed:', {
@@ -107,17 +89,18 @@ export class SyncService extends EventEmitter {
         hostUserId,
         error: error.message
       });
-      throw new Error(`Failed to create session: ${error.message}`);
+      throw error;
     }
   }
 
   /**
    * Join an existing synchronization session
+   * Rejoining from the same device reactivates the existing participant.
    * @param {String} sessionId - session ID
-   * @param {String} userId - joining user ID
+   * @param {String|null} userId - joining user ID (null for guests)
    * @param {String} deviceId - unique device identifier
    * @param {String} deviceName - human-readable device name
-   * @param {Object} options - additional join options
+   * @param {Object} options - { isController, nickname, connectionInfo }
    * @returns {Promise<Object>} participant record
    */
   async joinSession(sessionId, userId, deviceId, deviceName, options = {}) {
@@ -129,105 +112,88 @@ export class SyncService extends EventEmitter {
         deviceName
       });
 
-      // Get session
-      const session = await this.getSession(sessionId);
+      const session = await SyncSession.findById(sessionId);
       if (!session) {
-        throw new Error('Session not found');
+        throw new NotFoundError('Session');
       }
 
-      if (!session.isActive) {
-        throw new Error('Session is no longer active');
+      if (!session.isActive || session.isExpired()) {
+        throw new ValidationError('Session is no longer active');
       }
 
-      // Check participant limits
-      if (session.participantCount >= session.maxParticipants) {
-        throw new Error('Session is full');
+      const settings = { ...DEFAULT_SETTINGS, ...session.settings };
+      if (!userId && !settings.allowGuests) {
+        throw new AuthorizationError('This session does not allow guests');
       }
 
-      // Check if already joined
-      const existingParticipant = await SyncParticipant.findOne({
-        session: sessionId,
-        user: userId,
-        deviceId,
-        isActive: true
-      });
+      const existingParticipant = await SyncParticipant.findOne({ sessionId, deviceId });
+      if (existingParticipant?.userId && existingParticipant.userId !== userId) {
+        throw new AuthorizationError('Device is registered to another user');
+      }
+
+      if (!existingParticipant?.isActive && session.participantCount >= settings.maxParticipants) {
+        throw new ValidationError('Session is full');
+      }
+
+      const isController = Boolean(options.isController) || (Boolean(userId) && userId === session.hostUserId);
+      let participant;
 
       if (existingParticipant) {
-        logger.info('User rejoining existing session:', {
+        logger.info('Device rejoining session:', {
           participantId: existingParticipant._id
         });
-        
-        // Update heartbeat
-        existingParticipant.lastHeartbeat = new Date();
-        await existingParticipant.save();
-        
-        return existingParticipant;
-      }
-
-      // Create new participant
-      const participantData = {
-        session: sessionId,
-        user: userId,
-        deviceId,
-        deviceName,
-        
-        // Permissions
-        isController: options.isController || false,
-        isHost: options.isHost || false,
-        canSeek: options.canSeek || session.allowSeek,
-        canPause: options.canPause || session.allowPause,
-        canChangeRate: options.canChangeRate || session.allowPlaybackRate,
-        
-        // Sync data
-        lagCompensationOffset: 0,
-        averageLag: 0,
-        lastKnownPosition: session.currentTimestamp,
-        syncQuality: 'good',
-        
-        // Connection info
-        userAgent: options.userAgent || '',
-        ipAddress: options.ipAddress || '',
-        connectionType: options.connectionType || 'unknown',
-        
-        // Status
-        isActive: true,
-        joinedAt: new Date(),
-        lastHeartbeat: new Date(),
-        lastSyncUpdate: new Date()
-      };
 
-      const participant = new SyncParticipant(participantData);
-      await participant.save();
+        const wasActive = existingParticipant.isActive;
+        existingParticipant.isActive = true;
+        existingParticipant.userId = userId || null;
+        existingParticipant.deviceName = deviceName || existingParticipant.deviceName;
+        existingParticipant.lastHeartbeat = new Date();
+        if (isController) {
+          existingParticipant.isController = true;
+          existingParticipant.permissions.canControl = true;
+        }
+        participant = await existingParticipant.save();
 
-      // Update session participant count
-      await SyncSession.findByIdAndUpdate(sessionId, {
-        $inc: { participantCount: 1 },
-        updatedAt: new Date()
-      });
+        if (!wasActive) {
+          await SyncSession.findByIdAndUpdate(sessionId, {
+            $inc: { participantCount: 1 },
+            lastActivity: new Date()
+          });
+        }
+      } else {
+        participant = await SyncParticipant.create({
+          sessionId,
+          userId: userId || null,
+          deviceId,
+          deviceName,
+          nickname: options.nickname,
+          isController,
+          permissions: {
+            canControl: isController || settings.allowParticipantControl,
+            canChat: settings.chatEnabled !== false,
+            canReact: settings.reactionsEnabled !== false
+          },
+          connectionInfo: options.connectionInfo || {}
+        });
 
-      // Cache participant data
-      const cachedSession = this.activeSessions.get(sessionId);
-      if (cachedSession) {
-        cachedSession.participants.set(participant._id.toString(), {
-          ...participantData,
-          _id: participant._id
+        await SyncSession.findByIdAndUpdate(sessionId, {
+          $inc: { participantCount: 1 },
+          lastActivity: new Date()
         });
       }
 
       // Initialize heartbeat tracking
-      this.participantHeartbeats.set(participant._id.toString(), new Date());
+      this.participantHeartbeats.set(participant._id, new Date());
 
       // Emit join event
       this.emit('participant-joined', {
         sessionId,
-        participant,
-        session
+        participant
       });
 
       logger.info('User joined session successfully:', {
         sessionId,
-        participantId: participant._id,
-        participantCount: session.participantCount + 1
+        participantId: participant._id
       });
 
       return participant;
@@ -246,9 +212,9 @@ export class SyncService extends EventEmitter {
   /**
    * Update playback state and sync all participants
    * @param {String} sessionId - session ID
-   * @param {Object} playbackState - new playback state
-   * @param {String} controllerUserId - user making the update
-   * @returns {Promise<Object>} updated session
+   * @param {Object} playbackState - { timestamp, isPlaying, playbackRate, eventType, deviceId }
+   * @param {String|null} controllerUserId - user making the update
+   * @returns {Promise<Object>} { session, syncData, participants }
    */
   async updatePlaybackState(sessionId, playbackState, controllerUserId) {
     try {
@@ -256,7 +222,8 @@ export class SyncService extends EventEmitter {
         timestamp,
         isPlaying,
         playbackRate = 1.0,
-        eventType = 'update'
+        eventType = 'update',
+        deviceId
       } = playbackState;
 
       logger.info('Updating playback state:', {
@@ -268,61 +235,38 @@ export class SyncService extends EventEmitter {
         controllerUserId
       });
 
-      // Verify controller permissions
-      const participant = await SyncParticipant.findOne({
-        session: sessionId,
-        user: controllerUserId,
-        isActive: true
-      });
+      const session = await SyncSession.findById(sessionId);
+      if (!session || !session.isActive) {
+        throw new NotFoundError('Session');
+      }
 
+      // Verify controller permissions
+      const participant = await this.findParticipant(sessionId, controllerUserId, deviceId);
       if (!participant) {
-        throw new Error('Participant not found in session');
+        throw new AuthorizationError('Participant not found in session');
       }
 
-      if (!participant.isController && !participant.isHost) {
-        const session = await this.getSession(sessionId);
-        if (!session.allowParticipantControl) {
-          throw new Error('User does not have control permissions');
-        }
+      if (!participant.isController && !participant.permissions?.canControl) {
+        throw new AuthorizationError('User does not have control permissions');
       }
 
       // Validate playback state
-      if (timestamp < 0 || playbackRate <= 0 || playbackRate > 4) {
-        throw new Error('Invalid playback parameters');
-      }
-
-      // Update session
-      const updateData = {
-        currentTimestamp: timestamp,
-        isPlaying,
-        playbackRate,
-        lastSyncTime: new Date(),
-        updatedAt: new Date()
-      };
-
-      const session = await SyncSession.findByIdAndUpdate(
-        sessionId,
-        updateData,
-        { new: true }
-      );
-
-      if (!session) {
-        throw new Error('Session not found');
+      if (timestamp < 0 || playbackRate < 0.25 || playbackRate > 3) {
+        throw new ValidationError('Invalid playback parameters');
       }
 
-      // Update cached session
-      const cachedSession = this.activeSessions.get(sessionId);
-      if (cachedSession) {
-        Object.assign(cachedSession, updateData);
-      }
+      session.currentTimestamp = timestamp;
+      session.isPlaying = isPlaying;
+      session.playbackRate = playbackRate;
+      session.lastActivity = new Date();
+      await session.save();
 
-      // Calculate lag compensation for all participants
       const participants = await SyncParticipant.find({
-        session: sessionId,
+        sessionId,
         isActive: true
       });
 
-      const syncData = await this.calculateSyncData(sessionId, participants, {
+      const syncData = this.calculateSyncData(sessionId, participants, {
         timestamp,
         isPlaying,
         playbackRate,
@@ -371,160 +315,97 @@ export class SyncService extends EventEmitter {
    * @param {String} sessionId - session ID
    * @param {Array} participants - list of participants
    * @param {Object} currentState - current playback state
-   * @returns {Promise<Object>} synchronization data
+   * @returns {Object} synchronization data
    */
-  async calculateSyncData(sessionId, participants, currentState) {
-    try {
-      const syncData = {
-        sessionId,
-        serverTime: currentState.serverTime,
-        playbackState: {
-          timestamp: currentState.timestamp,
-          isPlaying: currentState.isPlaying,
-          playbackRate: currentState.playbackRate
-        },
-        participants: {}
+  calculateSyncData(sessionId, participants, currentState) {
+    const syncData = {
+      sessionId,
+      serverTime: currentState.serverTime,
+      playbackState: {
+        timestamp: currentState.timestamp,
+        isPlaying: currentState.isPlaying,
+        playbackRate: currentState.playbackRate
+      },
+      participants: {}
+    };
+
+    for (const participant of participants) {
+      const participantId = participant._id;
+      const lagMs = this.lagCalculations.get(participantId)?.averageLag ?? participant.lagOffset ?? 0;
+
+      // A playing participant starts `lagMs` late, so it should jump ahead by that much
+      const compensation = currentState.isPlaying
+        ? (lagMs / 1000) * currentState.playbackRate
+        : 0;
+
+      syncData.participants[participantId] = {
+        participantId,
+        deviceId: participant.deviceId,
+        averageLag: lagMs,
+        lagCompensation: compensation,
+        optimalPlaybackRate: syncUtils.playbackRateFromLag(lagMs),
+        syncQuality: syncUtils.getNetworkQuality(Math.abs(lagMs)),
+        compensatedTimestamp: currentState.timestamp + compensation
       };
-
-      for (const participant of participants) {
-        const participantId = participant._id.toString();
-        
-        // Get lag data for this participant
-        let lagData = this.lagCalculations.get(participantId);
-        if (!lagData) {
-          lagData = {
-            samples: [],
-            averageLag: 0,
-            lastCalculation: new Date()
-          };
-          this.lagCalculations.set(participantId, lagData);
-        }
-
-        // Calculate lag compensation
-        const compensation = syncUtils.calculateLagCompensation(
-          lagData.averageLag,
-          currentState.timestamp,
-          currentState.isPlaying,
-          currentState.playbackRate
-        );
-
-        // Calculate optimal playback rate for sync
-        const optimalRate = syncUtils.calculateOptimalPlaybackRate(
-          lagData.averageLag,
-          currentState.playbackRate,
-          { maxDeviation: 0.1, convergenceTime: 5000 }
-        );
-
-        // Determine sync quality
-        const syncQuality = syncUtils.determineSyncQuality(lagData.averageLag);
-
-        syncData.participants[participantId] = {
-          participantId,
-          lagCompensation: compensation,
-          optimalPlaybackRate: optimalRate,
-          averageLag: lagData.averageLag,
-          syncQuality,
-          compensatedTimestamp: currentState.timestamp + compensation,
-          lastUpdate: new Date()
-        };
-
-        // Update participant record
-        await SyncParticipant.findByIdAndUpdate(participant._id, {
-          lagCompensationOffset: compensation,
-          averageLag: lagData.averageLag,
-          syncQuality,
-          lastSyncUpdate: new Date()
-        });
-      }
-
-      return syncData;
-
-    } catch (error) {
-      logger.error('Sync data calculation failed:', {
-        sessionId,
-        error: error.message
-      });
-      throw error;
     }
+
+    return syncData;
   }
 
   /**
-   * Update participant heartbeat and calculate lag
+   * Update participant heartbeat and lag estimate
    * @param {String} participantId - participant ID
-   * @param {Object} heartbeatData - heartbeat information
+   * @param {Object} heartbeatData - { latency, jitter, lagOffsetMs, clientTime }
    * @returns {Promise<Object>} updated lag information
    */
-  async updateParticipantHeartbeat(participantId, heartbeatData) {
+  async updateParticipantHeartbeat(participantId, heartbeatData = {}) {
     try {
-      const {
-        clientTime,
-        currentPosition,
-        isPlaying,
-        playbackRate,
-        networkInfo = {}
-      } = heartbeatData;
+      const { latency, jitter, lagOffsetMs, clientTime } = heartbeatData;
 
       const serverTime = new Date();
       const participant = await SyncParticipant.findById(participantId);
 
       if (!participant || !participant.isActive) {
-        throw new Error('Participant not found or inactive');
+        throw new NotFoundError('Participant');
       }
 
-      // Calculate network lag
-      const networkLag = syncUtils.calculateNetworkLag(
-        clientTime,
-        serverTime,
-        { method: 'timestamp-diff' }
-      );
+      // Prefer a measured latency; fall back to the client clock
+      const sample = Number.isFinite(latency)
+        ? latency
+        : Number.isFinite(clientTime) ? Math.max(0, serverTime.getTime() - clientTime) : null;
 
-      // Update lag calculations
-      let lagData = this.lagCalculations.get(participantId);
-      if (!lagData) {
-        lagData = {
-          samples: [],
-          averageLag: 0,
-          lastCalculation: serverTime
-        };
+      const lagData = this.lagCalculations.get(participantId) || { samples: [], averageLag: 0 };
+      if (sample !== null) {
+        lagData.samples.push({ lag: sample, timestamp: serverTime });
       }
 
-      // Add new lag sample
-      lagData.samples.push({
-        lag: networkLag,
-        timestamp: serverTime,
-        position: currentPosition,
-        isPlaying
-      });
-
       // Keep only recent samples (last 30 seconds)
-      const cutoffTime = new Date(serverTime.getTime() - 30000);
-      lagData.samples = lagData.samples.filter(sample => sample.timestamp > cutoffTime);
-
-      // Calculate new average lag
-      lagData.averageLag = syncUtils.calculateAverageLag(
-        lagData.samples.map(s => s.lag)
-      );
+      const cutoffTime = serverTime.getTime() - 30000;
+      lagData.samples = lagData.samples.filter(s => s.timestamp.getTime() > cutoffTime);
+      lagData.averageLag = lagData.samples.length
+        ? lagData.samples.reduce((sum, s) => sum + s.lag, 0) / lagData.samples.length
+        : 0;
       lagData.lastCalculation = serverTime;
-
       this.lagCalculations.set(participantId, lagData);
 
-      // Update participant record
-      await SyncParticipant.findByIdAndUpdate(participantId, {
-        lastHeartbeat: serverTime,
-        lastKnownPosition: currentPosition,
-        averageLag: lagData.averageLag,
-        syncQuality: syncUtils.determineSyncQuality(lagData.averageLag)
-      });
+      participant.lastHeartbeat = serverTime;
+      participant.lagOffset = Number.isFinite(lagOffsetMs) ? lagOffsetMs : Math.round(lagData.averageLag);
+      participant.syncMetrics.averageLatency = lagData.averageLag;
+      if (Number.isFinite(jitter)) {
+        participant.syncMetrics.jitter = jitter;
+      }
+      participant.syncMetrics.lastSyncTime = serverTime;
+      await participant.save();
 
       // Update heartbeat tracking
       this.participantHeartbeats.set(participantId, serverTime);
 
       return {
         participantId,
-        networkLag,
+        lagOffset: participant.lagOffset,
         averageLag: lagData.averageLag,
         sampleCount: lagData.samples.length,
-        syncQuality: syncUtils.determineSyncQuality(lagData.averageLag)
+        syncQuality: syncUtils.getNetworkQuality(lagData.averageLag)
       };
 
     } catch (error) {
@@ -536,12 +417,45 @@ export class SyncService extends EventEmitter {
     }
   }
 
+  /**
+   * Find an active participant by device, or by user when no device is given
+   * @param {String} sessionId - session ID
+   * @param {String|null} userId - user ID (must match a device registered to a user)
+   * @param {String} deviceId - device ID
+   * @returns {Promise<Object|null>} participant record
+   */
+  async findParticipant(sessionId, userId, deviceId) {
+    const query = { sessionId, isActive: true };
+    if (deviceId) {
+      query.deviceId = deviceId;
+    } else if (userId) {
+      query.userId = userId;
+    } else {
+      return null;
+    }
+
+    const participant = await SyncParticipant.findOne(query);
+    if (participant?.userId && participant.userId !== userId) {
+      return null;
+    }
+    return participant;
+  }
+
+  /**
+   * Get the active participants of a session
+   * @param {String} sessionId - session ID
+   * @returns {Promise<Array>} participants, earliest first
+   */
+  async getParticipants(sessionId) {
+    return SyncParticipant.find({ sessionId, isActive: true }).sort({ joinedAt: 1 }).lean();
+  }
+
   /**
    * Leave a synchronization session
    * @param {String} sessionId - session ID
-   * @param {String} userId - leaving user ID
+   * @param {String|null} userId - leaving user ID
    * @param {String} deviceId - device ID
-   * @returns {Promise<Boolean>} success status
+   * @returns {Promise<Boolean>} false when the device was not in the session
    */
   async leaveSession(sessionId, userId, deviceId) {
     try {
@@ -551,21 +465,7 @@ export class SyncService extends EventEmitter {
         deviceId
       });
 
-      // Find and deactivate participant
-      const participant = await SyncParticipant.findOneAndUpdate(
-        {
-          session: sessionId,
-          user: userId,
-          deviceId,
-          isActive: true
-        },
-        {
-          isActive: false,
-          leftAt: new Date()
-        },
-        { new: true }
-      );
-
+      const participant = await this.findParticipant(sessionId, userId, deviceId);
       if (!participant) {
         logger.warn('Participant not found for leave operation:', {
           sessionId,
@@ -575,20 +475,17 @@ export class SyncService extends EventEmitter {
         return false;
       }
 
+      participant.isActive = false;
+      await participant.save();
+
       // Update session participant count
       await SyncSession.findByIdAndUpdate(sessionId, {
         $inc: { participantCount: -1 },
-        updatedAt: new Date()
+        lastActivity: new Date()
       });
 
-      // Remove from cache
-      const cachedSession = this.activeSessions.get(sessionId);
-      if (cachedSession) {
-        cachedSession.participants.delete(participant._id.toString());
-      }
-
       // Clean up tracking data
-      const participantId = participant._id.toString();
+      const participantId = participant._id;
       this.participantHeartbeats.delete(participantId);
       this.lagCalculations.delete(participantId);
 
@@ -600,8 +497,8 @@ export class SyncService extends EventEmitter {
         deviceId
       });
 
-      // Check if host left - transfer control or end session
-      if (participant.isHost) {
+      // Controller left - hand control on or end the session
+      if (participant.isController) {
         await this.handleHostLeave(sessionId);
       }
 
@@ -627,7 +524,7 @@ export class SyncService extends EventEmitter {
   /**
    * End a synchronization session
    * @param {String} sessionId - session ID
-   * @param {String} userId - user ending the session
+   * @param {String} userId - user ending the session ('system' for cleanup)
    * @returns {Promise<Boolean>} success status
    */
   async endSession(sessionId, userId) {
@@ -636,46 +533,24 @@ export class SyncService extends EventEmitter {
 
       const session = await SyncSession.findById(sessionId);
       if (!session) {
-        throw new Error('Session not found');
+        throw new NotFoundError('Session');
       }
 
-      // Check if user has permission to end session
-      const participant = await SyncParticipant.findOne({
-        session: sessionId,
-        user: userId,
-        isActive: true
-      });
-
-      if (!participant || (!participant.isHost && !participant.isController)) {
-        throw new Error('User does not have permission to end session');
+      if (userId !== 'system' && session.hostUserId !== userId) {
+        throw new AuthorizationError('Only the host can end the session');
       }
 
-      // Deactivate session
-      await SyncSession.findByIdAndUpdate(sessionId, {
-        isActive: false,
-        endedAt: new Date(),
-        endedBy: userId,
-        updatedAt: new Date()
-      });
-
-      // Deactivate all participants
-      await SyncParticipant.updateMany(
-        { session: sessionId, isActive: true },
-        {
-          isActive: false,
-          leftAt: new Date()
-        }
-      );
+      session.isActive = false;
+      session.participantCount = 0;
+      session.lastActivity = new Date();
+      await session.save();
 
-      // Clean up cache and tracking data
-      this.activeSessions.delete(sessionId);
-      
-      // Remove participant tracking data
-      const participants = await SyncParticipant.find({ session: sessionId });
+      // Deactivate all participants and drop their tracking data
+      const participants = await SyncParticipant.find({ sessionId, isActive: true }, '_id').lean();
+      await SyncParticipant.updateMany({ sessionId, isActive: true }, { isActive: false });
       for (const p of participants) {
-        const pid = p._id.toString();
-        this.participantHeartbeats.delete(pid);
-        this.lagCalculations.delete(pid);
+        this.participantHeartbeats.delete(p._id);
+        this.lagCalculations.delete(p._id);
       }
 
       // Emit session end event
@@ -703,96 +578,52 @@ export class SyncService extends EventEmitter {
    * Get session information
    * @param {String} sessionId - session ID
    * @param {Boolean} includeParticipants - whether to include participant data
-   * @returns {Promise<Object>} session data
+   * @returns {Promise<Object|null>} session data
    */
   async getSession(sessionId, includeParticipants = false) {
-    try {
-      // Try cache first
-      const cachedSession = this.activeSessions.get(sessionId);
-      if (cachedSession && !includeParticipants) {
-        return cachedSession;
-      }
-
-      // Fetch from database
-      let query = SyncSession.findById(sessionId);
-      
-      if (includeParticipants) {
-        query = query.populate('video', 'title duration thumbnail');
-      }
-
-      const session = await query.lean();
-
-      if (!session) {
-        return null;
-      }
-
-      if (includeParticipants) {
-        const participants = await SyncParticipant.find({
-          session: sessionId,
-          isActive: true
-        }).populate('user', 'username email').lean();
-
-        session.participants = participants;
-      }
-
-      return session;
+    const session = await SyncSession.findById(sessionId).lean();
+    if (!session) {
+      return null;
+    }
 
-    } catch (error) {
-      logger.error('Session retrieval failed:', {
-        sessionId,
-        error: error.message
-      });
-      throw error;
+    if (includeParticipants) {
+      session.participants = await this.getParticipants(sessionId);
     }
+
+    return session;
   }
 
   /**
-   * Find session by access code
-   * @param {String} accessCode - session access code
-   * @returns {Promise<Object>} session data
+   * Find an active session by its join code
+   * @param {String} accessCode - session code (case-insensitive)
+   * @returns {Promise<Object|null>} session data
    */
   async findSessionByAccessCode(accessCode) {
-    try {
-      const session = await SyncSession.findOne({
-        accessCode: accessCode.toUpperCase(),
-        isActive: true
-      }).populate('video', 'title duration thumbnail').lean();
-
-      return session;
-
-    } catch (error) {
-      logger.error('Session lookup by access code failed:', {
-        accessCode,
-        error: error.message
-      });
-      throw error;
-    }
+    return SyncSession.findOne({
+      sessionCode: String(accessCode).toUpperCase(),
+      isActive: true
+    }).lean();
   }
 
   /**
    * Get user's active sessions
    * @param {String} userId - user ID
-   * @returns {Promise<Array>} user's sessions
+   * @returns {Promise<Object>} { hosted, participating }
    */
   async getUserSessions(userId) {
-    try {
-      const sessions = await SyncSession.find({
-        $or: [
-          { hostUser: userId },
-          { _id: { $in: await this.getUserParticipantSessions(userId) } }
-        ],
-        isActive: true
-      }).populate('video', 'title duration thumbnail').lean();
-
-      return sessions;
-
-    } catch (error) {
-      logger.error('User sessions retrieval failed:', {
-        userId,
-        error: error.message
-      });
-      throw error;
-    }
+    const participating = await this.getUserParticipantSessions(userId);
+    const sessions = await SyncSession.find({
+      $or: [
+        { hostUserId: userId },
+        { _id: { $in: participating } }
+      ],
+      isActive: true
+    }).sort({ lastActivity: -1 }).lean();
+
+    return {
+      hosted: sessions.filter(s => s.hostUserId === userId),
+      participating: sessions.filter(s => s.hostUserId !== userId)
+    };
   }
 
   /**
@@ -801,52 +632,39 @@ export class SyncService extends EventEmitter {
    * @returns {Promise<Array>} session IDs
    */
   async getUserParticipantSessions(userId) {
-    try {
-      const participants = await SyncParticipant.find({
-        user: userId,
-        isActive: true
-      }).distinct('session');
-
-      return participants;
-
-    } catch (error) {
-      logger.error('User participant sessions retrieval failed:', {
-        userId,
-        error: error.message
-      });
-      throw error;
-    }
+    return SyncParticipant.find({
+      userId,
+      isActive: true
+    }).distinct('sessionId');
   }
 
   /**
-   * Handle host leaving session
+   * Hand control on after a controller leaves: if no controller is left, the
+   * longest-present participant takes over; an empty session ends
    * @param {String} sessionId - session ID
    */
   async handleHostLeave(sessionId) {
     try {
-      // Find next eligible host (first controller or longest participant)
-      const eligibleParticipants = await SyncParticipant.find({
-        session: sessionId,
+      const remaining = await SyncParticipant.find({
+        sessionId,
         isActive: true
       }).sort({ isController: -1, joinedAt: 1 });
 
-      if (eligibleParticipants.length === 0) {
-        // No participants left, end session
+      if (remaining.length === 0) {
         await this.endSession(sessionId, 'system');
         return;
       }
 
-      // Promote first eligible participant to host
-      const newHost = eligibleParticipants[0];
-      await SyncParticipant.findByIdAndUpdate(newHost._id, {
-        isHost: true,
-        isController: true
-      });
+      if (remaining[0].isController) {
+        return;
+      }
+
+      const newHost = await remaining[0].promoteToController();
 
-      logger.info('New host assigned:', {
+      logger.info('New controller assigned:', {
         sessionId,
         newHostId: newHost._id,
-        userId: newHost.user
+        userId: newHost.userId
       });
 
       // Emit host change event
@@ -865,23 +683,25 @@ export class SyncService extends EventEmitter {
   }
 
   /**
-   * Clean up inactive sessions
+   * Clean up expired sessions and sessions idle for 24 hours
    */
   async cleanupInactiveSessions() {
     try {
       const cutoffTime = new Date(Date.now() - 24 * 60 * 60 * 1000); // 24 hours
 
-      // Find sessions with no recent activity
       const inactiveSessions = await SyncSession.find({
         isActive: true,
-        updatedAt: { $lt: cutoffTime }
+        $or: [
+          { lastActivity: { $lt: cutoffTime } },
+          { expiresAt: { $lt: new Date() } }
+        ]
       });
 
       for (const session of inactiveSessions) {
         await this.endSession(session._id, 'system');
         logger.info('Cleaned up inactive session:', {
           sessionId: session._id,
-          lastActivity: session.updatedAt
+          lastActivity: session.lastActivity
         });
       }
 
@@ -898,39 +718,34 @@ export class SyncService extends EventEmitter {
       const cutoffTime = new Date(Date.now() - 2 * 60 * 1000); // 2 minutes
 
       for (const [participantId, lastHeartbeat] of this.participantHeartbeats) {
-        if (lastHeartbeat < cutoffTime) {
-          // Mark participant as inactive
-          const participant = await SyncParticipant.findByIdAndUpdate(
+        if (lastHeartbeat >= cutoffTime) continue;
+
+        const participant = await SyncParticipant.findOneAndUpdate(
+          { _id: participantId, isActive: true },
+          { isActive: false },
+          { new: true }
+        );
+
+        // Clean up tracking data
+        this.participantHeartbeats.delete(participantId);
+        this.lagCalculations.delete(participantId);
+
+        if (participant) {
+          await SyncSession.findByIdAndUpdate(participant.sessionId, {
+            $inc: { participantCount: -1 }
+          });
+
+          logger.info('Removed stale participant:', {
             participantId,
-            {
-              isActive: false,
-              leftAt: new Date()
-            },
-            { new: true }
-          );
-
-          if (participant) {
-            // Update session participant count
-            await SyncSession.findByIdAndUpdate(participant.session, {
-              $inc: { participantCount: -1 }
-            });
-
-            // Clean up tracking data
-            this.participantHeartbeats.delete(participantId);
-            this.lagCalculations.delete(participantId);
-
-            logger.info('Removed stale participant:', {
-              participantId,
-              sessionId: participant.session,
-              lastHeartbeat
-            });
-
-            // Emit participant timeout event
-            this.emit('participant-timeout', {
-              participant,
-              lastHeartbeat
-            });
-          }
+            sessionId: participant.sessionId,
+            lastHeartbeat
+          });
+
+          // Emit participant timeout event
+          this.emit('participant-timeout', {
+            participant,
+            lastHeartbeat
+          });
         }
       }
 
@@ -0,0 +1,339 @@
+import { EventEmitter } from 'events';
+import fs from 'fs';
+import path from 'path';
+import Video from '../models/Video.js';
+import videoUtils from '../utils/videoUtils.js';
+import storageService from './storageService.js';
+import { VideoJobRunner, MAX_ATTEMPTS, PROGRESS_WRITE_MS } from './videoJobRunner.js';
+import { config } from '../config/env.js';
+import {
+  ladderFor,
+  planRenditions,
+  renditionOutputOptions,
+  masterPlaylist,
+  progressFraction,
+  HLS_MASTER_PLAYLIST,
+  HLS_RENDITION_PLAYLIST,
+  HLS_FILE_PATTERN,
+  HLS_SEGMENT_PATTERN,
+  segmentFileName
+} from '../utils/hlsLadder.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+/**
+ * HLS transcoding
+ *
+ * Turns an uploaded video into an adaptive-bitrate HLS ladder: one playlist
+ * and segment set per rendition (see utils/hlsLadder.js for the ladder) and
+ * a master playlist listing the renditions that were produced. Rooms can then
+ * stream a big upload at whatever quality each participant's connection
+ * allows instead of everyone pulling the original.
+ *
+ * Renditions are encoded into `workPath`, then moved into media storage
+ * under `hls/<videoId>/` and served through the video routes.
+ *
+ * Job state lives on the Video document (`streaming`), including each
+ * rendition's status and progress, and is queued, claimed and resumed by a
+ * VideoJobRunner (services/videoJobRunner.js); renditions that were already
+ * finished when a job is resumed are not encoded again. Renditions are
+ * encoded one at a time per job; `concurrency` jobs run at once.
+ *
+ * Emits 'completed' and 'failed' with the video ID and its streaming state.
+ */
+export class TranscodingService extends EventEmitter {
+  /**
+   * @param {Object} options - { transcoder, workPath, ladder, segmentSeconds, preset, concurrency };
+   *   the transcoder is anything with videoUtils' transcodeHlsRendition()
+   */
+  constructor(options = {}) {
+    super();
+    const settings = { ...config.transcoding, ...options };
+    this.transcoder = options.transcoder || videoUtils;
+    this.workPath = settings.workPath;
+    this.ladder = Array.isArray(settings.ladder) ? settings.ladder : ladderFor(settings.ladder);
+    this.segmentSeconds = settings.segmentSeconds;
+    this.preset = settings.preset;
+    this.runner = new VideoJobRunner({
+      field: 'streaming',
+      activeStatus: 'transcoding',
+      label: 'transcoding',
+      concurrency: settings.concurrency,
+      work: (videoId) => this.process(videoId)
+    });
+  }
+
+  /**
+   * Resume unfinished jobs now and keep checking for abandoned ones
+   */
+  start() {
+    if (this.runner.start()) {
+      logger.info('🎞️ HLS transcoding runner started');
+    }
+  }
+
+  /**
+   * Stop checking for abandoned jobs; running encodes finish
+   */
+  stop() {
+    this.runner.stop();
+  }
+
+  /**
+   * Queue a video for transcoding. A video already queued or being
+   * transcoded is left alone; a finished one is only redone when forced.
+   * @param {String} videoId - video ID
+   * @param {Object} options - { force }
+   * @returns {Promise<Object>} streaming status
+   */
+  async enqueue(videoId, { force = false } = {}) {
+    const video = await Video.findOne({ _id: videoId, isDeleted: false });
+    if (!video) {
+      throw new NotFoundError('Video');
+    }
+
+    if (this.runner.isBusy(video.streaming) || (video.streaming?.status === 'ready' && !force)) {
+      return this.describe(video);
+    }
+
+    if (!(video.metadata?.width > 0 && video.metadata?.height > 0)) {
+      throw new ValidationError('Video dimensions are unknown, so it cannot be transcoded');
+    }
+    const renditions = planRenditions({
+      width: video.metadata.width,
+      height: video.metadata.height,
+      bitrate: video.bitrate
+    }, this.ladder).map(rendition => ({ ...rendition, status: 'pending', progress: 0 }));
+
+    await this.removeOutput(video);
+    video.streaming = {
+      status: 'queued',
+      renditions,
+      segmentSeconds: this.segmentSeconds,
+      attempts: 0,
+      queuedAt: new Date()
+    };
+    await video.save();
+
+    logger.info('Transcoding job enqueued:', { videoId, renditions: renditions.map(rendition => rendition.name) });
+    this.runner.add(videoId);
+    return this.describe(video);
+  }
+
+  /**
+   * Transcode every rendition of a claimed video that is not ready yet,
+   * then write the master playlist
+   * @param {String} videoId - video ID
+   */
+  async process(videoId) {
+    const video = await this.runner.claim(videoId);
+    if (!video) return;
+
+    const { streaming } = video;
+    if (streaming.attempts > MAX_ATTEMPTS) {
+      await this.finish(video, 'failed', `Gave up after ${MAX_ATTEMPTS} attempts`);
+      return;
+    }
+    if (await storageService.videoSize(video) === null) {
+      await this.finish(video, 'failed', 'Source file is missing');
+      return;
+    }
+    const input = await storageService.videoInput(video);
+
+    const hasAudio = video.metadata?.hasAudio !== false;
+    for (const rendition of streaming.renditions.filter(item => item.status !== 'ready')) {
+      await this.transcodeRendition(video, input, rendition, hasAudio);
+    }
+    await fs.promises.rm(path.join(this.workPath, String(videoId)), { recursive: true, force: true }).catch(() => {});
+
+    const ready = video.streaming.renditions.filter(rendition => rendition.status === 'ready');
+    if (!ready.length) {
+      await this.finish(video, 'failed', 'No rendition could be transcoded');
+      return;
+    }
+    await storageService.put(
+      storageService.hlsKey(videoId, HLS_MASTER_PLAYLIST),
+      Buffer.from(masterPlaylist(ready, { hasAudio })),
+      { contentType: 'application/vnd.apple.mpegurl' }
+    );
+    await this.finish(video, 'ready');
+  }
+
+  /**
+   * Encode one rendition into its own work directory and move it into storage,
+   * recording progress on the video
+   */
+  async transcodeRendition(video, input, rendition, hasAudio) {
+    const videoId = String(video._id);
+    const dir = path.join(this.workPath, videoId, rendition.name);
+    // Whatever an interrupted attempt left behind is started over
+    await this.removeRendition(videoId, rendition);
+    await fs.promises.rm(dir, { recursive: true, force: true });
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    await this.updateRendition(videoId, rendition, { status: 'transcoding', progress: 0, segments: 0, error: null });
+    let lastWrite = Date.now();
+    const onProgress = (progress) => {
+      const fraction = progressFraction(progress, video.duration);
+      if (Date.now() - lastWrite < PROGRESS_WRITE_MS || fraction <= rendition.progress) return;
+      lastWrite = Date.now();
+      this.updateRendition(videoId, rendition, { progress: fraction })
+        .catch(error => logger.warn('Could not record transcoding progress:', { videoId, error: error.message }));
+    };
+
+    try {
+      await this.transcoder.transcodeHlsRendition(
+        input,
+        path.join(dir, HLS_RENDITION_PLAYLIST),
+        renditionOutputOptions(rendition, {
+          segmentFilename: path.join(dir, HLS_SEGMENT_PATTERN),
+          segmentSeconds: video.streaming.segmentSeconds || this.segmentSeconds,
+          preset: this.preset,
+          hasAudio
+        }),
+        { onProgress }
+      );
+
+      const segments = (await fs.promises.readdir(dir)).filter(file => file.endsWith('.ts')).sort();
+      for (let index = 0; index < segments.length; index++) {
+        if (segments[index] !== segmentFileName(index)) {
+          throw new Error(`Unexpected segment ${segments[index]}`);
+        }
+        await storageService.put(
+          storageService.hlsKey(videoId, rendition.name, segments[index]),
+          path.join(dir, segments[index]),
+          { move: true, contentType: 'video/mp2t' }
+        );
+        // Counted as they land, so a failed attempt's segments can still be deleted
+        await this.updateRendition(videoId, rendition, { segments: index + 1 });
+      }
+      // The playlist goes last: once it is stored, every segment it lists is too
+      await storageService.put(
+        storageService.hlsKey(videoId, rendition.name, HLS_RENDITION_PLAYLIST),
+        path.join(dir, HLS_RENDITION_PLAYLIST),
+        { move: true, contentType: 'application/vnd.apple.mpegurl' }
+      );
+      await this.updateRendition(videoId, rendition, { status: 'ready', progress: 1, completedAt: new Date() });
+      logger.info('HLS rendition ready:', { videoId, rendition: rendition.name, segments: segments.length });
+    } catch (error) {
+      await this.updateRendition(videoId, rendition, { status: 'failed', error: error.message });
+      logger.error('HLS rendition failed:', { videoId, rendition: rendition.name, error: error.message });
+    } finally {
+      await fs.promises.rm(dir, { recursive: true, force: true }).catch(() => {});
+    }
+  }
+
+  /**
+   * Set fields of one rendition (locally and in the database) and refresh the heartbeat
+   */
+  async updateRendition(videoId, rendition, fields) {
+    Object.assign(rendition, fields);
+    await this.runner.update(videoId, fields, { filter: { 'streaming.renditions.name': rendition.name }, prefix: 'renditions.$' });
+  }
+
+  async finish(video, status, error = null) {
+    const videoId = String(video._id);
+    Object.assign(video.streaming, { status, error, completedAt: new Date() });
+    await this.runner.update(videoId, { status, error, completedAt: video.streaming.completedAt });
+
+    const described = this.describe(video);
+    if (status === 'ready') {
+      logger.info('HLS transcoding completed:', { videoId, renditions: described.renditions.length });
+      this.emit('completed', videoId, described);
+    } else {
+      logger.error('HLS transcoding failed:', { videoId, error });
+      this.emit('failed', videoId, described);
+    }
+  }
+
+  /**
+   * Storage key of a servable HLS file: the master playlist, or a playlist or
+   * segment of a ready rendition
+   * @param {Object} video - video document
+   * @param {String} file - file name
+   * @param {String} rendition - rendition name, for rendition files
+   * @returns {String} storage key
+   */
+  resolveFile(video, file, rendition = null) {
+    const { streaming } = video;
+    if (streaming?.status !== 'ready') {
+      throw new NotFoundError('HLS stream');
+    }
+    if (!rendition) {
+      if (file !== HLS_MASTER_PLAYLIST) {
+        throw new ValidationError('Unknown HLS file');
+      }
+      return storageService.hlsKey(String(video._id), file);
+    }
+
+    const ready = streaming.renditions.find(item => item.name === rendition && item.status === 'ready');
+    if (!ready) {
+      throw new NotFoundError('HLS rendition');
+    }
+    if (!HLS_FILE_PATTERN.test(file)) {
+      throw new ValidationError('Unknown HLS file');
+    }
+    if (file !== HLS_RENDITION_PLAYLIST && !(parseInt(file.slice(8, 13), 10) < (ready.segments || 0))) {
+      throw new NotFoundError('HLS segment');
+    }
+    return storageService.hlsKey(String(video._id), rendition, file);
+  }
+
+  /**
+   * Delete a video's HLS output from storage
+   * @param {Object} video - video document
+   */
+  async removeOutput(video) {
+    const videoId = String(video._id);
+    await Promise.all([
+      this.deleteKeys(videoId, [storageService.hlsKey(videoId, HLS_MASTER_PLAYLIST)]),
+      ...(video.streaming?.renditions || []).map(rendition => this.removeRendition(videoId, rendition))
+    ]);
+  }
+
+  /**
+   * Delete one rendition's playlist and the segments stored so far
+   */
+  async removeRendition(videoId, rendition) {
+    const keys = [storageService.hlsKey(videoId, rendition.name, HLS_RENDITION_PLAYLIST)];
+    for (let index = 0; index < (rendition.segments || 0); index++) {
+      keys.push(storageService.hlsKey(videoId, rendition.name, segmentFileName(index)));
+    }
+    await this.deleteKeys(videoId, keys);
+  }
+
+  async deleteKeys(videoId, keys) {
+    await Promise.all(keys.map(key => storageService.delete(key)
+      .catch(error => logger.warn('Could not delete HLS file:', { videoId, key, error: error.message }))));
+  }
+
+  /**
+   * Client-facing streaming state of a video
+   * @param {Object} video - video document
+   * @returns {Object} { status, progress, renditions, masterPlaylistUrl, error }
+   */
+  describe(video) {
+    const { status = 'none', renditions = [], error = null } = video.streaming || {};
+    const progress = renditions.length
+      ? renditions.reduce((sum, rendition) => sum + (rendition.progress || 0), 0) / renditions.length
+      : 0;
+
+    return {
+      status,
+      progress: Math.round(progress * 1000) / 1000,
+      renditions: renditions.map(({ name, width, height, status: renditionStatus, progress: done }) => ({
+        name,
+        width,
+        height,
+        status: renditionStatus,
+        progress: done
+      })),
+      masterPlaylistUrl: status === 'ready' ? `/api/videos/${video._id}/hls/${HLS_MASTER_PLAYLIST}` : null,
+      error: error || null
+    };
+  }
+}
+
+const transcodingService = new TranscodingService();
+
+export default transcodingService;
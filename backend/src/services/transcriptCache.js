@@ -1,11 +1,113 @@
-// This is a placeholder for a caching service (e.g., Redis, in-memory, or DB-based).
+import { config } from '../config/env.js';
+import storageService from './storageService.js';
+import { LocalStorageDriver } from '../utils/storageDrivers.js';
+import logger from '../utils/logger.js';
 
-const cache = new Map();
+const MEMORY_ENTRIES = 50;
 
-export const getCachedTranscript = (videoId) => {
-  return cache.get(videoId);
+const readText = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks).toString('utf8');
 };
 
-export const setCachedTranscript = (videoId, transcript) => {
-  cache.set(videoId, transcript);
-};
+/**
+ * Persistent transcript cache keyed by the content hash of the media file,
+ * so re-uploads and copies of the same video are never transcribed twice.
+ * Entries are JSON files kept in media storage (`transcripts/`), or in
+ * `directory` when one is configured, fronted by a small in-memory LRU.
+ */
+export class TranscriptCache {
+  /**
+   * @param {Object} options - { directory, memoryEntries }
+   */
+  constructor({ directory = config.transcription.cacheDir, memoryEntries = MEMORY_ENTRIES } = {}) {
+    if (directory) {
+      this.storage = new LocalStorageDriver({ root: directory });
+      this.entryKey = key => `${key}.json`;
+    } else {
+      this.storage = storageService;
+      this.entryKey = key => storageService.transcriptKey(key);
+    }
+    this.memoryEntries = memoryEntries;
+    this.memory = new Map(); // key -> transcript, oldest first
+  }
+
+  /**
+   * @param {string} hash - media content hash
+   * @param {string} language - requested language ('auto' when detected)
+   * @returns {string} cache key
+   */
+  key(hash, language = 'auto') {
+    if (!/^[a-f0-9]{16,128}$/i.test(hash || '')) {
+      throw new Error('Transcript cache keys must be hex content hashes');
+    }
+    return `${hash.toLowerCase()}-${String(language).toLowerCase().replace(/[^a-z-]/g, '') || 'auto'}`;
+  }
+
+  remember(key, transcript) {
+    this.memory.delete(key);
+    this.memory.set(key, transcript);
+    if (this.memory.size > this.memoryEntries) {
+      this.memory.delete(this.memory.keys().next().value);
+    }
+  }
+
+  /**
+   * @param {string} hash - media content hash
+   * @param {string} language - requested language
+   * @returns {Promise<Object|null>} cached transcription
+   */
+  async get(hash, language) {
+    const key = this.key(hash, language);
+    if (this.memory.has(key)) {
+      const transcript = this.memory.get(key);
+      this.remember(key, transcript);
+      return transcript;
+    }
+
+    try {
+      const transcript = JSON.parse(await readText(await this.storage.createReadStream(this.entryKey(key))));
+      this.remember(key, transcript);
+      return transcript;
+    } catch (error) {
+      if (error.code !== 'ENOENT' && error.statusCode !== 404) {
+        logger.warn('Unreadable transcript cache entry, ignoring:', { key, error: error.message });
+      }
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} hash - media content hash
+   * @param {string} language - requested language
+   * @param {Object} transcript - transcription to store
+   */
+  async set(hash, language, transcript) {
+    const key = this.key(hash, language);
+    this.remember(key, transcript);
+
+    await this.storage.put(this.entryKey(key), Buffer.from(JSON.stringify(transcript)), {
+      contentType: 'application/json'
+    });
+  }
+
+  /**
+   * @param {string} hash - media content hash
+   * @param {string} language - requested language
+   */
+  async delete(hash, language) {
+    const key = this.key(hash, language);
+    this.memory.delete(key);
+    await this.storage.delete(this.entryKey(key));
+  }
+}
+
+const transcriptCache = new TranscriptCache();
+
+export default transcriptCache;
+
+export const getCachedTranscript = transcriptCache.get.bind(transcriptCache);
+export const setCachedTranscript = transcriptCache.set.bind(transcriptCache);
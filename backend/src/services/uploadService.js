@@ -0,0 +1,429 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { nanoid } from 'nanoid';
+import UploadSession from '../models/UploadSession.js';
+import videoService from './videoService.js';
+import videoUtils from '../utils/videoUtils.js';
+import generalUtils from '../utils/generalUtils.js';
+import { hasherForFile, isContentHash } from '../utils/contentHash.js';
+import { config } from '../config/env.js';
+import logger from '../utils/logger.js';
+import { AppError, AuthorizationError, NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+export const CHECKSUM_ALGORITHMS = ['sha256', 'sha1', 'md5'];
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+// Anonymous room hosts pick their own IDs; they end up in storage paths
+const USER_ID_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * Parse a tus-style Upload-Checksum header ("sha256 <base64 digest>")
+ * @param {String} header - header value
+ * @returns {{ algorithm: string, digest: string }|null} null when no checksum was sent
+ */
+export const parseChecksum = (header) => {
+  if (header === undefined || header === null || header === '') return null;
+  const [algorithm = '', digest = ''] = String(header).trim().split(/\s+/);
+  if (!CHECKSUM_ALGORITHMS.includes(algorithm.toLowerCase()) || !/^[A-Za-z0-9+/]+={0,2}$/.test(digest)) {
+    throw new ValidationError(`Upload-Checksum must be "<${CHECKSUM_ALGORITHMS.join('|')}> <base64 digest>"`);
+  }
+  return { algorithm: algorithm.toLowerCase(), digest };
+};
+
+/**
+ * Parse the Upload-Offset header a chunk claims to start at
+ * @param {String} header - header value
+ * @returns {number} byte offset
+ */
+export const parseOffset = (header) => {
+  const text = String(header ?? '').trim();
+  if (!/^\d+$/.test(text) || !Number.isSafeInteger(Number(text))) {
+    throw new ValidationError('Upload-Offset must be a non-negative byte offset');
+  }
+  return Number(text);
+};
+
+/**
+ * Most bytes the next chunk of a session may carry: never past the end of
+ * the file and never more than the chunk size agreed when it was created
+ * @param {Object} session - upload session
+ * @returns {number} bytes
+ */
+export const chunkLimit = (session) => Math.max(0, Math.min(session.size - session.offset, session.chunkSize));
+
+/**
+ * Resumable uploads
+ *
+ * A tus-style protocol for video files too big to post in one request. The
+ * client creates an upload with the file's size, then PATCHes it chunk by
+ * chunk; every chunk names the offset it starts at and may carry a checksum.
+ * Chunks are written straight into place in one temp file, so the file is
+ * assembled as it arrives and the last chunk only has to hand it to
+ * videoService.storeAndProcessVideo().
+ *
+ * The session's offset only moves once a chunk is fully on disk and its
+ * checksum matched, so after a disconnect the client asks for the offset and
+ * carries on from there; a chunk that broke off half way is discarded and
+ * sent again. Every chunk pushes the session's expiry forward and start()
+ * removes sessions (and their bytes) that were abandoned.
+ *
+ * The content hash (utils/contentHash.js) is computed as the chunks stream
+ * in, so storing the finished file needs no second pass over it; only after
+ * a restart, or when another node took the earlier chunks, is the part
+ * already received read back once.
+ */
+export class UploadService {
+  /**
+   * @param {Object} options - { tempPath, maxFileSize, chunkSize, expiryHours, processor };
+   *   the processor is anything with videoService's storeAndProcessVideo()
+   */
+  constructor(options = {}) {
+    const settings = { ...config.upload.resumable, ...options };
+    this.processor = options.processor || videoService;
+    this.tempPath = settings.tempPath;
+    this.maxFileSize = settings.maxFileSize;
+    this.chunkSize = settings.chunkSize;
+    this.expiryMs = settings.expiryHours * 60 * 60 * 1000;
+    this.temporaryVideoMs = (options.temporaryVideoHours || config.upload.temporaryVideoHours) * 60 * 60 * 1000;
+    this.writing = new Set(); // uploadIds with a chunk being written by this process
+    this.hashers = new Map(); // uploadId -> { offset, hasher } of the bytes received so far
+    this.cleanupInterval = null;
+  }
+
+  /**
+   * Remove abandoned uploads now and every hour
+   */
+  start() {
+    if (this.cleanupInterval) return;
+    const cleanup = () => this.cleanupExpired()
+      .catch(error => logger.error('Cleaning up expired uploads failed:', { error: error.message }));
+    cleanup();
+    this.cleanupInterval = setInterval(cleanup, CLEANUP_INTERVAL_MS);
+    this.cleanupInterval.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.cleanupInterval);
+    this.cleanupInterval = null;
+  }
+
+  expiry(now = Date.now()) {
+    return new Date(now + this.expiryMs);
+  }
+
+  /**
+   * Start an upload
+   * @param {String} userId - uploader
+   * @param {Object} file - { filename, size, mimeType, title, description, isPublic, temporary,
+   *   contentHash }: contentHash, if the client sends it, is checked against the received file
+   * @param {Object} options - { authenticated }: whether userId comes from a login
+   * @returns {Promise<Object>} the upload, see describe()
+   */
+  async create(userId, file = {}, { authenticated = false } = {}) {
+    if (!USER_ID_PATTERN.test(String(userId || ''))) {
+      throw new ValidationError('A userId of letters, digits, "-" or "_" is required');
+    }
+    const { filename, mimeType, title, description, isPublic, temporary, contentHash } = file;
+    if (!filename || typeof filename !== 'string') {
+      throw new ValidationError('filename is required');
+    }
+    const size = Number(file.size);
+    if (!Number.isSafeInteger(size) || size <= 0) {
+      throw new ValidationError('size must be the file size in bytes');
+    }
+    if (size > this.maxFileSize) {
+      throw new AppError(
+        `File too large; uploads are limited to ${generalUtils.formatBytes(this.maxFileSize)}`,
+        413,
+        'FILE_TOO_LARGE',
+        { maxFileSize: this.maxFileSize }
+      );
+    }
+    if (!mimeType || !videoUtils.isSupportedVideoMime(mimeType)) {
+      throw new ValidationError(`Unsupported video format: ${mimeType}`);
+    }
+    if (contentHash !== undefined && !isContentHash(contentHash)) {
+      throw new ValidationError('contentHash must be 64 lowercase hex characters');
+    }
+
+    const uploadId = nanoid();
+    const tempPath = path.join(this.tempPath, `${uploadId}.part`);
+    await fs.promises.mkdir(this.tempPath, { recursive: true });
+    await fs.promises.writeFile(tempPath, '');
+
+    const session = await UploadSession.create({
+      uploadId,
+      userId,
+      authenticated,
+      filename: filename.slice(0, 255),
+      mimeType,
+      size,
+      chunkSize: this.chunkSize,
+      tempPath,
+      options: {
+        title: typeof title === 'string' ? title.slice(0, 255) : undefined,
+        description: typeof description === 'string' ? description.slice(0, 2000) : undefined,
+        isPublic: Boolean(isPublic),
+        temporary: Boolean(temporary)
+      },
+      expectedHash: contentHash || null,
+      expiresAt: this.expiry()
+    });
+
+    logger.info('Resumable upload started:', { uploadId, userId, filename, size });
+    return this.describe(session);
+  }
+
+  /**
+   * Look up an upload for its uploader. The upload ID is what lets anonymous
+   * room hosts back in; an upload started while logged in also needs that login.
+   * @param {String} uploadId - upload ID
+   * @param {String} userId - logged-in user, if any
+   * @returns {Promise<Object>} upload session document
+   */
+  async getSession(uploadId, userId = null) {
+    const session = await UploadSession.findOne({ uploadId });
+    if (!session) {
+      throw new NotFoundError('Upload');
+    }
+    if (session.authenticated && session.userId !== userId) {
+      throw new AuthorizationError('Access denied');
+    }
+    if (session.status === 'uploading' && session.expiresAt < new Date()) {
+      throw new AppError('Upload expired', 410, 'UPLOAD_EXPIRED');
+    }
+    return session;
+  }
+
+  /**
+   * Write one chunk at the session's offset
+   * @param {String} uploadId - upload ID
+   * @param {String} userId - logged-in user, if any
+   * @param {import('stream').Readable} stream - chunk bytes (the request body)
+   * @param {Object} chunk - { offset, checksum, contentLength }; checksum from parseChecksum()
+   * @returns {Promise<Object>} the upload, with `video` once the last chunk was processed
+   */
+  async writeChunk(uploadId, userId, stream, { offset, checksum = null, contentLength = null }) {
+    const session = await this.getSession(uploadId, userId);
+    if (session.status !== 'uploading') {
+      throw new AppError(`Upload is already ${session.status}`, 409, 'UPLOAD_NOT_WRITABLE', this.describe(session));
+    }
+    if (offset !== session.offset) {
+      throw new AppError('Upload-Offset does not match the bytes received', 409, 'OFFSET_MISMATCH', { offset: session.offset });
+    }
+    const limit = chunkLimit(session);
+    if (contentLength !== null && contentLength > limit) {
+      throw new AppError(`Chunk too large; at most ${limit} bytes may follow offset ${offset}`, 413, 'CHUNK_TOO_LARGE', { offset, limit });
+    }
+    if (this.writing.has(uploadId)) {
+      throw new AppError('Another chunk of this upload is being written', 409, 'UPLOAD_BUSY', { offset: session.offset });
+    }
+
+    this.writing.add(uploadId);
+    try {
+      const received = await this.receive(session, stream, { limit, checksum });
+      const updated = await UploadSession.findOneAndUpdate(
+        { uploadId, status: 'uploading', offset },
+        { $set: { offset: offset + received, expiresAt: this.expiry() } },
+        { new: true }
+      );
+      if (!updated) {
+        throw new AppError('Upload changed while the chunk was written', 409, 'OFFSET_MISMATCH');
+      }
+      if (updated.offset === updated.size) {
+        return this.complete(updated);
+      }
+      return this.describe(updated);
+    } finally {
+      this.writing.delete(uploadId);
+    }
+  }
+
+  /**
+   * Stream a chunk into the temp file at the session's offset and check it
+   * @returns {Promise<number>} bytes written
+   */
+  async receive(session, stream, { limit, checksum }) {
+    const hash = checksum ? crypto.createHash(checksum.algorithm) : null;
+    // Hashed on a copy: a rejected chunk must not end up in the content hash
+    const content = (await this.hasherAt(session)).copy();
+    let received = 0;
+    const meter = new Transform({
+      transform(data, encoding, callback) {
+        received += data.length;
+        if (received > limit) {
+          callback(new AppError(`Chunk too large; at most ${limit} bytes may follow offset ${session.offset}`, 413, 'CHUNK_TOO_LARGE', { offset: session.offset, limit }));
+          return;
+        }
+        hash?.update(data);
+        content.update(data);
+        callback(null, data);
+      }
+    });
+
+    try {
+      await pipeline(stream, meter, fs.createWriteStream(session.tempPath, { flags: 'r+', start: session.offset }));
+      if (hash && hash.digest('base64') !== checksum.digest) {
+        throw new AppError('Chunk checksum does not match', 460, 'CHECKSUM_MISMATCH', { offset: session.offset });
+      }
+      this.hashers.set(session.uploadId, { offset: session.offset + received, hasher: content });
+      return received;
+    } catch (error) {
+      // Whatever arrived of a broken chunk is dropped; the client resends it from the same offset
+      await fs.promises.truncate(session.tempPath, session.offset).catch(() => {});
+      if (error.isOperational) {
+        throw error;
+      }
+      logger.warn('Upload chunk interrupted:', { uploadId: session.uploadId, offset: session.offset, error: error.message });
+      throw new AppError('Chunk upload was interrupted', 400, 'CHUNK_INCOMPLETE', { offset: session.offset });
+    }
+  }
+
+  /**
+   * Content hasher for the bytes a session has received so far
+   * @param {Object} session - upload session
+   * @returns {Promise<import('../utils/contentHash.js').ContentHasher>}
+   */
+  async hasherAt(session) {
+    const cached = this.hashers.get(session.uploadId);
+    if (cached?.offset === session.offset) {
+      return cached.hasher;
+    }
+    const hasher = await hasherForFile(session.tempPath, { end: session.offset });
+    this.hashers.set(session.uploadId, { offset: session.offset, hasher });
+    return hasher;
+  }
+
+  /**
+   * Hand a fully received file to the video pipeline
+   * @param {Object} session - session whose offset reached its size
+   * @returns {Promise<Object>} the upload with the stored `video`
+   */
+  async complete(session) {
+    const claimed = await UploadSession.findOneAndUpdate(
+      { uploadId: session.uploadId, status: 'uploading', offset: session.size },
+      { $set: { status: 'processing' } },
+      { new: true }
+    );
+    if (!claimed) {
+      return this.describe(await UploadSession.findOne({ uploadId: session.uploadId }));
+    }
+
+    try {
+      claimed.contentHash = (await this.hasherAt(claimed)).digest();
+      this.hashers.delete(claimed.uploadId);
+      if (claimed.expectedHash && claimed.expectedHash !== claimed.contentHash) {
+        throw new AppError('Uploaded file does not match its content hash', 422, 'CONTENT_HASH_MISMATCH', {
+          expected: claimed.expectedHash,
+          received: claimed.contentHash
+        });
+      }
+
+      const { title, description, isPublic, temporary } = claimed.options || {};
+      const video = await this.processor.storeAndProcessVideo(
+        claimed.tempPath,
+        { originalname: claimed.filename, mimetype: claimed.mimeType, size: claimed.size, contentHash: claimed.contentHash },
+        claimed.userId,
+        {
+          title,
+          description,
+          isPublic,
+          expiresAt: temporary ? new Date(Date.now() + this.temporaryVideoMs) : null
+        }
+      );
+      claimed.status = 'completed';
+      claimed.videoId = video._id;
+      claimed.completedAt = new Date();
+      // Kept a while so a client that lost the last response can still find its video
+      claimed.expiresAt = this.expiry();
+      await claimed.save();
+
+      logger.info('Resumable upload completed:', { uploadId: claimed.uploadId, videoId: video._id });
+      return { ...this.describe(claimed), video };
+    } catch (error) {
+      this.hashers.delete(claimed.uploadId);
+      claimed.status = 'failed';
+      claimed.error = error.message;
+      await claimed.save();
+      await this.removeFile(claimed.tempPath);
+      throw error;
+    }
+  }
+
+  /**
+   * Cancel an upload and drop its bytes
+   * @param {String} uploadId - upload ID
+   * @param {String} userId - logged-in user, if any
+   */
+  async abort(uploadId, userId = null) {
+    const session = await UploadSession.findOne({ uploadId });
+    if (!session) {
+      throw new NotFoundError('Upload');
+    }
+    if (session.authenticated && session.userId !== userId) {
+      throw new AuthorizationError('Access denied');
+    }
+    if (session.status === 'processing') {
+      throw new AppError('Upload is being processed', 409, 'UPLOAD_NOT_WRITABLE');
+    }
+    this.hashers.delete(uploadId);
+    await this.removeFile(session.tempPath);
+    await UploadSession.deleteOne({ _id: session._id });
+    logger.info('Resumable upload aborted:', { uploadId });
+  }
+
+  /**
+   * Remove sessions past their expiry along with any bytes they left behind
+   * @param {Date} now - current time
+   * @returns {Promise<number>} sessions removed
+   */
+  async cleanupExpired(now = new Date()) {
+    const expired = await UploadSession.find({ expiresAt: { $lt: now } }).select('uploadId tempPath status');
+    for (const session of expired) {
+      this.hashers.delete(session.uploadId);
+      await this.removeFile(session.tempPath);
+      await UploadSession.deleteOne({ _id: session._id });
+    }
+    if (expired.length) {
+      logger.info(`🧹 Removed ${expired.length} expired upload(s)`);
+    }
+    return expired.length;
+  }
+
+  async removeFile(filePath) {
+    try {
+      await fs.promises.unlink(filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        logger.warn('Could not remove upload data:', { filePath, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Client view of an upload
+   * @param {Object} session - upload session
+   * @returns {Object} { uploadId, filename, size, offset, chunkSize, progress, status, videoId, contentHash, error, expiresAt }
+   */
+  describe(session) {
+    return {
+      uploadId: session.uploadId,
+      filename: session.filename,
+      size: session.size,
+      offset: session.offset,
+      chunkSize: session.chunkSize,
+      progress: session.size ? Math.round(session.offset / session.size * 1000) / 1000 : 0,
+      status: session.status,
+      videoId: session.videoId || null,
+      contentHash: session.contentHash || null,
+      error: session.error || null,
+      expiresAt: session.expiresAt
+    };
+  }
+}
+
+const uploadService = new UploadService();
+
+export default uploadService;
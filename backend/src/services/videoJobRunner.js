@@ -0,0 +1,166 @@
+import Video from '../models/Video.js';
+import logger from '../utils/logger.js';
+
+export const MAX_ATTEMPTS = 3;
+// A job whose worker has not written progress for this long is taken over
+export const STALE_AFTER_MS = 2 * 60 * 1000;
+// Progress is written at most this often; each write also refreshes the heartbeat
+export const PROGRESS_WRITE_MS = 5000;
+const RESUME_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Background jobs whose state lives on a Video sub-document
+ *
+ * Shared by HLS transcoding (`streaming`) and preview sprites (`previews`).
+ * The sub-document holds the job's status ('queued', then `activeStatus`
+ * while a worker has it), attempt count and a heartbeat the worker refreshes
+ * as it writes progress. Nothing is lost on a restart: start() picks up
+ * queued jobs and jobs whose worker stopped refreshing its heartbeat, and
+ * claiming a job is a single conditional update, so two backend nodes never
+ * run the same one. Up to `concurrency` jobs run at once per process.
+ */
+export class VideoJobRunner {
+  /**
+   * @param {Object} options
+   * @param {String} options.field - Video sub-document holding the job, e.g. 'streaming'
+   * @param {String} options.activeStatus - status while a worker runs the job
+   * @param {Function} options.work - async (videoId) => void; claims and runs one job
+   * @param {String} options.label - job kind for log messages
+   * @param {Number} options.concurrency - jobs run at once by this process
+   * @param {Object} options.claimFields - sub-document fields reset whenever a job is claimed
+   */
+  constructor({ field, activeStatus, work, label, concurrency = 1, claimFields = {} }) {
+    this.field = field;
+    this.activeStatus = activeStatus;
+    this.work = work;
+    this.label = label;
+    this.concurrency = Math.max(1, concurrency);
+    this.claimFields = claimFields;
+    this.queue = new Set(); // videoIds waiting for a worker slot
+    this.active = new Set(); // videoIds being worked on by this process
+    this.resumeInterval = null;
+  }
+
+  /**
+   * Resume unfinished jobs now and keep checking for abandoned ones
+   * @returns {boolean} false when already started
+   */
+  start() {
+    if (this.resumeInterval) return false;
+    const resume = () => this.resume()
+      .catch(error => logger.error(`Resuming ${this.label} jobs failed:`, { error: error.message }));
+    resume();
+    this.resumeInterval = setInterval(resume, RESUME_INTERVAL_MS);
+    this.resumeInterval.unref?.();
+    return true;
+  }
+
+  /**
+   * Stop checking for abandoned jobs; running jobs finish
+   */
+  stop() {
+    clearInterval(this.resumeInterval);
+    this.resumeInterval = null;
+  }
+
+  /**
+   * Queue a video whose job was just set to 'queued'
+   * @param {String} videoId - video ID
+   */
+  add(videoId) {
+    this.queue.add(String(videoId));
+    this.drain();
+  }
+
+  /**
+   * Queue jobs that are waiting or whose worker has gone quiet
+   * @returns {Promise<number>} number of jobs queued
+   */
+  async resume() {
+    const videos = await Video.find({ isDeleted: false, ...this.claimableFilter() }).select('_id').lean();
+
+    const waiting = videos.map(video => String(video._id)).filter(id => !this.active.has(id));
+    waiting.forEach(id => this.queue.add(id));
+    if (waiting.length) {
+      logger.info(`Resuming ${waiting.length} ${this.label} job(s)`);
+    }
+    this.drain();
+    return waiting.length;
+  }
+
+  /**
+   * Start queued jobs while there are free worker slots
+   */
+  drain() {
+    while (this.active.size < this.concurrency && this.queue.size) {
+      const videoId = this.queue.values().next().value;
+      this.queue.delete(videoId);
+      this.active.add(videoId);
+      this.work(videoId)
+        .catch(error => logger.error(`A ${this.label} job crashed:`, { videoId, error: error.message }))
+        .finally(() => {
+          this.active.delete(videoId);
+          this.drain();
+        });
+    }
+  }
+
+  isStale(state) {
+    return !state?.heartbeatAt || Date.now() - new Date(state.heartbeatAt).getTime() > STALE_AFTER_MS;
+  }
+
+  /**
+   * Whether a job is waiting or a live worker has it
+   * @param {Object} state - the video's job sub-document
+   */
+  isBusy(state) {
+    return state?.status === 'queued' || (state?.status === this.activeStatus && !this.isStale(state));
+  }
+
+  // Jobs that are queued, or whose worker stopped refreshing its heartbeat
+  claimableFilter(now = Date.now()) {
+    return {
+      $or: [
+        { [`${this.field}.status`]: 'queued' },
+        { [`${this.field}.status`]: this.activeStatus, [`${this.field}.heartbeatAt`]: { $lt: new Date(now - STALE_AFTER_MS) } }
+      ]
+    };
+  }
+
+  /**
+   * Claim a job for this process: only a queued job, or one whose worker
+   * stopped refreshing its heartbeat, can be claimed
+   * @returns {Promise<Object|null>} video, or null when someone else has it
+   */
+  async claim(videoId) {
+    const now = new Date();
+    const $set = {
+      [`${this.field}.status`]: this.activeStatus,
+      [`${this.field}.heartbeatAt`]: now,
+      [`${this.field}.startedAt`]: now
+    };
+    for (const [key, value] of Object.entries(this.claimFields)) {
+      $set[`${this.field}.${key}`] = value;
+    }
+    return Video.findOneAndUpdate(
+      { _id: videoId, isDeleted: false, ...this.claimableFilter(now.getTime()) },
+      { $set, $inc: { [`${this.field}.attempts`]: 1 } },
+      { new: true }
+    );
+  }
+
+  /**
+   * Set job fields in the database and refresh the heartbeat
+   * @param {String} videoId - video ID
+   * @param {Object} fields - sub-document fields to set
+   * @param {Object} options - { filter, prefix }: extra match conditions, and the path the
+   *   fields sit under within the sub-document (e.g. 'renditions.$')
+   */
+  async update(videoId, fields, { filter = {}, prefix = '' } = {}) {
+    const $set = { [`${this.field}.heartbeatAt`]: new Date() };
+    for (const [key, value] of Object.entries(fields)) {
+      $set[`${this.field}.${prefix ? `${prefix}.` : ''}${key}`] = value;
+    }
+    await Video.updateOne({ _id: videoId, ...filter }, { $set });
+  }
+}
@@ -0,0 +1,279 @@
+import { VideoTranscript } from '../models/VideoTranscript.js';
+import { SyncRoom } from '../models/SyncRoom.js';
+import { ChatMessage } from '../models/ChatMessage.js';
+import catchUpService, { segmentsUntil } from './catchUpService.js';
+import searchService from './searchService.js';
+import aiUtils from '../utils/aiUtils.js';
+import syncUtils from '../utils/syncUtils.js';
+import roomPermissions from '../utils/roomPermissions.js';
+import { AIProviderError } from '../utils/aiProviders/registry.js';
+import logger from '../utils/logger.js';
+import { NotFoundError, ValidationError, AuthorizationError } from '../middleware/errorHandler.js';
+
+// Author of answers posted into chat
+export const VIDEO_ASSISTANT = { userId: 'video-assistant', username: 'Video assistant' };
+
+const MAX_QUESTION_LENGTH = 300;
+const PASSAGE_SECONDS = 30;
+const PASSAGE_WORDS = 120;
+const CONTEXT_PASSAGES = 6;
+const EXTRACTIVE_PASSAGES = 3;
+const MAX_CHAT_LENGTH = 1000; // ChatMessage.message maxlength
+const MAX_CITATION_LENGTH = 300;
+
+const SYSTEM_PROMPT = [
+  'You answer questions about a video using only the numbered transcript passages you are given.',
+  'Cite every passage you rely on by its number in square brackets, like [2].',
+  'If the passages do not answer the question, say so; never guess about parts of the video that are not in them.',
+  'Answer in at most four sentences.'
+].join(' ');
+
+const wordCount = (text) => (text.match(/\S+/g) || []).length;
+
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${String(Math.floor(seconds % 60)).padStart(2, '0')}`;
+};
+
+// Cut text to `max` characters at a word boundary
+const clip = (text, max) => {
+  if (text.length <= max) return text;
+  const cut = text.slice(0, max - 1);
+  const space = cut.lastIndexOf(' ');
+  return `${space > max / 2 ? cut.slice(0, space) : cut}…`;
+};
+
+/**
+ * Join consecutive transcript segments into passages of at most `maxSeconds`
+ * and `maxWords`, so a retrieved passage carries enough context to answer from
+ * @param {Array} segments - transcript segments ({ start, end, text })
+ * @param {Object} options - { maxSeconds, maxWords }
+ * @returns {Array<{ start, end, text }>}
+ */
+export const buildPassages = (segments, { maxSeconds = PASSAGE_SECONDS, maxWords = PASSAGE_WORDS } = {}) => {
+  const passages = [];
+  let current = null;
+  for (const segment of [...segments].sort((a, b) => a.start - b.start)) {
+    const end = segment.end ?? segment.start;
+    const fits = current
+      && end - current.start <= maxSeconds
+      && current.words + wordCount(segment.text) <= maxWords;
+    if (fits) {
+      current.text += ` ${segment.text}`;
+      current.end = Math.max(current.end, end);
+      current.words += wordCount(segment.text);
+    } else {
+      current = { start: segment.start, end, text: segment.text, words: wordCount(segment.text) };
+      passages.push(current);
+    }
+  }
+  return passages.map(({ start, end, text }) => ({ start, end, text: text.trim() }));
+};
+
+/**
+ * Prompt listing the passages as [n] (m:ss) text, followed by the question
+ * @param {String} question - viewer's question
+ * @param {Array} passages - passages in the order they are numbered
+ * @returns {String} prompt
+ */
+export const buildPrompt = (question, passages) => [
+  'Transcript passages, each with the time it starts:',
+  ...passages.map((passage, index) => `[${index + 1}] (${formatTime(passage.start)}) ${passage.text}`),
+  '',
+  `Question: ${question}`
+].join('\n');
+
+/**
+ * Resolve [n] and [n, m] markers in an answer to the passages they cite.
+ * Markers for passages that were not given are dropped from the text.
+ * @param {String} answer - generated answer
+ * @param {Array} passages - passages as numbered in the prompt
+ * @returns {{ answer: String, citations: Array<{ ref, start, end, text }> }}
+ */
+export const parseCitations = (answer, passages) => {
+  const used = [];
+  const text = String(answer || '').replace(/\[(\d+(?:\s*,\s*\d+)*)\]/g, (marker, list) => {
+    const refs = list.split(',').map(ref => parseInt(ref, 10)).filter(ref => passages[ref - 1]);
+    refs.forEach(ref => { if (!used.includes(ref)) used.push(ref); });
+    return refs.map(ref => `[${ref}]`).join('');
+  });
+
+  return {
+    answer: text.replace(/ {2,}/g, ' ').replace(/ +([.,;:!?])/g, '$1').trim(),
+    citations: used.sort((a, b) => a - b).map(ref => ({
+      ref,
+      start: passages[ref - 1].start,
+      end: passages[ref - 1].end,
+      text: clip(passages[ref - 1].text, MAX_CITATION_LENGTH)
+    }))
+  };
+};
+
+/**
+ * "Ask the video": answers a viewer's question from the transcript of what
+ * the room has already watched.
+ *
+ * The transcript is cut at the room's position (a line still being spoken is
+ * left out, as for catch-up), joined into passages and ranked against the
+ * question with room search's BM25 and, when available, embedding ranking.
+ * The best passages go to the AI provider numbered, and the [n] markers in
+ * its answer become timestamp citations. Without a text-generation provider
+ * the best passages are quoted instead. Answers can be posted into the room
+ * chat as a 'bot' message replying to the question.
+ */
+export class VideoQAService {
+  /**
+   * @param {Object} options - { answerer, searcher }; anything with aiUtils'
+   *   complete() and with SearchService's rank()
+   */
+  constructor(options = {}) {
+    this.answerer = options.answerer || aiUtils;
+    this.searcher = options.searcher || searchService;
+  }
+
+  /**
+   * Answer a question about what a room has watched so far
+   * @param {String} roomCode - room code
+   * @param {String} userId - asking room member
+   * @param {Object} options - { question, username, share, now }; `share`
+   *   posts the question and the answer into the room chat
+   * @returns {Promise<Object>} { roomCode, position, question, answer, citations, answeredBy, messages }
+   */
+  async askInRoom(roomCode, userId, options = {}) {
+    const question = String(options.question || '').trim();
+    if (!question || question.length > MAX_QUESTION_LENGTH) {
+      throw new ValidationError(`A question of at most ${MAX_QUESTION_LENGTH} characters is required`);
+    }
+    if (options.share && !options.username) {
+      throw new ValidationError('username is required to post the answer in chat');
+    }
+
+    const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() }).lean();
+    if (!room) {
+      throw new NotFoundError('Room');
+    }
+    if (!roomPermissions.isMember(room, userId)) {
+      throw new AuthorizationError('Only room members can ask about the video');
+    }
+
+    const videoId = catchUpService.resolveRoomVideoId(room);
+    const transcript = videoId
+      ? await VideoTranscript.findOne({ videoId, isActive: true }).sort({ generatedAt: -1 }).lean()
+      : null;
+    if (!transcript) {
+      throw new NotFoundError('Transcript');
+    }
+
+    const position = syncUtils.extrapolatePosition(room.currentState, options.now);
+    const result = await this.answer(question, segmentsUntil(transcript.segments || [], position));
+    const answer = { roomCode: room.code, position, question, ...result };
+
+    if (options.share) {
+      answer.messages = await this.postToChat(room.code, {
+        userId,
+        username: options.username,
+        question,
+        position
+      }, answer);
+    }
+
+    logger.info(`❓ Video question answered in room ${room.code} (${answer.answeredBy}, ${answer.citations.length} citations)`);
+    return answer;
+  }
+
+  /**
+   * Answer a question from transcript segments that have been watched
+   * @param {String} question - viewer's question
+   * @param {Array} segments - watched transcript segments
+   * @returns {Promise<Object>} { answer, citations, answeredBy }
+   */
+  async answer(question, segments) {
+    if (!segments.length) {
+      return { answer: 'Nothing has been said in the video yet, so there is nothing to answer from.', citations: [], answeredBy: 'none' };
+    }
+
+    const { passages, matched } = await this.retrieve(question, buildPassages(segments));
+
+    try {
+      const generated = await this.answerer.complete(buildPrompt(question, passages), {
+        system: SYSTEM_PROMPT,
+        maxTokens: 300,
+        temperature: 0.2
+      });
+      return { ...parseCitations(generated, passages), answeredBy: 'ai' };
+    } catch (error) {
+      if (!(error instanceof AIProviderError)) throw error;
+      logger.warn('No AI provider could answer, quoting the transcript instead', { error: error.message });
+    }
+
+    if (!matched.length) {
+      return { answer: 'Nothing watched so far seems to mention that.', citations: [], answeredBy: 'extractive' };
+    }
+    const quoted = matched.slice(0, EXTRACTIVE_PASSAGES)
+      .map(passage => passages.indexOf(passage) + 1)
+      .sort((a, b) => a - b);
+    return {
+      ...parseCitations(
+        `From what has played so far: ${quoted.map(ref => `“${clip(passages[ref - 1].text, 200)}” [${ref}]`).join(' ')}`,
+        passages
+      ),
+      answeredBy: 'extractive'
+    };
+  }
+
+  /**
+   * The passages to answer from, in time order, and those that matched the
+   * question in rank order. A question matching nothing (e.g. "what just
+   * happened?") gets the latest passages.
+   * @returns {Promise<{ passages: Array, matched: Array }>}
+   */
+  async retrieve(question, passages) {
+    const documents = passages.map((passage, index) => ({
+      type: 'transcript',
+      id: String(index),
+      text: passage.text,
+      timestamp: passage.start
+    }));
+    const { results } = await this.searcher.rank(documents, question, { mode: 'auto', limit: CONTEXT_PASSAGES });
+    const matched = results.map(hit => passages[Number(hit.id)]);
+
+    const chosen = matched.length ? matched : passages.slice(-CONTEXT_PASSAGES);
+    return {
+      passages: [...chosen].sort((a, b) => a.start - b.start),
+      matched
+    };
+  }
+
+  /**
+   * Post a question and its answer into the room chat; the answer is a
+   * 'bot' message replying to the question
+   * @param {String} roomCode - room code
+   * @param {Object} asked - { userId, username, question, position }
+   * @param {Object} answer - from answer()
+   * @returns {Promise<Array>} [question message, answer message] as plain objects
+   */
+  async postToChat(roomCode, { userId, username, question, position }, answer) {
+    const asked = await ChatMessage.create({
+      roomCode,
+      userId,
+      username,
+      message: question,
+      videoTimestamp: position,
+      messageType: 'text'
+    });
+    const reply = await ChatMessage.create({
+      roomCode,
+      ...VIDEO_ASSISTANT,
+      message: clip(answer.answer, MAX_CHAT_LENGTH),
+      videoTimestamp: position,
+      messageType: 'bot',
+      citations: answer.citations,
+      replyTo: asked._id
+    });
+    return [asked.toObject(), reply.toObject()];
+  }
+}
+
+const videoQAService = new VideoQAService();
+
+export default videoQAService;
@@ -1,8 +1,17 @@
+import mongoose from 'mongoose';
 import Video from '../models/Video.js';
+import VideoBlob from '../models/VideoBlob.js';
+import User from '../models/User.js';
+import transcodingService from './transcodingService.js';
+import storageService from './storageService.js';
+import previewService from './previewService.js';
 import videoUtils from '../utils/videoUtils.js';
+import { config } from '../config/env.js';
 import generalUtils from '../utils/generalUtils.js';
-import encryptionUtils from '../utils/encryptionUtils.js';
+import { hashBuffer, hashFile } from '../utils/contentHash.js';
+import { PREVIEW_TRACK } from '../utils/previewSprites.js';
 import logger from '../utils/logger.js';
+import { NotFoundError, AuthorizationError, ValidationError } from '../middleware/errorHandler.js';
 import fs from 'fs';
 import path from 'path';
 import { promisify } from 'util';
@@ -11,13 +20,16 @@ const writeFile = promisify(fs.writeFile);
 const mkdir = promisify(fs.mkdir);
 const access = promisify(fs.access);
 
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
 /**
  * Video Service - Handles video upload, processing, metadata extraction, and streaming
+ *
+ * Video files and thumbnails are kept in media storage (services/storageService.js);
+ * only work in progress (probing, thumbnail frames) touches the local temp directory.
  */
 export class VideoService {
   constructor() {
-    this.uploadPath = process.env.UPLOAD_PATH || './uploads/videos';
-    this.thumbnailPath = process.env.THUMBNAIL_PATH || './uploads/thumbnails';
     this.tempPath = process.env.TEMP_PATH || './temp';
     
     // Ensure directories exist
@@ -28,7 +40,7 @@ export class VideoService {
    * Initialize required directories
    */
   async initializeDirectories() {
-    const dirs = [this.uploadPath, this.thumbnailPath, this.tempPath];
+    const dirs = [this.tempPath];
     
     for (const dir of dirs) {
       try {
@@ -41,14 +53,19 @@ export class VideoService {
   }
 
   /**
-   * Store video file and extract metadata
-   * @param {Buffer} fileBuffer - uploaded video file buffer
-   * @param {Object} fileMeta - file metadata including mimetype, filename
+   * Store video file and extract metadata. Files are stored once per content
+   * hash: uploading bytes that are already stored only adds a reference to
+   * the stored file (see VideoBlob) and reuses its probe results.
+   * @param {Buffer|String} source - file buffer, or path of an uploaded temp file (moved into storage)
+   * @param {Object} fileMeta - file metadata including mimetype, originalname, size, and
+   *   contentHash when the upload path already hashed the bytes
    * @param {String} userId - uploader user id
-   * @param {Object} options - additional processing options
+   * @param {Object} options - title, description, tags, category, isPublic, expiresAt (temporary uploads)
    * @returns {Promise<Object>} created video record
    */
-  async storeAndProcessVideo(fileBuffer, fileMeta, userId, options = {}) {
+  async storeAndProcessVideo(source, fileMeta, userId, options = {}) {
+    let contentHash = null;
+    let bufferPath = null;
     try {
       logger.info('Starting video processing:', {
         filename: fileMeta.originalname,
@@ -59,93 +76,67 @@ export class VideoService {
 
       // Validate file type
       if (!videoUtils.isSupportedVideoMime(fileMeta.mimetype)) {
-        throw new Error(`Unsupported video format: ${fileMeta.mimetype}`);
+        throw new ValidationError(`Unsupported video format: ${fileMeta.mimetype}`);
       }
 
       // Generate unique identifiers
-      const videoId = generalUtils.generateUUID();
+      const videoId = new mongoose.Types.ObjectId().toString();
       const sanitizedFilename = generalUtils.sanitizeFilename(fileMeta.originalname);
       const fileExtension = path.extname(sanitizedFilename);
-      const uniqueFilename = `${videoId}${fileExtension}`;
-      
-      // Create file paths
-      const userUploadDir = path.join(this.uploadPath, userId);
-      const filePath = path.join(userUploadDir, uniqueFilename);
-      const thumbnailDir = path.join(this.thumbnailPath, userId);
-      const thumbnailPath = path.join(thumbnailDir, `${videoId}.jpg`);
-
-      // Ensure user directories exist
-      await mkdir(userUploadDir, { recursive: true });
-      await mkdir(thumbnailDir, { recursive: true });
-
-      // Save file to storage
-      await writeFile(filePath, fileBuffer);
-      logger.info('Video file saved:', { filePath });
-
-      // Extract metadata
-      const metadata = await videoUtils.getVideoMetadata(filePath);
-      logger.info('Video metadata extracted:', {
-        duration: metadata.duration,
-        resolution: metadata.resolution,
-        format: metadata.format
+
+      // Buffers are probed from a temp file like uploads are
+      let sourcePath = source;
+      if (Buffer.isBuffer(source)) {
+        sourcePath = bufferPath = path.join(this.tempPath, `${videoId}${fileExtension}`);
+        await writeFile(sourcePath, source);
+      }
+
+      // Save file to storage, or reference the copy already stored
+      const hash = fileMeta.contentHash || (Buffer.isBuffer(source) ? hashBuffer(source) : await hashFile(source));
+      const { storageKey, metadata, deduplicated } = await this.acquireStoredFile(hash, sourcePath, {
+        extension: fileExtension,
+        size: fileMeta.size,
+        mimeType: fileMeta.mimetype
       });
+      contentHash = hash;
+      logger.info(deduplicated ? 'Video file already stored:' : 'Video file saved:', { storageKey, contentHash });
 
-      // Generate thumbnail
-      const thumbnailTimestamp = Math.min(10, metadata.duration / 2);
-      await videoUtils.generateThumbnail(filePath, thumbnailPath, thumbnailTimestamp);
-      logger.info('Thumbnail generated:', { thumbnailPath });
+      // Thumbnails are best-effort; a video without one is still playable
+      const thumbnailKey = await this.storeThumbnail(videoId, storageKey, metadata.duration);
 
-      // Prepare video record
-      const videoData = {
+      const video = new Video({
         _id: videoId,
         title: options.title || sanitizedFilename.replace(fileExtension, ''),
         description: options.description || '',
-        filename: uniqueFilename,
-        originalFilename: fileMeta.originalname,
-        filePath: filePath,
-        thumbnailPath: thumbnailPath,
+        storageKey,
+        contentHash,
+        expiresAt: options.expiresAt || null,
+        thumbnailKey,
+        thumbnailUrl: thumbnailKey ? `/api/videos/${videoId}/thumbnail` : null,
         uploadedBy: userId,
-        
-        // File information
         fileSize: fileMeta.size,
         mimeType: fileMeta.mimetype,
-        
-        // Video metadata
         duration: metadata.duration,
         resolution: metadata.resolution,
-        width: metadata.video.width,
-        height: metadata.video.height,
-        frameRate: metadata.video.frameRate,
+        fps: metadata.video.frameRate,
+        bitrate: metadata.bitRate || null,
         codec: metadata.video.codec,
-        bitRate: metadata.video.bitRate,
-        aspectRatio: metadata.video.aspectRatio,
-        
-        // Audio metadata
-        hasAudio: metadata.hasAudio,
-        audioCodec: metadata.audio?.codec,
-        audioChannels: metadata.audio?.channels,
-        audioSampleRate: metadata.audio?.sampleRate,
-        
-        // Processing status
-        processingStatus: 'completed',
+        tags: options.tags || [],
+        category: options.category || 'general',
         isPublic: options.isPublic || false,
-        allowDownload: options.allowDownload !== false,
-        
-        // Quality classification
-        quality: videoUtils.getVideoQuality(metadata.video.width, metadata.video.height),
-        isHD: metadata.isHD,
-        is4K: metadata.is4K,
-        
-        // Metadata (encrypted for sensitive data)
-        rawMetadata: encryptionUtils.encrypt(JSON.stringify(metadata.raw)),
-        
-        // Timestamps
-        createdAt: new Date(),
-        updatedAt: new Date()
-      };
-
-      // Save to database
-      const video = new Video(videoData);
+        processingStatus: 'completed',
+        metadata: {
+          originalFilename: fileMeta.originalname,
+          format: metadata.format,
+          width: metadata.video.width,
+          height: metadata.video.height,
+          aspectRatio: metadata.video.aspectRatio,
+          hasAudio: metadata.hasAudio,
+          audioCodec: metadata.audio?.codec || null,
+          quality: videoUtils.getVideoQuality(metadata.video.width, metadata.video.height),
+          allowDownload: options.allowDownload !== false
+        }
+      });
       await video.save();
 
       logger.info('Video processed successfully:', {
@@ -155,23 +146,212 @@ export class VideoService {
         size: generalUtils.formatBytes(video.fileSize)
       });
 
-      // Queue transcoding job if needed
-      if (options.enableTranscoding) {
-        await this.enqueueTranscodingJob(videoId, filePath);
+      // The HLS ladder is best-effort too; until it is ready rooms stream the original
+      if (options.enableTranscoding ?? config.transcoding.enabled) {
+        try {
+          await this.enqueueTranscodingJob(videoId);
+        } catch (error) {
+          logger.warn('Transcoding not queued:', { videoId, error: error.message });
+        }
+      }
+      if (options.enablePreviews ?? config.previews.enabled) {
+        try {
+          await previewService.enqueue(videoId);
+        } catch (error) {
+          logger.warn('Preview sprites not queued:', { videoId, error: error.message });
+        }
       }
 
       return video;
 
     } catch (error) {
+      if (bufferPath) {
+        await fs.promises.rm(bufferPath, { force: true }).catch(() => {});
+      }
+      if (contentHash) {
+        await this.releaseStoredFile(contentHash).catch(releaseError =>
+          logger.warn('Could not release stored file:', { contentHash, error: releaseError.message }));
+      }
       logger.error('Video processing failed:', {
         filename: fileMeta.originalname,
         userId,
         error: error.message
       });
+      if (error.isOperational) {
+        throw error;
+      }
       throw new Error(`Video processing failed: ${error.message}`);
     }
   }
 
+  /**
+   * Take a reference to the stored file with these bytes, storing the upload
+   * as that file if there is none yet. A duplicate upload is dropped.
+   * @param {String} contentHash - content hash of the upload
+   * @param {String} sourcePath - temp file holding the upload (moved into storage or removed)
+   * @param {Object} file - { extension, size, mimeType }
+   * @returns {Promise<{ storageKey: string, metadata: Object, deduplicated: boolean }>}
+   */
+  async acquireStoredFile(contentHash, sourcePath, { extension, size, mimeType }) {
+    const existing = await VideoBlob.findOneAndUpdate(
+      { _id: contentHash },
+      { $inc: { refCount: 1 } },
+      { new: true }
+    );
+
+    if (existing) {
+      const stored = await storageService.stat(existing.storageKey);
+      if (stored && existing.probe) {
+        await fs.promises.unlink(sourcePath).catch(() => {});
+        return { storageKey: existing.storageKey, metadata: existing.probe, deduplicated: true };
+      }
+      // The stored copy went missing; this upload takes its place
+      try {
+        const metadata = await videoUtils.getVideoMetadata(sourcePath);
+        await storageService.put(existing.storageKey, sourcePath, { move: true, contentType: mimeType });
+        await VideoBlob.updateOne({ _id: contentHash }, { $set: { probe: metadata } });
+        return { storageKey: existing.storageKey, metadata, deduplicated: false };
+      } catch (error) {
+        await this.releaseStoredFile(contentHash);
+        throw error;
+      }
+    }
+
+    // Probed while the file is still local, whatever the storage driver
+    const metadata = await videoUtils.getVideoMetadata(sourcePath);
+    logger.info('Video metadata extracted:', {
+      duration: metadata.duration,
+      resolution: metadata.resolution,
+      format: metadata.format
+    });
+
+    const storageKey = storageService.videoKey(contentHash, extension);
+    await storageService.put(storageKey, sourcePath, { move: true, contentType: mimeType });
+    try {
+      await VideoBlob.create({ _id: contentHash, storageKey, size, mimeType, refCount: 1, probe: metadata });
+      return { storageKey, metadata, deduplicated: false };
+    } catch (error) {
+      if (error.code !== 11000) {
+        await storageService.delete(storageKey).catch(() => {});
+        throw error;
+      }
+      // The same bytes finished uploading elsewhere first; share that copy
+      const winner = await VideoBlob.findOneAndUpdate({ _id: contentHash }, { $inc: { refCount: 1 } }, { new: true });
+      if (winner.storageKey !== storageKey) {
+        await storageService.delete(storageKey).catch(() => {});
+      }
+      return { storageKey: winner.storageKey, metadata: winner.probe || metadata, deduplicated: true };
+    }
+  }
+
+  /**
+   * Drop a reference to a stored file; the last one deletes it
+   * @param {String} contentHash - content hash
+   * @returns {Promise<boolean>} whether the file was deleted
+   */
+  async releaseStoredFile(contentHash) {
+    const blob = await VideoBlob.findOneAndUpdate(
+      { _id: contentHash },
+      { $inc: { refCount: -1 } },
+      { new: true }
+    );
+    if (!blob || blob.refCount > 0) {
+      return false;
+    }
+
+    // Only if nothing took a new reference in the meantime
+    const removed = await VideoBlob.findOneAndDelete({ _id: contentHash, refCount: { $lte: 0 } });
+    if (!removed) {
+      return false;
+    }
+    try {
+      await storageService.delete(removed.storageKey);
+      logger.info(`Deleted stored file: ${removed.storageKey}`);
+    } catch (error) {
+      logger.warn(`Failed to delete stored file: ${removed.storageKey}`, error);
+    }
+    return true;
+  }
+
+  /**
+   * Grab a frame of a stored video as its thumbnail and store it
+   * @param {String} videoId - video ID
+   * @param {String} storageKey - the video's file
+   * @param {Number} duration - video duration in seconds
+   * @returns {Promise<String|null>} thumbnail storage key, null when no frame could be taken
+   */
+  async storeThumbnail(videoId, storageKey, duration) {
+    const framePath = path.join(this.tempPath, `${videoId}.jpg`);
+    try {
+      const thumbnailTimestamp = Math.min(10, (duration || 0) / 2);
+      await videoUtils.generateThumbnail(await storageService.mediaInput(storageKey), framePath, thumbnailTimestamp);
+      const thumbnailKey = storageService.thumbnailKey(videoId);
+      await storageService.put(thumbnailKey, framePath, { move: true, contentType: 'image/jpeg' });
+      return thumbnailKey;
+    } catch (error) {
+      logger.warn('Thumbnail generation skipped:', { videoId, error: error.message });
+      await fs.promises.unlink(framePath).catch(() => {});
+      return null;
+    }
+  }
+
+  /**
+   * Where to fetch a video's thumbnail: a signed storage URL, or the file
+   * on disk for videos stored before media storage
+   * @param {String} videoId - video ID
+   * @param {String} userId - requesting user ID (optional)
+   * @returns {Promise<{ url: string|null, filePath: string|null }>}
+   */
+  async getThumbnail(videoId, userId = null) {
+    const video = await this.getVideo(videoId, userId);
+    if (video.thumbnailKey) {
+      return { url: await storageService.signedUrl(video.thumbnailKey), filePath: null };
+    }
+    const legacy = video.thumbnailUrl && !video.thumbnailUrl.startsWith('/api/')
+      ? await generalUtils.getFileInfo(video.thumbnailUrl)
+      : null;
+    if (!legacy?.exists) {
+      throw new NotFoundError('Thumbnail');
+    }
+    return { url: null, filePath: path.resolve(video.thumbnailUrl) };
+  }
+
+  /**
+   * Open the byte range described by getStreamingInfo()
+   * @param {Object} info - result of getStreamingInfo()
+   * @returns {Promise<import('stream').Readable>}
+   */
+  async openVideoStream(info) {
+    try {
+      return await storageService.openVideo(info.video, { start: info.start, end: info.end });
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.statusCode === 404) {
+        throw new NotFoundError('Video file');
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get a video the user is allowed to see
+   * @param {String} videoId - video ID
+   * @param {String|null} userId - requesting user ID
+   * @returns {Promise<Object>} video document
+   */
+  async getVideo(videoId, userId = null) {
+    const video = await Video.findOne({ _id: videoId, isDeleted: false });
+
+    if (!video) {
+      throw new NotFoundError('Video');
+    }
+
+    if (!video.isPublic && video.uploadedBy !== userId && !(await this.isAdmin(userId))) {
+      throw new AuthorizationError('Access denied');
+    }
+
+    return video;
+  }
+
   /**
    * Update video metadata
    * @param {String} videoId - video ID
@@ -181,36 +361,29 @@ export class VideoService {
    */
   async updateVideoMetadata(videoId, updates, userId) {
     try {
-      const video = await Video.findById(videoId);
+      const video = await Video.findOne({ _id: videoId, isDeleted: false });
       
       if (!video) {
-        throw new Error('Video not found');
+        throw new NotFoundError('Video');
       }
 
       // Check ownership or admin privileges
-      if (video.uploadedBy.toString() !== userId && !this.isAdmin(userId)) {
-        throw new Error('Access denied');
+      if (video.uploadedBy !== userId && !(await this.isAdmin(userId))) {
+        throw new AuthorizationError('Access denied');
       }
 
       // Sanitize updates
       const allowedUpdates = [
-        'title', 'description', 'isPublic', 'allowDownload', 
-        'tags', 'category', 'customThumbnail'
+        'title', 'description', 'isPublic', 'tags', 'category', 'thumbnailUrl'
       ];
       
       const sanitizedUpdates = {};
       for (const [key, value] of Object.entries(updates)) {
         if (allowedUpdates.includes(key)) {
-          if (key === 'title' && value) {
-            sanitizedUpdates[key] = generalUtils.sanitizeFilename(value);
-          } else {
-            sanitizedUpdates[key] = value;
-          }
+          sanitizedUpdates[key] = value;
         }
       }
 
-      sanitizedUpdates.updatedAt = new Date();
-
       const updatedVideo = await Video.findByIdAndUpdate(
         videoId, 
         sanitizedUpdates, 
@@ -244,35 +417,34 @@ export class VideoService {
    */
   async getStreamingInfo(videoId, rangeHeader = null, userId = null) {
     try {
-      const video = await Video.findById(videoId);
-      
-      if (!video) {
-        throw new Error('Video not found');
-      }
-
-      // Check access permissions
-      if (!video.isPublic && video.uploadedBy.toString() !== userId) {
-        throw new Error('Access denied');
-      }
+      const video = await this.getVideo(videoId, userId);
 
       // Check if file exists
-      const fileInfo = await generalUtils.getFileInfo(video.filePath);
-      if (!fileInfo.exists) {
-        throw new Error('Video file not found');
+      const fileSize = await storageService.videoSize(video);
+      if (fileSize === null) {
+        throw new NotFoundError('Video file');
       }
 
-      const fileSize = fileInfo.size;
       let start = 0;
       let end = fileSize - 1;
-      let contentLength = fileSize;
 
-      // Parse range header if provided
+      // Parse range header if provided ("bytes=start-end", "bytes=start-" or "bytes=-suffix")
       if (rangeHeader) {
-        const range = rangeHeader.replace(/bytes=/, '').split('-');
-        start = parseInt(range[0], 10) || 0;
-        end = parseInt(range[1], 10) || fileSize - 1;
-        contentLength = end - start + 1;
+        const [startText = '', endText = ''] = rangeHeader.replace(/bytes=/, '').split(',')[0].split('-');
+        if (startText === '') {
+          start = Math.max(0, fileSize - (parseInt(endText, 10) || 0));
+        } else {
+          start = parseInt(startText, 10) || 0;
+          end = endText === '' ? end : Math.min(parseInt(endText, 10), fileSize - 1);
+        }
+
+        if (start >= fileSize || start > end) {
+          const error = new ValidationError('Requested range not satisfiable', { fileSize });
+          error.statusCode = 416;
+          throw error;
+        }
       }
+      const contentLength = end - start + 1;
 
       // Log streaming access
       logger.info('Video streaming requested:', {
@@ -287,7 +459,7 @@ export class VideoService {
 
       return {
         video,
-        filePath: video.filePath,
+        storageKey: video.storageKey,
         fileSize,
         start,
         end,
@@ -314,33 +486,18 @@ export class VideoService {
    */
   async deleteVideo(videoId, userId) {
     try {
-      const video = await Video.findById(videoId);
+      const video = await Video.findOne({ _id: videoId, isDeleted: false });
       
       if (!video) {
-        throw new Error('Video not found');
+        throw new NotFoundError('Video');
       }
 
       // Check ownership or admin privileges
-      if (video.uploadedBy.toString() !== userId && !this.isAdmin(userId)) {
-        throw new Error('Access denied');
-      }
-
-      // Delete physical files
-      const filesToDelete = [video.filePath, video.thumbnailPath];
-      
-      for (const filePath of filesToDelete) {
-        if (filePath) {
-          try {
-            await fs.promises.unlink(filePath);
-            logger.info(`Deleted file: ${filePath}`);
-          } catch (error) {
-            logger.warn(`Failed to delete file: ${filePath}`, error);
-          }
-        }
+      if (video.uploadedBy !== userId && !(await this.isAdmin(userId))) {
+        throw new AuthorizationError('Access denied');
       }
 
-      // Delete database record
-      await Video.findByIdAndDelete(videoId);
+      await this.removeVideo(video);
 
       logger.info('Video deleted successfully:', {
         videoId,
@@ -360,6 +517,32 @@ export class VideoService {
     }
   }
 
+  /**
+   * Remove a video record with its thumbnail and HLS output. Its file goes
+   * too unless other videos share it.
+   * @param {Object} video - Video document
+   */
+  async removeVideo(video) {
+    if (video.contentHash && video.storageKey) {
+      await this.releaseStoredFile(video.contentHash);
+    } else if (video.filePath) {
+      // Stored before deduplication: the file is this video's own
+      await fs.promises.unlink(video.filePath).catch(error =>
+        logger.warn(`Failed to delete file: ${video.filePath}`, error));
+    }
+    if (video.thumbnailKey) {
+      await storageService.delete(video.thumbnailKey).catch(error =>
+        logger.warn(`Failed to delete thumbnail: ${video.thumbnailKey}`, error));
+    } else if (video.thumbnailUrl && !video.thumbnailUrl.startsWith('/api/')) {
+      await fs.promises.unlink(video.thumbnailUrl).catch(error =>
+        logger.warn(`Failed to delete file: ${video.thumbnailUrl}`, error));
+    }
+
+    await transcodingService.removeOutput(video);
+    await previewService.removeOutput(video);
+    await Video.findByIdAndDelete(video._id);
+  }
+
   /**
    * Search videos with filtering and pagination
    * @param {Object} criteria - search criteria
@@ -371,10 +554,9 @@ export class VideoService {
       const {
         query,
         category,
-        quality,
         duration,
+        tags,
         userId,
-        isPublic,
         uploadedBy
       } = criteria;
 
@@ -386,22 +568,26 @@ export class VideoService {
       } = options;
 
       // Build search filter
-      const filter = {};
+      const filter = { isDeleted: false };
+      const conditions = [];
 
       if (query) {
-        filter.$or = [
-          { title: new RegExp(query, 'i') },
-          { description: new RegExp(query, 'i') },
-          { tags: { $in: [new RegExp(query, 'i')] } }
-        ];
+        const pattern = new RegExp(escapeRegExp(query), 'i');
+        conditions.push({
+          $or: [
+            { title: pattern },
+            { description: pattern },
+            { tags: pattern }
+          ]
+        });
       }
 
       if (category) {
         filter.category = category;
       }
 
-      if (quality) {
-        filter.quality = quality;
+      if (tags?.length) {
+        filter.tags = { $all: tags };
       }
 
       if (duration) {
@@ -415,10 +601,13 @@ export class VideoService {
 
       // Handle privacy settings
       if (!includePrivate) {
-        filter.$or = [
-          { isPublic: true },
-          { uploadedBy: userId }
-        ];
+        conditions.push({
+          $or: userId ? [{ isPublic: true }, { uploadedBy: userId }] : [{ isPublic: true }]
+        });
+      }
+
+      if (conditions.length) {
+        filter.$and = conditions;
       }
 
       // Execute search with pagination
@@ -480,15 +669,15 @@ export class VideoService {
    */
   async getVideoAnalytics(videoId, userId) {
     try {
-      const video = await Video.findById(videoId);
+      const video = await Video.findOne({ _id: videoId, isDeleted: false });
       
       if (!video) {
-        throw new Error('Video not found');
+        throw new NotFoundError('Video');
       }
 
       // Check access permissions
-      if (video.uploadedBy.toString() !== userId && !this.isAdmin(userId)) {
-        throw new Error('Access denied');
+      if (video.uploadedBy !== userId && !(await this.isAdmin(userId))) {
+        throw new AuthorizationError('Access denied');
       }
 
       // TODO: Implement analytics aggregation from view logs
@@ -528,50 +717,123 @@ export class VideoService {
   }
 
   /**
-   * Enqueue transcoding job for adaptive streaming
+   * Enqueue transcoding job for adaptive streaming (see services/transcodingService.js)
    * @param {String} videoId - video ID
-   * @param {String} filePath - source file path
-   * @returns {Promise<Object>} job information
+   * @param {Object} options - { force } to transcode a video whose ladder is ready again
+   * @returns {Promise<Object>} streaming status
    */
-  async enqueueTranscodingJob(videoId, filePath) {
+  async enqueueTranscodingJob(videoId, options = {}) {
     try {
-      // This would typically integrate with a job queue like Bull or AWS MediaConvert
-      logger.info('Transcoding job enqueued:', { videoId, filePath });
-      
-      // Update video status
-      await Video.findByIdAndUpdate(videoId, {
-        processingStatus: 'transcoding',
-        updatedAt: new Date()
-      });
-
-      // TODO: Implement actual job queue integration
-      // Example: await jobQueue.add('transcode-video', { videoId, filePath });
-
-      return {
-        jobId: generalUtils.generateUUID(),
-        videoId,
-        status: 'queued',
-        enqueuedAt: new Date()
-      };
+      const streaming = await transcodingService.enqueue(videoId, options);
+      logger.info('Transcoding job enqueued:', { videoId, status: streaming.status });
+      return { videoId, ...streaming };
 
     } catch (error) {
       logger.error('Transcoding job enqueue failed:', {
         videoId,
-        filePath,
         error: error.message
       });
       throw error;
     }
   }
 
+  /**
+   * Queue (or redo) transcoding on behalf of a user; only the uploader or an admin may
+   * @param {String} videoId - video ID
+   * @param {String} userId - requesting user ID
+   * @param {Object} options - { force }
+   * @returns {Promise<Object>} streaming status
+   */
+  async requestTranscoding(videoId, userId, options = {}) {
+    const video = await this.getVideo(videoId, userId);
+    if (video.uploadedBy !== userId && !(await this.isAdmin(userId))) {
+      throw new AuthorizationError('Access denied');
+    }
+    return this.enqueueTranscodingJob(videoId, options);
+  }
+
+  /**
+   * HLS playlist or segment of a video the user may see. Playlists are small
+   * and read whole, so the relative URIs in them resolve against our routes;
+   * segments are fetched from storage through a signed URL.
+   * @param {String} videoId - video ID
+   * @param {String} file - file name
+   * @param {String|null} rendition - rendition name, or null for the master playlist
+   * @param {String|null} userId - requesting user ID
+   * @returns {Promise<{ playlist: string|null, url: string|null }>}
+   */
+  async getHlsFile(videoId, file, rendition = null, userId = null) {
+    const video = await this.getVideo(videoId, userId);
+    const key = transcodingService.resolveFile(video, file, rendition);
+    if (!file.endsWith('.m3u8')) {
+      return { playlist: null, url: await storageService.signedUrl(key) };
+    }
+    return { playlist: await this.readStoredText(key, 'HLS file'), url: null };
+  }
+
+  /**
+   * Queue (or redo) seek-bar preview sprites on behalf of a user; only the uploader or an admin may
+   * @param {String} videoId - video ID
+   * @param {String} userId - requesting user ID
+   * @param {Object} options - { force }
+   * @returns {Promise<Object>} preview status
+   */
+  async requestPreviews(videoId, userId, options = {}) {
+    const video = await this.getVideo(videoId, userId);
+    if (video.uploadedBy !== userId && !(await this.isAdmin(userId))) {
+      throw new AuthorizationError('Access denied');
+    }
+    return { videoId, ...await previewService.enqueue(videoId, options) };
+  }
+
+  /**
+   * Preview track or sprite sheet of a video the user may see. The track is
+   * small and read whole, so the sheet URLs in it resolve against our route;
+   * sheets are fetched from storage through a signed URL.
+   * @param {String} videoId - video ID
+   * @param {String} file - "thumbnails.vtt" or a sheet name
+   * @param {String|null} userId - requesting user ID
+   * @returns {Promise<{ track: string|null, url: string|null }>}
+   */
+  async getPreviewFile(videoId, file, userId = null) {
+    const video = await this.getVideo(videoId, userId);
+    const key = previewService.resolveFile(video, file);
+    if (file !== PREVIEW_TRACK) {
+      return { track: null, url: await storageService.signedUrl(key) };
+    }
+    return { track: await this.readStoredText(key, 'Preview file'), url: null };
+  }
+
+  /**
+   * Read a small stored text file whole
+   * @param {String} key - storage key
+   * @param {String} resource - what to call it when it is missing
+   * @returns {Promise<String>} file contents
+   */
+  async readStoredText(key, resource) {
+    try {
+      const chunks = [];
+      for await (const chunk of await storageService.createReadStream(key)) {
+        chunks.push(chunk);
+      }
+      return Buffer.concat(chunks).toString('utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT' || error.statusCode === 404) {
+        throw new NotFoundError(resource);
+      }
+      throw error;
+    }
+  }
+
   /**
    * Check if user has admin privileges
-   * @param {String} userId - user ID to check
-   * @returns {Boolean} is admin
+   * @param {String|null} userId - user ID to check
+   * @returns {Promise<Boolean>} is admin
    */
-  isAdmin(userId) {
-    // TODO: Implement actual admin check based on your user model
-    return false;
+  async isAdmin(userId) {
+    if (!userId) return false;
+    const user = await User.findById(userId).select('role').lean();
+    return user?.role === 'admin';
   }
 
   /**
@@ -581,15 +843,17 @@ export class VideoService {
    */
   async getProcessingStatus(videoId) {
     try {
-      const video = await Video.findById(videoId).select('processingStatus updatedAt');
+      const video = await Video.findOne({ _id: videoId, isDeleted: false }).select('processingStatus streaming previews updatedAt');
       
       if (!video) {
-        throw new Error('Video not found');
+        throw new NotFoundError('Video');
       }
 
       return {
         videoId,
         status: video.processingStatus,
+        streaming: transcodingService.describe(video),
+        previews: previewService.describe(video),
         lastUpdated: video.updatedAt
       };
 
@@ -1,17 +1,379 @@
-// This is a placeholder for Whisper integration (e.g., via Replicate or OpenAI's API)
-
-export const transcribeVideo = async ({ videoUrl, base64, lang }) => {
-  // In a real implementation, you would call the Whisper API here.
-  // For example, using OpenAI's audio transcription endpoint:
-  // const transcription = await openai.audio.transcriptions.create({
-  //   file: fs.createReadStream("audio.mp3"),
-  //   model: "whisper-1",
-  // });
-
-  console.log('Transcription requested for:', { videoUrl, lang });
-
-  // Returning mock data for now.
-  return Promise.resolve(
-    'This is a mock transcript. Integrate a real transcription service here.'
-  );
+import fs from 'fs';
+import dns from 'dns/promises';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import { EventEmitter } from 'events';
+import { Readable, Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import Video from '../models/Video.js';
+import { VideoTranscript } from '../models/VideoTranscript.js';
+import aiService from './aiService.js';
+import transcriptCache from './transcriptCache.js';
+import storageService from './storageService.js';
+import { createSttBackend } from '../utils/sttBackends.js';
+import {
+  normalizeLanguage,
+  planChunks,
+  stitchChunks,
+  averageConfidence
+} from '../utils/transcriptionUtils.js';
+import videoUtils from '../utils/videoUtils.js';
+import generalUtils from '../utils/generalUtils.js';
+import logger from '../utils/logger.js';
+import { config } from '../config/env.js';
+import { NotFoundError, ValidationError } from '../middleware/errorHandler.js';
+
+const FINISHED_JOB_TTL_MS = 60 * 60 * 1000;
+const MAX_DOWNLOAD_REDIRECTS = 5;
+
+/**
+ * Transcription pipeline
+ *
+ * A job hashes the video file, answers from the transcript cache when that
+ * content has been transcribed before, and otherwise extracts the audio in
+ * overlapping chunks, sends each chunk to the configured speech-to-text
+ * backend, stitches the results onto one timeline and stores them on the
+ * video's VideoTranscript (segments and wordTimestamps).
+ *
+ * Jobs run in the background; poll getJob() or listen for 'progress',
+ * 'completed' and 'failed' events.
+ */
+export class TranscriptionPipeline extends EventEmitter {
+  /**
+   * @param {Object} options - transcription config overrides plus { backend, cache }
+   */
+  constructor(options = {}) {
+    super();
+    this.settings = { ...config.transcription, ...options };
+    this.backend = options.backend || null; // created from config on first use
+    this.cache = options.cache || transcriptCache;
+    this.jobs = new Map(); // jobId -> job
+    this.activeJobs = new Map(); // videoId -> jobId of the running job
+  }
+
+  /**
+   * The speech-to-text backend, created from config on first use
+   * @returns {Object} backend
+   */
+  getBackend() {
+    if (!this.backend) {
+      this.backend = createSttBackend(this.settings.backend, this.settings);
+    }
+    return this.backend;
+  }
+
+  /**
+   * Queue transcription of a stored video; an already running job for the
+   * same video is returned instead of starting another
+   * @param {String} videoId - video ID
+   * @param {Object} options - { language, force, requestedBy }
+   * @returns {Promise<Object>} job
+   */
+  async startJob(videoId, options = {}) {
+    const { language = 'auto', force = false, requestedBy = null } = options;
+
+    const running = this.jobs.get(this.activeJobs.get(videoId));
+    if (running) {
+      return running;
+    }
+
+    const video = await Video.findOne({ _id: videoId, isDeleted: false })
+      .select('filePath storageKey contentHash duration')
+      .lean();
+    if (!video) {
+      throw new NotFoundError('Video');
+    }
+
+    this.pruneJobs();
+
+    const job = {
+      jobId: generalUtils.generateUUID(),
+      videoId,
+      requestedBy,
+      language,
+      status: 'queued',
+      progress: 0,
+      chunksDone: 0,
+      chunksTotal: 0,
+      cached: false,
+      transcriptId: null,
+      error: null,
+      startedAt: new Date(),
+      completedAt: null
+    };
+    this.jobs.set(job.jobId, job);
+    this.activeJobs.set(videoId, job.jobId);
+
+    this.runJob(job, video, { force })
+      .catch(() => {}) // recorded on the job by runJob
+      .finally(() => this.activeJobs.delete(videoId));
+
+    return job;
+  }
+
+  /**
+   * @param {String} jobId - job ID
+   * @returns {Object|null} job
+   */
+  getJob(jobId) {
+    return this.jobs.get(jobId) || null;
+  }
+
+  /**
+   * Forget finished jobs after an hour
+   */
+  pruneJobs() {
+    const cutoff = Date.now() - FINISHED_JOB_TTL_MS;
+    for (const [jobId, job] of this.jobs) {
+      if (job.completedAt && job.completedAt.getTime() < cutoff) {
+        this.jobs.delete(jobId);
+      }
+    }
+  }
+
+  updateJob(job, changes) {
+    Object.assign(job, changes);
+    this.emit('progress', job);
+  }
+
+  async runJob(job, video, { force }) {
+    try {
+      const result = await this.transcribeFile(await storageService.videoInput(video), {
+        language: job.language,
+        duration: video.duration,
+        contentHash: video.contentHash,
+        force,
+        workId: job.jobId,
+        onProgress: changes => this.updateJob(job, changes)
+      });
+
+      this.updateJob(job, { status: 'saving', progress: 98 });
+      const transcript = await this.saveTranscript(job.videoId, result, job.language);
+
+      this.updateJob(job, {
+        status: 'completed',
+        progress: 100,
+        transcriptId: transcript._id,
+        completedAt: new Date()
+      });
+      this.emit('completed', job);
+
+      logger.info('Video transcription completed:', {
+        videoId: job.videoId,
+        jobId: job.jobId,
+        cached: job.cached,
+        segments: result.segments.length
+      });
+    } catch (error) {
+      this.updateJob(job, { status: 'failed', error: error.message, completedAt: new Date() });
+      this.emit('failed', job);
+      logger.error('Video transcription failed:', {
+        videoId: job.videoId,
+        jobId: job.jobId,
+        error: error.message
+      });
+      throw error;
+    }
+  }
+
+  /**
+   * Transcribe a media file: cache lookup by content hash, then chunked
+   * audio extraction and speech-to-text
+   * @param {String} filePath - path or URL of a video or audio file
+   * @param {Object} options - { language, duration, force, workId, onProgress, contentHash }
+   *   (contentHash, when known, saves reading the file to find its cache key)
+   * @returns {Promise<Object>} { text, segments, words, language, duration, backend, method }
+   */
+  async transcribeFile(filePath, options = {}) {
+    const {
+      language = 'auto',
+      force = false,
+      workId = generalUtils.generateUUID(),
+      onProgress = () => {}
+    } = options;
+
+    onProgress({ status: 'hashing', progress: 1 });
+    const hash = options.contentHash || await generalUtils.hashFile(filePath);
+
+    if (!force) {
+      const cached = await this.cache.get(hash, language);
+      if (cached) {
+        onProgress({ status: 'transcribing', progress: 95, cached: true });
+        return cached;
+      }
+    }
+
+    const backend = this.getBackend();
+    const duration = options.duration || await videoUtils.getMediaDuration(filePath);
+    const chunks = planChunks(duration, {
+      chunkSeconds: this.settings.chunkSeconds,
+      overlapSeconds: this.settings.chunkOverlapSeconds
+    });
+    onProgress({ status: 'transcribing', progress: 5, chunksTotal: chunks.length });
+
+    // Chunks run one at a time: extraction is CPU-bound and STT APIs rate-limit
+    const results = [];
+    for (const chunk of chunks) {
+      const audioPath = await aiService.extractAudioForTranscription(filePath, workId, {
+        start: chunk.start,
+        duration: chunk.duration,
+        suffix: `chunk${chunk.index}`
+      });
+      try {
+        results.push({ start: chunk.start, transcription: await backend.transcribe(audioPath, { language }) });
+      } finally {
+        fs.promises.unlink(audioPath).catch(() => {});
+      }
+      onProgress({
+        chunksDone: results.length,
+        progress: 5 + Math.round((results.length / chunks.length) * 90)
+      });
+    }
+
+    const result = {
+      ...stitchChunks(results, { overlapSeconds: this.settings.chunkOverlapSeconds }),
+      duration,
+      backend: backend.name,
+      method: backend.method
+    };
+    if (!result.text) {
+      throw new ValidationError('No speech was detected in the audio');
+    }
+
+    await this.cache.set(hash, language, result);
+    return result;
+  }
+
+  /**
+   * Store a transcription as the video's transcript in its language
+   * @param {String} videoId - video ID
+   * @param {Object} result - transcribeFile() result
+   * @param {String} requestedLanguage - language the job asked for
+   * @returns {Promise<Object>} VideoTranscript document
+   */
+  async saveTranscript(videoId, result, requestedLanguage = 'auto') {
+    const language = normalizeLanguage(result.language || requestedLanguage);
+
+    return VideoTranscript.findOneAndUpdate(
+      { videoId, language },
+      {
+        videoId,
+        language,
+        transcriptText: result.text,
+        segments: result.segments,
+        wordTimestamps: result.words,
+        confidenceScore: averageConfidence(result.segments),
+        processingMethod: result.method,
+        modelVersion: result.backend,
+        generatedAt: new Date(),
+        isActive: true
+      },
+      { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  /**
+   * Write an uploaded (base64) or remote (http/https URL) video to a temp file
+   * @returns {Promise<String>} temp file path
+   */
+  async downloadSource({ videoUrl, base64 }) {
+    const tempPath = path.join(os.tmpdir(), `transcribe_${generalUtils.generateUUID()}`);
+
+    if (base64) {
+      const buffer = Buffer.from(base64.replace(/^data:[^,]*,/, ''), 'base64');
+      if (buffer.length > config.upload.maxFileSize) {
+        throw new ValidationError('File is too large to transcribe');
+      }
+      await fs.promises.writeFile(tempPath, buffer);
+      return tempPath;
+    }
+
+    const response = await this.fetchPublic(videoUrl);
+    if (Number(response.headers.get('content-length')) > config.upload.maxFileSize) {
+      await response.body.cancel().catch(() => {});
+      throw new ValidationError('File is too large to transcribe');
+    }
+
+    // content-length is optional (and may lie), so the bytes are counted as they arrive
+    let received = 0;
+    const limit = new Transform({
+      transform(chunk, encoding, callback) {
+        received += chunk.length;
+        if (received > config.upload.maxFileSize) {
+          callback(new ValidationError('File is too large to transcribe'));
+          return;
+        }
+        callback(null, chunk);
+      }
+    });
+    try {
+      await pipeline(Readable.fromWeb(response.body), limit, fs.createWriteStream(tempPath));
+    } catch (error) {
+      await fs.promises.rm(tempPath, { force: true });
+      throw error;
+    }
+    return tempPath;
+  }
+
+  /**
+   * Fetch a user-supplied URL, refusing hosts that resolve to private,
+   * loopback or link-local addresses. Redirects are followed by hand so
+   * every hop is checked the same way.
+   * @param {String} videoUrl - http(s) URL
+   * @returns {Promise<Response>} successful response with a body
+   */
+  async fetchPublic(videoUrl) {
+    const signal = AbortSignal.timeout(this.settings.timeoutMs);
+    let url = videoUrl;
+
+    for (let hop = 0; hop <= MAX_DOWNLOAD_REDIRECTS; hop++) {
+      if (!generalUtils.isValidUrl(url)) {
+        throw new ValidationError('videoUrl must be an http(s) URL');
+      }
+      const { hostname } = new URL(url);
+      const host = hostname.replace(/^\[|\]$/g, '');
+      const addresses = net.isIP(host)
+        ? [{ address: host }]
+        : await dns.lookup(host, { all: true }).catch(() => []);
+      if (!addresses.length) {
+        throw new ValidationError(`Could not resolve ${host}`);
+      }
+      if (!addresses.every(({ address }) => generalUtils.isPublicAddress(address))) {
+        throw new ValidationError('videoUrl must point to a public host');
+      }
+
+      const response = await fetch(url, { signal, redirect: 'manual' });
+      const location = response.headers.get('location');
+      if (response.status >= 300 && response.status < 400 && location) {
+        await response.body?.cancel().catch(() => {});
+        url = new URL(location, url).toString();
+        continue;
+      }
+      if (!response.ok || !response.body) {
+        throw new ValidationError(`Could not download video (HTTP ${response.status})`);
+      }
+      return response;
+    }
+    throw new ValidationError('Too many redirects while downloading video');
+  }
+}
+
+const transcriptionPipeline = new TranscriptionPipeline();
+
+export default transcriptionPipeline;
+
+/**
+ * Transcribe a video that is not stored on the platform
+ * @param {Object} source - { videoUrl, base64, lang }
+ * @returns {Promise<String>} transcript text
+ */
+export const transcribeVideo = async ({ videoUrl, base64, lang = 'auto' }) => {
+  const filePath = await transcriptionPipeline.downloadSource({ videoUrl, base64 });
+  try {
+    const result = await transcriptionPipeline.transcribeFile(filePath, { language: lang });
+    return result.text;
+  } finally {
+    fs.promises.unlink(filePath).catch(() => {});
+  }
 };
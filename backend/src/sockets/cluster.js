@@ -0,0 +1,70 @@
+import { createAdapter } from '@socket.io/redis-adapter';
+import logger from '../utils/logger.js';
+import redisManager from '../utils/redis.js';
+
+const ADAPTER_KEY = 'video-sync';
+
+/**
+ * Multi-node Socket.IO support
+ *
+ * With Redis available, every node publishes room broadcasts through the
+ * Redis adapter, so `io.to(roomCode).emit(...)` reaches sockets connected to
+ * any node, and presence queries (`fetchSockets`) are answered by all nodes
+ * over the same pub/sub channels. Without Redis the default in-memory
+ * adapter is kept and the server runs as a single node.
+ */
+
+/**
+ * Attach the Redis adapter to a Socket.IO server, or stay single-node
+ * @param {Object} io - Socket.IO server
+ * @param {Object} options - { pubClient, subClient, key, requestsTimeout }; clients default to the shared Redis client
+ * @returns {Promise<Object>} { mode: 'redis' | 'single-node' }
+ */
+export const attachClusterAdapter = async (io, options = {}) => {
+  const { key = ADAPTER_KEY, requestsTimeout } = options;
+  let { pubClient, subClient } = options;
+
+  try {
+    if (!pubClient) {
+      await redisManager.getClient();
+      if (!redisManager.isAvailable()) {
+        logger.info('🔗 Redis not available - Socket.IO running in single-node mode');
+        return { mode: 'single-node' };
+      }
+      pubClient = redisManager.client;
+    }
+
+    // Subscriptions need their own connection
+    if (!subClient) {
+      subClient = pubClient.duplicate();
+      subClient.on('error', (err) => logger.error('Redis subscriber error:', err));
+      await subClient.connect();
+    }
+
+    io.adapter(createAdapter(pubClient, subClient, { key, requestsTimeout }));
+    logger.info('🔗 Socket.IO Redis adapter attached - rooms are shared across nodes');
+    return { mode: 'redis' };
+  } catch (error) {
+    logger.error('Failed to attach Redis adapter, falling back to single-node mode:', error);
+    return { mode: 'single-node' };
+  }
+};
+
+/**
+ * Sockets in a room across every node
+ * @param {Object} io - Socket.IO server
+ * @param {string} roomCode - room to inspect
+ * @returns {Promise<Array>} [{ socketId, userId }]
+ */
+export const getRoomMembers = async (io, roomCode) => {
+  const sockets = await io.in(roomCode).fetchSockets();
+  return sockets.map(socket => ({ socketId: socket.id, userId: socket.data?.userId }));
+};
+
+/**
+ * Number of sockets in a room across every node
+ * @param {Object} io - Socket.IO server
+ * @param {string} roomCode - room to inspect
+ * @returns {Promise<number>} socket count
+ */
+export const getRoomSize = async (io, roomCode) => (await getRoomMembers(io, roomCode)).length;
@@ -0,0 +1,99 @@
+import logger from '../utils/logger.js';
+import editorService from '../services/editorService.js';
+import branchingService from '../services/branchingService.js';
+import { CLIENT_EVENTS, SERVER_EVENTS, onEvent } from './protocol.js';
+import { emitToSocket } from './compat.js';
+import { emitRoomEvent } from './roomSocket.js';
+
+/**
+ * Collaborative editing (scene markers) and branching video choices
+ * Changes are broadcast to the socket's current room (`socket.data.roomCode`)
+ * and logged like other room events, so a resuming client catches up on them.
+ */
+const collabHandler = (io, socket) => {
+  const requireRoom = () => {
+    const roomCode = socket.data.roomCode;
+    if (!roomCode) {
+      emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'NOT_IN_ROOM', message: 'Not in any room' });
+    }
+    return roomCode;
+  };
+
+  // Marker changes: run the edit, then tell the room
+  const handleMarkerAction = (name, apply) => async (payload) => {
+    const roomCode = requireRoom();
+    if (!roomCode) return;
+    try {
+      const [event, broadcast] = await apply(payload);
+      await emitRoomEvent(io, roomCode, event, { ...broadcast, roomCode, userId: socket.userId });
+    } catch (error) {
+      logger.warn(`Marker ${name} failed in room ${roomCode}: ${error.message}`);
+      emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'MARKER_ERROR', action: name, message: error.message });
+    }
+  };
+
+  onEvent(socket, CLIENT_EVENTS.MARKERS_ADD, handleMarkerAction('add', async ({ videoId, timestamp, label, markerType, properties }) => {
+    const marker = await editorService.addMarker(videoId, timestamp, label, markerType, socket.userId, properties);
+    return [SERVER_EVENTS.MARKERS_ADDED, { marker }];
+  }));
+
+  onEvent(socket, CLIENT_EVENTS.MARKERS_UPDATE, handleMarkerAction('update', async ({ markerId, updates }) => {
+    const marker = await editorService.updateMarker(markerId, updates, socket.userId);
+    return [SERVER_EVENTS.MARKERS_UPDATED, { marker }];
+  }));
+
+  onEvent(socket, CLIENT_EVENTS.MARKERS_DELETE, handleMarkerAction('delete', async ({ markerId }) => {
+    await editorService.deleteMarker(markerId, socket.userId);
+    return [SERVER_EVENTS.MARKERS_DELETED, { markerId }];
+  }));
+
+  // Each viewer walks their own path through a branching video; the room sees the choices
+  onEvent(socket, CLIENT_EVENTS.BRANCHING_START, async ({ branchingId }) => {
+    const roomCode = requireRoom();
+    if (!roomCode) return;
+    try {
+      const session = await branchingService.startBranchingSession(branchingId, socket.userId, roomCode);
+      socket.data.branchingSessionId = session.sessionId;
+
+      emitToSocket(socket, SERVER_EVENTS.BRANCHING_STARTED, {
+        roomCode,
+        branchingId,
+        userSessionId: session.sessionId
+      });
+      if (session.nextDecisionPoint) {
+        emitToSocket(socket, SERVER_EVENTS.BRANCHING_DECISION_POINT, session.nextDecisionPoint);
+      }
+    } catch (error) {
+      logger.warn(`Branching start failed in room ${roomCode}: ${error.message}`);
+      emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'BRANCHING_ERROR', message: error.message });
+    }
+  });
+
+  onEvent(socket, CLIENT_EVENTS.BRANCHING_CHOICE, async ({ userSessionId, decisionPointId, choice }) => {
+    const roomCode = requireRoom();
+    if (!roomCode) return;
+    try {
+      const sessionId = userSessionId || socket.data.branchingSessionId;
+      const result = await branchingService.recordUserChoice(sessionId, decisionPointId, choice, {
+        roomCode,
+        userId: socket.userId
+      });
+
+      await emitRoomEvent(io, roomCode, SERVER_EVENTS.BRANCHING_CHOSEN, {
+        roomCode,
+        userId: socket.userId,
+        decisionPointId,
+        choice,
+        isCompleted: Boolean(result.nextState?.isCompleted)
+      });
+      if (result.nextDecisionPoint) {
+        emitToSocket(socket, SERVER_EVENTS.BRANCHING_DECISION_POINT, result.nextDecisionPoint);
+      }
+    } catch (error) {
+      logger.warn(`Branching choice failed in room ${roomCode}: ${error.message}`);
+      emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'BRANCHING_ERROR', message: error.message });
+    }
+  });
+};
+
+export default collabHandler;
@@ -0,0 +1,279 @@
+import logger from '../utils/logger.js';
+import { PROTOCOL_VERSION } from './protocol.js';
+
+/**
+ * Compatibility shim for clients that predate the v1 event contract
+ *
+ * Three vocabularies were in use before protocol.js:
+ * - room:    the room socket (room:* events plus bare play/pause/seek/rate and clock_*)
+ * - sync:    snake_case events (join_room, playback_event, room_joined, ...)
+ * - session: the session client (session:*, sync:*, branch:*, editor:*)
+ *
+ * A socket that does not announce `protocolVersion` in its handshake starts in
+ * the room dialect and switches once it sends an event only another dialect
+ * uses. Incoming legacy events are rewritten to v1 before any handler sees
+ * them, so every handler speaks v1 only. Outgoing events always go out under
+ * their v1 name; legacy sockets additionally get the event(s) their dialect
+ * expects.
+ */
+
+export const DIALECTS = ['v1', 'room', 'sync', 'session'];
+
+const dialectRoom = (dialect) => `protocol:${dialect}`;
+
+const toNumber = (value) => (value === undefined || value === null ? undefined : Number(value));
+
+// Incoming: legacy event -> [dialect it identifies (or null), (payload) => [v1 event, v1 payload] | null]
+const INCOMING = {
+  // Room dialect
+  play: [null, (p = {}) => ['playback:play', { t: toNumber(p.t ?? p.timestamp), rate: toNumber(p.rate) }]],
+  pause: [null, (p = {}) => ['playback:pause', { t: toNumber(p.t ?? p.timestamp) }]],
+  seek: [null, (p = {}) => ['playback:seek', { t: toNumber(p.t ?? p.timestamp) }]],
+  rate: [null, (p = {}) => ['playback:rate', { rate: toNumber(p.rate), t: toNumber(p.t) }]],
+  clock_probe: [null, (p = {}) => ['clock:probe', { seq: p.seq, clientSendTime: p.clientSendTime }]],
+  clock_report: [null, (p = {}) => ['clock:report', { samples: p.samples }]],
+  heartbeat: [null, (p = {}) => ['clock:heartbeat', p.playback ? { playback: p.playback } : {}]],
+  chat_message: [null, (p = {}) => ['chat:send', { message: p.message, type: p.type }]],
+  quality_change: [null, (p = {}) => ['playback:quality', { quality: p.quality }]],
+
+  // Sync dialect
+  join_room: ['sync', (p = {}) => ['room:join', { roomCode: p.roomCode, deviceId: p.deviceId, deviceName: p.deviceName }]],
+  leave_room: ['sync', (p = {}) => ['room:leave', { roomCode: p.roomCode }]],
+  set_role: ['sync', (p = {}) => ['room:set-role', { userId: p.targetUserId, role: p.role }]],
+  playback_event: ['sync', (p = {}) => [`playback:${p.type}`, {
+    t: toNumber(p.timestamp),
+    rate: p.type === 'play' || p.type === 'rate' ? toNumber(p.playbackRate) : undefined
+  }]],
+  sync_request: ['sync', () => ['playback:request-state', {}]],
+  // Peers answering each other's sync requests; the server clock answers now
+  sync_response: ['sync', () => null],
+
+  // Session dialect
+  'session:join': ['session', (p = {}) => ['room:join', { roomCode: p.sessionId, deviceId: p.deviceId, deviceName: p.deviceName }]],
+  'session:leave': ['session', (p = {}) => ['room:leave', { roomCode: p.sessionId }]],
+  'sync:state': ['session', (p = {}) => [p.isPlaying ? 'playback:play' : 'playback:pause', {
+    t: toNumber(p.timestamp),
+    rate: p.isPlaying ? toNumber(p.playbackRate) : undefined
+  }]],
+  'sync:seek': ['session', (p = {}) => ['playback:seek', { t: toNumber(p.timestamp) }]],
+  'sync:play': ['session', (p = {}) => ['playback:play', { t: toNumber(p.timestamp) }]],
+  'sync:pause': ['session', (p = {}) => ['playback:pause', { t: toNumber(p.timestamp) }]],
+  'branch:choice': ['session', (p = {}) => ['branching:choice', {
+    userSessionId: p.userSessionId,
+    decisionPointId: p.decisionPointId,
+    choice: p.choiceMade
+  }]],
+  'editor:marker-add': ['session', (p = {}) => ['markers:add', {
+    videoId: p.videoId,
+    timestamp: toNumber(p.timestamp),
+    label: p.label,
+    markerType: p.markerType,
+    properties: p.properties
+  }]],
+  'editor:marker-update': ['session', (p = {}) => ['markers:update', { markerId: p.markerId, updates: p.updates }]],
+  'editor:marker-delete': ['session', (p = {}) => ['markers:delete', { markerId: p.markerId }]]
+};
+
+const dropUndefined = (payload) =>
+  Object.fromEntries(Object.entries(payload).filter(([, value]) => value !== undefined));
+
+const CLOCK_ALIASES = {
+  'clock:probe-ack': (p) => [['clock_probe_ack', p]],
+  'clock:sync': (p) => [['clock_sync', p]],
+  'clock:heartbeat-ack': (p) => [['heartbeat_ack', p]],
+  'clock:lag-warning': (p) => [['lag_warning', p]]
+};
+
+const legacyPlaybackState = (p) => ({
+  timestamp: p.t,
+  isPlaying: p.paused === false,
+  playbackRate: p.rate,
+  serverTimestamp: new Date(p.serverTime).toISOString()
+});
+
+// Outgoing: v1 event -> (payload) => extra [event, payload] pairs for the dialect
+const OUTGOING = {
+  room: {
+    ...CLOCK_ALIASES,
+    'playback:state': (p) => (p.action === 'state' ? [] : [[p.action, p]])
+  },
+
+  sync: {
+    ...CLOCK_ALIASES,
+    'room:joined': (p) => [['room_joined', p]],
+    'room:participant-update': (p) => [
+      [p.action === 'left' ? 'user_left' : 'user_joined', { userId: p.userId, roomCode: p.roomCode }],
+      ['participants_updated', { participants: p.participants, participantCount: p.participantCount }]
+    ],
+    'room:roles-updated': (p) => [['roles_updated', p]],
+    'playback:state': (p) => (p.action === 'state'
+      ? [['sync_server_state', {
+        currentState: { t: p.t, paused: p.paused, rate: p.rate, serverTime: p.serverTime },
+        serverTimestamp: new Date(p.serverTime).toISOString(),
+        roomCode: p.roomCode
+      }]]
+      : [['playback_event', {
+        type: p.action,
+        timestamp: p.t,
+        paused: p.paused,
+        playbackRate: p.rate,
+        userId: p.userId,
+        serverTimestamp: new Date(p.serverTime).toISOString(),
+        serverTime: p.serverTime,
+        roomCode: p.roomCode
+      }]]),
+    'playback:quality': (p) => [['quality_change', p]],
+    'chat:message': (p) => [['chat_message', p]]
+  },
+
+  session: {
+    'room:joined': (p) => [['session:joined', {
+      sessionId: p.roomCode,
+      participants: (p.participants || []).map(userId => ({ userId })),
+      currentState: p.currentState && legacyPlaybackState(p.currentState)
+    }]],
+    'room:participant-update': (p) => [[
+      p.action === 'left' ? 'session:user-left' : 'session:user-joined',
+      { userId: p.userId, participantCount: p.participantCount }
+    ]],
+    'playback:state': (p) => {
+      const state = { ...legacyPlaybackState(p), userId: p.userId };
+      const update = { play: 'sync:play-update', pause: 'sync:pause-update', seek: 'sync:seek-update' }[p.action];
+      return update ? [['sync:state-update', state], [update, state]] : [['sync:state-update', state]];
+    },
+    'chat:message': (p) => [['chat_message', p]],
+    'markers:added': (p) => [['editor:marker-update', { action: 'add', marker: { ...p.marker, id: p.marker?._id } }]],
+    'markers:updated': (p) => [['editor:marker-update', { action: 'update', marker: { ...p.marker, id: p.marker?._id } }]],
+    'markers:deleted': (p) => [['editor:marker-update', { action: 'delete', markerId: p.markerId }]],
+    'branching:decision-point': (p) => [['branch:decision-point', p]],
+    'branching:chosen': (p) => [['branch:branch-chosen', p]],
+    'clock:heartbeat-ack': (p) => [['pong', { serverTime: p.serverTime }]]
+  }
+};
+
+/**
+ * The events a socket speaking `dialect` receives for one v1 event
+ * @param {string} dialect - one of DIALECTS
+ * @param {string} event - v1 event name
+ * @param {Object} payload - v1 payload
+ * @returns {Array<Array>} [event, payload] pairs, the v1 event first
+ */
+export const translateOutgoing = (dialect, event, payload) => {
+  const aliases = OUTGOING[dialect]?.[event];
+  if (!aliases) return [[event, payload]];
+  return [[event, payload], ...aliases(payload)];
+};
+
+/**
+ * Rewrite a legacy event into its v1 equivalent
+ * @param {string} event - event name as received
+ * @param {*} payload - payload as received
+ * @returns {Object|null} { event, payload, dialect } for legacy events, null for
+ *   anything else; `event` is null when the legacy event has no v1 counterpart
+ */
+export const translateIncoming = (event, payload) => {
+  const entry = INCOMING[event];
+  if (!entry) return null;
+
+  const [dialect, translate] = entry;
+  const translated = translate(payload && typeof payload === 'object' ? payload : undefined);
+  if (!translated) return { event: null, payload: null, dialect };
+
+  return { event: translated[0], payload: dropUndefined(translated[1]), dialect };
+};
+
+const setDialect = (socket, dialect) => {
+  if (socket.data.dialect === dialect) return;
+  if (socket.data.dialect) socket.leave(dialectRoom(socket.data.dialect));
+  socket.data.dialect = dialect;
+  socket.join(dialectRoom(dialect));
+};
+
+/**
+ * Attach the shim to a new connection. Must run before the event handlers are
+ * registered so they only ever see v1 events.
+ * @param {Object} socket - Socket.IO socket
+ */
+export const attachCompat = (socket) => {
+  const version = Number(socket.handshake.auth?.protocolVersion) || 0;
+  if (version >= PROTOCOL_VERSION) {
+    setDialect(socket, 'v1');
+    return;
+  }
+
+  setDialect(socket, 'room');
+
+  socket.use((packet, next) => {
+    const [event, payload] = packet;
+    const translated = translateIncoming(event, payload);
+    if (!translated) return next();
+
+    if (translated.dialect) setDialect(socket, translated.dialect);
+
+    // Legacy clients named themselves in payloads rather than the handshake
+    if (socket.data.anonymous && payload?.userId) {
+      socket.userId = String(payload.userId);
+      socket.data.userId = socket.userId;
+      socket.data.anonymous = false;
+    }
+
+    if (!translated.event) return;
+
+    logger.debug(`Translated legacy ${event} from ${socket.id} to ${translated.event}`);
+    packet[0] = translated.event;
+    packet[1] = translated.payload;
+    next();
+  });
+};
+
+/**
+ * Send a v1 event to one socket, in its dialect
+ * @param {Object} socket - Socket.IO socket
+ * @param {string} event - v1 event name
+ * @param {Object} payload - v1 payload
+ */
+export const emitToSocket = (socket, event, payload) => {
+  for (const [name, data] of translateOutgoing(socket.data.dialect || 'v1', event, payload)) {
+    socket.emit(name, data);
+  }
+};
+
+/**
+ * Broadcast a v1 event to a room (on every node), each socket in its dialect
+ * @param {Object} io - Socket.IO server
+ * @param {string} roomCode - room to broadcast to
+ * @param {string} event - v1 event name
+ * @param {Object} payload - v1 payload
+ * @param {Object} options - { except: socket to leave out, usually the sender }
+ */
+export const emitToRoom = (io, roomCode, event, payload, { except } = {}) => {
+  const excluded = except ? [except.id] : [];
+  io.to(roomCode).except(excluded).emit(event, payload);
+
+  for (const dialect of DIALECTS) {
+    const aliases = translateOutgoing(dialect, event, payload).slice(1);
+    if (aliases.length === 0) continue;
+
+    const others = DIALECTS.filter(other => other !== dialect).map(dialectRoom);
+    const target = io.to(roomCode).except([...excluded, ...others]);
+    for (const [name, data] of aliases) {
+      target.emit(name, data);
+    }
+  }
+};
+
+/**
+ * Translate a resume reply for a legacy socket: the replayed events and the
+ * snapshot are expanded into the socket's dialect
+ * @param {string} dialect - one of DIALECTS
+ * @param {Object} resumed - v1 room:resumed payload
+ * @returns {Object} payload for the socket
+ */
+export const translateResumed = (dialect, resumed) => {
+  if (dialect === 'v1') return resumed;
+  return {
+    ...resumed,
+    events: resumed.events.flatMap(({ seq, type, payload }) =>
+      translateOutgoing(dialect, type, payload).map(([name, data]) => ({ seq, type: name, payload: data })))
+  };
+};
@@ -0,0 +1,285 @@
+import Joi from 'joi';
+import { ValidationError } from '../middleware/errorHandler.js';
+import { EDITOR_CONSTANTS } from '../utils/constants.js';
+
+/**
+ * Socket event contract, version 1
+ *
+ * Every real-time event between the clients and the server is listed here
+ * with the payload the server accepts. Events are named `<domain>:<action>`
+ * across the room, playback, clock, chat, queue, notes, markers, branching and
+ * summary domains. A client announces the version it speaks in its handshake
+ * (`auth: { protocolVersion: 1 }`); clients that do not are served through
+ * the compatibility shim in `compat.js`, which translates the older
+ * vocabularies to and from this one.
+ *
+ * Room broadcasts that clients may need after a reconnect carry a `seq`
+ * (see `utils/roomEventLog.js`).
+ */
+
+export const PROTOCOL_VERSION = 1;
+
+// Client -> server
+export const CLIENT_EVENTS = {
+  ROOM_JOIN: 'room:join',
+  ROOM_RESUME: 'room:resume',
+  ROOM_LEAVE: 'room:leave',
+  ROOM_SET_ROLE: 'room:set-role',
+  ROOM_SET_VIDEO: 'room:set-video', // { videoUrl } or { localFile: { hash, size, name } }
+  ROOM_VERIFY_FILE: 'room:verify-file',
+
+  PLAYBACK_PLAY: 'playback:play',
+  PLAYBACK_PAUSE: 'playback:pause',
+  PLAYBACK_SEEK: 'playback:seek',
+  PLAYBACK_RATE: 'playback:rate',
+  PLAYBACK_REQUEST_STATE: 'playback:request-state',
+  PLAYBACK_QUALITY: 'playback:quality',
+
+  CLOCK_PROBE: 'clock:probe',
+  CLOCK_REPORT: 'clock:report',
+  CLOCK_HEARTBEAT: 'clock:heartbeat',
+
+  CHAT_SEND: 'chat:send',
+
+  QUEUE_ADD: 'queue:add',
+  QUEUE_REMOVE: 'queue:remove',
+  QUEUE_MOVE: 'queue:move',
+  QUEUE_VOTE_SKIP: 'queue:vote-skip',
+  QUEUE_SKIP: 'queue:skip',
+  QUEUE_ENDED: 'queue:ended',
+
+  MARKERS_ADD: 'markers:add',
+  MARKERS_UPDATE: 'markers:update',
+  MARKERS_DELETE: 'markers:delete',
+
+  BRANCHING_START: 'branching:start',
+  BRANCHING_CHOICE: 'branching:choice',
+
+  SUMMARY_CATCH_UP: 'summary:catch-up'
+};
+
+// Server -> client
+export const SERVER_EVENTS = {
+  ERROR: 'error',
+  PROTOCOL_WELCOME: 'protocol:welcome',
+
+  ROOM_JOINED: 'room:joined',
+  ROOM_RESUMED: 'room:resumed',
+  ROOM_PARTICIPANT_UPDATE: 'room:participant-update',
+  ROOM_ROLES_UPDATED: 'room:roles-updated',
+  ROOM_VIDEO_UPDATED: 'room:video-updated',
+  ROOM_FILE_VERIFIED: 'room:file-verified', // { roomCode, userId, verified, reason }
+
+  PLAYBACK_STATE: 'playback:state', // { action: play|pause|seek|rate|state, t, paused, rate, serverTime }
+  PLAYBACK_QUALITY: 'playback:quality',
+
+  CLOCK_PROBE_ACK: 'clock:probe-ack',
+  CLOCK_SYNC: 'clock:sync',
+  CLOCK_HEARTBEAT_ACK: 'clock:heartbeat-ack',
+  CLOCK_LAG_WARNING: 'clock:lag-warning',
+
+  CHAT_MESSAGE: 'chat:message',
+
+  QUEUE_UPDATED: 'queue:updated',
+  QUEUE_ADVANCED: 'queue:advanced',
+
+  NOTES_NEW: 'notes:new',
+  NOTES_UPDATE: 'notes:update',
+  NOTES_DELETE: 'notes:delete',
+
+  MARKERS_ADDED: 'markers:added',
+  MARKERS_UPDATED: 'markers:updated',
+  MARKERS_DELETED: 'markers:deleted',
+
+  BRANCHING_STARTED: 'branching:started',
+  BRANCHING_DECISION_POINT: 'branching:decision-point',
+  BRANCHING_CHOSEN: 'branching:chosen',
+
+  SUMMARY_CATCH_UP: 'summary:catch-up' // { roomCode, position, from, to, summary, parts }
+};
+
+const roomCode = Joi.string().trim().pattern(/^[A-Za-z0-9_-]{1,64}$/);
+const position = Joi.number().min(0);
+const rate = Joi.number().min(0.25).max(4);
+const objectId = Joi.string().pattern(/^[0-9a-fA-F]{24}$/);
+const itemId = Joi.string().max(64);
+const contentHash = Joi.string().lowercase().pattern(/^[0-9a-f]{64}$/);
+const fileSize = Joi.number().integer().min(1);
+
+const { MARKER_TYPES } = EDITOR_CONSTANTS;
+
+// Payload accepted for each client event; unknown fields are dropped
+const CLIENT_SCHEMAS = {
+  [CLIENT_EVENTS.ROOM_JOIN]: Joi.object({
+    roomCode: roomCode.required(),
+    deviceId: Joi.string().max(128),
+    deviceName: Joi.string().max(128)
+  }),
+  [CLIENT_EVENTS.ROOM_RESUME]: Joi.object({
+    roomCode: roomCode.required(),
+    lastSeq: Joi.number().integer().min(0).allow(null)
+  }),
+  [CLIENT_EVENTS.ROOM_LEAVE]: Joi.object({
+    roomCode: roomCode.required()
+  }),
+  [CLIENT_EVENTS.ROOM_SET_ROLE]: Joi.object({
+    userId: Joi.string().max(128).required(),
+    role: Joi.string().required()
+  }),
+  [CLIENT_EVENTS.ROOM_SET_VIDEO]: Joi.object({
+    roomCode,
+    videoUrl: Joi.string().max(2048),
+    localFile: Joi.object({
+      hash: contentHash.required(),
+      size: fileSize,
+      name: Joi.string().max(255)
+    })
+  }).xor('videoUrl', 'localFile'),
+  [CLIENT_EVENTS.ROOM_VERIFY_FILE]: Joi.object({
+    roomCode,
+    hash: contentHash.required(),
+    size: fileSize
+  }),
+
+  [CLIENT_EVENTS.PLAYBACK_PLAY]: Joi.object({ t: position, rate }),
+  [CLIENT_EVENTS.PLAYBACK_PAUSE]: Joi.object({ t: position }),
+  [CLIENT_EVENTS.PLAYBACK_SEEK]: Joi.object({ t: position.required() }),
+  [CLIENT_EVENTS.PLAYBACK_RATE]: Joi.object({ rate: rate.required(), t: position }),
+  [CLIENT_EVENTS.PLAYBACK_REQUEST_STATE]: Joi.object({}),
+  [CLIENT_EVENTS.PLAYBACK_QUALITY]: Joi.object({
+    quality: Joi.string().max(16).required()
+  }),
+
+  [CLIENT_EVENTS.CLOCK_PROBE]: Joi.object({
+    seq: Joi.number().integer().min(0).required(),
+    clientSendTime: Joi.number().required()
+  }),
+  [CLIENT_EVENTS.CLOCK_REPORT]: Joi.object({
+    samples: Joi.array().items(Joi.object({
+      seq: Joi.number().integer().min(0).required(),
+      clientReceiveTime: Joi.number().required()
+    })).max(64).default([])
+  }),
+  [CLIENT_EVENTS.CLOCK_HEARTBEAT]: Joi.object({
+    playback: Joi.object({
+      position: Joi.number().min(0),
+      clientTime: Joi.number(),
+      playbackRate: Joi.number().min(0),
+      bufferedSeconds: Joi.number().min(0)
+    })
+  }),
+
+  [CLIENT_EVENTS.CHAT_SEND]: Joi.object({
+    message: Joi.string().trim().min(1).max(500).required(),
+    type: Joi.string().valid('text', 'timestamp').default('text'),
+    username: Joi.string().max(64),
+    videoTimestamp: position
+  }),
+
+  [CLIENT_EVENTS.QUEUE_ADD]: Joi.object({
+    videoUrl: Joi.string().max(2048).required(),
+    title: Joi.string().max(200),
+    duration: Joi.number().min(0)
+  }),
+  [CLIENT_EVENTS.QUEUE_REMOVE]: Joi.object({ itemId: itemId.required() }),
+  [CLIENT_EVENTS.QUEUE_MOVE]: Joi.object({
+    itemId: itemId.required(),
+    toIndex: Joi.number().integer().min(0).required()
+  }),
+  [CLIENT_EVENTS.QUEUE_VOTE_SKIP]: Joi.object({}),
+  [CLIENT_EVENTS.QUEUE_SKIP]: Joi.object({}),
+  [CLIENT_EVENTS.QUEUE_ENDED]: Joi.object({ itemId: itemId.required() }),
+
+  [CLIENT_EVENTS.MARKERS_ADD]: Joi.object({
+    videoId: objectId.required(),
+    timestamp: position.required(),
+    label: Joi.string().trim().min(1).max(200).required(),
+    markerType: Joi.string().valid(...MARKER_TYPES).default('bookmark'),
+    properties: Joi.object().default({})
+  }),
+  [CLIENT_EVENTS.MARKERS_UPDATE]: Joi.object({
+    markerId: objectId.required(),
+    updates: Joi.object().min(1).required()
+  }),
+  [CLIENT_EVENTS.MARKERS_DELETE]: Joi.object({
+    markerId: objectId.required()
+  }),
+
+  [CLIENT_EVENTS.BRANCHING_START]: Joi.object({
+    branchingId: objectId.required()
+  }),
+  [CLIENT_EVENTS.BRANCHING_CHOICE]: Joi.object({
+    userSessionId: Joi.string().max(64),
+    decisionPointId: Joi.string().max(64).required(),
+    choice: Joi.alternatives(Joi.string().max(64), Joi.number().integer().min(0)).required()
+  }),
+
+  // What the sender missed from `from` on; never past the room's position
+  [CLIENT_EVENTS.SUMMARY_CATCH_UP]: Joi.object({
+    from: position.default(0),
+    to: position,
+    maxLength: Joi.number().integer().min(20).max(500)
+  })
+};
+
+/**
+ * Validate and normalise a client event payload
+ * @param {string} event - client event name
+ * @param {*} payload - payload as received
+ * @returns {Object} validated payload (defaults applied, unknown fields dropped)
+ * @throws {ValidationError} when the event is unknown or the payload is invalid
+ */
+export const validateEvent = (event, payload) => {
+  const schema = CLIENT_SCHEMAS[event];
+  if (!schema) {
+    throw new ValidationError(`Unknown event: ${event}`);
+  }
+
+  const { value, error } = schema.validate(payload ?? {}, {
+    abortEarly: false,
+    stripUnknown: true,
+    convert: true
+  });
+  if (error) {
+    throw new ValidationError(`Invalid ${event} payload`, error.details.map(detail => ({
+      field: detail.path.join('.'),
+      message: detail.message
+    })));
+  }
+  return value;
+};
+
+/**
+ * Register a handler for a client event; invalid payloads never reach it and
+ * are answered with an INVALID_PAYLOAD error instead
+ * @param {Object} socket - Socket.IO socket
+ * @param {string} event - client event name from CLIENT_EVENTS
+ * @param {Function} handler - (payload, ack) => void
+ */
+export const onEvent = (socket, event, handler) => {
+  if (!CLIENT_SCHEMAS[event]) {
+    throw new Error(`No schema registered for socket event ${event}`);
+  }
+
+  socket.on(event, (payload, ack) => {
+    // Events sent without a payload put the ack callback first
+    if (typeof payload === 'function' && ack === undefined) {
+      ack = payload;
+      payload = undefined;
+    }
+
+    let value;
+    try {
+      value = validateEvent(event, payload);
+    } catch (error) {
+      socket.emit(SERVER_EVENTS.ERROR, {
+        code: 'INVALID_PAYLOAD',
+        event,
+        message: error.message,
+        details: error.details
+      });
+      return;
+    }
+    return handler(value, typeof ack === 'function' ? ack : undefined);
+  });
+};
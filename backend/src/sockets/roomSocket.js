@@ -1,10 +1,24 @@
 import logger from '../utils/logger.js';
 import { SyncRoom } from '../models/SyncRoom.js';
+import syncUtils from '../utils/syncUtils.js';
+import roomPermissions, { RoomPermissionError } from '../utils/roomPermissions.js';
+import roomQueue from '../utils/roomQueue.js';
+import roomRetention from '../utils/roomRetention.js';
+import roomEventLog from '../utils/roomEventLog.js';
+import roomVideoSource, { LocalFileError } from '../utils/roomVideoSource.js';
+import catchUpService from '../services/catchUpService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getRoomMembers } from './cluster.js';
+import { CLIENT_EVENTS, SERVER_EVENTS, PROTOCOL_VERSION, onEvent } from './protocol.js';
+import { emitToRoom, emitToSocket, translateResumed } from './compat.js';
+import { ROOM_ACTIONS } from '../utils/constants.js';
 
-// Store active room participants
+// Sockets on this node; room-wide presence comes from the cluster (see cluster.js)
 const roomParticipants = new Map(); // roomCode -> Set of socketIds
 const socketToRoom = new Map(); // socketId -> roomCode
-const socketToUser = new Map(); // socketId -> userId
+
+// A dropped socket counts as present this long, so a quick resume is seamless
+const RESUME_GRACE_MS = 15 * 1000;
 
 /**
  * Simple authentication middleware for Socket.IO (no JWT required for now)
@@ -13,6 +27,9 @@ export const socketAuth = (socket, next) => {
   // For now, just assign a random user ID if none provided
   const userId = socket.handshake.auth.userId || `user_${Math.random().toString(36).substr(2, 9)}`;
   socket.userId = userId;
+  socket.data.userId = userId; // visible to other nodes through fetchSockets()
+  // Legacy clients name themselves in their first payload instead (see compat.js)
+  socket.data.anonymous = !socket.handshake.auth.userId;
   logger.info(`Socket authenticated for user ${socket.userId}`);
   next();
 };
@@ -22,23 +39,37 @@ export const socketAuth = (socket, next) => {
  */
 export const handleSocketConnection = (io, socket) => {
   logger.info(`📱 New socket connection: ${socket.id} (user: ${socket.userId})`);
-  
-  socketToUser.set(socket.id, socket.userId);
 
-  // Room join event
-  socket.on('room:join', async (data) => {
-    const { roomCode } = data;
-    if (!roomCode) return;
+  emitToSocket(socket, SERVER_EVENTS.PROTOCOL_WELCOME, {
+    version: PROTOCOL_VERSION,
+    dialect: socket.data.dialect || 'v1',
+    userId: socket.userId
+  });
+
+  // Join (or resume) a room. A resuming client sends the last event sequence
+  // number it saw and gets the events it missed, or a snapshot if too many.
+  const joinRoom = async (roomCode, { resume = false, lastSeq } = {}) => {
+    // Admission is checked against the stored room; if the database cannot be
+    // reached the socket still joins, with presence and broadcasts only
+    let room = null;
+    try {
+      room = await SyncRoom.findOne({ code: roomCode.toUpperCase() });
+      const refusal = room ? checkAdmission(room) : { code: 'ROOM_NOT_FOUND', message: 'Room not found' };
+      if (refusal) return emitToSocket(socket, SERVER_EVENTS.ERROR, refusal);
+    } catch (err) {
+      logger.warn(`Could not fetch room data for ${roomCode}:`, err.message);
+    }
 
     // Leave previous room if any
     const previousRoom = socketToRoom.get(socket.id);
-    if (previousRoom) {
+    if (previousRoom && previousRoom !== roomCode) {
       leaveRoom(io, socket, previousRoom);
     }
 
     // Join new room
     socket.join(roomCode);
     socketToRoom.set(socket.id, roomCode);
+    socket.data.roomCode = roomCode;
     
     // Add to room participants
     if (!roomParticipants.has(roomCode)) {
@@ -47,47 +78,121 @@ export const handleSocketConnection = (io, socket) => {
     roomParticipants.get(roomCode).add(socket.id);
 
     // Get room data and send to the joining participant
+    let members = [];
+    let snapshot = null;
     try {
-      const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() });
-      if (room) {
-        socket.emit('room:joined', {
-          roomCode,
-          hostId: room.hostId,
-          controllers: room.controllers || [],
-          participants: Array.from(roomParticipants.get(roomCode) || []).map(socketId => socketToUser.get(socketId)),
-          currentState: room.currentState || {}
-        });
-      }
+      members = await getRoomMembers(io, roomCode);
+      if (room) snapshot = await buildRoomSnapshot(roomCode, room, members);
     } catch (err) {
       logger.warn(`Could not fetch room data for ${roomCode}:`, err.message);
     }
 
+    if (resume) {
+      let resumed;
+      try {
+        const missed = await roomEventLog.since(roomCode, lastSeq);
+        resumed = {
+          roomCode,
+          mode: missed.mode,
+          lastSeq: missed.lastSeq,
+          events: missed.events,
+          snapshot: missed.mode === 'snapshot' ? snapshot : undefined
+        };
+      } catch (err) {
+        logger.warn(`Could not read the event log for ${roomCode}:`, err.message);
+        resumed = { roomCode, mode: 'snapshot', events: [], snapshot };
+      }
+      socket.emit(SERVER_EVENTS.ROOM_RESUMED, translateResumed(socket.data.dialect || 'v1', resumed));
+    } else if (snapshot) {
+      emitToSocket(socket, SERVER_EVENTS.ROOM_JOINED, snapshot);
+    }
+
     // Broadcast participant update to room
-    const participantCount = roomParticipants.get(roomCode).size;
-    io.to(roomCode).emit('room:participant-update', {
+    const participantCount = members.length || roomParticipants.get(roomCode).size;
+    emitToRoom(io, roomCode, SERVER_EVENTS.ROOM_PARTICIPANT_UPDATE, {
       roomCode,
       participantCount,
-      action: 'joined',
+      participants: members.map(member => member.userId),
+      action: resume ? 'resumed' : 'joined',
       userId: socket.userId
     });
 
-    logger.info(`👥 User ${socket.userId} joined room ${roomCode}. Total participants: ${participantCount}`);
+    logger.info(`👥 User ${socket.userId} ${resume ? 'resumed' : 'joined'} room ${roomCode}. Total participants: ${participantCount}`);
+  };
+
+  // Why the room turns this socket away, if it does
+  const checkAdmission = (room) => {
+    // Persistent rooms sleep while empty; the first member back wakes them
+    if (roomRetention.wake(room)) {
+      logger.info(`☀️ Dormant room ${room.code} woken by ${socket.userId}`);
+    }
+
+    if (room.status !== 'active') {
+      return { code: 'ROOM_INACTIVE', message: 'Room is not active' };
+    }
+    if (room.expiresAt && new Date() > room.expiresAt) {
+      return { code: 'ROOM_EXPIRED', message: 'Room has expired' };
+    }
+    const isParticipant = room.participants.some(p => p.userId === socket.userId);
+    if (!isParticipant && room.participants.length >= room.settings.maxParticipants) {
+      return { code: 'ROOM_FULL', message: 'Room is at maximum capacity' };
+    }
+    return null;
+  };
+
+  // Everything a (re)joining client needs to render the room from scratch
+  const buildRoomSnapshot = async (roomCode, room, members) => {
+    const now = new Date();
+    const participant = room.participants.find(p => p.userId === socket.userId);
+    if (participant) {
+      participant.lastSeen = now;
+    } else {
+      room.participants.push({ userId: socket.userId, lastSeen: now, lastSync: now });
+    }
+    roomPermissions.refreshParticipants(room);
+    await room.save();
+
+    return {
+      roomCode,
+      ...roomPermissions.describe(room),
+      role: roomPermissions.getRole(room, socket.userId),
+      ...roomQueue.describe(room),
+      ...roomRetention.describe(room),
+      ...roomVideoSource.describe(room),
+      verified: roomVideoSource.isVerified(room, socket.userId),
+      participants: members.map(member => member.userId),
+      // Late joiners land on the extrapolated position, not the last saved one
+      currentState: { ...room.toObject().currentState, ...syncUtils.snapshotClock(room.currentState) },
+      // Events after this sequence number are newer than the snapshot
+      seq: await roomEventLog.latestSeq(roomCode)
+    };
+  };
+
+  // Room join event
+  onEvent(socket, CLIENT_EVENTS.ROOM_JOIN, async ({ roomCode }) => {
+    await joinRoom(roomCode);
+  });
+
+  // Reconnected client picking up where it left off
+  onEvent(socket, CLIENT_EVENTS.ROOM_RESUME, async ({ roomCode, lastSeq }) => {
+    await joinRoom(roomCode, { resume: true, lastSeq: lastSeq ?? undefined });
   });
 
   // Room leave event
-  socket.on('room:leave', (data) => {
-    const { roomCode } = data;
+  onEvent(socket, CLIENT_EVENTS.ROOM_LEAVE, ({ roomCode }) => {
+    if (socketToRoom.get(socket.id) !== roomCode) return;
     leaveRoom(io, socket, roomCode);
   });
 
   // Chat message broadcasting
-  socket.on('chat:send', (data) => {
+  onEvent(socket, CLIENT_EVENTS.CHAT_SEND, async (data) => {
     const roomCode = socketToRoom.get(socket.id);
     if (!roomCode) return;
 
-    // Broadcast to all room participants
-    socket.to(roomCode).emit('chat:message', {
+    // Broadcast to everyone in the room, sender included, so all see the same order
+    await emitRoomEvent(io, roomCode, SERVER_EVENTS.CHAT_MESSAGE, {
       ...data,
+      roomCode,
       socketId: socket.id,
       userId: socket.userId,
       timestamp: new Date()
@@ -96,76 +201,269 @@ export const handleSocketConnection = (io, socket) => {
     logger.info(`💬 Chat message broadcasted in room ${roomCode} by ${socket.userId}`);
   });
 
-  // Set a canonical video URL for the room so everyone loads the same source
-  socket.on('room:set-video', async ({ roomCode, videoUrl }) => {
+  // Set a canonical video URL for the room so everyone loads the same source,
+  // or the content hash of a file every participant opens locally
+  onEvent(socket, CLIENT_EVENTS.ROOM_SET_VIDEO, async ({ roomCode, videoUrl, localFile }) => {
     try {
       const currentRoom = socketToRoom.get(socket.id);
       const targetRoom = roomCode || currentRoom;
-      if (!targetRoom || !videoUrl) return;
+      if (!targetRoom) return;
 
-      console.log(`Setting video URL for room ${targetRoom}: ${videoUrl}`);
+      const upper = String(targetRoom).toUpperCase();
+      const room = await SyncRoom.findOne({ code: upper });
+      if (!room) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'ROOM_NOT_FOUND', message: 'Room not found' });
+      }
+      roomPermissions.assertCan(room, socket.userId, ROOM_ACTIONS.SET_VIDEO);
 
-      // Persist to DB
-      try {
-        const upper = String(targetRoom).toUpperCase();
-        const room = await SyncRoom.findOne({ code: upper });
-        if (room) {
-          room.currentState = { ...room.currentState, videoUrl };
-          await room.save();
-          console.log(`Video URL persisted to room ${upper}`);
-        }
-      } catch (dbErr) {
-        logger.warn('Could not persist room video URL:', dbErr.message);
+      const now = Date.now();
+      if (localFile) {
+        roomVideoSource.useLocalFile(room, socket.userId, localFile, now);
+      } else {
+        roomVideoSource.useStream(room, videoUrl);
       }
+      await room.save();
 
       // Broadcast to all participants including sender
-      // Consumers should update their player src to this URL
-      socket.to(targetRoom).emit('room:video-updated', { roomCode: targetRoom, videoUrl });
-      socket.emit('room:video-updated', { roomCode: targetRoom, videoUrl });
-      logger.info(`🎥 Video URL set for room ${targetRoom} by ${socket.userId}`);
+      // Consumers should update their player src to this URL, or (local
+      // source) ask for the file and verify it with room:verify-file
+      await emitRoomEvent(io, targetRoom, SERVER_EVENTS.ROOM_VIDEO_UPDATED, {
+        roomCode: targetRoom,
+        videoUrl: room.currentState.videoUrl,
+        videoId: room.currentState.videoId,
+        ...roomVideoSource.describe(room),
+        ...(localFile ? { currentState: syncUtils.snapshotClock(room.currentState, now) } : {})
+      });
+      logger.info(`🎥 Video ${localFile ? `file ${localFile.hash.slice(0, 12)}` : 'URL'} set for room ${targetRoom} by ${socket.userId}`);
     } catch (err) {
+      if (err instanceof RoomPermissionError) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, err.toSocketPayload());
+      }
       logger.error('Failed to set room video URL:', err);
-      socket.emit('error', { message: 'Failed to set room video URL' });
+      emitToSocket(socket, SERVER_EVENTS.ERROR, { message: 'Failed to set room video URL' });
     }
   });
 
-  // Enforce host/controller-only playback controls for this simple room socket channel
-  socket.on('play', async () => {
-    const roomCode = socketToRoom.get(socket.id);
-    if (!roomCode) return;
-    const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() });
-    const uid = socketToUser.get(socket.id);
-    if (!room) return;
-    if (room.hostId && room.hostId !== uid && !(room.controllers || []).includes(uid)) return;
-    socket.to(roomCode).emit('play');
+  // A participant of a local-file room checks the file they opened; once it
+  // matches they get the room clock and may sync
+  onEvent(socket, CLIENT_EVENTS.ROOM_VERIFY_FILE, async ({ roomCode, hash, size }) => {
+    try {
+      const targetRoom = roomCode || socketToRoom.get(socket.id);
+      if (!targetRoom) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'NOT_IN_ROOM', message: 'Not in any room' });
+      }
+      const room = await SyncRoom.findOne({ code: String(targetRoom).toUpperCase() });
+      if (!room) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'ROOM_NOT_FOUND', message: 'Room not found' });
+      }
+
+      const { verified, reason } = roomVideoSource.verify(room, socket.userId, { hash, size });
+      await room.save();
+
+      emitToSocket(socket, SERVER_EVENTS.ROOM_FILE_VERIFIED, {
+        roomCode: targetRoom,
+        userId: socket.userId,
+        verified,
+        reason,
+        videoHash: room.currentState.videoHash,
+        ...(verified ? { currentState: syncUtils.snapshotClock(room.currentState) } : {})
+      });
+      emitToRoom(io, targetRoom, SERVER_EVENTS.ROOM_FILE_VERIFIED, {
+        roomCode: targetRoom,
+        userId: socket.userId,
+        verified
+      }, { except: socket });
+      logger.info(`🔐 File of ${socket.userId} in room ${targetRoom} ${verified ? 'verified' : `rejected (${reason})`}`);
+    } catch (err) {
+      if (err instanceof AppError) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, { code: err.code, message: err.message });
+      }
+      logger.error('Failed to verify room file:', err);
+      emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'VERIFY_FAILED', message: 'Failed to verify file' });
+    }
+  });
+
+  // Host (or moderators, for controllers) promote or demote members live
+  onEvent(socket, CLIENT_EVENTS.ROOM_SET_ROLE, async ({ userId: targetId, role }) => {
+    try {
+      const roomCode = socketToRoom.get(socket.id);
+      if (!roomCode) return;
+      const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() });
+      if (!room) return;
+
+      roomPermissions.setRole(room, socket.userId, targetId, role);
+      await room.save();
+
+      await emitRoomEvent(io, roomCode, SERVER_EVENTS.ROOM_ROLES_UPDATED, {
+        roomCode,
+        ...roomPermissions.describe(room),
+        userId: targetId,
+        role,
+        changedBy: socket.userId
+      });
+      logger.info(`🛡️ User ${targetId} is now ${role} in room ${roomCode} (set by ${socket.userId})`);
+    } catch (err) {
+      if (err instanceof RoomPermissionError) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, err.toSocketPayload());
+      }
+      logger.warn(`Failed to set role in room: ${err.message}`);
+      emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'ROLE_UPDATE_FAILED', message: err.message });
+    }
   });
-  socket.on('pause', async ({ t }) => {
+
+  // Queue mutations: load the room, apply the change, persist, then tell everyone.
+  // `mutate` returns true when the room advanced to another item.
+  const handleQueueAction = (name, mutate) => async (payload) => {
     const roomCode = socketToRoom.get(socket.id);
     if (!roomCode) return;
-    const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() });
-    const uid = socketToUser.get(socket.id);
-    if (!room) return;
-    if (room.hostId && room.hostId !== uid && !(room.controllers || []).includes(uid)) return;
-    socket.to(roomCode).emit('pause', { t });
+    try {
+      await roomQueue.runExclusive(roomCode, async () => {
+        const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() });
+        if (!room) {
+          return emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'ROOM_NOT_FOUND', message: 'Room not found' });
+        }
+
+        const now = Date.now();
+        const playingId = room.nowPlaying?.id ?? null;
+        const advanced = mutate(room, payload, now);
+        if (advanced) {
+          // Another instance got there first; its broadcast already went out
+          if (!await roomQueue.saveAdvance(room, playingId)) return;
+        } else {
+          await room.save();
+        }
+        await broadcastQueue(io, roomCode, room, advanced, now);
+      });
+    } catch (err) {
+      if (err instanceof RoomPermissionError) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, err.toSocketPayload());
+      }
+      logger.warn(`Queue ${name} failed in room ${roomCode}: ${err.message}`);
+      emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'QUEUE_ERROR', action: name, message: err.message });
+    }
+  };
+
+  onEvent(socket, CLIENT_EVENTS.QUEUE_ADD, handleQueueAction('add', (room, item, now) =>
+    roomQueue.add(room, socket.userId, item, now).advanced));
+  onEvent(socket, CLIENT_EVENTS.QUEUE_REMOVE, handleQueueAction('remove', (room, { itemId }) =>
+    (roomQueue.remove(room, socket.userId, itemId), false)));
+  onEvent(socket, CLIENT_EVENTS.QUEUE_MOVE, handleQueueAction('move', (room, { itemId, toIndex }) =>
+    (roomQueue.move(room, socket.userId, itemId, toIndex), false)));
+  onEvent(socket, CLIENT_EVENTS.QUEUE_VOTE_SKIP, handleQueueAction('vote-skip', (room, payload, now) =>
+    roomQueue.voteSkip(room, socket.userId, now).advanced));
+  onEvent(socket, CLIENT_EVENTS.QUEUE_SKIP, handleQueueAction('skip', (room, payload, now) =>
+    (roomQueue.skip(room, socket.userId, now), true)));
+  // Any member's player may report the end; the first valid report advances the room
+  onEvent(socket, CLIENT_EVENTS.QUEUE_ENDED, handleQueueAction('ended', (room, { itemId }, now) =>
+    roomQueue.handleEnded(room, itemId, now)));
+
+  // Playback controls move the room's authoritative clock; everyone else extrapolates from it
+  const handlePlaybackAction = (action) => async (payload) => {
+    try {
+      const roomCode = socketToRoom.get(socket.id);
+      if (!roomCode) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'NOT_IN_ROOM', message: 'Not in any room' });
+      }
+      const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() });
+      const uid = socket.userId;
+      if (!room) return;
+      roomPermissions.assertCan(room, uid, ROOM_ACTIONS.PLAYBACK);
+      roomVideoSource.assertVerified(room, uid);
+
+      const now = Date.now();
+      let clock = syncUtils.applyPlaybackAction(room.toObject().currentState, action, payload, now);
+      // Starting playback may also change its speed
+      if (action === 'play' && payload.rate !== undefined) {
+        clock = syncUtils.applyPlaybackAction(clock, 'rate', { rate: payload.rate }, now);
+      }
+      room.set({
+        'currentState.t': clock.t,
+        'currentState.paused': clock.paused,
+        'currentState.rate': clock.rate,
+        'currentState.anchorAt': clock.anchorAt,
+        'currentState.lastUpdatedBy': uid,
+        'currentState.lastUpdatedAt': new Date(now)
+      });
+      await room.save();
+
+      await emitRoomEvent(io, roomCode, SERVER_EVENTS.PLAYBACK_STATE, {
+        action,
+        ...syncUtils.snapshotClock(clock, now),
+        userId: uid,
+        roomCode
+      }, { except: socket });
+    } catch (err) {
+      if (err instanceof RoomPermissionError || err instanceof LocalFileError) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, err.toSocketPayload());
+      }
+      logger.error(`Failed to handle ${action} in room:`, err);
+      emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'PLAYBACK_ERROR', message: `Failed to handle ${action}` });
+    }
+  };
+
+  onEvent(socket, CLIENT_EVENTS.PLAYBACK_PLAY, handlePlaybackAction('play'));
+  onEvent(socket, CLIENT_EVENTS.PLAYBACK_PAUSE, handlePlaybackAction('pause'));
+  onEvent(socket, CLIENT_EVENTS.PLAYBACK_SEEK, handlePlaybackAction('seek'));
+  onEvent(socket, CLIENT_EVENTS.PLAYBACK_RATE, handlePlaybackAction('rate'));
+
+  // The room clock as the server has it right now, for a client that lost track
+  onEvent(socket, CLIENT_EVENTS.PLAYBACK_REQUEST_STATE, async () => {
+    try {
+      const roomCode = socketToRoom.get(socket.id);
+      if (!roomCode) return;
+      const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() });
+      if (!room) return;
+      roomVideoSource.assertVerified(room, socket.userId);
+
+      emitToSocket(socket, SERVER_EVENTS.PLAYBACK_STATE, {
+        action: 'state',
+        ...syncUtils.snapshotClock(room.currentState),
+        roomCode
+      });
+    } catch (err) {
+      if (err instanceof LocalFileError) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, err.toSocketPayload());
+      }
+      logger.error('Failed to send playback state:', err);
+    }
+  });
+
+  // Spoiler-free recap for a participant who joined late or stepped away
+  onEvent(socket, CLIENT_EVENTS.SUMMARY_CATCH_UP, async (payload) => {
+    try {
+      const roomCode = socketToRoom.get(socket.id);
+      if (!roomCode) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'NOT_IN_ROOM', message: 'Not in any room' });
+      }
+      const catchUp = await catchUpService.catchUpInRoom(roomCode, socket.userId, payload);
+      emitToSocket(socket, SERVER_EVENTS.SUMMARY_CATCH_UP, catchUp);
+    } catch (err) {
+      if (err instanceof AppError) {
+        return emitToSocket(socket, SERVER_EVENTS.ERROR, { code: err.code, message: err.message });
+      }
+      logger.error('Failed to build catch-up summary:', err);
+      emitToSocket(socket, SERVER_EVENTS.ERROR, { code: 'CATCH_UP_FAILED', message: 'Failed to build catch-up summary' });
+    }
   });
-  socket.on('seek', async ({ t }) => {
+
+  // Quality is a per-viewer preference; others are only told about it
+  onEvent(socket, CLIENT_EVENTS.PLAYBACK_QUALITY, ({ quality }) => {
     const roomCode = socketToRoom.get(socket.id);
     if (!roomCode) return;
-    const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() });
-    const uid = socketToUser.get(socket.id);
-    if (!room) return;
-    if (room.hostId && room.hostId !== uid && !(room.controllers || []).includes(uid)) return;
-    socket.to(roomCode).emit('seek', { t });
+    emitToRoom(io, roomCode, SERVER_EVENTS.PLAYBACK_QUALITY, {
+      roomCode,
+      userId: socket.userId,
+      quality
+    }, { except: socket });
   });
 
-  // Handle disconnect
+  // Handle disconnect; the user may be back through room:resume within the grace period
   socket.on('disconnect', () => {
     const roomCode = socketToRoom.get(socket.id);
     if (roomCode) {
-      leaveRoom(io, socket, roomCode);
+      leaveRoom(io, socket, roomCode, { graceMs: RESUME_GRACE_MS });
     }
     
-    socketToUser.delete(socket.id);
     socketToRoom.delete(socket.id);
     
     logger.info(`🔌 Socket disconnected: ${socket.id}`);
@@ -177,10 +475,88 @@ export const handleSocketConnection = (io, socket) => {
   });
 };
 
+/**
+ * Broadcast the queue to a room. When the room advanced, clients also get the
+ * restarted clock so they all load the next item at the same position.
+ */
+export async function broadcastQueue(io, roomCode, room, advanced = false, now = Date.now()) {
+  await emitRoomEvent(io, roomCode, SERVER_EVENTS.QUEUE_UPDATED, { roomCode, ...roomQueue.describe(room, now) });
+  if (advanced) {
+    await emitRoomEvent(io, roomCode, SERVER_EVENTS.QUEUE_ADVANCED, {
+      roomCode,
+      nowPlaying: roomQueue.describe(room, now).nowPlaying,
+      videoUrl: room.currentState?.videoUrl,
+      currentState: syncUtils.snapshotClock(room.currentState, now)
+    });
+  }
+}
+
+/**
+ * Broadcast an event to a room and append it to the room's event log. The
+ * payload carries its sequence number so clients know where to resume from.
+ * @param {Object} io - Socket.IO server
+ * @param {string} roomCode - room to broadcast to
+ * @param {string} type - event name from SERVER_EVENTS
+ * @param {Object} payload - event payload
+ * @param {Object} options - { except: socket to leave out, usually the sender }
+ */
+export async function emitRoomEvent(io, roomCode, type, payload, { except } = {}) {
+  let seq;
+  try {
+    ({ seq } = await roomEventLog.record(roomCode, type, payload));
+  } catch (err) {
+    logger.warn(`Could not log ${type} for room ${roomCode}: ${err.message}`);
+  }
+
+  emitToRoom(io, roomCode, type, seq ? { ...payload, seq } : payload, { except });
+}
+
+/**
+ * Tell the room (on every node) that someone left and drop them from the
+ * stored participants; a persistent room whose last socket anywhere has gone
+ * is put to sleep
+ */
+async function announceLeave(io, roomCode, userId, { unlessResumed = false } = {}) {
+  try {
+    const members = await getRoomMembers(io, roomCode);
+    // Resumed on another socket (maybe on another node) during the grace period
+    const stillPresent = members.some(member => member.userId === userId);
+    if (unlessResumed && stillPresent) return;
+
+    const participantCount = members.length;
+    if (participantCount > 0) {
+      emitToRoom(io, roomCode, SERVER_EVENTS.ROOM_PARTICIPANT_UPDATE, {
+        roomCode,
+        participantCount,
+        participants: members.map(member => member.userId),
+        action: 'left',
+        userId
+      });
+    } else {
+      await roomEventLog.clear(roomCode);
+    }
+
+    const room = await SyncRoom.findOne({ code: String(roomCode).toUpperCase() });
+    if (!room) return;
+    // The same user may still be watching from another tab or device
+    if (!stillPresent) {
+      room.participants = room.participants.filter(p => p.userId !== userId);
+    }
+    if (participantCount === 0 && roomRetention.markDormant(room)) {
+      logger.info(`💤 Room ${roomCode} is empty and now dormant`);
+    }
+    await room.save();
+  } catch (err) {
+    logger.warn(`Could not update presence for room ${roomCode}: ${err.message}`);
+  }
+}
+
 /**
  * Helper function to leave a room
+ * With `graceMs` (dropped connections) the departure is only announced if the
+ * user has not resumed by then.
  */
-function leaveRoom(io, socket, roomCode) {
+function leaveRoom(io, socket, roomCode, { graceMs = 0 } = {}) {
   if (!roomCode) return;
 
   socket.leave(roomCode);
@@ -193,17 +569,15 @@ function leaveRoom(io, socket, roomCode) {
     // Clean up empty rooms
     if (participants.size === 0) {
       roomParticipants.delete(roomCode);
-    } else {
-      // Broadcast participant update
-      io.to(roomCode).emit('room:participant-update', {
-        roomCode,
-        participantCount: participants.size,
-        action: 'left',
-        userId: socket.userId
-      });
     }
   }
+  if (graceMs > 0) {
+    setTimeout(() => announceLeave(io, roomCode, socket.userId, { unlessResumed: true }), graceMs).unref?.();
+  } else {
+    announceLeave(io, roomCode, socket.userId);
+  }
 
   socketToRoom.delete(socket.id);
+  socket.data.roomCode = undefined;
   logger.info(`👥 User ${socket.userId} left room ${roomCode}`);
 }
@@ -0,0 +1,97 @@
+import { GoogleGenerativeAI } from '@google/generative-ai';
+import {
+  buildSummaryPrompt,
+  buildTopicsPrompt,
+  buildChaptersPrompt,
+  buildDescriptionPrompt,
+  buildTranslationPrompt,
+  transcriptToText,
+  parseJSONResponse,
+  parseTranslationResponse
+} from './prompts.js';
+
+const MAX_SUMMARY_TOKENS = 200;
+
+/**
+ * Google Gemini provider; text tasks only
+ */
+export class GeminiProvider {
+  /**
+   * @param {Object} options - { apiKey, model, embeddingModel, client }; `client` replaces the SDK client (tests)
+   */
+  constructor({
+    apiKey = process.env.GEMINI_API_KEY || process.env.GOOGLE_AI_API_KEY,
+    model = process.env.GEMINI_MODEL || 'gemini-pro',
+    embeddingModel = process.env.GEMINI_EMBEDDING_MODEL || 'text-embedding-004',
+    client = null
+  } = {}) {
+    this.name = 'gemini';
+    this.tasks = ['summarize', 'topics', 'chapters', 'description', 'translate', 'complete', 'embed'];
+    this.apiKey = apiKey;
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+    this.client = client;
+  }
+
+  isAvailable() {
+    return !!(this.client || this.apiKey);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new GoogleGenerativeAI(this.apiKey);
+    }
+    return this.client;
+  }
+
+  async generate(prompt, generationConfig = undefined) {
+    const model = this.getClient().getGenerativeModel({ model: this.model });
+    const result = await model.generateContent(generationConfig
+      ? { contents: [{ role: 'user', parts: [{ text: prompt }] }], generationConfig }
+      : prompt);
+    const response = await result.response;
+    return response.text().trim();
+  }
+
+  async summarize(text, options = {}) {
+    const maxLength = options.maxLength || 150;
+    return this.generate(buildSummaryPrompt(text, options), {
+      maxOutputTokens: Math.min(maxLength * 2, MAX_SUMMARY_TOKENS),
+      temperature: 0.3
+    });
+  }
+
+  async topics(text, options = {}) {
+    return parseJSONResponse(await this.generate(buildTopicsPrompt(text, options)));
+  }
+
+  async chapters(transcript, options = {}) {
+    return parseJSONResponse(await this.generate(buildChaptersPrompt(transcriptToText(transcript), options)));
+  }
+
+  async description(videoMetadata, transcript, options = {}) {
+    return this.generate(buildDescriptionPrompt(videoMetadata, transcript, options));
+  }
+
+  async translate(lines, options = {}) {
+    return parseTranslationResponse(await this.generate(buildTranslationPrompt(lines, options)), lines.length);
+  }
+
+  async complete(prompt, { system, maxTokens, temperature } = {}) {
+    const text = system ? `${system}\n\n${prompt}` : prompt;
+    const config = {};
+    if (maxTokens) config.maxOutputTokens = maxTokens;
+    if (temperature !== undefined) config.temperature = temperature;
+    return this.generate(text, Object.keys(config).length ? config : undefined);
+  }
+
+  async embed(texts) {
+    const model = this.getClient().getGenerativeModel({ model: this.embeddingModel });
+    const { embeddings } = await model.batchEmbedContents({
+      requests: texts.map(text => ({ content: { role: 'user', parts: [{ text }] } }))
+    });
+    return embeddings.map(embedding => embedding.values);
+  }
+}
+
+export default GeminiProvider;
@@ -0,0 +1,60 @@
+import { config } from '../../config/env.js';
+import logger from '../logger.js';
+import { AIProviderRegistry, AIProviderError, AI_TASKS } from './registry.js';
+import { OpenAIProvider } from './openaiProvider.js';
+import { GeminiProvider } from './geminiProvider.js';
+import { LocalProvider } from './localProvider.js';
+
+/**
+ * Parse "summarize=local,openai;chapters=gemini" into { task: [names] }
+ * @param {string} value - AI_TASK_ROUTES value
+ * @returns {Object} routes
+ */
+export const parseTaskRoutes = (value = '') => {
+  const routes = {};
+  for (const entry of value.split(';')) {
+    const [task, names = ''] = entry.split('=').map(part => part.trim());
+    if (!task) continue;
+    if (!AI_TASKS.includes(task)) {
+      logger.warn(`Ignoring AI route for unknown task "${task}"`);
+      continue;
+    }
+    const providers = names.split(',').map(name => name.trim()).filter(Boolean);
+    if (providers.length) {
+      routes[task] = providers;
+    }
+  }
+  return routes;
+};
+
+/**
+ * Registry with the built-in providers, ordered and routed from config.ai.
+ * The local provider is always registered, so every text task has a last
+ * resort that needs no network.
+ * @param {Object} options - overrides for config.ai and provider options
+ * @returns {AIProviderRegistry}
+ */
+export const createDefaultRegistry = (options = {}) => {
+  const settings = { ...config.ai, ...options };
+  const registry = new AIProviderRegistry({
+    order: settings.providers,
+    routes: parseTaskRoutes(settings.taskRoutes),
+    failureThreshold: settings.failureThreshold,
+    cooldownMs: settings.cooldownMs
+  });
+
+  registry.register(new OpenAIProvider(settings.openai));
+  registry.register(new GeminiProvider(settings.gemini));
+  registry.register(new LocalProvider());
+
+  return registry;
+};
+
+export {
+  AIProviderRegistry,
+  AIProviderError,
+  AI_TASKS,
+  OpenAIProvider,
+  GeminiProvider,
+  LocalProvider
+};
@@ -0,0 +1,227 @@
+import {
+  tokenize,
+  splitSentences,
+  tfidfVectors,
+  cosineSimilarity,
+  topTerms,
+  toTitleCase
+} from '../textAnalysis.js';
+
+// "[75] text", "[01:15] text", "[0:01:15] text" or "01:15 text"
+const TIMED_LINE = /^\s*\[?((?:\d+:)?\d+:\d{2}(?:\.\d+)?|\d+(?:\.\d+)?)\]?\s*[-–:]?\s*(.*)$/;
+
+const parseClock = (value) =>
+  value.split(':').reduce((total, part) => total * 60 + Number(part), 0);
+
+/**
+ * Timed segments from segment objects or timestamped transcript lines
+ * @param {string|Array} transcript - text or [{ start|startTime, text }]
+ * @returns {Array<{ start: number, text: string }>} segments in time order
+ */
+export const toSegments = (transcript) => {
+  if (Array.isArray(transcript)) {
+    return transcript
+      .map(segment => ({ start: Number(segment.start ?? segment.startTime ?? 0), text: String(segment.text || '') }))
+      .filter(segment => segment.text.trim())
+      .sort((a, b) => a.start - b.start);
+  }
+
+  const segments = [];
+  for (const line of String(transcript || '').split('\n')) {
+    const match = line.match(TIMED_LINE);
+    if (match && match[2]) {
+      segments.push({ start: parseClock(match[1]), text: match[2] });
+    } else if (line.trim() && segments.length) {
+      // Untimed continuation of the previous line
+      segments[segments.length - 1].text += ` ${line.trim()}`;
+    }
+  }
+  return segments;
+};
+
+/**
+ * Local provider: extractive, deterministic text analysis with no network
+ * access or API key. Quality is below an LLM's, but the same input always
+ * gives the same output, so AI features work offline and in CI.
+ */
+export class LocalProvider {
+  constructor() {
+    this.name = 'local';
+    this.tasks = ['summarize', 'topics', 'chapters', 'description'];
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  /**
+   * Rank sentences by the average TF-IDF weight of their terms, with a small
+   * bonus for sentences that share vocabulary with the rest of the text
+   * @param {string[]} sentences - sentences
+   * @returns {number[]} score per sentence
+   */
+  scoreSentences(sentences) {
+    const documents = sentences.map(sentence => tokenize(sentence));
+    const { vectors } = tfidfVectors(documents);
+
+    const centroid = new Map();
+    for (const vector of vectors) {
+      for (const [term, weight] of vector) {
+        centroid.set(term, (centroid.get(term) || 0) + weight);
+      }
+    }
+
+    return vectors.map((vector, index) => {
+      if (!documents[index].length) return 0;
+      let weight = 0;
+      for (const value of vector.values()) weight += value;
+      return weight / Math.sqrt(documents[index].length) + cosineSimilarity(vector, centroid);
+    });
+  }
+
+  /**
+   * Extractive summary: the best sentences, in their original order, within
+   * `maxLength` words
+   */
+  async summarize(text, { maxLength = 150, style = 'concise' } = {}) {
+    const sentences = splitSentences(text);
+    if (sentences.length === 0) {
+      return '';
+    }
+
+    const scores = this.scoreSentences(sentences);
+    const ranked = sentences
+      .map((sentence, index) => ({ sentence, index, score: scores[index] }))
+      .sort((a, b) => b.score - a.score || a.index - b.index);
+
+    const picked = [];
+    let words = 0;
+    for (const entry of ranked) {
+      const length = entry.sentence.split(/\s+/).length;
+      if (picked.length && words + length > maxLength) continue;
+      picked.push(entry);
+      words += length;
+      if (words >= maxLength) break;
+    }
+    picked.sort((a, b) => a.index - b.index);
+
+    if (style === 'bullet-points') {
+      return picked.map(entry => `- ${entry.sentence}`).join('\n');
+    }
+    return picked.map(entry => entry.sentence).join(' ');
+  }
+
+  /**
+   * TF-IDF topic extraction over the text's sentences
+   */
+  async topics(text, { maxTopics = 5 } = {}) {
+    const sentences = splitSentences(text);
+    const terms = topTerms(sentences, { limit: maxTopics, minCount: sentences.length > 3 ? 2 : 1 });
+
+    return {
+      topics: terms.map(({ term, count, score }) => {
+        const example = sentences.find(sentence => sentence.toLowerCase().includes(term));
+        return {
+          topic: toTitleCase(term),
+          description: example || `Mentioned ${count} times`,
+          mentions: count,
+          score
+        };
+      })
+    };
+  }
+
+  /**
+   * Chapters at the points where vocabulary shifts most between adjacent
+   * windows of the transcript (a TextTiling-style segmentation)
+   */
+  async chapters(transcript, { maxChapters = 10, minChapterLength = 60, includeDescriptions = true } = {}) {
+    const segments = toSegments(transcript);
+    if (segments.length === 0) {
+      return [];
+    }
+
+    const documents = segments.map(segment => tokenize(segment.text));
+    const { vectors } = tfidfVectors(documents);
+    const windowSize = Math.max(1, Math.min(3, Math.floor(segments.length / 4)));
+
+    // Similarity between the windows either side of each gap
+    const sumWindow = (from, to) => {
+      const sum = new Map();
+      for (let index = Math.max(0, from); index < Math.min(vectors.length, to); index++) {
+        for (const [term, weight] of vectors[index]) {
+          sum.set(term, (sum.get(term) || 0) + weight);
+        }
+      }
+      return sum;
+    };
+    const gaps = [];
+    for (let index = 1; index < segments.length; index++) {
+      gaps.push({
+        index,
+        similarity: cosineSimilarity(sumWindow(index - windowSize, index), sumWindow(index, index + windowSize))
+      });
+    }
+    gaps.sort((a, b) => a.similarity - b.similarity || a.index - b.index);
+
+    // Take the sharpest shifts that keep every chapter at least minChapterLength long
+    const starts = [0];
+    for (const gap of gaps) {
+      if (starts.length >= maxChapters) break;
+      const time = segments[gap.index].start;
+      const fits = starts.every(start => Math.abs(segments[start].start - time) >= minChapterLength);
+      const lastSegment = segments[segments.length - 1].start;
+      if (fits && lastSegment - time >= minChapterLength / 2) {
+        starts.push(gap.index);
+      }
+    }
+    starts.sort((a, b) => a - b);
+
+    const chapterTexts = starts.map((start, position) =>
+      segments.slice(start, starts[position + 1] ?? segments.length).map(segment => segment.text).join(' ')
+    );
+
+    const chapters = [];
+    for (const [position, start] of starts.entries()) {
+      const [best] = topTerms([chapterTexts[position], ...chapterTexts.filter((_, other) => other !== position)], { limit: 1 });
+      const chapter = {
+        timestamp: position === 0 ? 0 : segments[start].start,
+        title: best ? toTitleCase(best.term) : `Chapter ${position + 1}`
+      };
+      if (includeDescriptions) {
+        chapter.description = await this.summarize(chapterTexts[position], { maxLength: 30 });
+      }
+      chapters.push(chapter);
+    }
+    return chapters;
+  }
+
+  /**
+   * Description built from an extractive summary, the main topics and the
+   * video's length, cut to `maxLength` characters
+   */
+  async description(videoMetadata = {}, transcript = '', { maxLength = 300, includeMetadata = true } = {}) {
+    const parts = [];
+
+    if (transcript) {
+      parts.push(await this.summarize(transcript, { maxLength: 40 }));
+      const { topics } = await this.topics(transcript, { maxTopics: 3 });
+      if (topics.length) {
+        parts.push(`Covers ${topics.map(entry => entry.topic.toLowerCase()).join(', ')}.`);
+      }
+    }
+    if (includeMetadata && videoMetadata.duration) {
+      const minutes = Math.max(1, Math.round(videoMetadata.duration / 60));
+      parts.push(`${minutes} minute${minutes === 1 ? '' : 's'} long.`);
+    }
+
+    const description = parts.join(' ').trim() || videoMetadata.title || '';
+    if (description.length <= maxLength) {
+      return description;
+    }
+    const cut = description.slice(0, maxLength - 1);
+    return `${cut.slice(0, cut.lastIndexOf(' ') > 0 ? cut.lastIndexOf(' ') : cut.length)}…`;
+  }
+}
+
+export default LocalProvider;
@@ -0,0 +1,168 @@
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import OpenAI from 'openai';
+import {
+  buildSummaryPrompt,
+  buildTopicsPrompt,
+  buildChaptersPrompt,
+  buildDescriptionPrompt,
+  buildTranslationPrompt,
+  transcriptToText,
+  parseJSONResponse,
+  parseTranslationResponse
+} from './prompts.js';
+
+const MAX_TOKENS = {
+  summary: 200,
+  analysis: 500,
+  translation: 4000
+};
+
+/**
+ * OpenAI provider: chat completions for text tasks, Whisper for transcription
+ */
+export class OpenAIProvider {
+  /**
+   * @param {Object} options - { apiKey, model, embeddingModel, client }; `client` replaces the SDK client (tests)
+   */
+  constructor({
+    apiKey = process.env.OPENAI_API_KEY,
+    model = process.env.OPENAI_MODEL || 'gpt-4o-mini',
+    embeddingModel = process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small',
+    client = null
+  } = {}) {
+    this.name = 'openai';
+    this.tasks = ['summarize', 'topics', 'chapters', 'description', 'transcribe', 'translate', 'complete', 'embed'];
+    this.apiKey = apiKey;
+    this.model = model;
+    this.embeddingModel = embeddingModel;
+    this.client = client;
+  }
+
+  isAvailable() {
+    return !!(this.client || this.apiKey);
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new OpenAI({ apiKey: this.apiKey });
+    }
+    return this.client;
+  }
+
+  async chat(system, prompt, { maxTokens = MAX_TOKENS.analysis, temperature = 0.2 } = {}) {
+    const response = await this.getClient().chat.completions.create({
+      model: this.model,
+      messages: [
+        { role: 'system', content: system },
+        { role: 'user', content: prompt }
+      ],
+      max_tokens: maxTokens,
+      temperature
+    });
+
+    return response.choices[0].message.content.trim();
+  }
+
+  async summarize(text, options = {}) {
+    const maxLength = options.maxLength || 150;
+    return this.chat(
+      'You are a helpful assistant that creates clear, informative summaries of video content.',
+      buildSummaryPrompt(text, options),
+      { maxTokens: Math.min(maxLength * 2, MAX_TOKENS.summary), temperature: 0.3 }
+    );
+  }
+
+  async topics(text, options = {}) {
+    const answer = await this.chat(
+      'You are an expert content analyst. Respond with valid JSON only.',
+      buildTopicsPrompt(text, options)
+    );
+    return parseJSONResponse(answer);
+  }
+
+  async chapters(transcript, options = {}) {
+    const answer = await this.chat(
+      'You create helpful chapter markers for video content. Respond with valid JSON only.',
+      buildChaptersPrompt(transcriptToText(transcript), options)
+    );
+    return parseJSONResponse(answer);
+  }
+
+  async description(videoMetadata, transcript, options = {}) {
+    return this.chat(
+      'You are a creative writer specializing in video descriptions that engage audiences.',
+      buildDescriptionPrompt(videoMetadata, transcript, options),
+      { maxTokens: Math.min(options.maxLength || 300, MAX_TOKENS.summary), temperature: 0.7 }
+    );
+  }
+
+  async translate(lines, options = {}) {
+    const answer = await this.chat(
+      'You are a professional subtitle translator. Respond with valid JSON only.',
+      buildTranslationPrompt(lines, options),
+      { maxTokens: Math.min(MAX_TOKENS.translation, Math.max(MAX_TOKENS.analysis, lines.join(' ').length * 2)) }
+    );
+    return parseTranslationResponse(answer, lines.length);
+  }
+
+  async complete(prompt, { system = 'You are a helpful assistant.', maxTokens, temperature } = {}) {
+    return this.chat(system, prompt, { maxTokens, temperature });
+  }
+
+  async embed(texts) {
+    const response = await this.getClient().embeddings.create({ model: this.embeddingModel, input: texts });
+    return [...response.data].sort((a, b) => a.index - b.index).map(entry => entry.embedding);
+  }
+
+  /**
+   * Transcribe with Whisper
+   * @param {Buffer|string} audioInput - audio buffer or file path
+   * @param {Object} options - { language, format, wordLevelTimestamps }
+   */
+  async transcribe(audioInput, options = {}) {
+    const { language = 'en', format = 'text', wordLevelTimestamps = false } = options;
+
+    let tempPath = null;
+    let audioFile;
+    if (Buffer.isBuffer(audioInput)) {
+      tempPath = path.join(os.tmpdir(), `audio_${Date.now()}.wav`);
+      await fs.promises.writeFile(tempPath, audioInput);
+      audioFile = fs.createReadStream(tempPath);
+    } else if (typeof audioInput === 'string') {
+      audioFile = fs.createReadStream(audioInput);
+    } else {
+      throw new Error('Invalid audio input format');
+    }
+
+    try {
+      const request = {
+        file: audioFile,
+        model: 'whisper-1',
+        response_format: format === 'text' ? 'text' : format
+      };
+      // Whisper detects the language itself when none is given
+      if (language && language !== 'auto') {
+        request.language = language;
+      }
+      if (request.response_format === 'verbose_json') {
+        request.timestamp_granularities = wordLevelTimestamps ? ['word', 'segment'] : ['segment'];
+      }
+      const transcription = await this.getClient().audio.transcriptions.create(request);
+
+      return {
+        text: transcription.text || transcription,
+        segments: transcription.segments || null,
+        words: transcription.words || null,
+        language: transcription.language || language
+      };
+    } finally {
+      if (tempPath) {
+        fs.promises.unlink(tempPath).catch(() => {});
+      }
+    }
+  }
+}
+
+export default OpenAIProvider;
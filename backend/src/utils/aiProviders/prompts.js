@@ -0,0 +1,187 @@
+/**
+ * Prompts shared by the LLM-backed providers, so OpenAI and Gemini are
+ * asked the same thing for the same task
+ */
+
+/**
+ * Build context-appropriate summary prompt
+ * @param {string} text - text to summarize
+ * @param {Object} options - { maxLength, style, language, contextType, includeKeywords }
+ * @returns {string} formatted prompt
+ */
+export const buildSummaryPrompt = (text, options = {}) => {
+  const {
+    maxLength = 150,
+    style = 'concise',
+    language = 'en',
+    contextType = 'general',
+    includeKeywords = false
+  } = options;
+
+  let basePrompt = '';
+
+  switch (style) {
+    case 'bullet-points':
+      basePrompt = `Create a bullet-point summary of the following transcript. Focus on key points and main ideas:`;
+      break;
+    case 'detailed':
+      basePrompt = `Provide a detailed summary of the following transcript, including main topics, important details, and conclusions:`;
+      break;
+    case 'concise':
+    default:
+      basePrompt = `Summarize the following transcript concisely, capturing the main message and key points:`;
+      break;
+  }
+
+  // Add context-specific instructions
+  switch (contextType) {
+    case 'educational':
+      basePrompt += ` Focus on learning objectives, key concepts, and important information for students.`;
+      break;
+    case 'entertainment':
+      basePrompt += ` Highlight interesting moments, main themes, and engaging content.`;
+      break;
+    case 'business':
+      basePrompt += ` Emphasize decisions, action items, key discussions, and outcomes.`;
+      break;
+  }
+
+  // Add keyword extraction if requested
+  if (includeKeywords) {
+    basePrompt += ` Include a list of key terms and topics mentioned.`;
+  }
+
+  // Add length constraint
+  basePrompt += ` Keep the summary under ${maxLength} words.`;
+
+  // Add language specification if not English
+  if (language !== 'en') {
+    basePrompt += ` Respond in ${language}.`;
+  }
+
+  return `${basePrompt}\n\nTranscript:\n${text}`;
+};
+
+/**
+ * Topic extraction prompt; the answer is JSON
+ */
+export const buildTopicsPrompt = (text, { maxTopics = 5, includeTimestamps = false } = {}) =>
+  `Analyze the following transcript and extract the main topics and themes.
+Provide up to ${maxTopics} key topics, each with a brief description.
+Format as JSON with topics array containing objects with 'topic' and 'description' fields.
+${includeTimestamps ? 'If timestamps are present, include them in the analysis.' : ''}
+
+Transcript:
+${text}`;
+
+/**
+ * Chapter marker prompt; the answer is a JSON array
+ */
+export const buildChaptersPrompt = (text, { maxChapters = 10, minChapterLength = 60, includeDescriptions = true } = {}) =>
+  `Analyze this timestamped transcript and create chapter markers for video navigation.
+Generate up to ${maxChapters} chapters, each at least ${minChapterLength} seconds long.
+${includeDescriptions ? 'Include brief descriptions for each chapter.' : ''}
+
+Format as JSON array with objects containing:
+- timestamp: time in seconds
+- title: chapter title
+${includeDescriptions ? '- description: brief chapter description' : ''}
+
+Transcript:
+${text}`;
+
+/**
+ * Video description prompt
+ */
+export const buildDescriptionPrompt = (videoMetadata = {}, transcript = '', options = {}) => {
+  const {
+    style = 'informative',
+    maxLength = 300,
+    includeMetadata = true,
+    language = 'en'
+  } = options;
+
+  let prompt = `Generate a compelling video description based on the following information:\n\n`;
+
+  if (includeMetadata) {
+    prompt += `Video Details:
+- Duration: ${videoMetadata.duration ? Math.round(videoMetadata.duration) : 'Unknown'} seconds
+- Resolution: ${videoMetadata.resolution || 'Unknown'}
+- Format: ${videoMetadata.format || 'Unknown'}\n\n`;
+  }
+
+  if (transcript) {
+    prompt += `Transcript Summary:\n${transcript}\n\n`;
+  }
+
+  prompt += `Create a ${style} description that would attract viewers and accurately represent the content. `;
+  prompt += `Keep it under ${maxLength} characters.`;
+
+  if (language !== 'en') {
+    prompt += ` Write in ${language}.`;
+  }
+
+  return prompt;
+};
+
+/**
+ * Translation prompt for a batch of subtitle lines. Neighbouring lines are
+ * given as context only, so pronouns and running sentences translate
+ * coherently across batches; the answer is a JSON array of strings.
+ * @param {string[]} lines - lines to translate
+ * @param {Object} options - { from, to, before, after }
+ * @returns {string} prompt
+ */
+export const buildTranslationPrompt = (lines, { from = 'auto', to, before = [], after = [] } = {}) => {
+  const numbered = (entries) => entries.map((line, i) => `${i + 1}. ${line}`).join('\n');
+  const source = from && from !== 'auto' ? ` from ${from}` : '';
+
+  let prompt = `Translate these ${lines.length} subtitle lines${source} into ${to}.
+Keep each line short enough to read on screen, keep names as they are, and keep the meaning of lines that continue a sentence.
+Answer with a JSON array of exactly ${lines.length} strings, one translation per line, in the same order.\n\n`;
+
+  if (before.length) {
+    prompt += `Previous lines (context only, do not translate):\n${numbered(before)}\n\n`;
+  }
+  prompt += `Lines to translate:\n${numbered(lines)}`;
+  if (after.length) {
+    prompt += `\n\nFollowing lines (context only, do not translate):\n${numbered(after)}`;
+  }
+  return prompt;
+};
+
+/**
+ * Parse a translation answer, insisting on one string per requested line so
+ * a model that merged or dropped lines falls through to the next provider
+ * @param {string} answer - model output
+ * @param {number} expected - number of lines requested
+ * @returns {string[]} translations
+ */
+export const parseTranslationResponse = (answer, expected) => {
+  const parsed = parseJSONResponse(answer);
+  if (!Array.isArray(parsed) || parsed.length !== expected || parsed.some(line => typeof line !== 'string')) {
+    throw new Error(`Expected ${expected} translated lines`);
+  }
+  return parsed.map(line => line.trim());
+};
+
+/**
+ * Render timed segments as "[seconds] text" lines for chapter prompts
+ * @param {string|Array} transcript - text, or [{ start, text }]
+ * @returns {string} transcript text
+ */
+export const transcriptToText = (transcript) =>
+  Array.isArray(transcript)
+    ? transcript.map(segment => `[${Math.round(segment.start ?? segment.startTime ?? 0)}] ${segment.text}`).join('\n')
+    : String(transcript || '');
+
+/**
+ * Parse a model's JSON answer, tolerating a Markdown code fence around it
+ * @param {string} text - model output
+ * @returns {*} parsed JSON
+ */
+export const parseJSONResponse = (text) => {
+  const trimmed = String(text).trim();
+  const fenced = trimmed.match(/^```(?:json)?\s*([\s\S]*?)\s*```$/i);
+  return JSON.parse(fenced ? fenced[1] : trimmed);
+};
@@ -0,0 +1,242 @@
+import logger from '../logger.js';
+import { AppError, ValidationError } from '../../middleware/errorHandler.js';
+
+/**
+ * AI provider registry
+ *
+ * A provider is an object with a `name`, the list of `tasks` it can perform,
+ * an `isAvailable()` check (usually "is an API key configured") and one async
+ * method per task, named after the task:
+ *
+ *   summarize(text, options)                     -> string
+ *   topics(text, options)                        -> { topics: [{ topic, description }] }
+ *   chapters(transcript, options)                -> [{ timestamp, title, description }]
+ *   description(metadata, transcript, options)   -> string
+ *   transcribe(audio, options)                   -> { text, segments, words, language }
+ *   translate(lines, options)                    -> string[] (one per line, same order)
+ *   complete(prompt, options)                    -> string
+ *   embed(texts, options)                        -> number[][] (one vector per text, same order)
+ *
+ * Vectors from different providers are not comparable, so callers that keep
+ * embeddings should remember which provider made them.
+ *
+ * `run(task, ...args)` tries the providers routed to that task in order and
+ * falls through to the next one on failure. Each provider's health is
+ * tracked; after `failureThreshold` consecutive failures it is skipped for
+ * `cooldownMs`, then given one trial call before being trusted again.
+ */
+
+export const AI_TASKS = ['summarize', 'topics', 'chapters', 'description', 'transcribe', 'translate', 'complete', 'embed'];
+
+/**
+ * No routed provider could complete a task
+ */
+export class AIProviderError extends AppError {
+  constructor(task, attempts = []) {
+    const detail = attempts.length
+      ? attempts.map(attempt => `${attempt.provider}: ${attempt.error}`).join('; ')
+      : 'no provider is available';
+    super(`AI task "${task}" failed (${detail})`, 503, 'AI_UNAVAILABLE', { task, attempts });
+    this.name = 'AIProviderError';
+  }
+}
+
+export class AIProviderRegistry {
+  /**
+   * @param {Object} options - { order, routes, failureThreshold, cooldownMs, now }
+   */
+  constructor(options = {}) {
+    this.providers = new Map(); // name -> provider
+    this.health = new Map(); // name -> health record
+    this.order = [...(options.order || [])]; // default fallback order
+    this.routes = new Map(Object.entries(options.routes || {})); // task -> provider names
+    this.failureThreshold = options.failureThreshold || 3;
+    this.cooldownMs = options.cooldownMs || 60 * 1000;
+    this.now = options.now || (() => Date.now());
+  }
+
+  /**
+   * Add (or replace) a provider; it joins the end of the default order
+   * @param {Object} provider - provider implementation
+   * @returns {AIProviderRegistry} this
+   */
+  register(provider) {
+    if (!provider?.name || !Array.isArray(provider.tasks)) {
+      throw new ValidationError('AI providers need a name and a tasks list');
+    }
+    for (const task of provider.tasks) {
+      if (typeof provider[task] !== 'function') {
+        throw new ValidationError(`AI provider "${provider.name}" lists task "${task}" but does not implement it`);
+      }
+    }
+
+    this.providers.set(provider.name, provider);
+    this.health.set(provider.name, {
+      successes: 0,
+      failures: 0,
+      consecutiveFailures: 0,
+      lastError: null,
+      lastSuccessAt: null,
+      lastFailureAt: null,
+      disabledUntil: null,
+      totalLatencyMs: 0
+    });
+    if (!this.order.includes(provider.name)) {
+      this.order.push(provider.name);
+    }
+    return this;
+  }
+
+  /**
+   * Remove a provider
+   * @param {string} name - provider name
+   */
+  unregister(name) {
+    this.providers.delete(name);
+    this.health.delete(name);
+    this.order = this.order.filter(entry => entry !== name);
+  }
+
+  /**
+   * @param {string} name - provider name
+   * @returns {Object|undefined} provider
+   */
+  get(name) {
+    return this.providers.get(name);
+  }
+
+  /**
+   * Set the default fallback order; unknown names are ignored when running
+   * @param {string[]} names - provider names, most preferred first
+   */
+  setOrder(names) {
+    this.order = [...names];
+  }
+
+  /**
+   * Route a task to specific providers, in order; an empty list restores
+   * the default order
+   * @param {string} task - task name
+   * @param {string[]} names - provider names, most preferred first
+   */
+  setRoute(task, names) {
+    if (!AI_TASKS.includes(task)) {
+      throw new ValidationError(`Unknown AI task "${task}"`);
+    }
+    if (names?.length) {
+      this.routes.set(task, [...names]);
+    } else {
+      this.routes.delete(task);
+    }
+  }
+
+  /**
+   * Providers that would be tried for a task right now, in order
+   * @param {string} task - task name
+   * @returns {Object[]} providers
+   */
+  candidates(task) {
+    const names = this.routes.get(task) || this.order;
+    return names
+      .map(name => this.providers.get(name))
+      .filter(provider => provider && provider.tasks.includes(task) && provider.isAvailable());
+  }
+
+  /**
+   * Whether a provider is in its failure cooldown
+   * @param {string} name - provider name
+   * @returns {boolean}
+   */
+  isCoolingDown(name) {
+    const health = this.health.get(name);
+    return !!health?.disabledUntil && health.disabledUntil > this.now();
+  }
+
+  /**
+   * Perform a task with the first routed provider that succeeds
+   * @param {string} task - task name
+   * @param {...*} args - task arguments
+   * @returns {Promise<{ result: *, provider: string }>}
+   */
+  async run(task, ...args) {
+    const candidates = this.candidates(task);
+    const ready = candidates.filter(provider => !this.isCoolingDown(provider.name));
+    // When every provider is cooling down, try them anyway rather than fail outright
+    const queue = ready.length ? ready : candidates;
+    const attempts = [];
+
+    for (const provider of queue) {
+      const startedAt = this.now();
+      try {
+        const result = await provider[task](...args);
+        this.recordSuccess(provider.name, this.now() - startedAt);
+        return { result, provider: provider.name };
+      } catch (error) {
+        this.recordFailure(provider.name, error);
+        attempts.push({ provider: provider.name, error: error.message });
+        logger.warn(`AI provider ${provider.name} failed ${task}, trying next`, { error: error.message });
+      }
+    }
+
+    throw new AIProviderError(task, attempts);
+  }
+
+  /**
+   * Note a successful call; clears any cooldown
+   */
+  recordSuccess(name, latencyMs) {
+    const health = this.health.get(name);
+    if (!health) return;
+    health.successes++;
+    health.consecutiveFailures = 0;
+    health.disabledUntil = null;
+    health.lastSuccessAt = new Date(this.now());
+    health.totalLatencyMs += latencyMs;
+  }
+
+  /**
+   * Note a failed call; enough in a row starts a cooldown
+   */
+  recordFailure(name, error) {
+    const health = this.health.get(name);
+    if (!health) return;
+    health.failures++;
+    health.consecutiveFailures++;
+    health.lastError = error.message;
+    health.lastFailureAt = new Date(this.now());
+    if (health.consecutiveFailures >= this.failureThreshold) {
+      health.disabledUntil = this.now() + this.cooldownMs;
+    }
+  }
+
+  /**
+   * Health and routing of every registered provider
+   * @returns {Object} { providers: [...], routes: { task: [names] } }
+   */
+  getStatus() {
+    const providers = this.order
+      .filter(name => this.providers.has(name))
+      .map((name) => {
+        const provider = this.providers.get(name);
+        const { totalLatencyMs, disabledUntil, ...health } = this.health.get(name);
+        return {
+          name,
+          tasks: provider.tasks,
+          available: provider.isAvailable(),
+          healthy: provider.isAvailable() && !this.isCoolingDown(name),
+          ...health,
+          disabledUntil: disabledUntil ? new Date(disabledUntil) : null,
+          averageLatencyMs: health.successes ? Math.round(totalLatencyMs / health.successes) : null
+        };
+      });
+
+    const routes = {};
+    for (const task of AI_TASKS) {
+      routes[task] = this.candidates(task).map(provider => provider.name);
+    }
+
+    return { providers, routes };
+  }
+}
+
+export default AIProviderRegistry;
@@ -1,62 +1,27 @@
-import OpenAI from 'openai';
-import { GoogleGenerativeAI } from '@google/generative-ai';
 import logger from './logger.js';
-import fs from 'fs';
-import path from 'path';
-import { promisify } from 'util';
-
-const readFile = promisify(fs.readFile);
+import { ValidationError } from '../middleware/errorHandler.js';
+import { createDefaultRegistry } from './aiProviders/index.js';
 
 /**
  * AI utility functions for text processing, summarization, and transcription
- * Supports multiple AI providers (OpenAI, Google AI)
+ * Every task goes through the provider registry (utils/aiProviders), which
+ * picks OpenAI, Gemini or the offline local provider per task and falls back
+ * down the configured order when one fails.
  */
 export class AIUtils {
-  constructor() {
-    // Initialize AI clients
-    this.openai = null;
-    this.googleAI = null;
-    
-    this.initializeClients();
-    
-    // Configuration
-    this.maxTokens = {
-      summary: 200,
-      transcript: 1000,
-      analysis: 500
-    };
-    
+  /**
+   * @param {AIProviderRegistry} registry - provider registry; defaults to the configured providers
+   */
+  constructor(registry = createDefaultRegistry()) {
+    this.registry = registry;
+
     this.retryOptions = {
       maxRetries: 3,
       retryDelay: 1000
     };
-  }
-
-  /**
-   * Initialize AI service clients
-   */
-  initializeClients() {
-    try {
-      // Initialize OpenAI client
-      if (process.env.OPENAI_API_KEY) {
-        this.openai = new OpenAI({
-          apiKey: process.env.OPENAI_API_KEY
-        });
-        logger.info('OpenAI client initialized');
-      }
 
-      // Initialize Google AI client
-      if (process.env.GOOGLE_AI_API_KEY) {
-        this.googleAI = new GoogleGenerativeAI(process.env.GOOGLE_AI_API_KEY);
-        logger.info('Google AI client initialized');
-      }
-
-      if (!this.openai && !this.googleAI) {
-        logger.warn('No AI service API keys found. AI features will be disabled.');
-      }
-    } catch (error) {
-      logger.error('Failed to initialize AI clients:', error);
-    }
+    const { routes } = this.registry.getStatus();
+    logger.info('AI providers ready:', routes);
   }
 
   /**
@@ -74,13 +39,12 @@ export class AIUtils {
       includeKeywords = false
     } = options;
 
-    try {
-      if (!transcriptText || transcriptText.trim().length === 0) {
-        throw new Error('No transcript text provided');
-      }
+    if (!transcriptText || transcriptText.trim().length === 0) {
+      throw new ValidationError('No transcript text provided');
+    }
 
-      // Prepare the prompt based on style and context
-      const prompt = this.buildSummaryPrompt(transcriptText, {
+    try {
+      const { result: summary, provider } = await this.registry.run('summarize', transcriptText, {
         maxLength,
         style,
         language,
@@ -88,18 +52,8 @@ export class AIUtils {
         includeKeywords
       });
 
-      let summary;
-
-      // Try OpenAI first, fallback to Google AI
-      if (this.openai) {
-        summary = await this.summarizeWithOpenAI(prompt, maxLength);
-      } else if (this.googleAI) {
-        summary = await this.summarizeWithGoogleAI(prompt, maxLength);
-      } else {
-        throw new Error('No AI service available for summarization');
-      }
-
       logger.info('Transcript summarized successfully:', {
+        provider,
         originalLength: transcriptText.length,
         summaryLength: summary.length,
         style,
@@ -110,119 +64,18 @@ export class AIUtils {
     } catch (error) {
       logger.error('Transcript summarization failed:', {
         error: error.message,
-        transcriptLength: transcriptText?.length || 0,
+        transcriptLength: transcriptText.length,
         options
       });
-      throw new Error(`Summarization failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Build context-appropriate summary prompt
-   * @param {string} text - text to summarize
-   * @param {Object} options - prompt options
-   * @returns {string} formatted prompt
-   */
-  buildSummaryPrompt(text, options) {
-    const { maxLength, style, language, contextType, includeKeywords } = options;
-
-    let basePrompt = '';
-    
-    switch (style) {
-      case 'bullet-points':
-        basePrompt = `Create a bullet-point summary of the following transcript. Focus on key points and main ideas:`;
-        break;
-      case 'detailed':
-        basePrompt = `Provide a detailed summary of the following transcript, including main topics, important details, and conclusions:`;
-        break;
-      case 'concise':
-      default:
-        basePrompt = `Summarize the following transcript concisely, capturing the main message and key points:`;
-        break;
-    }
-
-    // Add context-specific instructions
-    switch (contextType) {
-      case 'educational':
-        basePrompt += ` Focus on learning objectives, key concepts, and important information for students.`;
-        break;
-      case 'entertainment':
-        basePrompt += ` Highlight interesting moments, main themes, and engaging content.`;
-        break;
-      case 'business':
-        basePrompt += ` Emphasize decisions, action items, key discussions, and outcomes.`;
-        break;
+      throw error;
     }
-
-    // Add keyword extraction if requested
-    if (includeKeywords) {
-      basePrompt += ` Include a list of key terms and topics mentioned.`;
-    }
-
-    // Add length constraint
-    basePrompt += ` Keep the summary under ${maxLength} words.`;
-
-    // Add language specification if not English
-    if (language !== 'en') {
-      basePrompt += ` Respond in ${language}.`;
-    }
-
-    return `${basePrompt}\n\nTranscript:\n${text}`;
-  }
-
-  /**
-   * Summarize using OpenAI
-   * @param {string} prompt - formatted prompt
-   * @param {number} maxLength - maximum response length
-   * @returns {Promise<string>} summary
-   */
-  async summarizeWithOpenAI(prompt, maxLength) {
-    const response = await this.openai.chat.completions.create({
-      model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-      messages: [
-        {
-          role: 'system',
-          content: 'You are a helpful assistant that creates clear, informative summaries of video content.'
-        },
-        {
-          role: 'user',
-          content: prompt
-        }
-      ],
-      max_tokens: Math.min(maxLength * 2, this.maxTokens.summary),
-      temperature: 0.3,
-      presence_penalty: 0.1
-    });
-
-    return response.choices[0].message.content.trim();
-  }
-
-  /**
-   * Summarize using Google AI
-   * @param {string} prompt - formatted prompt
-   * @param {number} maxLength - maximum response length
-   * @returns {Promise<string>} summary
-   */
-  async summarizeWithGoogleAI(prompt, maxLength) {
-    const model = this.googleAI.getGenerativeModel({ model: 'gemini-pro' });
-    
-    const result = await model.generateContent({
-      contents: [{ parts: [{ text: prompt }] }],
-      generationConfig: {
-        maxOutputTokens: Math.min(maxLength * 2, this.maxTokens.summary),
-        temperature: 0.3
-      }
-    });
-
-    const response = await result.response;
-    return response.text().trim();
   }
 
   /**
    * Extract key topics and themes from transcript
    * @param {string} transcriptText - transcript to analyze
    * @param {Object} options - analysis options
-   * @returns {Promise<Object>} analysis results
+   * @returns {Promise<Object>} analysis results ({ topics: [{ topic, description }] })
    */
   async analyzeTranscriptTopics(transcriptText, options = {}) {
     const {
@@ -231,45 +84,19 @@ export class AIUtils {
       language = 'en'
     } = options;
 
-    try {
-      const prompt = `Analyze the following transcript and extract the main topics and themes. 
-      Provide up to ${maxTopics} key topics, each with a brief description.
-      Format as JSON with topics array containing objects with 'topic' and 'description' fields.
-      ${includeTimestamps ? 'If timestamps are present, include them in the analysis.' : ''}
-      
-      Transcript:
-      ${transcriptText}`;
-
-      let analysis;
-
-      if (this.openai) {
-        const response = await this.openai.chat.completions.create({
-          model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are an expert content analyst. Respond with valid JSON only.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: this.maxTokens.analysis,
-          temperature: 0.2
-        });
+    if (!transcriptText || transcriptText.trim().length === 0) {
+      throw new ValidationError('No transcript text provided');
+    }
 
-        analysis = JSON.parse(response.choices[0].message.content.trim());
-      } else if (this.googleAI) {
-        const model = this.googleAI.getGenerativeModel({ model: 'gemini-pro' });
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        analysis = JSON.parse(response.text().trim());
-      } else {
-        throw new Error('No AI service available');
-      }
+    try {
+      const { result: analysis, provider } = await this.registry.run('topics', transcriptText, {
+        maxTopics,
+        includeTimestamps,
+        language
+      });
 
       logger.info('Transcript topics analyzed:', {
+        provider,
         topicCount: analysis.topics?.length || 0,
         transcriptLength: transcriptText.length
       });
@@ -278,91 +105,61 @@ export class AIUtils {
     } catch (error) {
       logger.error('Topic analysis failed:', {
         error: error.message,
-        transcriptLength: transcriptText?.length || 0
+        transcriptLength: transcriptText.length
       });
-      throw new Error(`Topic analysis failed: ${error.message}`);
+      throw error;
     }
   }
 
   /**
    * Generate chapter markers based on content analysis
-   * @param {string} transcriptText - transcript with timestamps
+   * @param {string|Array} transcript - timestamped transcript text, or segments ([{ start, text }])
    * @param {Object} options - chapter generation options
    * @returns {Promise<Array>} array of chapter objects
    */
-  async generateChapters(transcriptText, options = {}) {
+  async generateChapters(transcript, options = {}) {
     const {
       maxChapters = 10,
       minChapterLength = 60, // seconds
       includeDescriptions = true
     } = options;
 
-    try {
-      const prompt = `Analyze this timestamped transcript and create chapter markers for video navigation.
-      Generate up to ${maxChapters} chapters, each at least ${minChapterLength} seconds long.
-      ${includeDescriptions ? 'Include brief descriptions for each chapter.' : ''}
-      
-      Format as JSON array with objects containing:
-      - timestamp: time in seconds
-      - title: chapter title
-      ${includeDescriptions ? '- description: brief chapter description' : ''}
-      
-      Transcript:
-      ${transcriptText}`;
-
-      let chapters;
-
-      if (this.openai) {
-        const response = await this.openai.chat.completions.create({
-          model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-          messages: [
-            {
-              role: 'system',
-              content: 'You create helpful chapter markers for video content. Respond with valid JSON only.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: this.maxTokens.analysis,
-          temperature: 0.2
-        });
+    const length = Array.isArray(transcript) ? transcript.length : transcript?.length || 0;
+    if (!length) {
+      throw new ValidationError('No transcript provided');
+    }
 
-        chapters = JSON.parse(response.choices[0].message.content.trim());
-      } else if (this.googleAI) {
-        const model = this.googleAI.getGenerativeModel({ model: 'gemini-pro' });
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        chapters = JSON.parse(response.text().trim());
-      } else {
-        throw new Error('No AI service available');
-      }
+    try {
+      const { result, provider } = await this.registry.run('chapters', transcript, {
+        maxChapters,
+        minChapterLength,
+        includeDescriptions
+      });
 
       // Validate and sort chapters
-      if (Array.isArray(chapters)) {
-        chapters = chapters
-          .filter(chapter => chapter.timestamp && chapter.title)
-          .sort((a, b) => a.timestamp - b.timestamp);
-      }
+      const chapters = (Array.isArray(result) ? result : [])
+        .filter(chapter => Number.isFinite(Number(chapter.timestamp)) && chapter.title)
+        .map(chapter => ({ ...chapter, timestamp: Number(chapter.timestamp) }))
+        .sort((a, b) => a.timestamp - b.timestamp);
 
       logger.info('Chapters generated:', {
-        chapterCount: chapters?.length || 0,
-        transcriptLength: transcriptText.length
+        provider,
+        chapterCount: chapters.length,
+        transcriptLength: length
       });
 
-      return chapters || [];
+      return chapters;
     } catch (error) {
       logger.error('Chapter generation failed:', {
         error: error.message,
-        transcriptLength: transcriptText?.length || 0
+        transcriptLength: length
       });
-      throw new Error(`Chapter generation failed: ${error.message}`);
+      throw error;
     }
   }
 
   /**
-   * Transcribe audio using Whisper API (placeholder for actual implementation)
+   * Transcribe audio with the first provider that supports transcription
    * @param {Buffer|string} audioInput - audio buffer or file path
    * @param {Object} options - transcription options
    * @returns {Promise<Object>} transcription result
@@ -376,53 +173,29 @@ export class AIUtils {
     } = options;
 
     try {
-      if (!this.openai) {
-        throw new Error('OpenAI API key required for transcription');
-      }
-
-      let audioFile;
-      
-      // Handle different input types
-      if (Buffer.isBuffer(audioInput)) {
-        // Create temporary file from buffer
-        const tempPath = path.join(process.cwd(), 'temp', `audio_${Date.now()}.wav`);
-        await fs.promises.writeFile(tempPath, audioInput);
-        audioFile = fs.createReadStream(tempPath);
-      } else if (typeof audioInput === 'string') {
-        // File path provided
-        audioFile = fs.createReadStream(audioInput);
-      } else {
-        throw new Error('Invalid audio input format');
-      }
-
-      const transcription = await this.openai.audio.transcriptions.create({
-        file: audioFile,
-        model: 'whisper-1',
-        language: language,
-        response_format: format === 'text' ? 'text' : format,
-        timestamp_granularities: wordLevelTimestamps ? ['word'] : ['segment']
+      const { result, provider } = await this.registry.run('transcribe', audioInput, {
+        language,
+        format,
+        includeTimestamps,
+        wordLevelTimestamps
       });
 
       logger.info('Audio transcribed successfully:', {
+        provider,
         language,
         format,
         includeTimestamps,
         wordLevelTimestamps
       });
 
-      return {
-        text: transcription.text || transcription,
-        segments: transcription.segments || null,
-        words: transcription.words || null,
-        language: transcription.language || language
-      };
+      return result;
     } catch (error) {
       logger.error('Audio transcription failed:', {
         error: error.message,
         audioInputType: typeof audioInput,
         options
       });
-      throw new Error(`Transcription failed: ${error.message}`);
+      throw error;
     }
   }
 
@@ -433,7 +206,7 @@ export class AIUtils {
    * @param {Object} options - generation options
    * @returns {Promise<string>} generated description
    */
-  async generateVideoDescription(videoMetadata, transcript = '', options = {}) {
+  async generateVideoDescription(videoMetadata = {}, transcript = '', options = {}) {
     const {
       style = 'informative', // 'informative', 'engaging', 'professional'
       maxLength = 300,
@@ -442,56 +215,15 @@ export class AIUtils {
     } = options;
 
     try {
-      let prompt = `Generate a compelling video description based on the following information:\n\n`;
-      
-      if (includeMetadata) {
-        prompt += `Video Details:
-- Duration: ${videoMetadata.duration ? Math.round(videoMetadata.duration) : 'Unknown'} seconds
-- Resolution: ${videoMetadata.resolution || 'Unknown'}
-- Format: ${videoMetadata.format || 'Unknown'}\n\n`;
-      }
-
-      if (transcript) {
-        prompt += `Transcript Summary:\n${transcript}\n\n`;
-      }
-
-      prompt += `Create a ${style} description that would attract viewers and accurately represent the content. `;
-      prompt += `Keep it under ${maxLength} characters.`;
-
-      if (language !== 'en') {
-        prompt += ` Write in ${language}.`;
-      }
-
-      let description;
-
-      if (this.openai) {
-        const response = await this.openai.chat.completions.create({
-          model: process.env.OPENAI_MODEL || 'gpt-4o-mini',
-          messages: [
-            {
-              role: 'system',
-              content: 'You are a creative writer specializing in video descriptions that engage audiences.'
-            },
-            {
-              role: 'user',
-              content: prompt
-            }
-          ],
-          max_tokens: Math.min(maxLength, this.maxTokens.summary),
-          temperature: 0.7
-        });
-
-        description = response.choices[0].message.content.trim();
-      } else if (this.googleAI) {
-        const model = this.googleAI.getGenerativeModel({ model: 'gemini-pro' });
-        const result = await model.generateContent(prompt);
-        const response = await result.response;
-        description = response.text().trim();
-      } else {
-        throw new Error('No AI service available');
-      }
+      const { result: description, provider } = await this.registry.run('description', videoMetadata, transcript, {
+        style,
+        maxLength,
+        includeMetadata,
+        language
+      });
 
       logger.info('Video description generated:', {
+        provider,
         descriptionLength: description.length,
         style,
         includeMetadata,
@@ -505,19 +237,97 @@ export class AIUtils {
         videoMetadata: !!videoMetadata,
         transcriptLength: transcript?.length || 0
       });
-      throw new Error(`Description generation failed: ${error.message}`);
+      throw error;
     }
   }
 
+  /**
+   * Translate a batch of short texts (subtitle lines), one result per input
+   * @param {string[]} lines - texts to translate
+   * @param {Object} options - { from, to, before, after }; `before`/`after` are context lines
+   * @returns {Promise<string[]>} translations, in input order
+   */
+  async translateLines(lines, options = {}) {
+    const { from = 'auto', to, before = [], after = [] } = options;
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      return [];
+    }
+    if (!to) {
+      throw new ValidationError('A target language is required');
+    }
+
+    const { result, provider } = await this.registry.run('translate', lines, { from, to, before, after });
+
+    logger.info('Lines translated:', {
+      provider,
+      from,
+      to,
+      lines: lines.length
+    });
+
+    return result;
+  }
+
+  /**
+   * Free-form text generation; only LLM-backed providers can do this
+   * @param {string} prompt - prompt
+   * @param {Object} options - { system, maxTokens, temperature }
+   * @returns {Promise<string>} generated text
+   */
+  async complete(prompt, options = {}) {
+    const { result } = await this.registry.run('complete', prompt, options);
+    return result;
+  }
+
+  /**
+   * Whether any provider can embed text
+   * @returns {boolean}
+   */
+  canEmbed() {
+    return this.registry.candidates('embed').length > 0;
+  }
+
+  /**
+   * Embedding vectors for a batch of texts
+   * @param {string[]} texts - texts to embed
+   * @param {Object} options - { provider }; only use this provider, so the
+   *   vectors are comparable with ones it made earlier
+   * @returns {Promise<{ vectors: number[][], provider: string }>}
+   */
+  async embedTexts(texts, options = {}) {
+    if (!Array.isArray(texts) || texts.length === 0) {
+      return { vectors: [], provider: options.provider || null };
+    }
+
+    if (options.provider) {
+      const provider = this.registry.get(options.provider);
+      if (!provider?.tasks.includes('embed') || !provider.isAvailable()) {
+        throw new ValidationError(`AI provider "${options.provider}" cannot embed text`);
+      }
+      const vectors = await provider.embed(texts, options);
+      return { vectors, provider: provider.name };
+    }
+
+    const { result, provider } = await this.registry.run('embed', texts, options);
+    return { vectors: result, provider };
+  }
+
   /**
    * Check if AI services are available
-   * @returns {Object} availability status
+   * @returns {Object} availability status with per-provider health and task routes
    */
   getServiceStatus() {
+    const { providers, routes } = this.registry.getStatus();
+    const available = (name) => providers.some(provider => provider.name === name && provider.available);
+
     return {
-      openai: !!this.openai,
-      googleAI: !!this.googleAI,
-      anyAvailable: !!(this.openai || this.googleAI)
+      openai: available('openai'),
+      googleAI: available('gemini'),
+      local: available('local'),
+      anyAvailable: providers.some(provider => provider.available),
+      providers,
+      routes
     };
   }
 
@@ -529,22 +339,22 @@ export class AIUtils {
    */
   async retryOperation(operation, maxRetries = this.retryOptions.maxRetries) {
     let lastError;
-    
+
     for (let attempt = 1; attempt <= maxRetries; attempt++) {
       try {
         return await operation();
       } catch (error) {
         lastError = error;
-        
+
         if (attempt === maxRetries) {
           break;
         }
-        
+
         // Wait before retrying
-        await new Promise(resolve => 
+        await new Promise(resolve =>
           setTimeout(resolve, this.retryOptions.retryDelay * attempt)
         );
-        
+
         logger.warn(`AI operation attempt ${attempt} failed, retrying...`, {
           error: error.message,
           attempt,
@@ -552,7 +362,7 @@ export class AIUtils {
         });
       }
     }
-    
+
     throw lastError;
   }
 }
@@ -562,12 +372,13 @@ const aiUtils = new AIUtils();
 
 export default aiUtils;
 
-// Export individual functions for convenience
-export const {
-  summarizeTranscript,
-  analyzeTranscriptTopics,
-  generateChapters,
-  transcribeAudio,
-  generateVideoDescription,
-  getServiceStatus
-} = aiUtils;
+// Export individual functions for convenience (bound, so they keep the registry)
+export const summarizeTranscript = aiUtils.summarizeTranscript.bind(aiUtils);
+export const analyzeTranscriptTopics = aiUtils.analyzeTranscriptTopics.bind(aiUtils);
+export const generateChapters = aiUtils.generateChapters.bind(aiUtils);
+export const transcribeAudio = aiUtils.transcribeAudio.bind(aiUtils);
+export const generateVideoDescription = aiUtils.generateVideoDescription.bind(aiUtils);
+export const translateLines = aiUtils.translateLines.bind(aiUtils);
+export const complete = aiUtils.complete.bind(aiUtils);
+export const embedTexts = aiUtils.embedTexts.bind(aiUtils);
+export const getServiceStatus = aiUtils.getServiceStatus.bind(aiUtils);
@@ -54,6 +54,24 @@ export const SYNC_CONSTANTS = {
   ROOM_CODE_LENGTH: 8
 };
 
+// Room roles, highest privilege first
+export const ROOM_ROLES = {
+  HOST: 'host',
+  MODERATOR: 'moderator',
+  CONTROLLER: 'controller',
+  VIEWER: 'viewer'
+};
+
+// Actions checked by the room permission layer
+export const ROOM_ACTIONS = {
+  PLAYBACK: 'playback',
+  SET_VIDEO: 'set-video',
+  MANAGE_CONTROLLERS: 'manage-controllers',
+  MANAGE_MODERATORS: 'manage-moderators',
+  MANAGE_QUEUE: 'manage-queue',
+  MANAGE_ROOM: 'manage-room'
+};
+
 // API limits and pagination
 export const API_CONSTANTS = {
   DEFAULT_PAGE_SIZE: 10,
@@ -88,7 +106,8 @@ export const EDITOR_CONSTANTS = {
   MARKER_DESCRIPTION_MAX_LENGTH: 500,
   PROJECT_NAME_MAX_LENGTH: 100,
   PROJECT_DESCRIPTION_MAX_LENGTH: 500,
-  OVERLAY_TEXT_MAX_LENGTH: 200
+  OVERLAY_TEXT_MAX_LENGTH: 200,
+  MARKER_TYPES: ['chapter', 'important', 'edit', 'ai_detected', 'bookmark', 'note', 'highlight']
 };
 
 // AI processing constants
@@ -0,0 +1,110 @@
+import crypto from 'crypto';
+import fs from 'fs';
+
+/**
+ * Content hashes identify a video file by its bytes, whoever uploaded it and
+ * whatever it is called. The file is cut into 4 MiB blocks, each block is
+ * hashed with SHA-256 and the hash of the concatenated block hashes is the
+ * content hash (hex). Hashing block by block lets browsers compute the same
+ * value for a multi-gigabyte local file without reading it into memory
+ * (frontend/src/services/contentHash.js), and lets the server hash uploads
+ * while they stream in.
+ */
+
+export const CONTENT_HASH_BLOCK_SIZE = 4 * 1024 * 1024;
+export const CONTENT_HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Whether a value looks like a content hash
+ * @param {*} value - value to check
+ * @returns {boolean}
+ */
+export const isContentHash = (value) => typeof value === 'string' && CONTENT_HASH_PATTERN.test(value);
+
+/**
+ * Incremental content hasher; feed it bytes in order with update()
+ */
+export class ContentHasher {
+  constructor() {
+    this.blockDigests = [];
+    this.block = crypto.createHash('sha256');
+    this.blockBytes = 0;
+    this.bytes = 0;
+  }
+
+  /**
+   * @param {Buffer} data - next bytes of the file
+   * @returns {ContentHasher} this
+   */
+  update(data) {
+    let offset = 0;
+    while (offset < data.length) {
+      const take = Math.min(CONTENT_HASH_BLOCK_SIZE - this.blockBytes, data.length - offset);
+      this.block.update(data.subarray(offset, offset + take));
+      this.blockBytes += take;
+      offset += take;
+      if (this.blockBytes === CONTENT_HASH_BLOCK_SIZE) {
+        this.blockDigests.push(this.block.digest());
+        this.block = crypto.createHash('sha256');
+        this.blockBytes = 0;
+      }
+    }
+    this.bytes += data.length;
+    return this;
+  }
+
+  /**
+   * Independent hasher in the same state, so bytes that may be rejected can be
+   * hashed without losing the state before them
+   * @returns {ContentHasher}
+   */
+  copy() {
+    const clone = new ContentHasher();
+    clone.blockDigests = [...this.blockDigests];
+    clone.block = this.block.copy();
+    clone.blockBytes = this.blockBytes;
+    clone.bytes = this.bytes;
+    return clone;
+  }
+
+  /**
+   * @returns {string} hex content hash of everything fed so far
+   */
+  digest() {
+    const digests = this.blockBytes > 0 ? [...this.blockDigests, this.block.copy().digest()] : this.blockDigests;
+    return crypto.createHash('sha256').update(Buffer.concat(digests)).digest('hex');
+  }
+}
+
+/**
+ * Hash bytes already in memory
+ * @param {Buffer} buffer - file contents
+ * @returns {string} content hash
+ */
+export const hashBuffer = (buffer) => new ContentHasher().update(buffer).digest();
+
+/**
+ * Hash a file, or its first `end` bytes, as a ContentHasher that can carry on
+ * @param {string} filePath - file to read
+ * @param {Object} options - { end }: bytes to read (whole file by default)
+ * @returns {Promise<ContentHasher>}
+ */
+export const hasherForFile = (filePath, { end } = {}) => new Promise((resolve, reject) => {
+  const hasher = new ContentHasher();
+  if (end === 0) {
+    resolve(hasher);
+    return;
+  }
+  fs.createReadStream(filePath, end === undefined ? {} : { end: end - 1 })
+    .on('data', chunk => hasher.update(chunk))
+    .on('end', () => resolve(hasher))
+    .on('error', reject);
+});
+
+/**
+ * Hash a file on disk
+ * @param {string} filePath - file to read
+ * @returns {Promise<string>} content hash
+ */
+export const hashFile = async (filePath) => (await hasherForFile(filePath)).digest();
+
@@ -3,12 +3,28 @@ import { nanoid, customAlphabet } from 'nanoid';
 import crypto from 'crypto';
 import path from 'path';
 import fs from 'fs';
+import net from 'net';
 import { promisify } from 'util';
 import logger from './logger.js';
 
 const stat = promisify(fs.stat);
 const access = promisify(fs.access);
 
+// Addresses a server-side fetch of a user-supplied URL must never reach:
+// private, loopback, link-local (cloud metadata), CGNAT, multicast and reserved ranges
+const NON_PUBLIC_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [
+  ['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8], ['64:ff9b::', 96]
+]) {
+  NON_PUBLIC_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
 /**
  * General utility functions for common operations
  * Provides UUID generation, delays, formatting, validation, and more
@@ -269,6 +285,20 @@ export class GeneralUtils {
     }
   }
 
+  /**
+   * Whether an IP address is on the public internet
+   * @param {string} address - IPv4 or IPv6 address
+   * @returns {boolean} false for private, loopback, link-local and reserved addresses
+   */
+  isPublicAddress(address) {
+    const family = net.isIP(address);
+    if (!family) return false;
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is judged as the IPv4 address
+    const mapped = family === 6 && /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    if (mapped) return this.isPublicAddress(mapped[1]);
+    return !NON_PUBLIC_ADDRESSES.check(address, family === 4 ? 'ipv4' : 'ipv6');
+  }
+
   /**
    * Sanitize filename for safe file system usage
    * @param {string} filename - filename to sanitize
@@ -485,6 +515,22 @@ export class GeneralUtils {
     return crypto.createHash(algorithm).update(input).digest('hex');
   }
 
+  /**
+   * Generate hash of a file's contents without reading it into memory
+   * @param {string} filePath - path to file
+   * @param {string} algorithm - hash algorithm
+   * @returns {Promise<string>} hash value
+   */
+  hashFile(filePath, algorithm = 'sha256') {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash(algorithm);
+      fs.createReadStream(filePath)
+        .on('data', chunk => hash.update(chunk))
+        .on('end', () => resolve(hash.digest('hex')))
+        .on('error', reject);
+    });
+  }
+
   /**
    * Compare two versions (semantic versioning)
    * @param {string} version1 - first version
@@ -589,6 +635,7 @@ export const {
   parseDuration,
   isValidEmail,
   isValidUrl,
+  isPublicAddress,
   sanitizeFilename,
   deepClone,
   debounce,
@@ -596,6 +643,7 @@ export const {
   retry,
   getFileInfo,
   hashString,
+  hashFile,
   compareVersions,
   createCache,
   getTimestamp
@@ -0,0 +1,153 @@
+/**
+ * Pure helpers for HLS adaptive-bitrate transcoding: choosing the renditions
+ * of a ladder for a source, the ffmpeg output options for one rendition, the
+ * master playlist and progress from ffmpeg's timemarks.
+ */
+
+// Video and audio bitrates in kbit/s, highest first
+export const DEFAULT_LADDER = [
+  { name: '1080p', height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { name: '720p', height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { name: '480p', height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { name: '360p', height: 360, videoBitrate: 800, audioBitrate: 96 },
+  { name: '240p', height: 240, videoBitrate: 400, audioBitrate: 64 }
+];
+
+export const HLS_MASTER_PLAYLIST = 'master.m3u8';
+export const HLS_RENDITION_PLAYLIST = 'index.m3u8';
+// Files a rendition directory may contain; anything else is not served
+export const HLS_FILE_PATTERN = /^(index\.m3u8|segment_\d{5}\.ts)$/;
+// ffmpeg image2-style pattern the segments are written with, numbered from 0
+export const HLS_SEGMENT_PATTERN = 'segment_%05d.ts';
+
+/**
+ * File name of a rendition's segment
+ * @param {number} index - segment number, from 0
+ * @returns {string}
+ */
+export const segmentFileName = (index) => `segment_${String(index).padStart(5, '0')}.ts`;
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * Ladder entries for the given heights, e.g. "720,480,360"
+ * @param {String|Array} heights - heights to keep, comma separated or as an array
+ * @returns {Array} ladder
+ */
+export const ladderFor = (heights) => {
+  const wanted = (Array.isArray(heights) ? heights : String(heights || '').split(','))
+    .map(height => parseInt(height, 10))
+    .filter(Number.isFinite);
+  if (!wanted.length) return DEFAULT_LADDER;
+  const ladder = DEFAULT_LADDER.filter(rung => wanted.includes(rung.height));
+  return ladder.length ? ladder : DEFAULT_LADDER;
+};
+
+/**
+ * Renditions to produce for a source. Nothing is upscaled: rungs taller than
+ * the source are skipped, and a source shorter than every rung gets the
+ * lowest one at its own size. Widths keep the source aspect ratio and are
+ * even, as H.264 requires.
+ * @param {Object} source - { width, height, bitrate } of the source video (bitrate in bit/s, optional)
+ * @param {Array} ladder - ladder rungs, highest first
+ * @returns {Array<{ name, width, height, videoBitrate, audioBitrate }>}
+ */
+export const planRenditions = (source, ladder = DEFAULT_LADDER) => {
+  const { width, height } = source;
+  if (!(width > 0 && height > 0)) {
+    throw new Error('Source width and height are required to plan renditions');
+  }
+
+  const fitting = ladder.filter(rung => rung.height <= height);
+  const rungs = fitting.length ? fitting : [{ ...ladder[ladder.length - 1], height }];
+  // Encoding above the source's own bitrate only adds bytes
+  const sourceKbps = source.bitrate > 0 ? Math.round(source.bitrate / 1000) : Infinity;
+
+  return rungs.map(rung => ({
+    name: rung.name,
+    width: even(width * rung.height / height),
+    height: even(rung.height),
+    videoBitrate: Math.min(rung.videoBitrate, Math.max(sourceKbps, 200)),
+    audioBitrate: rung.audioBitrate
+  }));
+};
+
+/**
+ * ffmpeg output options that encode one rendition as VOD HLS. Keyframes are
+ * forced on segment boundaries so every rendition's segments line up and a
+ * player can switch between them at any segment.
+ * @param {Object} rendition - from planRenditions()
+ * @param {Object} options - { segmentFilename, segmentSeconds, preset, hasAudio }
+ * @returns {Array<string>} output options
+ */
+export const renditionOutputOptions = (rendition, options) => {
+  const { segmentFilename, segmentSeconds = 6, preset = 'veryfast', hasAudio = true } = options;
+  const { width, height, videoBitrate, audioBitrate } = rendition;
+
+  return [
+    `-vf scale=${width}:${height}`,
+    '-c:v libx264',
+    `-preset ${preset}`,
+    '-profile:v main',
+    '-pix_fmt yuv420p',
+    `-b:v ${videoBitrate}k`,
+    `-maxrate ${Math.round(videoBitrate * 1.07)}k`,
+    `-bufsize ${Math.round(videoBitrate * 1.5)}k`,
+    `-force_key_frames expr:gte(t,n_forced*${segmentSeconds})`,
+    '-sc_threshold 0',
+    ...(hasAudio ? ['-c:a aac', `-b:a ${audioBitrate}k`, '-ac 2'] : ['-an']),
+    '-f hls',
+    `-hls_time ${segmentSeconds}`,
+    '-hls_playlist_type vod',
+    `-hls_segment_filename ${segmentFilename}`
+  ];
+};
+
+/**
+ * Peak bandwidth a player should budget for a rendition, in bit/s
+ * @param {Object} rendition - rendition
+ * @returns {number} bit/s
+ */
+export const renditionBandwidth = (rendition) =>
+  Math.round((rendition.videoBitrate * 1.07 + (rendition.audioBitrate || 0)) * 1000);
+
+/**
+ * Master playlist listing renditions, highest first
+ * @param {Array} renditions - renditions that are ready
+ * @param {Object} options - { hasAudio }
+ * @returns {String} playlist text
+ */
+export const masterPlaylist = (renditions, { hasAudio = true } = {}) => {
+  const codecs = hasAudio ? 'avc1.4d401f,mp4a.40.2' : 'avc1.4d401f';
+  const lines = ['#EXTM3U', '#EXT-X-VERSION:3'];
+  for (const rendition of [...renditions].sort((a, b) => b.height - a.height)) {
+    lines.push(
+      `#EXT-X-STREAM-INF:BANDWIDTH=${renditionBandwidth(rendition)},` +
+      `RESOLUTION=${rendition.width}x${rendition.height},CODECS="${codecs}",NAME="${rendition.name}"`,
+      `${rendition.name}/${HLS_RENDITION_PLAYLIST}`
+    );
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Seconds from an ffmpeg timemark ("HH:MM:SS.xx")
+ * @param {String} timemark - timemark
+ * @returns {number} seconds, 0 when unreadable
+ */
+export const timemarkSeconds = (timemark) => {
+  const match = /^(\d+):(\d{2}):(\d{2}(?:\.\d+)?)$/.exec(String(timemark || '').trim());
+  return match ? Number(match[1]) * 3600 + Number(match[2]) * 60 + Number(match[3]) : 0;
+};
+
+/**
+ * Fraction of a rendition done, from an ffmpeg progress event
+ * @param {Object} progress - fluent-ffmpeg progress ({ timemark, percent })
+ * @param {number} duration - source duration in seconds
+ * @returns {number} 0..1
+ */
+export const progressFraction = (progress, duration) => {
+  const seconds = timemarkSeconds(progress?.timemark);
+  const fraction = duration > 0 && seconds > 0 ? seconds / duration : (Number(progress?.percent) || 0) / 100;
+  return Math.min(1, Math.max(0, Math.round(fraction * 1000) / 1000));
+};
@@ -45,14 +45,15 @@ export const {
   generateSyncStrategy
 } = syncUtils;
 
-export const {
-  // AI utilities
+// AI utilities (bound to the aiUtils instance)
+export {
   summarizeTranscript,
   analyzeTranscriptTopics,
   generateChapters,
   transcribeAudio,
-  generateVideoDescription
-} = aiUtils;
+  generateVideoDescription,
+  translateLines
+} from './aiUtils.js';
 
 export const {
   // Encryption utilities
@@ -0,0 +1,96 @@
+import { formatTimestamp } from './subtitleFormats/common.js';
+
+/**
+ * Pure helpers for seek-bar preview thumbnails: planning the sprite sheets
+ * of a video (a grid of small frames taken every `interval` seconds), the
+ * ffmpeg output options that draw them and the WebVTT index that maps each
+ * stretch of the timeline to its tile (`sprite_000.jpg#xywh=x,y,w,h`), the
+ * format players such as Video.js and JW Player read.
+ */
+
+export const PREVIEW_TRACK = 'thumbnails.vtt';
+// Files of a preview set; anything else is not served
+export const SPRITE_FILE_PATTERN = /^sprite_\d{3}\.jpg$/;
+
+const even = (value) => Math.max(2, Math.round(value / 2) * 2);
+
+/**
+ * File name of a sprite sheet
+ * @param {number} index - sheet number, from 0
+ * @returns {string}
+ */
+export const spriteFileName = (index) => `sprite_${String(index).padStart(3, '0')}.jpg`;
+
+/**
+ * Tiles and sheets for a video. Tiles keep the video's aspect ratio (16:9
+ * when unknown) and have even sizes, as the scaler prefers.
+ * @param {Object} source - { duration, width, height } of the video
+ * @param {Object} options - { interval, columns, rows, tileWidth }
+ * @returns {{ interval, columns, rows, tileWidth, tileHeight, tiles, sheets }}
+ */
+export const planSprites = (source, options = {}) => {
+  const { interval = 5, columns = 10, rows = 10, tileWidth = 160 } = options;
+  if (!(source.duration > 0)) {
+    throw new Error('Video duration is required to plan preview sprites');
+  }
+  if (!(interval > 0) || !(columns > 0) || !(rows > 0) || !(tileWidth > 0)) {
+    throw new Error('Preview interval, grid and tile width must be positive');
+  }
+
+  const aspect = source.width > 0 && source.height > 0 ? source.height / source.width : 9 / 16;
+  const tiles = Math.max(1, Math.ceil(source.duration / interval));
+  return {
+    interval,
+    columns,
+    rows,
+    tileWidth: even(tileWidth),
+    tileHeight: even(tileWidth * aspect),
+    tiles,
+    sheets: Math.ceil(tiles / (columns * rows))
+  };
+};
+
+/**
+ * ffmpeg output options drawing every sheet of a plan in one pass over the
+ * video: one frame per interval, scaled and tiled into a grid per image.
+ * The output is an image2 pattern such as `sprite_%03d.jpg`.
+ * @param {Object} plan - from planSprites()
+ * @param {Object} options - { quality } (2 best .. 31 worst)
+ * @returns {Array<string>} output options
+ */
+export const spriteOutputOptions = (plan, { quality = 5 } = {}) => [
+  `-vf fps=1/${plan.interval},scale=${plan.tileWidth}:${plan.tileHeight},tile=${plan.columns}x${plan.rows}`,
+  '-an',
+  '-sn',
+  `-q:v ${quality}`,
+  '-start_number 0',
+  '-f image2'
+];
+
+/**
+ * WebVTT index of a plan's tiles. Sheet URLs are relative, so they resolve
+ * against wherever the track itself is served from.
+ * @param {Object} plan - from planSprites()
+ * @param {Object} options - { duration, sheets }: video duration, and how many sheets were drawn
+ *   when fewer than planned
+ * @returns {string} WebVTT text
+ */
+export const previewTrack = (plan, { duration, sheets = plan.sheets } = {}) => {
+  const perSheet = plan.columns * plan.rows;
+  const tiles = Math.min(plan.tiles, sheets * perSheet);
+  const end = duration > 0 ? duration : plan.tiles * plan.interval;
+  const blocks = ['WEBVTT'];
+
+  for (let tile = 0; tile < tiles; tile++) {
+    const start = tile * plan.interval;
+    if (start >= end) break;
+    const position = tile % perSheet;
+    const x = (position % plan.columns) * plan.tileWidth;
+    const y = Math.floor(position / plan.columns) * plan.tileHeight;
+    blocks.push(
+      `${formatTimestamp(start)} --> ${formatTimestamp(Math.min(start + plan.interval, end))}\n` +
+      `${spriteFileName(Math.floor(tile / perSheet))}#xywh=${x},${y},${plan.tileWidth},${plan.tileHeight}`
+    );
+  }
+  return `${blocks.join('\n\n')}\n`;
+};
@@ -0,0 +1,152 @@
+import redisManager from './redis.js';
+
+/**
+ * Per-room event log for reconnect-and-resume
+ * Every playback, chat and notes event broadcast to a room is stamped with a
+ * room-wide sequence number and kept in a bounded log. A client that drops
+ * presents the last sequence number it saw and gets back either the events it
+ * missed or, when the log no longer covers the gap, a request to resync from
+ * a full snapshot.
+ *
+ * With Redis available the log lives there, so sequence numbers stay ordered
+ * across nodes; otherwise it is kept in this process. Entries from different
+ * nodes can land in the Redis list out of order, and an entry whose node died
+ * after taking its sequence number never lands at all, so reads sort by
+ * sequence number and only replay a run without holes.
+ */
+export class RoomEventLog {
+  constructor() {
+    this.MAX_EVENTS = 200; // kept per room
+    this.MAX_REPLAY = 100; // beyond this many missed events a snapshot is cheaper
+    this.LOG_TTL_S = 7 * 24 * 60 * 60; // Redis keys of idle rooms expire after this
+    this.KEY_PREFIX = 'room-events:';
+    this.rooms = new Map(); // roomCode -> { seq, events } when Redis is unavailable
+    this.client = undefined; // explicit Redis client; defaults to the shared one when connected
+  }
+
+  /**
+   * Use a specific Redis client (or null to force the in-process log)
+   * @param {Object|null} client - node-redis client
+   */
+  useRedis(client) {
+    this.client = client;
+  }
+
+  getRedis() {
+    if (this.client !== undefined) return this.client;
+    return redisManager.isAvailable() ? redisManager.client : null;
+  }
+
+  normalizeCode(roomCode) {
+    return String(roomCode).toUpperCase();
+  }
+
+  /**
+   * Append an event to a room's log
+   * @param {string} roomCode - room the event was broadcast to
+   * @param {string} type - socket event name
+   * @param {Object} payload - event payload as broadcast
+   * @param {number} now - current server time in ms
+   * @returns {Promise<Object>} logged entry { seq, type, payload, at }
+   */
+  async record(roomCode, type, payload, now = Date.now()) {
+    const code = this.normalizeCode(roomCode);
+    const redis = this.getRedis();
+
+    if (redis) {
+      const seqKey = `${this.KEY_PREFIX}${code}:seq`;
+      const listKey = `${this.KEY_PREFIX}${code}:log`;
+      // The seq is reserved before the entry is written, not in the same transaction: another node
+      // may push its later entry first, and a crash in between leaves a hole that is never filled.
+      // Readers sort by seq and answer any resume spanning a hole with a snapshot.
+      const seq = Number(await redis.incr(seqKey));
+      const entry = { seq, type, payload, at: now };
+      await redis.multi()
+        .rPush(listKey, JSON.stringify(entry))
+        .lTrim(listKey, -this.MAX_EVENTS, -1)
+        .expire(seqKey, this.LOG_TTL_S)
+        .expire(listKey, this.LOG_TTL_S)
+        .exec();
+      return entry;
+    }
+
+    if (!this.rooms.has(code)) this.rooms.set(code, { seq: 0, events: [] });
+    const log = this.rooms.get(code);
+    const entry = { seq: ++log.seq, type, payload, at: now };
+    log.events.push(entry);
+    if (log.events.length > this.MAX_EVENTS) log.events.shift();
+    return entry;
+  }
+
+  /**
+   * Everything a client needs after a reconnect
+   * @param {string} roomCode - room being resumed
+   * @param {number} lastSeq - last sequence number the client saw
+   * @returns {Promise<Object>} { mode: 'replay' | 'snapshot', events, lastSeq }
+   */
+  async since(roomCode, lastSeq) {
+    const { seq: latestSeq, events } = await this.read(roomCode);
+    const snapshot = { mode: 'snapshot', events: [], lastSeq: latestSeq };
+
+    // Unknown position, or one from a log that has since been reset
+    if (!Number.isInteger(lastSeq) || lastSeq < 0 || lastSeq > latestSeq) return snapshot;
+    if (lastSeq === latestSeq) return { mode: 'replay', events: [], lastSeq: latestSeq };
+
+    const missed = events.filter(event => event.seq > lastSeq);
+    if (missed.length > this.MAX_REPLAY) return snapshot;
+    // Trimmed away, or still being written by another node: replaying around a hole would lose events
+    const contiguous = missed.length === latestSeq - lastSeq && missed.every((event, i) => event.seq === lastSeq + 1 + i);
+    if (!contiguous) return snapshot;
+
+    return { mode: 'replay', events: missed, lastSeq: latestSeq };
+  }
+
+  /**
+   * Latest sequence number handed out in a room (0 before the first event)
+   * @param {string} roomCode - room to inspect
+   * @returns {Promise<number>} sequence number
+   */
+  async latestSeq(roomCode) {
+    return (await this.read(roomCode)).seq;
+  }
+
+  async read(roomCode) {
+    const code = this.normalizeCode(roomCode);
+    const redis = this.getRedis();
+
+    if (redis) {
+      const [seq, raw] = await redis.multi()
+        .get(`${this.KEY_PREFIX}${code}:seq`)
+        .lRange(`${this.KEY_PREFIX}${code}:log`, 0, -1)
+        .exec();
+      const events = raw.map(entry => JSON.parse(entry)).sort((a, b) => a.seq - b.seq);
+      return { seq: Number(seq) || 0, events };
+    }
+
+    const log = this.rooms.get(code);
+    return log ? { seq: log.seq, events: [...log.events] } : { seq: 0, events: [] };
+  }
+
+  /**
+   * Drop a room's buffered events (it emptied or was purged). The sequence
+   * counter is kept, so anyone resuming from before the clear gets a snapshot
+   * instead of a replay with a hole in it.
+   * @param {string} roomCode - room to clear
+   */
+  async clear(roomCode) {
+    const code = this.normalizeCode(roomCode);
+    const redis = this.getRedis();
+
+    if (redis) {
+      await redis.del(`${this.KEY_PREFIX}${code}:log`);
+      return;
+    }
+    const log = this.rooms.get(code);
+    if (log) log.events = [];
+  }
+}
+
+// Create singleton instance
+const roomEventLog = new RoomEventLog();
+
+export default roomEventLog;
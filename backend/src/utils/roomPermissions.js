@@ -0,0 +1,166 @@
+import { AuthorizationError } from '../middleware/errorHandler.js';
+import { ROOM_ROLES, ROOM_ACTIONS } from './constants.js';
+
+/**
+ * Permission error raised when a room member attempts an action their role
+ * does not allow. Carries enough detail to build a structured socket error.
+ */
+export class RoomPermissionError extends AuthorizationError {
+  constructor(action, role) {
+    super(`Role '${role}' is not allowed to perform '${action}'`);
+    this.code = 'NO_PERMISSION';
+    this.details = { action, role };
+  }
+
+  /**
+   * Payload for the socket `error` event
+   * @returns {Object} structured error
+   */
+  toSocketPayload() {
+    return {
+      code: this.code,
+      message: this.message,
+      ...this.details
+    };
+  }
+}
+
+/**
+ * Room permission layer
+ * Resolves a user's role in a SyncRoom (host, moderator, controller, viewer)
+ * and decides which actions that role may perform under the room's
+ * `settings.allowControl` policy:
+ *   - host:       only the host and explicitly granted controllers drive playback
+ *   - moderators: moderators drive playback as well
+ *   - all:        every participant drives playback
+ */
+export class RoomPermissions {
+  /**
+   * Resolve a user's role in a room
+   * @param {Object} room - SyncRoom document or plain object
+   * @param {string} userId - user to resolve
+   * @returns {string} one of ROOM_ROLES
+   */
+  getRole(room, userId) {
+    if (!room || !userId) return ROOM_ROLES.VIEWER;
+    if (room.hostId === userId) return ROOM_ROLES.HOST;
+    if ((room.moderators || []).includes(userId)) return ROOM_ROLES.MODERATOR;
+    if ((room.controllers || []).includes(userId)) return ROOM_ROLES.CONTROLLER;
+    return ROOM_ROLES.VIEWER;
+  }
+
+  /**
+   * Whether a user belongs to a room: its host, or anyone who joined it.
+   * Reading the room's content (catch-up, search, questions, translations)
+   * needs membership, not a role.
+   * @param {Object} room - SyncRoom document or plain object
+   * @param {string} userId - user to check
+   * @returns {boolean}
+   */
+  isMember(room, userId) {
+    if (!room || !userId) return false;
+    return room.hostId === userId || (room.participants || []).some(participant => participant.userId === userId);
+  }
+
+  /**
+   * Check whether a user may perform an action in a room
+   * @param {Object} room - SyncRoom document or plain object
+   * @param {string} userId - acting user
+   * @param {string} action - one of ROOM_ACTIONS
+   * @returns {boolean} whether the action is allowed
+   */
+  can(room, userId, action) {
+    const role = this.getRole(room, userId);
+    const allowControl = room?.settings?.allowControl || 'host';
+
+    switch (action) {
+      case ROOM_ACTIONS.PLAYBACK:
+      case ROOM_ACTIONS.SET_VIDEO:
+      case ROOM_ACTIONS.MANAGE_QUEUE:
+        if (role === ROOM_ROLES.HOST || role === ROOM_ROLES.CONTROLLER) return true;
+        if (role === ROOM_ROLES.MODERATOR) return allowControl !== 'host';
+        return allowControl === 'all';
+      case ROOM_ACTIONS.MANAGE_CONTROLLERS:
+        return role === ROOM_ROLES.HOST || role === ROOM_ROLES.MODERATOR;
+      case ROOM_ACTIONS.MANAGE_MODERATORS:
+      case ROOM_ACTIONS.MANAGE_ROOM:
+        return role === ROOM_ROLES.HOST;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Throw unless a user may perform an action in a room
+   * @param {Object} room - SyncRoom document or plain object
+   * @param {string} userId - acting user
+   * @param {string} action - one of ROOM_ACTIONS
+   * @throws {RoomPermissionError} when the action is not allowed
+   */
+  assertCan(room, userId, action) {
+    if (!this.can(room, userId, action)) {
+      throw new RoomPermissionError(action, this.getRole(room, userId));
+    }
+  }
+
+  /**
+   * Change a member's role. Moderators may only move members between
+   * controller and viewer; the host's role can never change.
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} actorId - user making the change
+   * @param {string} targetId - user whose role changes
+   * @param {string} role - moderator | controller | viewer
+   * @returns {Object} { moderators, controllers }
+   */
+  setRole(room, actorId, targetId, role) {
+    if (![ROOM_ROLES.MODERATOR, ROOM_ROLES.CONTROLLER, ROOM_ROLES.VIEWER].includes(role)) {
+      throw new Error(`Unknown role: ${role}`);
+    }
+    if (!targetId || targetId === room.hostId) {
+      throw new Error('The host role cannot be reassigned');
+    }
+
+    const currentRole = this.getRole(room, targetId);
+    const touchesModerators = role === ROOM_ROLES.MODERATOR || currentRole === ROOM_ROLES.MODERATOR;
+    this.assertCan(room, actorId, touchesModerators ? ROOM_ACTIONS.MANAGE_MODERATORS : ROOM_ACTIONS.MANAGE_CONTROLLERS);
+
+    room.moderators = (room.moderators || []).filter(id => id !== targetId);
+    room.controllers = (room.controllers || []).filter(id => id !== targetId);
+    if (role === ROOM_ROLES.MODERATOR) room.moderators.push(targetId);
+    if (role === ROOM_ROLES.CONTROLLER) room.controllers.push(targetId);
+
+    this.refreshParticipants(room);
+
+    return { moderators: room.moderators, controllers: room.controllers };
+  }
+
+  /**
+   * Recompute the derived isHost/canControl flags on room participants
+   * @param {Object} room - SyncRoom document (mutated in place)
+   */
+  refreshParticipants(room) {
+    for (const participant of room.participants || []) {
+      participant.isHost = participant.userId === room.hostId;
+      participant.canControl = this.can(room, participant.userId, ROOM_ACTIONS.PLAYBACK);
+    }
+  }
+
+  /**
+   * Role summary sent to clients
+   * @param {Object} room - SyncRoom document or plain object
+   * @returns {Object} { hostId, moderators, controllers, allowControl }
+   */
+  describe(room) {
+    return {
+      hostId: room.hostId,
+      moderators: room.moderators || [],
+      controllers: room.controllers || [],
+      allowControl: room.settings?.allowControl || 'host'
+    };
+  }
+}
+
+// Create singleton instance
+const roomPermissions = new RoomPermissions();
+
+export default roomPermissions;
@@ -0,0 +1,262 @@
+import { nanoid } from 'nanoid';
+import { SyncRoom } from '../models/SyncRoom.js';
+import { ValidationError, NotFoundError } from '../middleware/errorHandler.js';
+import roomPermissions, { RoomPermissionError } from './roomPermissions.js';
+import syncUtils from './syncUtils.js';
+import roomVideoSource from './roomVideoSource.js';
+import { ROOM_ACTIONS } from './constants.js';
+
+/**
+ * Room playback queue
+ * Operates on a SyncRoom's `queue`, `nowPlaying` and `skipVotes` fields.
+ * Items are played in order; when the current item ends (or enough members
+ * vote to skip it) the room advances and the clock restarts at 0 on the
+ * next item's URL, so every client loads it from the same position.
+ */
+export class RoomQueue {
+  constructor() {
+    this.MAX_QUEUE_LENGTH = 100;
+    this.SKIP_VOTE_RATIO = 0.5; // strictly more than half of active members must vote
+    this.END_TOLERANCE_S = 2; // an "ended" report this early is still accepted
+    this.ACTIVE_MEMBER_WINDOW_MS = 5 * 60 * 1000;
+    this.locks = new Map(); // roomCode -> tail of the pending task chain
+  }
+
+  /**
+   * Serialize queue mutations per room so concurrent "ended" reports or votes
+   * cannot advance the same room twice
+   * @param {string} roomCode - room to lock
+   * @param {Function} task - async work to run exclusively
+   * @returns {Promise<*>} the task's result
+   */
+  async runExclusive(roomCode, task) {
+    const key = String(roomCode).toUpperCase();
+    const previous = this.locks.get(key) || Promise.resolve();
+    const run = previous.catch(() => {}).then(task);
+    const tail = run.catch(() => {});
+    this.locks.set(key, tail);
+    tail.then(() => {
+      if (this.locks.get(key) === tail) this.locks.delete(key);
+    });
+    return run;
+  }
+
+  /**
+   * Append an item to the queue. Starts it right away when nothing is loaded.
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} userId - user adding the item
+   * @param {Object} data - { videoUrl, title, duration }
+   * @param {number} now - current server time in ms
+   * @returns {Object} { item, advanced }
+   */
+  add(room, userId, { videoUrl, title, duration } = {}, now = Date.now()) {
+    roomPermissions.assertCan(room, userId, ROOM_ACTIONS.MANAGE_QUEUE);
+
+    if (!videoUrl || typeof videoUrl !== 'string') {
+      throw new ValidationError('videoUrl is required');
+    }
+    if ((room.queue || []).length >= this.MAX_QUEUE_LENGTH) {
+      throw new ValidationError(`Queue is limited to ${this.MAX_QUEUE_LENGTH} items`);
+    }
+
+    const item = {
+      id: nanoid(8),
+      videoUrl,
+      title: title || videoUrl,
+      duration: Number.isFinite(Number(duration)) && Number(duration) > 0 ? Number(duration) : undefined,
+      addedBy: userId,
+      addedAt: new Date(now)
+    };
+    room.queue = room.queue || [];
+    room.queue.push(item);
+
+    const idle = !room.nowPlaying && !room.currentState?.videoUrl;
+    const advanced = idle ? Boolean(this.advance(room, now)) : false;
+
+    return { item, advanced };
+  }
+
+  /**
+   * Remove an upcoming item. Members may always remove items they added.
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} userId - user removing the item
+   * @param {string} itemId - queue item id
+   * @returns {Object} the removed item
+   */
+  remove(room, userId, itemId) {
+    const index = this.indexOf(room, itemId);
+    const item = room.queue[index];
+    if (item.addedBy !== userId) {
+      roomPermissions.assertCan(room, userId, ROOM_ACTIONS.MANAGE_QUEUE);
+    }
+    room.queue.splice(index, 1);
+    return item;
+  }
+
+  /**
+   * Move an upcoming item to a new position
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} userId - user reordering
+   * @param {string} itemId - queue item id
+   * @param {number} toIndex - target position, clamped to the queue bounds
+   * @returns {Array} the reordered queue
+   */
+  move(room, userId, itemId, toIndex) {
+    roomPermissions.assertCan(room, userId, ROOM_ACTIONS.MANAGE_QUEUE);
+
+    const from = this.indexOf(room, itemId);
+    if (!Number.isInteger(Number(toIndex))) {
+      throw new ValidationError('toIndex must be an integer');
+    }
+    const to = Math.max(0, Math.min(room.queue.length - 1, Number(toIndex)));
+    const [item] = room.queue.splice(from, 1);
+    room.queue.splice(to, 0, item);
+    return room.queue;
+  }
+
+  /**
+   * Record a vote to skip the current item; advances once a majority of
+   * active members agree
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} userId - voting user
+   * @param {number} now - current server time in ms
+   * @returns {Object} { votes, needed, advanced }
+   */
+  voteSkip(room, userId, now = Date.now()) {
+    if (!(room.participants || []).some(p => p.userId === userId)) {
+      throw new RoomPermissionError('vote-skip', roomPermissions.getRole(room, userId));
+    }
+    if (!room.nowPlaying && !(room.queue || []).length) {
+      throw new ValidationError('Nothing to skip');
+    }
+
+    room.skipVotes = room.skipVotes || [];
+    if (!room.skipVotes.includes(userId)) room.skipVotes.push(userId);
+
+    const votes = room.skipVotes.length;
+    const needed = this.votesNeeded(room, now);
+    const advanced = votes >= needed ? (this.advance(room, now), true) : false;
+
+    return { votes, needed, advanced };
+  }
+
+  /**
+   * Skip the current item without a vote (controllers)
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} userId - acting user
+   * @param {number} now - current server time in ms
+   * @returns {Object|null} the new current item
+   */
+  skip(room, userId, now = Date.now()) {
+    roomPermissions.assertCan(room, userId, ROOM_ACTIONS.MANAGE_QUEUE);
+    return this.advance(room, now);
+  }
+
+  /**
+   * Handle a client reporting that the current item finished. Reports while
+   * nothing is playing, for an item that is no longer current, or that arrive
+   * well before the item's known duration, are ignored.
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} itemId - item the client saw end
+   * @param {number} now - current server time in ms
+   * @returns {boolean} whether the room advanced
+   */
+  handleEnded(room, itemId, now = Date.now()) {
+    const current = room.nowPlaying;
+    if (!current || !itemId || current.id !== itemId) return false;
+
+    if (current.duration) {
+      const position = syncUtils.extrapolatePosition(room.currentState, now);
+      if (position < current.duration - this.END_TOLERANCE_S) return false;
+    }
+
+    this.advance(room, now);
+    return true;
+  }
+
+  /**
+   * Save a room that advanced, but only if it is still on the item it
+   * advanced from. runExclusive() only serializes within this process; this
+   * conditional write keeps two instances from both advancing the same item.
+   * @param {Object} room - SyncRoom document, already advanced in memory
+   * @param {string|null} previousItemId - `nowPlaying.id` before the advance
+   * @returns {Promise<boolean>} false when another instance advanced first
+   */
+  async saveAdvance(room, previousItemId) {
+    const { queue, nowPlaying, skipVotes, currentState } = room.toObject();
+    const saved = await SyncRoom.findOneAndUpdate(
+      { _id: room._id, 'nowPlaying.id': previousItemId ?? null },
+      { $set: { queue, nowPlaying, skipVotes, currentState } },
+      { new: true }
+    );
+    return Boolean(saved);
+  }
+
+  /**
+   * Load the next item and restart the room clock on it. With an empty queue
+   * the room pauses on whatever was last playing.
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {number} now - current server time in ms
+   * @returns {Object|null} the new current item
+   */
+  advance(room, now = Date.now()) {
+    const next = (room.queue || []).length ? room.queue.shift() : null;
+    room.nowPlaying = next;
+    room.skipVotes = [];
+
+    room.currentState = room.currentState || {};
+    if (next) {
+      roomVideoSource.useStream(room, next.videoUrl);
+      room.currentState.t = 0;
+      room.currentState.paused = false;
+    } else {
+      room.currentState.t = syncUtils.extrapolatePosition(room.currentState, now);
+      room.currentState.paused = true;
+    }
+    room.currentState.anchorAt = new Date(now);
+    room.currentState.lastUpdatedAt = new Date(now);
+
+    return next;
+  }
+
+  /**
+   * Votes required to skip: a strict majority of recently active members
+   * @param {Object} room - SyncRoom document or plain object
+   * @param {number} now - current server time in ms
+   * @returns {number} votes needed
+   */
+  votesNeeded(room, now = Date.now()) {
+    const active = (room.participants || []).filter(p =>
+      !p.lastSeen || now - new Date(p.lastSeen).getTime() < this.ACTIVE_MEMBER_WINDOW_MS
+    ).length;
+    return Math.max(1, Math.min(active, Math.floor(active * this.SKIP_VOTE_RATIO) + 1));
+  }
+
+  /**
+   * Queue summary sent to clients
+   * @param {Object} room - SyncRoom document or plain object
+   * @param {number} now - current server time in ms
+   * @returns {Object} { queue, nowPlaying, skipVotes, skipVotesNeeded }
+   */
+  describe(room, now = Date.now()) {
+    const plain = (item) => (item?.toObject ? item.toObject() : item) || null;
+    return {
+      queue: (room.queue || []).map(plain),
+      nowPlaying: plain(room.nowPlaying),
+      skipVotes: (room.skipVotes || []).length,
+      skipVotesNeeded: this.votesNeeded(room, now)
+    };
+  }
+
+  // Position of an upcoming item, or NotFoundError
+  indexOf(room, itemId) {
+    const index = (room.queue || []).findIndex(item => item.id === itemId);
+    if (index === -1) throw new NotFoundError('Queue item');
+    return index;
+  }
+}
+
+// Create singleton instance
+const roomQueue = new RoomQueue();
+
+export default roomQueue;
@@ -0,0 +1,164 @@
+import { ValidationError } from '../middleware/errorHandler.js';
+import roomPermissions from './roomPermissions.js';
+import syncUtils from './syncUtils.js';
+import { ROOM_ACTIONS } from './constants.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Persistent room lifecycle
+ * Temporary rooms expire through the `expiresAt` TTL index. Persistent rooms
+ * have no `expiresAt`; they go dormant when the last member leaves (freezing
+ * the playback clock where it was), wake on the next join, and are only
+ * purged by the owner's retention policy:
+ *   - inactivity: purge after `inactiveDays` without anyone joining
+ *   - forever:    never purge
+ */
+export class RoomRetention {
+  constructor() {
+    this.POLICIES = ['inactivity', 'forever'];
+    this.DEFAULT_INACTIVE_DAYS = 30;
+    this.MIN_INACTIVE_DAYS = 1;
+    this.MAX_INACTIVE_DAYS = 365;
+    this.TEMPORARY_ROOM_TTL_MS = 6 * 60 * 60 * 1000;
+    this.STALE_ACTIVE_MS = 60 * 60 * 1000; // persistent rooms left "active" by a crash go dormant after this
+  }
+
+  /**
+   * Turn persistence on or off and set the retention policy (host only)
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} userId - acting user
+   * @param {Object} options - { persistent, retention: { policy, inactiveDays } }
+   * @param {number} now - current server time in ms
+   * @returns {Object} persistence summary
+   */
+  configure(room, userId, { persistent, retention } = {}, now = Date.now()) {
+    roomPermissions.assertCan(room, userId, ROOM_ACTIONS.MANAGE_ROOM);
+
+    if (retention) {
+      const policy = retention.policy ?? room.retention?.policy ?? 'inactivity';
+      if (!this.POLICIES.includes(policy)) {
+        throw new ValidationError(`Retention policy must be one of: ${this.POLICIES.join(', ')}`);
+      }
+      const inactiveDays = Number(retention.inactiveDays ?? room.retention?.inactiveDays ?? this.DEFAULT_INACTIVE_DAYS);
+      if (!Number.isInteger(inactiveDays) || inactiveDays < this.MIN_INACTIVE_DAYS || inactiveDays > this.MAX_INACTIVE_DAYS) {
+        throw new ValidationError(`inactiveDays must be between ${this.MIN_INACTIVE_DAYS} and ${this.MAX_INACTIVE_DAYS}`);
+      }
+      room.retention = { policy, inactiveDays };
+    }
+
+    if (persistent === true) {
+      room.persistent = true;
+      room.expiresAt = undefined;
+      if (room.video) {
+        room.video.isTemporary = false;
+        room.video.expiresAt = undefined;
+      }
+    } else if (persistent === false && room.persistent) {
+      room.persistent = false;
+      room.expiresAt = new Date(now + this.TEMPORARY_ROOM_TTL_MS);
+      if (room.status === 'dormant') this.wake(room, now);
+    }
+
+    return this.describe(room);
+  }
+
+  /**
+   * Put an empty persistent room to sleep, keeping its position for next time
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {number} now - current server time in ms
+   * @returns {boolean} whether the room went dormant
+   */
+  markDormant(room, now = Date.now()) {
+    if (!room.persistent || room.status !== 'active') return false;
+
+    room.currentState = room.currentState || {};
+    room.currentState.t = syncUtils.extrapolatePosition(room.currentState, now);
+    room.currentState.paused = true;
+    room.currentState.anchorAt = new Date(now);
+    room.participants = [];
+    room.skipVotes = [];
+    room.status = 'dormant';
+    room.dormantSince = new Date(now);
+    room.lastActiveAt = new Date(now);
+    return true;
+  }
+
+  /**
+   * Wake a dormant room on join; also records activity for retention
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {number} now - current server time in ms
+   * @returns {boolean} whether the room was dormant
+   */
+  wake(room, now = Date.now()) {
+    room.lastActiveAt = new Date(now);
+    if (room.status !== 'dormant') return false;
+
+    room.status = 'active';
+    room.dormantSince = undefined;
+    return true;
+  }
+
+  /**
+   * Whether an active persistent room has been left without anyone for too long
+   * (e.g. the server restarted before the last member's leave was recorded)
+   * @param {Object} room - SyncRoom document or plain object
+   * @param {number} now - current server time in ms
+   * @returns {boolean} whether the room should go dormant
+   */
+  isStale(room, now = Date.now()) {
+    if (!room.persistent || room.status !== 'active') return false;
+    const lastSeen = Math.max(
+      new Date(room.lastActiveAt || 0).getTime(),
+      ...(room.participants || []).map(p => new Date(p.lastSeen || 0).getTime())
+    );
+    return now - lastSeen > this.STALE_ACTIVE_MS;
+  }
+
+  /**
+   * When a dormant persistent room will be purged
+   * @param {Object} room - SyncRoom document or plain object
+   * @returns {Date|null} purge time, or null when the room is kept
+   */
+  purgeAt(room) {
+    if (!room.persistent || room.status !== 'dormant') return null;
+    if (room.retention?.policy === 'forever') return null;
+    const days = room.retention?.inactiveDays ?? this.DEFAULT_INACTIVE_DAYS;
+    return new Date(new Date(room.lastActiveAt || room.dormantSince).getTime() + days * DAY_MS);
+  }
+
+  /**
+   * Whether the retention policy says a room should be purged now
+   * @param {Object} room - SyncRoom document or plain object
+   * @param {number} now - current server time in ms
+   * @returns {boolean} whether to purge
+   */
+  isExpired(room, now = Date.now()) {
+    const purgeAt = this.purgeAt(room);
+    return Boolean(purgeAt) && purgeAt.getTime() <= now;
+  }
+
+  /**
+   * Persistence summary sent to clients
+   * @param {Object} room - SyncRoom document or plain object
+   * @returns {Object} { persistent, status, retention, lastActiveAt, dormantSince, purgeAt }
+   */
+  describe(room) {
+    return {
+      persistent: Boolean(room.persistent),
+      status: room.status,
+      retention: {
+        policy: room.retention?.policy || 'inactivity',
+        inactiveDays: room.retention?.inactiveDays ?? this.DEFAULT_INACTIVE_DAYS
+      },
+      lastActiveAt: room.lastActiveAt || null,
+      dormantSince: room.dormantSince || null,
+      purgeAt: this.purgeAt(room)
+    };
+  }
+}
+
+// Create singleton instance
+const roomRetention = new RoomRetention();
+
+export default roomRetention;
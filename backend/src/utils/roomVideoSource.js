@@ -0,0 +1,166 @@
+import { AuthorizationError, ValidationError } from '../middleware/errorHandler.js';
+import roomPermissions from './roomPermissions.js';
+import { isContentHash } from './contentHash.js';
+import { ROOM_ACTIONS } from './constants.js';
+
+const STREAM_URL_PATTERN = /\/api\/videos\/([0-9a-f]{24})\/(?:stream|hls\/)/i;
+
+/**
+ * Raised when a participant of a local-file room tries to sync before the
+ * server has checked their file
+ */
+export class LocalFileError extends AuthorizationError {
+  constructor(message = 'Open the room\'s video file and verify it before syncing') {
+    super(message);
+    this.code = 'FILE_NOT_VERIFIED';
+  }
+
+  /**
+   * Payload for the socket `error` event
+   * @returns {Object} structured error
+   */
+  toSocketPayload() {
+    return { code: this.code, message: this.message };
+  }
+}
+
+/**
+ * What a room plays
+ * Operates on a SyncRoom's `currentState` source fields. A room either
+ * streams a URL to everyone ('stream'), or has every participant open their
+ * own copy of the same file ('local'): the host names the file by its
+ * content hash (utils/contentHash.js), each participant's browser hashes the
+ * file they opened, and the server only lets a participant sync once their
+ * hash matches the room's. Changing the file invalidates every earlier match.
+ */
+export class RoomVideoSource {
+  /**
+   * Play a URL for everyone
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} videoUrl - URL every participant loads
+   * @param {Object} video - { videoId, contentHash } of a library video, when known
+   */
+  useStream(room, videoUrl, { videoId, contentHash } = {}) {
+    room.currentState = room.currentState || {};
+    room.currentState.source = 'stream';
+    room.currentState.videoUrl = videoUrl;
+    room.currentState.videoId = videoId || String(videoUrl || '').match(STREAM_URL_PATTERN)?.[1] || null;
+    room.currentState.videoHash = isContentHash(contentHash) ? contentHash : null;
+    room.currentState.videoSize = null;
+    room.currentState.videoName = null;
+  }
+
+  /**
+   * Have everyone play their own copy of a file. The room clock restarts,
+   * paused, and only the user who set the file starts out verified.
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} userId - user setting the file
+   * @param {Object} file - { hash, size, name } as hashed by the user's browser
+   * @param {number} now - current server time in ms
+   */
+  useLocalFile(room, userId, { hash, size, name } = {}, now = Date.now()) {
+    roomPermissions.assertCan(room, userId, ROOM_ACTIONS.SET_VIDEO);
+    if (!isContentHash(hash)) {
+      throw new ValidationError('A content hash (64 hex characters) is required');
+    }
+
+    room.currentState = room.currentState || {};
+    Object.assign(room.currentState, {
+      source: 'local',
+      videoHash: hash,
+      videoSize: Number.isSafeInteger(size) && size > 0 ? size : null,
+      videoName: name ? String(name).slice(0, 255) : null,
+      videoUrl: '',
+      videoId: null,
+      t: 0,
+      paused: true,
+      anchorAt: new Date(now),
+      lastUpdatedBy: userId,
+      lastUpdatedAt: new Date(now)
+    });
+    this.record(room, userId, hash);
+  }
+
+  /**
+   * Check the file a participant opened against the room's
+   * @param {Object} room - SyncRoom document (mutated in place)
+   * @param {string} userId - participant
+   * @param {Object} file - { hash, size } as hashed by the participant's browser
+   * @returns {{ verified: boolean, reason: string|null }}
+   */
+  verify(room, userId, { hash, size } = {}) {
+    if (room.currentState?.source !== 'local') {
+      throw new ValidationError('The room is not playing a local file');
+    }
+
+    const expected = room.currentState;
+    let reason = null;
+    if (!isContentHash(hash)) {
+      reason = 'invalid-hash';
+    } else if (expected.videoSize && size !== undefined && size !== expected.videoSize) {
+      reason = 'size-mismatch';
+    } else if (hash !== expected.videoHash) {
+      reason = 'hash-mismatch';
+    }
+
+    this.record(room, userId, reason ? null : hash);
+    return { verified: !reason, reason };
+  }
+
+  /**
+   * Whether a participant may sync: always in a streaming room, and in a
+   * local-file room once their file matched
+   * @param {Object} room - SyncRoom document or plain object
+   * @param {string} userId - participant
+   * @returns {boolean}
+   */
+  isVerified(room, userId) {
+    if (room.currentState?.source !== 'local') return true;
+    const participant = (room.participants || []).find(p => p.userId === userId);
+    return Boolean(participant?.verifiedHash) && participant.verifiedHash === room.currentState.videoHash;
+  }
+
+  /**
+   * @throws {LocalFileError} unless the participant may sync
+   */
+  assertVerified(room, userId) {
+    if (!this.isVerified(room, userId)) {
+      throw new LocalFileError();
+    }
+  }
+
+  // Remember the hash a participant's file matched (null: it did not)
+  record(room, userId, hash) {
+    room.participants = room.participants || [];
+    let participant = room.participants.find(p => p.userId === userId);
+    if (!participant) {
+      room.participants.push({ userId, lastSeen: new Date() });
+      participant = room.participants[room.participants.length - 1];
+    }
+    participant.verifiedHash = hash || undefined;
+  }
+
+  /**
+   * Source summary sent to clients
+   * @param {Object} room - SyncRoom document or plain object
+   * @returns {Object} { source, videoHash, videoSize, videoName, verifiedParticipants }
+   */
+  describe(room) {
+    const state = room.currentState || {};
+    const source = state.source || 'stream';
+    return {
+      source,
+      videoHash: state.videoHash || null,
+      videoSize: state.videoSize || null,
+      videoName: state.videoName || null,
+      verifiedParticipants: source === 'local'
+        ? (room.participants || []).filter(p => this.isVerified(room, p.userId)).map(p => p.userId)
+        : []
+    };
+  }
+}
+
+// Create singleton instance
+const roomVideoSource = new RoomVideoSource();
+
+export default roomVideoSource;
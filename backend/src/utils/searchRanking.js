@@ -0,0 +1,144 @@
+/**
+ * Ranking helpers for room search: BM25 over word tokens, cosine similarity
+ * of embedding vectors, and reciprocal rank fusion to merge the two. Pure
+ * functions; services/searchService.js gathers the documents.
+ */
+
+import { tokenize, STOP_WORDS } from './textAnalysis.js';
+
+export const BM25_DEFAULTS = { k1: 1.2, b: 0.75 };
+// Reciprocal rank fusion constant; larger values flatten the head of each ranking
+const FUSION_K = 60;
+
+/**
+ * Crude suffix stripping so "storms", "stormed" and "storming" meet
+ * @param {string} token - lowercase token
+ * @returns {string} stem
+ */
+export const stem = (token) => {
+  if (token.length > 4 && token.endsWith('ies')) return `${token.slice(0, -3)}y`;
+  if (token.endsWith('ss')) return token;
+  const suffix = [['ing', 3], ['ed', 4], ['s', 3]].find(([ending, rest]) => (
+    token.endsWith(ending) && token.length - ending.length >= rest
+  ));
+  return suffix ? token.slice(0, -suffix[0].length) : token;
+};
+
+/**
+ * Stemmed search terms. Documents keep every word so short queries ("AI",
+ * "to be") can still match; queries drop stop words unless nothing else is left.
+ * @param {string} text - text
+ * @param {Object} options - { query }
+ * @returns {string[]} terms in order
+ */
+export const searchTerms = (text, { query = false } = {}) => {
+  const tokens = tokenize(text, { keepStopWords: true });
+  const content = query ? tokens.filter(token => !STOP_WORDS.has(token)) : [];
+  return (content.length ? content : tokens).map(stem);
+};
+
+/**
+ * Okapi BM25 score of every document for a query
+ * @param {string[][]} documents - document terms (see searchTerms)
+ * @param {string[]} query - query terms
+ * @param {Object} options - { k1, b }
+ * @returns {number[]} score per document, 0 when no term matches
+ */
+export const bm25Scores = (documents, query, options = {}) => {
+  const { k1, b } = { ...BM25_DEFAULTS, ...options };
+  if (documents.length === 0 || query.length === 0) return documents.map(() => 0);
+
+  const averageLength = documents.reduce((sum, terms) => sum + terms.length, 0) / documents.length || 1;
+  const queryTerms = [...new Set(query)];
+  const documentFrequency = new Map(queryTerms.map(term => [term, 0]));
+  const counts = documents.map((terms) => {
+    const frequencies = new Map();
+    for (const term of terms) {
+      if (documentFrequency.has(term)) frequencies.set(term, (frequencies.get(term) || 0) + 1);
+    }
+    for (const term of frequencies.keys()) documentFrequency.set(term, documentFrequency.get(term) + 1);
+    return frequencies;
+  });
+
+  return documents.map((terms, index) => {
+    let score = 0;
+    for (const [term, frequency] of counts[index]) {
+      const n = documentFrequency.get(term);
+      const idf = Math.log(1 + (documents.length - n + 0.5) / (n + 0.5));
+      score += idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + (b * terms.length) / averageLength));
+    }
+    return score;
+  });
+};
+
+/**
+ * Cosine similarity of two dense vectors
+ * @param {number[]} a - vector
+ * @param {number[]} b - vector
+ * @returns {number} similarity in [-1, 1]
+ */
+export const vectorCosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Document indexes ordered by score, best first, leaving out scores at or
+ * below `minScore`
+ */
+export const rankByScore = (scores, minScore = 0) => scores
+  .map((score, index) => ({ score, index }))
+  .filter(entry => entry.score > minScore)
+  .sort((a, b) => b.score - a.score || a.index - b.index)
+  .map(entry => entry.index);
+
+/**
+ * Merge several rankings with reciprocal rank fusion; a document ranked well
+ * by any of them ranks well overall
+ * @param {number[][]} rankings - document indexes, best first
+ * @returns {Map<number, number>} document index -> fused score
+ */
+export const fuseRankings = (rankings) => {
+  const fused = new Map();
+  for (const ranking of rankings) {
+    ranking.forEach((index, rank) => {
+      fused.set(index, (fused.get(index) || 0) + 1 / (FUSION_K + rank + 1));
+    });
+  }
+  return fused;
+};
+
+/**
+ * Character ranges of the words in `text` that match query terms, for the
+ * client to highlight
+ * @param {string} text - document text
+ * @param {string[]} query - query terms
+ * @returns {Array<[number, number]>} [start, end) ranges
+ */
+export const matchRanges = (text, query) => {
+  const terms = new Set(query);
+  const ranges = [];
+  for (const match of String(text || '').matchAll(/[\p{L}\p{N}'’]+/gu)) {
+    const word = match[0].toLowerCase().replace(/[’']/g, '');
+    if (terms.has(stem(word))) ranges.push([match.index, match.index + match[0].length]);
+  }
+  return ranges;
+};
+
+export default {
+  BM25_DEFAULTS,
+  stem,
+  searchTerms,
+  bm25Scores,
+  vectorCosine,
+  rankByScore,
+  fuseRankings,
+  matchRanges
+};
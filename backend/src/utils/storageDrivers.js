@@ -0,0 +1,429 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+/**
+ * Storage drivers for uploaded media and derived artifacts (thumbnails,
+ * transcripts)
+ *
+ * A driver has a `name` and five async methods, all addressed by a storage
+ * key: a relative, '/'-separated path such as "videos/ab/abcd….mp4".
+ *
+ *   put(key, source, { contentType, move })  -> { key, size }
+ *     source is a Buffer, a Readable, or the path of a local file (moved
+ *     into storage when `move` is set, copied otherwise)
+ *   createReadStream(key, { start, end })    -> Readable (end inclusive)
+ *   stat(key)                                -> { size, contentType } or null
+ *   delete(key)                              -> whether something was deleted
+ *   signedUrl(key, { expiresIn })            -> URL anyone can GET until it expires
+ *
+ * and `localPath(key)`: the file on this machine, or null when the bytes
+ * live elsewhere (tools like ffmpeg then read the signed URL instead).
+ */
+
+const KEY_PATTERN = /^[\w.-]+(?:\/[\w.-]+)*$/;
+
+/**
+ * Check a storage key; keys never climb out of the storage root
+ * @param {string} key - storage key
+ * @returns {string} the key
+ * @throws {ValidationError} when the key is malformed
+ */
+export const assertStorageKey = (key) => {
+  if (typeof key !== 'string' || !KEY_PATTERN.test(key) || key.split('/').some(part => part === '.' || part === '..')) {
+    throw new ValidationError(`Invalid storage key: ${key}`);
+  }
+  return key;
+};
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding, as SigV4 wants it
+const encodeRfc3986 = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const encodeKeyPath = (key) => key.split('/').map(encodeRfc3986).join('/');
+
+/**
+ * Media stored in a directory on this machine. Signed URLs point at the API's
+ * media route (routes/mediaRoutes.js), which checks them with verify().
+ */
+export class LocalStorageDriver {
+  /**
+   * @param {Object} options - { root, signingSecret, baseUrl }
+   */
+  constructor({ root, signingSecret, baseUrl = '/api/media' } = {}) {
+    if (!root) {
+      throw new ValidationError('The local storage driver needs a root directory');
+    }
+    this.name = 'local';
+    this.root = path.resolve(root);
+    this.signingSecret = signingSecret || null;
+    this.baseUrl = baseUrl.replace(/\/$/, '');
+  }
+
+  localPath(key) {
+    return path.join(this.root, ...assertStorageKey(key).split('/'));
+  }
+
+  async put(key, source, { move = false } = {}) {
+    const target = this.localPath(key);
+    await fs.promises.mkdir(path.dirname(target), { recursive: true });
+
+    if (typeof source === 'string') {
+      if (move) {
+        try {
+          await fs.promises.rename(source, target);
+        } catch (error) {
+          // Source on another disk
+          if (error.code !== 'EXDEV') throw error;
+          await fs.promises.copyFile(source, target);
+          await fs.promises.unlink(source);
+        }
+      } else {
+        await fs.promises.copyFile(source, target);
+      }
+    } else {
+      // Write then rename, so a crash or a broken stream never leaves a partial file behind
+      const temp = `${target}.${process.pid}.tmp`;
+      try {
+        if (Buffer.isBuffer(source)) {
+          await fs.promises.writeFile(temp, source);
+        } else {
+          await pipeline(source, fs.createWriteStream(temp));
+        }
+        await fs.promises.rename(temp, target);
+      } catch (error) {
+        await fs.promises.rm(temp, { force: true });
+        throw error;
+      }
+    }
+
+    const { size } = await fs.promises.stat(target);
+    return { key, size };
+  }
+
+  async createReadStream(key, { start, end } = {}) {
+    const filePath = this.localPath(key);
+    // Fail here, not half way through a response
+    await fs.promises.access(filePath, fs.constants.R_OK);
+    return fs.createReadStream(filePath, { start, end });
+  }
+
+  async stat(key) {
+    try {
+      const stats = await fs.promises.stat(this.localPath(key));
+      return stats.isFile() ? { size: stats.size, contentType: null } : null;
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  async delete(key) {
+    try {
+      await fs.promises.unlink(this.localPath(key));
+      return true;
+    } catch (error) {
+      if (error.code === 'ENOENT') return false;
+      throw error;
+    }
+  }
+
+  signature(key, expires) {
+    if (!this.signingSecret) {
+      throw new ValidationError('Signed media URLs need STORAGE_SIGNING_SECRET (or JWT_SECRET)');
+    }
+    return crypto.createHmac('sha256', this.signingSecret).update(`${key}\n${expires}`).digest('hex');
+  }
+
+  async signedUrl(key, { expiresIn = 3600, now = Date.now() } = {}) {
+    const expires = Math.floor(now / 1000) + expiresIn;
+    const signature = this.signature(assertStorageKey(key), expires);
+    return `${this.baseUrl}/${encodeKeyPath(key)}?expires=${expires}&signature=${signature}`;
+  }
+
+  /**
+   * Whether a signed URL's parameters are genuine and still valid
+   * @param {string} key - storage key from the URL path
+   * @param {Object} params - { expires, signature } from the query string
+   * @param {number} now - current time in ms
+   * @returns {boolean}
+   */
+  verify(key, { expires, signature } = {}, now = Date.now()) {
+    const expiresAt = Number(expires);
+    if (!Number.isSafeInteger(expiresAt) || expiresAt * 1000 < now || typeof signature !== 'string') {
+      return false;
+    }
+    const expected = Buffer.from(this.signature(key, expiresAt), 'hex');
+    const given = Buffer.from(signature, 'hex');
+    return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+  }
+}
+
+/**
+ * Media in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2...), spoken
+ * to directly over HTTP with Signature Version 4. Files larger than
+ * `multipartThreshold` are sent as a multipart upload, so the 5 GB limit of a
+ * single PUT does not apply.
+ */
+export class S3StorageDriver {
+  /**
+   * @param {Object} options - { endpoint, region, bucket, accessKeyId, secretAccessKey,
+   *   forcePathStyle, partSize, multipartThreshold, fetch }
+   */
+  constructor({
+    endpoint,
+    region = 'us-east-1',
+    bucket,
+    accessKeyId,
+    secretAccessKey,
+    forcePathStyle = true,
+    partSize = 64 * 1024 * 1024,
+    multipartThreshold = 128 * 1024 * 1024,
+    fetch: fetchImpl = globalThis.fetch
+  } = {}) {
+    if (!bucket || !accessKeyId || !secretAccessKey) {
+      throw new ValidationError('The S3 storage driver needs S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+    this.name = 's3';
+    this.endpoint = new URL(endpoint || `https://s3.${region}.amazonaws.com`);
+    this.region = region;
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.forcePathStyle = forcePathStyle;
+    this.partSize = partSize;
+    this.multipartThreshold = multipartThreshold;
+    this.fetch = fetchImpl;
+  }
+
+  localPath() {
+    return null;
+  }
+
+  objectUrl(key) {
+    const url = new URL(this.endpoint);
+    const objectPath = encodeKeyPath(assertStorageKey(key));
+    if (this.forcePathStyle) {
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${encodeRfc3986(this.bucket)}/${objectPath}`;
+    } else {
+      url.hostname = `${this.bucket}.${url.hostname}`;
+      url.pathname = `${url.pathname.replace(/\/$/, '')}/${objectPath}`;
+    }
+    return url;
+  }
+
+  signingKey(date) {
+    const dateKey = hmac(`AWS4${this.secretAccessKey}`, date);
+    return hmac(hmac(hmac(dateKey, this.region), 's3'), 'aws4_request');
+  }
+
+  /**
+   * SigV4 signature of a request
+   * @returns {{ signature: string, signedHeaders: string, scope: string }}
+   */
+  sign({ method, url, headers, payloadHash, amzDate }) {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const names = Object.keys(headers).map(name => name.toLowerCase()).sort();
+    const lowered = Object.fromEntries(Object.entries(headers).map(([name, value]) => [name.toLowerCase(), value]));
+    const signedHeaders = names.join(';');
+
+    const query = [...url.searchParams.entries()]
+      .map(([name, value]) => [encodeRfc3986(name), encodeRfc3986(value)])
+      .sort(([a, x], [b, y]) => (a === b ? (x < y ? -1 : 1) : (a < b ? -1 : 1)))
+      .map(([name, value]) => `${name}=${value}`)
+      .join('&');
+
+    const canonicalRequest = [
+      method,
+      url.pathname,
+      query,
+      names.map(name => `${name}:${String(lowered[name]).trim().replace(/\s+/g, ' ')}\n`).join(''),
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+    return {
+      signature: crypto.createHmac('sha256', this.signingKey(date)).update(stringToSign).digest('hex'),
+      signedHeaders,
+      scope
+    };
+  }
+
+  async request(method, key, { query = {}, headers = {}, body, contentLength, expect = [200] } = {}) {
+    const url = this.objectUrl(key);
+    for (const [name, value] of Object.entries(query)) {
+      url.searchParams.set(name, value);
+    }
+
+    const amzDate = new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const payloadHash = Buffer.isBuffer(body) || typeof body === 'string' ? sha256Hex(body) : 'UNSIGNED-PAYLOAD';
+    const signed = {
+      host: url.host,
+      'x-amz-date': amzDate,
+      'x-amz-content-sha256': payloadHash,
+      ...headers
+    };
+    if (contentLength !== undefined) {
+      signed['content-length'] = String(contentLength);
+    }
+    const { signature, signedHeaders, scope } = this.sign({ method, url, headers: signed, payloadHash, amzDate });
+
+    const { host: _host, ...sent } = signed;
+    const response = await this.fetch(url, {
+      method,
+      headers: {
+        ...sent,
+        authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      },
+      body,
+      ...(body && !Buffer.isBuffer(body) && typeof body !== 'string' ? { duplex: 'half' } : {})
+    });
+
+    if (!expect.includes(response.status)) {
+      const detail = (await response.text().catch(() => '')).match(/<Message>([^<]*)<\/Message>/)?.[1];
+      const error = new Error(`S3 ${method} ${key} failed with ${response.status}${detail ? `: ${detail}` : ''}`);
+      error.statusCode = response.status;
+      throw error;
+    }
+    return response;
+  }
+
+  async put(key, source, { contentType = 'application/octet-stream', move = false } = {}) {
+    const headers = { 'content-type': contentType };
+    let size;
+
+    if (Buffer.isBuffer(source)) {
+      size = source.length;
+      await this.request('PUT', key, { headers, body: source, contentLength: size });
+    } else if (typeof source === 'string') {
+      ({ size } = await fs.promises.stat(source));
+      if (size > this.multipartThreshold) {
+        await this.putMultipart(key, source, size, headers);
+      } else {
+        await this.request('PUT', key, {
+          headers,
+          body: Readable.toWeb(fs.createReadStream(source)),
+          contentLength: size
+        });
+      }
+      if (move) {
+        await fs.promises.unlink(source).catch(() => {});
+      }
+    } else {
+      // A stream of unknown length: S3 needs the length up front, so buffer it
+      const chunks = [];
+      for await (const chunk of source) chunks.push(chunk);
+      return this.put(key, Buffer.concat(chunks), { contentType });
+    }
+
+    return { key, size };
+  }
+
+  async putMultipart(key, filePath, size, headers) {
+    const created = await this.request('POST', key, { query: { uploads: '' }, headers });
+    const uploadId = (await created.text()).match(/<UploadId>([^<]+)<\/UploadId>/)?.[1];
+    if (!uploadId) {
+      throw new Error(`S3 did not start a multipart upload for ${key}`);
+    }
+
+    try {
+      const parts = [];
+      for (let start = 0, partNumber = 1; start < size; start += this.partSize, partNumber++) {
+        const end = Math.min(start + this.partSize, size) - 1;
+        const response = await this.request('PUT', key, {
+          query: { partNumber: String(partNumber), uploadId },
+          body: Readable.toWeb(fs.createReadStream(filePath, { start, end })),
+          contentLength: end - start + 1
+        });
+        parts.push({ partNumber, etag: response.headers.get('etag') });
+      }
+
+      const manifest = '<CompleteMultipartUpload>'
+        + parts.map(part => `<Part><PartNumber>${part.partNumber}</PartNumber><ETag>${part.etag}</ETag></Part>`).join('')
+        + '</CompleteMultipartUpload>';
+      const completed = await this.request('POST', key, { query: { uploadId }, body: manifest });
+      // S3 may answer 200 with an error document when completing fails late
+      const text = await completed.text();
+      if (text.includes('<Error>')) {
+        throw new Error(`S3 could not complete the multipart upload of ${key}`);
+      }
+    } catch (error) {
+      await this.request('DELETE', key, { query: { uploadId }, expect: [204, 404] }).catch(() => {});
+      throw error;
+    }
+  }
+
+  async createReadStream(key, { start, end } = {}) {
+    const headers = {};
+    if (start !== undefined || end !== undefined) {
+      headers.range = `bytes=${start ?? 0}-${end ?? ''}`;
+    }
+    const response = await this.request('GET', key, { headers, expect: [200, 206] });
+    return Readable.fromWeb(response.body);
+  }
+
+  async stat(key) {
+    const response = await this.request('HEAD', key, { expect: [200, 404] });
+    if (response.status === 404) return null;
+    return {
+      size: Number(response.headers.get('content-length')),
+      contentType: response.headers.get('content-type')
+    };
+  }
+
+  async delete(key) {
+    // S3 answers 204 whether or not the object existed
+    await this.request('DELETE', key, { expect: [204, 200] });
+    return true;
+  }
+
+  async signedUrl(key, { expiresIn = 3600, now = Date.now() } = {}) {
+    const url = this.objectUrl(key);
+    const amzDate = new Date(now).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+    const scope = `${amzDate.slice(0, 8)}/${this.region}/s3/aws4_request`;
+    url.searchParams.set('X-Amz-Algorithm', 'AWS4-HMAC-SHA256');
+    url.searchParams.set('X-Amz-Credential', `${this.accessKeyId}/${scope}`);
+    url.searchParams.set('X-Amz-Date', amzDate);
+    url.searchParams.set('X-Amz-Expires', String(expiresIn));
+    url.searchParams.set('X-Amz-SignedHeaders', 'host');
+
+    const { signature } = this.sign({
+      method: 'GET',
+      url,
+      headers: { host: url.host },
+      payloadHash: 'UNSIGNED-PAYLOAD',
+      amzDate
+    });
+    url.searchParams.set('X-Amz-Signature', signature);
+    return url.toString();
+  }
+}
+
+/**
+ * Build the driver named in config (or a test double)
+ * @param {string} name - 'local' or 's3'
+ * @param {Object} options - storage config
+ * @returns {Object} driver
+ */
+export const createStorageDriver = (name, options = {}) => {
+  switch (name) {
+    case 'local':
+      return new LocalStorageDriver({
+        root: options.localRoot,
+        signingSecret: options.signingSecret,
+        baseUrl: options.mediaBaseUrl
+      });
+    case 's3':
+      return new S3StorageDriver(options.s3);
+    default:
+      throw new ValidationError(`Unknown storage driver "${name}"`);
+  }
+};
@@ -0,0 +1,224 @@
+import fs from 'fs';
+import { spawn } from 'child_process';
+import aiUtils from './aiUtils.js';
+import { ValidationError } from '../middleware/errorHandler.js';
+
+/**
+ * Speech-to-text backends for the transcription pipeline (services/whisper.js)
+ *
+ * A backend has a `name`, the `method` recorded on VideoTranscript.processingMethod
+ * and `transcribe(audioPath, { language })`, which resolves to
+ * { text, segments: [{ start, end, text, confidence }], words: [{ word, start, end, confidence }], language }
+ * with times relative to the start of the audio file. Engines that diarize add
+ * a `speaker` label to segments and words.
+ */
+
+const clamp = (value) => Math.min(1, Math.max(0, value));
+
+const confidenceOf = (entry) => {
+  if (Number.isFinite(entry.confidence)) return clamp(entry.confidence);
+  if (Number.isFinite(entry.probability)) return clamp(entry.probability);
+  // Whisper reports the average log-probability of a segment's tokens
+  if (Number.isFinite(entry.avg_logprob)) return clamp(Math.exp(entry.avg_logprob));
+  return null;
+};
+
+// Diarizing engines (WhisperX, pyannote pipelines) label segments and words
+const speakerOf = (entry) => (entry.speaker ? { speaker: String(entry.speaker) } : {});
+
+/**
+ * Normalize a backend's raw output (Whisper verbose JSON, whisper.cpp-style
+ * JSON or plain text) into the shape described above
+ * @param {Object|string} raw - backend output
+ * @param {Object} options - { language } fallback
+ * @returns {Object} transcription
+ */
+export const normalizeTranscription = (raw, { language = null } = {}) => {
+  const data = typeof raw === 'string' ? { text: raw } : raw || {};
+
+  let segments = (data.segments || [])
+    .map(segment => ({
+      start: Number(segment.start) || 0,
+      end: Number(segment.end ?? segment.start) || 0,
+      text: String(segment.text || '').trim(),
+      confidence: confidenceOf(segment),
+      ...speakerOf(segment),
+      words: segment.words || []
+    }))
+    .filter(segment => segment.text);
+
+  // Word timings may come top-level (Whisper) or per segment (most local engines)
+  const rawWords = data.words?.length ? data.words : segments.flatMap(segment => segment.words);
+  const words = rawWords
+    .map(word => ({
+      word: String(word.word ?? word.text ?? '').trim(),
+      start: Number(word.start) || 0,
+      end: Number(word.end ?? word.start) || 0,
+      confidence: confidenceOf(word),
+      ...speakerOf(word)
+    }))
+    .filter(word => word.word);
+
+  const text = String(data.text || segments.map(segment => segment.text).join(' ')).trim();
+  if (!segments.length && text) {
+    const end = Number(data.duration) || words[words.length - 1]?.end || 0;
+    segments = [{ start: 0, end, text, confidence: null, words: [] }];
+  }
+
+  return {
+    text,
+    segments: segments.map(({ words: _words, ...segment }) => segment),
+    words,
+    language: data.language || language
+  };
+};
+
+/**
+ * Transcribe through the AI provider layer (OpenAI Whisper by default)
+ */
+export class ProviderSttBackend {
+  constructor() {
+    this.name = 'provider';
+    this.method = 'whisper';
+  }
+
+  async transcribe(audioPath, { language = 'auto' } = {}) {
+    const result = await aiUtils.transcribeAudio(audioPath, {
+      language,
+      format: 'verbose_json',
+      wordLevelTimestamps: true
+    });
+    return normalizeTranscription(result, { language });
+  }
+}
+
+/**
+ * Transcribe with a local engine (whisper.cpp, faster-whisper, vosk...) run
+ * as a command that prints JSON or plain text to stdout. `{input}` and
+ * `{language}` in the command are replaced per call; without `{input}` the
+ * audio path is appended. The command runs without a shell.
+ */
+export class LocalSttBackend {
+  /**
+   * @param {Object} options - { command, timeoutMs }
+   */
+  constructor({ command, timeoutMs = 10 * 60 * 1000 } = {}) {
+    if (!command) {
+      throw new ValidationError('The local speech-to-text backend needs STT_LOCAL_COMMAND');
+    }
+    this.name = 'local';
+    this.method = 'local';
+    this.command = command;
+    this.timeoutMs = timeoutMs;
+  }
+
+  buildArgs(audioPath, language) {
+    const parts = this.command.trim().split(/\s+/);
+    const args = parts.slice(1).map(part => part
+      .replace('{input}', audioPath)
+      .replace('{language}', language));
+    if (!this.command.includes('{input}')) {
+      args.push(audioPath);
+    }
+    return [parts[0], args];
+  }
+
+  async transcribe(audioPath, { language = 'auto' } = {}) {
+    const [program, args] = this.buildArgs(audioPath, language);
+
+    const output = await new Promise((resolve, reject) => {
+      const child = spawn(program, args, { stdio: ['ignore', 'pipe', 'pipe'] });
+      const stdout = [];
+      const stderr = [];
+      const timer = setTimeout(() => {
+        child.kill('SIGKILL');
+        reject(new Error(`Local speech-to-text timed out after ${this.timeoutMs}ms`));
+      }, this.timeoutMs);
+
+      child.stdout.on('data', chunk => stdout.push(chunk));
+      child.stderr.on('data', chunk => stderr.push(chunk));
+      child.on('error', (error) => {
+        clearTimeout(timer);
+        reject(new Error(`Local speech-to-text failed to start: ${error.message}`));
+      });
+      child.on('close', (code) => {
+        clearTimeout(timer);
+        if (code !== 0) {
+          const detail = Buffer.concat(stderr).toString().trim().split('\n').pop();
+          reject(new Error(`Local speech-to-text exited with code ${code}${detail ? `: ${detail}` : ''}`));
+          return;
+        }
+        resolve(Buffer.concat(stdout).toString());
+      });
+    });
+
+    let parsed = output;
+    try {
+      parsed = JSON.parse(output);
+    } catch {
+      // Plain-text output; no timings
+    }
+    return normalizeTranscription(parsed, { language });
+  }
+}
+
+/**
+ * Transcribe by POSTing the WAV file to an HTTP service that answers with
+ * JSON in Whisper's verbose format; useful as a stand-in for a hosted engine
+ */
+export class HttpSttBackend {
+  /**
+   * @param {Object} options - { url, apiKey, timeoutMs }
+   */
+  constructor({ url, apiKey = '', timeoutMs = 10 * 60 * 1000 } = {}) {
+    if (!url) {
+      throw new ValidationError('The HTTP speech-to-text backend needs STT_HTTP_URL');
+    }
+    this.name = 'http';
+    this.method = 'http';
+    this.url = url;
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async transcribe(audioPath, { language = 'auto' } = {}) {
+    const url = new URL(this.url);
+    url.searchParams.set('language', language);
+
+    const headers = { 'Content-Type': 'audio/wav' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    const response = await fetch(url, {
+      method: 'POST',
+      headers,
+      body: await fs.promises.readFile(audioPath),
+      signal: AbortSignal.timeout(this.timeoutMs)
+    });
+    if (!response.ok) {
+      throw new Error(`Speech-to-text service responded ${response.status}`);
+    }
+
+    return normalizeTranscription(await response.json(), { language });
+  }
+}
+
+/**
+ * Build the backend named in config (or a test double)
+ * @param {string} name - 'provider', 'local' or 'http'
+ * @param {Object} options - transcription config
+ * @returns {Object} backend
+ */
+export const createSttBackend = (name, options = {}) => {
+  switch (name) {
+    case 'provider':
+      return new ProviderSttBackend();
+    case 'local':
+      return new LocalSttBackend({ command: options.localCommand, timeoutMs: options.timeoutMs });
+    case 'http':
+      return new HttpSttBackend({ url: options.httpUrl, apiKey: options.httpApiKey, timeoutMs: options.timeoutMs });
+    default:
+      throw new ValidationError(`Unknown speech-to-text backend "${name}"`);
+  }
+};
@@ -0,0 +1,447 @@
+import {
+  DEFAULT_ANCHOR,
+  normalizeInput,
+  parseTimestamp,
+  formatTimestamp,
+  cueRuns,
+  makeCue,
+  parseCssColor,
+  parseAssColor,
+  toAssColor,
+  anchorParts,
+  roundPercent
+} from './common.js';
+
+/**
+ * Advanced SubStation Alpha (.ass, "v4.00+") and its predecessor SubStation
+ * Alpha (.ssa, "v4.00"). Named styles map onto track styles; the override
+ * tags \i, \b, \u, \c, \an, \a, \pos and \r map onto runs and layout. Script
+ * Info, raw style fields and extra sections ([Fonts], [Graphics], ...) are
+ * kept in formatData.ass, and the raw text of an event whose tags cannot all
+ * be represented is kept on the cue so an unedited cue is written back as is.
+ */
+
+const V4PLUS_STYLE_FIELDS = [
+  'Name', 'Fontname', 'Fontsize', 'PrimaryColour', 'SecondaryColour', 'OutlineColour', 'BackColour',
+  'Bold', 'Italic', 'Underline', 'StrikeOut', 'ScaleX', 'ScaleY', 'Spacing', 'Angle',
+  'BorderStyle', 'Outline', 'Shadow', 'Alignment', 'MarginL', 'MarginR', 'MarginV', 'Encoding'
+];
+const V4_STYLE_FIELDS = [
+  'Name', 'Fontname', 'Fontsize', 'PrimaryColour', 'SecondaryColour', 'TertiaryColour', 'BackColour',
+  'Bold', 'Italic', 'BorderStyle', 'Outline', 'Shadow', 'Alignment', 'MarginL', 'MarginR', 'MarginV',
+  'AlphaLevel', 'Encoding'
+];
+const V4PLUS_EVENT_FIELDS = ['Layer', 'Start', 'End', 'Style', 'Name', 'MarginL', 'MarginR', 'MarginV', 'Effect', 'Text'];
+const V4_EVENT_FIELDS = ['Marked', ...V4PLUS_EVENT_FIELDS.slice(1)];
+
+const STYLE_FIELD_DEFAULTS = {
+  Fontname: 'Arial',
+  PrimaryColour: '&H00FFFFFF',
+  SecondaryColour: '&H000000FF',
+  OutlineColour: '&H00000000',
+  TertiaryColour: '&H00000000',
+  BackColour: '&H00000000',
+  Bold: '0',
+  Italic: '0',
+  Underline: '0',
+  StrikeOut: '0',
+  ScaleX: '100',
+  ScaleY: '100',
+  Spacing: '0',
+  Angle: '0',
+  BorderStyle: '1',
+  Outline: '2',
+  Shadow: '0',
+  Alignment: '2',
+  MarginL: '10',
+  MarginR: '10',
+  MarginV: '10',
+  AlphaLevel: '0',
+  Encoding: '1'
+};
+
+const KNOWN_SECTIONS = ['script info', 'v4+ styles', 'v4 styles', 'events'];
+const FALLBACK_POSITION = { left: 5, center: 50, right: 95, top: 5, middle: 50, bottom: 95 };
+const TAG_LETTERS = { italic: 'i', bold: 'b', underline: 'u' };
+
+// SSA numbers alignments 1-3 bottom, 5-7 top and 9-11 middle
+const fromLegacyAlignment = (value) => (value >= 9 ? value - 5 : value >= 5 ? value + 2 : value);
+const toLegacyAlignment = (anchor) => (anchor >= 7 ? anchor - 2 : anchor >= 4 ? anchor + 5 : anchor);
+
+const flag = (value) => (value === undefined ? undefined : Number(value) !== 0);
+
+const splitFields = (value, count) => {
+  const parts = value.split(',');
+  const head = parts.slice(0, count - 1).map(part => part.trim());
+  return [...head, parts.slice(count - 1).join(',')];
+};
+
+const playResolution = (scriptInfo = {}) => {
+  const x = Number(scriptInfo.PlayResX) || 0;
+  const y = Number(scriptInfo.PlayResY) || 0;
+  return {
+    x: x || (y ? (y * 4) / 3 : 384),
+    y: y || (x ? (x * 3) / 4 : 288)
+  };
+};
+
+const compact = (object) => Object.fromEntries(
+  Object.entries(object).filter(([, value]) => value !== undefined && value !== null && value !== '' && !Number.isNaN(value))
+);
+
+const styleFromFields = (fields, legacy) => {
+  const alignment = Number(fields.Alignment);
+  return compact({
+    fontName: fields.Fontname,
+    fontSize: Number(fields.Fontsize),
+    color: parseAssColor(fields.PrimaryColour),
+    outlineColor: parseAssColor(fields.OutlineColour ?? fields.TertiaryColour),
+    backgroundColor: parseAssColor(fields.BackColour),
+    bold: flag(fields.Bold),
+    italic: flag(fields.Italic),
+    underline: flag(fields.Underline),
+    anchor: alignment ? (legacy ? fromLegacyAlignment(alignment) : alignment) : undefined,
+    marginL: Number(fields.MarginL),
+    marginR: Number(fields.MarginR),
+    marginV: Number(fields.MarginV)
+  });
+};
+
+const styleToFields = (name, style, raw = {}, { legacy, playRes }) => {
+  const boolean = (value) => (value === undefined ? undefined : value ? '-1' : '0');
+  const derived = compact({
+    Name: name,
+    Fontname: style.fontName,
+    Fontsize: style.fontSize !== undefined ? String(style.fontSize) : undefined,
+    PrimaryColour: style.color && toAssColor(style.color),
+    OutlineColour: style.outlineColor && toAssColor(style.outlineColor),
+    TertiaryColour: style.outlineColor && toAssColor(style.outlineColor),
+    BackColour: style.backgroundColor && toAssColor(style.backgroundColor),
+    Bold: boolean(style.bold),
+    Italic: boolean(style.italic),
+    Underline: boolean(style.underline),
+    Alignment: style.anchor ? String(legacy ? toLegacyAlignment(style.anchor) : style.anchor) : undefined,
+    MarginL: style.marginL !== undefined ? String(style.marginL) : undefined,
+    MarginR: style.marginR !== undefined ? String(style.marginR) : undefined,
+    MarginV: style.marginV !== undefined ? String(style.marginV) : undefined
+  });
+  const defaults = { ...STYLE_FIELD_DEFAULTS, Fontsize: String(Math.round(playRes.y / 20)) };
+  if (legacy && raw.Alignment && !derived.Alignment) {
+    derived.Alignment = String(toLegacyAlignment(fromLegacyAlignment(Number(raw.Alignment))));
+  }
+  // SSA often writes colors as decimals; raw colors are rewritten as &H values
+  const rawValue = (field) => (field.endsWith('Colour') && raw[field] !== undefined
+    ? toAssColor(parseAssColor(raw[field]))
+    : raw[field]);
+  return (legacy ? V4_STYLE_FIELDS : V4PLUS_STYLE_FIELDS)
+    .map(field => derived[field] ?? rawValue(field) ?? defaults[field])
+    .join(',');
+};
+
+// Event text -----------------------------------------------------------------------
+
+const unescapeText = (text) => text
+  .replace(/\\N/g, '\n')
+  .replace(/\\n/g, ' ')
+  .replace(/\\h/g, '\u00a0');
+
+const escapeText = (text) => text
+  .replace(/\{/g, '(')
+  .replace(/\}/g, ')')
+  .replace(/\n/g, '\\N')
+  .replace(/\u00a0/g, '\\h');
+
+/**
+ * Runs and layout of an event's text
+ * @param {string} text - event text with override blocks
+ * @param {Object} context - { style, playRes }
+ * @returns {{ runs: Array, layout: Object }}
+ */
+const parseText = (text, { style = {}, playRes }) => {
+  const runs = [];
+  const layout = {};
+  let state = {};
+  let drawing = false;
+
+  const applyTag = (tag) => {
+    let match;
+    if ((match = tag.match(/^([ibu])(\d*)$/))) {
+      const key = { i: 'italic', b: 'bold', u: 'underline' }[match[1]];
+      if (match[2] === '') {
+        delete state[key];
+      } else {
+        const value = Number(match[2]);
+        // \b also takes a font weight
+        state[key] = key === 'bold' && value > 1 ? value >= 600 : value !== 0;
+      }
+    } else if ((match = tag.match(/^1?c(&H[0-9a-f]+&?)?$/i))) {
+      if (match[1]) state.color = parseAssColor(match[1]);
+      else delete state.color;
+    } else if ((match = tag.match(/^an([1-9])$/))) {
+      layout.anchor = Number(match[1]);
+    } else if ((match = tag.match(/^a(\d+)$/))) {
+      layout.anchor = fromLegacyAlignment(Number(match[1]));
+    } else if ((match = tag.match(/^pos\(\s*([-\d.]+)\s*,\s*([-\d.]+)\s*\)$/))) {
+      layout.x = roundPercent((Number(match[1]) / playRes.x) * 100);
+      layout.y = roundPercent((Number(match[2]) / playRes.y) * 100);
+    } else if (/^r/.test(tag)) {
+      state = {};
+    } else if ((match = tag.match(/^p(\d+)$/))) {
+      drawing = Number(match[1]) > 0;
+    }
+  };
+
+  const pattern = /\{([^}]*)\}/g;
+  let cursor = 0;
+  let match;
+  // Runs only record where the text departs from its style
+  const styleValue = {
+    italic: Boolean(style.italic),
+    bold: Boolean(style.bold),
+    underline: Boolean(style.underline),
+    color: parseCssColor(style.color) || '#ffffff'
+  };
+  const addText = (value) => {
+    if (!value || drawing) return;
+    const format = Object.fromEntries(Object.entries(state).filter(([key, setting]) => setting !== styleValue[key]));
+    runs.push({ text: unescapeText(value), ...format });
+  };
+  while ((match = pattern.exec(text))) {
+    addText(text.slice(cursor, match.index));
+    cursor = pattern.lastIndex;
+    // Animated transforms are not representable; drop them before splitting
+    const block = match[1].replace(/\\t\([^)]*\)/g, '');
+    block.split('\\').slice(1).forEach(tag => applyTag(tag.trim()));
+  }
+  addText(text.slice(cursor));
+
+  const anchor = layout.anchor ?? style.anchor ?? DEFAULT_ANCHOR;
+  if (anchor !== DEFAULT_ANCHOR || layout.x !== undefined) layout.anchor = anchor;
+  else delete layout.anchor;
+
+  return { runs, layout };
+};
+
+/**
+ * Event text of a cue, with override tags relative to its style
+ */
+const serializeText = (cue, { style = {}, playRes, legacy = false }) => {
+  const layout = cue.layout || {};
+  const anchor = layout.anchor || DEFAULT_ANCHOR;
+  const prefix = [];
+  if (anchor !== (style.anchor || DEFAULT_ANCHOR)) {
+    prefix.push(legacy ? `\\a${toLegacyAlignment(anchor)}` : `\\an${anchor}`);
+  }
+  if (layout.x !== undefined || layout.y !== undefined) {
+    const { row, column } = anchorParts(anchor);
+    const x = layout.x ?? FALLBACK_POSITION[column];
+    const y = layout.y ?? FALLBACK_POSITION[row];
+    prefix.push(`\\pos(${Math.round((x * playRes.x) / 100)},${Math.round((y * playRes.y) / 100)})`);
+  }
+
+  const base = {
+    italic: Boolean(style.italic),
+    bold: Boolean(style.bold),
+    underline: Boolean(style.underline),
+    color: parseCssColor(style.color) || '#ffffff'
+  };
+  let current = base;
+  return cueRuns(cue).map((run, index) => {
+    const wanted = {
+      italic: run.italic ?? base.italic,
+      bold: run.bold ?? base.bold,
+      underline: run.underline ?? base.underline,
+      color: (run.color && parseCssColor(run.color)) || base.color
+    };
+    const tags = index === 0 ? [...prefix] : [];
+    for (const key of Object.keys(wanted)) {
+      if (wanted[key] === current[key]) continue;
+      tags.push(key === 'color'
+        ? `\\c${toAssColor(wanted.color, { override: true })}`
+        : `\\${TAG_LETTERS[key]}${wanted[key] ? 1 : 0}`);
+    }
+    current = wanted;
+    return `${tags.length ? `{${tags.join('')}}` : ''}${escapeText(run.text)}`;
+  }).join('');
+};
+
+const sameContent = (cue, parsed) => {
+  const reparsed = makeCue({ startTime: 0, endTime: 0, runs: parsed.runs, layout: parsed.layout });
+  const content = ({ text, runs, layout }) => JSON.stringify({ text, runs: runs || null, layout: layout || {} });
+  return content(reparsed) === content(cue);
+};
+
+// Track --------------------------------------------------------------------------
+
+/**
+ * @param {string} data - ASS or SSA text
+ * @returns {Object} track
+ */
+export const parse = (data) => {
+  const ass = { scriptInfo: {}, styleFields: {}, sections: {} };
+  const styles = {};
+  const cues = [];
+  const notes = [];
+  let section = null;
+  let format = null;
+
+  const lines = normalizeInput(data).split('\n');
+  const playRes = () => playResolution(ass.scriptInfo);
+  const isLegacy = () => /^v4\.00$/i.test(ass.scriptInfo.ScriptType || '');
+
+  for (const rawLine of lines) {
+    const line = rawLine.trim();
+    const header = line.match(/^\[(.+)\]$/);
+    if (header) {
+      section = header[1].trim();
+      format = null;
+      if (!KNOWN_SECTIONS.includes(section.toLowerCase())) ass.sections[section] = [];
+      continue;
+    }
+    if (!line || !section) continue;
+
+    const kind = section.toLowerCase();
+    if (!KNOWN_SECTIONS.includes(kind)) {
+      ass.sections[section].push(rawLine);
+      continue;
+    }
+    if (line.startsWith(';') || line.startsWith('!:')) continue;
+
+    const separator = line.indexOf(':');
+    if (separator === -1) continue;
+    const key = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).replace(/^\s/, '');
+
+    if (kind === 'script info') {
+      ass.scriptInfo[key] = value.trim();
+    } else if (kind === 'v4+ styles' || kind === 'v4 styles') {
+      const legacy = kind === 'v4 styles';
+      if (key === 'Format') {
+        format = value.split(',').map(field => field.trim());
+      } else if (key === 'Style') {
+        const names = format || (legacy ? V4_STYLE_FIELDS : V4PLUS_STYLE_FIELDS);
+        const values = splitFields(value, names.length).map(field => field.trim());
+        const fields = Object.fromEntries(names.map((name, i) => [name, values[i]]));
+        ass.styleFields[fields.Name] = fields;
+        styles[fields.Name] = styleFromFields(fields, legacy);
+      }
+    } else if (kind === 'events') {
+      if (key === 'Format') {
+        format = value.split(',').map(field => field.trim());
+        continue;
+      }
+      if (key !== 'Dialogue' && key !== 'Comment') continue;
+
+      const names = format || V4PLUS_EVENT_FIELDS;
+      const event = Object.fromEntries(splitFields(value, names.length).map((field, i) => [names[i], field]));
+      if (key === 'Comment') {
+        notes.push({ before: cues.length, text: unescapeText(event.Text || '') });
+        continue;
+      }
+
+      const startTime = parseTimestamp(event.Start);
+      const endTime = parseTimestamp(event.End);
+      if (!Number.isFinite(startTime) || !Number.isFinite(endTime)) continue;
+
+      const styleName = (event.Style || 'Default').replace(/^\*/, '');
+      const style = styles[styleName] || {};
+      const text = event.Text || '';
+      const { runs, layout } = parseText(text, { style, playRes: playRes() });
+      const cue = makeCue({ startTime, endTime, runs, style: styleName, speaker: event.Name, layout });
+
+      const extras = compact({
+        layer: Number(event.Layer) || undefined,
+        marginL: Number(event.MarginL) || undefined,
+        marginR: Number(event.MarginR) || undefined,
+        marginV: Number(event.MarginV) || undefined,
+        effect: event.Effect
+      });
+      if (serializeText(cue, { style, playRes: playRes(), legacy: isLegacy() }) !== text) extras.text = text;
+      if (Object.keys(extras).length) cue.ass = extras;
+      cues.push(cue);
+    }
+  }
+
+  for (const [name, sectionLines] of Object.entries(ass.sections)) {
+    ass.sections[name] = sectionLines.join('\n');
+  }
+
+  return { cues, styles, notes, formatData: { ass } };
+};
+
+/**
+ * @param {Object} track - track
+ * @param {Object} options - { legacy }: write SSA v4.00 instead of ASS v4.00+
+ * @returns {string} ASS or SSA text
+ */
+export const serialize = (track, { legacy = false } = {}) => {
+  const ass = track.formatData?.ass || {};
+  const scriptInfo = Object.keys(ass.scriptInfo || {}).length
+    ? { ...ass.scriptInfo }
+    : { ScriptType: '', WrapStyle: '0', PlayResX: '1920', PlayResY: '1080' };
+  // Raw event text only carries over between files of the same flavour
+  const sameFlavor = /^v4\.00$/i.test(scriptInfo.ScriptType || '') === legacy;
+  scriptInfo.ScriptType = legacy ? 'v4.00' : 'v4.00+';
+  const playRes = playResolution(scriptInfo);
+
+  const styles = { ...(track.styles || {}) };
+  const styleOf = (cue) => (cue.style && styles[cue.style] ? cue.style : 'Default');
+  if (!styles.Default && (!Object.keys(styles).length || track.cues.some(cue => styleOf(cue) === 'Default'))) {
+    styles.Default = {};
+  }
+
+  const styleFields = legacy ? V4_STYLE_FIELDS : V4PLUS_STYLE_FIELDS;
+  const eventFields = legacy ? V4_EVENT_FIELDS : V4PLUS_EVENT_FIELDS;
+  const time = (seconds) => formatTimestamp(seconds, { hourDigits: 1, fractionDigits: 2 });
+  const event = (type, fields) => `${type}: ${[
+    legacy ? 'Marked=0' : String(fields.layer || 0),
+    time(fields.start),
+    time(fields.end),
+    fields.style,
+    (fields.name || '').replace(/,/g, ';'),
+    String(fields.marginL || 0),
+    String(fields.marginR || 0),
+    String(fields.marginV || 0),
+    fields.effect || '',
+    fields.text
+  ].join(',')}`;
+
+  const note = (text) => event('Comment', { start: 0, end: 0, style: 'Default', text: escapeText(text) });
+  const events = [];
+  track.cues.forEach((cue, index) => {
+    for (const entry of (track.notes || []).filter(item => item.before === index)) events.push(note(entry.text));
+
+    const styleName = styleOf(cue);
+    const context = { style: styles[styleName], playRes, legacy };
+    const extras = cue.ass || {};
+    const text = extras.text && sameFlavor && sameContent(cue, parseText(extras.text, context))
+      ? extras.text
+      : serializeText(cue, context);
+    events.push(event('Dialogue', {
+      ...extras,
+      start: cue.startTime,
+      end: cue.endTime,
+      style: styleName,
+      name: cue.speaker,
+      text
+    }));
+  });
+  for (const entry of (track.notes || []).filter(item => item.before >= track.cues.length)) events.push(note(entry.text));
+
+  const sections = [
+    ['[Script Info]', ...Object.entries(scriptInfo).map(([key, value]) => `${key}: ${value}`)].join('\n'),
+    [
+      legacy ? '[V4 Styles]' : '[V4+ Styles]',
+      `Format: ${styleFields.join(', ')}`,
+      ...Object.entries(styles).map(([name, style]) => (
+        `Style: ${styleToFields(name, style, ass.styleFields?.[name], { legacy, playRes })}`
+      ))
+    ].join('\n'),
+    ['[Events]', `Format: ${eventFields.join(', ')}`, ...events].join('\n'),
+    ...Object.entries(ass.sections || {}).map(([name, content]) => `[${name}]\n${content}`)
+  ];
+
+  return `${sections.join('\n\n')}\n`;
+};
+
+export default { parse, serialize };
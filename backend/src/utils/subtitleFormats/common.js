@@ -0,0 +1,273 @@
+/**
+ * Shared pieces of the subtitle format converters
+ *
+ * Every format parses into, and serializes from, one track shape:
+ *
+ *   {
+ *     cues: [{
+ *       startTime, endTime,          // seconds
+ *       text,                        // plain text, lines separated by "\n"
+ *       runs,                        // optional [{ text, italic, bold, underline, color }]
+ *       speaker, id, style,          // optional; `style` names an entry of `styles`
+ *       layout                       // optional { anchor, x, y, size, vertical, line, region }
+ *     }],
+ *     styles: { [name]: { fontName, fontSize, color, backgroundColor, outlineColor,
+ *                         bold, italic, underline, anchor, marginL, marginR, marginV } },
+ *     notes: [{ before, text }],     // comments, kept in front of cue index `before`
+ *     formatData: { vtt, ass, ttml } // format-specific data only that format can use
+ *   }
+ *
+ * `anchor` is the numpad position of the text (1 = bottom left, 2 = bottom
+ * centre, 9 = top right), as in ASS; `x`/`y` place that anchor point in
+ * percent of the frame. Colors are "#rrggbb" or "#rrggbbaa" (aa = opacity).
+ */
+
+export const FORMAT_KEYS = ['italic', 'bold', 'underline', 'color'];
+export const DEFAULT_ANCHOR = 2;
+
+const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+/**
+ * Render seconds as a clock timestamp
+ * @param {number} seconds - time in seconds
+ * @param {Object} options - { hourDigits, separator, fractionDigits }
+ * @returns {string} e.g. "01:02:03.456"
+ */
+export const formatTimestamp = (seconds, { hourDigits = 2, separator = '.', fractionDigits = 3 } = {}) => {
+  const unit = 10 ** fractionDigits;
+  const total = Math.max(0, Math.round(seconds * unit));
+  const fraction = total % unit;
+  const whole = Math.floor(total / unit);
+  const hours = Math.floor(whole / 3600);
+  const minutes = Math.floor(whole / 60) % 60;
+
+  return `${pad(hours, hourDigits)}:${pad(minutes)}:${pad(whole % 60)}${separator}${pad(fraction, fractionDigits)}`;
+};
+
+/**
+ * Parse "[hh:]mm:ss[.,fraction]" into seconds
+ * @param {string} value - timestamp
+ * @returns {number} seconds, or NaN
+ */
+export const parseTimestamp = (value) => {
+  const match = String(value).trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{1,2})(?:[.,](\d+))?$/);
+  if (!match) return NaN;
+  const [, hours = 0, minutes, seconds, fraction = '0'] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds) + Number(`0.${fraction}`);
+};
+
+export const roundTime = (seconds) => Math.round(seconds * 1000) / 1000;
+
+/**
+ * Normalize newlines and drop a byte order mark
+ */
+export const normalizeInput = (data) => String(data ?? '').replace(/^﻿/, '').replace(/\r\n?/g, '\n');
+
+/**
+ * Blank-line separated blocks, each as an array of lines
+ */
+export const splitBlocks = (data) => normalizeInput(data)
+  .split(/\n[ \t]*\n/)
+  .map(block => block.replace(/\s+$/, '').split('\n'))
+  .filter(lines => lines.some(line => line.trim()));
+
+// Runs -----------------------------------------------------------------------
+
+export const formatOf = (run) => {
+  const format = {};
+  for (const key of FORMAT_KEYS) {
+    if (run[key] !== undefined && run[key] !== null) format[key] = run[key];
+  }
+  return format;
+};
+
+const sameFormat = (a, b) => FORMAT_KEYS.every(key => (a[key] ?? null) === (b[key] ?? null));
+
+/**
+ * Merge adjacent runs with the same formatting and drop empty ones. Returns
+ * null when nothing is formatted, so plain cues carry no runs.
+ * @param {Array} runs - [{ text, italic, bold, underline, color }]
+ * @returns {Array|null} runs
+ */
+export const normalizeRuns = (runs) => {
+  const merged = [];
+  for (const run of runs) {
+    if (!run.text) continue;
+    const previous = merged[merged.length - 1];
+    if (previous && sameFormat(previous, run)) {
+      previous.text += run.text;
+    } else {
+      merged.push({ text: run.text, ...formatOf(run) });
+    }
+  }
+  return merged.some(run => Object.keys(run).length > 1) ? merged : null;
+};
+
+/**
+ * Runs of a cue; plain cues become one unformatted run
+ */
+export const cueRuns = (cue) => (cue.runs?.length ? cue.runs : [{ text: cue.text }]);
+
+export const runsText = (runs) => runs.map(run => run.text).join('');
+
+/**
+ * Runs with a named style's formatting applied where the run does not set
+ * its own, for formats that have no named styles
+ * @param {Object} cue - cue
+ * @param {Object} styles - track styles
+ * @returns {Array} runs
+ */
+export const flattenStyle = (cue, styles = {}) => {
+  const style = styles[cue.style] || {};
+  return cueRuns(cue).map(run => {
+    const flattened = { text: run.text };
+    for (const key of FORMAT_KEYS) {
+      const value = run[key] ?? style[key];
+      if (value !== undefined && value !== null && value !== false) flattened[key] = value;
+    }
+    // A style's default white is no formatting at all
+    if (!run.color && flattened.color && isWhite(flattened.color)) delete flattened.color;
+    return flattened;
+  });
+};
+
+/**
+ * A cue in canonical form: plain text derived from its runs, runs dropped
+ * when they carry no formatting, and an empty layout removed
+ */
+export const makeCue = ({ startTime, endTime, runs, text, ...rest }) => {
+  const normalized = runs ? normalizeRuns(runs) : null;
+  const cue = {
+    startTime: roundTime(startTime),
+    endTime: roundTime(endTime),
+    text: normalized ? runsText(normalized) : (text ?? (runs ? runsText(runs) : ''))
+  };
+  if (normalized) cue.runs = normalized;
+  for (const [key, value] of Object.entries(rest)) {
+    if (value === undefined || value === null || value === '') continue;
+    if (key === 'layout' && Object.keys(value).length === 0) continue;
+    cue[key] = value;
+  }
+  return cue;
+};
+
+// Colors -----------------------------------------------------------------------
+
+const NAMED_COLORS = {
+  white: '#ffffff',
+  black: '#000000',
+  red: '#ff0000',
+  lime: '#00ff00',
+  green: '#008000',
+  blue: '#0000ff',
+  yellow: '#ffff00',
+  cyan: '#00ffff',
+  aqua: '#00ffff',
+  magenta: '#ff00ff',
+  fuchsia: '#ff00ff',
+  silver: '#c0c0c0',
+  gray: '#808080',
+  grey: '#808080',
+  maroon: '#800000',
+  olive: '#808000',
+  navy: '#000080',
+  purple: '#800080',
+  teal: '#008080',
+  transparent: '#00000000'
+};
+
+const hex = (value) => pad(Math.max(0, Math.min(255, Math.round(value))).toString(16));
+
+/**
+ * Canonical color from CSS/TTML notation
+ * @param {string} value - "#rgb", "#rrggbb", "#rrggbbaa", "rgb()", "rgba()" or a color name
+ * @returns {string|null} "#rrggbb" or "#rrggbbaa"
+ */
+export const parseCssColor = (value) => {
+  const color = String(value || '').trim().toLowerCase();
+  if (NAMED_COLORS[color]) return NAMED_COLORS[color];
+
+  if (/^#[0-9a-f]{3}$/.test(color)) {
+    return `#${[...color.slice(1)].map(digit => digit + digit).join('')}`;
+  }
+  if (/^#[0-9a-f]{6}([0-9a-f]{2})?$/.test(color)) {
+    return color.endsWith('ff') && color.length === 9 ? color.slice(0, 7) : color;
+  }
+
+  const functional = color.match(/^rgba?\(\s*(\d+)\s*,\s*(\d+)\s*,\s*(\d+)\s*(?:,\s*([\d.]+)\s*)?\)$/);
+  if (functional) {
+    const [, r, g, b, alpha] = functional;
+    // TTML's rgba() takes 0-255 alpha, CSS takes 0-1
+    const opacity = alpha === undefined ? 255 : Number(alpha) <= 1 && alpha.includes('.') ? Number(alpha) * 255 : Number(alpha);
+    return `#${hex(r)}${hex(g)}${hex(b)}${opacity >= 255 ? '' : hex(opacity)}`;
+  }
+  return null;
+};
+
+export const isWhite = (color) => /^#ffffff(ff)?$/i.test(color);
+
+/**
+ * Canonical color from ASS/SSA notation: "&HAABBGGRR", "&HBBGGRR&" or a
+ * decimal BGR integer. ASS alpha is transparency, so it is inverted.
+ * @param {string|number} value - ASS color
+ * @returns {string|null} canonical color
+ */
+export const parseAssColor = (value) => {
+  const text = String(value ?? '').trim();
+  let number;
+  if (/^&H[0-9a-f]+&?$/i.test(text)) {
+    number = parseInt(text.replace(/^&H|&$/gi, ''), 16);
+  } else if (/^-?\d+$/.test(text)) {
+    number = Number(text) >>> 0;
+  } else {
+    return null;
+  }
+
+  const r = number & 0xff;
+  const g = (number >>> 8) & 0xff;
+  const b = (number >>> 16) & 0xff;
+  const transparency = (number >>> 24) & 0xff;
+  return `#${hex(r)}${hex(g)}${hex(b)}${transparency ? hex(255 - transparency) : ''}`;
+};
+
+/**
+ * ASS notation of a canonical color
+ * @param {string} color - canonical color
+ * @param {Object} options - { override }: "&HBBGGRR&" for override tags instead of "&HAABBGGRR"
+ * @returns {string} ASS color
+ */
+export const toAssColor = (color, { override = false } = {}) => {
+  const value = parseCssColor(color) || '#ffffff';
+  const [r, g, b] = [1, 3, 5].map(i => value.slice(i, i + 2));
+  const opacity = value.length === 9 ? parseInt(value.slice(7), 16) : 255;
+  const bgr = `${b}${g}${r}`.toUpperCase();
+  return override ? `&H${bgr}&` : `&H${hex(255 - opacity).toUpperCase()}${bgr}`;
+};
+
+// Placement ------------------------------------------------------------------------
+
+const ROWS = { bottom: 0, middle: 3, top: 6 };
+const COLUMNS = { left: 1, center: 2, right: 3 };
+
+/**
+ * Numpad anchor from its row and column
+ * @param {string} row - top | middle | bottom
+ * @param {string} column - left | center | right
+ * @returns {number} 1-9
+ */
+export const anchorOf = (row = 'bottom', column = 'center') => ROWS[row] + COLUMNS[column];
+
+/**
+ * Row and column of a numpad anchor
+ * @param {number} anchor - 1-9
+ * @returns {{ row: string, column: string }}
+ */
+export const anchorParts = (anchor = DEFAULT_ANCHOR) => {
+  const index = Math.min(9, Math.max(1, Number(anchor) || DEFAULT_ANCHOR)) - 1;
+  return {
+    row: ['bottom', 'middle', 'top'][Math.floor(index / 3)],
+    column: ['left', 'center', 'right'][index % 3]
+  };
+};
+
+export const roundPercent = (value) => Math.round(value * 100) / 100;
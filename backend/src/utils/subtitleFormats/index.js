@@ -0,0 +1,122 @@
+import srt from './srt.js';
+import vtt from './vtt.js';
+import ass from './ass.js';
+import ttml from './ttml.js';
+import sbv from './sbv.js';
+import { normalizeInput, makeCue } from './common.js';
+
+/**
+ * Subtitle format conversion. Every format parses into one track shape
+ * (see common.js), so any format converts to any other; what a target
+ * format cannot express (styles in SBV, notes in SRT, ...) is dropped.
+ */
+
+export const SUBTITLE_FORMATS = ['srt', 'vtt', 'ass', 'ssa', 'ttml', 'dfxp', 'sbv', 'json'];
+
+export const SUBTITLE_CONTENT_TYPES = {
+  srt: 'application/x-subrip',
+  vtt: 'text/vtt',
+  ass: 'text/x-ssa',
+  ssa: 'text/x-ssa',
+  ttml: 'application/ttml+xml',
+  dfxp: 'application/ttml+xml',
+  sbv: 'text/plain',
+  json: 'application/json'
+};
+
+const json = {
+  parse: (data) => {
+    const parsed = JSON.parse(data);
+    const track = Array.isArray(parsed) ? { cues: parsed } : parsed;
+    return {
+      cues: (track.cues || []).map(cue => makeCue(cue)),
+      styles: track.styles || {},
+      notes: track.notes || [],
+      formatData: track.formatData || {}
+    };
+  },
+  serialize: (track) => `${JSON.stringify(track, null, 2)}\n`
+};
+
+const CODECS = {
+  srt,
+  vtt,
+  ass,
+  ssa: { parse: ass.parse, serialize: (track, options) => ass.serialize(track, { ...options, legacy: true }) },
+  ttml,
+  dfxp: ttml,
+  sbv,
+  json
+};
+
+/**
+ * Guess the format of subtitle text from its content
+ * @param {string} data - subtitle text
+ * @returns {string|null} format, or null when unrecognised
+ */
+export const detectFormat = (data) => {
+  const text = normalizeInput(data).trimStart();
+  if (/^WEBVTT/.test(text)) return 'vtt';
+  if (/^\[Script Info\]/i.test(text)) {
+    return /^ScriptType:\s*v4\.00\s*$/im.test(text) || /^\[V4 Styles\]/im.test(text) ? 'ssa' : 'ass';
+  }
+  if (/^(<\?xml[^>]*>\s*)?(<!--[\s\S]*?-->\s*)*<([\w-]+:)?tt[\s>]/.test(text)) {
+    return /ttaf1/.test(text) ? 'dfxp' : 'ttml';
+  }
+  if (/^[[{]/.test(text)) return 'json';
+  if (/^\d+:\d{2}:\d{2}\.\d+,\d+:\d{2}:\d{2}\.\d+/.test(text)) return 'sbv';
+  if (/^(\d+\n)?[\d:,.]+\s*-->\s*[\d:,.]+/.test(text)) return 'srt';
+  return null;
+};
+
+/**
+ * Parse subtitle text into a track
+ * @param {string} data - subtitle text
+ * @param {string} format - one of SUBTITLE_FORMATS, or 'auto' to detect it
+ * @returns {Object} track
+ */
+export const parseSubtitles = (data, format = 'auto') => {
+  const resolved = format === 'auto' ? detectFormat(data) : format;
+  if (!CODECS[resolved]) {
+    throw new Error(resolved ? `Unsupported subtitle format: ${resolved}` : 'Unrecognised subtitle format');
+  }
+  return { format: resolved, ...CODECS[resolved].parse(normalizeInput(data)) };
+};
+
+/**
+ * Serialize a track
+ * @param {Object} track - { cues, styles, notes, formatData }
+ * @param {string} format - one of SUBTITLE_FORMATS
+ * @param {Object} options - format options, e.g. { lang } for TTML
+ * @returns {string} subtitle text
+ */
+export const serializeSubtitles = (track, format, options = {}) => {
+  if (!CODECS[format]) throw new Error(`Unsupported subtitle format: ${format}`);
+  return CODECS[format].serialize({
+    cues: track.cues || [],
+    styles: track.styles || {},
+    notes: track.notes || [],
+    formatData: track.formatData || {}
+  }, options);
+};
+
+/**
+ * Convert subtitle text between formats
+ * @param {string} data - subtitle text
+ * @param {string} from - source format, or 'auto'
+ * @param {string} to - target format
+ * @returns {string} subtitle text
+ */
+export const convertSubtitles = (data, from, to) => {
+  const { format, ...track } = parseSubtitles(data, from);
+  return serializeSubtitles(track, to);
+};
+
+export default {
+  SUBTITLE_FORMATS,
+  SUBTITLE_CONTENT_TYPES,
+  detectFormat,
+  parseSubtitles,
+  serializeSubtitles,
+  convertSubtitles
+};
@@ -0,0 +1,130 @@
+import { FORMAT_KEYS, parseCssColor, formatOf } from './common.js';
+
+/**
+ * The HTML-like inline markup shared by SRT (<i>, <b>, <u>, <font color>)
+ * and WebVTT (<i>, <b>, <u>, <c.class>, <v Speaker>, <lang>, <ruby>, timestamps)
+ */
+
+// Colors of the WebVTT default classes
+export const VTT_CLASS_COLORS = {
+  white: '#ffffff',
+  lime: '#00ff00',
+  cyan: '#00ffff',
+  red: '#ff0000',
+  yellow: '#ffff00',
+  magenta: '#ff00ff',
+  blue: '#0000ff',
+  black: '#000000'
+};
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', nbsp: ' ', lrm: '‎', rlm: '‏', quot: '"', apos: "'" };
+
+const decodeEntities = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+    return String.fromCodePoint(code);
+  }
+  return ENTITIES[name.toLowerCase()] ?? entity;
+});
+
+/**
+ * Parse tagged cue text into formatted runs
+ * @param {string} text - cue text
+ * @param {Object} options - { flavor: 'srt' | 'vtt', classFormats }; `classFormats`
+ *   maps WebVTT class names to formatting declared in STYLE blocks
+ * @returns {{ runs: Array, speaker: string|null }}
+ */
+export const parseMarkup = (text, { flavor = 'vtt', classFormats = {} } = {}) => {
+  const runs = [];
+  const stack = [{}];
+  let speaker = null;
+
+  const push = (format, tag) => stack.push({ ...stack[stack.length - 1], ...format, tag });
+  const pop = (tag) => {
+    // Close the innermost matching tag; unmatched closers are ignored
+    for (let i = stack.length - 1; i > 0; i--) {
+      if (stack[i].tag === tag) {
+        stack.length = i;
+        return;
+      }
+    }
+  };
+  const addText = (value) => {
+    const content = flavor === 'vtt' ? decodeEntities(value) : value;
+    if (content) runs.push({ text: content, ...formatOf(stack[stack.length - 1]) });
+  };
+
+  const pattern = /<(\/?)([a-z0-9:.]+)((?:\.[^\s>]*)?)([^>]*)>/gi;
+  let cursor = 0;
+  let match;
+  while ((match = pattern.exec(text))) {
+    addText(text.slice(cursor, match.index));
+    cursor = pattern.lastIndex;
+
+    const [, closing, rawName, , rest] = match;
+    // Timestamp tags (karaoke) carry no formatting
+    if (/^\d/.test(rawName)) continue;
+
+    const [name, ...classes] = rawName.toLowerCase().split('.');
+    if (closing) {
+      pop(name);
+      continue;
+    }
+
+    const format = {};
+    if (name === 'i') format.italic = true;
+    if (name === 'b') format.bold = true;
+    if (name === 'u') format.underline = true;
+    if (name === 'font') {
+      const color = rest.match(/color\s*=\s*["']?([^"'\s>]+)/i);
+      if (color) format.color = parseCssColor(color[1]) || undefined;
+    }
+    if (name === 'v' && !speaker) {
+      speaker = decodeEntities(rest.trim()) || null;
+    }
+    for (const className of classes) {
+      if (VTT_CLASS_COLORS[className]) format.color = VTT_CLASS_COLORS[className];
+      Object.assign(format, classFormats[className] || {});
+    }
+    push(format, name);
+  }
+  addText(text.slice(cursor));
+
+  return { runs, speaker };
+};
+
+const escapeVtt = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+
+/**
+ * Render runs as tagged text
+ * @param {Array} runs - formatted runs
+ * @param {Object} options - { flavor: 'srt' | 'vtt', colorClass, runClass }; `colorClass(color)`
+ *   names the WebVTT class for a color, `runClass(run)` may name a class that
+ *   covers several of the run's formats as { className, keys }
+ * @returns {string} cue text
+ */
+export const serializeMarkup = (runs, { flavor = 'vtt', colorClass = () => null, runClass = () => null } = {}) => runs.map(run => {
+  let text = flavor === 'vtt' ? escapeVtt(run.text) : run.text;
+  const matched = flavor === 'vtt' ? runClass(run) : null;
+  // Innermost first, so tags close in reverse order of opening
+  for (const key of [...FORMAT_KEYS].reverse()) {
+    if (!run[key] || matched?.keys.includes(key)) continue;
+    if (key === 'color') {
+      if (flavor === 'srt') {
+        text = `<font color="${run.color}">${text}</font>`;
+      } else {
+        const className = colorClass(run.color);
+        if (className) text = `<c.${className}>${text}</c>`;
+      }
+    } else {
+      const tag = { italic: 'i', bold: 'b', underline: 'u' }[key];
+      text = `<${tag}>${text}</${tag}>`;
+    }
+  }
+  return matched ? `<c.${matched.className}>${text}</c>` : text;
+}).join('');
+
+/**
+ * Strip all markup, for formats that cannot carry any
+ */
+export const stripMarkup = (text) => text.replace(/<[^>]*>/g, '');
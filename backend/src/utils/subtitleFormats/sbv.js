@@ -0,0 +1,40 @@
+import { splitBlocks, parseTimestamp, formatTimestamp, makeCue } from './common.js';
+import { stripMarkup } from './markup.js';
+
+/**
+ * YouTube SubViewer (.sbv): "H:MM:SS.mmm,H:MM:SS.mmm" followed by plain text.
+ * The format has no styling or placement.
+ */
+
+/**
+ * @param {string} data - SBV text
+ * @returns {Object} track
+ */
+export const parse = (data) => {
+  const cues = [];
+
+  for (const lines of splitBlocks(data)) {
+    const [timing, ...text] = lines;
+    const [start, end] = timing.split(',');
+    const startTime = parseTimestamp(start);
+    const endTime = parseTimestamp(end ?? '');
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime)) continue;
+
+    cues.push(makeCue({ startTime, endTime, text: text.join('\n') }));
+  }
+
+  return { cues, styles: {}, notes: [], formatData: {} };
+};
+
+/**
+ * @param {Object} track - track
+ * @returns {string} SBV text
+ */
+export const serialize = (track) => track.cues.map(cue => {
+  const timing = [cue.startTime, cue.endTime]
+    .map(time => formatTimestamp(time, { hourDigits: 1 }))
+    .join(',');
+  return `${timing}\n${stripMarkup(cue.text)}\n`;
+}).join('\n');
+
+export default { parse, serialize };
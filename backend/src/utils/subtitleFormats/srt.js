@@ -0,0 +1,62 @@
+import {
+  DEFAULT_ANCHOR,
+  splitBlocks,
+  parseTimestamp,
+  formatTimestamp,
+  flattenStyle,
+  makeCue
+} from './common.js';
+import { parseMarkup, serializeMarkup } from './markup.js';
+
+/**
+ * SubRip (.srt). Formatting uses <i>, <b>, <u> and <font color>; many
+ * players also honour an ASS-style {\anN} at the start of a cue for placement.
+ */
+
+const TIMING = /^\s*(\S+)\s*-->\s*(\S+)/;
+const ANCHOR_TAG = /^\{\\an([1-9])\}/;
+
+/**
+ * @param {string} data - SRT text
+ * @returns {Object} track
+ */
+export const parse = (data) => {
+  const cues = [];
+
+  for (const lines of splitBlocks(data)) {
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) continue;
+
+    const timing = lines[timingIndex].match(TIMING);
+    const startTime = timing && parseTimestamp(timing[1]);
+    const endTime = timing && parseTimestamp(timing[2]);
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime)) continue;
+
+    let text = lines.slice(timingIndex + 1).join('\n');
+    let layout;
+    const anchor = text.match(ANCHOR_TAG);
+    if (anchor) {
+      text = text.slice(anchor[0].length);
+      if (Number(anchor[1]) !== DEFAULT_ANCHOR) layout = { anchor: Number(anchor[1]) };
+    }
+
+    cues.push(makeCue({ startTime, endTime, runs: parseMarkup(text, { flavor: 'srt' }).runs, layout }));
+  }
+
+  return { cues, styles: {}, notes: [], formatData: {} };
+};
+
+/**
+ * @param {Object} track - track
+ * @returns {string} SRT text
+ */
+export const serialize = (track) => track.cues.map((cue, index) => {
+  const anchor = cue.layout?.anchor && cue.layout.anchor !== DEFAULT_ANCHOR ? `{\\an${cue.layout.anchor}}` : '';
+  const timing = [cue.startTime, cue.endTime]
+    .map(time => formatTimestamp(time, { separator: ',' }))
+    .join(' --> ');
+  const text = serializeMarkup(flattenStyle(cue, track.styles), { flavor: 'srt' });
+  return `${index + 1}\n${timing}\n${anchor}${text}\n`;
+}).join('\n');
+
+export default { parse, serialize };
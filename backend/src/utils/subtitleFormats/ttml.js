@@ -0,0 +1,456 @@
+import {
+  DEFAULT_ANCHOR,
+  normalizeInput,
+  formatTimestamp,
+  formatOf,
+  cueRuns,
+  makeCue,
+  parseCssColor,
+  anchorOf,
+  anchorParts,
+  roundPercent
+} from './common.js';
+import { parseXml, escapeXml, localName, childElements, findElement, attribute } from './xml.js';
+
+/**
+ * TTML (Timed Text Markup Language), also read and written as DFXP.
+ * Named <style>s map onto track styles, <span> styling onto runs, regions
+ * onto layout, and ttm:agent onto speakers. Regions are kept in
+ * formatData.ttml and reused on export while a cue still sits where its
+ * region puts it; other placements get generated regions.
+ */
+
+const NAMESPACES = {
+  xmlns: 'http://www.w3.org/ns/ttml',
+  'xmlns:tts': 'http://www.w3.org/ns/ttml#styling',
+  'xmlns:ttm': 'http://www.w3.org/ns/ttml#metadata',
+  'xmlns:ttp': 'http://www.w3.org/ns/ttml#parameter'
+};
+
+const DISPLAY_ROWS = { before: 'top', center: 'middle', after: 'bottom' };
+const TEXT_COLUMNS = { left: 'left', start: 'left', center: 'center', right: 'right', end: 'right' };
+const ROW_ALIGN = { top: 'before', middle: 'center', bottom: 'after' };
+// Anchor points of the standard regions, which inset the frame by 10%
+const STANDARD_POINT = { left: 10, center: 50, right: 90, top: 10, middle: 50, bottom: 90 };
+const STANDARD_REGION_IDS = {
+  1: 'bottomLeft', 2: 'bottom', 3: 'bottomRight',
+  4: 'middleLeft', 5: 'middle', 6: 'middleRight',
+  7: 'topLeft', 8: 'top', 9: 'topRight'
+};
+
+// Time expressions ---------------------------------------------------------------
+
+const timingOf = (tt) => {
+  const multiplier = (attribute(tt, 'frameRateMultiplier') || '1 1').split(/\s+/).map(Number);
+  const frameRate = (Number(attribute(tt, 'frameRate')) || 30) * ((multiplier[0] || 1) / (multiplier[1] || 1));
+  const subFrameRate = Number(attribute(tt, 'subFrameRate')) || 1;
+  const tickRate = Number(attribute(tt, 'tickRate')) || (attribute(tt, 'frameRate') ? frameRate * subFrameRate : 1);
+  return { frameRate, subFrameRate, tickRate };
+};
+
+/**
+ * Seconds of a clock ("01:02:03.5", "01:02:03:12") or offset ("12.5s",
+ * "300f", "9000t") time expression
+ */
+export const parseTimeExpression = (value, { frameRate = 30, subFrameRate = 1, tickRate = 1 } = {}) => {
+  if (!value) return undefined;
+  const text = value.trim();
+
+  const clock = text.match(/^(\d+):(\d{2}):(\d{2})(?:\.(\d+)|:(\d+)(?:\.(\d+))?)?$/);
+  if (clock) {
+    const [, hours, minutes, seconds, fraction, frames, subFrames] = clock;
+    let time = Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+    if (fraction) time += Number(`0.${fraction}`);
+    if (frames) time += (Number(frames) + (subFrames ? Number(subFrames) / subFrameRate : 0)) / frameRate;
+    return time;
+  }
+
+  const offset = text.match(/^(\d+(?:\.\d+)?)(h|ms|m|s|f|t)$/);
+  if (offset) {
+    const amount = Number(offset[1]);
+    return { h: amount * 3600, m: amount * 60, s: amount, ms: amount / 1000, f: amount / frameRate, t: amount / tickRate }[offset[2]];
+  }
+  return undefined;
+};
+
+// Styling --------------------------------------------------------------------------
+
+const stylingAttributes = (element) => Object.fromEntries(
+  Object.entries(element.attributes)
+    .filter(([name]) => name.startsWith('tts:'))
+    .map(([name, value]) => [localName(name), value])
+);
+
+const formatFromProps = (props) => {
+  const format = {};
+  if (props.color && parseCssColor(props.color)) format.color = parseCssColor(props.color);
+  if (props.fontStyle) format.italic = /italic|oblique/.test(props.fontStyle);
+  if (props.fontWeight) format.bold = props.fontWeight === 'bold';
+  if (props.textDecoration) {
+    if (/\bunderline\b/.test(props.textDecoration)) format.underline = true;
+    else if (/noUnderline|none/.test(props.textDecoration)) format.underline = false;
+  }
+  return format;
+};
+
+const styleFromProps = (props) => {
+  const style = {
+    ...formatFromProps(props),
+    fontName: props.fontFamily,
+    backgroundColor: props.backgroundColor && parseCssColor(props.backgroundColor),
+    outlineColor: props.textOutline && parseCssColor(props.textOutline.split(/\s+/)[0])
+  };
+  return Object.fromEntries(Object.entries(style).filter(([, value]) => value !== undefined && value !== null));
+};
+
+const propsToAttributes = (style) => {
+  const attributes = [];
+  if (style.fontName) attributes.push(['tts:fontFamily', style.fontName]);
+  if (style.color) attributes.push(['tts:color', parseCssColor(style.color)]);
+  if (style.backgroundColor) attributes.push(['tts:backgroundColor', parseCssColor(style.backgroundColor)]);
+  if (style.outlineColor) attributes.push(['tts:textOutline', `${parseCssColor(style.outlineColor)} 1px`]);
+  if (style.italic !== undefined) attributes.push(['tts:fontStyle', style.italic ? 'italic' : 'normal']);
+  if (style.bold !== undefined) attributes.push(['tts:fontWeight', style.bold ? 'bold' : 'normal']);
+  if (style.underline !== undefined) attributes.push(['tts:textDecoration', style.underline ? 'underline' : 'none']);
+  return attributes.map(([name, value]) => ` ${name}="${escapeXml(value)}"`).join('');
+};
+
+// XML ids are names, so style names such as "Top Left" need replacing
+const toId = (name) => {
+  const id = String(name).replace(/[^\w.-]/g, '_');
+  return /^[A-Za-z_]/.test(id) ? id : `_${id}`;
+};
+
+// Regions --------------------------------------------------------------------------
+
+const percentPair = (value, rootExtent) => {
+  const parts = String(value || '').trim().split(/\s+/);
+  if (parts.length !== 2) return null;
+  const pair = parts.map((part, axis) => {
+    if (part.endsWith('%')) return parseFloat(part);
+    if (part.endsWith('px') && rootExtent) return (parseFloat(part) / rootExtent[axis]) * 100;
+    return NaN;
+  });
+  return pair.every(Number.isFinite) ? pair : null;
+};
+
+/**
+ * Layout of text placed by region and paragraph properties
+ * @param {Object|null} region - region tts properties, or null for none
+ * @param {Object} props - paragraph tts properties
+ * @param {Array|null} rootExtent - [width, height] in px, to convert px lengths
+ * @returns {Object} layout
+ */
+const layoutOf = (region, props = {}, rootExtent = null) => {
+  const layout = {};
+  const displayAlign = props.displayAlign || region?.displayAlign;
+  const textAlign = props.textAlign || region?.textAlign;
+  // Without a region, players put text at the bottom centre
+  const row = DISPLAY_ROWS[displayAlign] || (region ? 'top' : 'bottom');
+  const column = TEXT_COLUMNS[textAlign] || (region ? 'left' : 'center');
+  const anchor = anchorOf(row, column);
+
+  const origin = region && percentPair(region.origin, rootExtent);
+  const extent = region && percentPair(region.extent, rootExtent);
+  if (origin && extent) {
+    const x = origin[0] + { left: 0, center: extent[0] / 2, right: extent[0] }[column];
+    const y = origin[1] + { top: 0, middle: extent[1] / 2, bottom: extent[1] }[row];
+    if (Math.abs(x - STANDARD_POINT[column]) > 0.5 || Math.abs(y - STANDARD_POINT[row]) > 0.5) {
+      layout.x = roundPercent(x);
+      layout.y = roundPercent(y);
+    }
+  }
+  if (anchor !== DEFAULT_ANCHOR || layout.x !== undefined) layout.anchor = anchor;
+  return layout;
+};
+
+/**
+ * Properties of a region that places text at the layout's anchor point
+ */
+const regionProps = (layout = {}) => {
+  const { row, column } = anchorParts(layout.anchor);
+  const x = layout.x ?? STANDARD_POINT[column];
+  const y = layout.y ?? STANDARD_POINT[row];
+  const span = (point, side) => ({
+    start: [point, 100 - point],
+    middle: [point - Math.min(point, 100 - point), 2 * Math.min(point, 100 - point)],
+    end: [0, point]
+  })[side];
+  const [left, width] = layout.x === undefined && layout.y === undefined
+    ? [10, 80]
+    : span(x, { left: 'start', center: 'middle', right: 'end' }[column]);
+  const [top, height] = layout.x === undefined && layout.y === undefined
+    ? [10, 80]
+    : span(y, { top: 'start', middle: 'middle', bottom: 'end' }[row]);
+
+  return {
+    origin: `${roundPercent(left)}% ${roundPercent(top)}%`,
+    extent: `${roundPercent(width)}% ${roundPercent(height)}%`,
+    displayAlign: ROW_ALIGN[row],
+    textAlign: column
+  };
+};
+
+const samePlace = (a = {}, b = {}) => (a.anchor || DEFAULT_ANCHOR) === (b.anchor || DEFAULT_ANCHOR)
+  && a.x === b.x && a.y === b.y;
+
+// Paragraph text -------------------------------------------------------------------
+
+const tidyWhitespace = (runs) => {
+  const collapsed = runs.map(run => (run.br ? run : { ...run, text: run.text.replace(/\s+/g, ' ') }));
+
+  // Drop spaces at line starts and ends, and doubled spaces across runs
+  let previous = '\n';
+  for (const run of collapsed) {
+    if (run.br) {
+      previous = '\n';
+      continue;
+    }
+    if (previous === ' ' || previous === '\n') run.text = run.text.replace(/^ /, '');
+    if (run.text) previous = run.text[run.text.length - 1];
+  }
+  let next = '\n';
+  for (const run of [...collapsed].reverse()) {
+    if (run.br) {
+      next = '\n';
+      continue;
+    }
+    if (next === '\n') run.text = run.text.replace(/ $/, '');
+    if (run.text) next = run.text[0];
+  }
+  return collapsed.filter(run => run.br || run.text);
+};
+
+const paragraphRuns = (paragraph, baseFormat, spanFormat, preserve) => {
+  const runs = [];
+  const collect = (node, format) => {
+    for (const child of node.children) {
+      if (typeof child === 'string') {
+        runs.push({ text: child, ...format });
+        continue;
+      }
+      const name = localName(child.name);
+      if (name === 'br') runs.push({ text: '\n', br: true, ...format });
+      if (name === 'span') collect(child, { ...format, ...spanFormat(child) });
+    }
+  };
+  collect(paragraph, baseFormat);
+
+  const tidied = preserve ? runs : tidyWhitespace(runs);
+  // A line break between two runs formatted alike takes their formatting
+  return tidied.map((run, index) => {
+    if (!run.br) return run;
+    const before = tidied[index - 1];
+    const after = tidied[index + 1];
+    const shared = before && after && !before.br && !after.br
+      && JSON.stringify(formatOf(before)) === JSON.stringify(formatOf(after));
+    return shared ? { text: '\n', ...formatOf(before) } : { text: '\n' };
+  });
+};
+
+// Track --------------------------------------------------------------------------
+
+/**
+ * @param {string} data - TTML or DFXP document
+ * @returns {Object} track
+ */
+export const parse = (data) => {
+  const tt = parseXml(normalizeInput(data));
+  if (localName(tt.name) !== 'tt') throw new Error('Not a TTML document');
+
+  const timing = timingOf(tt);
+  const rootExtent = (attribute(tt, 'extent') || '').trim().split(/\s+/);
+  const pixels = rootExtent.length === 2 && rootExtent.every(part => part.endsWith('px')) ? rootExtent.map(parseFloat) : null;
+  const head = findElement(tt, 'head');
+
+  // Named styles, with referenced styles applied first
+  const styleElements = Object.fromEntries(
+    (head ? childElements(findElement(head, 'styling') || { children: [] }, 'style') : [])
+      .map(element => [attribute(element, 'id'), element])
+  );
+  const resolved = {};
+  const resolveStyle = (id, seen = new Set()) => {
+    if (resolved[id]) return resolved[id];
+    const element = styleElements[id];
+    if (!element || seen.has(id)) return {};
+    seen.add(id);
+    const props = {};
+    for (const ref of (attribute(element, 'style') || '').split(/\s+/).filter(Boolean)) {
+      Object.assign(props, resolveStyle(ref, seen));
+    }
+    resolved[id] = Object.assign(props, stylingAttributes(element));
+    return resolved[id];
+  };
+  const refsProps = (refs) => Object.assign({}, ...refs.map(ref => resolveStyle(ref)));
+  const refsOf = (element) => (attribute(element, 'style') || '').split(/\s+/).filter(Boolean);
+
+  const styles = {};
+  for (const id of Object.keys(styleElements)) styles[id] = styleFromProps(resolveStyle(id));
+
+  const regions = {};
+  for (const region of head ? childElements(findElement(head, 'layout') || { children: [] }, 'region') : []) {
+    regions[attribute(region, 'id')] = {
+      ...refsProps(refsOf(region)),
+      ...Object.assign({}, ...childElements(region, 'style').map(stylingAttributes)),
+      ...stylingAttributes(region)
+    };
+  }
+
+  const agents = {};
+  for (const agent of head ? childElements(findElement(head, 'metadata') || { children: [] }, 'agent') : []) {
+    const name = findElement(agent, 'name');
+    agents[attribute(agent, 'id')] = name ? name.children.filter(child => typeof child === 'string').join('').trim() : attribute(agent, 'id');
+  }
+
+  const cues = [];
+  const spanFormat = (span) => formatFromProps({ ...refsProps(refsOf(span)), ...stylingAttributes(span) });
+
+  const walk = (element, offset, inherited) => {
+    for (const child of childElements(element)) {
+      const name = localName(child.name);
+      if (name !== 'div' && name !== 'p') continue;
+
+      const begin = offset + (parseTimeExpression(attribute(child, 'begin'), timing) ?? 0);
+      const context = {
+        region: attribute(child, 'region') || inherited.region,
+        agent: attribute(child, 'agent') || inherited.agent,
+        styles: refsOf(child).length ? refsOf(child) : inherited.styles,
+        space: attribute(child, 'space') || inherited.space
+      };
+      if (name === 'div') {
+        walk(child, begin, context);
+        continue;
+      }
+
+      const endValue = parseTimeExpression(attribute(child, 'end'), timing);
+      const duration = parseTimeExpression(attribute(child, 'dur'), timing);
+      const endTime = endValue !== undefined ? offset + endValue : duration !== undefined ? begin + duration : undefined;
+      if (endTime === undefined) continue;
+
+      // The first referenced (or inherited) style becomes the cue style, the rest is inlined
+      const [styleName, ...otherRefs] = context.styles;
+      const inline = { ...refsProps(otherRefs), ...stylingAttributes(child) };
+      const props = { ...refsProps(context.styles), ...stylingAttributes(child) };
+      const runs = paragraphRuns(child, formatFromProps(inline), spanFormat, context.space === 'preserve');
+
+      const region = context.region && regions[context.region] ? context.region : null;
+      const layout = layoutOf(region ? regions[region] : null, props, pixels);
+      if (region) layout.region = region;
+
+      cues.push(makeCue({
+        id: attribute(child, 'id'),
+        startTime: begin,
+        endTime,
+        runs,
+        style: styleName && styles[styleName] ? styleName : undefined,
+        speaker: context.agent ? agents[context.agent.split(/\s+/)[0]] : undefined,
+        layout
+      }));
+    }
+  };
+  const body = findElement(tt, 'body');
+  if (body) {
+    walk(body, parseTimeExpression(attribute(body, 'begin'), timing) ?? 0, {
+      region: attribute(body, 'region'),
+      agent: attribute(body, 'agent'),
+      styles: refsOf(body),
+      space: attribute(body, 'space') || attribute(tt, 'space')
+    });
+  }
+
+  cues.sort((a, b) => a.startTime - b.startTime);
+  const lang = attribute(tt, 'lang');
+  return { cues, styles, notes: [], formatData: { ttml: { ...(lang ? { lang } : {}), regions } } };
+};
+
+/**
+ * @param {Object} track - track
+ * @param {Object} options - { lang }
+ * @returns {string} TTML document
+ */
+export const serialize = (track, { lang } = {}) => {
+  const ttml = track.formatData?.ttml || {};
+  const regions = { ...(ttml.regions || {}) };
+
+  const regionFor = (layout = {}) => {
+    const matches = (id) => regions[id] && samePlace(layoutOf(regions[id], {}), layout);
+    let id = layout.region && matches(layout.region)
+      ? layout.region
+      : Object.keys(regions).find(matches);
+    if (!id) {
+      const base = layout.x === undefined && layout.y === undefined
+        ? STANDARD_REGION_IDS[layout.anchor || DEFAULT_ANCHOR]
+        : 'region';
+      id = base;
+      for (let n = 1; regions[id] || id === 'region'; n++) id = `${base}${n}`;
+      regions[id] = regionProps(layout);
+    }
+    return id;
+  };
+
+  const styleIds = Object.fromEntries(Object.keys(track.styles || {}).map(name => [name, toId(name)]));
+  const speakers = [...new Set(track.cues.map(cue => cue.speaker).filter(Boolean))];
+  const agentId = (speaker) => `speaker${speakers.indexOf(speaker) + 1}`;
+
+  const paragraphs = [];
+  track.cues.forEach((cue, index) => {
+    for (const note of (track.notes || []).filter(entry => entry.before === index)) {
+      paragraphs.push(`      <!-- ${note.text.replace(/--/g, '- -')} -->`);
+    }
+    const attributes = [
+      cue.id && /^[A-Za-z_][\w.-]*$/.test(cue.id) ? ` xml:id="${escapeXml(cue.id)}"` : '',
+      ` begin="${formatTimestamp(cue.startTime)}"`,
+      ` end="${formatTimestamp(cue.endTime)}"`,
+      ` region="${regionFor(cue.layout)}"`,
+      cue.style && styleIds[cue.style] ? ` style="${styleIds[cue.style]}"` : '',
+      cue.speaker ? ` ttm:agent="${agentId(cue.speaker)}"` : ''
+    ].join('');
+    const content = cueRuns(cue).map(run => {
+      const text = run.text.split('\n').map(escapeXml).join('<br/>');
+      const styling = propsToAttributes(run);
+      return styling ? `<span${styling}>${text}</span>` : text;
+    }).join('');
+    paragraphs.push(`      <p${attributes}>${content}</p>`);
+  });
+  for (const note of (track.notes || []).filter(entry => entry.before >= track.cues.length)) {
+    paragraphs.push(`      <!-- ${note.text.replace(/--/g, '- -')} -->`);
+  }
+
+  const head = [];
+  if (speakers.length) {
+    head.push('    <metadata>');
+    speakers.forEach(speaker => head.push(
+      `      <ttm:agent xml:id="${agentId(speaker)}" type="person"><ttm:name type="full">${escapeXml(speaker)}</ttm:name></ttm:agent>`
+    ));
+    head.push('    </metadata>');
+  }
+  if (Object.keys(styleIds).length) {
+    head.push('    <styling>');
+    Object.entries(track.styles).forEach(([name, style]) => head.push(`      <style xml:id="${styleIds[name]}"${propsToAttributes(style)}/>`));
+    head.push('    </styling>');
+  }
+  head.push('    <layout>');
+  for (const [id, props] of Object.entries(regions)) {
+    const attributes = Object.entries(props).map(([name, value]) => ` tts:${name}="${escapeXml(value)}"`).join('');
+    head.push(`      <region xml:id="${escapeXml(id)}"${attributes}/>`);
+  }
+  head.push('    </layout>');
+
+  const namespaces = Object.entries(NAMESPACES).map(([name, uri]) => `${name}="${uri}"`).join(' ');
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<tt ${namespaces} xml:lang="${escapeXml(lang || ttml.lang || 'en')}" ttp:timeBase="media">`,
+    '  <head>',
+    ...head,
+    '  </head>',
+    '  <body>',
+    '    <div>',
+    ...paragraphs,
+    '    </div>',
+    '  </body>',
+    '</tt>',
+    ''
+  ].join('\n');
+};
+
+export default { parse, serialize };
@@ -0,0 +1,241 @@
+import {
+  DEFAULT_ANCHOR,
+  splitBlocks,
+  parseTimestamp,
+  formatTimestamp,
+  flattenStyle,
+  makeCue,
+  parseCssColor,
+  anchorOf,
+  anchorParts,
+  roundPercent
+} from './common.js';
+import { VTT_CLASS_COLORS, parseMarkup, serializeMarkup } from './markup.js';
+
+/**
+ * WebVTT (.vtt), including cue settings, STYLE, REGION and NOTE blocks.
+ * STYLE and REGION blocks are kept verbatim in formatData.vtt; `::cue(.class)`
+ * rules in them are applied to <c.class> spans when parsing.
+ */
+
+const TIMING = /^(\S+)\s+-->\s+(\S+)(.*)$/;
+const LINE_ROWS = { start: 'top', center: 'middle', end: 'bottom' };
+const ALIGN_COLUMNS = { start: 'left', left: 'left', center: 'center', middle: 'center', end: 'right', right: 'right' };
+const POSITION_COLUMNS = { 'line-left': 'left', center: 'center', 'line-right': 'right' };
+
+/**
+ * Formatting that STYLE blocks give `::cue(.class)` selectors
+ * @param {string[]} stylesheets - STYLE block contents
+ * @returns {Object} class name -> format
+ */
+export const parseClassFormats = (stylesheets) => {
+  const formats = {};
+  for (const css of stylesheets) {
+    for (const [, className, body] of css.matchAll(/::cue\(\.([\w-]+)\)\s*\{([^}]*)\}/g)) {
+      const format = {};
+      for (const declaration of body.split(';')) {
+        const [property, value = ''] = declaration.split(':').map(part => part.trim().toLowerCase());
+        if (property === 'color' && parseCssColor(value)) format.color = parseCssColor(value);
+        if (property === 'font-style' && /italic|oblique/.test(value)) format.italic = true;
+        if (property === 'font-weight' && (value === 'bold' || Number(value) >= 600)) format.bold = true;
+        if (property === 'text-decoration' && value.includes('underline')) format.underline = true;
+      }
+      formats[className] = { ...formats[className], ...format };
+    }
+  }
+  return formats;
+};
+
+/**
+ * Cue settings ("line:10% position:20%,line-left align:left ...") as a layout
+ */
+const parseSettings = (settings) => {
+  const layout = {};
+  let row = null;
+  let column = null;
+  let positionColumn = null;
+
+  for (const setting of settings) {
+    const [key, value = ''] = setting.split(':');
+    const [main, alignment] = value.split(',');
+    switch (key) {
+      case 'vertical':
+        if (main === 'rl' || main === 'lr') layout.vertical = main;
+        break;
+      case 'line':
+        if (main.endsWith('%')) {
+          layout.y = parseFloat(main);
+          row = LINE_ROWS[alignment || 'start'] || 'top';
+        } else if (Number.isFinite(Number(main)) && Number(main) !== -1) {
+          layout.line = Number(main);
+          row = Number(main) < 0 ? 'bottom' : 'top';
+        }
+        break;
+      case 'position':
+        layout.x = parseFloat(main);
+        positionColumn = POSITION_COLUMNS[alignment] || null;
+        break;
+      case 'size':
+        layout.size = parseFloat(main);
+        break;
+      case 'align':
+        column = ALIGN_COLUMNS[main] || null;
+        break;
+      case 'region':
+        layout.region = main;
+        break;
+      default:
+        break;
+    }
+  }
+
+  const anchor = anchorOf(row || 'bottom', column || positionColumn || 'center');
+  if (anchor !== DEFAULT_ANCHOR || layout.x !== undefined || layout.y !== undefined) {
+    layout.anchor = anchor;
+  }
+  return layout;
+};
+
+const serializeSettings = (layout = {}, regionIds = new Set()) => {
+  const { row, column } = anchorParts(layout.anchor);
+  const settings = [];
+
+  if (layout.vertical) settings.push(`vertical:${layout.vertical}`);
+  if (layout.line !== undefined) {
+    settings.push(`line:${layout.line}`);
+  } else if (layout.y !== undefined) {
+    settings.push(`line:${roundPercent(layout.y)}%${row === 'top' ? '' : row === 'middle' ? ',center' : ',end'}`);
+  } else if (row === 'top') {
+    settings.push('line:0');
+  } else if (row === 'middle') {
+    settings.push('line:50%,center');
+  }
+  if (layout.x !== undefined) {
+    settings.push(`position:${roundPercent(layout.x)}%,${{ left: 'line-left', center: 'center', right: 'line-right' }[column]}`);
+  }
+  if (layout.size !== undefined) settings.push(`size:${roundPercent(layout.size)}%`);
+  if (column !== 'center') settings.push(`align:${column}`);
+  if (layout.region && regionIds.has(layout.region)) settings.push(`region:${layout.region}`);
+
+  return settings.length ? ` ${settings.join(' ')}` : '';
+};
+
+/**
+ * @param {string} data - WebVTT text
+ * @returns {Object} track
+ */
+export const parse = (data) => {
+  const blocks = splitBlocks(data);
+  const cues = [];
+  const notes = [];
+  const vtt = { header: '', styles: [], regions: [] };
+
+  if (blocks[0]?.[0].startsWith('WEBVTT')) {
+    const [first, ...rest] = blocks.shift();
+    vtt.header = [first.slice('WEBVTT'.length), ...rest].join('\n');
+  }
+
+  let classFormats = {};
+  for (const lines of blocks) {
+    const keyword = lines[0].match(/^(NOTE|STYLE|REGION)(?:[ \t]|$)/)?.[1];
+    if (keyword === 'NOTE') {
+      const text = [lines[0].slice(4).trim(), ...lines.slice(1)].join('\n').replace(/^\n/, '');
+      notes.push({ before: cues.length, text });
+      continue;
+    }
+    if (keyword === 'STYLE') {
+      vtt.styles.push(lines.slice(1).join('\n'));
+      classFormats = parseClassFormats(vtt.styles);
+      continue;
+    }
+    if (keyword === 'REGION') {
+      vtt.regions.push(lines.slice(1).join('\n'));
+      continue;
+    }
+
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    const timing = timingIndex !== -1 && lines[timingIndex].trim().match(TIMING);
+    if (!timing) continue;
+    const startTime = parseTimestamp(timing[1]);
+    const endTime = parseTimestamp(timing[2]);
+    if (!Number.isFinite(startTime) || !Number.isFinite(endTime)) continue;
+
+    const { runs, speaker } = parseMarkup(lines.slice(timingIndex + 1).join('\n'), { flavor: 'vtt', classFormats });
+    cues.push(makeCue({
+      id: lines.slice(0, timingIndex).join(' ').trim() || undefined,
+      startTime,
+      endTime,
+      runs,
+      speaker,
+      layout: parseSettings(timing[3].trim().split(/\s+/).filter(Boolean))
+    }));
+  }
+
+  return { cues, styles: {}, notes, formatData: { vtt } };
+};
+
+/**
+ * @param {Object} track - track
+ * @returns {string} WebVTT text
+ */
+export const serialize = (track) => {
+  const vtt = track.formatData?.vtt || {};
+  const stylesheets = [...(vtt.styles || [])];
+  const regionIds = new Set((vtt.regions || []).map(region => region.match(/(?:^|\s)id:(\S+)/)?.[1]).filter(Boolean));
+
+  // Colors map onto default classes, classes from the track's own STYLE
+  // blocks, or new classes declared in a generated STYLE block
+  const classFormats = Object.entries(parseClassFormats(stylesheets));
+  const classByColor = new Map(Object.entries(VTT_CLASS_COLORS).map(([name, color]) => [color, name]));
+  for (const [className, format] of classFormats) {
+    if (format.color && Object.keys(format).length === 1 && !classByColor.has(format.color)) {
+      classByColor.set(format.color, className);
+    }
+  }
+  // A class declaring several of a run's formats stands in for all of them
+  const runClass = (run) => {
+    const [className, format] = classFormats
+      .filter(([, format]) => Object.keys(format).length > 1
+        && Object.entries(format).every(([key, value]) => run[key] === value))
+      .sort(([, a], [, b]) => Object.keys(b).length - Object.keys(a).length)[0] || [];
+    return className ? { className, keys: Object.keys(format) } : null;
+  };
+  const generated = new Map();
+  const colorClass = (color) => {
+    const value = parseCssColor(color);
+    if (!value) return null;
+    if (!classByColor.has(value)) {
+      const className = `color_${value.slice(1)}`;
+      classByColor.set(value, className);
+      generated.set(className, value);
+    }
+    return classByColor.get(value);
+  };
+
+  const blocks = [];
+  track.cues.forEach((cue, index) => {
+    for (const note of (track.notes || []).filter(entry => entry.before === index)) {
+      blocks.push(note.text.includes('\n') ? `NOTE\n${note.text}` : `NOTE ${note.text}`);
+    }
+    const timing = `${formatTimestamp(cue.startTime)} --> ${formatTimestamp(cue.endTime)}`;
+    const voice = cue.speaker ? `<v ${cue.speaker.replace(/[<>]/g, '')}>` : '';
+    const text = serializeMarkup(flattenStyle(cue, track.styles), { flavor: 'vtt', colorClass, runClass });
+    blocks.push(`${cue.id ? `${cue.id}\n` : ''}${timing}${serializeSettings(cue.layout, regionIds)}\n${voice}${text}`);
+  });
+  for (const note of (track.notes || []).filter(entry => entry.before >= track.cues.length)) {
+    blocks.push(note.text.includes('\n') ? `NOTE\n${note.text}` : `NOTE ${note.text}`);
+  }
+
+  if (generated.size) {
+    stylesheets.push([...generated].map(([className, color]) => `::cue(.${className}) { color: ${color}; }`).join('\n'));
+  }
+
+  return [
+    `WEBVTT${vtt.header || ''}`,
+    ...stylesheets.map(css => `STYLE\n${css}`),
+    ...(vtt.regions || []).map(region => `REGION\n${region}`),
+    ...blocks
+  ].join('\n\n') + '\n';
+};
+
+export default { parse, serialize };
@@ -0,0 +1,103 @@
+/**
+ * A small XML reader for TTML documents: elements, attributes, text and
+ * CDATA. Comments, processing instructions and doctypes are skipped;
+ * namespaces are left as written (prefix included in names).
+ */
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+
+export const decodeXml = (text) => text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (entity, name) => {
+  if (name[0] === '#') {
+    const code = name[1].toLowerCase() === 'x' ? parseInt(name.slice(2), 16) : Number(name.slice(1));
+    return String.fromCodePoint(code);
+  }
+  return ENTITIES[name] ?? entity;
+});
+
+export const escapeXml = (text) => String(text)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const parseAttributes = (source) => {
+  const attributes = {};
+  for (const [, name, , value] of source.matchAll(/([^\s=/]+)\s*=\s*(["'])([\s\S]*?)\2/g)) {
+    attributes[name] = decodeXml(value);
+  }
+  return attributes;
+};
+
+/**
+ * Parse a document into its root element
+ * @param {string} source - XML text
+ * @returns {Object} { name, attributes, children: Array<Object|string> }
+ */
+export const parseXml = (source) => {
+  const root = { name: '#document', attributes: {}, children: [] };
+  const stack = [root];
+  const pattern = /<!--[\s\S]*?-->|<!\[CDATA\[([\s\S]*?)\]\]>|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<(\/?)([^\s/>]+)((?:[^>"']|"[^"]*"|'[^']*')*?)(\/?)>/gi;
+  let cursor = 0;
+  let match;
+
+  const addText = (text) => {
+    if (text) stack[stack.length - 1].children.push(text);
+  };
+
+  while ((match = pattern.exec(source))) {
+    addText(decodeXml(source.slice(cursor, match.index)));
+    cursor = pattern.lastIndex;
+
+    const [token, cdata, closing, name, attributes, selfClosing] = match;
+    if (cdata !== undefined) {
+      addText(cdata);
+    } else if (!name || token.startsWith('<!') || token.startsWith('<?')) {
+      continue;
+    } else if (closing) {
+      const index = stack.map(element => element.name).lastIndexOf(name);
+      if (index > 0) stack.length = index;
+    } else {
+      const element = { name, attributes: parseAttributes(attributes), children: [] };
+      stack[stack.length - 1].children.push(element);
+      if (!selfClosing) stack.push(element);
+    }
+  }
+  addText(decodeXml(source.slice(cursor)));
+
+  const element = root.children.find(child => typeof child === 'object');
+  if (!element) throw new Error('No XML root element');
+  return element;
+};
+
+/**
+ * Local name of an element or attribute, without its namespace prefix
+ */
+export const localName = (name) => name.slice(name.indexOf(':') + 1);
+
+/**
+ * Child elements, optionally only those with the given local name
+ */
+export const childElements = (element, name) => element.children.filter(child => (
+  typeof child === 'object' && (!name || localName(child.name) === name)
+));
+
+/**
+ * First descendant element with the given local name
+ */
+export const findElement = (element, name) => {
+  for (const child of childElements(element)) {
+    if (localName(child.name) === name) return child;
+    const found = findElement(child, name);
+    if (found) return found;
+  }
+  return null;
+};
+
+/**
+ * Attribute by local name, whatever its prefix
+ */
+export const attribute = (element, name) => {
+  if (element.attributes[name] !== undefined) return element.attributes[name];
+  const key = Object.keys(element.attributes).find(key => localName(key) === name);
+  return key === undefined ? undefined : element.attributes[key];
+};
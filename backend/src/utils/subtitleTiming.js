@@ -0,0 +1,323 @@
+/**
+ * Pure timing operations on subtitle cues: a constant shift, a linear
+ * stretch between two anchor points, frame rate conversion and alignment to
+ * a transcript's word timestamps. Every operation keeps the rest of each cue
+ * (text, runs, layout, ...) and returns new cue objects.
+ */
+
+import { timedWords } from './subtitleUtils.js';
+
+export const TIMING_OPERATIONS = ['shift', 'stretch', 'framerate', 'align'];
+
+// Nominal rates and the exact NTSC rates they stand for
+const EXACT_FRAME_RATES = {
+  23.976: 24000 / 1001,
+  29.97: 30000 / 1001,
+  59.94: 60000 / 1001
+};
+
+export const ALIGNMENT_DEFAULTS = {
+  mode: 'linear', // linear | piecewise
+  minAnchors: 5, // matched word sequences needed to trust an alignment
+  maxScale: 0.1 // largest speed change a fit may imply (25 / 23.976 is ~4%)
+};
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+/**
+ * Cues with both times mapped through `map`. Cues that end up entirely
+ * before zero are dropped; the rest start no earlier than zero.
+ * @param {Array} cues - cues
+ * @param {Function} map - seconds -> seconds, or (seconds, cue, index) for per-cue mappings
+ * @returns {Array} cues
+ */
+export const mapCueTimes = (cues, map) => cues
+  .map((cue, index) => ({
+    ...cue,
+    startTime: round(Math.max(0, map(cue.startTime, cue, index))),
+    endTime: round(map(cue.endTime, cue, index))
+  }))
+  .filter(cue => cue.endTime > 0 && cue.endTime > cue.startTime);
+
+/**
+ * Move every cue by a constant offset
+ * @param {Array} cues - cues
+ * @param {number} offset - seconds; negative moves cues earlier
+ * @returns {Array} cues
+ */
+export const shiftCues = (cues, offset) => mapCueTimes(cues, time => time + offset);
+
+/**
+ * Stretch timing linearly so that two source times land on two target times,
+ * e.g. the first and last line of dialogue
+ * @param {Array} cues - cues
+ * @param {Object} anchors - { from: [a, b], to: [a2, b2] } in seconds
+ * @returns {Array} cues
+ */
+export const stretchCues = (cues, { from, to }) => {
+  const scale = (to[1] - to[0]) / (from[1] - from[0]);
+  return mapCueTimes(cues, time => to[0] + (time - from[0]) * scale);
+};
+
+/**
+ * Exact frame rate for a nominal one (23.976 -> 24000/1001)
+ */
+export const exactFrameRate = (rate) => EXACT_FRAME_RATES[Number(rate)] ?? Number(rate);
+
+/**
+ * Retime cues made for a video at one frame rate to a release at another;
+ * a 23.976 -> 25 conversion (PAL speed-up) plays everything 4% earlier
+ * @param {Array} cues - cues
+ * @param {Object} rates - { from, to } frames per second
+ * @returns {Array} cues
+ */
+export const convertFrameRate = (cues, { from, to }) => {
+  const factor = exactFrameRate(from) / exactFrameRate(to);
+  return mapCueTimes(cues, time => time * factor);
+};
+
+// Alignment ----------------------------------------------------------------------
+
+/**
+ * Words for matching: lowercase, accents stripped, and bracketed speaker
+ * labels or sound descriptions removed since they are never spoken
+ */
+export const matchTokens = (text) => (String(text || '')
+  .replace(/\[[^\]]*\]|\([^)]*\)/g, ' ')
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .match(/[\p{L}\p{N}]+(?:'[\p{L}]+)?/gu) || []);
+
+/**
+ * Longest subsequence of pairs whose second element increases, so matches
+ * keep the order of both texts
+ */
+const increasingPairs = (pairs) => {
+  const tails = []; // index into pairs of the last pair of each run length
+  const previous = new Array(pairs.length).fill(-1);
+  pairs.forEach(([, j], index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (pairs[tails[mid]][1] < j) low = mid + 1;
+      else high = mid;
+    }
+    if (low > 0) previous[index] = tails[low - 1];
+    tails[low] = index;
+  });
+
+  const result = [];
+  for (let index = tails[tails.length - 1] ?? -1; index !== -1; index = previous[index]) {
+    result.unshift(pairs[index]);
+  }
+  return result;
+};
+
+/**
+ * Positions where the same run of `size` words occurs exactly once in both
+ * token lists, in an order both agree on
+ */
+const uniqueMatches = (left, right, size) => {
+  const counts = (tokens) => {
+    const positions = new Map();
+    for (let i = 0; i + size <= tokens.length; i++) {
+      const key = tokens.slice(i, i + size).join(' ');
+      positions.set(key, positions.has(key) ? -1 : i);
+    }
+    return positions;
+  };
+  const leftPositions = counts(left);
+  const rightPositions = counts(right);
+
+  const pairs = [];
+  for (const [key, i] of leftPositions) {
+    const j = rightPositions.get(key);
+    if (i !== -1 && j !== undefined && j !== -1) pairs.push([i, j]);
+  }
+  pairs.sort((a, b) => a[0] - b[0]);
+  return increasingPairs(pairs);
+};
+
+/**
+ * Least-squares line through points, refitted twice without outliers
+ * @param {Array} points - [{ x, y }]
+ * @returns {{ scale, offset, inliers }}
+ */
+const robustLine = (points) => {
+  let inliers = points;
+  let scale = 1;
+  let offset = median(points.map(point => point.y - point.x));
+
+  for (let pass = 0; pass < 3; pass++) {
+    const n = inliers.length;
+    const meanX = inliers.reduce((sum, point) => sum + point.x, 0) / n;
+    const meanY = inliers.reduce((sum, point) => sum + point.y, 0) / n;
+    const varianceX = inliers.reduce((sum, point) => sum + (point.x - meanX) ** 2, 0);
+    scale = varianceX > 0
+      ? inliers.reduce((sum, point) => sum + (point.x - meanX) * (point.y - meanY), 0) / varianceX
+      : 1;
+    offset = meanY - scale * meanX;
+
+    const residuals = points.map(point => point.y - (scale * point.x + offset));
+    const spread = 1.4826 * median(residuals.map(Math.abs));
+    const limit = Math.max(0.25, 3 * spread);
+    const kept = points.filter((point, i) => Math.abs(residuals[i]) <= limit);
+    if (kept.length < 2 || kept.length === inliers.length) break;
+    inliers = kept;
+  }
+  return { scale, offset, inliers };
+};
+
+/**
+ * Align cues to the words of a transcript of the same audio. Runs of words
+ * found exactly once in both become anchors; a line fitted through them
+ * fixes offset and speed differences (`linear`), and `piecewise` then also
+ * moves each cue by its own anchors' remaining error, interpolating for cues
+ * without any.
+ * @param {Array} cues - cues
+ * @param {Object} transcript - { segments, wordTimestamps } (see timedWords)
+ * @param {Object} options - overrides for ALIGNMENT_DEFAULTS
+ * @returns {{ cues: Array, alignment: Object }} alignment.aligned is false
+ *   when too little matched, in which case the cues come back unchanged
+ */
+export const alignCues = (cues, transcript, options = {}) => {
+  const settings = { ...ALIGNMENT_DEFAULTS, ...options };
+
+  const cueTokens = [];
+  cues.forEach((cue, index) => {
+    const tokens = matchTokens(cue.text);
+    const step = (cue.endTime - cue.startTime) / Math.max(tokens.length, 1);
+    tokens.forEach((token, k) => cueTokens.push({ token, time: cue.startTime + k * step, cue: index }));
+  });
+  const wordTokens = timedWords(transcript).flatMap(word => (
+    matchTokens(word.text).map(token => ({ token, time: word.start }))
+  ));
+
+  const left = cueTokens.map(entry => entry.token);
+  const right = wordTokens.map(entry => entry.token);
+  let matches = uniqueMatches(left, right, 3);
+  if (matches.length < settings.minAnchors) matches = uniqueMatches(left, right, 2);
+
+  const anchors = matches.map(([i, j]) => ({ x: cueTokens[i].time, y: wordTokens[j].time, cue: cueTokens[i].cue }));
+  const summary = { mode: settings.mode, anchors: anchors.length, cueTokens: left.length, transcriptTokens: right.length };
+  if (anchors.length < settings.minAnchors) {
+    return { cues, alignment: { ...summary, aligned: false } };
+  }
+
+  let { scale, offset, inliers } = robustLine(anchors);
+  if (Math.abs(scale - 1) > settings.maxScale) {
+    // An implausible speed change means the fit is fooled; keep the offset only
+    scale = 1;
+    offset = median(anchors.map(anchor => anchor.y - anchor.x));
+    inliers = anchors.filter(anchor => Math.abs(anchor.y - anchor.x - offset) <= 0.5);
+  }
+  const line = (time) => scale * time + offset;
+
+  let corrections = cues.map(() => 0);
+  if (settings.mode === 'piecewise') {
+    const own = cues.map((cue, index) => {
+      // All anchors count here: the line's outliers are what piecewise fixes
+      const residuals = anchors.filter(anchor => anchor.cue === index).map(anchor => anchor.y - line(anchor.x));
+      return residuals.length ? median(residuals) : null;
+    });
+    const known = own.map((value, index) => (value === null ? null : index)).filter(index => index !== null);
+    corrections = own.map((value, index) => {
+      if (value !== null) return value;
+      const before = known.filter(k => k < index).pop();
+      const after = known.find(k => k > index);
+      if (before === undefined) return after === undefined ? 0 : own[after];
+      if (after === undefined) return own[before];
+      return own[before] + ((own[after] - own[before]) * (index - before)) / (after - before);
+    });
+  }
+
+  const matched = settings.mode === 'piecewise' ? anchors : inliers;
+  const matchedCues = new Set(matched.map(anchor => anchor.cue)).size;
+  return {
+    cues: mapCueTimes(cues, (time, cue, index) => line(time) + corrections[index]),
+    alignment: {
+      ...summary,
+      aligned: true,
+      inliers: inliers.length,
+      matchedCues,
+      coverage: cues.length ? round(matchedCues / cues.length) : 0,
+      scale: Math.round(scale * 1e6) / 1e6,
+      offset: round(offset)
+    }
+  };
+};
+
+// Diff -------------------------------------------------------------------------
+
+/**
+ * Timing changes between two versions of the same track, cue by cue. Cues
+ * are paired by text in order, so cues an operation dropped show up as
+ * removed and cues an undo brought back as added.
+ * @param {Array} before - cues before
+ * @param {Array} after - cues after
+ * @returns {Object} { changed, unchanged, removed, added, maxShift, meanShift, cues }
+ */
+export const diffCues = (before, after) => {
+  const changes = [];
+  let unchanged = 0;
+  let removed = 0;
+  let added = 0;
+  let cursor = 0;
+
+  before.forEach((cue, index) => {
+    const match = after.findIndex((next, k) => k >= cursor && next.text === cue.text);
+    if (match === -1) {
+      removed++;
+      changes.push({ index, text: cue.text, startTime: [cue.startTime, null], endTime: [cue.endTime, null] });
+      return;
+    }
+    added += match - cursor;
+    cursor = match + 1;
+
+    const next = after[match];
+    if (next.startTime === cue.startTime && next.endTime === cue.endTime) {
+      unchanged++;
+      return;
+    }
+    changes.push({
+      index,
+      text: cue.text,
+      startTime: [cue.startTime, next.startTime],
+      endTime: [cue.endTime, next.endTime]
+    });
+  });
+  added += after.length - cursor;
+
+  const shifts = changes
+    .filter(change => change.startTime[1] !== null)
+    .map(change => change.startTime[1] - change.startTime[0]);
+  return {
+    changed: shifts.length,
+    unchanged,
+    removed,
+    added,
+    maxShift: shifts.length ? round(shifts.reduce((max, shift) => (Math.abs(shift) > Math.abs(max) ? shift : max), 0)) : 0,
+    meanShift: shifts.length ? round(shifts.reduce((sum, shift) => sum + shift, 0) / shifts.length) : 0,
+    cues: changes
+  };
+};
+
+export default {
+  TIMING_OPERATIONS,
+  ALIGNMENT_DEFAULTS,
+  mapCueTimes,
+  shiftCues,
+  stretchCues,
+  exactFrameRate,
+  convertFrameRate,
+  matchTokens,
+  alignCues,
+  diffCues
+};
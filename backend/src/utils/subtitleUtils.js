@@ -0,0 +1,343 @@
+/**
+ * Pure helpers that turn a timed transcript into a readable subtitle track:
+ * cues sized for the screen and for reading speed, broken at sentence (or
+ * clause) boundaries where possible and labelled when the speaker changes
+ */
+
+import { averageConfidence } from './transcriptionUtils.js';
+
+export const SUBTITLE_DEFAULTS = {
+  maxLineLength: 42, // characters per line
+  maxLines: 2,
+  maxCharsPerSecond: 17, // reading speed
+  minDuration: 1, // seconds on screen
+  maxDuration: 7,
+  minGap: 0.08, // between consecutive cues
+  pauseSeconds: 1.5, // silence that always starts a new cue
+  speakerLabels: 'names', // names | dash | none
+  speakerNames: {}
+};
+
+const LIMITS = {
+  maxLineLength: [20, 80],
+  maxLines: [1, 3],
+  maxCharsPerSecond: [8, 30],
+  minDuration: [0.5, 3],
+  maxDuration: [2, 12],
+  minGap: [0, 1],
+  pauseSeconds: [0.3, 10]
+};
+
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+const CLAUSE_END = /[,;:—–]["'”’)\]]*$/;
+
+const round = (seconds) => Math.round(seconds * 1000) / 1000;
+const joinText = (words) => words.map(word => word.text).join(' ');
+
+/**
+ * Generation settings with out-of-range values clamped and unknown keys dropped
+ * @param {Object} options - overrides for SUBTITLE_DEFAULTS
+ * @returns {Object} settings
+ */
+export const resolveSettings = (options = {}) => {
+  const settings = { ...SUBTITLE_DEFAULTS };
+  for (const [key, [min, max]] of Object.entries(LIMITS)) {
+    const value = Number(options[key]);
+    if (options[key] !== undefined && Number.isFinite(value)) {
+      settings[key] = Math.min(max, Math.max(min, value));
+    }
+  }
+  settings.maxLines = Math.round(settings.maxLines);
+  if (['names', 'dash', 'none'].includes(options.speakerLabels)) {
+    settings.speakerLabels = options.speakerLabels;
+  }
+  if (options.speakerNames && typeof options.speakerNames === 'object') {
+    settings.speakerNames = { ...options.speakerNames };
+  }
+  return settings;
+};
+
+/**
+ * Display name for a diarization label: explicit names win, and engine
+ * labels such as "SPEAKER_00" become "Speaker 1"
+ */
+export const speakerName = (speaker, speakerNames = {}) => {
+  if (!speaker) return null;
+  if (speakerNames[speaker]) return String(speakerNames[speaker]);
+  const numbered = String(speaker).match(/^speaker[_\s-]?(\d+)$/i);
+  return numbered ? `Speaker ${Number(numbered[1]) + 1}` : String(speaker);
+};
+
+/**
+ * Words of a transcript with their timings and speakers. The segment text is
+ * authoritative (word timestamps usually lack punctuation): when a segment's
+ * word timestamps line up with its text they provide the timing, otherwise
+ * the segment's time is shared out in proportion to word length.
+ * @param {Object} transcript - { segments, wordTimestamps }
+ * @returns {Array<{ text, start, end, speaker, confidence }>}
+ */
+export const timedWords = ({ segments = [], wordTimestamps = [] } = {}) => {
+  const stamps = Array.isArray(wordTimestamps) ? wordTimestamps : [];
+  const ordered = [...segments]
+    .filter(segment => String(segment.text || '').trim())
+    .sort((a, b) => a.start - b.start);
+
+  return ordered.flatMap(segment => {
+    const tokens = String(segment.text).trim().split(/\s+/);
+    const start = Number(segment.start) || 0;
+    const end = Math.max(Number(segment.end) || start, start);
+    const speaker = segment.speaker || null;
+    const confidence = Number.isFinite(segment.confidence) ? segment.confidence : null;
+
+    const stamped = stamps.filter(word => word.start >= start && word.start < end);
+    if (stamped.length === tokens.length) {
+      return tokens.map((text, i) => ({
+        text,
+        start: stamped[i].start,
+        end: Math.max(stamped[i].end ?? stamped[i].start, stamped[i].start),
+        speaker: stamped[i].speaker || speaker,
+        confidence: Number.isFinite(stamped[i].confidence) ? stamped[i].confidence : confidence
+      }));
+    }
+
+    const weights = tokens.map(token => token.length + 1);
+    const total = weights.reduce((sum, weight) => sum + weight, 0);
+    let cursor = start;
+    return tokens.map((text, i) => {
+      const wordStart = cursor;
+      cursor += ((end - start) * weights[i]) / total;
+      return { text, start: wordStart, end: cursor, speaker, confidence };
+    });
+  });
+};
+
+/**
+ * Where to cut an over-full cue: after its last sentence end, else its last
+ * clause end, as long as the first part is not too short; otherwise before
+ * the newest word
+ * @returns {number} number of words to keep in the cue
+ */
+const breakPoint = (words, capacity) => {
+  for (const [pattern, minLength] of [[SENTENCE_END, capacity / 4], [CLAUSE_END, capacity / 3]]) {
+    for (let i = words.length - 2; i >= 0; i--) {
+      if (pattern.test(words[i].text) && joinText(words.slice(0, i + 1)).length >= minLength) {
+        return i + 1;
+      }
+    }
+  }
+  return Math.max(1, words.length - 1);
+};
+
+/**
+ * Group words into cues. A cue never spans a speaker change or a long pause
+ * and never outgrows the screen or the maximum duration; short sentences
+ * share a cue.
+ * @param {Array} words - timedWords() output
+ * @param {Object} settings - resolveSettings() output
+ * @returns {Array<Array>} words of each cue
+ */
+export const groupWords = (words, settings) => {
+  const capacity = settings.maxLineLength * settings.maxLines;
+  const labelled = settings.speakerLabels === 'names' && new Set(words.map(word => word.speaker)).size > 1;
+  const groups = [];
+  let current = [];
+  let lastSpeaker;
+
+  const label = () => (labelled && current[0].speaker !== lastSpeaker
+    ? `[${speakerName(current[0].speaker, settings.speakerNames)}] `
+    : '');
+  const overflows = () => current.length > 1 && (
+    wrapLines(label() + joinText(current), settings.maxLineLength, settings.maxLines).length > settings.maxLines ||
+    current[current.length - 1].end - current[0].start > settings.maxDuration
+  );
+  const flush = (count = current.length) => {
+    groups.push(current.slice(0, count));
+    lastSpeaker = current[0].speaker;
+    current = current.slice(count);
+  };
+
+  for (const word of words) {
+    const last = current[current.length - 1];
+    if (last && (word.speaker !== last.speaker || word.start - last.end >= settings.pauseSeconds)) {
+      flush();
+    }
+    current.push(word);
+    while (overflows()) {
+      flush(breakPoint(current, capacity));
+    }
+  }
+  if (current.length) flush();
+
+  return groups;
+};
+
+/**
+ * Break cue text into at most `maxLines` lines of `maxLineLength`. Two-line
+ * cues are balanced, preferring a break after punctuation.
+ * @returns {Array<string>} lines
+ */
+export const wrapLines = (text, maxLineLength, maxLines = 2) => {
+  if (text.length <= maxLineLength) return [text];
+  const words = text.split(' ');
+
+  if (maxLines === 2) {
+    let best = null;
+    for (let i = 1; i < words.length; i++) {
+      const top = words.slice(0, i).join(' ');
+      const bottom = words.slice(i).join(' ');
+      if (top.length > maxLineLength || bottom.length > maxLineLength) continue;
+      const score = Math.abs(top.length - bottom.length) - (CLAUSE_END.test(top) || SENTENCE_END.test(top) ? 10 : 0);
+      if (!best || score < best.score) best = { score, lines: [top, bottom] };
+    }
+    if (best) return best.lines;
+  }
+
+  // Greedy fill; only words longer than a line can push past maxLines
+  const lines = [];
+  for (const word of words) {
+    const line = lines[lines.length - 1];
+    if (line !== undefined && `${line} ${word}`.length <= maxLineLength) {
+      lines[lines.length - 1] = `${line} ${word}`;
+    } else {
+      lines.push(word);
+    }
+  }
+  return lines;
+};
+
+/**
+ * In dash style, two short consecutive lines from different speakers share a
+ * cue as dialogue ("- Ready?" / "- Yes.")
+ */
+const mergeDialogue = (cues, settings) => {
+  const merged = [];
+  for (const cue of cues) {
+    const previous = merged[merged.length - 1];
+    if (
+      previous && !previous.dialogue && settings.maxLines >= 2 &&
+      previous.speaker !== cue.speaker &&
+      previous.text.length + 2 <= settings.maxLineLength &&
+      cue.text.length + 2 <= settings.maxLineLength &&
+      cue.start - previous.end < settings.pauseSeconds &&
+      cue.end - previous.start <= settings.maxDuration
+    ) {
+      merged[merged.length - 1] = {
+        ...previous,
+        end: cue.end,
+        lines: [`- ${previous.text}`, `- ${cue.text}`],
+        confidences: [...previous.confidences, ...cue.confidences],
+        dialogue: true
+      };
+    } else {
+      merged.push(cue);
+    }
+  }
+  return merged;
+};
+
+/**
+ * Stretch cues that flash by too fast to read into the silence after them,
+ * without overlapping the next cue
+ */
+const applyTiming = (cues, settings) => cues.map((cue, i) => {
+  const next = cues[i + 1];
+  const characters = cue.lines.join(' ').length;
+  const wanted = Math.min(settings.maxDuration, Math.max(settings.minDuration, characters / settings.maxCharsPerSecond));
+  const ceiling = next ? next.start - settings.minGap : Infinity;
+  const end = Math.max(cue.end, Math.min(cue.start + wanted, ceiling));
+  // Word timings can overlap slightly across cues; the next cue wins
+  return { ...cue, end: Math.max(cue.start + 0.001, Math.min(end, next ? next.start : end)) };
+});
+
+/**
+ * Build a subtitle track from a transcript
+ * @param {Object} transcript - VideoTranscript (segments, optional wordTimestamps)
+ * @param {Object} options - overrides for SUBTITLE_DEFAULTS
+ * @returns {Object} { cues: [{ startTime, endTime, text, speaker }], accuracy, speakers }
+ */
+export const buildSubtitleCues = (transcript, options = {}) => {
+  const settings = resolveSettings(options);
+  const words = timedWords(transcript);
+  const speakers = [...new Set(words.map(word => word.speaker).filter(Boolean))];
+  const multiSpeaker = speakers.length > 1;
+
+  let lastSpeaker;
+  let cues = groupWords(words, settings).map(group => {
+    const speaker = group[0].speaker;
+    const name = speakerName(speaker, settings.speakerNames);
+    const text = joinText(group);
+    const label = multiSpeaker && speaker !== lastSpeaker && settings.speakerLabels === 'names' ? `[${name}] ` : '';
+    lastSpeaker = speaker;
+    return {
+      start: group[0].start,
+      end: group[group.length - 1].end,
+      speaker: name,
+      text,
+      lines: wrapLines(label + text, settings.maxLineLength, settings.maxLines),
+      confidences: group.map(word => ({ confidence: word.confidence }))
+    };
+  });
+
+  if (multiSpeaker && settings.speakerLabels === 'dash') {
+    cues = mergeDialogue(cues, settings);
+  }
+
+  const timed = applyTiming(cues, settings);
+  return {
+    cues: timed.map(cue => ({
+      startTime: round(cue.start),
+      endTime: round(cue.end),
+      text: cue.lines.join('\n'),
+      ...(cue.speaker && !cue.dialogue && { speaker: cue.speaker })
+    })),
+    accuracy: averageConfidence(timed.flatMap(cue => cue.confidences)),
+    speakers: speakers.map(speaker => speakerName(speaker, settings.speakerNames))
+  };
+};
+
+const LABEL = /^\[[^\]]+\]\s+/;
+const DIALOGUE_LINE = /^-\s+/;
+
+/**
+ * Split a cue's text into the parts a translator should see: speaker labels
+ * and dialogue dashes are layout, not speech, and each dialogue line is its
+ * own utterance
+ * @param {string} text - cue text
+ * @returns {{ label: string, dialogue: boolean, parts: string[] }}
+ */
+export const splitCueText = (text) => {
+  const lines = String(text).split('\n').map(line => line.trim()).filter(Boolean);
+  if (lines.length > 1 && lines.every(line => DIALOGUE_LINE.test(line))) {
+    return { label: '', dialogue: true, parts: lines.map(line => line.replace(DIALOGUE_LINE, '')) };
+  }
+
+  const joined = lines.join(' ');
+  const label = joined.match(LABEL)?.[0] || '';
+  return { label, dialogue: false, parts: [joined.slice(label.length)] };
+};
+
+/**
+ * Lay translated parts back out as cue text, re-wrapped for the screen
+ * @param {Object} split - splitCueText() output
+ * @param {string[]} parts - translated parts
+ * @param {Object} options - { maxLineLength, maxLines }
+ * @returns {string} cue text
+ */
+export const joinCueText = ({ label, dialogue }, parts, options = {}) => {
+  const { maxLineLength, maxLines } = resolveSettings(options);
+  if (dialogue) {
+    return parts.map(part => `- ${part}`).join('\n');
+  }
+  return wrapLines(`${label}${parts.join(' ')}`, maxLineLength, maxLines).join('\n');
+};
+
+export default {
+  resolveSettings,
+  speakerName,
+  timedWords,
+  groupWords,
+  wrapLines,
+  buildSubtitleCues,
+  splitCueText,
+  joinCueText
+};
@@ -13,6 +13,88 @@ export class SyncUtils {
     this.SYNC_TOLERANCE_MS = 100;
     this.LAG_THRESHOLD_MS = 1000;
     this.SKIP_THRESHOLD_MS = 3000;
+    this.MIN_CLOCK_RATE = 0.25;
+    this.MAX_CLOCK_RATE = 4;
+    this.MIN_CLOCK_SAMPLES = 3;
+  }
+
+  /**
+   * Extrapolate where playback should be according to a room clock
+   * @param {Object} clock - room clock ({ t, paused, rate, anchorAt })
+   * @param {number} now - wall-clock time in ms
+   * @returns {number} expected playback position in seconds
+   */
+  extrapolatePosition(clock = {}, now = Date.now()) {
+    const t = Number(clock?.t) || 0;
+    if (clock?.paused !== false || !clock?.anchorAt) {
+      return t;
+    }
+
+    const anchorMs = new Date(clock.anchorAt).getTime();
+    const rate = Number(clock.rate) || this.DEFAULT_PLAYBACK_RATE;
+    const elapsedMs = Math.max(0, now - anchorMs);
+
+    return t + (elapsedMs / 1000) * rate;
+  }
+
+  /**
+   * Apply a playback action to a room clock and re-anchor it at `now`
+   * @param {Object} clock - current room clock ({ t, paused, rate, anchorAt })
+   * @param {string} action - play | pause | seek | rate
+   * @param {Object} payload - client supplied values ({ t, rate })
+   * @param {number} now - wall-clock time in ms
+   * @returns {Object} new clock fields ({ t, paused, rate, anchorAt })
+   */
+  applyPlaybackAction(clock = {}, action, payload = {}, now = Date.now()) {
+    const requestedT = Number(payload?.t);
+    const position = Number.isFinite(requestedT) && requestedT >= 0
+      ? requestedT
+      : this.extrapolatePosition(clock, now);
+
+    const next = {
+      t: position,
+      paused: clock?.paused !== false,
+      rate: Number(clock?.rate) || this.DEFAULT_PLAYBACK_RATE,
+      anchorAt: new Date(now)
+    };
+
+    switch (action) {
+      case 'play':
+        next.paused = false;
+        break;
+      case 'pause':
+        next.paused = true;
+        break;
+      case 'rate': {
+        const requestedRate = Number(payload?.rate);
+        if (Number.isFinite(requestedRate) && requestedRate > 0) {
+          next.rate = Math.max(this.MIN_CLOCK_RATE, Math.min(this.MAX_CLOCK_RATE, requestedRate));
+        }
+        break;
+      }
+      case 'seek':
+        break;
+      default:
+        throw new Error(`Unknown playback action: ${action}`);
+    }
+
+    return next;
+  }
+
+  /**
+   * Snapshot a room clock for broadcasting to clients
+   * Clients add (receive time - serverTime) * rate to `t` while playing
+   * @param {Object} clock - room clock ({ t, paused, rate, anchorAt })
+   * @param {number} now - wall-clock time in ms
+   * @returns {Object} clock snapshot ({ t, paused, rate, serverTime })
+   */
+  snapshotClock(clock = {}, now = Date.now()) {
+    return {
+      t: this.extrapolatePosition(clock, now),
+      paused: clock?.paused !== false,
+      rate: Number(clock?.rate) || this.DEFAULT_PLAYBACK_RATE,
+      serverTime: now
+    };
   }
 
   /**
@@ -170,6 +252,76 @@ export class SyncUtils {
     };
   }
 
+  /**
+   * Estimate a client's clock offset from NTP-style round-trip samples
+   * Each sample holds t0 (client send), t1 (server receive), t2 (server send)
+   * and t3 (client receive); samples whose round trip is an outlier are rejected
+   * @param {Array} samples - array of { t0, t1, t2, t3 } in ms
+   * @param {Object} options - estimation options
+   * @returns {Object} { offsetMs, rttMs, jitterMs, sampleCount, rejectedCount }
+   */
+  estimateClockOffset(samples = [], options = {}) {
+    const {
+      minSamples = this.MIN_CLOCK_SAMPLES,
+      outlierFactor = 3
+    } = options;
+
+    const measured = samples
+      .filter(s => [s?.t0, s?.t1, s?.t2, s?.t3].every(Number.isFinite))
+      .map(({ t0, t1, t2, t3 }) => ({
+        delay: (t3 - t0) - (t2 - t1),
+        offset: ((t1 - t0) + (t2 - t3)) / 2
+      }))
+      .filter(s => s.delay >= 0);
+
+    if (measured.length < minSamples) {
+      throw new Error(`At least ${minSamples} valid clock samples are required`);
+    }
+
+    // Reject round trips far above the median (median absolute deviation)
+    const medianDelay = this.median(measured.map(s => s.delay));
+    const mad = this.median(measured.map(s => Math.abs(s.delay - medianDelay)));
+    const maxDelay = medianDelay + outlierFactor * Math.max(mad, 1);
+    const kept = measured.filter(s => s.delay <= maxDelay);
+
+    const delays = kept.map(s => s.delay);
+    const meanDelay = delays.reduce((sum, d) => sum + d, 0) / delays.length;
+    const variance = delays.reduce((sum, d) => sum + (d - meanDelay) ** 2, 0) / delays.length;
+
+    return {
+      offsetMs: Math.round(this.median(kept.map(s => s.offset))),
+      rttMs: Math.round(this.median(delays)),
+      jitterMs: Math.round(Math.sqrt(variance)),
+      sampleCount: kept.length,
+      rejectedCount: samples.length - kept.length
+    };
+  }
+
+  /**
+   * Measure how far a participant's playback is from the room clock
+   * @param {Object} clock - room clock ({ t, paused, rate, anchorAt })
+   * @param {number} position - participant playback position in seconds
+   * @param {number} clientTime - participant wall-clock time of `position` in ms
+   * @param {number} offsetMs - participant clock offset (server - client) in ms
+   * @returns {number} lag in milliseconds (positive = behind, negative = ahead)
+   */
+  measurePlaybackLag(clock, position, clientTime, offsetMs = 0) {
+    const referenceTime = this.extrapolatePosition(clock, clientTime + offsetMs);
+    return this.calculateLagMs(referenceTime, position);
+  }
+
+  /**
+   * Median of a list of numbers
+   * @param {Array<number>} values
+   * @returns {number} median value (0 for an empty list)
+   */
+  median(values = []) {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  }
+
   /**
    * Classify network quality based on delay
    * @param {number} delayMs - one-way network delay in milliseconds
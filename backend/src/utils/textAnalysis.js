@@ -0,0 +1,206 @@
+/**
+ * Text analysis helpers
+ * Tokenization, sentence splitting and TF-IDF weighting used by the local AI
+ * provider. Everything here is deterministic: the same input always gives
+ * the same output, with ties broken by position.
+ */
+
+// Common English function words that carry no topic information
+export const STOP_WORDS = new Set([
+  'a', 'about', 'above', 'after', 'again', 'against', 'all', 'also', 'am', 'an', 'and', 'any', 'are',
+  'as', 'at', 'be', 'because', 'been', 'before', 'being', 'below', 'between', 'both', 'but', 'by',
+  'can', 'could', 'did', 'do', 'does', 'doing', 'done', 'down', 'during', 'each', 'even', 'every',
+  'few', 'for', 'from', 'further', 'get', 'gets', 'getting', 'go', 'goes', 'going', 'gonna', 'got',
+  'had', 'has', 'have', 'having', 'he', 'her', 'here', 'hers', 'herself', 'him', 'himself', 'his',
+  'how', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'itself', 'just', 'know', 'let', 'like', 'lot',
+  'make', 'many', 'may', 'me', 'might', 'more', 'most', 'much', 'must', 'my', 'myself', 'need', 'no',
+  'nor', 'not', 'now', 'of', 'off', 'ok', 'okay', 'on', 'once', 'one', 'only', 'or', 'other', 'our',
+  'ours', 'ourselves', 'out', 'over', 'own', 'really', 'right', 'said', 'same', 'say', 'says', 'see',
+  'she', 'should', 'so', 'some', 'something', 'such', 'take', 'than', 'that', 'the', 'their',
+  'theirs', 'them', 'themselves', 'then', 'there', 'these', 'they', 'thing', 'things', 'think',
+  'this', 'those', 'through', 'to', 'too', 'under', 'until', 'up', 'us', 'very', 'want', 'was',
+  'way', 'we', 'well', 'were', 'what', 'when', 'where', 'which', 'while', 'who', 'whom', 'why',
+  'will', 'with', 'would', 'yeah', 'yes', 'you', 'your', 'yours', 'yourself', 'yourselves'
+]);
+
+const MIN_TOKEN_LENGTH = 3;
+
+/**
+ * Lowercase word tokens, without punctuation, stop words or short words
+ * @param {string} text - text to tokenize
+ * @param {Object} options - { keepStopWords }
+ * @returns {string[]} tokens in order
+ */
+export const tokenize = (text, { keepStopWords = false } = {}) => {
+  const words = String(text || '')
+    .toLowerCase()
+    .replace(/[’']/g, '')
+    .match(/[\p{L}\p{N}]+/gu) || [];
+
+  return words.filter(word =>
+    keepStopWords || (word.length >= MIN_TOKEN_LENGTH && !STOP_WORDS.has(word) && !/^\d+$/.test(word))
+  );
+};
+
+/**
+ * Split text into sentences on terminal punctuation and line breaks
+ * @param {string} text - text to split
+ * @returns {string[]} trimmed, non-empty sentences
+ */
+export const splitSentences = (text) =>
+  String(text || '')
+    .replace(/\s+/g, ' ')
+    .split(/(?<=[.!?])\s+(?=[\p{Lu}\p{N}"'(])/u)
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+
+/**
+ * Count how often each term occurs
+ * @param {string[]} tokens - tokens
+ * @returns {Map<string, number>} term -> count
+ */
+export const termFrequencies = (tokens) => {
+  const counts = new Map();
+  for (const token of tokens) {
+    counts.set(token, (counts.get(token) || 0) + 1);
+  }
+  return counts;
+};
+
+/**
+ * Smoothed inverse document frequency of every term in a set of documents
+ * @param {string[][]} documents - tokenized documents
+ * @returns {Map<string, number>} term -> idf
+ */
+export const inverseDocumentFrequencies = (documents) => {
+  const documentCounts = new Map();
+  for (const tokens of documents) {
+    for (const term of new Set(tokens)) {
+      documentCounts.set(term, (documentCounts.get(term) || 0) + 1);
+    }
+  }
+
+  const idf = new Map();
+  for (const [term, count] of documentCounts) {
+    idf.set(term, Math.log((1 + documents.length) / (1 + count)) + 1);
+  }
+  return idf;
+};
+
+/**
+ * TF-IDF weight vector for each document
+ * @param {string[][]} documents - tokenized documents
+ * @returns {{ vectors: Map<string, number>[], idf: Map<string, number> }}
+ */
+export const tfidfVectors = (documents) => {
+  const idf = inverseDocumentFrequencies(documents);
+  const vectors = documents.map((tokens) => {
+    const vector = new Map();
+    for (const [term, count] of termFrequencies(tokens)) {
+      vector.set(term, (count / tokens.length) * idf.get(term));
+    }
+    return vector;
+  });
+  return { vectors, idf };
+};
+
+/**
+ * Cosine similarity of two sparse term vectors
+ * @param {Map<string, number>} a - vector
+ * @param {Map<string, number>} b - vector
+ * @returns {number} similarity in [0, 1]
+ */
+export const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+
+  for (const [term, weight] of a) {
+    normA += weight * weight;
+    if (b.has(term)) dot += weight * b.get(term);
+  }
+  for (const weight of b.values()) {
+    normB += weight * weight;
+  }
+
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+/**
+ * Highest-weighted terms across a set of documents. Adjacent content words
+ * that recur together are kept as two-word phrases ("machine learning").
+ * @param {string[]} texts - documents
+ * @param {Object} options - { limit, minCount }
+ * @returns {Array<{ term: string, score: number, count: number }>} best first
+ */
+export const topTerms = (texts, { limit = 10, minCount = 1 } = {}) => {
+  const documents = texts.map(text => tokenize(text));
+  const idf = inverseDocumentFrequencies(documents);
+  const totals = new Map();
+
+  for (const tokens of documents) {
+    for (const token of tokens) {
+      totals.set(token, (totals.get(token) || 0) + 1);
+    }
+  }
+
+  const phrases = new Map();
+  for (const text of texts) {
+    const words = tokenize(text, { keepStopWords: true });
+    for (let index = 0; index < words.length - 1; index++) {
+      const [first, second] = [words[index], words[index + 1]];
+      if (totals.has(first) && totals.has(second)) {
+        const phrase = `${first} ${second}`;
+        phrases.set(phrase, (phrases.get(phrase) || 0) + 1);
+      }
+    }
+  }
+
+  const scored = [];
+  for (const [term, count] of totals) {
+    if (count >= minCount) {
+      scored.push({ term, count, score: count * idf.get(term) });
+    }
+  }
+  for (const [phrase, count] of phrases) {
+    if (count >= Math.max(2, minCount)) {
+      const [first, second] = phrase.split(' ');
+      scored.push({ term: phrase, count, score: count * (idf.get(first) + idf.get(second)) });
+    }
+  }
+
+  scored.sort((a, b) => b.score - a.score || a.term.localeCompare(b.term));
+
+  // A phrase replaces the single words it is made of
+  const picked = [];
+  const covered = new Set();
+  for (const entry of scored) {
+    const words = entry.term.split(' ');
+    if (words.length === 1 && covered.has(entry.term)) continue;
+    if (words.length > 1 && words.every(word => covered.has(word))) continue;
+    picked.push({ ...entry, score: Number(entry.score.toFixed(4)) });
+    words.forEach(word => covered.add(word));
+    if (picked.length === limit) break;
+  }
+  return picked;
+};
+
+/**
+ * Capitalize each word of a term for use as a title
+ * @param {string} term - term
+ * @returns {string} title-cased term
+ */
+export const toTitleCase = (term) =>
+  term.replace(/\p{L}+/gu, word => word.charAt(0).toUpperCase() + word.slice(1));
+
+export default {
+  STOP_WORDS,
+  tokenize,
+  splitSentences,
+  termFrequencies,
+  inverseDocumentFrequencies,
+  tfidfVectors,
+  cosineSimilarity,
+  topTerms,
+  toTitleCase
+};
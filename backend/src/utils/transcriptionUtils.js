@@ -0,0 +1,121 @@
+/**
+ * Pure helpers for the transcription pipeline: splitting long audio into
+ * overlapping chunks and stitching the per-chunk results back together
+ */
+
+const LANGUAGE_NAMES = {
+  english: 'en',
+  spanish: 'es',
+  french: 'fr',
+  german: 'de',
+  italian: 'it',
+  portuguese: 'pt',
+  dutch: 'nl',
+  russian: 'ru',
+  chinese: 'zh',
+  japanese: 'ja',
+  korean: 'ko',
+  arabic: 'ar',
+  hindi: 'hi',
+  turkish: 'tr',
+  polish: 'pl',
+  swedish: 'sv',
+  ukrainian: 'uk'
+};
+
+/**
+ * Two-letter language code from a code ("en", "en-US") or the language name
+ * Whisper reports ("english")
+ * @param {string} language - language code or name
+ * @param {string} fallback - code to use when unrecognised
+ * @returns {string} ISO 639-1 code
+ */
+export const normalizeLanguage = (language, fallback = 'en') => {
+  const value = String(language || '').trim().toLowerCase();
+  if (/^[a-z]{2}([-_][a-z]{2,4})?$/.test(value)) {
+    return value.slice(0, 2);
+  }
+  return LANGUAGE_NAMES[value] || fallback;
+};
+
+/**
+ * Windows to transcribe separately. Each chunk runs `overlapSeconds` past the
+ * next chunk's start, so words on a boundary are heard whole by one of them.
+ * @param {number} duration - audio duration in seconds
+ * @param {Object} options - { chunkSeconds, overlapSeconds }
+ * @returns {Array<{ index: number, start: number, duration: number }>}
+ */
+export const planChunks = (duration, { chunkSeconds = 600, overlapSeconds = 2 } = {}) => {
+  if (!(duration > 0)) {
+    return [];
+  }
+  if (duration <= chunkSeconds + overlapSeconds) {
+    return [{ index: 0, start: 0, duration }];
+  }
+
+  const chunks = [];
+  // A chunk that would only hold the previous chunk's overlap adds nothing
+  for (let start = 0; start === 0 || start + overlapSeconds < duration; start += chunkSeconds) {
+    chunks.push({
+      index: chunks.length,
+      start,
+      duration: Math.min(chunkSeconds + overlapSeconds, duration - start)
+    });
+  }
+  return chunks;
+};
+
+const shift = (entry, offset) => ({ ...entry, start: entry.start + offset, end: entry.end + offset });
+
+/**
+ * Merge per-chunk transcriptions into one, on the timeline of the whole file.
+ * Within an overlap, the earlier chunk owns everything that starts before the
+ * overlap's midpoint and the later chunk owns the rest, so nothing is
+ * repeated or dropped.
+ * @param {Array<{ start: number, transcription: Object }>} chunks - results with chunk offsets
+ * @param {Object} options - { overlapSeconds }
+ * @returns {Object} { text, segments, words, language }
+ */
+export const stitchChunks = (chunks, { overlapSeconds = 2 } = {}) => {
+  const ordered = [...chunks].sort((a, b) => a.start - b.start);
+  const segments = [];
+  const words = [];
+  let language = null;
+
+  ordered.forEach((chunk, position) => {
+    const from = position === 0 ? -Infinity : chunk.start + overlapSeconds / 2;
+    const next = ordered[position + 1];
+    const until = next ? next.start + overlapSeconds / 2 : Infinity;
+    const owns = entry => entry.start >= from && entry.start < until;
+    const { transcription } = chunk;
+
+    language = language || transcription.language || null;
+    segments.push(...transcription.segments.map(segment => shift(segment, chunk.start)).filter(owns));
+    words.push(...(transcription.words || []).map(word => shift(word, chunk.start)).filter(owns));
+  });
+
+  return {
+    text: segments.map(segment => segment.text).join(' ').replace(/\s+/g, ' ').trim(),
+    segments,
+    words,
+    language
+  };
+};
+
+/**
+ * Mean of the known segment confidences
+ * @param {Array} segments - transcript segments
+ * @returns {number|null} confidence between 0 and 1
+ */
+export const averageConfidence = (segments) => {
+  const known = segments.filter(segment => Number.isFinite(segment.confidence));
+  if (!known.length) return null;
+  return known.reduce((sum, segment) => sum + segment.confidence, 0) / known.length;
+};
+
+export default {
+  normalizeLanguage,
+  planChunks,
+  stitchChunks,
+  averageConfidence
+};
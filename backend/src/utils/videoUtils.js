@@ -238,6 +238,31 @@ export class VideoUtils {
     return hours * 3600 + minutes * 60 + seconds;
   }
 
+  /**
+   * Convert seconds to an SRT timestamp (HH:MM:SS,mmm)
+   * @param {number} seconds - time in seconds
+   * @returns {string} SRT timestamp
+   */
+  secondsToSRTTime(seconds) {
+    const totalMs = Math.max(0, Math.round((Number(seconds) || 0) * 1000));
+    const hours = Math.floor(totalMs / 3600000);
+    const minutes = Math.floor((totalMs % 3600000) / 60000);
+    const secs = Math.floor((totalMs % 60000) / 1000);
+    const ms = totalMs % 1000;
+
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}:` +
+      `${String(secs).padStart(2, '0')},${String(ms).padStart(3, '0')}`;
+  }
+
+  /**
+   * Convert an SRT timestamp (HH:MM:SS,mmm) to seconds
+   * @param {string} srtTime - SRT timestamp
+   * @returns {number} time in seconds
+   */
+  srtTimeToSeconds(srtTime) {
+    return this.timecodeToSeconds(String(srtTime).trim().replace(',', '.'));
+  }
+
   /**
    * Generate video thumbnail at specified timestamp
    * @param {string} videoPath - path to video file
@@ -284,6 +309,121 @@ export class VideoUtils {
     });
   }
 
+  /**
+   * Duration of any audio or video file, from the container
+   * @param {string} mediaPath - path to media file
+   * @returns {Promise<number>} duration in seconds
+   */
+  async getMediaDuration(mediaPath) {
+    const info = await ffprobe(mediaPath, { path: ffprobeStatic.path });
+    const duration = parseFloat(info.format?.duration);
+    if (!Number.isFinite(duration)) {
+      throw new Error(`Could not read duration of ${mediaPath}`);
+    }
+    return duration;
+  }
+
+  /**
+   * Extract (part of) a file's audio track as mono PCM WAV, the input most
+   * speech-to-text engines expect
+   * @param {string} inputPath - path to video or audio file
+   * @param {string} outputPath - path for the .wav output
+   * @param {Object} options - { start, duration, sampleRate, channels }
+   * @returns {Promise<string>} path to extracted audio
+   */
+  async extractAudio(inputPath, outputPath, options = {}) {
+    const {
+      start = 0,
+      duration = null,
+      sampleRate = 16000,
+      channels = 1
+    } = options;
+
+    return new Promise((resolve, reject) => {
+      const command = ffmpeg(inputPath)
+        .noVideo()
+        .audioCodec('pcm_s16le')
+        .audioFrequency(sampleRate)
+        .audioChannels(channels)
+        .format('wav');
+
+      if (start > 0) command.seekInput(start);
+      if (duration) command.duration(duration);
+
+      command
+        .output(outputPath)
+        .on('end', () => resolve(outputPath))
+        .on('error', (error) => {
+          logger.error('Audio extraction failed:', {
+            inputPath,
+            outputPath,
+            start,
+            error: error.message
+          });
+          reject(new Error(`Audio extraction failed: ${error.message}`));
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Encode a video into one HLS rendition (a playlist plus its segments)
+   * @param {string} inputPath - path to source video
+   * @param {string} playlistPath - path for the rendition's .m3u8 output
+   * @param {Array<string>} outputOptions - ffmpeg output options (see hlsLadder.renditionOutputOptions)
+   * @param {Object} options - { onProgress(progress) } with fluent-ffmpeg progress events
+   * @returns {Promise<string>} path to the playlist
+   */
+  async transcodeHlsRendition(inputPath, playlistPath, outputOptions, options = {}) {
+    const { onProgress } = options;
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .outputOptions(outputOptions)
+        .output(playlistPath)
+        .on('progress', (progress) => onProgress?.(progress))
+        .on('end', () => resolve(playlistPath))
+        .on('error', (error) => {
+          logger.error('HLS transcoding failed:', {
+            inputPath,
+            playlistPath,
+            error: error.message
+          });
+          reject(new Error(`HLS transcoding failed: ${error.message}`));
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Draw seek-bar preview sprite sheets in one pass over a video
+   * @param {string} inputPath - path (or URL) of the source video
+   * @param {string} outputPattern - image2 output pattern, e.g. ".../sprite_%03d.jpg"
+   * @param {Array<string>} outputOptions - ffmpeg output options (see previewSprites.spriteOutputOptions)
+   * @param {Object} options - { onProgress(progress) } with fluent-ffmpeg progress events
+   * @returns {Promise<string>} the output pattern
+   */
+  async generateSpriteSheets(inputPath, outputPattern, outputOptions, options = {}) {
+    const { onProgress } = options;
+
+    return new Promise((resolve, reject) => {
+      ffmpeg(inputPath)
+        .outputOptions(outputOptions)
+        .output(outputPattern)
+        .on('progress', (progress) => onProgress?.(progress))
+        .on('end', () => resolve(outputPattern))
+        .on('error', (error) => {
+          logger.error('Sprite sheet generation failed:', {
+            inputPath,
+            outputPattern,
+            error: error.message
+          });
+          reject(new Error(`Sprite sheet generation failed: ${error.message}`));
+        })
+        .run();
+    });
+  }
+
   /**
    * Extract video frames at specified intervals
    * @param {string} videoPath - path to video file
@@ -443,8 +583,14 @@ export const {
   getVideoQuality,
   secondsToTimecode,
   timecodeToSeconds,
+  secondsToSRTTime,
+  srtTimeToSeconds,
   generateThumbnail,
   extractFrames,
+  generateSpriteSheets,
+  getMediaDuration,
+  extractAudio,
+  transcodeHlsRendition,
   validateVideoFile,
   formatFileSize,
   getContainerFormat
@@ -0,0 +1,206 @@
+import crypto from 'crypto';
+import http from 'http';
+
+const sha256Hex = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+const encode = (value) => encodeURIComponent(value)
+  .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+const errorXml = (code, message) =>
+  `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`;
+
+/**
+ * In-memory stand-in for an S3-compatible server (MinIO and the like) with a
+ * single path-style bucket, speaking the subset of the REST API the S3
+ * storage driver uses: PUT/GET (with Range)/HEAD/DELETE of objects and
+ * multipart uploads. Every request must carry a valid Signature Version 4
+ * Authorization header, or a valid presigned query string for GETs, checked
+ * independently of the driver's own signing code.
+ */
+export class FakeS3Server {
+  constructor({ bucket = 'media', region = 'us-east-1', accessKeyId = 'test-access-key', secretAccessKey = 'test-secret-key' } = {}) {
+    this.bucket = bucket;
+    this.region = region;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.objects = new Map(); // key -> { body, contentType }
+    this.uploads = new Map(); // uploadId -> { key, contentType, parts: Map<partNumber, Buffer> }
+    this.requests = []; // { method, key, query, headers } of every authenticated request
+    this.server = http.createServer((req, res) => {
+      this.handle(req, res).catch((error) => {
+        res.writeHead(500, { 'content-type': 'application/xml' });
+        res.end(errorXml('InternalError', error.message));
+      });
+    });
+  }
+
+  async start() {
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.endpoint = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  async stop() {
+    await new Promise(resolve => this.server.close(resolve));
+  }
+
+  /**
+   * Options for S3StorageDriver pointing at this server
+   */
+  driverOptions() {
+    return {
+      endpoint: this.endpoint,
+      region: this.region,
+      bucket: this.bucket,
+      accessKeyId: this.accessKeyId,
+      secretAccessKey: this.secretAccessKey,
+      forcePathStyle: true
+    };
+  }
+
+  send(res, status, body = '', headers = {}) {
+    res.writeHead(status, body && !headers['content-type'] ? { 'content-type': 'application/xml', ...headers } : headers);
+    res.end(body);
+  }
+
+  signature(amzDate, canonicalRequest) {
+    const date = amzDate.slice(0, 8);
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+    const key = hmac(hmac(hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region), 's3'), 'aws4_request');
+    return crypto.createHmac('sha256', key).update(stringToSign).digest('hex');
+  }
+
+  canonicalRequest(req, url, signedHeaders, payloadHash, skipQuery = []) {
+    const query = [...url.searchParams.entries()]
+      .filter(([name]) => !skipQuery.includes(name))
+      .map(([name, value]) => `${encode(name)}=${encode(value)}`)
+      .sort()
+      .join('&');
+    const headers = signedHeaders
+      .map(name => `${name}:${String(req.headers[name] ?? '').trim().replace(/\s+/g, ' ')}\n`)
+      .join('');
+    return [req.method, url.pathname, query, headers, signedHeaders.join(';'), payloadHash].join('\n');
+  }
+
+  // Whether the request is signed with this server's credentials
+  authenticate(req, url, body) {
+    if (url.searchParams.has('X-Amz-Signature')) {
+      const amzDate = url.searchParams.get('X-Amz-Date');
+      const expires = Number(url.searchParams.get('X-Amz-Expires'));
+      const issued = Date.parse(amzDate.replace(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/, '$1-$2-$3T$4:$5:$6Z'));
+      if (req.method !== 'GET' || !(issued + expires * 1000 > Date.now())) return false;
+      const signedHeaders = url.searchParams.get('X-Amz-SignedHeaders').split(';');
+      const canonical = this.canonicalRequest(req, url, signedHeaders, 'UNSIGNED-PAYLOAD', ['X-Amz-Signature']);
+      return url.searchParams.get('X-Amz-Signature') === this.signature(amzDate, canonical);
+    }
+
+    const match = (req.headers.authorization || '')
+      .match(/^AWS4-HMAC-SHA256 Credential=([^/]+)\/[^,]+, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/);
+    if (!match || match[1] !== this.accessKeyId) return false;
+    const payloadHash = req.headers['x-amz-content-sha256'];
+    if (payloadHash !== 'UNSIGNED-PAYLOAD' && payloadHash !== sha256Hex(body)) return false;
+    const signedHeaders = match[2].split(';');
+    if (!signedHeaders.includes('host')) return false;
+    const canonical = this.canonicalRequest(req, url, signedHeaders, payloadHash);
+    return match[3] === this.signature(req.headers['x-amz-date'], canonical);
+  }
+
+  async handle(req, res) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const body = Buffer.concat(chunks);
+
+    const url = new URL(req.url, this.endpoint);
+    if (!this.authenticate(req, url, body)) {
+      this.send(res, 403, errorXml('SignatureDoesNotMatch', 'The request signature does not match'));
+      return;
+    }
+
+    const prefix = `/${this.bucket}/`;
+    if (!url.pathname.startsWith(prefix)) {
+      this.send(res, 404, errorXml('NoSuchBucket', 'The specified bucket does not exist'));
+      return;
+    }
+    const key = decodeURIComponent(url.pathname.slice(prefix.length));
+    const query = Object.fromEntries(url.searchParams);
+    this.requests.push({ method: req.method, key, query, headers: req.headers });
+
+    if (req.method === 'POST' && 'uploads' in query) {
+      const uploadId = crypto.randomUUID();
+      this.uploads.set(uploadId, { key, contentType: req.headers['content-type'], parts: new Map() });
+      this.send(res, 200, `<InitiateMultipartUploadResult><UploadId>${uploadId}</UploadId></InitiateMultipartUploadResult>`);
+      return;
+    }
+    if (query.uploadId) {
+      this.handleUpload(req, res, query, body);
+      return;
+    }
+
+    const object = this.objects.get(key);
+    switch (req.method) {
+      case 'PUT':
+        if (req.headers['content-length'] === undefined) {
+          this.send(res, 411, errorXml('MissingContentLength', 'You must provide the Content-Length HTTP header'));
+          return;
+        }
+        this.objects.set(key, { body, contentType: req.headers['content-type'] || 'binary/octet-stream' });
+        this.send(res, 200, '', { etag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+        return;
+      case 'DELETE':
+        this.objects.delete(key);
+        this.send(res, 204);
+        return;
+      case 'HEAD':
+      case 'GET': {
+        if (!object) {
+          this.send(res, 404, req.method === 'GET' ? errorXml('NoSuchKey', 'The specified key does not exist') : '');
+          return;
+        }
+        const range = (req.headers.range || '').match(/^bytes=(\d*)-(\d*)$/);
+        let start = 0;
+        let end = object.body.length - 1;
+        if (range) {
+          start = range[1] === '' ? Math.max(0, object.body.length - Number(range[2])) : Number(range[1]);
+          end = range[1] !== '' && range[2] !== '' ? Math.min(Number(range[2]), end) : end;
+        }
+        const headers = {
+          'content-type': object.contentType,
+          'content-length': String(end - start + 1),
+          'accept-ranges': 'bytes'
+        };
+        if (range) headers['content-range'] = `bytes ${start}-${end}/${object.body.length}`;
+        res.writeHead(range ? 206 : 200, headers);
+        res.end(req.method === 'GET' ? object.body.subarray(start, end + 1) : undefined);
+        return;
+      }
+      default:
+        this.send(res, 405, errorXml('MethodNotAllowed', `${req.method} is not allowed`));
+    }
+  }
+
+  handleUpload(req, res, query, body) {
+    const upload = this.uploads.get(query.uploadId);
+    if (!upload) {
+      this.send(res, 404, errorXml('NoSuchUpload', 'The specified upload does not exist'));
+      return;
+    }
+    if (req.method === 'PUT') {
+      upload.parts.set(Number(query.partNumber), body);
+      this.send(res, 200, '', { etag: `"${crypto.createHash('md5').update(body).digest('hex')}"` });
+    } else if (req.method === 'POST') {
+      const numbers = [...body.toString().matchAll(/<PartNumber>(\d+)<\/PartNumber>/g)].map(match => Number(match[1]));
+      this.objects.set(upload.key, {
+        body: Buffer.concat(numbers.map(number => upload.parts.get(number))),
+        contentType: upload.contentType || 'binary/octet-stream'
+      });
+      this.uploads.delete(query.uploadId);
+      this.send(res, 200, '<CompleteMultipartUploadResult></CompleteMultipartUploadResult>');
+    } else if (req.method === 'DELETE') {
+      this.uploads.delete(query.uploadId);
+      this.send(res, 204);
+    }
+  }
+}
+
+export default FakeS3Server;
@@ -0,0 +1,222 @@
+import { EventEmitter } from 'events';
+
+/**
+ * In-memory stand-in for a Redis server, speaking the subset of the node-redis
+ * v4+ client API used by @socket.io/redis-adapter (pub/sub) and the room
+ * event log (strings, lists and MULTI). Every client created from the same broker
+ * sees the others' publishes and keys, so several Socket.IO servers in one
+ * process behave like nodes sharing one Redis.
+ */
+export class InMemoryRedisBroker {
+  constructor() {
+    this.clients = new Set();
+    this.data = new Map(); // key -> string | string[]
+  }
+
+  createClient() {
+    return new InMemoryRedisClient(this);
+  }
+
+  publish(channel, message) {
+    let receivers = 0;
+    for (const client of this.clients) {
+      receivers += client.deliver(channel, message);
+    }
+    return receivers;
+  }
+
+  numSub(channel) {
+    let count = 0;
+    for (const client of this.clients) {
+      if (client.channels.has(channel)) count++;
+    }
+    return count;
+  }
+}
+
+const patternToRegExp = (pattern) =>
+  new RegExp(`^${pattern.replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+
+export class InMemoryRedisClient extends EventEmitter {
+  constructor(broker) {
+    super();
+    this.broker = broker;
+    this.isOpen = false;
+    this.channels = new Map(); // channel -> Set of { listener, buffers }
+    this.patterns = new Map(); // pattern -> { regex, listeners: Set of { listener, buffers } }
+  }
+
+  async connect() {
+    this.isOpen = true;
+    this.broker.clients.add(this);
+    this.emit('connect');
+    return this;
+  }
+
+  async quit() {
+    this.isOpen = false;
+    this.broker.clients.delete(this);
+  }
+
+  async disconnect() {
+    return this.quit();
+  }
+
+  duplicate() {
+    return new InMemoryRedisClient(this.broker);
+  }
+
+  async publish(channel, message) {
+    return this.broker.publish(channel, message);
+  }
+
+  async subscribe(channels, listener, buffers = false) {
+    if (!this.isOpen) await this.connect();
+    for (const channel of [].concat(channels)) {
+      if (!this.channels.has(channel)) this.channels.set(channel, new Set());
+      this.channels.get(channel).add({ listener, buffers });
+    }
+  }
+
+  async unsubscribe(channels, listener) {
+    for (const channel of [].concat(channels ?? [...this.channels.keys()])) {
+      const listeners = this.channels.get(channel);
+      if (!listeners) continue;
+      for (const entry of listeners) {
+        if (!listener || entry.listener === listener) listeners.delete(entry);
+      }
+      if (listeners.size === 0) this.channels.delete(channel);
+    }
+  }
+
+  async pSubscribe(patterns, listener, buffers = false) {
+    if (!this.isOpen) await this.connect();
+    for (const pattern of [].concat(patterns)) {
+      if (!this.patterns.has(pattern)) {
+        this.patterns.set(pattern, { regex: patternToRegExp(pattern), listeners: new Set() });
+      }
+      this.patterns.get(pattern).listeners.add({ listener, buffers });
+    }
+  }
+
+  async pUnsubscribe(patterns, listener) {
+    for (const pattern of [].concat(patterns ?? [...this.patterns.keys()])) {
+      const entry = this.patterns.get(pattern);
+      if (!entry) continue;
+      for (const sub of entry.listeners) {
+        if (!listener || sub.listener === listener) entry.listeners.delete(sub);
+      }
+      if (entry.listeners.size === 0) this.patterns.delete(pattern);
+    }
+  }
+
+  // Sharded pub/sub behaves like plain pub/sub in a single in-memory "shard"
+  sSubscribe(channels, listener, buffers) {
+    return this.subscribe(channels, listener, buffers);
+  }
+
+  sUnsubscribe(channels, listener) {
+    return this.unsubscribe(channels, listener);
+  }
+
+  sPublish(channel, message) {
+    return this.publish(channel, message);
+  }
+
+  async get(key) {
+    const value = this.broker.data.get(key);
+    return typeof value === 'string' ? value : null;
+  }
+
+  async incr(key) {
+    const next = Number(this.broker.data.get(key) || 0) + 1;
+    this.broker.data.set(key, String(next));
+    return next;
+  }
+
+  async rPush(key, values) {
+    const list = this.broker.data.get(key) || [];
+    list.push(...[].concat(values).map(String));
+    this.broker.data.set(key, list);
+    return list.length;
+  }
+
+  async lRange(key, start, stop) {
+    const list = this.broker.data.get(key) || [];
+    const from = start < 0 ? Math.max(list.length + start, 0) : start;
+    const to = stop < 0 ? list.length + stop : stop;
+    return list.slice(from, to + 1);
+  }
+
+  async lTrim(key, start, stop) {
+    this.broker.data.set(key, await this.lRange(key, start, stop));
+    return 'OK';
+  }
+
+  // Keys never expire in memory; the tests do not outlive them
+  async expire() {
+    return 1;
+  }
+
+  async del(keys) {
+    let removed = 0;
+    for (const key of [].concat(keys)) {
+      if (this.broker.data.delete(key)) removed++;
+    }
+    return removed;
+  }
+
+  /**
+   * MULTI/EXEC: queued commands run back to back on exec(), which nothing
+   * else can interleave with in a single process
+   */
+  multi() {
+    const queued = [];
+    const transaction = new Proxy({}, {
+      get: (target, name) => {
+        if (name === 'exec') {
+          return async () => {
+            const results = [];
+            for (const [command, args] of queued) results.push(await this[command](...args));
+            return results;
+          };
+        }
+        return (...args) => {
+          queued.push([name, args]);
+          return transaction;
+        };
+      }
+    });
+    return transaction;
+  }
+
+  async sendCommand(args) {
+    const [command, subcommand, channel] = args.map(String);
+    if (command.toUpperCase() === 'PUBSUB' && subcommand.toUpperCase() === 'NUMSUB') {
+      return [channel, this.broker.numSub(channel)];
+    }
+    throw new Error(`InMemoryRedisClient does not support ${args.join(' ')}`);
+  }
+
+  /**
+   * Hand a published message to this client's listeners, asynchronously like
+   * a network round trip would
+   * @returns {number} how many subscriptions matched
+   */
+  deliver(channel, message) {
+    if (!this.isOpen) return 0;
+    const targets = [];
+    for (const entry of this.channels.get(channel) || []) {
+      targets.push(entry);
+    }
+    for (const { regex, listeners } of this.patterns.values()) {
+      if (regex.test(channel)) targets.push(...listeners);
+    }
+
+    for (const { listener, buffers } of targets) {
+      const payload = buffers ? Buffer.from(message) : message.toString();
+      setImmediate(() => listener(payload, buffers ? Buffer.from(channel) : channel));
+    }
+    return targets.length;
+  }
+}
@@ -0,0 +1,227 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import http from 'http';
+import mongoose from 'mongoose';
+import { Server } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+import { attachClusterAdapter, getRoomMembers, getRoomSize } from '../../src/sockets/cluster.js';
+import { socketAuth, handleSocketConnection } from '../../src/sockets/roomSocket.js';
+import { attachCompat } from '../../src/sockets/compat.js';
+import roomEventLog from '../../src/utils/roomEventLog.js';
+import { InMemoryRedisBroker } from '../fixtures/inMemoryRedis.js';
+
+// Room lookups hit MongoDB; fail fast instead of buffering so presence and
+// broadcasting are exercised on their own
+mongoose.set('bufferCommands', false);
+
+const startNode = async (adapterOptions) => {
+  const server = http.createServer();
+  const io = new Server(server);
+  const cluster = adapterOptions ? await attachClusterAdapter(io, adapterOptions) : { mode: 'single-node' };
+
+  io.use(socketAuth);
+  io.on('connection', (socket) => {
+    attachCompat(socket);
+    handleSocketConnection(io, socket);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return { io, server, cluster, url: `http://127.0.0.1:${server.address().port}` };
+};
+
+const stopNode = async ({ io }) => {
+  await new Promise(resolve => io.close(() => resolve()));
+};
+
+const connect = (node, userId, auth = {}) => new Promise((resolve, reject) => {
+  const client = connectClient(node.url, { auth: { userId, ...auth }, transports: ['websocket'], forceNew: true });
+  client.once('connect', () => resolve(client));
+  client.once('connect_error', reject);
+});
+
+const nextEvent = (client, event, predicate = () => true) => new Promise((resolve) => {
+  const handler = (payload) => {
+    if (!predicate(payload)) return;
+    client.off(event, handler);
+    resolve(payload);
+  };
+  client.on(event, handler);
+});
+
+describe('Cluster Integration Tests', () => {
+  describe('Two nodes sharing an in-memory Redis', () => {
+    const broker = new InMemoryRedisBroker();
+    let nodeA;
+    let nodeB;
+    const clients = [];
+
+    beforeAll(async () => {
+      nodeA = await startNode({ pubClient: broker.createClient(), key: 'test-cluster', requestsTimeout: 1000 });
+      nodeB = await startNode({ pubClient: broker.createClient(), key: 'test-cluster', requestsTimeout: 1000 });
+      roomEventLog.useRedis(broker.createClient());
+    });
+
+    afterAll(async () => {
+      clients.forEach(client => client.disconnect());
+      roomEventLog.useRedis(undefined);
+      await stopNode(nodeA);
+      await stopNode(nodeB);
+    });
+
+    test('should attach the Redis adapter on both nodes', () => {
+      expect(nodeA.cluster.mode).toBe('redis');
+      expect(nodeB.cluster.mode).toBe('redis');
+    });
+
+    test('should count participants connected to either node', async () => {
+      const alice = await connect(nodeA, 'alice');
+      const bob = await connect(nodeB, 'bob');
+      clients.push(alice, bob);
+
+      alice.emit('room:join', { roomCode: 'CLUSTR' });
+      await nextEvent(alice, 'room:participant-update', update => update.userId === 'alice');
+
+      const aliceSeesBob = nextEvent(alice, 'room:participant-update', update => update.userId === 'bob');
+      bob.emit('room:join', { roomCode: 'CLUSTR' });
+      const update = await aliceSeesBob;
+
+      expect(update).toMatchObject({ roomCode: 'CLUSTR', action: 'joined', participantCount: 2 });
+
+      const members = await getRoomMembers(nodeA.io, 'CLUSTR');
+      expect(members.map(member => member.userId).sort()).toEqual(['alice', 'bob']);
+      expect(await getRoomSize(nodeB.io, 'CLUSTR')).toBe(2);
+    });
+
+    test('should relay chat messages across nodes', async () => {
+      const [alice, bob] = clients;
+
+      const received = nextEvent(alice, 'chat:message');
+      bob.emit('chat:send', { message: 'hello from node B' });
+
+      expect(await received).toMatchObject({ message: 'hello from node B', userId: 'bob' });
+    });
+
+    test('should announce departures to members on the other node', async () => {
+      const [alice, bob] = clients;
+
+      const departure = nextEvent(alice, 'room:participant-update', update => update.action === 'left');
+      bob.emit('room:leave', { roomCode: 'CLUSTR' });
+
+      expect(await departure).toMatchObject({ userId: 'bob', participantCount: 1 });
+      expect(await getRoomSize(nodeA.io, 'CLUSTR')).toBe(1);
+    });
+
+    test('should replay missed events to a client resuming on another node', async () => {
+      const alice = await connect(nodeA, 'alice');
+      const dave = await connect(nodeB, 'dave');
+      clients.push(alice);
+
+      alice.emit('room:join', { roomCode: 'RESUME' });
+      await nextEvent(alice, 'room:participant-update', update => update.userId === 'alice');
+      dave.emit('room:join', { roomCode: 'RESUME' });
+      await nextEvent(alice, 'room:participant-update', update => update.userId === 'dave');
+
+      const first = nextEvent(dave, 'chat:message');
+      alice.emit('chat:send', { message: 'one' });
+      const { seq: lastSeq } = await first;
+
+      dave.disconnect();
+      alice.emit('chat:send', { message: 'two' });
+      alice.emit('chat:send', { message: 'three' });
+      while (await roomEventLog.latestSeq('RESUME') < lastSeq + 2) {
+        await new Promise(resolve => setTimeout(resolve, 10));
+      }
+
+      const daveAgain = await connect(nodeA, 'dave');
+      clients.push(daveAgain);
+      const resumed = nextEvent(daveAgain, 'room:resumed');
+      daveAgain.emit('room:resume', { roomCode: 'RESUME', lastSeq });
+      const result = await resumed;
+
+      expect(result).toMatchObject({ roomCode: 'RESUME', mode: 'replay', lastSeq: lastSeq + 2 });
+      expect(result.events.map(event => event.payload.message)).toEqual(['two', 'three']);
+    });
+
+    test('should send a snapshot when the client cannot be caught up from the log', async () => {
+      const erin = await connect(nodeB, 'erin');
+      clients.push(erin);
+
+      const resumed = nextEvent(erin, 'room:resumed');
+      erin.emit('room:resume', { roomCode: 'RESUME', lastSeq: 9999 });
+
+      expect(await resumed).toMatchObject({ roomCode: 'RESUME', mode: 'snapshot', events: [] });
+    });
+  });
+
+  describe('Clients on different protocol versions', () => {
+    let node;
+    const clients = [];
+
+    beforeAll(async () => {
+      node = await startNode();
+    });
+
+    afterAll(async () => {
+      clients.forEach(client => client.disconnect());
+      await stopNode(node);
+    });
+
+    test('should carry events between v1 and legacy clients in one room', async () => {
+      const modern = await connect(node, 'modern', { protocolVersion: 1 });
+      const legacy = await connect(node, undefined);
+      clients.push(modern, legacy);
+
+      modern.emit('room:join', { roomCode: 'MIXED1' });
+      await nextEvent(modern, 'room:participant-update', update => update.userId === 'modern');
+
+      // The old sync vocabulary, naming the user in the payload
+      const legacyJoined = nextEvent(legacy, 'user_joined', update => update.userId === 'legacy');
+      legacy.emit('join_room', { roomCode: 'MIXED1', userId: 'legacy' });
+      await legacyJoined;
+
+      const legacyHears = nextEvent(legacy, 'chat_message');
+      const modernHears = nextEvent(modern, 'chat:message');
+      legacy.emit('chat_message', { roomCode: 'MIXED1', userId: 'legacy', message: 'old client here' });
+
+      expect(await modernHears).toMatchObject({ message: 'old client here', userId: 'legacy', roomCode: 'MIXED1' });
+      expect(await legacyHears).toMatchObject({ message: 'old client here', userId: 'legacy' });
+    });
+
+    test('should answer an invalid payload with an error instead of handling it', async () => {
+      const [modern] = clients;
+
+      const error = nextEvent(modern, 'error');
+      modern.emit('chat:send', { message: '' });
+
+      expect(await error).toMatchObject({
+        code: 'INVALID_PAYLOAD',
+        event: 'chat:send',
+        details: [expect.objectContaining({ field: 'message' })]
+      });
+    });
+  });
+
+  describe('Without Redis', () => {
+    test('should fall back to single-node mode when the adapter cannot be attached', async () => {
+      const brokenClient = {
+        duplicate: () => ({
+          on: () => {},
+          connect: async () => { throw new Error('ECONNREFUSED'); }
+        })
+      };
+      const node = await startNode({ pubClient: brokenClient });
+
+      try {
+        expect(node.cluster.mode).toBe('single-node');
+
+        const carol = await connect(node, 'carol');
+        const joined = nextEvent(carol, 'room:participant-update');
+        carol.emit('room:join', { roomCode: 'SOLO01' });
+
+        expect(await joined).toMatchObject({ userId: 'carol', participantCount: 1 });
+        carol.disconnect();
+      } finally {
+        await stopNode(node);
+      }
+    });
+  });
+});
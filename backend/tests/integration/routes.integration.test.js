@@ -0,0 +1,1079 @@
+import { describe, test, expect, beforeAll, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import express from 'express';
+import mongoose from 'mongoose';
+import { MongoMemoryServer } from 'mongodb-memory-server';
+
+// config/env.js reads these when first imported, so the app is loaded lazily
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-jwt-secret-key-for-testing-only';
+process.env.JWT_REFRESH_SECRET = process.env.JWT_REFRESH_SECRET || 'test-refresh-secret-key-for-testing';
+process.env.RESUMABLE_UPLOAD_PATH = path.join(os.tmpdir(), `routes-test-uploads-${Date.now()}`);
+process.env.STORAGE_LOCAL_ROOT = path.join(os.tmpdir(), `routes-test-storage-${Date.now()}`);
+
+const PASSWORD = 'Str0ng!Passw0rd';
+
+describe('Mounted API Routes Integration Tests', () => {
+  let mongo;
+  let app;
+  let Video;
+  let User;
+  let generateTokens;
+  let videoFile;
+
+  // Filled in as the suites run, in order
+  const owner = {};
+  const viewer = {};
+  const admin = {};
+  let video;
+
+  const auth = (user) => ({ Authorization: `Bearer ${user.accessToken}` });
+
+  const register = async (username) => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({
+        username,
+        email: `${username}@example.com`,
+        password: PASSWORD,
+        firstName: 'Test',
+        lastName: 'User',
+        acceptTerms: true
+      });
+
+    expect(res.status).toBe(201);
+    return {
+      id: res.body.data.user.id,
+      email: `${username}@example.com`,
+      accessToken: res.body.data.tokens.accessToken,
+      refreshToken: res.body.data.tokens.refreshToken
+    };
+  };
+
+  beforeAll(async () => {
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+
+    const { mountApiRoutes } = await import('../../src/routes/index.js');
+    const { notFound, errorHandler } = await import('../../src/middleware/errorHandler.js');
+    ({ Video } = await import('../../src/models/Video.js'));
+    ({ User } = await import('../../src/models/User.js'));
+    ({ generateTokens } = await import('../../src/middleware/auth.js'));
+
+    app = express();
+    app.use(express.json());
+    mountApiRoutes(app);
+    app.use(notFound);
+    app.use(errorHandler);
+
+    videoFile = path.join(os.tmpdir(), `routes-test-${Date.now()}.mp4`);
+    await fs.promises.writeFile(videoFile, Buffer.alloc(4096, 1));
+  }, 120000);
+
+  afterAll(async () => {
+    await fs.promises.unlink(videoFile).catch(() => {});
+    await fs.promises.rm(process.env.RESUMABLE_UPLOAD_PATH, { recursive: true, force: true });
+    await fs.promises.rm(process.env.STORAGE_LOCAL_ROOT, { recursive: true, force: true });
+    await mongoose.disconnect();
+    await mongo?.stop();
+  });
+
+  describe('User routes (/api/auth, /api/users)', () => {
+    test('should register accounts and log in', async () => {
+      Object.assign(owner, await register('routeowner'));
+      Object.assign(viewer, await register('routeviewer'));
+
+      const res = await request(app)
+        .post('/api/auth/login')
+        .send({ email: owner.email, password: PASSWORD });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.user.username).toBe('routeowner');
+      owner.accessToken = res.body.data.tokens.accessToken;
+      owner.refreshToken = res.body.data.tokens.refreshToken;
+
+      // Admins are not self-service; promote one directly
+      const adminUser = await User.create({
+        username: 'routeadmin',
+        email: 'routeadmin@example.com',
+        passwordHash: 'not-used',
+        role: 'admin'
+      });
+      admin.id = adminUser._id;
+      admin.accessToken = generateTokens(adminUser._id, 'admin').accessToken;
+    });
+
+    test('should reject bad credentials and invalid registrations', async () => {
+      const login = await request(app)
+        .post('/api/auth/login')
+        .send({ email: owner.email, password: 'Wr0ng!Password' });
+      expect(login.status).toBe(401);
+
+      const invalid = await request(app)
+        .post('/api/auth/register')
+        .send({ username: 'x', email: 'not-an-email', password: 'weak' });
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should read and update the profile', async () => {
+      const update = await request(app)
+        .put('/api/users/profile')
+        .set(auth(owner))
+        .send({ bio: 'Makes branching videos' });
+      expect(update.status).toBe(200);
+      expect(update.body.data.bio).toBe('Makes branching videos');
+
+      const own = await request(app).get('/api/users/profile').set(auth(owner));
+      expect(own.status).toBe(200);
+      expect(own.body.data.email).toBe(owner.email);
+
+      const other = await request(app).get(`/api/users/${owner.id}`).set(auth(viewer));
+      expect(other.status).toBe(200);
+      expect(other.body.data.username).toBe('routeowner');
+      expect(other.body.data.email).toBeUndefined();
+    });
+
+    test('should require authentication for the profile', async () => {
+      const res = await request(app).get('/api/users/profile');
+      expect(res.status).toBe(401);
+    });
+
+    test('should exchange a refresh token', async () => {
+      const res = await request(app)
+        .post('/api/auth/refresh')
+        .send({ refreshToken: owner.refreshToken });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.tokens.accessToken).toBeDefined();
+      owner.accessToken = res.body.data.tokens.accessToken;
+    });
+  });
+
+  describe('Video routes (/api/videos)', () => {
+    beforeAll(async () => {
+      video = await Video.create({
+        title: 'Route Test Video',
+        description: 'A video for route tests',
+        duration: 120,
+        fileSize: 4096,
+        filePath: videoFile,
+        mimeType: 'video/mp4',
+        uploadedBy: owner.id,
+        isPublic: true,
+        category: 'education'
+      });
+    });
+
+    test('should get, search and list videos', async () => {
+      const one = await request(app).get(`/api/videos/${video._id}`);
+      expect(one.status).toBe(200);
+      expect(one.body.data.title).toBe('Route Test Video');
+
+      const search = await request(app).get('/api/videos').query({ q: 'Route' });
+      expect(search.status).toBe(200);
+      expect(search.body.pagination.total).toBeGreaterThanOrEqual(1);
+
+      const mine = await request(app).get('/api/videos/my/videos').set(auth(owner));
+      expect(mine.status).toBe(200);
+      expect(mine.body.data).toHaveLength(1);
+    });
+
+    test('should stream byte ranges', async () => {
+      const res = await request(app)
+        .get(`/api/videos/${video._id}/stream`)
+        .set('Range', 'bytes=0-1023');
+
+      expect(res.status).toBe(206);
+      expect(res.headers['content-range']).toBe('bytes 0-1023/4096');
+    });
+
+    test('should stream videos kept in media storage and sign links to their thumbnails', async () => {
+      const { default: storageService } = await import('../../src/services/storageService.js');
+      const stored = await Video.create({
+        title: 'Stored Video',
+        duration: 10,
+        fileSize: 2048,
+        storageKey: 'videos/te/stored-video.mp4',
+        thumbnailKey: 'thumbnails/stored-video.jpg',
+        mimeType: 'video/mp4',
+        uploadedBy: owner.id,
+        isPublic: true
+      });
+      await storageService.put(stored.storageKey, crypto.randomBytes(2048));
+      await storageService.put(stored.thumbnailKey, Buffer.from('jpeg bytes'));
+
+      const range = await request(app)
+        .get(`/api/videos/${stored._id}/stream`)
+        .set('Range', 'bytes=1024-');
+      expect(range.status).toBe(206);
+      expect(range.headers['content-range']).toBe('bytes 1024-2047/2048');
+
+      const thumbnail = await request(app).get(`/api/videos/${stored._id}/thumbnail`);
+      expect(thumbnail.status).toBe(302);
+      expect(thumbnail.headers.location).toMatch(/^\/api\/media\/thumbnails\/stored-video\.jpg\?expires=\d+&signature=[0-9a-f]{64}$/);
+
+      const image = await request(app).get(thumbnail.headers.location);
+      expect(image.status).toBe(200);
+      expect(image.body.toString()).toBe('jpeg bytes');
+
+      const forged = await request(app).get(thumbnail.headers.location.replace(/expires=\d+/, 'expires=9999999999'));
+      expect(forged.status).toBe(403);
+    });
+
+    test('should serve seek-bar preview tracks and sheets once they are drawn', async () => {
+      const { default: storageService } = await import('../../src/services/storageService.js');
+      const previewed = await Video.create({
+        title: 'Previewed Video',
+        duration: 8,
+        fileSize: 1024,
+        storageKey: 'videos/te/previewed.mp4',
+        mimeType: 'video/mp4',
+        uploadedBy: owner.id,
+        isPublic: true,
+        previews: { status: 'generating' }
+      });
+      const track = 'WEBVTT\n\n00:00:00.000 --> 00:00:05.000\nsprite_000.jpg#xywh=0,0,160,90\n';
+      await storageService.put(`previews/${previewed._id}/thumbnails.vtt`, Buffer.from(track));
+      await storageService.put(`previews/${previewed._id}/sprite_000.jpg`, Buffer.from('sheet'));
+
+      const pending = await request(app).get(`/api/videos/${previewed._id}/previews/thumbnails.vtt`);
+      expect(pending.status).toBe(404);
+
+      await Video.updateOne({ _id: previewed._id }, { $set: { previews: { status: 'ready', interval: 5, sheets: 1 } } });
+      const vtt = await request(app).get(`/api/videos/${previewed._id}/previews/thumbnails.vtt`);
+      expect(vtt.status).toBe(200);
+      expect(vtt.headers['content-type']).toContain('text/vtt');
+      expect(vtt.text).toBe(track);
+
+      const sheet = await request(app).get(`/api/videos/${previewed._id}/previews/sprite_000.jpg`);
+      expect(sheet.status).toBe(302);
+      expect(sheet.headers.location).toMatch(new RegExp(`^/api/media/previews/${previewed._id}/sprite_000\\.jpg\\?`));
+
+      const missing = await request(app).get(`/api/videos/${previewed._id}/previews/sprite_001.jpg`);
+      expect(missing.status).toBe(404);
+
+      const status = await request(app).get(`/api/videos/${previewed._id}/status`);
+      expect(status.body.data.previews).toMatchObject({
+        status: 'ready',
+        trackUrl: `/api/videos/${previewed._id}/previews/thumbnails.vtt`
+      });
+    });
+
+    test('should only let the uploader update a video', async () => {
+      const denied = await request(app)
+        .put(`/api/videos/${video._id}`)
+        .set(auth(viewer))
+        .send({ title: 'Hijacked' });
+      expect(denied.status).toBe(403);
+
+      const updated = await request(app)
+        .put(`/api/videos/${video._id}`)
+        .set(auth(owner))
+        .send({ title: 'Route Test Video (edited)' });
+      expect(updated.status).toBe(200);
+      expect(updated.body.data.title).toBe('Route Test Video (edited)');
+    });
+
+    test('should report processing status and 404 unknown videos', async () => {
+      const status = await request(app).get(`/api/videos/${video._id}/status`);
+      expect(status.status).toBe(200);
+
+      const missing = await request(app).get(`/api/videos/${new mongoose.Types.ObjectId()}`);
+      expect(missing.status).toBe(404);
+    });
+
+    test('should only let the uploader queue transcoding', async () => {
+      const denied = await request(app).post(`/api/videos/${video._id}/transcode`).set(auth(viewer));
+      expect(denied.status).toBe(403);
+
+      // Without probed dimensions there is no ladder to plan
+      const invalid = await request(app).post(`/api/videos/${video._id}/transcode`).set(auth(owner));
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should serve HLS playlists and segments of ready renditions', async () => {
+      const notReady = await request(app).get(`/api/videos/${video._id}/hls/master.m3u8`);
+      expect(notReady.status).toBe(404);
+
+      const { default: storageService } = await import('../../src/services/storageService.js');
+      await storageService.put(`hls/${video._id}/master.m3u8`, Buffer.from('#EXTM3U\n360p/index.m3u8\n'));
+      await storageService.put(`hls/${video._id}/360p/segment_00000.ts`, Buffer.alloc(188, 0x47));
+      await Video.updateOne({ _id: video._id }, {
+        streaming: { status: 'ready', renditions: [{ name: '360p', width: 640, height: 360, status: 'ready', progress: 1, segments: 1 }] }
+      });
+
+      const master = await request(app).get(`/api/videos/${video._id}/hls/master.m3u8`);
+      expect(master.status).toBe(200);
+      expect(master.headers['content-type']).toMatch(/application\/vnd\.apple\.mpegurl/);
+      expect(master.text).toBe('#EXTM3U\n360p/index.m3u8\n');
+
+      const segment = await request(app).get(`/api/videos/${video._id}/hls/360p/segment_00000.ts`);
+      expect(segment.status).toBe(302);
+      expect(segment.headers.location).toMatch(new RegExp(`^/api/media/hls/${video._id}/360p/segment_00000\\.ts\\?`));
+      const stored = await request(app).get(segment.headers.location);
+      expect(stored.status).toBe(200);
+      expect(stored.headers['content-type']).toMatch(/video\/mp2t/);
+
+      const playlist = await request(app).get(`/api/videos/${video._id}/hls/360p/index.m3u8`);
+      expect(playlist.status).toBe(404);
+
+      const unknown = await request(app).get(`/api/videos/${video._id}/hls/720p/index.m3u8`);
+      expect(unknown.status).toBe(404);
+
+      const status = await request(app).get(`/api/videos/${video._id}/status`);
+      expect(status.body.data.streaming).toMatchObject({ status: 'ready', masterPlaylistUrl: `/api/videos/${video._id}/hls/master.m3u8` });
+    });
+
+    test('should record and list viewing history', async () => {
+      const record = await request(app)
+        .post('/api/users/history')
+        .set(auth(viewer))
+        .send({ videoId: video._id, position: 60 });
+      expect(record.status).toBe(200);
+
+      const history = await request(app).get('/api/users/history').set(auth(viewer));
+      expect(history.status).toBe(200);
+      expect(history.body.data).toHaveLength(1);
+    });
+  });
+
+  describe('Resumable upload routes (/api/uploads)', () => {
+    const chunk = (uploadId, offset, data, checksum = crypto.createHash('sha256').update(data).digest('base64')) =>
+      request(app)
+        .patch(`/api/uploads/${uploadId}`)
+        .set('Content-Type', 'application/offset+octet-stream')
+        .set('Upload-Offset', String(offset))
+        .set('Upload-Checksum', `sha256 ${checksum}`)
+        .send(data);
+
+    test('should create an upload and resume it from the stored offset', async () => {
+      const created = await request(app)
+        .post('/api/uploads')
+        .send({ filename: 'recording.mp4', size: 20, mimeType: 'video/mp4', userId: 'room_host_1' });
+      expect(created.status).toBe(201);
+      expect(created.headers.location).toBe(`/api/uploads/${created.body.data.uploadId}`);
+      expect(created.body.data).toMatchObject({ offset: 0, size: 20, status: 'uploading' });
+      const { uploadId } = created.body.data;
+
+      const first = await chunk(uploadId, 0, Buffer.alloc(8, 1));
+      expect(first.status).toBe(200);
+      expect(first.headers['upload-offset']).toBe('8');
+
+      // A corrupted chunk is refused and leaves the offset where it was
+      const corrupted = await chunk(uploadId, 8, Buffer.alloc(8, 2), crypto.createHash('sha256').update('other').digest('base64'));
+      expect(corrupted.status).toBe(460);
+      expect(corrupted.body.code).toBe('CHECKSUM_MISMATCH');
+
+      // A client that lost track of the offset is told where to carry on
+      const stale = await chunk(uploadId, 0, Buffer.alloc(8, 1));
+      expect(stale.status).toBe(409);
+      expect(stale.body.details).toEqual({ offset: 8 });
+
+      const head = await request(app).head(`/api/uploads/${uploadId}`);
+      expect(head.status).toBe(200);
+      expect(head.headers['upload-offset']).toBe('8');
+      expect(head.headers['upload-length']).toBe('20');
+
+      const second = await chunk(uploadId, 8, Buffer.alloc(8, 2));
+      expect(second.body.data).toMatchObject({ offset: 16, progress: 0.8 });
+
+      const status = await request(app).get(`/api/uploads/${uploadId}`);
+      expect(status.body.data).toMatchObject({ offset: 16, status: 'uploading' });
+    });
+
+    test('should reject invalid uploads and chunks', async () => {
+      const tooBig = await request(app)
+        .post('/api/uploads')
+        .send({ filename: 'huge.mp4', size: 1024 ** 4, mimeType: 'video/mp4', userId: 'room_host_1' });
+      expect(tooBig.status).toBe(413);
+
+      const notVideo = await request(app)
+        .post('/api/uploads')
+        .send({ filename: 'notes.txt', size: 10, mimeType: 'text/plain', userId: 'room_host_1' });
+      expect(notVideo.status).toBe(400);
+
+      const badUser = await request(app)
+        .post('/api/uploads')
+        .send({ filename: 'a.mp4', size: 10, mimeType: 'video/mp4', userId: '../etc' });
+      expect(badUser.status).toBe(400);
+
+      const { body } = await request(app)
+        .post('/api/uploads')
+        .send({ filename: 'a.mp4', size: 10, mimeType: 'video/mp4', userId: 'room_host_1' });
+
+      const overrun = await chunk(body.data.uploadId, 0, Buffer.alloc(12, 1));
+      expect(overrun.status).toBe(413);
+
+      const json = await request(app)
+        .patch(`/api/uploads/${body.data.uploadId}`)
+        .set('Upload-Offset', '0')
+        .send({ bytes: 'nope' });
+      expect(json.status).toBe(400);
+
+      // The file that arrived is not the one the client hashed
+      const { hashBuffer } = await import('../../src/utils/contentHash.js');
+      const declared = await request(app)
+        .post('/api/uploads')
+        .send({ filename: 'b.mp4', size: 10, mimeType: 'video/mp4', userId: 'room_host_1', contentHash: hashBuffer(Buffer.alloc(10, 2)) });
+      const mismatch = await chunk(declared.body.data.uploadId, 0, Buffer.alloc(10, 1));
+      expect(mismatch.status).toBe(422);
+      expect(mismatch.body.code).toBe('CONTENT_HASH_MISMATCH');
+    });
+
+    test('should keep logged-in uploads to their owner and abort them', async () => {
+      const created = await request(app)
+        .post('/api/uploads')
+        .set(auth(owner))
+        .send({ filename: 'talk.webm', size: 10, mimeType: 'video/webm' });
+      expect(created.status).toBe(201);
+      const { uploadId } = created.body.data;
+
+      const denied = await request(app).get(`/api/uploads/${uploadId}`).set(auth(viewer));
+      expect(denied.status).toBe(403);
+
+      const aborted = await request(app).delete(`/api/uploads/${uploadId}`).set(auth(owner));
+      expect(aborted.status).toBe(204);
+
+      const gone = await request(app).get(`/api/uploads/${uploadId}`).set(auth(owner));
+      expect(gone.status).toBe(404);
+    });
+
+    test('should store identical uploads once and share the file', async () => {
+      const { VideoBlob } = await import('../../src/models/VideoBlob.js');
+      const { hashBuffer } = await import('../../src/utils/contentHash.js');
+      const data = crypto.randomBytes(20);
+      const contentHash = hashBuffer(data);
+
+      // Someone already uploaded these bytes; the blob remembers how ffprobe saw them
+      const { default: storageService } = await import('../../src/services/storageService.js');
+      const storageKey = storageService.videoKey(contentHash, '.mp4');
+      await storageService.put(storageKey, data);
+      await VideoBlob.create({
+        _id: contentHash,
+        storageKey,
+        size: 20,
+        mimeType: 'video/mp4',
+        refCount: 1,
+        probe: {
+          duration: 60,
+          resolution: '640x360',
+          format: 'mp4',
+          hasAudio: false,
+          video: { codec: 'h264', frameRate: 30, width: 640, height: 360, aspectRatio: '16:9' }
+        }
+      });
+
+      const { body } = await request(app)
+        .post('/api/uploads')
+        .send({ filename: 'copy.mp4', size: 20, mimeType: 'video/mp4', userId: 'room_host_2', temporary: true });
+      const done = await chunk(body.data.uploadId, 0, data);
+
+      expect(done.status).toBe(200);
+      expect(done.body.data).toMatchObject({ status: 'completed', contentHash });
+
+      const copy = await Video.findById(done.body.data.videoId);
+      expect(copy).toMatchObject({ contentHash, storageKey, duration: 60 });
+      expect(copy.expiresAt).toBeInstanceOf(Date);
+      expect((await VideoBlob.findById(contentHash)).refCount).toBe(2);
+    });
+
+    test('should create a room around a library video', async () => {
+      const res = await request(app)
+        .post('/api/rooms')
+        .send({ videoId: video._id, userId: 'room_host_1', maxParticipants: 5 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.code).toMatch(/^[A-Z0-9_-]{6}$/i);
+      expect(res.body.video).toMatchObject({ title: 'Route Test Video (edited)', duration: 120 });
+      expect(res.body.currentState.videoUrl).toBe(`/api/videos/${video._id}/stream`);
+    });
+
+    test('should only let members with the right role drive the room over REST', async () => {
+      const created = await request(app).post('/api/rooms').send({ videoId: video._id, userId: 'room_host_2' });
+      const { code } = created.body;
+
+      const state = await request(app).post(`/api/rooms/${code}/state`).send({ userId: 'stranger', t: 5, paused: false });
+      expect(state.status).toBe(403);
+      expect(state.body.error).toContain('playback');
+
+      const source = await request(app).post(`/api/rooms/${code}/video`).send({ userId: 'stranger', videoUrl: 'https://example.com/a.mp4' });
+      expect(source.status).toBe(403);
+
+      const allowed = await request(app).post(`/api/rooms/${code}/video`).send({ userId: 'room_host_2', videoUrl: 'https://example.com/a.mp4' });
+      expect(allowed.status).toBe(200);
+      expect(allowed.body.currentState.videoUrl).toBe('https://example.com/a.mp4');
+    });
+
+    test('should validate REST clock updates and apply them to the room clock', async () => {
+      const created = await request(app).post('/api/rooms').send({ videoId: video._id, userId: 'room_host_3' });
+      const { code } = created.body;
+
+      for (const body of [{ t: 'abc' }, { t: -1 }, { paused: 'yes' }, { rate: 0 }, {}]) {
+        const res = await request(app).post(`/api/rooms/${code}/state`).send({ userId: 'room_host_3', ...body });
+        expect(res.status).toBe(400);
+      }
+
+      const res = await request(app).post(`/api/rooms/${code}/state`).send({ userId: 'room_host_3', t: 30, paused: true, rate: 1.5 });
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ ok: true, t: 30, paused: true, rate: 1.5 });
+
+      const state = await request(app).get(`/api/rooms/${code}/state`);
+      expect(state.body).toMatchObject({ t: 30, paused: true, rate: 1.5, lastUpdatedBy: 'room_host_3' });
+    });
+  });
+
+  describe('Sync routes (/api/sync)', () => {
+    let session;
+
+    test('should create and join a session', async () => {
+      const created = await request(app)
+        .post('/api/sync/create-session')
+        .set(auth(owner))
+        .send({ videoId: video._id, name: 'Watch party', deviceId: 'owner-laptop' });
+      expect(created.status).toBe(201);
+      session = created.body.data.session;
+
+      const joined = await request(app)
+        .post(`/api/sync/join/${session.sessionCode}`)
+        .set(auth(viewer))
+        .send({ deviceId: 'viewer-phone', nickname: 'Viewer' });
+      expect(joined.status).toBe(200);
+
+      const participants = await request(app).get(`/api/sync/session/${session._id}/participants`);
+      expect(participants.status).toBe(200);
+      expect(participants.body.data).toHaveLength(2);
+    });
+
+    test('should update playback state as the host', async () => {
+      const res = await request(app)
+        .put(`/api/sync/session/${session._id}/state`)
+        .set(auth(owner))
+        .send({ deviceId: 'owner-laptop', currentTime: 42, isPlaying: true, eventType: 'play' });
+
+      expect(res.status).toBe(200);
+
+      const fetched = await request(app).get(`/api/sync/session/${session._id}`);
+      expect(fetched.body.data.currentTimestamp).toBe(42);
+    });
+
+    test('should list sessions and only let the host end one', async () => {
+      const mine = await request(app).get('/api/sync/my-sessions').set(auth(owner));
+      expect(mine.status).toBe(200);
+
+      const denied = await request(app).delete(`/api/sync/session/${session._id}`).set(auth(viewer));
+      expect(denied.status).toBe(403);
+
+      const ended = await request(app).delete(`/api/sync/session/${session._id}`).set(auth(owner));
+      expect(ended.status).toBe(200);
+    });
+  });
+
+  describe('Branching routes (/api/videos/:id/branching)', () => {
+    let branchingId;
+    const branchStructure = {
+      decisionPoints: [{
+        id: 'door',
+        title: 'Which door?',
+        timestamp: 30,
+        choices: [
+          { id: 'left', label: 'Left door', nextTimestamp: 40 },
+          { id: 'right', label: 'Right door', nextTimestamp: 80 }
+        ]
+      }]
+    };
+
+    test('should validate a structure without saving it', async () => {
+      const res = await request(app)
+        .post('/api/videos/validate-structure')
+        .set(auth(owner))
+        .send({ branchStructure: { decisionPoints: [{ id: 'bad', timestamp: 5, choices: [] }] } });
+
+      expect(res.status).toBe(200);
+      expect(res.body.data.valid).toBe(false);
+    });
+
+    test('should create, publish and read a branching video', async () => {
+      const created = await request(app)
+        .post(`/api/videos/${video._id}/branching`)
+        .set(auth(owner))
+        .send({ title: 'Choose your path', branchStructure });
+      expect(created.status).toBe(201);
+      branchingId = created.body.data.id;
+
+      const draft = await request(app).get(`/api/videos/${video._id}/branching`).set(auth(viewer));
+      expect(draft.status).toBe(404);
+
+      const published = await request(app)
+        .put(`/api/videos/${video._id}/branching`)
+        .set(auth(owner))
+        .send({ isPublished: true });
+      expect(published.status).toBe(200);
+
+      const points = await request(app).get(`/api/videos/${video._id}/decision-points`);
+      expect(points.status).toBe(200);
+      expect(points.body.data[0].id).toBe('door');
+    });
+
+    test('should record choices and return the viewing path', async () => {
+      const choice = await request(app)
+        .post(`/api/videos/${video._id}/choice`)
+        .set(auth(viewer))
+        .send({ decisionPointId: 'door', choiceIndex: 1, videoTime: 31 });
+      expect(choice.status).toBe(201);
+      expect(choice.body.data.choice.id).toBe('right');
+
+      const pathRes = await request(app).get(`/api/videos/${video._id}/path`).set(auth(viewer));
+      expect(pathRes.status).toBe(200);
+    });
+
+    test('should keep analytics to the creator', async () => {
+      const denied = await request(app).get(`/api/videos/${branchingId}/analytics`).set(auth(viewer));
+      expect(denied.status).toBe(403);
+
+      const allowed = await request(app).get(`/api/videos/${video._id}/analytics`).set(auth(owner));
+      expect(allowed.status).toBe(200);
+    });
+
+    test('should list discover, trending and own branching videos', async () => {
+      const discover = await request(app).get('/api/videos/branching/discover');
+      expect(discover.status).toBe(200);
+      expect(discover.body.data).toHaveLength(1);
+
+      const trending = await request(app).get('/api/videos/branching/trending');
+      expect(trending.status).toBe(200);
+
+      const mine = await request(app).get('/api/videos/my/branching').set(auth(owner));
+      expect(mine.status).toBe(200);
+      expect(mine.body.data.created).toHaveLength(1);
+    });
+  });
+
+  describe('Editor routes (/api/editor)', () => {
+    let project;
+
+    test('should create a project and add markers to it', async () => {
+      const created = await request(app)
+        .post('/api/editor/projects')
+        .set(auth(owner))
+        .send({ name: 'Trailer cut', videoId: video._id });
+      expect(created.status).toBe(201);
+      project = created.body.data;
+
+      const marker = await request(app)
+        .post(`/api/editor/projects/${project.id}/markers`)
+        .set(auth(owner))
+        .send({ timestamp: 12, type: 'chapter', title: 'Intro' });
+      expect(marker.status).toBe(201);
+
+      const markers = await request(app).get(`/api/editor/projects/${project.id}/markers`).set(auth(owner));
+      expect(markers.status).toBe(200);
+      expect(markers.body.data).toHaveLength(1);
+    });
+
+    test('should keep projects private until shared', async () => {
+      const denied = await request(app).get(`/api/editor/projects/${project.id}`).set(auth(viewer));
+      expect(denied.status).toBe(403);
+
+      const shared = await request(app)
+        .post(`/api/editor/projects/${project.id}/share`)
+        .set(auth(owner))
+        .send({ userIds: [viewer.id], permissions: 'view' });
+      expect(shared.status).toBe(200);
+
+      const allowed = await request(app).get(`/api/editor/projects/${project.id}`).set(auth(viewer));
+      expect(allowed.status).toBe(200);
+    });
+
+    test('should export the marker timeline', async () => {
+      const res = await request(app)
+        .post(`/api/editor/projects/${project.id}/export`)
+        .set(auth(owner))
+        .send({ format: 'srt' });
+
+      expect(res.status).toBe(200);
+      expect(res.headers['content-disposition']).toContain('.srt');
+      expect(res.text).toContain('Intro');
+    });
+
+    test('should list projects and report project analytics', async () => {
+      const mine = await request(app).get('/api/editor/my/projects').set(auth(owner));
+      expect(mine.status).toBe(200);
+      expect(mine.body.pagination.total).toBe(1);
+
+      const stats = await request(app).get(`/api/editor/projects/${project.id}/analytics`).set(auth(owner));
+      expect(stats.status).toBe(200);
+      expect(stats.body.data.markers.total).toBe(1);
+    });
+  });
+
+  describe('Analytics routes (/api/analytics)', () => {
+    test('should show the dashboard and video analytics to the owner', async () => {
+      const dashboard = await request(app).get('/api/analytics/dashboard').set(auth(owner));
+      expect(dashboard.status).toBe(200);
+      expect(dashboard.body.data.library.videos).toBe(1);
+
+      const videoStats = await request(app).get(`/api/analytics/videos/${video._id}`).set(auth(owner));
+      expect(videoStats.status).toBe(200);
+      expect(videoStats.body.data.views).toBe(1);
+
+      const heatmap = await request(app).get(`/api/analytics/heatmaps/${video._id}`).set(auth(owner));
+      expect(heatmap.status).toBe(200);
+      expect(heatmap.body.data.segments).toHaveLength(10);
+    });
+
+    test('should hide other users\' analytics', async () => {
+      const videoStats = await request(app).get(`/api/analytics/videos/${video._id}`).set(auth(viewer));
+      expect(videoStats.status).toBe(403);
+
+      const userStats = await request(app).get(`/api/analytics/users/${owner.id}`).set(auth(viewer));
+      expect(userStats.status).toBe(403);
+
+      const system = await request(app).get('/api/analytics/system').set(auth(viewer));
+      expect(system.status).toBe(403);
+    });
+
+    test('should give admins the system overview', async () => {
+      const res = await request(app).get('/api/analytics/system').set(auth(admin));
+      expect(res.status).toBe(200);
+      expect(res.body.data.videos).toBe(1);
+    });
+
+    test('should generate, list and schedule reports', async () => {
+      const now = new Date();
+      const dateRange = { start: new Date(now.getTime() - 86400000).toISOString(), end: now.toISOString() };
+
+      const json = await request(app)
+        .post('/api/analytics/reports')
+        .set(auth(owner))
+        .send({ type: 'comprehensive', dateRange });
+      expect(json.status).toBe(201);
+      expect(json.body.data.data.user).toBeDefined();
+
+      const csv = await request(app)
+        .post('/api/analytics/reports')
+        .set(auth(owner))
+        .send({ type: 'engagement', dateRange, format: 'csv' });
+      expect(csv.status).toBe(201);
+      expect(csv.headers['content-type']).toContain('text/csv');
+
+      const list = await request(app).get('/api/analytics/reports').set(auth(owner));
+      expect(list.status).toBe(200);
+      expect(list.body.data).toHaveLength(2);
+
+      const scheduled = await request(app)
+        .post('/api/analytics/reports/schedule')
+        .set(auth(owner))
+        .send({
+          reportConfig: { type: 'user' },
+          schedule: { frequency: 'weekly', time: '09:00', startDate: new Date(now.getTime() + 86400000).toISOString() },
+          delivery: { email: false, storage: true }
+        });
+      expect(scheduled.status).toBe(201);
+      expect(new Date(scheduled.body.data.nextRunAt).getUTCHours()).toBe(9);
+    });
+
+    test('should compute trends, comparisons and exports', async () => {
+      const trends = await request(app).get('/api/analytics/trends').query({ period: '7d' }).set(auth(owner));
+      expect(trends.status).toBe(200);
+      expect(trends.body.data.total).toBe(1);
+
+      const comparison = await request(app)
+        .get('/api/analytics/comparisons')
+        .query({ videoIds: String(video._id) })
+        .set(auth(owner));
+      expect(comparison.status).toBe(400);
+
+      const now = new Date();
+      const exported = await request(app)
+        .post('/api/analytics/export')
+        .set(auth(owner))
+        .send({
+          metrics: ['views', 'sync', 'branching'],
+          dateRange: { start: new Date(now.getTime() - 86400000).toISOString(), end: now.toISOString() }
+        });
+      expect(exported.status).toBe(200);
+      expect(exported.body.data.data.branching.totalVideos).toBe(1);
+    });
+  });
+
+  describe('Room analytics routes (/api/room-analytics)', () => {
+    test('should track events and summarize them per room', async () => {
+      const tracked = await request(app)
+        .post('/api/room-analytics/track')
+        .send({ roomCode: 'ROUTES', userId: viewer.id, eventType: 'play', timestamp: 0 });
+      expect(tracked.status).toBeLessThan(300);
+
+      const analytics = await request(app).get('/api/room-analytics/ROUTES/analytics');
+      expect(analytics.status).toBe(200);
+    });
+  });
+
+  describe('Transcription routes (/api/ai)', () => {
+    test('should only let the uploader start a transcription', async () => {
+      const denied = await request(app)
+        .post('/api/ai/transcriptions')
+        .set(auth(viewer))
+        .send({ videoId: video._id });
+      expect(denied.status).toBe(403);
+
+      const invalid = await request(app)
+        .post('/api/ai/transcriptions')
+        .set(auth(owner))
+        .send({ videoId: video._id, language: 'english' });
+      expect(invalid.status).toBe(400);
+    });
+
+    test('should 404 unknown jobs and missing transcripts', async () => {
+      const job = await request(app).get('/api/ai/transcriptions/unknown-job').set(auth(owner));
+      expect(job.status).toBe(404);
+
+      const transcript = await request(app).get(`/api/ai/transcripts/${video._id}`);
+      expect(transcript.status).toBe(404);
+    });
+
+    test('should report AI provider status', async () => {
+      const res = await request(app).get('/api/ai/providers');
+
+      expect(res.status).toBe(200);
+      expect(res.body.local).toBe(true);
+      expect(res.body.routes.summarize).toContain('local');
+    });
+  });
+
+  describe('Subtitle routes (/api/subtitles)', () => {
+    let code;
+    let trackId;
+
+    beforeAll(async () => {
+      const { SyncRoom } = await import('../../src/models/SyncRoom.js');
+      const { VideoTranscript } = await import('../../src/models/VideoTranscript.js');
+
+      code = 'SUBS01';
+      await SyncRoom.create({ code, hostId: owner.id, controllers: [owner.id], currentState: { videoHash: video._id } });
+      await VideoTranscript.create({
+        videoId: video._id,
+        language: 'en',
+        transcriptText: 'Ready? Yes, let us begin.',
+        segments: [
+          { start: 0, end: 1, text: 'Ready?', speaker: 'SPEAKER_00' },
+          { start: 1.2, end: 3, text: 'Yes, let us begin.', speaker: 'SPEAKER_01' }
+        ]
+      });
+    });
+
+    test('should only let room controllers generate subtitles', async () => {
+      const res = await request(app)
+        .post(`/api/subtitles/${code}/generate`)
+        .send({ userId: viewer.id });
+
+      expect(res.status).toBe(403);
+    });
+
+    test('should not turn another user\'s private transcript into room subtitles', async () => {
+      const { SyncRoom } = await import('../../src/models/SyncRoom.js');
+      const { VideoTranscript } = await import('../../src/models/VideoTranscript.js');
+      const secret = await Video.create({
+        title: 'Private Video',
+        duration: 10,
+        fileSize: 1024,
+        storageKey: 'videos/pr/private.mp4',
+        mimeType: 'video/mp4',
+        uploadedBy: owner.id,
+        isPublic: false
+      });
+      await VideoTranscript.create({ videoId: secret._id, language: 'en', transcriptText: 'Secret.', segments: [{ start: 0, end: 1, text: 'Secret.' }] });
+      await SyncRoom.create({ code: 'SUBS02', hostId: viewer.id, controllers: [viewer.id] });
+
+      const res = await request(app)
+        .post('/api/subtitles/SUBS02/generate')
+        .send({ userId: viewer.id, videoId: secret._id });
+
+      expect(res.status).toBe(403);
+    });
+
+    test('should generate a labelled track served with the room subtitles', async () => {
+      const start = await request(app)
+        .post(`/api/subtitles/${code}/generate`)
+        .send({ userId: owner.id, speakerNames: { SPEAKER_00: 'Host' } });
+      expect(start.status).toBe(202);
+
+      let job = start.body.job;
+      for (let i = 0; i < 20 && !job.completedAt; i++) {
+        await new Promise(resolve => setTimeout(resolve, 50));
+        job = (await request(app).get(`/api/subtitles/jobs/${job.jobId}`)).body.job;
+      }
+      expect(job.status).toBe('completed');
+
+      const res = await request(app).get(`/api/subtitles/${code}/subtitles`).query({ language: 'en' });
+      const [track] = res.body.subtitles;
+      trackId = track._id;
+      expect(track.isAutoGenerated).toBe(true);
+      expect(track.speakers).toEqual(['Host', 'Speaker 2']);
+      expect(track.cues.map(cue => cue.text)).toEqual(['[Host] Ready?', '[Speaker 2] Yes, let us begin.']);
+    });
+
+    test('should only translate for room members into another language', async () => {
+      const outsider = await request(app)
+        .post(`/api/subtitles/subtitles/${trackId}/translate`)
+        .send({ userId: viewer.id, language: 'fr' });
+      expect(outsider.status).toBe(403);
+
+      const same = await request(app)
+        .post(`/api/subtitles/subtitles/${trackId}/translate`)
+        .send({ userId: owner.id, language: 'en' });
+      expect(same.status).toBe(400);
+    });
+
+    test('should preview, apply and undo a timing shift', async () => {
+      const timing = `/api/subtitles/subtitles/${trackId}/timing`;
+      const starts = async () => {
+        const res = await request(app).get(`/api/subtitles/${code}/subtitles`).query({ language: 'en' });
+        return res.body.subtitles[0].cues.map(cue => cue.startTime);
+      };
+      const original = await starts();
+
+      const outsider = await request(app).post(timing).send({ userId: viewer.id, operation: 'shift', params: { offset: 1 } });
+      expect(outsider.status).toBe(403);
+
+      const preview = await request(app)
+        .post(timing)
+        .send({ userId: owner.id, operation: 'shift', params: { offset: 0.5 }, preview: true });
+      expect(preview.status).toBe(200);
+      expect(preview.body.diff).toMatchObject({ changed: 2, meanShift: 0.5 });
+      expect(await starts()).toEqual(original);
+
+      const applied = await request(app).post(timing).send({ userId: owner.id, operation: 'shift', params: { offset: 0.5 } });
+      expect(applied.body.revision).toBe(1);
+      expect(await starts()).toEqual(original.map(start => start + 0.5));
+
+      const revisions = await request(app).get(`/api/subtitles/subtitles/${trackId}/revisions`);
+      expect(revisions.body.revisions).toMatchObject([{ revision: 1, operation: 'shift', params: { offset: 0.5 } }]);
+
+      const undo = await request(app).post(`/api/subtitles/subtitles/${trackId}/undo`).send({ userId: owner.id });
+      expect(undo.body).toMatchObject({ operation: 'shift', remaining: 0 });
+      expect(await starts()).toEqual(original);
+    });
+
+    test('should search the room transcript and subtitles with timestamps', async () => {
+      const outsider = await request(app).get(`/api/rooms/${code}/search`).query({ q: 'begin', userId: viewer.id });
+      expect(outsider.status).toBe(403);
+
+      const res = await request(app)
+        .get(`/api/rooms/${code}/search`)
+        .query({ q: 'begin', userId: owner.id, mode: 'bm25', sources: 'transcript,subtitle' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.mode).toBe('bm25');
+      expect(res.body.results.map(hit => hit.type).sort()).toEqual(['subtitle', 'transcript']);
+      expect(res.body.results.every(hit => hit.timestamp >= 1)).toBe(true);
+    });
+
+    test('should answer questions from the watched transcript and post them to chat', async () => {
+      const { SyncRoom } = await import('../../src/models/SyncRoom.js');
+      // Paused after the first line, while the second is still to come
+      await SyncRoom.updateOne({ code }, { 'currentState.t': 1.1, 'currentState.paused': true });
+
+      const outsider = await request(app).post(`/api/rooms/${code}/ask`).send({ userId: viewer.id, question: 'Ready?' });
+      expect(outsider.status).toBe(403);
+
+      const res = await request(app)
+        .post(`/api/rooms/${code}/ask`)
+        .send({ userId: owner.id, username: 'owner', question: 'Are they ready to begin?' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.position).toBe(1.1);
+      expect(res.body.citations.map(citation => citation.start)).toEqual([0]);
+      expect(res.body.answer).not.toContain('let us begin');
+
+      const chat = await request(app).get(`/api/chat/${code}/messages`);
+      const [question, reply] = chat.body.messages.slice(-2);
+      expect(question).toMatchObject({ userId: owner.id, message: 'Are they ready to begin?', messageType: 'text' });
+      expect(reply).toMatchObject({ messageType: 'bot', replyTo: question._id, citations: [{ ref: 1, start: 0 }] });
+    });
+
+    test('should reject invalid timing operations', async () => {
+      const res = await request(app)
+        .post(`/api/subtitles/subtitles/${trackId}/timing`)
+        .send({ userId: owner.id, operation: 'stretch', params: { from: [10, 5], to: [0, 1] } });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('should not align a track against another user\'s private transcript', async () => {
+      const { Subtitle } = await import('../../src/models/Subtitle.js');
+      const { VideoTranscript } = await import('../../src/models/VideoTranscript.js');
+      const secret = await Video.create({
+        title: 'Private Video',
+        duration: 10,
+        fileSize: 1024,
+        storageKey: 'videos/pr/private-align.mp4',
+        mimeType: 'video/mp4',
+        uploadedBy: owner.id,
+        isPublic: false
+      });
+      await VideoTranscript.create({ videoId: secret._id, language: 'en', transcriptText: 'Secret.', segments: [{ start: 0, end: 1, text: 'Secret.' }] });
+      const track = await Subtitle.create({
+        roomCode: 'SUBS03',
+        language: 'en',
+        cues: [{ startTime: 0, endTime: 1, text: 'Secret.' }],
+        uploadedBy: viewer.id
+      });
+
+      const res = await request(app)
+        .post(`/api/subtitles/subtitles/${track._id}/timing`)
+        .send({ userId: viewer.id, operation: 'align', params: { videoId: String(secret._id) }, preview: true });
+
+      expect(res.status).toBe(403);
+    });
+
+    test('should import styled ASS and export it to other formats', async () => {
+      const ass = [
+        '[Script Info]',
+        'ScriptType: v4.00+',
+        '',
+        '[Events]',
+        'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+        'Dialogue: 0,0:00:01.00,0:00:02.50,Default,Host,0,0,0,,{\\an8}Guten {\\i1}Abend{\\i0}'
+      ].join('\n');
+
+      const upload = await request(app)
+        .post('/api/subtitles/upload')
+        .send({ roomCode: code, language: 'de', format: 'auto', subtitleData: ass, userId: owner.id });
+      expect(upload.status).toBe(201);
+      expect(upload.body.subtitle.format).toBe('ass');
+
+      const vtt = await request(app).get(`/api/subtitles/subtitles/${upload.body.subtitle.id}/export`).query({ format: 'vtt' });
+      expect(vtt.headers['content-type']).toMatch(/text\/vtt/);
+      expect(vtt.text).toContain('00:00:01.000 --> 00:00:02.500 line:0\n<v Host>Guten <i>Abend</i>');
+
+      const ttml = await request(app).get(`/api/subtitles/subtitles/${upload.body.subtitle.id}/export`).query({ format: 'ttml' });
+      expect(ttml.headers['content-type']).toMatch(/application\/ttml\+xml/);
+      expect(ttml.text).toContain('region="top"');
+    });
+
+    test('should reject subtitle data it cannot read', async () => {
+      const res = await request(app)
+        .post('/api/subtitles/upload')
+        .send({ roomCode: code, language: 'it', format: 'auto', subtitleData: 'not subtitles', userId: owner.id });
+
+      expect(res.status).toBe(400);
+    });
+
+    test('should 404 unknown generation jobs', async () => {
+      const res = await request(app).get('/api/subtitles/jobs/unknown-job');
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('Unknown routes', () => {
+    test('should answer with a 404 error response', async () => {
+      const res = await request(app).get('/api/does-not-exist');
+
+      expect(res.status).toBe(404);
+      expect(res.body.success).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,212 @@
+import { describe, test, expect } from '@jest/globals';
+import { AIProviderRegistry, AIProviderError } from '../../src/utils/aiProviders/registry.js';
+import { parseTaskRoutes } from '../../src/utils/aiProviders/index.js';
+import { LocalProvider, toSegments } from '../../src/utils/aiProviders/localProvider.js';
+
+const fakeProvider = (name, { tasks = ['summarize'], available = true, fail = false } = {}) => {
+  const provider = {
+    name,
+    tasks,
+    calls: 0,
+    isAvailable: () => available
+  };
+  for (const task of tasks) {
+    provider[task] = async (input) => {
+      provider.calls++;
+      if (fail) throw new Error(`${name} is down`);
+      return `${name}:${input}`;
+    };
+  }
+  return provider;
+};
+
+const TRANSCRIPT = [
+  '[0] Welcome to this cooking lesson about fresh pasta dough.',
+  '[20] Pasta dough needs flour, eggs and a pinch of salt.',
+  '[40] Knead the pasta dough until it is smooth and elastic.',
+  '[60] Rest the pasta dough for thirty minutes under a towel.',
+  '[120] Now we switch to the tomato sauce for the pasta.',
+  '[140] The tomato sauce starts with garlic and olive oil.',
+  '[160] Simmer the tomato sauce slowly with fresh basil.',
+  '[180] Season the tomato sauce with salt before serving.'
+].join('\n');
+
+describe('AIProviderRegistry', () => {
+  test('should use the first available provider in order', async () => {
+    const registry = new AIProviderRegistry({ order: ['a', 'b'] });
+    registry.register(fakeProvider('b')).register(fakeProvider('a'));
+
+    await expect(registry.run('summarize', 'text')).resolves.toEqual({ result: 'a:text', provider: 'a' });
+  });
+
+  test('should skip providers that are not configured', async () => {
+    const registry = new AIProviderRegistry({ order: ['a', 'b'] });
+    registry.register(fakeProvider('a', { available: false })).register(fakeProvider('b'));
+
+    const { provider } = await registry.run('summarize', 'text');
+    expect(provider).toBe('b');
+  });
+
+  test('should fall back to the next provider when one fails', async () => {
+    const registry = new AIProviderRegistry();
+    registry.register(fakeProvider('a', { fail: true })).register(fakeProvider('b'));
+
+    const { result, provider } = await registry.run('summarize', 'text');
+    expect(provider).toBe('b');
+    expect(result).toBe('b:text');
+    expect(registry.getStatus().providers[0]).toMatchObject({ name: 'a', failures: 1, lastError: 'a is down' });
+  });
+
+  test('should only offer providers that support the task', () => {
+    const registry = new AIProviderRegistry();
+    registry.register(fakeProvider('a', { tasks: ['summarize'] })).register(fakeProvider('b', { tasks: ['summarize', 'complete'] }));
+
+    expect(registry.candidates('complete').map(provider => provider.name)).toEqual(['b']);
+  });
+
+  test('should follow per-task routes over the default order', async () => {
+    const registry = new AIProviderRegistry({ routes: { summarize: ['b', 'a'] } });
+    registry.register(fakeProvider('a')).register(fakeProvider('b'));
+
+    expect((await registry.run('summarize', 'x')).provider).toBe('b');
+
+    registry.setRoute('summarize', []);
+    expect((await registry.run('summarize', 'x')).provider).toBe('a');
+  });
+
+  test('should reject routes for unknown tasks', () => {
+    const registry = new AIProviderRegistry();
+    expect(() => registry.setRoute('dance', ['a'])).toThrow('Unknown AI task');
+  });
+
+  test('should reject providers that do not implement their tasks', () => {
+    const registry = new AIProviderRegistry();
+    expect(() => registry.register({ name: 'x', tasks: ['summarize'], isAvailable: () => true })).toThrow('does not implement');
+  });
+
+  test('should cool a provider down after repeated failures and recover after the cooldown', async () => {
+    let now = 0;
+    const registry = new AIProviderRegistry({ failureThreshold: 2, cooldownMs: 1000, now: () => now });
+    const flaky = fakeProvider('a', { fail: true });
+    const backup = fakeProvider('b');
+    registry.register(flaky).register(backup);
+
+    await registry.run('summarize', 'x');
+    await registry.run('summarize', 'x');
+    expect(registry.isCoolingDown('a')).toBe(true);
+    expect(registry.getStatus().providers[0].healthy).toBe(false);
+
+    await registry.run('summarize', 'x');
+    expect(flaky.calls).toBe(2);
+
+    now = 1500;
+    expect(registry.isCoolingDown('a')).toBe(false);
+    await registry.run('summarize', 'x');
+    expect(flaky.calls).toBe(3);
+  });
+
+  test('should clear the cooldown on success', () => {
+    const registry = new AIProviderRegistry({ failureThreshold: 1 });
+    registry.register(fakeProvider('a'));
+    registry.recordFailure('a', new Error('boom'));
+    expect(registry.isCoolingDown('a')).toBe(true);
+
+    registry.recordSuccess('a', 20);
+    expect(registry.isCoolingDown('a')).toBe(false);
+    expect(registry.getStatus().providers[0]).toMatchObject({ successes: 1, consecutiveFailures: 0, averageLatencyMs: 20 });
+  });
+
+  test('should still try cooling-down providers when nothing else is left', async () => {
+    const registry = new AIProviderRegistry({ failureThreshold: 1 });
+    registry.register(fakeProvider('a'));
+    registry.recordFailure('a', new Error('boom'));
+
+    await expect(registry.run('summarize', 'x')).resolves.toMatchObject({ provider: 'a' });
+  });
+
+  test('should throw AIProviderError listing every attempt when all providers fail', async () => {
+    const registry = new AIProviderRegistry();
+    registry.register(fakeProvider('a', { fail: true })).register(fakeProvider('b', { fail: true }));
+
+    const error = await registry.run('summarize', 'x').catch(err => err);
+    expect(error).toBeInstanceOf(AIProviderError);
+    expect(error.statusCode).toBe(503);
+    expect(error.code).toBe('AI_UNAVAILABLE');
+    expect(error.details.attempts.map(attempt => attempt.provider)).toEqual(['a', 'b']);
+  });
+
+  test('should throw AIProviderError when no provider handles the task', async () => {
+    const registry = new AIProviderRegistry();
+    registry.register(fakeProvider('a'));
+
+    await expect(registry.run('transcribe', 'x')).rejects.toThrow('no provider is available');
+  });
+});
+
+describe('parseTaskRoutes', () => {
+  test('should parse task=provider lists', () => {
+    expect(parseTaskRoutes('summarize=local,openai; chapters=gemini')).toEqual({
+      summarize: ['local', 'openai'],
+      chapters: ['gemini']
+    });
+  });
+
+  test('should ignore empty and malformed entries', () => {
+    expect(parseTaskRoutes('')).toEqual({});
+    expect(parseTaskRoutes('summarize=;=local;topics')).toEqual({});
+  });
+});
+
+describe('LocalProvider', () => {
+  const local = new LocalProvider();
+
+  test('should parse timestamped transcript lines', () => {
+    expect(toSegments('[01:15] hello\n0:02:00 world\ncontinued')).toEqual([
+      { start: 75, text: 'hello' },
+      { start: 120, text: 'world continued' }
+    ]);
+  });
+
+  test('should give the same summary for the same input', async () => {
+    const text = TRANSCRIPT.replace(/\[\d+\] /g, '');
+    const first = await local.summarize(text, { maxLength: 25 });
+    const second = await local.summarize(text, { maxLength: 25 });
+
+    expect(first).toBe(second);
+    expect(first.length).toBeGreaterThan(0);
+    expect(first.split(/\s+/).length).toBeLessThanOrEqual(25);
+  });
+
+  test('should format bullet point summaries', async () => {
+    const summary = await local.summarize('First point here. Second point there.', { style: 'bullet-points' });
+    expect(summary.split('\n').every(line => line.startsWith('- '))).toBe(true);
+  });
+
+  test('should find the recurring topics', async () => {
+    const { topics } = await local.topics(TRANSCRIPT.replace(/\[\d+\] /g, ''), { maxTopics: 3 });
+    const names = topics.map(topic => topic.topic.toLowerCase());
+
+    expect(names.some(name => name.includes('pasta'))).toBe(true);
+    expect(names.some(name => name.includes('tomato') || name.includes('sauce'))).toBe(true);
+  });
+
+  test('should split chapters where the subject changes', async () => {
+    const chapters = await local.chapters(TRANSCRIPT, { minChapterLength: 60 });
+
+    expect(chapters[0].timestamp).toBe(0);
+    expect(chapters.map(chapter => chapter.timestamp)).toContain(120);
+    expect(chapters.every(chapter => chapter.title && chapter.description)).toBe(true);
+  });
+
+  test('should accept segment arrays for chapters', async () => {
+    const segments = toSegments(TRANSCRIPT).map(segment => ({ startTime: segment.start, text: segment.text }));
+    expect(await local.chapters(segments, { minChapterLength: 60 })).toEqual(await local.chapters(TRANSCRIPT, { minChapterLength: 60 }));
+  });
+
+  test('should keep descriptions within maxLength', async () => {
+    const description = await local.description({ duration: 200 }, TRANSCRIPT.replace(/\[\d+\] /g, ''), { maxLength: 80 });
+
+    expect(description.length).toBeLessThanOrEqual(80);
+    expect(description.length).toBeGreaterThan(0);
+  });
+});
@@ -0,0 +1,118 @@
+import { describe, test, expect } from '@jest/globals';
+import { CatchUpService, segmentsUntil, buildBlocks } from '../../src/services/catchUpService.js';
+import { transcriptUntil } from '../../src/controllers/summarizer.js';
+
+// Summarizes to a marker that keeps the first word, so tests can see what went in
+const fakeSummarizer = () => {
+  const summarizer = {
+    calls: [],
+    summarizeTranscript: async (text) => {
+      summarizer.calls.push(text);
+      return `summary(${text.split(' ')[0]})`;
+    }
+  };
+  return summarizer;
+};
+
+const words = (label, count) => Array.from({ length: count }, (_, i) => `${label}${i}`).join(' ');
+
+// Two long one-minute blocks, then a short third minute
+const transcript = {
+  _id: 't1',
+  videoId: 'v1',
+  generatedAt: '2026-01-01T00:00:00Z',
+  segments: [
+    { start: 0, end: 20, text: words('a', 30) },
+    { start: 20, end: 50, text: words('b', 30) },
+    { start: 60, end: 90, text: words('c', 30) },
+    { start: 90, end: 118, text: words('d', 30) },
+    { start: 120, end: 130, text: 'short line' },
+    { start: 130, end: 150, text: 'spoiler ending' }
+  ]
+};
+
+describe('Catch-up summaries', () => {
+  test('segmentsUntil should leave out segments still being spoken', () => {
+    expect(segmentsUntil(transcript.segments, 55).map(segment => segment.start)).toEqual([0, 20]);
+    expect(segmentsUntil(transcript.segments, 49)).toHaveLength(1);
+    // Without an end time a line lasts until the next one starts
+    expect(segmentsUntil([{ start: 0, text: 'x' }, { start: 10, text: 'y' }], 5)).toEqual([]);
+  });
+
+  test('buildBlocks should group segments by start time', () => {
+    const blocks = buildBlocks(transcript.segments, 60);
+    expect(blocks.map(block => [block.index, block.start, block.end, block.segments.length])).toEqual([
+      [0, 0, 50, 2],
+      [1, 60, 118, 2],
+      [2, 120, 150, 2]
+    ]);
+  });
+
+  test('should never use text past the limit', async () => {
+    const summarizer = fakeSummarizer();
+    const service = new CatchUpService({ persist: false, summarizer });
+
+    const result = await service.summarizeRange(transcript, { from: 0, to: 1000, limit: 140 });
+
+    expect(result.to).toBe(140);
+    expect(result.summary).toContain('short line');
+    expect(result.summary).not.toContain('spoiler');
+    expect(summarizer.calls.join(' ')).not.toContain('spoiler');
+  });
+
+  test('should only cover the requested window', async () => {
+    const service = new CatchUpService({ persist: false, summarizer: fakeSummarizer() });
+
+    const result = await service.summarizeRange(transcript, { from: 55, to: 119 });
+
+    expect(result.parts).toEqual([{ start: 60, end: 118, summary: 'summary(c0)' }]);
+    expect(result.summary).toBe('summary(c0)');
+  });
+
+  test('should reuse block summaries as the window moves', async () => {
+    const summarizer = fakeSummarizer();
+    const service = new CatchUpService({ persist: false, summarizer });
+
+    const first = await service.summarizeRange(transcript, { from: 0, to: 60 });
+    const second = await service.summarizeRange(transcript, { from: 0, to: 120 });
+
+    expect(first.stats).toEqual({ cachedBlocks: 0, newBlocks: 1, edgeSegments: 0 });
+    expect(second.stats).toEqual({ cachedBlocks: 1, newBlocks: 1, edgeSegments: 0 });
+    expect(summarizer.calls).toHaveLength(2);
+  });
+
+  test('should quote short edge pieces verbatim', async () => {
+    const summarizer = fakeSummarizer();
+    const service = new CatchUpService({ persist: false, summarizer });
+
+    const result = await service.summarizeRange(transcript, { from: 20, to: 60 });
+
+    expect(result.parts).toEqual([{ start: 20, end: 50, summary: words('b', 30) }]);
+    expect(result.stats.edgeSegments).toBe(1);
+    expect(summarizer.calls).toEqual([]);
+  });
+
+  test('should return an empty summary for an empty window', async () => {
+    const service = new CatchUpService({ persist: false, summarizer: fakeSummarizer() });
+
+    const result = await service.summarizeRange(transcript, { from: 30, to: 30 });
+    expect(result.summary).toBe('');
+    expect(result.parts).toEqual([]);
+  });
+
+  test('should find the platform video a room is playing', () => {
+    const service = new CatchUpService({ persist: false });
+    const id = '64b7f0c2a1b2c3d4e5f60718';
+
+    expect(service.resolveRoomVideoId({ currentState: { videoId: id, videoHash: 'f'.repeat(64) } })).toBe(id);
+    expect(service.resolveRoomVideoId({ currentState: { videoHash: id } })).toBe(id);
+    expect(service.resolveRoomVideoId({ currentState: { videoUrl: `/api/videos/${id}/stream` } })).toBe(id);
+    expect(service.resolveRoomVideoId({ currentState: { videoUrl: 'https://example.com/a.mp4' } })).toBeNull();
+  });
+
+  test('transcriptUntil should cut segment arrays and timestamped lines', () => {
+    expect(transcriptUntil(transcript.segments, 55)).toBe(`${words('a', 30)} ${words('b', 30)}`);
+    expect(transcriptUntil('[00:00] hello\n[00:10] world\n[00:20] later', 15)).toBe('hello');
+    expect(transcriptUntil('no timestamps here', 5)).toBe('no timestamps here');
+  });
+});
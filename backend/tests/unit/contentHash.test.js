@@ -0,0 +1,66 @@
+import { describe, test, expect, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  ContentHasher,
+  CONTENT_HASH_BLOCK_SIZE,
+  hashBuffer,
+  hashFile,
+  hasherForFile,
+  isContentHash
+} from '../../src/utils/contentHash.js';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest();
+
+describe('Content hashes', () => {
+  const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'content-hash-test-'));
+  // One full block and a bit, so the block boundary matters
+  const data = crypto.randomBytes(CONTENT_HASH_BLOCK_SIZE + 1000);
+  const expected = sha256(Buffer.concat([
+    sha256(data.subarray(0, CONTENT_HASH_BLOCK_SIZE)),
+    sha256(data.subarray(CONTENT_HASH_BLOCK_SIZE))
+  ])).toString('hex');
+
+  afterAll(() => {
+    fs.rmSync(tempPath, { recursive: true, force: true });
+  });
+
+  test('should hash the concatenated block digests', () => {
+    expect(hashBuffer(data)).toBe(expected);
+    expect(isContentHash(expected)).toBe(true);
+    expect(hashBuffer(Buffer.alloc(0))).toBe(sha256(Buffer.alloc(0)).toString('hex'));
+  });
+
+  test('should not depend on how the bytes are fed', () => {
+    const hasher = new ContentHasher();
+    for (let offset = 0; offset < data.length; offset += 999_983) {
+      hasher.update(data.subarray(offset, offset + 999_983));
+    }
+
+    expect(hasher.digest()).toBe(expected);
+    expect(hasher.bytes).toBe(data.length);
+  });
+
+  test('copy should carry on independently', () => {
+    const hasher = new ContentHasher().update(data.subarray(0, 10));
+    const copy = hasher.copy().update(Buffer.from('rejected chunk'));
+
+    hasher.update(data.subarray(10));
+    expect(hasher.digest()).toBe(expected);
+    expect(copy.digest()).not.toBe(expected);
+  });
+
+  test('should hash files whole or up to an offset', async () => {
+    const filePath = path.join(tempPath, 'video.bin');
+    fs.writeFileSync(filePath, data);
+
+    expect(await hashFile(filePath)).toBe(expected);
+
+    const prefix = await hasherForFile(filePath, { end: 4096 });
+    expect(prefix.bytes).toBe(4096);
+    expect(prefix.update(data.subarray(4096)).digest()).toBe(expected);
+    expect((await hasherForFile(filePath, { end: 0 })).bytes).toBe(0);
+  });
+});
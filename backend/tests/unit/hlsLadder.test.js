@@ -0,0 +1,117 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  DEFAULT_LADDER,
+  ladderFor,
+  planRenditions,
+  renditionOutputOptions,
+  masterPlaylist,
+  timemarkSeconds,
+  progressFraction,
+  segmentFileName
+} from '../../src/utils/hlsLadder.js';
+import { TranscodingService } from '../../src/services/transcodingService.js';
+
+describe('HLS ladder', () => {
+  test('ladderFor should keep the requested heights and fall back to the default', () => {
+    expect(ladderFor('720, 360').map(rung => rung.name)).toEqual(['720p', '360p']);
+    expect(ladderFor([480])).toEqual([DEFAULT_LADDER[2]]);
+    expect(ladderFor('')).toBe(DEFAULT_LADDER);
+    expect(ladderFor('999')).toBe(DEFAULT_LADDER);
+  });
+
+  test('planRenditions should never upscale and keep the aspect ratio at even sizes', () => {
+    const renditions = planRenditions({ width: 1280, height: 720 }, ladderFor('1080,720,480,360'));
+
+    expect(renditions.map(rendition => `${rendition.name} ${rendition.width}x${rendition.height}`)).toEqual([
+      '720p 1280x720',
+      '480p 854x480',
+      '360p 640x360'
+    ]);
+  });
+
+  test('planRenditions should handle tiny sources and cap bitrates at the source', () => {
+    const [only] = planRenditions({ width: 320, height: 180, bitrate: 300000 });
+    expect(only).toMatchObject({ name: '240p', width: 320, height: 180, videoBitrate: 300 });
+
+    expect(() => planRenditions({ width: 0, height: 0 })).toThrow('width and height');
+  });
+
+  test('renditionOutputOptions should align keyframes with segments', () => {
+    const options = renditionOutputOptions(
+      { width: 854, height: 480, videoBitrate: 1400, audioBitrate: 128 },
+      { segmentFilename: '/tmp/480p/segment_%05d.ts', segmentSeconds: 4 }
+    );
+
+    expect(options).toEqual(expect.arrayContaining([
+      '-vf scale=854:480',
+      '-b:v 1400k',
+      '-force_key_frames expr:gte(t,n_forced*4)',
+      '-hls_time 4',
+      '-hls_segment_filename /tmp/480p/segment_%05d.ts',
+      '-c:a aac'
+    ]));
+    expect(renditionOutputOptions({ width: 2, height: 2, videoBitrate: 1 }, { hasAudio: false })).toContain('-an');
+  });
+
+  test('masterPlaylist should list renditions highest first', () => {
+    const playlist = masterPlaylist([
+      { name: '360p', width: 640, height: 360, videoBitrate: 800, audioBitrate: 96 },
+      { name: '720p', width: 1280, height: 720, videoBitrate: 2800, audioBitrate: 128 }
+    ]);
+
+    expect(playlist.split('\n')).toEqual([
+      '#EXTM3U',
+      '#EXT-X-VERSION:3',
+      '#EXT-X-STREAM-INF:BANDWIDTH=3124000,RESOLUTION=1280x720,CODECS="avc1.4d401f,mp4a.40.2",NAME="720p"',
+      '720p/index.m3u8',
+      '#EXT-X-STREAM-INF:BANDWIDTH=952000,RESOLUTION=640x360,CODECS="avc1.4d401f,mp4a.40.2",NAME="360p"',
+      '360p/index.m3u8',
+      ''
+    ]);
+  });
+
+  test('progress should come from timemarks, then from percent', () => {
+    expect(timemarkSeconds('01:02:03.50')).toBe(3723.5);
+    expect(timemarkSeconds('N/A')).toBe(0);
+    expect(progressFraction({ timemark: '00:00:30.00' }, 120)).toBe(0.25);
+    expect(progressFraction({ percent: 40 }, 0)).toBe(0.4);
+    expect(progressFraction({ timemark: '00:05:00.00' }, 120)).toBe(1);
+  });
+});
+
+describe('TranscodingService files', () => {
+  const service = new TranscodingService({ workPath: '/tmp/hls', transcoder: {} });
+  const video = {
+    _id: 'v1',
+    streaming: {
+      status: 'ready',
+      renditions: [
+        { name: '720p', width: 1280, height: 720, status: 'ready', progress: 1, segments: 4 },
+        { name: '360p', width: 640, height: 360, status: 'failed', progress: 0.5 }
+      ]
+    }
+  };
+
+  test('resolveFile should only serve playlists and segments of ready renditions', () => {
+    expect(service.resolveFile(video, 'master.m3u8')).toBe('hls/v1/master.m3u8');
+    expect(service.resolveFile(video, 'index.m3u8', '720p')).toBe('hls/v1/720p/index.m3u8');
+    expect(service.resolveFile(video, segmentFileName(3), '720p')).toBe('hls/v1/720p/segment_00003.ts');
+
+    expect(() => service.resolveFile(video, 'segment_00004.ts', '720p')).toThrow('not found');
+
+    expect(() => service.resolveFile(video, 'index.m3u8', '360p')).toThrow('not found');
+    expect(() => service.resolveFile(video, '..', '720p')).toThrow('Unknown HLS file');
+    expect(() => service.resolveFile(video, 'passwd')).toThrow('Unknown HLS file');
+    expect(() => service.resolveFile({ ...video, streaming: { status: 'transcoding' } }, 'master.m3u8')).toThrow('not found');
+  });
+
+  test('describe should report overall progress and the master playlist', () => {
+    expect(service.describe(video)).toMatchObject({
+      status: 'ready',
+      progress: 0.75,
+      masterPlaylistUrl: '/api/videos/v1/hls/master.m3u8',
+      renditions: [{ name: '720p', status: 'ready' }, { name: '360p', status: 'failed' }]
+    });
+    expect(service.describe({ _id: 'v2' })).toMatchObject({ status: 'none', progress: 0, masterPlaylistUrl: null });
+  });
+});
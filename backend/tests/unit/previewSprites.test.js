@@ -0,0 +1,79 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  planSprites,
+  spriteOutputOptions,
+  spriteFileName,
+  previewTrack
+} from '../../src/utils/previewSprites.js';
+import { PreviewService } from '../../src/services/previewService.js';
+
+describe('Preview sprites', () => {
+  test('planSprites should tile the whole video at the source aspect ratio', () => {
+    expect(planSprites({ duration: 1001, width: 1920, height: 800 }, { interval: 5, columns: 10, rows: 10, tileWidth: 160 }))
+      .toEqual({ interval: 5, columns: 10, rows: 10, tileWidth: 160, tileHeight: 66, tiles: 201, sheets: 3 });
+
+    // Unknown dimensions fall back to 16:9
+    expect(planSprites({ duration: 3 }, { interval: 10, columns: 4, rows: 4, tileWidth: 120 }))
+      .toMatchObject({ tileHeight: 68, tiles: 1, sheets: 1 });
+  });
+
+  test('planSprites should need a duration and a sane grid', () => {
+    expect(() => planSprites({ duration: 0 })).toThrow('duration');
+    expect(() => planSprites({ duration: 10 }, { interval: 0 })).toThrow('positive');
+  });
+
+  test('spriteOutputOptions should draw every sheet in one pass', () => {
+    const options = spriteOutputOptions({ interval: 2.5, columns: 5, rows: 4, tileWidth: 160, tileHeight: 90 });
+
+    expect(options[0]).toBe('-vf fps=1/2.5,scale=160:90,tile=5x4');
+    expect(options).toEqual(expect.arrayContaining(['-an', '-start_number 0', '-f image2']));
+  });
+
+  test('previewTrack should point each interval at its tile', () => {
+    const plan = planSprites({ duration: 11, width: 640, height: 360 }, { interval: 2, columns: 2, rows: 2, tileWidth: 100 });
+
+    expect(previewTrack(plan, { duration: 11 })).toBe([
+      'WEBVTT',
+      '00:00:00.000 --> 00:00:02.000\nsprite_000.jpg#xywh=0,0,100,56',
+      '00:00:02.000 --> 00:00:04.000\nsprite_000.jpg#xywh=100,0,100,56',
+      '00:00:04.000 --> 00:00:06.000\nsprite_000.jpg#xywh=0,56,100,56',
+      '00:00:06.000 --> 00:00:08.000\nsprite_000.jpg#xywh=100,56,100,56',
+      '00:00:08.000 --> 00:00:10.000\nsprite_001.jpg#xywh=0,0,100,56',
+      '00:00:10.000 --> 00:00:11.000\nsprite_001.jpg#xywh=100,0,100,56'
+    ].join('\n\n') + '\n');
+  });
+
+  test('previewTrack should stop at the sheets that were drawn', () => {
+    const plan = planSprites({ duration: 11 }, { interval: 2, columns: 2, rows: 2, tileWidth: 100 });
+    const cues = previewTrack(plan, { duration: 11, sheets: 1 }).match(/-->/g);
+
+    expect(cues).toHaveLength(4);
+    expect(spriteFileName(12)).toBe('sprite_012.jpg');
+  });
+});
+
+describe('PreviewService files', () => {
+  const service = new PreviewService({ generator: {} });
+  const video = { _id: 'v1', previews: { status: 'ready', interval: 5, sheets: 2, progress: 1 } };
+
+  test('resolveFile should only serve the track and sheets that exist', () => {
+    expect(service.resolveFile(video, 'thumbnails.vtt')).toBe('previews/v1/thumbnails.vtt');
+    expect(service.resolveFile(video, 'sprite_001.jpg')).toBe('previews/v1/sprite_001.jpg');
+
+    expect(() => service.resolveFile(video, 'sprite_002.jpg')).toThrow('not found');
+    expect(() => service.resolveFile(video, '..')).toThrow('not found');
+    expect(() => service.resolveFile({ _id: 'v1', previews: { status: 'generating' } }, 'thumbnails.vtt')).toThrow('not found');
+  });
+
+  test('describe should link the track once it is ready', () => {
+    expect(service.describe(video)).toEqual({
+      status: 'ready',
+      progress: 1,
+      interval: 5,
+      sheets: 2,
+      trackUrl: '/api/videos/v1/previews/thumbnails.vtt',
+      error: null
+    });
+    expect(service.describe({ _id: 'v2' })).toMatchObject({ status: 'none', trackUrl: null });
+  });
+});
@@ -0,0 +1,96 @@
+import { describe, test, expect } from '@jest/globals';
+import { validateEvent, CLIENT_EVENTS } from '../../src/sockets/protocol.js';
+import { translateIncoming, translateOutgoing, translateResumed } from '../../src/sockets/compat.js';
+import { ValidationError } from '../../src/middleware/errorHandler.js';
+
+describe('Socket protocol', () => {
+  describe('validateEvent', () => {
+    test('should apply defaults and drop unknown fields', () => {
+      const payload = validateEvent(CLIENT_EVENTS.CHAT_SEND, { message: '  hi  ', userId: 'spoofed' });
+
+      expect(payload).toEqual({ message: 'hi', type: 'text' });
+    });
+
+    test('should coerce numeric strings', () => {
+      expect(validateEvent(CLIENT_EVENTS.PLAYBACK_SEEK, { t: '12.5' })).toEqual({ t: 12.5 });
+    });
+
+    test('should report every invalid field', () => {
+      expect.assertions(3);
+      try {
+        validateEvent(CLIENT_EVENTS.PLAYBACK_RATE, { rate: 10, t: -1 });
+      } catch (error) {
+        expect(error).toBeInstanceOf(ValidationError);
+        expect(error.statusCode).toBe(400);
+        expect(error.details.map(detail => detail.field).sort()).toEqual(['rate', 't']);
+      }
+    });
+
+    test('should reject room codes with unexpected characters', () => {
+      expect(() => validateEvent(CLIENT_EVENTS.ROOM_JOIN, { roomCode: 'ab cd' })).toThrow(ValidationError);
+    });
+
+    test('should take either a video URL or a local file for the room video', () => {
+      const hash = 'AB'.repeat(32);
+
+      expect(validateEvent(CLIENT_EVENTS.ROOM_SET_VIDEO, { localFile: { hash, size: 10, name: 'a.mp4' } }))
+        .toEqual({ localFile: { hash: hash.toLowerCase(), size: 10, name: 'a.mp4' } });
+      expect(() => validateEvent(CLIENT_EVENTS.ROOM_SET_VIDEO, {})).toThrow(ValidationError);
+      expect(() => validateEvent(CLIENT_EVENTS.ROOM_SET_VIDEO, { videoUrl: 'https://example.com/a.mp4', localFile: { hash } }))
+        .toThrow(ValidationError);
+      expect(() => validateEvent(CLIENT_EVENTS.ROOM_VERIFY_FILE, { hash: 'abc' })).toThrow(ValidationError);
+    });
+
+    test('should reject unknown events', () => {
+      expect(() => validateEvent('room:explode', {})).toThrow('Unknown event');
+    });
+  });
+
+  describe('compatibility shim', () => {
+    test('should map legacy events to v1 and name the dialect they identify', () => {
+      expect(translateIncoming('playback_event', { type: 'play', timestamp: 4, playbackRate: 1.5, roomCode: 'X' }))
+        .toEqual({ event: 'playback:play', payload: { t: 4, rate: 1.5 }, dialect: 'sync' });
+      expect(translateIncoming('session:join', { sessionId: 'ROOM01' }))
+        .toEqual({ event: 'room:join', payload: { roomCode: 'ROOM01' }, dialect: 'session' });
+      expect(translateIncoming('seek', { t: 30 }))
+        .toEqual({ event: 'playback:seek', payload: { t: 30 }, dialect: null });
+    });
+
+    test('should swallow legacy events that have no v1 counterpart', () => {
+      expect(translateIncoming('sync_response', { timestamp: 3 })).toMatchObject({ event: null, dialect: 'sync' });
+    });
+
+    test('should leave v1 and unknown events alone', () => {
+      expect(translateIncoming('playback:play', { t: 1 })).toBeNull();
+      expect(translateIncoming('something:else', {})).toBeNull();
+    });
+
+    test('should send the v1 event plus the aliases a dialect expects', () => {
+      const state = { action: 'pause', t: 10, paused: true, rate: 1, serverTime: 0, userId: 'u1', roomCode: 'ROOM01', seq: 3 };
+
+      expect(translateOutgoing('v1', 'playback:state', state)).toEqual([['playback:state', state]]);
+      expect(translateOutgoing('room', 'playback:state', state).map(([event]) => event))
+        .toEqual(['playback:state', 'pause']);
+      expect(translateOutgoing('sync', 'playback:state', state)[1]).toEqual(['playback_event', expect.objectContaining({
+        type: 'pause', timestamp: 10, paused: true, playbackRate: 1, userId: 'u1'
+      })]);
+      expect(translateOutgoing('session', 'playback:state', state).map(([event]) => event))
+        .toEqual(['playback:state', 'sync:state-update', 'sync:pause-update']);
+    });
+
+    test('should replay missed events in the legacy dialect', () => {
+      const resumed = {
+        roomCode: 'ROOM01',
+        mode: 'replay',
+        lastSeq: 5,
+        events: [{ seq: 5, type: 'chat:message', payload: { message: 'hi' } }]
+      };
+
+      expect(translateResumed('v1', resumed)).toBe(resumed);
+      expect(translateResumed('sync', resumed).events).toEqual([
+        { seq: 5, type: 'chat:message', payload: { message: 'hi' } },
+        { seq: 5, type: 'chat_message', payload: { message: 'hi' } }
+      ]);
+    });
+  });
+});
@@ -0,0 +1,107 @@
+import { describe, test, expect, beforeEach, afterAll } from '@jest/globals';
+import crypto from 'crypto';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { Readable } from 'stream';
+import {
+  UploadService,
+  parseChecksum,
+  parseOffset,
+  chunkLimit
+} from '../../src/services/uploadService.js';
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('base64');
+
+describe('Resumable upload headers', () => {
+  test('parseChecksum should read tus-style checksums', () => {
+    expect(parseChecksum(`sha256 ${sha256('abc')}`)).toEqual({ algorithm: 'sha256', digest: sha256('abc') });
+    expect(parseChecksum('SHA1 qZk+NkcGgWq6PiVxeFDCbJzQ2J0=')).toEqual({ algorithm: 'sha1', digest: 'qZk+NkcGgWq6PiVxeFDCbJzQ2J0=' });
+    expect(parseChecksum(undefined)).toBeNull();
+    expect(parseChecksum('')).toBeNull();
+
+    expect(() => parseChecksum('crc32 AAAA')).toThrow('Upload-Checksum');
+    expect(() => parseChecksum('sha256')).toThrow('Upload-Checksum');
+    expect(() => parseChecksum('sha256 not*base64')).toThrow('Upload-Checksum');
+  });
+
+  test('parseOffset should only accept whole byte offsets', () => {
+    expect(parseOffset('0')).toBe(0);
+    expect(parseOffset(' 8388608 ')).toBe(8388608);
+
+    expect(() => parseOffset(undefined)).toThrow('Upload-Offset');
+    expect(() => parseOffset('-1')).toThrow('Upload-Offset');
+    expect(() => parseOffset('1.5')).toThrow('Upload-Offset');
+    expect(() => parseOffset('99999999999999999999')).toThrow('Upload-Offset');
+  });
+
+  test('chunkLimit should stop at the chunk size and the end of the file', () => {
+    expect(chunkLimit({ size: 100, offset: 0, chunkSize: 30 })).toBe(30);
+    expect(chunkLimit({ size: 100, offset: 90, chunkSize: 30 })).toBe(10);
+    expect(chunkLimit({ size: 100, offset: 100, chunkSize: 30 })).toBe(0);
+  });
+});
+
+describe('UploadService chunk writes', () => {
+  const tempPath = fs.mkdtempSync(path.join(os.tmpdir(), 'resumable-upload-test-'));
+  const service = new UploadService({ tempPath, processor: {} });
+  const filePath = path.join(tempPath, 'upload.part');
+  const session = { uploadId: 'u1', tempPath: filePath, size: 12, offset: 4, chunkSize: 8 };
+
+  beforeEach(() => {
+    fs.writeFileSync(filePath, 'abcd');
+  });
+
+  afterAll(() => {
+    fs.rmSync(tempPath, { recursive: true, force: true });
+  });
+
+  test('receive should write the chunk at the offset and verify its checksum', async () => {
+    const received = await service.receive(session, Readable.from([Buffer.from('efgh')]), {
+      limit: chunkLimit(session),
+      checksum: { algorithm: 'sha256', digest: sha256('efgh') }
+    });
+
+    expect(received).toBe(4);
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('abcdefgh');
+  });
+
+  test('receive should drop a chunk whose checksum does not match', async () => {
+    await expect(service.receive(session, Readable.from([Buffer.from('efgh')]), {
+      limit: chunkLimit(session),
+      checksum: { algorithm: 'sha256', digest: sha256('EFGH') }
+    })).rejects.toMatchObject({ statusCode: 460, code: 'CHECKSUM_MISMATCH', details: { offset: 4 } });
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('abcd');
+  });
+
+  test('receive should refuse chunks larger than allowed', async () => {
+    await expect(service.receive(session, Readable.from([Buffer.from('efgh'), Buffer.from('ijklm')]), {
+      limit: chunkLimit(session)
+    })).rejects.toMatchObject({ statusCode: 413, code: 'CHUNK_TOO_LARGE' });
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('abcd');
+  });
+
+  test('receive should discard a chunk that broke off', async () => {
+    const broken = new Readable({ read() {} });
+    broken.push(Buffer.from('ef'));
+    setImmediate(() => broken.destroy(new Error('aborted')));
+
+    await expect(service.receive(session, broken, { limit: chunkLimit(session) }))
+      .rejects.toMatchObject({ statusCode: 400, code: 'CHUNK_INCOMPLETE' });
+
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('abcd');
+  });
+
+  test('describe should report progress for the client', () => {
+    expect(service.describe({ ...session, status: 'uploading', filename: 'talk.mp4' })).toMatchObject({
+      uploadId: 'u1',
+      offset: 4,
+      size: 12,
+      progress: 0.333,
+      status: 'uploading',
+      videoId: null
+    });
+  });
+});
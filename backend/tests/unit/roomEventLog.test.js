@@ -0,0 +1,117 @@
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { RoomEventLog } from '../../src/utils/roomEventLog.js';
+import { InMemoryRedisBroker } from '../fixtures/inMemoryRedis.js';
+
+const backends = [
+  ['in-process', () => null],
+  ['Redis', () => new InMemoryRedisBroker().createClient()]
+];
+
+describe.each(backends)('RoomEventLog (%s)', (name, createClient) => {
+  let log;
+
+  beforeEach(() => {
+    log = new RoomEventLog();
+    log.useRedis(createClient());
+  });
+
+  const recordMany = async (roomCode, count) => {
+    for (let i = 0; i < count; i++) {
+      await log.record(roomCode, 'chat:message', { message: `m${i}` });
+    }
+  };
+
+  test('should number events per room, ignoring code case', async () => {
+    const first = await log.record('abc123', 'play', { t: 1 });
+    const second = await log.record('ABC123', 'pause', { t: 2 });
+    const other = await log.record('ZZZ999', 'play', { t: 0 });
+
+    expect([first.seq, second.seq, other.seq]).toEqual([1, 2, 1]);
+    expect(await log.latestSeq('abc123')).toBe(2);
+  });
+
+  test('should replay only the events after the last seen sequence number', async () => {
+    await recordMany('ROOM01', 5);
+
+    const result = await log.since('ROOM01', 3);
+
+    expect(result.mode).toBe('replay');
+    expect(result.lastSeq).toBe(5);
+    expect(result.events.map(event => event.seq)).toEqual([4, 5]);
+    expect(result.events[0]).toMatchObject({ type: 'chat:message', payload: { message: 'm3' } });
+  });
+
+  test('should replay nothing to a client that is up to date', async () => {
+    await recordMany('ROOM01', 2);
+
+    expect(await log.since('ROOM01', 2)).toEqual({ mode: 'replay', events: [], lastSeq: 2 });
+  });
+
+  test('should ask for a snapshot once the gap is no longer in the log', async () => {
+    log.MAX_EVENTS = 3;
+    await recordMany('ROOM01', 6);
+
+    expect((await log.since('ROOM01', 2)).mode).toBe('snapshot');
+    expect((await log.since('ROOM01', 3)).events.map(event => event.seq)).toEqual([4, 5, 6]);
+  });
+
+  test('should ask for a snapshot when too much was missed', async () => {
+    log.MAX_REPLAY = 2;
+    await recordMany('ROOM01', 5);
+
+    expect((await log.since('ROOM01', 2)).mode).toBe('snapshot');
+    expect((await log.since('ROOM01', 3)).mode).toBe('replay');
+  });
+
+  test('should ask for a snapshot for unknown or future positions', async () => {
+    await recordMany('ROOM01', 2);
+
+    expect((await log.since('ROOM01', undefined)).mode).toBe('snapshot');
+    expect((await log.since('ROOM01', 9)).mode).toBe('snapshot');
+  });
+
+  test('should keep counting after a clear so stale clients resync', async () => {
+    await recordMany('ROOM01', 3);
+    await log.clear('ROOM01');
+    const next = await log.record('ROOM01', 'play', { t: 0 });
+
+    expect(next.seq).toBe(4);
+    expect((await log.since('ROOM01', 1)).mode).toBe('snapshot');
+    expect((await log.since('ROOM01', 3)).events.map(event => event.seq)).toEqual([4]);
+  });
+});
+
+describe('RoomEventLog across nodes', () => {
+  const broker = new InMemoryRedisBroker();
+  const nodeA = new RoomEventLog();
+  const nodeB = new RoomEventLog();
+  nodeA.useRedis(broker.createClient());
+  nodeB.useRedis(broker.createClient());
+
+  test('should replay entries in sequence order however they landed', async () => {
+    const redis = broker.createClient();
+    await nodeA.record('ROOM01', 'play', { t: 0 });
+    // Two nodes take seq 2 and 3, and the second one's push lands first
+    await redis.incr('room-events:ROOM01:seq');
+    await redis.incr('room-events:ROOM01:seq');
+    await redis.rPush('room-events:ROOM01:log', JSON.stringify({ seq: 3, type: 'pause', payload: {}, at: 0 }));
+
+    // Seq 2 is handed out but not stored yet: replaying now would skip it
+    expect((await nodeB.since('ROOM01', 1)).mode).toBe('snapshot');
+
+    await redis.rPush('room-events:ROOM01:log', JSON.stringify({ seq: 2, type: 'seek', payload: {}, at: 0 }));
+    const result = await nodeB.since('ROOM01', 1);
+    expect(result.mode).toBe('replay');
+    expect(result.events.map(event => event.seq)).toEqual([2, 3]);
+  });
+
+  test('should resync clients across a seq whose node died before storing it', async () => {
+    const redis = broker.createClient();
+    await nodeA.record('ROOM02', 'play', { t: 0 });
+    await redis.incr('room-events:ROOM02:seq');
+    await nodeB.record('ROOM02', 'pause', { t: 1 });
+
+    expect((await nodeA.since('ROOM02', 1)).mode).toBe('snapshot');
+    expect(await nodeA.since('ROOM02', 2)).toMatchObject({ mode: 'replay', lastSeq: 3 });
+  });
+});
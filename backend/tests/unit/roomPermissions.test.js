@@ -0,0 +1,113 @@
+import { describe, test, expect } from '@jest/globals';
+import roomPermissions, { RoomPermissionError } from '../../src/utils/roomPermissions.js';
+import { ROOM_ACTIONS } from '../../src/utils/constants.js';
+
+describe('RoomPermissions', () => {
+  const makeRoom = (allowControl = 'host') => ({
+    hostId: 'host',
+    moderators: ['mod'],
+    controllers: ['ctrl'],
+    settings: { allowControl },
+    participants: [
+      { userId: 'host' },
+      { userId: 'mod' },
+      { userId: 'ctrl' },
+      { userId: 'viewer' }
+    ]
+  });
+
+  describe('getRole', () => {
+    test('should resolve each role from the room lists', () => {
+      const room = makeRoom();
+
+      expect(roomPermissions.getRole(room, 'host')).toBe('host');
+      expect(roomPermissions.getRole(room, 'mod')).toBe('moderator');
+      expect(roomPermissions.getRole(room, 'ctrl')).toBe('controller');
+      expect(roomPermissions.getRole(room, 'viewer')).toBe('viewer');
+    });
+  });
+
+  describe('isMember', () => {
+    test('should count the host and everyone who joined', () => {
+      const room = makeRoom();
+
+      expect(roomPermissions.isMember(room, 'viewer')).toBe(true);
+      expect(roomPermissions.isMember({ ...room, participants: [] }, 'host')).toBe(true);
+      expect(roomPermissions.isMember(room, 'stranger')).toBe(false);
+      expect(roomPermissions.isMember(room, undefined)).toBe(false);
+    });
+  });
+
+  describe('can', () => {
+    test('should limit playback to host and controllers in host-only rooms', () => {
+      const room = makeRoom('host');
+
+      expect(roomPermissions.can(room, 'host', ROOM_ACTIONS.PLAYBACK)).toBe(true);
+      expect(roomPermissions.can(room, 'ctrl', ROOM_ACTIONS.PLAYBACK)).toBe(true);
+      expect(roomPermissions.can(room, 'mod', ROOM_ACTIONS.PLAYBACK)).toBe(false);
+      expect(roomPermissions.can(room, 'viewer', ROOM_ACTIONS.PLAYBACK)).toBe(false);
+    });
+
+    test('should let moderators drive playback when the policy allows it', () => {
+      const room = makeRoom('moderators');
+
+      expect(roomPermissions.can(room, 'mod', ROOM_ACTIONS.PLAYBACK)).toBe(true);
+      expect(roomPermissions.can(room, 'viewer', ROOM_ACTIONS.PLAYBACK)).toBe(false);
+    });
+
+    test('should let everyone drive playback in open rooms', () => {
+      expect(roomPermissions.can(makeRoom('all'), 'viewer', ROOM_ACTIONS.SET_VIDEO)).toBe(true);
+    });
+
+    test('should reserve moderator management for the host', () => {
+      const room = makeRoom();
+
+      expect(roomPermissions.can(room, 'mod', ROOM_ACTIONS.MANAGE_CONTROLLERS)).toBe(true);
+      expect(roomPermissions.can(room, 'mod', ROOM_ACTIONS.MANAGE_MODERATORS)).toBe(false);
+      expect(roomPermissions.can(room, 'host', ROOM_ACTIONS.MANAGE_MODERATORS)).toBe(true);
+    });
+  });
+
+  describe('assertCan', () => {
+    test('should throw a structured permission error', () => {
+      let error;
+      try {
+        roomPermissions.assertCan(makeRoom(), 'viewer', ROOM_ACTIONS.PLAYBACK);
+      } catch (err) {
+        error = err;
+      }
+
+      expect(error).toBeInstanceOf(RoomPermissionError);
+      expect(error.statusCode).toBe(403);
+      expect(error.toSocketPayload()).toMatchObject({ code: 'NO_PERMISSION', action: 'playback', role: 'viewer' });
+    });
+  });
+
+  describe('setRole', () => {
+    test('should let a moderator promote a viewer to controller', () => {
+      const room = makeRoom();
+      roomPermissions.setRole(room, 'mod', 'viewer', 'controller');
+
+      expect(room.controllers).toEqual(['ctrl', 'viewer']);
+      expect(room.participants.find(p => p.userId === 'viewer').canControl).toBe(true);
+    });
+
+    test('should not let a moderator demote another moderator', () => {
+      const room = { ...makeRoom(), moderators: ['mod', 'mod2'] };
+
+      expect(() => roomPermissions.setRole(room, 'mod', 'mod2', 'viewer')).toThrow(RoomPermissionError);
+    });
+
+    test('should move a member between lists when the host changes their role', () => {
+      const room = makeRoom();
+      roomPermissions.setRole(room, 'host', 'ctrl', 'moderator');
+
+      expect(room.moderators).toEqual(['mod', 'ctrl']);
+      expect(room.controllers).toEqual([]);
+    });
+
+    test('should never reassign the host', () => {
+      expect(() => roomPermissions.setRole(makeRoom(), 'host', 'host', 'viewer')).toThrow('host role');
+    });
+  });
+});
@@ -0,0 +1,162 @@
+import { describe, test, expect } from '@jest/globals';
+import roomQueue from '../../src/utils/roomQueue.js';
+import { RoomPermissionError } from '../../src/utils/roomPermissions.js';
+
+describe('RoomQueue', () => {
+  const now = 5_000_000;
+
+  const makeRoom = (overrides = {}) => ({
+    hostId: 'host',
+    moderators: [],
+    controllers: ['host'],
+    settings: { allowControl: 'host' },
+    participants: ['host', 'a', 'b', 'c'].map(userId => ({ userId, lastSeen: new Date(now) })),
+    currentState: { t: 0, paused: true, rate: 1, anchorAt: new Date(now), videoUrl: '' },
+    queue: [],
+    nowPlaying: null,
+    skipVotes: [],
+    ...overrides
+  });
+
+  const item = (id, extra = {}) => ({ id, videoUrl: `https://example.com/${id}.mp4`, title: id, addedBy: 'host', ...extra });
+
+  describe('add', () => {
+    test('should start the first item immediately when the room is idle', () => {
+      const room = makeRoom();
+      const { item: added, advanced } = roomQueue.add(room, 'host', { videoUrl: 'https://example.com/1.mp4' }, now);
+
+      expect(advanced).toBe(true);
+      expect(room.nowPlaying.id).toBe(added.id);
+      expect(room.queue).toHaveLength(0);
+      expect(room.currentState).toMatchObject({ videoUrl: 'https://example.com/1.mp4', t: 0, paused: false });
+    });
+
+    test('should append behind the current item', () => {
+      const room = makeRoom({ nowPlaying: item('x') });
+      const { advanced } = roomQueue.add(room, 'host', { videoUrl: 'https://example.com/2.mp4' }, now);
+
+      expect(advanced).toBe(false);
+      expect(room.queue).toHaveLength(1);
+    });
+
+    test('should reject viewers in host-controlled rooms', () => {
+      expect(() => roomQueue.add(makeRoom(), 'a', { videoUrl: 'https://example.com/1.mp4' })).toThrow(RoomPermissionError);
+    });
+
+    test('should require a video URL', () => {
+      expect(() => roomQueue.add(makeRoom(), 'host', {})).toThrow('videoUrl is required');
+    });
+  });
+
+  describe('remove and move', () => {
+    test('should let members remove items they added', () => {
+      const room = makeRoom({ queue: [item('1', { addedBy: 'a' }), item('2')] });
+      roomQueue.remove(room, 'a', '1');
+
+      expect(room.queue.map(i => i.id)).toEqual(['2']);
+      expect(() => roomQueue.remove(room, 'a', '2')).toThrow(RoomPermissionError);
+    });
+
+    test('should reorder items and clamp the target index', () => {
+      const room = makeRoom({ queue: [item('1'), item('2'), item('3')] });
+      roomQueue.move(room, 'host', '1', 10);
+
+      expect(room.queue.map(i => i.id)).toEqual(['2', '3', '1']);
+    });
+
+    test('should report unknown items as not found', () => {
+      expect(() => roomQueue.move(makeRoom(), 'host', 'missing', 0)).toThrow('Queue item not found');
+    });
+  });
+
+  describe('voteSkip', () => {
+    test('should advance once a strict majority of active members votes', () => {
+      const room = makeRoom({ nowPlaying: item('x'), queue: [item('y')] });
+
+      expect(roomQueue.voteSkip(room, 'a', now)).toEqual({ votes: 1, needed: 3, advanced: false });
+      expect(roomQueue.voteSkip(room, 'a', now).votes).toBe(1);
+      roomQueue.voteSkip(room, 'b', now);
+      const result = roomQueue.voteSkip(room, 'c', now);
+
+      expect(result.advanced).toBe(true);
+      expect(room.nowPlaying.id).toBe('y');
+      expect(room.skipVotes).toEqual([]);
+    });
+
+    test('should not count members who have gone quiet', () => {
+      const room = makeRoom({ nowPlaying: item('x') });
+      room.participants[2].lastSeen = new Date(now - 10 * 60 * 1000);
+      room.participants[3].lastSeen = new Date(now - 10 * 60 * 1000);
+
+      expect(roomQueue.votesNeeded(room, now)).toBe(2);
+    });
+
+    test('should only accept votes from room members', () => {
+      expect(() => roomQueue.voteSkip(makeRoom({ nowPlaying: item('x') }), 'stranger', now)).toThrow(RoomPermissionError);
+    });
+  });
+
+  describe('handleEnded', () => {
+    const playing = (startedAt) => ({ t: 0, paused: false, rate: 1, anchorAt: new Date(startedAt) });
+
+    test('should advance when the current item reaches its duration', () => {
+      const room = makeRoom({
+        nowPlaying: item('x', { duration: 60 }),
+        queue: [item('y')],
+        currentState: playing(now - 60_000)
+      });
+
+      expect(roomQueue.handleEnded(room, 'x', now)).toBe(true);
+      expect(room.currentState).toMatchObject({ videoUrl: 'https://example.com/y.mp4', t: 0, paused: false });
+      expect(room.currentState.anchorAt).toEqual(new Date(now));
+    });
+
+    test('should ignore stale and premature reports', () => {
+      const room = makeRoom({
+        nowPlaying: item('x', { duration: 60 }),
+        queue: [item('y')],
+        currentState: playing(now - 10_000)
+      });
+
+      expect(roomQueue.handleEnded(room, 'old', now)).toBe(false);
+      expect(roomQueue.handleEnded(room, 'x', now)).toBe(false);
+      expect(room.nowPlaying.id).toBe('x');
+    });
+
+    test('should ignore reports while nothing is playing', () => {
+      const room = makeRoom({ queue: [item('y')] });
+
+      expect(roomQueue.handleEnded(room, undefined, now)).toBe(false);
+      expect(roomQueue.handleEnded(room, 'y', now)).toBe(false);
+      expect(room.queue.map(queued => queued.id)).toEqual(['y']);
+      expect(room.nowPlaying).toBeNull();
+    });
+
+    test('should pause at the end of the queue', () => {
+      const room = makeRoom({ nowPlaying: item('x'), currentState: playing(now - 5_000) });
+      roomQueue.handleEnded(room, 'x', now);
+
+      expect(room.nowPlaying).toBeNull();
+      expect(room.currentState).toMatchObject({ t: 5, paused: true });
+    });
+  });
+
+  describe('runExclusive', () => {
+    test('should run tasks for the same room one at a time', async () => {
+      const order = [];
+      const slow = roomQueue.runExclusive('abc', async () => {
+        await new Promise(resolve => setTimeout(resolve, 20));
+        order.push('first');
+      });
+      const fast = roomQueue.runExclusive('ABC', async () => order.push('second'));
+
+      await Promise.all([slow, fast]);
+      expect(order).toEqual(['first', 'second']);
+    });
+
+    test('should keep the chain going after a failed task', async () => {
+      await expect(roomQueue.runExclusive('xyz', async () => { throw new Error('boom'); })).rejects.toThrow('boom');
+      await expect(roomQueue.runExclusive('xyz', async () => 'ok')).resolves.toBe('ok');
+    });
+  });
+});
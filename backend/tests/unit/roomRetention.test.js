@@ -0,0 +1,108 @@
+import { describe, test, expect } from '@jest/globals';
+import roomRetention from '../../src/utils/roomRetention.js';
+import { RoomPermissionError } from '../../src/utils/roomPermissions.js';
+
+describe('RoomRetention', () => {
+  const now = 10 * 24 * 60 * 60 * 1000;
+  const DAY_MS = 24 * 60 * 60 * 1000;
+
+  const makeRoom = (overrides = {}) => ({
+    hostId: 'host',
+    controllers: ['host'],
+    status: 'active',
+    persistent: false,
+    expiresAt: new Date(now + 1000),
+    retention: { policy: 'inactivity', inactiveDays: 30 },
+    participants: [{ userId: 'host', lastSeen: new Date(now) }],
+    currentState: { t: 100, paused: false, rate: 1, anchorAt: new Date(now - 20_000) },
+    lastActiveAt: new Date(now),
+    ...overrides
+  });
+
+  describe('configure', () => {
+    test('should drop the TTL deadline when a room becomes persistent', () => {
+      const room = makeRoom({ video: { isTemporary: true, expiresAt: new Date(now) } });
+      const summary = roomRetention.configure(room, 'host', { persistent: true, retention: { inactiveDays: 7 } }, now);
+
+      expect(room.expiresAt).toBeUndefined();
+      expect(room.video).toEqual({ isTemporary: false, expiresAt: undefined });
+      expect(summary.retention).toEqual({ policy: 'inactivity', inactiveDays: 7 });
+    });
+
+    test('should restore a temporary deadline when persistence is turned off', () => {
+      const room = makeRoom({ persistent: true, expiresAt: undefined, status: 'dormant' });
+      roomRetention.configure(room, 'host', { persistent: false }, now);
+
+      expect(room.expiresAt).toEqual(new Date(now + roomRetention.TEMPORARY_ROOM_TTL_MS));
+      expect(room.status).toBe('active');
+    });
+
+    test('should only let the host configure retention', () => {
+      expect(() => roomRetention.configure(makeRoom(), 'host_friend', { persistent: true })).toThrow(RoomPermissionError);
+    });
+
+    test('should validate the policy and day range', () => {
+      expect(() => roomRetention.configure(makeRoom(), 'host', { retention: { policy: 'sometimes' } })).toThrow('Retention policy');
+      expect(() => roomRetention.configure(makeRoom(), 'host', { retention: { inactiveDays: 0 } })).toThrow('inactiveDays');
+    });
+  });
+
+  describe('markDormant and wake', () => {
+    test('should freeze the playback position when a persistent room empties', () => {
+      const room = makeRoom({ persistent: true });
+
+      expect(roomRetention.markDormant(room, now)).toBe(true);
+      expect(room.status).toBe('dormant');
+      expect(room.participants).toEqual([]);
+      expect(room.currentState).toMatchObject({ t: 120, paused: true, anchorAt: new Date(now) });
+    });
+
+    test('should leave temporary rooms alone', () => {
+      const room = makeRoom();
+
+      expect(roomRetention.markDormant(room, now)).toBe(false);
+      expect(room.status).toBe('active');
+    });
+
+    test('should wake a dormant room and record the activity', () => {
+      const room = makeRoom({ persistent: true, status: 'dormant', dormantSince: new Date(now - DAY_MS) });
+
+      expect(roomRetention.wake(room, now + 5)).toBe(true);
+      expect(room.status).toBe('active');
+      expect(room.dormantSince).toBeUndefined();
+      expect(room.lastActiveAt).toEqual(new Date(now + 5));
+    });
+  });
+
+  describe('retention', () => {
+    test('should purge dormant rooms once the inactivity window passes', () => {
+      const room = makeRoom({ persistent: true, status: 'dormant', lastActiveAt: new Date(now - 31 * DAY_MS) });
+
+      expect(roomRetention.isExpired(room, now)).toBe(true);
+      expect(roomRetention.isExpired({ ...room, lastActiveAt: new Date(now - 29 * DAY_MS) }, now)).toBe(false);
+    });
+
+    test('should keep rooms with the forever policy', () => {
+      const room = makeRoom({
+        persistent: true,
+        status: 'dormant',
+        retention: { policy: 'forever' },
+        lastActiveAt: new Date(0)
+      });
+
+      expect(roomRetention.purgeAt(room)).toBeNull();
+      expect(roomRetention.isExpired(room, now)).toBe(false);
+    });
+
+    test('should flag active persistent rooms nobody has been seen in', () => {
+      const stale = makeRoom({
+        persistent: true,
+        lastActiveAt: new Date(now - 2 * 60 * 60 * 1000),
+        participants: [{ userId: 'host', lastSeen: new Date(now - 2 * 60 * 60 * 1000) }]
+      });
+
+      expect(roomRetention.isStale(stale, now)).toBe(true);
+      expect(roomRetention.isStale(makeRoom({ persistent: true }), now)).toBe(false);
+    });
+  });
+});
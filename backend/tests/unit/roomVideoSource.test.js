@@ -0,0 +1,84 @@
+import { describe, test, expect } from '@jest/globals';
+import roomVideoSource, { LocalFileError } from '../../src/utils/roomVideoSource.js';
+import { RoomPermissionError } from '../../src/utils/roomPermissions.js';
+import { ValidationError } from '../../src/middleware/errorHandler.js';
+
+describe('RoomVideoSource', () => {
+  const now = 5_000_000;
+  const hash = 'a'.repeat(64);
+  const otherHash = 'b'.repeat(64);
+
+  const makeRoom = (overrides = {}) => ({
+    hostId: 'host',
+    moderators: [],
+    controllers: ['host'],
+    settings: { allowControl: 'host' },
+    participants: ['host', 'a', 'b'].map(userId => ({ userId, lastSeen: new Date(now) })),
+    currentState: { t: 42, paused: false, rate: 1, anchorAt: new Date(now - 1000), videoUrl: 'https://example.com/1.mp4' },
+    ...overrides
+  });
+
+  test('useStream should pick the library video out of its stream URL', () => {
+    const room = makeRoom();
+    roomVideoSource.useStream(room, '/api/videos/0123456789abcdef01234567/hls/master.m3u8');
+
+    expect(room.currentState).toMatchObject({
+      source: 'stream',
+      videoId: '0123456789abcdef01234567',
+      videoHash: null,
+      t: 42
+    });
+  });
+
+  test('useLocalFile should restart the clock paused and verify the user who set it', () => {
+    const room = makeRoom();
+    roomVideoSource.useLocalFile(room, 'host', { hash, size: 1000, name: 'movie.mkv' }, now);
+
+    expect(room.currentState).toMatchObject({
+      source: 'local',
+      videoHash: hash,
+      videoSize: 1000,
+      videoName: 'movie.mkv',
+      videoUrl: '',
+      t: 0,
+      paused: true
+    });
+    expect(roomVideoSource.isVerified(room, 'host')).toBe(true);
+    expect(roomVideoSource.isVerified(room, 'a')).toBe(false);
+    expect(roomVideoSource.describe(room).verifiedParticipants).toEqual(['host']);
+  });
+
+  test('useLocalFile should need permission to set the video and a content hash', () => {
+    expect(() => roomVideoSource.useLocalFile(makeRoom(), 'a', { hash }, now)).toThrow(RoomPermissionError);
+    expect(() => roomVideoSource.useLocalFile(makeRoom(), 'host', { hash: 'abc' }, now)).toThrow(ValidationError);
+  });
+
+  test('verify should only let matching files sync', () => {
+    const room = makeRoom();
+    roomVideoSource.useLocalFile(room, 'host', { hash, size: 1000 }, now);
+
+    expect(roomVideoSource.verify(room, 'a', { hash, size: 1000 })).toEqual({ verified: true, reason: null });
+    expect(roomVideoSource.verify(room, 'b', { hash, size: 999 })).toEqual({ verified: false, reason: 'size-mismatch' });
+    expect(roomVideoSource.verify(room, 'b', { hash: otherHash })).toEqual({ verified: false, reason: 'hash-mismatch' });
+    expect(() => roomVideoSource.assertVerified(room, 'b')).toThrow(LocalFileError);
+    expect(() => roomVideoSource.assertVerified(room, 'a')).not.toThrow();
+  });
+
+  test('a new file should invalidate earlier matches', () => {
+    const room = makeRoom();
+    roomVideoSource.useLocalFile(room, 'host', { hash }, now);
+    roomVideoSource.verify(room, 'a', { hash });
+    roomVideoSource.useLocalFile(room, 'host', { hash: otherHash }, now);
+
+    expect(roomVideoSource.isVerified(room, 'a')).toBe(false);
+    expect(roomVideoSource.isVerified(room, 'host')).toBe(true);
+  });
+
+  test('streaming rooms should not need verification', () => {
+    const room = makeRoom();
+
+    expect(roomVideoSource.isVerified(room, 'a')).toBe(true);
+    expect(() => roomVideoSource.verify(room, 'a', { hash })).toThrow(ValidationError);
+    expect(new LocalFileError().toSocketPayload()).toMatchObject({ code: 'FILE_NOT_VERIFIED' });
+  });
+});
@@ -0,0 +1,121 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  stem,
+  searchTerms,
+  bm25Scores,
+  vectorCosine,
+  rankByScore,
+  fuseRankings,
+  matchRanges
+} from '../../src/utils/searchRanking.js';
+import { SearchService } from '../../src/services/searchService.js';
+
+const documents = [
+  { type: 'transcript', id: 't1', text: 'Welcome back to the harbour, everyone.', timestamp: 1 },
+  { type: 'subtitle', id: 's1', text: 'Storm warning for the northern coast', timestamp: 4 },
+  { type: 'note', id: 'n1', text: 'The storms here look fake, check the VFX credits', timestamp: 30 },
+  { type: 'chat', id: 'c1', text: 'lol the boat scene again', timestamp: 62 },
+  { type: 'transcript', id: 't2', text: 'Bring the nets up before the rain starts.', timestamp: 90 }
+];
+
+// Embeds texts as counts of a few topic words, so "weather" lands near storms and rain
+const TOPICS = [['storm', 'rain', 'weather', 'wind'], ['boat', 'harbour', 'nets', 'ship'], ['welcome', 'hello']];
+const fakeEmbedder = (calls = []) => ({
+  canEmbed: () => true,
+  embedTexts: async (texts, options = {}) => {
+    calls.push({ texts, provider: options.provider });
+    return {
+      provider: 'fake',
+      vectors: texts.map(text => TOPICS.map(words => words.filter(word => text.toLowerCase().includes(word)).length))
+    };
+  }
+});
+
+describe('Search ranking', () => {
+  test('stem should merge plural and verb forms without mangling short words', () => {
+    expect(['storms', 'stormed', 'storming', 'storm'].map(stem)).toEqual(['storm', 'storm', 'storm', 'storm']);
+    expect(['notes', 'note', 'class', 'bus'].map(stem)).toEqual(['note', 'note', 'class', 'bus']);
+  });
+
+  test('searchTerms should drop stop words from queries only when others remain', () => {
+    expect(searchTerms('where is the storm', { query: true })).toEqual(['storm']);
+    expect(searchTerms('to be', { query: true })).toEqual(['to', 'be']);
+    expect(searchTerms('The storm')).toEqual(['the', 'storm']);
+  });
+
+  test('bm25Scores should favour rarer terms and shorter documents', () => {
+    const docs = [['storm', 'coast'], ['storm', 'coast', 'coast', 'the', 'the', 'the', 'the', 'the'], ['coast']];
+    const scores = bm25Scores(docs, ['storm', 'coast']);
+
+    expect(scores[0]).toBeGreaterThan(scores[1]);
+    expect(scores[0]).toBeGreaterThan(scores[2]);
+    expect(bm25Scores(docs, ['harbour'])).toEqual([0, 0, 0]);
+  });
+
+  test('rankByScore and fuseRankings should combine rankings', () => {
+    expect(rankByScore([0.1, 0, 0.5, 0.3])).toEqual([2, 3, 0]);
+
+    const fused = fuseRankings([[0, 1, 2], [2, 0]]);
+    expect([...fused.entries()].sort((a, b) => b[1] - a[1]).map(([index]) => index)).toEqual([0, 2, 1]);
+  });
+
+  test('vectorCosine and matchRanges should handle the basics', () => {
+    expect(vectorCosine([1, 0], [1, 0])).toBe(1);
+    expect(vectorCosine([1, 0], [0, 1])).toBe(0);
+    expect(vectorCosine([0, 0], [1, 1])).toBe(0);
+    expect(matchRanges('Storms hit the coast', ['storm', 'coast'])).toEqual([[0, 6], [15, 20]]);
+  });
+});
+
+describe('SearchService ranking', () => {
+  test('BM25 mode should return timestamped hits with highlights', async () => {
+    const service = new SearchService({ embedder: fakeEmbedder() });
+    const { mode, results } = await service.rank(documents, 'storm', { mode: 'bm25' });
+
+    expect(mode).toBe('bm25');
+    expect(results.map(hit => hit.id)).toEqual(['s1', 'n1']);
+    expect(results[0]).toMatchObject({ type: 'subtitle', timestamp: 4, highlights: [[0, 5]] });
+  });
+
+  test('semantic mode should find paraphrases BM25 misses', async () => {
+    const service = new SearchService({ embedder: fakeEmbedder() });
+
+    const lexical = await service.rank(documents, 'weather', { mode: 'bm25' });
+    expect(lexical.results).toEqual([]);
+
+    const { mode, provider, results } = await service.rank(documents, 'weather', { mode: 'auto' });
+    expect(mode).toBe('semantic');
+    expect(provider).toBe('fake');
+    expect(results.map(hit => hit.id)).toEqual(expect.arrayContaining(['s1', 'n1', 't2']));
+    expect(results.map(hit => hit.id)).not.toContain('c1');
+  });
+
+  test('document vectors should be cached per provider', async () => {
+    const calls = [];
+    const service = new SearchService({ embedder: fakeEmbedder(calls) });
+
+    await service.rank(documents, 'storm', { mode: 'semantic' });
+    await service.rank(documents, 'boat', { mode: 'semantic' });
+
+    // Two query embeddings, and the documents only once
+    expect(calls.map(call => call.texts.length)).toEqual([1, documents.length, 1]);
+    expect(calls[1].provider).toBe('fake');
+  });
+
+  test('auto mode should fall back to BM25 when embedding fails', async () => {
+    const service = new SearchService({
+      embedder: { canEmbed: () => true, embedTexts: async () => { throw new Error('quota exceeded'); } }
+    });
+
+    const { mode, results } = await service.rank(documents, 'nets', { mode: 'auto' });
+    expect(mode).toBe('bm25');
+    expect(results.map(hit => hit.id)).toEqual(['t2']);
+    await expect(service.rank(documents, 'nets', { mode: 'semantic' })).rejects.toThrow('quota exceeded');
+  });
+
+  test('semantic mode should be refused without an embedding provider', async () => {
+    const service = new SearchService({ embedder: { canEmbed: () => false } });
+    await expect(service.rank(documents, 'storm', { mode: 'semantic' })).rejects.toThrow('mode=bm25');
+    expect((await service.rank(documents, 'storm')).mode).toBe('bm25');
+  });
+});
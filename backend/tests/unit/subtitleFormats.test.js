@@ -0,0 +1,188 @@
+import { describe, test, expect } from '@jest/globals';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  detectFormat,
+  parseSubtitles,
+  serializeSubtitles,
+  convertSubtitles
+} from '../../src/utils/subtitleFormats/index.js';
+import { parseAssColor, toAssColor, parseCssColor } from '../../src/utils/subtitleFormats/common.js';
+import { parseTimeExpression } from '../../src/utils/subtitleFormats/ttml.js';
+
+const fixtures = path.join(path.dirname(fileURLToPath(import.meta.url)), '../fixtures/subtitles');
+const SOURCES = ['srt', 'vtt', 'ass', 'ssa', 'ttml', 'sbv'];
+const TARGETS = ['srt', 'vtt', 'ass', 'ssa', 'ttml', 'sbv', 'json'];
+
+const input = (format) => fs.readFileSync(path.join(fixtures, 'input', `sample.${format}`), 'utf8');
+
+// Run with UPDATE_GOLDEN=1 to rewrite the expected outputs after a deliberate change
+const golden = (name, actual) => {
+  const file = path.join(fixtures, 'golden', name);
+  if (process.env.UPDATE_GOLDEN) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(file, actual);
+  }
+  return fs.readFileSync(file, 'utf8');
+};
+
+const plain = (track) => track.cues.map(({ startTime, endTime, text }) => ({ startTime, endTime, text }));
+
+describe('Subtitle format conversion matrix', () => {
+  for (const from of SOURCES) {
+    for (const to of TARGETS) {
+      test(`${from} -> ${to} should match the golden file`, () => {
+        const output = convertSubtitles(input(from), from, to);
+        expect(output).toBe(golden(`sample.${from}.${to}`, output));
+      });
+    }
+  }
+});
+
+describe('Subtitle format round trips', () => {
+  test.each(SOURCES)('detectFormat should recognise %s', (format) => {
+    expect(detectFormat(input(format))).toBe(format);
+  });
+
+  test.each(SOURCES)('%s should survive a round trip through itself unchanged', (format) => {
+    const once = convertSubtitles(input(format), format, format);
+    expect(convertSubtitles(once, format, format)).toBe(once);
+  });
+
+  test.each(['vtt', 'ass', 'ttml'])('styling and placement should survive %s -> json -> %s', (format) => {
+    const { format: detected, ...track } = parseSubtitles(input(format));
+    const restored = parseSubtitles(serializeSubtitles(track, 'json'), 'json');
+
+    expect(detected).toBe(format);
+    expect(serializeSubtitles(restored, format)).toBe(serializeSubtitles(track, format));
+  });
+
+  test('all sources should agree on timing and text', () => {
+    const reference = plain(parseSubtitles(input('srt'), 'srt'));
+    for (const format of ['vtt', 'ass', 'ssa', 'sbv']) {
+      const cues = plain(parseSubtitles(input(format), format));
+      expect(cues.map(cue => [cue.startTime, cue.endTime])).toEqual(reference.map(cue => [cue.startTime, cue.endTime]));
+      expect(cues[1].text).toBe(reference[1].text);
+    }
+  });
+});
+
+describe('Subtitle styling', () => {
+  test('WebVTT classes from STYLE blocks should become run formatting', () => {
+    const track = parseSubtitles(input('vtt'), 'vtt');
+
+    expect(track.cues[0].speaker).toBe('Mara');
+    expect(track.cues[1].runs).toContainEqual({ text: 'northern', bold: true, color: '#ff8800' });
+    expect(track.cues[2].layout).toEqual({ x: 10, y: 80, anchor: 7 });
+  });
+
+  test('ASS override tags should be read relative to the event style', () => {
+    const track = parseSubtitles(input('ass'), 'ass');
+
+    // Sign is bold yellow, so only departures from it are recorded
+    expect(track.cues[1].style).toBe('Sign');
+    expect(track.cues[1].runs).toContainEqual({ text: 'for the ', bold: false });
+    expect(track.cues[1].runs).toContainEqual({ text: 'northern', color: '#ff8800' });
+    expect(track.cues[2].layout).toEqual({ anchor: 7, x: 10, y: 80 });
+    expect(track.cues[2].text).toBe('Everyone inside now!');
+  });
+
+  test('ASS events should keep tags with no equivalent while unedited', () => {
+    const track = parseSubtitles(input('ass'), 'ass');
+    expect(serializeSubtitles(track, 'ass')).toContain('{\\an7\\pos(192,864)\\fad(200,200)}');
+
+    track.cues[2] = { ...track.cues[2], text: 'Everyone out!', runs: undefined };
+    const edited = serializeSubtitles(track, 'ass');
+    expect(edited).not.toContain('\\fad');
+    expect(edited).toContain('{\\an7\\pos(192,864)}Everyone out!');
+  });
+
+  test('SSA alignments should map onto numpad anchors', () => {
+    const track = parseSubtitles(input('ssa'), 'ssa');
+
+    expect(track.styles.Sign.anchor).toBe(8);
+    expect(track.cues[2].layout.anchor).toBe(4);
+    expect(serializeSubtitles(track, 'ssa')).toContain('{\\a9}Everyone');
+  });
+
+  test('TTML should resolve chained styles, agents, regions and frame times', () => {
+    const track = parseSubtitles(input('ttml'), 'ttml');
+
+    expect(track.styles.sign).toEqual({ color: '#ffff00', bold: true, fontName: 'proportionalSansSerif' });
+    expect(track.cues[0]).toMatchObject({ id: 'intro', speaker: 'Mara', startTime: 1, endTime: 3.5 });
+    expect(track.cues[1]).toMatchObject({ style: 'sign', endTime: 6.24, layout: { anchor: 8, region: 'top' } });
+    expect(track.cues[2].layout).toEqual({ x: 10, y: 80, anchor: 1, region: 'lowerLeft' });
+  });
+
+  test('TTML text should collapse source whitespace but keep line breaks', () => {
+    const track = parseSubtitles(input('ttml'), 'ttml');
+
+    expect(track.cues[0].text).toBe('Welcome back to the harbour.');
+    expect(track.cues[1].text).toBe('Storm warning\nfor the northern coast');
+  });
+
+  test('parseTimeExpression should read clock, frame and tick times', () => {
+    const timing = { frameRate: 25, subFrameRate: 1, tickRate: 10000000 };
+
+    expect(parseTimeExpression('00:01:02.5', timing)).toBe(62.5);
+    expect(parseTimeExpression('00:00:01:05', timing)).toBe(1.2);
+    expect(parseTimeExpression('1.5s', timing)).toBe(1.5);
+    expect(parseTimeExpression('250ms', timing)).toBe(0.25);
+    expect(parseTimeExpression('50f', timing)).toBe(2);
+    expect(parseTimeExpression('70000000t', timing)).toBe(7);
+    expect(parseTimeExpression('soon', timing)).toBeUndefined();
+  });
+
+  test('colors should convert between CSS and ASS notation', () => {
+    expect(parseAssColor('&H0088FF&')).toBe('#ff8800');
+    expect(parseAssColor('&H80000000')).toBe('#0000007f');
+    expect(parseAssColor('65535')).toBe('#ffff00');
+    expect(toAssColor('#ff8800')).toBe('&H000088FF');
+    expect(toAssColor('#ff8800', { override: true })).toBe('&H0088FF&');
+    expect(parseCssColor('rgba(255, 0, 0, 0.5)')).toBe('#ff000080');
+    expect(parseCssColor('#0f0')).toBe('#00ff00');
+  });
+});
+
+describe('Subtitle parsing edge cases', () => {
+  test('SRT should accept CRLF line endings, a BOM and missing indexes', () => {
+    const track = parseSubtitles('﻿00:00:01,000 --> 00:00:02,000\r\nHello\r\n\r\n2\r\n00:00:03,000 --> 00:00:04,000\r\nWorld\r\n', 'auto');
+
+    expect(track.format).toBe('srt');
+    expect(plain(track)).toEqual([
+      { startTime: 1, endTime: 2, text: 'Hello' },
+      { startTime: 3, endTime: 4, text: 'World' }
+    ]);
+  });
+
+  test('JSON should accept a bare array of cues', () => {
+    const track = parseSubtitles('[{"startTime":1,"endTime":2,"text":"Hi"}]', 'auto');
+
+    expect(track.format).toBe('json');
+    expect(plain(track)).toEqual([{ startTime: 1, endTime: 2, text: 'Hi' }]);
+  });
+
+  test('DFXP documents should be detected and read as TTML', () => {
+    const dfxp = '<?xml version="1.0"?><tt xmlns="http://www.w3.org/2006/10/ttaf1"><body><div>'
+      + '<p begin="1s" end="2s">Legacy</p></div></body></tt>';
+    const track = parseSubtitles(dfxp, 'auto');
+
+    expect(track.format).toBe('dfxp');
+    expect(plain(track)).toEqual([{ startTime: 1, endTime: 2, text: 'Legacy' }]);
+  });
+
+  test('ASS drawings should not become text', () => {
+    const ass = '[Events]\nFormat: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text\n'
+      + 'Dialogue: 0,0:00:01.00,0:00:02.00,Default,,0,0,0,,{\\p1}m 0 0 l 100 0 100 100{\\p0}Sign';
+    const track = parseSubtitles(ass, 'ass');
+
+    expect(track.cues[0].text).toBe('Sign');
+  });
+
+  test('unknown input should be rejected', () => {
+    expect(detectFormat('just some words')).toBeNull();
+    expect(() => parseSubtitles('just some words')).toThrow('Unrecognised subtitle format');
+    expect(() => serializeSubtitles({ cues: [] }, 'docx')).toThrow('Unsupported subtitle format: docx');
+  });
+});
@@ -0,0 +1,146 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  shiftCues,
+  stretchCues,
+  convertFrameRate,
+  matchTokens,
+  alignCues,
+  diffCues
+} from '../../src/utils/subtitleTiming.js';
+
+const LINES = [
+  'Welcome back to the harbour.',
+  'Storm warning for the northern coast.',
+  'Everyone inside now, the boats can wait.',
+  'Did anyone see where Tomas went?',
+  'He took the small dinghy out at dawn.',
+  'Then we need to radio the lighthouse.',
+  'I will try channel sixteen first.',
+  'Keep the lanterns lit until he is back.',
+  'The wind is turning from the east again.',
+  'Bring the nets up before the rain starts.',
+  'Somebody fetch blankets from the chapel.',
+  'There, a light past the breakwater!'
+];
+
+// Words spoken at a steady pace, one line every four seconds
+const transcript = () => {
+  const segments = [];
+  const wordTimestamps = [];
+  LINES.forEach((text, line) => {
+    const start = 2 + line * 4;
+    const words = text.split(' ');
+    segments.push({ start, end: start + 3, text });
+    words.forEach((word, k) => {
+      const wordStart = start + (k * 3) / words.length;
+      wordTimestamps.push({ word, start: wordStart, end: wordStart + 0.25 });
+    });
+  });
+  return { segments, wordTimestamps };
+};
+
+// The same lines timed with `map` applied to the true times
+const cuesFor = (map) => LINES.map((text, line) => ({
+  startTime: Math.round(map(2 + line * 4) * 1000) / 1000,
+  endTime: Math.round(map(5 + line * 4) * 1000) / 1000,
+  text
+}));
+
+const maxError = (cues) => Math.max(...cues.map((cue, line) => Math.abs(cue.startTime - (2 + line * 4))));
+
+describe('Subtitle timing operations', () => {
+  const cues = [
+    { startTime: 1, endTime: 2, text: 'One', style: 'Sign' },
+    { startTime: 3, endTime: 4.5, text: 'Two' },
+    { startTime: 10, endTime: 12, text: 'Three' }
+  ];
+
+  test('shiftCues should move cues and drop those pushed before zero', () => {
+    expect(shiftCues(cues, 0.5).map(cue => [cue.startTime, cue.endTime])).toEqual([[1.5, 2.5], [3.5, 5], [10.5, 12.5]]);
+
+    const earlier = shiftCues(cues, -2.5);
+    expect(earlier.map(cue => [cue.text, cue.startTime, cue.endTime])).toEqual([['Two', 0.5, 2], ['Three', 7.5, 9.5]]);
+  });
+
+  test('shiftCues should clamp a cue straddling zero and keep other fields', () => {
+    const shifted = shiftCues(cues, -1.5);
+    expect(shifted[0]).toEqual({ startTime: 0, endTime: 0.5, text: 'One', style: 'Sign' });
+  });
+
+  test('stretchCues should map two anchors onto two targets', () => {
+    const stretched = stretchCues(cues, { from: [1, 10], to: [2, 20] });
+    expect(stretched.map(cue => cue.startTime)).toEqual([2, 6, 20]);
+    expect(stretched[2].endTime).toBe(24);
+  });
+
+  test('convertFrameRate should use exact NTSC rates', () => {
+    const pal = convertFrameRate([{ startTime: 0, endTime: 3600, text: 'Hour' }], { from: 23.976, to: 25 });
+    expect(pal[0].endTime).toBeCloseTo(3600 * (24000 / 1001) / 25, 3);
+
+    const back = convertFrameRate(pal, { from: 25, to: 23.976 });
+    expect(back[0].endTime).toBeCloseTo(3600, 1);
+  });
+
+  test('matchTokens should ignore labels, sound cues, case and accents', () => {
+    expect(matchTokens('[MARA] Café (door slams) — it\'s OPEN!')).toEqual(['cafe', 'it\'s', 'open']);
+  });
+});
+
+describe('Subtitle alignment to a transcript', () => {
+  test('should remove a constant offset', () => {
+    const { cues, alignment } = alignCues(cuesFor(time => time + 2.7), transcript());
+
+    expect(alignment).toMatchObject({ aligned: true, mode: 'linear' });
+    expect(alignment.offset).toBeCloseTo(-2.7, 1);
+    expect(maxError(cues)).toBeLessThan(0.2);
+  });
+
+  test('should correct frame rate drift together with an offset', () => {
+    const drifted = cuesFor(time => time * (25 / (24000 / 1001)) + 1.2);
+    expect(maxError(drifted)).toBeGreaterThan(2);
+
+    const { cues, alignment } = alignCues(drifted, transcript());
+    expect(alignment.scale).toBeCloseTo(24000 / 1001 / 25, 2);
+    expect(maxError(cues)).toBeLessThan(0.2);
+  });
+
+  test('piecewise mode should follow a jump partway through', () => {
+    // An advert break cut from the subtitle source: later cues run 3s early
+    const jumped = cuesFor(time => (time >= 26 ? time - 3 : time));
+
+    const linear = alignCues(jumped, transcript());
+    const piecewise = alignCues(jumped, transcript(), { mode: 'piecewise' });
+    expect(maxError(piecewise.cues)).toBeLessThan(0.2);
+    expect(maxError(piecewise.cues)).toBeLessThan(maxError(linear.cues));
+  });
+
+  test('should refuse when the texts do not match', () => {
+    const unrelated = [{ startTime: 1, endTime: 2, text: 'Completely different words here' }];
+    const { cues, alignment } = alignCues(unrelated, transcript());
+
+    expect(alignment.aligned).toBe(false);
+    expect(cues).toBe(unrelated);
+  });
+});
+
+describe('diffCues', () => {
+  const before = [
+    { startTime: 1, endTime: 2, text: 'One' },
+    { startTime: 3, endTime: 4, text: 'Two' },
+    { startTime: 5, endTime: 6, text: 'Three' }
+  ];
+
+  test('should report per-cue changes and shift statistics', () => {
+    const after = [before[0], { ...before[1], startTime: 3.5, endTime: 4.5 }, { ...before[2], startTime: 4, endTime: 5 }];
+    const diff = diffCues(before, after);
+
+    expect(diff).toMatchObject({ changed: 2, unchanged: 1, removed: 0, added: 0, maxShift: -1, meanShift: -0.25 });
+    expect(diff.cues[0]).toEqual({ index: 1, text: 'Two', startTime: [3, 3.5], endTime: [4, 4.5] });
+  });
+
+  test('should count dropped and restored cues', () => {
+    const shifted = shiftCues(before, -2.5);
+    expect(diffCues(before, shifted)).toMatchObject({ removed: 1, changed: 2 });
+    expect(diffCues(shifted, before)).toMatchObject({ added: 1, changed: 2 });
+  });
+});
@@ -0,0 +1,241 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  resolveSettings,
+  speakerName,
+  timedWords,
+  wrapLines,
+  buildSubtitleCues,
+  splitCueText,
+  joinCueText
+} from '../../src/utils/subtitleUtils.js';
+import { normalizeTranscription } from '../../src/utils/sttBackends.js';
+import { buildTranslationPrompt, parseTranslationResponse } from '../../src/utils/aiProviders/prompts.js';
+import { AIProviderRegistry } from '../../src/utils/aiProviders/registry.js';
+import { AIUtils } from '../../src/utils/aiUtils.js';
+import { SubtitleGenerator } from '../../src/services/subtitleService.js';
+
+const texts = (track) => track.cues.map(cue => cue.text);
+
+describe('Subtitle generation', () => {
+  test('resolveSettings should clamp values and ignore unknown label styles', () => {
+    const settings = resolveSettings({ maxLineLength: 500, maxCharsPerSecond: 'fast', speakerLabels: 'emoji' });
+
+    expect(settings.maxLineLength).toBe(80);
+    expect(settings.maxCharsPerSecond).toBe(17);
+    expect(settings.speakerLabels).toBe('names');
+  });
+
+  test('speakerName should prefer given names and number engine labels', () => {
+    expect(speakerName('SPEAKER_00')).toBe('Speaker 1');
+    expect(speakerName('SPEAKER_01', { SPEAKER_01: 'Ada' })).toBe('Ada');
+    expect(speakerName(null)).toBeNull();
+  });
+
+  describe('timedWords', () => {
+    test('should use word timestamps that line up with the segment text', () => {
+      const words = timedWords({
+        segments: [{ start: 0, end: 2, text: 'Hello, world.' }],
+        wordTimestamps: [{ word: 'Hello', start: 0.1, end: 0.6 }, { word: 'world', start: 0.9, end: 1.5 }]
+      });
+
+      expect(words.map(word => [word.text, word.start, word.end])).toEqual([
+        ['Hello,', 0.1, 0.6],
+        ['world.', 0.9, 1.5]
+      ]);
+    });
+
+    test('should spread segment time over words otherwise', () => {
+      const words = timedWords({ segments: [{ start: 10, end: 14, text: 'abc abc', speaker: 'A' }] });
+
+      expect(words.map(word => [word.start, word.end, word.speaker])).toEqual([[10, 12, 'A'], [12, 14, 'A']]);
+    });
+  });
+
+  test('wrapLines should balance two lines', () => {
+    expect(wrapLines('short', 42)).toEqual(['short']);
+    expect(wrapLines('It changed everything, really, from religion to science', 42)).toEqual([
+      'It changed everything, really,',
+      'from religion to science'
+    ]);
+  });
+
+  test('should keep cues within the line limits', () => {
+    const track = buildSubtitleCues({
+      segments: [{
+        start: 0,
+        end: 12,
+        text: 'Today we are talking about the history of the printing press and why it mattered to so many people across the whole of Europe.'
+      }]
+    });
+
+    for (const cue of track.cues) {
+      const lines = cue.text.split('\n');
+      expect(lines.length).toBeLessThanOrEqual(2);
+      lines.forEach(line => expect(line.length).toBeLessThanOrEqual(42));
+    }
+    expect(track.cues.map(cue => cue.text.replace('\n', ' ')).join(' ')).toContain('printing press');
+  });
+
+  test('should prefer sentence boundaries when a cue is full', () => {
+    const track = buildSubtitleCues({
+      segments: [{
+        start: 0,
+        end: 8,
+        text: 'Welcome back to the show. Today we are talking about the history of the printing press.'
+      }]
+    });
+
+    expect(texts(track)[0]).toBe('Welcome back to the show.');
+  });
+
+  test('should merge short sentences into one cue', () => {
+    const track = buildSubtitleCues({
+      segments: [
+        { start: 0, end: 1, text: 'Hi.' },
+        { start: 1.1, end: 2, text: 'How are you?' }
+      ]
+    });
+
+    expect(texts(track)).toEqual(['Hi. How are you?']);
+  });
+
+  test('should start a new cue after a long pause', () => {
+    const track = buildSubtitleCues({
+      segments: [
+        { start: 0, end: 1, text: 'Hi.' },
+        { start: 5, end: 6, text: 'Anyone there?' }
+      ]
+    });
+
+    expect(texts(track)).toEqual(['Hi.', 'Anyone there?']);
+  });
+
+  test('should stretch fast cues for reading speed without overlapping', () => {
+    const track = buildSubtitleCues({
+      segments: [
+        { start: 0, end: 0.4, text: 'A surprisingly long line, spoken very quickly.' },
+        { start: 2, end: 3, text: 'Next.' }
+      ]
+    });
+
+    const [first, second] = track.cues;
+    expect(first.endTime).toBeCloseTo(2 - 0.08, 3);
+    expect(second.endTime).toBe(3);
+  });
+
+  test('should label speakers when they change', () => {
+    const track = buildSubtitleCues({
+      segments: [
+        { start: 0, end: 1, text: 'Ready?', speaker: 'SPEAKER_00', confidence: 0.8 },
+        { start: 1.2, end: 2, text: 'Yes.', speaker: 'SPEAKER_01', confidence: 0.6 },
+        { start: 4, end: 5, text: 'Go.', speaker: 'SPEAKER_01', confidence: 1 }
+      ]
+    }, { speakerNames: { SPEAKER_00: 'Ada' } });
+
+    expect(texts(track)).toEqual(['[Ada] Ready?', '[Speaker 2] Yes.', 'Go.']);
+    expect(track.cues.map(cue => cue.speaker)).toEqual(['Ada', 'Speaker 2', 'Speaker 2']);
+    expect(track.speakers).toEqual(['Ada', 'Speaker 2']);
+    expect(track.accuracy).toBeCloseTo(0.8, 5);
+  });
+
+  test('should put short exchanges in one dialogue cue in dash style', () => {
+    const track = buildSubtitleCues({
+      segments: [
+        { start: 0, end: 1, text: 'Ready?', speaker: 'A' },
+        { start: 1.2, end: 2, text: 'Yes.', speaker: 'B' }
+      ]
+    }, { speakerLabels: 'dash' });
+
+    expect(track.cues).toEqual([{ startTime: 0, endTime: 2, text: '- Ready?\n- Yes.' }]);
+  });
+
+  test('should not label single-speaker tracks', () => {
+    const track = buildSubtitleCues({ segments: [{ start: 0, end: 1, text: 'Hello.', speaker: 'SPEAKER_00' }] });
+    expect(texts(track)).toEqual(['Hello.']);
+  });
+
+  test('normalizeTranscription should keep diarization labels', () => {
+    const result = normalizeTranscription({
+      segments: [{ start: 0, end: 1, text: 'hi', speaker: 'SPEAKER_00', words: [{ word: 'hi', start: 0, end: 1, speaker: 'SPEAKER_00' }] }]
+    });
+
+    expect(result.segments[0].speaker).toBe('SPEAKER_00');
+    expect(result.words[0].speaker).toBe('SPEAKER_00');
+  });
+});
+
+describe('Subtitle translation', () => {
+  // Upper-cases each line and records what it was asked, like a provider would be
+  const fakeTranslator = () => {
+    const translator = {
+      calls: [],
+      translateLines: async (lines, options) => {
+        translator.calls.push({ lines, ...options });
+        return lines.map(line => line.toUpperCase());
+      }
+    };
+    return translator;
+  };
+
+  test('splitCueText should keep labels and dialogue dashes out of the text', () => {
+    expect(splitCueText('[Ada] Ready to\ngo?')).toEqual({ label: '[Ada] ', dialogue: false, parts: ['Ready to go?'] });
+    expect(splitCueText('- Ready?\n- Yes.')).toEqual({ label: '', dialogue: true, parts: ['Ready?', 'Yes.'] });
+  });
+
+  test('joinCueText should restore the layout around translated parts', () => {
+    expect(joinCueText({ label: '[Ada] ', dialogue: false }, ['Prête ?'])).toBe('[Ada] Prête ?');
+    expect(joinCueText({ label: '', dialogue: true }, ['Prête ?', 'Oui.'])).toBe('- Prête ?\n- Oui.');
+    expect(joinCueText({ label: '', dialogue: false }, ['Une phrase traduite qui est bien trop longue pour une ligne']))
+      .toBe('Une phrase traduite qui est\nbien trop longue pour une ligne');
+  });
+
+  test('should keep timings and send batches with context', async () => {
+    const translator = fakeTranslator();
+    const generator = new SubtitleGenerator({ translator });
+    const cues = [
+      { startTime: 0, endTime: 1, text: '[Ada] one', speaker: 'Ada' },
+      { startTime: 1, endTime: 2, text: '- two\n- three' },
+      { startTime: 2, endTime: 3, text: 'four' },
+      { startTime: 3, endTime: 4, text: 'five' }
+    ];
+
+    const translated = await generator.translateCues(cues, { from: 'en', to: 'fr', batchSize: 2, contextLines: 1 });
+
+    expect(translated).toEqual([
+      { startTime: 0, endTime: 1, text: '[Ada] ONE', speaker: 'Ada' },
+      { startTime: 1, endTime: 2, text: '- TWO\n- THREE' },
+      { startTime: 2, endTime: 3, text: 'FOUR' },
+      { startTime: 3, endTime: 4, text: 'FIVE' }
+    ]);
+    expect(translator.calls.map(call => [call.before, call.lines, call.after])).toEqual([
+      [[], ['one', 'two'], ['three']],
+      [['two'], ['three', 'four'], ['five']],
+      [['four'], ['five'], []]
+    ]);
+    expect(translator.calls[0]).toMatchObject({ from: 'en', to: 'fr' });
+  });
+
+  test('should ask providers for one JSON string per line', () => {
+    const prompt = buildTranslationPrompt(['Hello.'], { from: 'en', to: 'fr', before: ['Earlier.'] });
+
+    expect(prompt).toContain('exactly 1 strings');
+    expect(prompt).toContain('Previous lines (context only, do not translate):\n1. Earlier.');
+    expect(parseTranslationResponse('```json\n[" Bonjour. "]\n```', 1)).toEqual(['Bonjour.']);
+    expect(() => parseTranslationResponse('["a", "b"]', 1)).toThrow('Expected 1 translated lines');
+  });
+
+  test('translateLines should fall through providers that merge lines', async () => {
+    const registry = new AIProviderRegistry();
+    const provider = (name, answer) => ({
+      name,
+      tasks: ['translate'],
+      isAvailable: () => true,
+      translate: async (lines) => parseTranslationResponse(answer, lines.length)
+    });
+    registry.register(provider('sloppy', '["un deux"]')).register(provider('careful', '["un", "deux"]'));
+
+    const utils = new AIUtils(registry);
+    expect(await utils.translateLines(['one', 'two'], { to: 'fr' })).toEqual(['un', 'deux']);
+    await expect(utils.translateLines(['one'], {})).rejects.toThrow('target language');
+  });
+});
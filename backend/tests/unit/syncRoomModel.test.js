@@ -0,0 +1,20 @@
+import { describe, test, expect } from '@jest/globals';
+import { SyncRoom } from '../../src/models/SyncRoom.js';
+
+describe('SyncRoom expiresAt', () => {
+  const setFields = (room) => room.$__delta()?.[1]?.$set || {};
+
+  test('should not give a loaded persistent room a TTL deadline to save back', () => {
+    const room = SyncRoom.hydrate({ _id: '507f1f77bcf86cd799439011', code: 'ABC123', hostId: 'host', persistent: true, status: 'dormant' });
+
+    expect(room.expiresAt).toBeUndefined();
+    expect(setFields(room)).not.toHaveProperty('expiresAt');
+  });
+
+  test('should give temporary rooms the default deadline', () => {
+    const created = new SyncRoom({ code: 'ABC123', hostId: 'host' });
+    expect(created.expiresAt.getTime()).toBeGreaterThan(Date.now() + 5 * 60 * 60 * 1000);
+
+    expect(new SyncRoom({ code: 'ABC123', hostId: 'host', persistent: true }).expiresAt).toBeUndefined();
+  });
+});
@@ -0,0 +1,125 @@
+import { describe, test, expect } from '@jest/globals';
+import syncUtils from '../../src/utils/syncUtils.js';
+
+describe('SyncUtils - Room Playback Clock', () => {
+  const anchorAt = new Date(1_000_000);
+
+  describe('extrapolatePosition', () => {
+    test('should return the saved position while paused', () => {
+      const clock = { t: 42, paused: true, rate: 1, anchorAt };
+      expect(syncUtils.extrapolatePosition(clock, 1_010_000)).toBe(42);
+    });
+
+    test('should advance the position by elapsed time while playing', () => {
+      const clock = { t: 42, paused: false, rate: 1, anchorAt };
+      expect(syncUtils.extrapolatePosition(clock, 1_010_000)).toBe(52);
+    });
+
+    test('should scale elapsed time by the playback rate', () => {
+      const clock = { t: 0, paused: false, rate: 2, anchorAt };
+      expect(syncUtils.extrapolatePosition(clock, 1_005_000)).toBe(10);
+    });
+
+    test('should never move backwards when the anchor is in the future', () => {
+      const clock = { t: 5, paused: false, rate: 1, anchorAt };
+      expect(syncUtils.extrapolatePosition(clock, 999_000)).toBe(5);
+    });
+  });
+
+  describe('applyPlaybackAction', () => {
+    test('should start playing from the requested position', () => {
+      const clock = syncUtils.applyPlaybackAction({ t: 0, paused: true, rate: 1 }, 'play', { t: 12 }, 2_000_000);
+
+      expect(clock).toEqual({ t: 12, paused: false, rate: 1, anchorAt: new Date(2_000_000) });
+    });
+
+    test('should pause at the extrapolated position when no time is given', () => {
+      const playing = { t: 10, paused: false, rate: 1, anchorAt };
+      const clock = syncUtils.applyPlaybackAction(playing, 'pause', {}, 1_003_000);
+
+      expect(clock.t).toBe(13);
+      expect(clock.paused).toBe(true);
+    });
+
+    test('should keep the paused flag when seeking', () => {
+      const playing = { t: 10, paused: false, rate: 1, anchorAt };
+      const clock = syncUtils.applyPlaybackAction(playing, 'seek', { t: 90 }, 1_003_000);
+
+      expect(clock.t).toBe(90);
+      expect(clock.paused).toBe(false);
+      expect(clock.anchorAt).toEqual(new Date(1_003_000));
+    });
+
+    test('should clamp the playback rate', () => {
+      const clock = syncUtils.applyPlaybackAction({ t: 0, paused: true, rate: 1 }, 'rate', { rate: 16 });
+      expect(clock.rate).toBe(syncUtils.MAX_CLOCK_RATE);
+    });
+
+    test('should ignore invalid positions', () => {
+      const clock = syncUtils.applyPlaybackAction({ t: 7, paused: true, rate: 1 }, 'seek', { t: -3 });
+      expect(clock.t).toBe(7);
+    });
+
+    test('should reject unknown actions', () => {
+      expect(() => syncUtils.applyPlaybackAction({}, 'rewind')).toThrow('Unknown playback action');
+    });
+  });
+
+  describe('snapshotClock', () => {
+    test('should stamp the extrapolated position with the server time', () => {
+      const snapshot = syncUtils.snapshotClock({ t: 1, paused: false, rate: 1, anchorAt }, 1_002_500);
+
+      expect(snapshot).toEqual({ t: 3.5, paused: false, rate: 1, serverTime: 1_002_500 });
+    });
+  });
+
+  describe('estimateClockOffset', () => {
+    // Client clock runs 500ms behind the server with a 40ms symmetric round trip
+    const sample = (t0, delay = 40, offset = 500) => ({
+      t0,
+      t1: t0 + offset + delay / 2,
+      t2: t0 + offset + delay / 2 + 1,
+      t3: t0 + delay + 1
+    });
+
+    test('should recover the offset and round trip from clean samples', () => {
+      const estimate = syncUtils.estimateClockOffset([sample(0), sample(100), sample(200), sample(300)]);
+
+      expect(estimate.offsetMs).toBe(500);
+      expect(estimate.rttMs).toBe(40);
+      expect(estimate.jitterMs).toBe(0);
+      expect(estimate.rejectedCount).toBe(0);
+    });
+
+    test('should reject round trips that are outliers', () => {
+      // A delayed reply skews the offset of its own sample only
+      const delayed = { ...sample(400), t3: sample(400).t3 + 900 };
+      const estimate = syncUtils.estimateClockOffset([sample(0), sample(100), sample(200), sample(300), delayed]);
+
+      expect(estimate.offsetMs).toBe(500);
+      expect(estimate.sampleCount).toBe(4);
+      expect(estimate.rejectedCount).toBe(1);
+    });
+
+    test('should report jitter when round trips vary', () => {
+      const estimate = syncUtils.estimateClockOffset([sample(0, 30), sample(100, 50), sample(200, 30), sample(300, 50)]);
+
+      expect(estimate.rttMs).toBe(40);
+      expect(estimate.jitterMs).toBe(10);
+    });
+
+    test('should require a minimum number of valid samples', () => {
+      expect(() => syncUtils.estimateClockOffset([sample(0), { t0: 1 }])).toThrow('valid clock samples');
+    });
+  });
+
+  describe('measurePlaybackLag', () => {
+    test('should compare the participant position against the room clock in server time', () => {
+      const clock = { t: 100, paused: false, rate: 1, anchorAt };
+      // Client reports position 104s at its own time 1_004_500, which is server time 1_005_000
+      const lagMs = syncUtils.measurePlaybackLag(clock, 104, 1_004_500, 500);
+
+      expect(lagMs).toBe(1000);
+    });
+  });
+});
@@ -0,0 +1,223 @@
+import { describe, test, expect, beforeEach, afterEach } from '@jest/globals';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  normalizeLanguage,
+  planChunks,
+  stitchChunks,
+  averageConfidence
+} from '../../src/utils/transcriptionUtils.js';
+import { normalizeTranscription, LocalSttBackend, createSttBackend } from '../../src/utils/sttBackends.js';
+import { TranscriptCache } from '../../src/services/transcriptCache.js';
+import { TranscriptionPipeline } from '../../src/services/whisper.js';
+import generalUtils from '../../src/utils/generalUtils.js';
+
+const HASH = 'ab'.repeat(32);
+
+describe('Transcription utils', () => {
+  describe('normalizeLanguage', () => {
+    test('should accept codes and Whisper language names', () => {
+      expect(normalizeLanguage('en')).toBe('en');
+      expect(normalizeLanguage('pt-BR')).toBe('pt');
+      expect(normalizeLanguage('Spanish')).toBe('es');
+    });
+
+    test('should fall back for unknown values', () => {
+      expect(normalizeLanguage('auto')).toBe('en');
+      expect(normalizeLanguage(undefined, 'fr')).toBe('fr');
+    });
+  });
+
+  describe('planChunks', () => {
+    test('should keep short audio in one chunk', () => {
+      expect(planChunks(300, { chunkSeconds: 600, overlapSeconds: 2 })).toEqual([{ index: 0, start: 0, duration: 300 }]);
+    });
+
+    test('should overlap consecutive chunks', () => {
+      expect(planChunks(1500, { chunkSeconds: 600, overlapSeconds: 2 })).toEqual([
+        { index: 0, start: 0, duration: 602 },
+        { index: 1, start: 600, duration: 602 },
+        { index: 2, start: 1200, duration: 300 }
+      ]);
+    });
+
+    test('should not add a chunk that only holds the previous overlap', () => {
+      const chunks = planChunks(1201, { chunkSeconds: 600, overlapSeconds: 2 });
+      expect(chunks).toHaveLength(2);
+      expect(chunks[1]).toEqual({ index: 1, start: 600, duration: 601 });
+    });
+
+    test('should return nothing for empty audio', () => {
+      expect(planChunks(0)).toEqual([]);
+    });
+  });
+
+  describe('stitchChunks', () => {
+    const chunkA = {
+      start: 0,
+      transcription: {
+        language: 'en',
+        segments: [
+          { start: 0, end: 5, text: 'first part', confidence: 0.9 },
+          { start: 8, end: 10.5, text: 'boundary words', confidence: 0.8 }
+        ],
+        words: [
+          { word: 'first', start: 0, end: 1 },
+          { word: 'boundary', start: 8, end: 9 },
+          { word: 'late', start: 10.2, end: 10.5 }
+        ]
+      }
+    };
+    const chunkB = {
+      start: 10,
+      transcription: {
+        language: null,
+        segments: [
+          { start: 0.2, end: 0.5, text: 'late', confidence: 0.5 },
+          { start: 2, end: 6, text: 'second part', confidence: 0.7 }
+        ],
+        words: [
+          { word: 'late', start: 0.2, end: 0.5 },
+          { word: 'second', start: 2, end: 3 }
+        ]
+      }
+    };
+
+    test('should shift later chunks onto the file timeline', () => {
+      const result = stitchChunks([chunkA, chunkB], { overlapSeconds: 2 });
+
+      expect(result.segments.map(segment => [segment.start, segment.text])).toEqual([
+        [0, 'first part'],
+        [8, 'boundary words'],
+        [12, 'second part']
+      ]);
+      expect(result.text).toBe('first part boundary words second part');
+      expect(result.language).toBe('en');
+    });
+
+    test('should give each overlap moment to exactly one chunk', () => {
+      const result = stitchChunks([chunkB, chunkA], { overlapSeconds: 2 });
+      const late = result.words.filter(word => word.word === 'late');
+
+      expect(late).toEqual([{ word: 'late', start: 10.2, end: 10.5 }]);
+      expect(result.words.map(word => word.start)).toEqual([0, 8, 10.2, 12]);
+    });
+  });
+
+  test('averageConfidence should ignore unknown confidences', () => {
+    expect(averageConfidence([{ confidence: 0.5 }, { confidence: null }, { confidence: 1 }])).toBe(0.75);
+    expect(averageConfidence([{ confidence: null }])).toBeNull();
+  });
+});
+
+describe('Speech-to-text backends', () => {
+  test('should normalize Whisper verbose JSON', () => {
+    const result = normalizeTranscription({
+      text: ' Hello world ',
+      language: 'english',
+      segments: [{ start: 0, end: 2, text: ' Hello world ', avg_logprob: Math.log(0.8) }],
+      words: [{ word: 'Hello', start: 0, end: 1 }, { word: 'world', start: 1, end: 2 }]
+    });
+
+    expect(result.text).toBe('Hello world');
+    expect(result.segments).toEqual([{ start: 0, end: 2, text: 'Hello world', confidence: expect.closeTo(0.8, 5) }]);
+    expect(result.words).toHaveLength(2);
+    expect(result.language).toBe('english');
+  });
+
+  test('should collect per-segment words and wrap plain text', () => {
+    const nested = normalizeTranscription({
+      segments: [{ start: 1, end: 2, text: 'hi', words: [{ text: 'hi', start: 1, end: 2, probability: 0.6 }] }]
+    });
+    expect(nested.words).toEqual([{ word: 'hi', start: 1, end: 2, confidence: 0.6 }]);
+    expect(nested.text).toBe('hi');
+
+    const plain = normalizeTranscription('just text', { language: 'en' });
+    expect(plain.segments).toEqual([{ start: 0, end: 0, text: 'just text', confidence: null }]);
+  });
+
+  test('should run a local engine command and parse its JSON output', async () => {
+    // Arguments are split on whitespace, so the inline script has none
+    const script = "process.stdout.write(JSON.stringify({text:'heard:'+process.argv[1],segments:[{start:0,end:1,text:'heard:'+process.argv[1]}]}))";
+    const backend = new LocalSttBackend({ command: `${process.execPath} -e ${script} {input}` });
+
+    const result = await backend.transcribe('clip.wav');
+    expect(result.text).toBe('heard:clip.wav');
+    expect(result.segments[0]).toMatchObject({ start: 0, end: 1 });
+  });
+
+  test('should report a failing local engine', async () => {
+    const backend = new LocalSttBackend({ command: `${process.execPath} -e process.exit(3)` });
+    await expect(backend.transcribe('clip.wav')).rejects.toThrow('exited with code 3');
+  });
+
+  test('should require settings for configured backends', () => {
+    expect(() => createSttBackend('local', {})).toThrow('STT_LOCAL_COMMAND');
+    expect(() => createSttBackend('http', {})).toThrow('STT_HTTP_URL');
+    expect(() => createSttBackend('carrier-pigeon')).toThrow('Unknown speech-to-text backend');
+    expect(createSttBackend('provider').method).toBe('whisper');
+  });
+});
+
+describe('TranscriptCache', () => {
+  let directory;
+
+  beforeEach(async () => {
+    directory = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'transcript-cache-'));
+  });
+
+  afterEach(async () => {
+    await fs.promises.rm(directory, { recursive: true, force: true });
+  });
+
+  test('should persist entries across instances', async () => {
+    await new TranscriptCache({ directory }).set(HASH, 'en', { text: 'hello' });
+
+    expect(await new TranscriptCache({ directory }).get(HASH, 'en')).toEqual({ text: 'hello' });
+    expect(await new TranscriptCache({ directory }).get(HASH, 'fr')).toBeNull();
+  });
+
+  test('should evict the oldest in-memory entries', async () => {
+    const cache = new TranscriptCache({ directory, memoryEntries: 1 });
+    await cache.set(HASH, 'en', { text: 'a' });
+    await cache.set(HASH, 'fr', { text: 'b' });
+
+    expect(cache.memory.size).toBe(1);
+    expect(await cache.get(HASH, 'en')).toEqual({ text: 'a' });
+  });
+
+  test('should delete entries', async () => {
+    const cache = new TranscriptCache({ directory });
+    await cache.set(HASH, 'en', { text: 'a' });
+    await cache.delete(HASH, 'en');
+
+    expect(await cache.get(HASH, 'en')).toBeNull();
+  });
+
+  test('should only accept content hashes as keys', () => {
+    const cache = new TranscriptCache({ directory });
+    expect(() => cache.key('../../etc/passwd', 'en')).toThrow('hex content hashes');
+  });
+});
+
+describe('Remote transcription sources', () => {
+  const pipeline = new TranscriptionPipeline({ backend: {} });
+
+  test('should tell public addresses from internal ones', () => {
+    for (const address of ['127.0.0.1', '10.0.0.8', '172.20.1.1', '192.168.1.1', '169.254.169.254', '100.64.0.1', '0.0.0.0', '::1', 'fe80::1', 'fd12::1', '::ffff:127.0.0.1']) {
+      expect(generalUtils.isPublicAddress(address)).toBe(false);
+    }
+    for (const address of ['8.8.8.8', '151.101.1.69', '2606:4700::6810:84e5']) {
+      expect(generalUtils.isPublicAddress(address)).toBe(true);
+    }
+    expect(generalUtils.isPublicAddress('localhost')).toBe(false);
+  });
+
+  test('should refuse URLs pointing at internal hosts', async () => {
+    for (const videoUrl of ['http://127.0.0.1:5000/video.mp4', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/a.mp4', 'http://localhost/a.mp4']) {
+      await expect(pipeline.downloadSource({ videoUrl })).rejects.toThrow('public host');
+    }
+    await expect(pipeline.downloadSource({ videoUrl: 'file:///etc/passwd' })).rejects.toThrow('http(s) URL');
+  });
+});
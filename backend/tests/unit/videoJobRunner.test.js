@@ -0,0 +1,61 @@
+import { describe, test, expect } from '@jest/globals';
+import { VideoJobRunner, STALE_AFTER_MS } from '../../src/services/videoJobRunner.js';
+
+describe('VideoJobRunner', () => {
+  const makeRunner = (work, options = {}) =>
+    new VideoJobRunner({ field: 'previews', activeStatus: 'generating', label: 'test', work, ...options });
+
+  test('should run at most `concurrency` jobs at once, in queue order', async () => {
+    const started = [];
+    const releases = new Map();
+    const runner = makeRunner((videoId) => {
+      started.push(videoId);
+      return new Promise(resolve => releases.set(videoId, resolve));
+    }, { concurrency: 2 });
+
+    ['a', 'b', 'c'].forEach(id => runner.add(id));
+    expect(started).toEqual(['a', 'b']);
+
+    releases.get('a')();
+    await new Promise(resolve => setImmediate(resolve));
+    expect(started).toEqual(['a', 'b', 'c']);
+    expect([...runner.active].sort()).toEqual(['b', 'c']);
+  });
+
+  test('should keep going after a job crashes', async () => {
+    const started = [];
+    const runner = makeRunner(async (videoId) => {
+      started.push(videoId);
+      if (videoId === 'a') throw new Error('boom');
+    });
+
+    runner.add('a');
+    runner.add('b');
+    await new Promise(resolve => setImmediate(resolve));
+    expect(started).toEqual(['a', 'b']);
+    expect(runner.active.size).toBe(0);
+  });
+
+  test('should treat queued jobs and live workers as busy', () => {
+    const runner = makeRunner(async () => {});
+    const now = Date.now();
+
+    expect(runner.isBusy({ status: 'queued' })).toBe(true);
+    expect(runner.isBusy({ status: 'generating', heartbeatAt: new Date(now) })).toBe(true);
+    expect(runner.isBusy({ status: 'generating', heartbeatAt: new Date(now - STALE_AFTER_MS - 1000) })).toBe(false);
+    expect(runner.isBusy({ status: 'ready' })).toBe(false);
+    expect(runner.isBusy(undefined)).toBe(false);
+  });
+
+  test('should only claim queued jobs and jobs with a stale heartbeat', () => {
+    const runner = makeRunner(async () => {}, { field: 'streaming', activeStatus: 'transcoding' });
+    const now = Date.UTC(2030, 0, 1);
+
+    expect(runner.claimableFilter(now)).toEqual({
+      $or: [
+        { 'streaming.status': 'queued' },
+        { 'streaming.status': 'transcoding', 'streaming.heartbeatAt': { $lt: new Date(now - STALE_AFTER_MS) } }
+      ]
+    });
+  });
+});
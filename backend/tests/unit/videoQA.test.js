@@ -0,0 +1,108 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  VideoQAService,
+  buildPassages,
+  buildPrompt,
+  parseCitations
+} from '../../src/services/videoQAService.js';
+import { SearchService } from '../../src/services/searchService.js';
+import { AIProviderError } from '../../src/utils/aiProviders/registry.js';
+
+const segments = [
+  { start: 0, end: 8, text: 'Welcome aboard the trawler, everyone.' },
+  { start: 8, end: 20, text: 'Today we sail north to the fishing grounds.' },
+  { start: 40, end: 52, text: 'The storm warning came in over the radio.' },
+  { start: 52, end: 60, text: 'We decided to turn back to the harbour.' },
+  { start: 90, end: 100, text: 'Back in port, the crew unloaded the nets.' }
+];
+
+// Replies with a fixed answer and keeps the prompts it was given
+const fakeAnswerer = (reply) => {
+  const answerer = {
+    prompts: [],
+    complete: async (prompt, options) => {
+      answerer.prompts.push({ prompt, options });
+      if (reply instanceof Error) throw reply;
+      return reply;
+    }
+  };
+  return answerer;
+};
+
+const serviceWith = (answerer) => new VideoQAService({
+  answerer,
+  searcher: new SearchService({ embedder: { canEmbed: () => false } })
+});
+
+describe('Video Q&A helpers', () => {
+  test('buildPassages should join nearby segments up to the time limit', () => {
+    expect(buildPassages(segments, { maxSeconds: 30 }).map(passage => [passage.start, passage.end])).toEqual([
+      [0, 20],
+      [40, 60],
+      [90, 100]
+    ]);
+    expect(buildPassages(segments, { maxSeconds: 30, maxWords: 8 })).toHaveLength(5);
+  });
+
+  test('buildPrompt should number passages with their start times', () => {
+    const prompt = buildPrompt('Why did they turn back?', [{ start: 40, end: 60, text: 'Storm warning.' }]);
+    expect(prompt).toContain('[1] (0:40) Storm warning.');
+    expect(prompt.endsWith('Question: Why did they turn back?')).toBe(true);
+  });
+
+  test('parseCitations should resolve markers and drop unknown ones', () => {
+    const passages = [{ start: 0, end: 20, text: 'a' }, { start: 40, end: 60, text: 'b' }];
+    const { answer, citations } = parseCitations('A storm [2, 7]. They sailed first [1] and later [9].', passages);
+
+    expect(answer).toBe('A storm [2]. They sailed first [1] and later.');
+    expect(citations).toEqual([
+      { ref: 1, start: 0, end: 20, text: 'a' },
+      { ref: 2, start: 40, end: 60, text: 'b' }
+    ]);
+  });
+});
+
+describe('VideoQAService answers', () => {
+  test('should answer from the passages that match the question, with timestamp citations', async () => {
+    const answerer = fakeAnswerer('They turned back because of a storm warning [1].');
+    const result = await serviceWith(answerer).answer('Why did the crew turn back?', segments);
+
+    expect(result.answeredBy).toBe('ai');
+    expect(result.citations).toEqual([
+      expect.objectContaining({ ref: 1, start: 40, end: 60 })
+    ]);
+    expect(answerer.prompts[0].prompt).toContain('[1] (0:40) The storm warning');
+    expect(answerer.prompts[0].options.system).toContain('square brackets');
+  });
+
+  test('a question matching nothing should be answered from the latest passages', async () => {
+    const answerer = fakeAnswerer('The crew unloaded the nets [3].');
+    const result = await serviceWith(answerer).answer('What is going on?', segments);
+
+    expect(answerer.prompts[0].prompt).toContain('(1:30) Back in port');
+    expect(result.citations.map(citation => citation.start)).toEqual([90]);
+  });
+
+  test('should quote the best passages when no provider can generate text', async () => {
+    const result = await serviceWith(fakeAnswerer(new AIProviderError('complete'))).answer('storm warning', segments);
+
+    expect(result.answeredBy).toBe('extractive');
+    expect(result.answer).toContain('The storm warning came in over the radio.');
+    expect(result.citations.map(citation => citation.start)).toEqual([40]);
+
+    const unmatched = await serviceWith(fakeAnswerer(new AIProviderError('complete'))).answer('dolphins', segments);
+    expect(unmatched.citations).toEqual([]);
+  });
+
+  test('other answerer failures should not be hidden', async () => {
+    await expect(serviceWith(fakeAnswerer(new Error('boom'))).answer('storm', segments)).rejects.toThrow('boom');
+  });
+
+  test('nothing watched yet should not call the answerer', async () => {
+    const answerer = fakeAnswerer('unused');
+    const result = await serviceWith(answerer).answer('What happened?', []);
+
+    expect(result).toMatchObject({ answeredBy: 'none', citations: [] });
+    expect(answerer.prompts).toEqual([]);
+  });
+});
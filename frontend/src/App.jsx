@@ -4,6 +4,8 @@ import RoomControls from './components/RoomControls.jsx';
 import ChatPanel from './components/ChatPanel.jsx';
 import NotesPanel from './components/NotesPanel.jsx';
 import SummaryPanel from './components/SummaryPanel.jsx';
+import QueuePanel from './components/QueuePanel.jsx';
+import SearchPanel from './components/SearchPanel.jsx';
 import { useRoomStore } from './state/useRoomStore.js';
 
 export default function App() {
@@ -14,6 +16,8 @@ export default function App() {
   const panels = [
     { id: 'chat', name: 'Chat', icon: '💬' },
     { id: 'notes', name: 'Notes', icon: '📝' },
+    { id: 'queue', name: 'Queue', icon: '📃' },
+    { id: 'search', name: 'Search', icon: '🔍' },
     { id: 'summary', name: 'AI Summary', icon: '🤖' }
   ];
 
@@ -132,6 +136,8 @@ export default function App() {
               <div className="h-[calc(100vh-200px)]">
                 {activePanel === 'chat' && <ChatPanel />}
                 {activePanel === 'notes' && <NotesPanel />}
+                {activePanel === 'queue' && <QueuePanel />}
+                {activePanel === 'search' && <SearchPanel />}
                 {activePanel === 'summary' && <SummaryPanel />}
               </div>
             </div>
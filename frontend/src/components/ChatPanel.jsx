@@ -2,13 +2,14 @@ import React, { useState, useRef, useEffect } from 'react';
 import { useRoomStore } from '../state/useRoomStore.js';
 import { api } from '../services/api.js';
 import { getSocket } from '../services/socket.js';
+import CitedAnswer from './CitedAnswer.jsx';
 
 export default function ChatPanel() {
   const [messages, setMessages] = useState([]);
   const [newMessage, setNewMessage] = useState('');
   const [isLoading, setIsLoading] = useState(false);
   const messagesEndRef = useRef(null);
-  const { code, user } = useRoomStore();
+  const { code, user, resyncedAt } = useRoomStore();
 
   // Auto-scroll to bottom
   const scrollToBottom = () => {
@@ -33,7 +34,7 @@ export default function ChatPanel() {
     };
 
     loadMessages();
-  }, [code]);
+  }, [code, resyncedAt]);
 
   // Socket event listeners for real-time messages
   useEffect(() => {
@@ -132,8 +133,8 @@ export default function ChatPanel() {
             <div key={message._id} className="flex flex-col space-y-1">
               <div className="flex items-start space-x-3">
                 {/* Avatar */}
-                <div className="w-8 h-8 bg-blue-500 rounded-full flex items-center justify-center text-white text-sm font-medium">
-                  {message.username.charAt(0).toUpperCase()}
+                <div className={`w-8 h-8 ${message.messageType === 'bot' ? 'bg-purple-500' : 'bg-blue-500'} rounded-full flex items-center justify-center text-white text-sm font-medium`}>
+                  {message.messageType === 'bot' ? '🤖' : message.username.charAt(0).toUpperCase()}
                 </div>
 
                 {/* Message content */}
@@ -157,7 +158,13 @@ export default function ChatPanel() {
                   </div>
                   
                   <div className="mt-1">
-                    {isTimestampMessage(message) ? (
+                    {message.messageType === 'bot' ? (
+                      <CitedAnswer
+                        answer={message.message}
+                        citations={message.citations}
+                        onSeek={handleTimestampClick}
+                      />
+                    ) : isTimestampMessage(message) ? (
                       <div className="space-y-1">
                         <span 
                           className="inline-block bg-yellow-100 text-yellow-800 px-2 py-1 rounded text-sm cursor-pointer hover:bg-yellow-200"
@@ -0,0 +1,31 @@
+import React from 'react';
+
+const formatTimestamp = (timestamp) => {
+  const minutes = Math.floor(timestamp / 60);
+  const seconds = Math.floor(timestamp % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Answer text whose [n] markers become buttons jumping to the cited transcript moment
+export default function CitedAnswer({ answer, citations = [], onSeek }) {
+  const byRef = new Map(citations.map((citation) => [citation.ref, citation]));
+
+  return (
+    <p className="text-sm text-gray-700 whitespace-pre-wrap">
+      {answer.split(/(\[\d+\])/).map((part, index) => {
+        const citation = byRef.get(Number(part.match(/^\[(\d+)\]$/)?.[1]));
+        if (!citation) return part;
+        return (
+          <button
+            key={index}
+            onClick={() => onSeek(citation.start)}
+            className="inline-block bg-blue-100 text-blue-800 px-1 mx-0.5 rounded text-xs font-mono hover:bg-blue-200"
+            title={citation.text}
+          >
+            {formatTimestamp(citation.start)}
+          </button>
+        );
+      })}
+    </p>
+  );
+}
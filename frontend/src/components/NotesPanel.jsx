@@ -9,7 +9,7 @@ export default function NotesPanel() {
   const [showNoteForm, setShowNoteForm] = useState(false);
   const [editingNote, setEditingNote] = useState(null);
   const [selectedNote, setSelectedNote] = useState(null);
-  const { code, user } = useRoomStore();
+  const { code, user, resyncedAt } = useRoomStore();
 
   // Load existing notes
   useEffect(() => {
@@ -25,7 +25,7 @@ export default function NotesPanel() {
     };
 
     loadNotes();
-  }, [code]);
+  }, [code, resyncedAt]);
 
   // Socket event listeners for real-time notes
   useEffect(() => {
@@ -41,7 +41,7 @@ export default function NotesPanel() {
       ));
     };
 
-    const handleNoteDelete = (noteId) => {
+    const handleNoteDelete = ({ _id: noteId }) => {
       setNotes(prev => prev.filter(note => note._id !== noteId));
     };
 
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { useRoomStore } from '../state/useRoomStore.js';
+import {
+  addToQueue,
+  removeFromQueue,
+  moveQueueItem,
+  voteSkip,
+  skipQueueItem
+} from '../services/socket.js';
+
+export default function QueuePanel() {
+  const [videoUrl, setVideoUrl] = useState('');
+  const [title, setTitle] = useState('');
+  const { user, queue, nowPlaying, skipVotes, canControl } = useRoomStore();
+  const isController = canControl();
+
+  const handleAdd = (e) => {
+    e.preventDefault();
+    if (!videoUrl.trim()) return;
+    addToQueue({ videoUrl: videoUrl.trim(), title: title.trim() || undefined });
+    setVideoUrl('');
+    setTitle('');
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-gray-50 rounded-lg overflow-hidden">
+      {/* Header */}
+      <div className="bg-white border-b p-4">
+        <h3 className="text-lg font-semibold text-gray-800">Queue</h3>
+        <p className="text-sm text-gray-600">
+          {queue.length} up next
+        </p>
+      </div>
+
+      {/* Now playing */}
+      <div className="bg-white border-b p-4 space-y-2">
+        <div className="text-xs font-medium text-gray-500 uppercase">Now playing</div>
+        <div className="text-sm text-gray-800 truncate">
+          {nowPlaying?.title || 'Nothing from the queue'}
+        </div>
+        {(nowPlaying || queue.length > 0) && (
+          <div className="flex space-x-2">
+            <button
+              onClick={voteSkip}
+              className="bg-gray-500 text-white px-3 py-1 rounded text-sm hover:bg-gray-600"
+            >
+              Vote skip ({skipVotes.votes}/{skipVotes.needed})
+            </button>
+            {isController && (
+              <button
+                onClick={skipQueueItem}
+                className="bg-blue-500 text-white px-3 py-1 rounded text-sm hover:bg-blue-600"
+              >
+                Skip
+              </button>
+            )}
+          </div>
+        )}
+      </div>
+
+      {/* Add form (controllers only) */}
+      {isController && (
+        <form onSubmit={handleAdd} className="bg-yellow-50 border-b p-4 space-y-2">
+          <input
+            type="url"
+            value={videoUrl}
+            onChange={(e) => setVideoUrl(e.target.value)}
+            placeholder="Video URL"
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <input
+            type="text"
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            placeholder="Title (optional)"
+            className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            disabled={!videoUrl.trim()}
+            className="bg-blue-500 text-white px-4 py-2 rounded text-sm font-medium hover:bg-blue-600 disabled:opacity-50"
+          >
+            Add to queue
+          </button>
+        </form>
+      )}
+
+      {/* Upcoming items */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-2">
+        {queue.length === 0 ? (
+          <div className="text-center text-gray-500 py-8">
+            <p className="text-sm">The queue is empty</p>
+          </div>
+        ) : (
+          queue.map((item, index) => (
+            <div key={item.id} className="bg-white rounded-lg border p-3 flex items-center justify-between">
+              <div className="min-w-0">
+                <div className="text-sm font-medium text-gray-900 truncate">
+                  {index + 1}. {item.title}
+                </div>
+                <div className="text-xs text-gray-500">added by {item.addedBy === user?.id ? 'you' : item.addedBy}</div>
+              </div>
+              <div className="flex space-x-1 ml-2">
+                {isController && (
+                  <>
+                    <button
+                      onClick={() => moveQueueItem(item.id, index - 1)}
+                      disabled={index === 0}
+                      className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded hover:bg-blue-200 disabled:opacity-50"
+                    >
+                      ↑
+                    </button>
+                    <button
+                      onClick={() => moveQueueItem(item.id, index + 1)}
+                      disabled={index === queue.length - 1}
+                      className="text-xs bg-blue-100 text-blue-800 px-2 py-1 rounded hover:bg-blue-200 disabled:opacity-50"
+                    >
+                      ↓
+                    </button>
+                  </>
+                )}
+                {(isController || item.addedBy === user?.id) && (
+                  <button
+                    onClick={() => removeFromQueue(item.id)}
+                    className="text-xs bg-red-100 text-red-800 px-2 py-1 rounded hover:bg-red-200"
+                  >
+                    ✕
+                  </button>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
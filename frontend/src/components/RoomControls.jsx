@@ -1,10 +1,19 @@
 import React, { useState, useEffect } from 'react';
 import { useRoomStore } from '../state/useRoomStore.js';
-import { createRoom, joinRoom, fetchState } from '../services/api.js';
-import { joinRoom as socketJoinRoom, leaveRoom as socketLeaveRoom, setRoomVideo } from '../services/socket.js';
+import { createRoom, joinRoom, fetchState, setRoomPersistence } from '../services/api.js';
+import { joinRoom as socketJoinRoom, leaveRoom as socketLeaveRoom, setRoomVideo, setParticipantRole } from '../services/socket.js';
+
+const ASSIGNABLE_ROLES = ['moderator', 'controller', 'viewer'];
+const RETENTION_OPTIONS = [
+  { value: '7', label: 'Keep 7 days after last visit', retention: { policy: 'inactivity', inactiveDays: 7 } },
+  { value: '30', label: 'Keep 30 days after last visit', retention: { policy: 'inactivity', inactiveDays: 30 } },
+  { value: '90', label: 'Keep 90 days after last visit', retention: { policy: 'inactivity', inactiveDays: 90 } },
+  { value: 'forever', label: 'Keep forever', retention: { policy: 'forever' } }
+];
 
 export default function RoomControls() {
-  const { code, setCode, user, initializeUser, participants, setParticipants } = useRoomStore();
+  const { code, setCode, user, initializeUser, participants, setParticipants, roleOf } = useRoomStore();
+  const myRole = roleOf(user?.id);
   const [input, setInput] = useState('');
   const [isCreating, setIsCreating] = useState(false);
   const [isJoining, setIsJoining] = useState(false);
@@ -52,6 +61,9 @@ export default function RoomControls() {
         useRoomStore.getState().setHost(response.hostId);
         useRoomStore.getState().setControllers([response.hostId]);
       }
+      if (typeof response.persistent === 'boolean') {
+        useRoomStore.getState().setPersistence(response);
+      }
       setRoomInfo({
         code: response.code,
         roomId: response.roomId,
@@ -102,6 +114,9 @@ export default function RoomControls() {
     console.log('🎮 Room joined - setting controllers:', response.controllers);
     useRoomStore.getState().setControllers(response.controllers);
   }
+      if (typeof response.persistent === 'boolean') {
+        useRoomStore.getState().setPersistence(response);
+      }
       // Hydrate current state (including shared videoUrl)
       if (response.state) {
         useRoomStore.getState().updateState(response.state);
@@ -303,6 +318,8 @@ export default function RoomControls() {
         )}
       </div>
 
+      {code && <PersistenceControls code={code} userId={user?.id} isHost={myRole === 'host'} />}
+
       {/* Participants List */}
       {code && participants.length > 0 && (
         <div className="p-3 bg-gray-50 rounded-lg">
@@ -314,9 +331,15 @@ export default function RoomControls() {
                   {participant.name?.charAt(0).toUpperCase() || '?'}
                 </div>
                 <span className="text-gray-700">
-                  {participant.name || 'Anonymous'}
-                  {participant.id === user?.id && ' (you)'}
+                  {participant.name || participant.userId || 'Anonymous'}
+                  {(participant.id || participant.userId) === user?.id && ' (you)'}
                 </span>
+                <RoleBadge
+                  role={roleOf(participant.userId)}
+                  editable={participant.userId !== user?.id && (myRole === 'host' || myRole === 'moderator')}
+                  canAssignModerators={myRole === 'host'}
+                  onChange={(role) => setParticipantRole(participant.userId, role)}
+                />
               </div>
             ))}
           </div>
@@ -344,3 +367,69 @@ export default function RoomControls() {
     </div>
   );
 }
+
+function RoleBadge({ role, editable, canAssignModerators, onChange }) {
+  // The host's role is fixed; moderators may only move people between controller and viewer
+  if (!editable || role === 'host' || (role === 'moderator' && !canAssignModerators)) {
+    return <span className="text-xs text-gray-500">{role}</span>;
+  }
+  const options = canAssignModerators ? ASSIGNABLE_ROLES : ASSIGNABLE_ROLES.filter(r => r !== 'moderator');
+  return (
+    <select
+      value={role}
+      onChange={(e) => onChange(e.target.value)}
+      className="text-xs border border-gray-300 rounded px-1"
+    >
+      {options.map(r => <option key={r} value={r}>{r}</option>)}
+    </select>
+  );
+}
+
+// Persistent rooms keep their code, chat, notes and position between sessions
+function PersistenceControls({ code, userId, isHost }) {
+  const persistence = useRoomStore((s) => s.persistence);
+  const [saving, setSaving] = useState(false);
+  if (!persistence) return null;
+
+  const { persistent, retention } = persistence;
+  const selected = retention?.policy === 'forever' ? 'forever' : String(retention?.inactiveDays ?? 30);
+  const describe = () => RETENTION_OPTIONS.find(o => o.value === selected)?.label
+    || `Keep ${retention?.inactiveDays} days after last visit`;
+
+  const save = async (settings) => {
+    setSaving(true);
+    const response = await setRoomPersistence(code, { userId, ...settings });
+    if (!response.error) useRoomStore.getState().setPersistence(response);
+    setSaving(false);
+  };
+
+  if (!isHost) {
+    return persistent ? (
+      <div className="text-xs text-gray-500">📌 Persistent room · {describe()}</div>
+    ) : null;
+  }
+
+  return (
+    <div className="flex items-center gap-2 flex-wrap text-sm">
+      <label className="flex items-center gap-1 text-gray-700">
+        <input
+          type="checkbox"
+          checked={persistent}
+          disabled={saving}
+          onChange={(e) => save({ persistent: e.target.checked })}
+        />
+        📌 Persistent room
+      </label>
+      {persistent && (
+        <select
+          value={selected}
+          disabled={saving}
+          onChange={(e) => save({ retention: RETENTION_OPTIONS.find(o => o.value === e.target.value).retention })}
+          className="text-xs border border-gray-300 rounded px-1"
+        >
+          {RETENTION_OPTIONS.map(o => <option key={o.value} value={o.value}>{o.label}</option>)}
+        </select>
+      )}
+    </div>
+  );
+}
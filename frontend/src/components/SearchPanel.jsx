@@ -0,0 +1,139 @@
+import React, { useState } from 'react';
+import { useRoomStore } from '../state/useRoomStore.js';
+import { api } from '../services/api.js';
+import { seekRoom } from '../services/socket.js';
+
+const SOURCES = [
+  { id: 'transcript', name: 'Transcript', icon: '🎙️' },
+  { id: 'subtitle', name: 'Subtitles', icon: '💬' },
+  { id: 'note', name: 'Notes', icon: '📝' },
+  { id: 'chat', name: 'Chat', icon: '🗨️' }
+];
+const ICONS = Object.fromEntries(SOURCES.map((source) => [source.id, source.icon]));
+
+const formatTimestamp = (timestamp) => {
+  const minutes = Math.floor(timestamp / 60);
+  const seconds = Math.floor(timestamp % 60);
+  return `${minutes}:${seconds.toString().padStart(2, '0')}`;
+};
+
+// Text with the server's [start, end) match ranges marked
+function Highlighted({ text, ranges = [] }) {
+  const parts = [];
+  let cursor = 0;
+  ranges.forEach(([start, end], i) => {
+    if (start > cursor) parts.push(text.slice(cursor, start));
+    parts.push(<mark key={i} className="bg-yellow-200 rounded px-0.5">{text.slice(start, end)}</mark>);
+    cursor = end;
+  });
+  parts.push(text.slice(cursor));
+  return <>{parts}</>;
+}
+
+export default function SearchPanel() {
+  const [query, setQuery] = useState('');
+  const [sources, setSources] = useState(SOURCES.map((source) => source.id));
+  const [results, setResults] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState('');
+  const { code, user, canControl } = useRoomStore();
+  const isController = canControl();
+
+  const toggleSource = (id) => {
+    setSources((current) => (current.includes(id) ? current.filter((source) => source !== id) : [...current, id]));
+  };
+
+  const handleSearch = async (e) => {
+    e.preventDefault();
+    if (!query.trim() || !code || sources.length === 0) return;
+
+    setIsLoading(true);
+    setError('');
+    try {
+      const response = await api.get(`/rooms/${code}/search`, {
+        q: query.trim(),
+        userId: user?.id,
+        sources: sources.join(',')
+      });
+      setResults(response);
+    } catch (err) {
+      console.error('Search failed:', err);
+      setError('Search failed, please try again');
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="flex flex-col h-full bg-gray-50 rounded-lg overflow-hidden">
+      {/* Header */}
+      <div className="bg-white border-b p-4 space-y-2">
+        <h3 className="text-lg font-semibold text-gray-800">Search</h3>
+        <form onSubmit={handleSearch} className="flex space-x-2">
+          <input
+            type="text"
+            value={query}
+            onChange={(e) => setQuery(e.target.value)}
+            placeholder="Search what was said, noted or chatted"
+            className="flex-1 border rounded px-3 py-1 text-sm"
+            maxLength={200}
+          />
+          <button
+            type="submit"
+            disabled={isLoading || !query.trim()}
+            className="bg-blue-500 text-white px-3 py-1 rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+          >
+            {isLoading ? '…' : 'Go'}
+          </button>
+        </form>
+        <div className="flex flex-wrap gap-2 text-xs text-gray-600">
+          {SOURCES.map((source) => (
+            <label key={source.id} className="flex items-center space-x-1">
+              <input
+                type="checkbox"
+                checked={sources.includes(source.id)}
+                onChange={() => toggleSource(source.id)}
+              />
+              <span>{source.name}</span>
+            </label>
+          ))}
+        </div>
+        {!isController && (
+          <p className="text-xs text-gray-500">Only controllers can move the room to a result.</p>
+        )}
+      </div>
+
+      {/* Results */}
+      <div className="flex-1 overflow-y-auto p-4 space-y-2">
+        {error && <div className="text-sm text-red-600">{error}</div>}
+        {results && (
+          <div className="text-xs text-gray-500">
+            {results.total} matches · {results.mode === 'semantic' ? 'semantic + keyword' : 'keyword'} ranking
+          </div>
+        )}
+        {results?.results.map((hit) => (
+          <button
+            key={`${hit.type}-${hit.id}`}
+            onClick={() => seekRoom(hit.timestamp)}
+            disabled={!isController}
+            className="w-full text-left bg-white border rounded p-2 hover:bg-blue-50 disabled:hover:bg-white disabled:cursor-default"
+            title={isController ? 'Jump the room to this moment' : undefined}
+          >
+            <div className="flex items-center justify-between text-xs text-gray-500">
+              <span>
+                {ICONS[hit.type]} {hit.author || hit.speaker || hit.language || hit.type}
+              </span>
+              <span className="text-blue-600 font-mono">@{formatTimestamp(hit.timestamp)}</span>
+            </div>
+            <div className="text-sm text-gray-800 mt-1">
+              <Highlighted text={hit.text} ranges={hit.highlights} />
+            </div>
+          </button>
+        ))}
+        {results && results.results.length === 0 && (
+          <div className="text-center text-gray-500 text-sm py-8">No matches</div>
+        )}
+      </div>
+    </div>
+  );
+}
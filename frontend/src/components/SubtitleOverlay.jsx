@@ -0,0 +1,201 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { useRoomStore } from '../state/useRoomStore.js';
+import { expectedPosition } from '../services/playbackClock.js';
+import {
+  fetchSubtitleTracks,
+  fetchSubtitleCues,
+  pickTrack,
+  roomVideoId,
+  activeCues
+} from '../services/subtitles.js';
+
+const SUBTITLE_TICK_MS = 100;
+const TOP_ANCHORS = [7, 8, 9]; // numpad positions, see backend/src/utils/subtitleFormats
+
+const languageName = (language) => {
+  try {
+    return new Intl.DisplayNames([navigator.language || 'en'], { type: 'language' }).of(language);
+  } catch {
+    return language;
+  }
+};
+
+// Subtitles drawn over the player, following the room clock. Each participant
+// picks their own tracks; a second track is shown above the first.
+export default function SubtitleOverlay() {
+  const { code, user, state, subtitleTracks, subtitleChoice, setSubtitleTracks, loadSubtitleChoice } = useRoomStore();
+  const videoId = roomVideoId(state);
+  const [cues, setCues] = useState({ primary: [], secondary: [] });
+  const [showing, setShowing] = useState({ primary: [], secondary: [] });
+  const showingKeyRef = useRef('');
+
+  // Saved choice for this user and room
+  useEffect(() => {
+    loadSubtitleChoice();
+  }, [code, user?.id, loadSubtitleChoice]);
+
+  // Tracks can differ per video, so refetch when the room changes video
+  useEffect(() => {
+    if (!code) return;
+    let cancelled = false;
+    fetchSubtitleTracks(code).then((tracks) => {
+      if (!cancelled && Array.isArray(tracks)) setSubtitleTracks(tracks);
+    });
+    return () => { cancelled = true; };
+  }, [code, state.videoUrl, setSubtitleTracks]);
+
+  const primaryTrack = useMemo(
+    () => pickTrack(subtitleTracks, subtitleChoice.primary, videoId),
+    [subtitleTracks, subtitleChoice.primary, videoId]
+  );
+  const secondaryTrack = useMemo(
+    () => pickTrack(subtitleTracks, subtitleChoice.secondary, videoId),
+    [subtitleTracks, subtitleChoice.secondary, videoId]
+  );
+
+  useEffect(() => {
+    if (!code) return;
+    let cancelled = false;
+    const load = async (track) => {
+      if (!track) return [];
+      const result = await fetchSubtitleCues(code, track.id, track.language);
+      return Array.isArray(result) ? result : [];
+    };
+    Promise.all([load(primaryTrack), load(secondaryTrack)]).then(([primary, secondary]) => {
+      if (!cancelled) setCues({ primary, secondary });
+    });
+    return () => { cancelled = true; };
+  }, [code, primaryTrack?.id, secondaryTrack?.id]);
+
+  // Re-render only when the set of cues on screen changes
+  useEffect(() => {
+    if (cues.primary.length === 0 && cues.secondary.length === 0) {
+      showingKeyRef.current = '';
+      setShowing({ primary: [], secondary: [] });
+      return;
+    }
+
+    const tick = () => {
+      const { clock, clockSync, state: roomState } = useRoomStore.getState();
+      const t = clock ? expectedPosition(clock, Date.now() + clockSync.offsetMs) : (roomState.t || 0);
+      const next = { primary: activeCues(cues.primary, t), secondary: activeCues(cues.secondary, t) };
+      const key = [...next.primary, null, ...next.secondary].map((cue) => cue?.startTime ?? '|').join(',');
+      if (key === showingKeyRef.current) return;
+      showingKeyRef.current = key;
+      setShowing(next);
+    };
+
+    tick();
+    const timer = setInterval(tick, SUBTITLE_TICK_MS);
+    return () => clearInterval(timer);
+  }, [cues]);
+
+  const all = [
+    ...showing.secondary.map((cue) => ({ cue, secondary: true })),
+    ...showing.primary.map((cue) => ({ cue, secondary: false }))
+  ];
+  const top = all.filter(({ cue }) => TOP_ANCHORS.includes(cue.layout?.anchor));
+  const bottom = all.filter(({ cue }) => !TOP_ANCHORS.includes(cue.layout?.anchor));
+
+  if (all.length === 0) return null;
+
+  return (
+    <div className="absolute inset-0 pointer-events-none flex flex-col justify-between items-center px-4 pt-4 pb-14">
+      <div className="flex flex-col items-center space-y-1">
+        {top.map(({ cue, secondary }) => (
+          <SubtitleCue key={`${secondary}-${cue.startTime}`} cue={cue} secondary={secondary} />
+        ))}
+      </div>
+      <div className="flex flex-col items-center space-y-1">
+        {bottom.map(({ cue, secondary }) => (
+          <SubtitleCue key={`${secondary}-${cue.startTime}`} cue={cue} secondary={secondary} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+function SubtitleCue({ cue, secondary }) {
+  const runs = Array.isArray(cue.runs) && cue.runs.length > 0 ? cue.runs : [{ text: cue.text }];
+  return (
+    <div
+      className={`max-w-[90%] text-center whitespace-pre-line rounded px-2 py-0.5 bg-black/75 ${
+        secondary ? 'text-yellow-200 text-sm md:text-base' : 'text-white text-base md:text-xl'
+      }`}
+    >
+      {runs.map((run, i) => (
+        <span
+          key={i}
+          style={{
+            fontStyle: run.italic ? 'italic' : undefined,
+            fontWeight: run.bold ? 'bold' : undefined,
+            textDecoration: run.underline ? 'underline' : undefined,
+            color: secondary ? undefined : run.color
+          }}
+        >
+          {run.text}
+        </span>
+      ))}
+    </div>
+  );
+}
+
+// Per-user track selection under the player
+export function SubtitlePicker() {
+  const { code, state, subtitleTracks, subtitleChoice, setSubtitleChoice, setSubtitleTracks } = useRoomStore();
+  const videoId = roomVideoId(state);
+
+  // One entry per language that has a track usable for the current video
+  const languages = useMemo(() => {
+    const usable = subtitleTracks.filter((track) => !track.videoId || !videoId || track.videoId === videoId);
+    return [...new Set(usable.map((track) => track.language))].map((language) => {
+      const track = pickTrack(usable, language, videoId);
+      const tag = track.isMachineTranslated ? ' (machine)' : track.isAutoGenerated ? ' (auto)' : '';
+      return { language, label: `${languageName(language)}${tag}` };
+    });
+  }, [subtitleTracks, videoId]);
+
+  const refresh = async () => {
+    const tracks = await fetchSubtitleTracks(code);
+    if (Array.isArray(tracks)) setSubtitleTracks(tracks);
+  };
+
+  if (!code) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 text-sm text-gray-700">
+      <span className="font-medium">Subtitles</span>
+      <select
+        value={subtitleChoice.primary || ''}
+        onChange={(e) => setSubtitleChoice({ primary: e.target.value || null })}
+        className="border rounded px-2 py-1"
+      >
+        <option value="">Off</option>
+        {languages.map(({ language, label }) => (
+          <option key={language} value={language}>{label}</option>
+        ))}
+      </select>
+      <select
+        value={subtitleChoice.secondary || ''}
+        onChange={(e) => setSubtitleChoice({ secondary: e.target.value || null })}
+        disabled={!subtitleChoice.primary}
+        className="border rounded px-2 py-1 disabled:opacity-50"
+        title="Second language shown above the first"
+      >
+        <option value="">No second language</option>
+        {languages
+          .filter(({ language }) => language !== subtitleChoice.primary)
+          .map(({ language, label }) => (
+            <option key={language} value={language}>{label}</option>
+          ))}
+      </select>
+      <button
+        onClick={refresh}
+        className="text-gray-500 hover:text-gray-700"
+        title="Look for new subtitle tracks"
+      >
+        ↻
+      </button>
+    </div>
+  );
+}
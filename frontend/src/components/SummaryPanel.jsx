@@ -1,11 +1,17 @@
 import React, { useState, useEffect } from 'react';
 import { useRoomStore } from '../state/useRoomStore.js';
 import { api } from '../services/api.js';
+import CitedAnswer from './CitedAnswer.jsx';
 
 export default function SummaryPanel() {
   const [summary, setSummary] = useState(null);
   const [isGenerating, setIsGenerating] = useState(false);
   const [error, setError] = useState(null);
+  const [question, setQuestion] = useState('');
+  const [answers, setAnswers] = useState([]);
+  const [isAsking, setIsAsking] = useState(false);
+  const [askError, setAskError] = useState(null);
+  const [shareInChat, setShareInChat] = useState(true);
   const { code, user } = useRoomStore();
 
   // Load existing summary
@@ -52,6 +58,30 @@ export default function SummaryPanel() {
     }
   };
 
+  // Answered from the transcript up to the room's position, so it cannot spoil what is ahead
+  const askQuestion = async (e) => {
+    e.preventDefault();
+    if (!question.trim() || !code || !user || isAsking) return;
+
+    setIsAsking(true);
+    setAskError(null);
+    try {
+      const response = await api.post(`/rooms/${code}/ask`, {
+        userId: user.id,
+        username: user.name,
+        question: question.trim(),
+        share: shareInChat
+      });
+      setAnswers(prev => [...prev, response]);
+      setQuestion('');
+    } catch (error) {
+      console.error('Failed to ask about the video:', error);
+      setAskError('Could not answer that right now. Please try again.');
+    } finally {
+      setIsAsking(false);
+    }
+  };
+
   const exportSummary = async (format = 'json') => {
     if (!summary) return;
 
@@ -269,6 +299,48 @@ export default function SummaryPanel() {
           </div>
         )}
       </div>
+
+      {/* Ask about the video */}
+      <div className="bg-white border-t p-4 space-y-2">
+        <h4 className="text-sm font-semibold text-gray-800">Ask about this video</h4>
+        {answers.length > 0 && (
+          <div className="max-h-48 overflow-y-auto space-y-3">
+            {answers.map((item, index) => (
+              <div key={index} className="text-sm">
+                <p className="font-medium text-gray-800">{item.question}</p>
+                <CitedAnswer answer={item.answer} citations={item.citations} onSeek={jumpToSegment} />
+                <p className="text-xs text-gray-400">
+                  Up to {formatTimestamp(item.position)}
+                  {item.answeredBy === 'extractive' && ' · quoted from the transcript'}
+                </p>
+              </div>
+            ))}
+          </div>
+        )}
+        {askError && <p className="text-sm text-red-600">{askError}</p>}
+        <form onSubmit={askQuestion} className="flex space-x-2">
+          <input
+            type="text"
+            value={question}
+            onChange={(e) => setQuestion(e.target.value)}
+            placeholder="What has happened so far?"
+            className="flex-1 border rounded px-3 py-1 text-sm"
+            maxLength={300}
+            disabled={isAsking}
+          />
+          <button
+            type="submit"
+            disabled={isAsking || !question.trim()}
+            className="bg-blue-500 text-white px-3 py-1 rounded text-sm hover:bg-blue-600 disabled:opacity-50"
+          >
+            {isAsking ? '…' : 'Ask'}
+          </button>
+        </form>
+        <label className="flex items-center space-x-1 text-xs text-gray-600">
+          <input type="checkbox" checked={shareInChat} onChange={(e) => setShareInChat(e.target.checked)} />
+          <span>Post the question and answer in chat</span>
+        </label>
+      </div>
     </div>
   );
 }
@@ -1,20 +1,35 @@
-import React, { useRef, useEffect, useCallback, useMemo } from 'react';
+import React, { useRef, useEffect, useCallback, useMemo, useState } from 'react';
 import { useRoomStore } from '../state/useRoomStore.js';
-import { getSocket, setRoomVideo } from '../services/socket.js';
+import { setRoomVideo, setRoomLocalFile, verifyLocalFile, reportQueueEnded, sendPlayback, sendHeartbeat } from '../services/socket.js';
 import ReactPlayer from 'react-player';
 import { uploadAndGetUrl } from '../services/upload.js';
+import { hashFile } from '../services/contentHash.js';
+import { roomVideoId } from '../services/subtitles.js';
+import { fetchPreviewCues, previewAt } from '../services/previews.js';
+import { expectedPosition } from '../services/playbackClock.js';
+import { correctionStep, bufferedAhead, SYNC_TOLERANCE_MS } from '../services/driftCorrection.js';
+import SubtitleOverlay, { SubtitlePicker } from './SubtitleOverlay.jsx';
+
+const CORRECTION_INTERVAL_MS = 500;
+const HEARTBEAT_INTERVAL_MS = 3000;
+const HAVE_CURRENT_DATA = 2; // HTMLMediaElement.readyState
 
 export default function VideoPlayer() {
   const videoRef = useRef(null);
   const { 
     state, 
+    clock,
     updateState,
     code: roomCode, 
     user, 
     hostId, 
     controllers,
-    canControl 
+    videoSource,
+    fileVerification,
+    canControl,
+    canSync
   } = useRoomStore();
+  const syncing = canSync();
   
   // Calculate these values first, before using them in effects
   const url = state?.videoUrl || '';
@@ -24,35 +39,60 @@ export default function VideoPlayer() {
   
   console.log('🎮 VideoPlayer render - canControl:', canControl(), 'User:', user?.id, 'Host:', hostId, 'Controllers:', controllers);
 
-  const emitState = useCallback((partial) => {
+  // Local progress only; the room clock moves through playback events
+  const trackState = useCallback((partial) => {
     if (!roomCode) return;
-    const payload = { ...state, ...partial };
-    getSocket().emit('state:update', payload);
     updateState(partial);
-  }, [roomCode, state, updateState]);
+  }, [roomCode, updateState]);
+
+  // Player events we cause ourselves (remote sync, drift correction) are not re-broadcast
+  const suppressRef = useRef({ play: false, pause: false, seek: false, rate: false });
+  const [driftMs, setDriftMs] = useState(0);
+
+  // Controllers move the room clock; apply the same change locally so the
+  // correction loop doesn't pull us back to the clock we just replaced
+  const publishPlayback = useCallback((action) => {
+    const v = videoRef.current;
+    if (!v || !roomCode || !canControl() || !canSync()) return;
+    const { clock, clockSync, applyClock } = useRoomStore.getState();
+    const rate = action === 'rate' ? v.playbackRate : (clock?.rate || 1);
+    sendPlayback(action, { t: v.currentTime, rate });
+    applyClock({ t: v.currentTime, paused: v.paused, rate, serverTime: Date.now() + clockSync.offsetMs });
+  }, [roomCode, canControl, canSync]);
 
   useEffect(() => {
     const v = videoRef.current;
     if (!v) return;
-    const onPlay = () => getSocket().emit('play');
-    const onPause = () => getSocket().emit('pause', { t: v.currentTime });
-    const onSeeked = () => getSocket().emit('seek', { t: v.currentTime });
-    const onRate = () => emitState({ rate: v.playbackRate });
-    const timeInterval = setInterval(() => {
-      if (!v.paused) emitState({ t: v.currentTime });
-    }, 600);
+    const handle = (action) => () => {
+      if (suppressRef.current[action]) {
+        suppressRef.current[action] = false;
+        return;
+      }
+      // Reaching the end fires 'pause'; the queue decides what happens next instead
+      if (action === 'pause' && v.ended) return;
+      publishPlayback(action);
+    };
+    const onEnded = () => {
+      const { nowPlaying } = useRoomStore.getState();
+      if (nowPlaying) reportQueueEnded(nowPlaying.id);
+    };
+    const onPlay = handle('play');
+    const onPause = handle('pause');
+    const onSeeked = handle('seek');
+    const onRate = handle('rate');
     v.addEventListener('play', onPlay);
     v.addEventListener('pause', onPause);
     v.addEventListener('seeked', onSeeked);
     v.addEventListener('ratechange', onRate);
+    v.addEventListener('ended', onEnded);
     return () => {
-      clearInterval(timeInterval);
       v.removeEventListener('play', onPlay);
       v.removeEventListener('pause', onPause);
       v.removeEventListener('seeked', onSeeked);
       v.removeEventListener('ratechange', onRate);
+      v.removeEventListener('ended', onEnded);
     };
-  }, [emitState]);
+  }, [publishPlayback]);
 
   // Load shared video URL when room state changes
   useEffect(() => {
@@ -69,37 +109,100 @@ export default function VideoPlayer() {
       v.src = newSrc;
       v.load();
       
-      // Sync with room state after loading
+      // Sync with the room clock after loading
       v.addEventListener('loadeddata', () => {
-        if (typeof state.t === 'number') v.currentTime = state.t;
-        if (!state.paused) v.play().catch(() => {});
+        const { clock, clockSync } = useRoomStore.getState();
+        if (clock) {
+          suppressRef.current.seek = true;
+          v.currentTime = expectedPosition(clock, Date.now() + clockSync.offsetMs);
+        }
+        if (!useRoomStore.getState().state.paused) {
+          suppressRef.current.play = true;
+          v.play().catch(() => { suppressRef.current.play = false; });
+        }
       }, { once: true });
     }
   }, [state?.videoUrl, isYouTube]);
 
-  // Sync video playback state with room state
+  // Sync play/pause with room state; position and rate are handled by the correction loop
   useEffect(() => {
     if (isYouTube) return; // ReactPlayer handles this
     const v = videoRef.current;
-    if (!v) return;
+    if (!v || !syncing) return;
     
-    // Sync current time
-    if (typeof state.t === 'number' && Math.abs(v.currentTime - state.t) > 1) {
-      v.currentTime = state.t;
-    }
-    
-    // Sync play/pause state
     if (state.paused && !v.paused) {
+      suppressRef.current.pause = true;
       v.pause();
     } else if (!state.paused && v.paused && v.src) {
-      v.play().catch(() => {});
-    }
-    
-    // Sync playback rate
-    if (state.rate && v.playbackRate !== state.rate) {
-      v.playbackRate = state.rate;
+      suppressRef.current.play = true;
+      v.play().catch(() => { suppressRef.current.play = false; });
     }
-  }, [state.t, state.paused, state.rate, isYouTube]);
+  }, [state.paused, isYouTube, syncing]);
+
+  // Drift correction loop: nudge playbackRate for small drift, hard-seek only past
+  // the skip threshold. Re-runs immediately whenever a new clock snapshot arrives.
+  // A local file the server hasn't matched yet plays on its own.
+  useEffect(() => {
+    if (isYouTube || !roomCode || !syncing) return;
+
+    const setRate = (v, rate) => {
+      if (Math.abs(v.playbackRate - rate) < 0.001) return;
+      suppressRef.current.rate = true;
+      v.playbackRate = rate;
+    };
+    const seekTo = (v, t) => {
+      suppressRef.current.seek = true;
+      v.currentTime = t;
+    };
+
+    const correct = () => {
+      const v = videoRef.current;
+      const { clock: roomClock, clockSync } = useRoomStore.getState();
+      if (!v || !v.src || !roomClock || v.readyState < HAVE_CURRENT_DATA || v.seeking) return;
+
+      const baseRate = roomClock.rate || 1;
+      const expected = expectedPosition(roomClock, Date.now() + clockSync.offsetMs);
+      const lagMs = (expected - v.currentTime) * 1000;
+      setDriftMs(Math.round(lagMs));
+
+      if (roomClock.paused) {
+        // Seeking a paused video doesn't stutter, so just snap to the clock
+        setRate(v, baseRate);
+        if (Math.abs(lagMs) > SYNC_TOLERANCE_MS) seekTo(v, expected);
+        return;
+      }
+      if (v.paused) return; // play/pause sync (or autoplay policy) decides this
+
+      const step = correctionStep({ lagMs, currentRate: v.playbackRate, baseRate });
+      if (step.action === 'seek') seekTo(v, expected);
+      setRate(v, step.playbackRate);
+    };
+
+    correct();
+    const correctionTimer = setInterval(correct, CORRECTION_INTERVAL_MS);
+    return () => clearInterval(correctionTimer);
+  }, [clock, roomCode, isYouTube, syncing]);
+
+  // Report our position so the server can measure drift against the room clock
+  useEffect(() => {
+    if (isYouTube || !roomCode) return;
+
+    const reportPosition = () => {
+      const v = videoRef.current;
+      if (!v || !v.src) return;
+      sendHeartbeat({
+        playback: {
+          position: v.currentTime,
+          clientTime: Date.now(),
+          playbackRate: v.playbackRate,
+          bufferedSeconds: bufferedAhead(v)
+        }
+      });
+    };
+
+    const heartbeatTimer = setInterval(reportPosition, HEARTBEAT_INTERVAL_MS);
+    return () => clearInterval(heartbeatTimer);
+  }, [roomCode, isYouTube]);
 
   return (
     <div className="space-y-2">
@@ -112,42 +215,167 @@ export default function VideoPlayer() {
         <div>User: {user?.id || 'None'}</div>
         <div>Paused: {state.paused ? 'Yes' : 'No'}</div>
         <div>Time: {state.t?.toFixed(1) || 0}s</div>
+        <div>Drift: {driftMs}ms</div>
       </div>
+
+      {videoSource.source === 'local' && (
+        <LocalFileStatus videoSource={videoSource} fileVerification={fileVerification} />
+      )}
       
-      {isYouTube ? (
-        <ReactPlayer
-          url={url}
-          width="100%"
-          height="60vh"
-          controls
-          playing={!state.paused}
-          playbackRate={state.rate || 1}
-          onProgress={({ playedSeconds }) => emitState({ t: playedSeconds })}
-          onPlay={() => canControl() && getSocket().emit('play')}
-          onPause={() => canControl() && getSocket().emit('pause', { t: state.t })}
-          onSeek={(seconds) => canControl() && getSocket().emit('seek', { t: seconds })}
-        />
-      ) : (
-        <>
+      <div className="relative">
+        {isYouTube ? (
+          <ReactPlayer
+            url={url}
+            width="100%"
+            height="60vh"
+            controls
+            playing={!state.paused}
+            playbackRate={state.rate || 1}
+            onProgress={({ playedSeconds }) => trackState({ t: playedSeconds })}
+            onPlay={() => canControl() && sendPlayback('play', { t: state.t })}
+            onPause={() => canControl() && sendPlayback('pause', { t: state.t })}
+            onSeek={(seconds) => canControl() && sendPlayback('seek', { t: seconds })}
+            onEnded={() => {
+              const { nowPlaying } = useRoomStore.getState();
+              if (nowPlaying) reportQueueEnded(nowPlaying.id);
+            }}
+          />
+        ) : (
           <video ref={videoRef} className="w-full max-h-[60vh] bg-black" controls />
+        )}
+        <SubtitleOverlay />
+      </div>
+      {!isYouTube && <SeekBar videoRef={videoRef} />}
+      <SubtitlePicker />
+
+      {!isYouTube && (
+        <>
           {/* Host or any participant can load a local file; blob URLs are not shareable to others. */}
-          <LocalFileLoader onLoad={(src, hash) => {
-            console.log('File loaded:', { src, hash, canControl: canControl() });
-            // Update local playback state
-            emitState({ videoHash: hash, t: 0 });
-            // Only broadcast if it's a network URL accessible by everyone
-            if (canControl() && roomCode && /^https?:/i.test(src)) {
-              console.log('Broadcasting network URL:', src);
-              setRoomVideo(roomCode, src);
-            }
-          }} videoRef={videoRef} />
+          <LocalFileLoader videoRef={videoRef} />
         </>
       )}
     </div>
   );
 }
 
-function LocalFileLoader({ onLoad, videoRef }) {
+const formatTime = (seconds) => {
+  const minutes = Math.floor(seconds / 60);
+  const secs = Math.floor(seconds % 60);
+  return `${minutes}:${secs.toString().padStart(2, '0')}`;
+};
+
+// Seek bar with preview thumbnails: hovering shows the frame at that point,
+// so everyone can see where a jump would land before a controller makes it.
+// Only controllers can click to seek; the room clock decides for the rest.
+function SeekBar({ videoRef }) {
+  const { state, canControl } = useRoomStore();
+  const videoId = roomVideoId(state);
+  const [cues, setCues] = useState([]);
+  const [position, setPosition] = useState({ currentTime: 0, duration: 0 });
+  const [hover, setHover] = useState(null); // { t, left }
+  const barRef = useRef(null);
+
+  // Thumbnails exist only for platform videos, once the server has drawn them
+  useEffect(() => {
+    setCues([]);
+    if (!videoId) return;
+    let cancelled = false;
+    fetchPreviewCues(videoId).then((loaded) => {
+      if (!cancelled) setCues(loaded);
+    });
+    return () => { cancelled = true; };
+  }, [videoId]);
+
+  useEffect(() => {
+    const v = videoRef.current;
+    if (!v) return;
+    const update = () => setPosition({ currentTime: v.currentTime, duration: v.duration || 0 });
+    v.addEventListener('timeupdate', update);
+    v.addEventListener('durationchange', update);
+    v.addEventListener('seeked', update);
+    return () => {
+      v.removeEventListener('timeupdate', update);
+      v.removeEventListener('durationchange', update);
+      v.removeEventListener('seeked', update);
+    };
+  }, [videoRef]);
+
+  const { currentTime, duration } = position;
+  if (!duration) return null;
+
+  const timeAt = (clientX) => {
+    const rect = barRef.current.getBoundingClientRect();
+    const fraction = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width));
+    return { t: fraction * duration, left: fraction * 100 };
+  };
+  const seekable = canControl();
+  const preview = hover && previewAt(cues, hover.t);
+
+  return (
+    <div
+      ref={barRef}
+      className={`relative h-3 bg-gray-300 rounded ${seekable ? 'cursor-pointer' : 'cursor-default'}`}
+      onMouseMove={(e) => setHover(timeAt(e.clientX))}
+      onMouseLeave={() => setHover(null)}
+      onClick={(e) => {
+        const v = videoRef.current;
+        if (!seekable || !v) return;
+        // The 'seeked' listener publishes the jump to the room
+        v.currentTime = timeAt(e.clientX).t;
+      }}
+    >
+      <div className="h-full bg-blue-500 rounded" style={{ width: `${(currentTime / duration) * 100}%` }} />
+      {hover && (
+        <div
+          className="absolute bottom-5 -translate-x-1/2 pointer-events-none flex flex-col items-center"
+          style={{ left: `${hover.left}%` }}
+        >
+          {preview && (
+            <div
+              className="border border-white shadow bg-black"
+              style={{
+                width: preview.width,
+                height: preview.height,
+                backgroundImage: `url("${preview.url}")`,
+                backgroundPosition: `-${preview.x}px -${preview.y}px`
+              }}
+            />
+          )}
+          <span className="text-xs text-white bg-black/75 px-1 rounded">{formatTime(hover.t)}</span>
+        </div>
+      )}
+    </div>
+  );
+}
+
+// What a local-file room plays and whether our copy has been matched
+function LocalFileStatus({ videoSource, fileVerification }) {
+  const { status, reason } = fileVerification;
+  const messages = {
+    idle: 'Open your copy of this file to watch along',
+    checking: 'Checking your file…',
+    verified: 'Your file matches; playback is in sync',
+    rejected: reason === 'size-mismatch' || reason === 'hash-mismatch'
+      ? 'Your file is not the same as the room\'s; open the exact same file'
+      : 'Your file has not been verified yet'
+  };
+  return (
+    <div className={`text-sm p-2 rounded ${status === 'verified' ? 'bg-green-50 text-green-800' : 'bg-yellow-50 text-yellow-800'}`}>
+      <div>Room file: {videoSource.videoName || videoSource.videoHash?.slice(0, 12)}</div>
+      <div>{messages[status] || messages.idle}</div>
+      <div className="text-xs">{videoSource.verifiedParticipants.length} participant(s) ready</div>
+    </div>
+  );
+}
+
+// Opens a file for this user. In a local-file room it is checked against the
+// room's; otherwise a controller either uploads it for everyone or has
+// everyone open their own copy (no upload; matched by content hash).
+function LocalFileLoader({ videoRef }) {
+  const [shareAsLocal, setShareAsLocal] = useState(false);
+  const [hashProgress, setHashProgress] = useState(null);
+  const { videoSource, canControl } = useRoomStore();
+
   const handleFile = async (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -155,38 +383,62 @@ function LocalFileLoader({ onLoad, videoRef }) {
     console.log('File selected:', file.name, file.type);
     const url = URL.createObjectURL(file);
     if (videoRef.current) videoRef.current.src = url;
-    const hash = await hashFile(file);
-    onLoad(url, hash);
-    
-    // If user can control, upload to backend and broadcast the shareable URL
+
+    let hash;
+    try {
+      setHashProgress(0);
+      hash = await hashFile(file, { onProgress: setHashProgress });
+    } catch (err) {
+      console.error('Hashing failed:', err);
+      return;
+    } finally {
+      setHashProgress(null);
+    }
+
     const store = useRoomStore.getState();
-    const canControlRoom = store.canControl();
-    
-    console.log('Upload check:', { canControl: canControlRoom, roomCode: store.code, userId: store.user?.id });
-    
-    if (canControlRoom && store.code) {
-      try {
-        console.log('Starting upload...');
-        const remoteUrl = await uploadAndGetUrl(file, store.user?.id);
-        console.log('Upload completed, URL:', remoteUrl);
-        
-        if (remoteUrl) {
-          setRoomVideo(store.code, remoteUrl);
-          store.updateState({ videoUrl: remoteUrl, t: 0 });
-        }
-      } catch (err) {
-        console.error('Upload failed:', err);
+    const localFile = { hash, size: file.size, name: file.name };
+    store.setLocalFile(localFile);
+    store.updateState({ t: 0 });
+    if (!store.code) return;
+
+    if (store.videoSource.source === 'local') {
+      verifyLocalFile(localFile);
+      return;
+    }
+    if (!store.canControl()) return;
+
+    if (shareAsLocal) {
+      setRoomLocalFile(store.code, localFile);
+      return;
+    }
+
+    // Upload to backend and broadcast the shareable URL
+    try {
+      console.log('Starting upload...');
+      const remoteUrl = await uploadAndGetUrl(file, store.user?.id, { temporary: true, contentHash: hash });
+      console.log('Upload completed, URL:', remoteUrl);
+      
+      if (remoteUrl) {
+        setRoomVideo(store.code, remoteUrl);
+        store.updateState({ videoUrl: remoteUrl, t: 0 });
       }
+    } catch (err) {
+      console.error('Upload failed:', err);
     }
   };
-  return <input type="file" accept="video/*" onChange={handleFile} className="text-sm" />;
-}
 
-async function hashFile(file) {
-  const chunkSize = 1024 * 512;
-  const head = file.slice(0, chunkSize);
-  const tail = file.slice(file.size - chunkSize, file.size);
-  const buffer = await new Blob([head, tail, new TextEncoder().encode(String(file.size))]).arrayBuffer();
-  const digest = await crypto.subtle.digest('SHA-256', buffer);
-  return btoa(String.fromCharCode(...new Uint8Array(digest))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  return (
+    <div className="space-y-1">
+      <input type="file" accept="video/*" onChange={handleFile} className="text-sm" />
+      {canControl() && videoSource.source !== 'local' && (
+        <label className="flex items-center gap-2 text-sm">
+          <input type="checkbox" checked={shareAsLocal} onChange={(e) => setShareAsLocal(e.target.checked)} />
+          Everyone opens their own copy (no upload)
+        </label>
+      )}
+      {hashProgress !== null && (
+        <div className="text-xs text-gray-600">Hashing file… {Math.round(hashProgress * 100)}%</div>
+      )}
+    </div>
+  );
 }
@@ -1,5 +1,8 @@
 import React, { useState, useRef } from 'react';
 import { useRoomStore } from '../state/useRoomStore.js';
+import { resumableUpload } from '../services/upload.js';
+
+const formatMB = (bytes) => (bytes / (1024 * 1024)).toFixed(1);
 
 export default function VideoRoomCreator() {
   const [isCreating, setIsCreating] = useState(false);
@@ -8,7 +11,9 @@ export default function VideoRoomCreator() {
   const [maxParticipants, setMaxParticipants] = useState(10);
   const [createdRoom, setCreatedRoom] = useState(null);
   const [error, setError] = useState('');
+  const [uploadProgress, setUploadProgress] = useState(null);
   const fileInputRef = useRef(null);
+  const uploadAbortRef = useRef(null);
   const { setRoom } = useRoomStore();
 
   const handleFileSelect = (event) => {
@@ -19,13 +24,7 @@ export default function VideoRoomCreator() {
         setError('Please select a valid video file');
         return;
       }
-      
-      // Validate file size (100MB limit)
-      if (file.size > 100 * 1024 * 1024) {
-        setError('Video file size must be less than 100MB');
-        return;
-      }
-      
+
       setVideoFile(file);
       setVideoTitle(file.name.replace(/\.[^/.]+$/, '')); // Remove extension
       setError('');
@@ -42,15 +41,26 @@ export default function VideoRoomCreator() {
     setError('');
 
     try {
-      const formData = new FormData();
-      formData.append('videoFile', videoFile);
-      formData.append('videoTitle', videoTitle);
-      formData.append('maxParticipants', maxParticipants);
-      formData.append('userId', `user_${Date.now()}`); // Generate temporary user ID
+      // Temporary user ID, kept per file so a retried upload resumes under the same uploader
+      const userId = `user_${videoFile.lastModified}_${videoFile.size}`;
+      const abortController = new AbortController();
+      uploadAbortRef.current = abortController;
+      setUploadProgress({ loaded: 0, total: videoFile.size, progress: 0 });
+
+      const upload = await resumableUpload(videoFile, {
+        userId,
+        title: videoTitle,
+        isPublic: true, // anyone with the room code can watch
+        temporary: true, // kept as long as the room is
+        onProgress: setUploadProgress,
+        signal: abortController.signal
+      });
+      setUploadProgress(null);
 
       const response = await fetch('/api/rooms', {
         method: 'POST',
-        body: formData
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ videoId: upload.videoId, maxParticipants, userId })
       });
 
       if (!response.ok) {
@@ -59,7 +69,7 @@ export default function VideoRoomCreator() {
       }
 
       const roomData = await response.json();
-      setCreatedRoom(roomData);
+      setCreatedRoom({ joinUrl: `${window.location.origin}/room/${roomData.code}`, ...roomData });
       
       // Set the room in the store
       setRoom({
@@ -69,15 +79,21 @@ export default function VideoRoomCreator() {
         currentState: roomData.currentState
       });
 
-      logger.info('🎬 Video room created successfully:', roomData);
+      console.log('🎬 Video room created successfully:', roomData);
     } catch (err) {
-      setError(err.message);
-      logger.error('❌ Failed to create video room:', err);
+      setError(err.name === 'AbortError' ? 'Upload cancelled; select the same file again to resume' : err.message);
+      console.error('❌ Failed to create video room:', err);
     } finally {
+      uploadAbortRef.current = null;
+      setUploadProgress(null);
       setIsCreating(false);
     }
   };
 
+  const cancelUpload = () => {
+    uploadAbortRef.current?.abort();
+  };
+
   const handleJoinRoom = () => {
     if (createdRoom) {
       // Navigate to the room or update the current room state
@@ -224,6 +240,29 @@ export default function VideoRoomCreator() {
           </div>
         )}
 
+        {/* Upload Progress */}
+        {uploadProgress && (
+          <div>
+            <div className="flex justify-between text-sm text-gray-600 mb-1">
+              <span>Uploading… {Math.floor(uploadProgress.progress * 100)}%</span>
+              <span>{formatMB(uploadProgress.loaded)} / {formatMB(uploadProgress.total)} MB</span>
+            </div>
+            <div className="w-full h-2 bg-gray-200 rounded-full overflow-hidden">
+              <div
+                className="h-full bg-blue-600 transition-all"
+                style={{ width: `${uploadProgress.progress * 100}%` }}
+              />
+            </div>
+            <button
+              type="button"
+              onClick={cancelUpload}
+              className="mt-2 text-sm text-gray-500 hover:text-gray-700"
+            >
+              Cancel upload
+            </button>
+          </div>
+        )}
+
         {/* Create Button */}
         <button
           type="submit"
@@ -234,7 +273,7 @@ export default function VideoRoomCreator() {
               : 'bg-blue-600 text-white hover:bg-blue-700'
           }`}
         >
-          {isCreating ? 'Creating Room...' : 'Create Video Room'}
+          {isCreating ? (uploadProgress ? 'Uploading Video...' : 'Creating Room...') : 'Create Video Room'}
         </button>
       </form>
 
@@ -242,7 +281,7 @@ export default function VideoRoomCreator() {
       <div className="mt-8 p-4 bg-blue-50 rounded-lg">
         <h3 className="font-medium text-blue-800 mb-2">ℹ️ How it works</h3>
         <ul className="text-sm text-blue-700 space-y-1">
-          <li>• Upload your video file (max 100MB)</li>
+          <li>• Upload your video file; large recordings resume if the connection drops</li>
           <li>• Get a unique room code and shareable link</li>
           <li>• Host controls playback for all participants</li>
           <li>• Video automatically expires after viewing</li>
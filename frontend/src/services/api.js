@@ -100,9 +100,19 @@ export async function updateState(code, state) {
   }
 }
 
-export async function setRoomVideoUrl(code, videoUrl) {
+// Host-only: keep the room across sessions and choose how long it is retained
+export async function setRoomPersistence(code, settings) {
   try {
-    return await api.post(`/rooms/${code}/video`, { videoUrl });
+    return await api.post(`/rooms/${code}/persistence`, settings);
+  } catch (error) {
+    console.error('Failed to update room persistence:', error);
+    return { error: error.message };
+  }
+}
+
+export async function setRoomVideoUrl(code, userId, videoUrl) {
+  try {
+    return await api.post(`/rooms/${code}/video`, { userId, videoUrl });
   } catch (error) {
     console.error('Failed to set room video URL:', error);
     return { error: error.message };
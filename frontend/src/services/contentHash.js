@@ -0,0 +1,21 @@
+// Content hash of a video file, matching backend/src/utils/contentHash.js:
+// SHA-256 of the concatenated SHA-256 digests of each 4 MiB block, as hex.
+// Reading block by block keeps memory flat for multi-gigabyte files.
+export const CONTENT_HASH_BLOCK_SIZE = 4 * 1024 * 1024;
+
+const toHex = (buffer) => Array.from(new Uint8Array(buffer), (byte) => byte.toString(16).padStart(2, '0')).join('');
+
+export async function hashFile(file, { onProgress, signal } = {}) {
+  const blockCount = Math.ceil(file.size / CONTENT_HASH_BLOCK_SIZE);
+  const digests = new Uint8Array(blockCount * 32);
+
+  for (let i = 0; i < blockCount; i++) {
+    if (signal?.aborted) throw new DOMException('Hashing cancelled', 'AbortError');
+    const start = i * CONTENT_HASH_BLOCK_SIZE;
+    const block = file.slice(start, Math.min(start + CONTENT_HASH_BLOCK_SIZE, file.size));
+    digests.set(new Uint8Array(await crypto.subtle.digest('SHA-256', await block.arrayBuffer())), i * 32);
+    onProgress?.((i + 1) / blockCount);
+  }
+
+  return toHex(await crypto.subtle.digest('SHA-256', digests));
+}
@@ -0,0 +1,63 @@
+// Client-side drift correction. The thresholds and formulas mirror SyncUtils in
+// backend/src/utils/syncUtils.js so the player and the server agree on what
+// "in sync" means: nudge playbackRate for small drift, hard-seek only past the
+// skip threshold.
+
+export const SYNC_TOLERANCE_MS = 100;
+export const LAG_THRESHOLD_MS = 1000;
+export const SKIP_THRESHOLD_MS = 3000;
+export const MIN_PLAYBACK_RATE = 0.5;
+export const MAX_PLAYBACK_RATE = 1.5;
+const DEFAULT_PLAYBACK_RATE = 1.0;
+
+// Playback rate that closes `lagMs` (positive = behind, negative = ahead)
+export function playbackRateFromLag(lagMs, options = {}) {
+  const {
+    aggressiveness = 1.0,
+    maxAdjustment = 0.5,
+    toleranceMs = SYNC_TOLERANCE_MS
+  } = options;
+
+  if (Math.abs(lagMs) <= toleranceMs) return DEFAULT_PLAYBACK_RATE;
+
+  const adjustment = Math.min((Math.abs(lagMs) / 1500) * maxAdjustment * aggressiveness, maxAdjustment);
+  const rate = lagMs > 0 ? DEFAULT_PLAYBACK_RATE + adjustment : DEFAULT_PLAYBACK_RATE - adjustment;
+
+  return Math.max(MIN_PLAYBACK_RATE, Math.min(MAX_PLAYBACK_RATE, rate));
+}
+
+// Step from the current rate towards the target without jarring jumps
+export function smoothRateTransition(currentRate, targetRate, maxStep = 0.1) {
+  const diff = targetRate - currentRate;
+  if (Math.abs(diff) <= maxStep) return targetRate;
+  return currentRate + Math.sign(diff) * maxStep;
+}
+
+// One tick of the correction loop. `baseRate` is the room's playback rate;
+// corrections are applied relative to it.
+export function correctionStep({ lagMs, currentRate, baseRate = DEFAULT_PLAYBACK_RATE }) {
+  if (Math.abs(lagMs) > SKIP_THRESHOLD_MS) {
+    return { action: 'seek', playbackRate: baseRate };
+  }
+
+  // Moderate lag gets the same extra aggressiveness as SyncUtils.generateSyncStrategy
+  const aggressiveness = Math.abs(lagMs) > LAG_THRESHOLD_MS ? 1.5 : 1.0;
+  const targetRate = baseRate * playbackRateFromLag(lagMs, { aggressiveness });
+  const playbackRate = smoothRateTransition(currentRate, targetRate);
+
+  return {
+    action: playbackRate === baseRate ? 'maintain' : 'adjust_rate',
+    playbackRate
+  };
+}
+
+// Seconds buffered ahead of the playhead, for heartbeat buffer health
+export function bufferedAhead(video) {
+  const { buffered, currentTime } = video;
+  for (let i = 0; i < buffered.length; i++) {
+    if (buffered.start(i) <= currentTime && currentTime <= buffered.end(i)) {
+      return buffered.end(i) - currentTime;
+    }
+  }
+  return 0;
+}
@@ -0,0 +1,20 @@
+// Room clock snapshots arrive as { t, paused, rate, serverTime }: the position `t`
+// the server computed at `serverTime`. While playing, the real position keeps moving.
+// `now` is server time: Date.now() plus the clock offset from the clock_sync handshake.
+
+// Where playback should be right now according to a clock snapshot
+export function expectedPosition(clock, now = Date.now()) {
+  if (!clock || typeof clock.t !== 'number') return 0;
+  if (clock.paused !== false || typeof clock.serverTime !== 'number') return clock.t;
+  const elapsedMs = Math.max(0, now - clock.serverTime);
+  return clock.t + (elapsedMs / 1000) * (clock.rate || 1);
+}
+
+// Convert a clock snapshot into a room state patch for the store
+export function clockToState(clock, now = Date.now()) {
+  const updates = {};
+  if (typeof clock?.paused === 'boolean') updates.paused = clock.paused;
+  if (typeof clock?.rate === 'number') updates.rate = clock.rate;
+  if (typeof clock?.t === 'number') updates.t = expectedPosition(clock, now);
+  return updates;
+}
@@ -0,0 +1,66 @@
+import { api } from './api.js';
+
+// Seek-bar preview thumbnails. The server draws sprite sheets after upload
+// and indexes them with a WebVTT track whose cues point at one tile each
+// ("sprite_000.jpg#xywh=x,y,w,h"); see backend/src/utils/previewSprites.js.
+
+const TIMING = /^(\S+)\s+-->\s+(\S+)/;
+
+// "[hh:]mm:ss.mmm" in seconds
+function parseTimestamp(text) {
+  const parts = text.split(':').map(Number);
+  return parts.reduce((total, part) => total * 60 + part, 0);
+}
+
+// Cues of a thumbnails track: [{ start, end, url, x, y, width, height }], sorted by start
+export function parsePreviewTrack(text, trackUrl) {
+  const cues = [];
+  for (const block of text.replace(/\r/g, '').split(/\n{2,}/)) {
+    const lines = block.trim().split('\n');
+    const timingIndex = lines.findIndex((line) => TIMING.test(line));
+    const target = lines[timingIndex + 1];
+    if (timingIndex < 0 || !target) continue;
+
+    const [, start, end] = lines[timingIndex].match(TIMING);
+    const [file, fragment = ''] = target.trim().split('#');
+    const [x, y, width, height] = (fragment.match(/^xywh=(\d+),(\d+),(\d+),(\d+)$/) || []).slice(1).map(Number);
+    if (width === undefined) continue;
+    cues.push({
+      start: parseTimestamp(start),
+      end: parseTimestamp(end),
+      // Sheet names are relative to the track
+      url: new URL(file, trackUrl).toString(),
+      x,
+      y,
+      width,
+      height
+    });
+  }
+  return cues.sort((a, b) => a.start - b.start);
+}
+
+// Thumbnails of a platform video; [] while none are ready
+export async function fetchPreviewCues(videoId) {
+  const trackUrl = new URL(`${api.baseURL}/videos/${videoId}/previews/thumbnails.vtt`, window.location.href).toString();
+  try {
+    const response = await fetch(trackUrl);
+    if (!response.ok) return [];
+    return parsePreviewTrack(await response.text(), trackUrl);
+  } catch (error) {
+    console.error('Failed to fetch preview thumbnails:', error);
+    return [];
+  }
+}
+
+// Cue covering time `t` (seconds), or null
+export function previewAt(cues, t) {
+  let low = 0;
+  let high = cues.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (cues[mid].start <= t) low = mid + 1;
+    else high = mid;
+  }
+  const cue = cues[low - 1];
+  return cue && t <= cue.end ? cue : null;
+}
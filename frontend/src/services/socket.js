@@ -2,6 +2,17 @@ import { io } from 'socket.io-client';
 import { useRoomStore } from '../state/useRoomStore.js';
 
 let socket;
+let clockResyncTimer;
+let hasConnected = false;
+let lastSeq = null; // last room event sequence number seen, for resuming after a drop
+
+const CLOCK_PROBE_COUNT = 8;
+const CLOCK_PROBE_SPACING_MS = 100;
+const CLOCK_REPORT_GRACE_MS = 1000;
+const CLOCK_RESYNC_INTERVAL_MS = 60 * 1000;
+
+// Version of the server's event contract this client speaks (backend/src/sockets/protocol.js)
+const PROTOCOL_VERSION = 1;
 
 export function getSocket() {
   if (!socket) {
@@ -10,20 +21,61 @@ export function getSocket() {
     
     socket = io('http://localhost:5000', {
       auth: {
-        userId: userId
+        userId: userId,
+        protocolVersion: PROTOCOL_VERSION
       }
     });
     
     socket.on('connect', () => {
       console.log('Socket connected:', socket.id);
       useRoomStore.getState().setSocketConnected(true);
+      syncClock(socket);
+      clearInterval(clockResyncTimer);
+      clockResyncTimer = setInterval(() => syncClock(socket), CLOCK_RESYNC_INTERVAL_MS);
+
+      // Reconnected: ask for whatever the room did while we were away
+      const { code } = useRoomStore.getState();
+      if (hasConnected && code) {
+        socket.emit('room:resume', { roomCode: code, lastSeq });
+      }
+      hasConnected = true;
     });
     
     socket.on('disconnect', () => {
       console.log('Socket disconnected');
+      clearInterval(clockResyncTimer);
       useRoomStore.getState().setSocketConnected(false);
     });
 
+    // Room events carry a sequence number (clock probes number their own samples)
+    socket.onAny((event, payload) => {
+      if (!event.startsWith('clock:') && typeof payload?.seq === 'number') {
+        lastSeq = Math.max(lastSeq ?? 0, payload.seq);
+      }
+    });
+
+    // Missed events are fed through the normal handlers; a snapshot replaces the room state
+    socket.on('room:resumed', ({ roomCode, mode, events = [], lastSeq: latestSeq, snapshot }) => {
+      const store = useRoomStore.getState();
+      if (store.code !== roomCode) return;
+
+      if (mode === 'replay') {
+        events.forEach(({ seq, type, payload }) => {
+          socket.listeners(type).forEach(handler => handler({ ...payload, seq }));
+        });
+        lastSeq = Math.max(lastSeq ?? 0, latestSeq);
+      } else {
+        lastSeq = latestSeq;
+        if (snapshot) socket.listeners('room:joined').forEach(handler => handler(snapshot));
+        store.markResynced();
+      }
+    });
+
+    // Server's estimate of our clock offset (server - client) and round-trip jitter
+    socket.on('clock:sync', ({ offsetMs, rttMs, jitterMs }) => {
+      useRoomStore.getState().setClockSync({ offsetMs, rttMs, jitterMs });
+    });
+
     // Participant updates
     socket.on('room:participant-update', async (data) => {
       console.log('Participant update:', data);
@@ -42,12 +94,9 @@ export function getSocket() {
             if (roomData.participants) {
               store.setParticipants(roomData.participants);
             }
-            // Update host and controller info from room data
+            // Update host, moderator and controller info from room data
             if (roomData.hostId) {
-              store.setHost(roomData.hostId);
-            }
-            if (roomData.controllers && Array.isArray(roomData.controllers)) {
-              store.setControllers(roomData.controllers);
+              store.setRoles(roomData);
             }
           }
         } catch (error) {
@@ -60,43 +109,109 @@ export function getSocket() {
     socket.on('room:joined', (roomData) => {
       console.log('Successfully joined room:', roomData);
       const store = useRoomStore.getState();
+      if (typeof roomData.seq === 'number') lastSeq = roomData.seq;
       
       // Update room state with received data
       if (roomData.hostId) {
-        store.setHost(roomData.hostId);
-      }
-      if (roomData.controllers && Array.isArray(roomData.controllers)) {
-        store.setControllers(roomData.controllers);
+        store.setRoles(roomData);
       }
       if (roomData.participants) {
         store.setParticipants(roomData.participants);
       }
+      if (Array.isArray(roomData.queue)) {
+        store.setQueue(roomData);
+      }
+      if (typeof roomData.persistent === 'boolean') {
+        store.setPersistence(roomData);
+      }
       if (roomData.currentState?.videoUrl) {
         store.updateState({ videoUrl: roomData.currentState.videoUrl });
       }
+      if (roomData.source) {
+        const { videoId = null, videoHash = null } = roomData.currentState || {};
+        store.updateState({ videoId, videoHash });
+        store.setVideoSource(roomData);
+        checkLocalFile(roomData.verified);
+      }
+      // Land on the extrapolated position instead of the last saved one
+      if (typeof roomData.currentState?.t === 'number') {
+        const { t, paused, rate, serverTime } = roomData.currentState;
+        store.applyClock({ t, paused, rate, serverTime });
+      }
     });
-    
-    // Legacy video sync events
-    socket.on('state:sync', (payload) => useRoomStore.getState().updateState(payload));
-    socket.on('seek', ({ t }) => {
-      useRoomStore.getState().updateState({ t });
+
+
+    // Playback events carry the server's authoritative clock ({ action, t, paused, rate, serverTime })
+    const applyClock = (clock) => {
+      if (clock && typeof clock.t === 'number') {
+        useRoomStore.getState().applyClock(clock);
+      }
+    };
+    socket.on('playback:state', applyClock);
+
+    // Live promotions/demotions
+    socket.on('room:roles-updated', (roles) => {
+      const store = useRoomStore.getState();
+      if (store.code !== roles.roomCode) return;
+      store.setRoles(roles);
+    });
+
+    // Room queue
+    socket.on('queue:updated', (queueState) => {
+      const store = useRoomStore.getState();
+      if (store.code !== queueState.roomCode) return;
+      store.setQueue(queueState);
     });
-    socket.on('play', () => {
-      useRoomStore.getState().updateState({ paused: false });
+
+    // The room moved on to the next item; everyone loads it at the restarted clock
+    socket.on('queue:advanced', ({ roomCode, nowPlaying, videoUrl, currentState }) => {
+      const store = useRoomStore.getState();
+      if (store.code !== roomCode) return;
+      store.setQueue({ nowPlaying });
+      if (videoUrl) store.updateState({ videoUrl });
+      applyClock(currentState);
     });
-    socket.on('pause', ({ t }) => {
-      const updates = { paused: true };
-      if (typeof t === 'number') updates.t = t;
-      useRoomStore.getState().updateState(updates);
+
+    // Result of checking a local file against the room's (ours, or news about someone else's)
+    socket.on('room:file-verified', ({ roomCode, userId, verified, reason, currentState }) => {
+      const store = useRoomStore.getState();
+      if (store.code !== roomCode) return;
+      store.markParticipantVerified(userId, verified);
+      if (userId !== store.user?.id) return;
+      store.setFileVerification({ status: verified ? 'verified' : 'rejected', reason: reason || null });
+      applyClock(currentState);
+    });
+
+    // Structured rejections from the server's permission layer
+    socket.on('error', (error) => {
+      if (error?.code === 'FILE_NOT_VERIFIED') {
+        console.warn(error.message);
+        useRoomStore.getState().setFileVerification({ status: 'rejected', reason: 'not-verified' });
+      } else if (error?.code === 'NO_PERMISSION') {
+        console.warn(`Not allowed to ${error.action} as ${error.role}`);
+      } else if (error?.code === 'QUEUE_ERROR') {
+        console.warn(`Queue ${error.action} failed: ${error.message}`);
+      } else if (error?.code === 'INVALID_PAYLOAD') {
+        console.warn(`Server rejected ${error.event}:`, error.details);
+      }
     });
 
     // Receive canonical video updates for the room
-    socket.on('room:video-updated', ({ roomCode, videoUrl }) => {
-      console.log('Received video update:', { roomCode, videoUrl });
+    socket.on('room:video-updated', (update) => {
+      const { roomCode, videoUrl, videoId = null, videoHash = null, currentState } = update;
+      console.log('Received video update:', { roomCode, videoUrl, source: update.source });
       const store = useRoomStore.getState();
       if (store.code !== roomCode) return;
       
-      store.updateState({ videoUrl });
+      store.updateState({ videoUrl, videoId, videoHash });
+      if (update.source) store.setVideoSource(update);
+      applyClock(currentState);
+      // Local source: everyone opens their own copy, which the server checks first
+      if (update.source === 'local') {
+        checkLocalFile(update.verifiedParticipants?.includes(store.user?.id));
+        return;
+      }
+      store.setFileVerification({ status: 'idle', reason: null });
       
       // Force sync for HTML5 video elements (ReactPlayer handles its own updates)
       const video = document.querySelector('video');
@@ -116,7 +231,8 @@ export function getSocket() {
 export function joinRoom(roomCode, userId) {
   const socket = getSocket();
   console.log(`Joining room ${roomCode} as user ${userId}`);
-  socket.emit('room:join', { roomCode, userId });
+  lastSeq = null;
+  socket.emit('room:join', { roomCode });
 }
 
 // Leave a room via Socket.IO
@@ -126,8 +242,106 @@ export function leaveRoom(roomCode) {
   socket.emit('room:leave', { roomCode });
 }
 
+// Promote or demote a participant (host, or moderators for controllers)
+export function setParticipantRole(userId, role) {
+  const socket = getSocket();
+  socket.emit('room:set-role', { userId, role });
+}
+
 // Set canonical video URL for the current room via Socket.IO
 export function setRoomVideo(roomCode, videoUrl) {
   const socket = getSocket();
   socket.emit('room:set-video', { roomCode, videoUrl });
 }
+
+// Have everyone in the room open their own copy of a file, named by its content hash
+export function setRoomLocalFile(roomCode, { hash, size, name }) {
+  getSocket().emit('room:set-video', { roomCode, localFile: { hash, size, name } });
+}
+
+// Ask the server to check the file we opened against the room's
+export function verifyLocalFile({ hash, size }) {
+  const store = useRoomStore.getState();
+  store.setFileVerification({ status: 'checking', reason: null });
+  getSocket().emit('room:verify-file', { roomCode: store.code, hash, size });
+}
+
+// Bring our verification in line with the room's local file: already
+// verified, re-check the file we have open, or wait for one
+function checkLocalFile(verified) {
+  const store = useRoomStore.getState();
+  if (store.videoSource.source !== 'local') {
+    store.setFileVerification({ status: 'idle', reason: null });
+  } else if (verified) {
+    store.setFileVerification({ status: 'verified', reason: null });
+  } else if (store.localFile) {
+    verifyLocalFile(store.localFile);
+  } else {
+    store.setFileVerification({ status: 'idle', reason: null });
+  }
+}
+
+// Room queue actions; the server broadcasts the resulting queue to everyone
+export function addToQueue(item) {
+  getSocket().emit('queue:add', item);
+}
+
+export function removeFromQueue(itemId) {
+  getSocket().emit('queue:remove', { itemId });
+}
+
+export function moveQueueItem(itemId, toIndex) {
+  getSocket().emit('queue:move', { itemId, toIndex });
+}
+
+export function voteSkip() {
+  getSocket().emit('queue:vote-skip');
+}
+
+export function skipQueueItem() {
+  getSocket().emit('queue:skip');
+}
+
+// Tell the server the current queue item finished playing here
+export function reportQueueEnded(itemId) {
+  getSocket().emit('queue:ended', { itemId });
+}
+
+// Move the room clock: action is play, pause, seek or rate
+export function sendPlayback(action, { t, rate } = {}) {
+  getSocket().emit(`playback:${action}`, { t, rate });
+}
+
+// Seek the whole room (controllers only). The new clock is applied locally at
+// once so the player doesn't wait for the server's broadcast; returns false
+// when this user may not move the room.
+export function seekRoom(t) {
+  const { clock, clockSync, applyClock, canControl } = useRoomStore.getState();
+  if (!canControl()) return false;
+  const rate = clock?.rate || 1;
+  sendPlayback('seek', { t, rate });
+  applyClock({ t, paused: clock?.paused ?? true, rate, serverTime: Date.now() + clockSync.offsetMs });
+  return true;
+}
+
+// Report our playback position so the server can measure drift against the room clock
+export function sendHeartbeat({ playback }) {
+  getSocket().emit('clock:heartbeat', { playback });
+}
+
+// NTP-style clock sync: send a burst of probes, then report when each answer
+// arrived so the server can estimate our clock offset with outlier rejection
+function syncClock(sock) {
+  const samples = [];
+  const onAck = ({ seq }) => samples.push({ seq, clientReceiveTime: Date.now() });
+  sock.on('clock:probe-ack', onAck);
+
+  for (let seq = 0; seq < CLOCK_PROBE_COUNT; seq++) {
+    setTimeout(() => sock.emit('clock:probe', { seq, clientSendTime: Date.now() }), seq * CLOCK_PROBE_SPACING_MS);
+  }
+
+  setTimeout(() => {
+    sock.off('clock:probe-ack', onAck);
+    sock.emit('clock:report', { samples });
+  }, CLOCK_PROBE_COUNT * CLOCK_PROBE_SPACING_MS + CLOCK_REPORT_GRACE_MS);
+}
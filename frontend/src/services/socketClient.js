@@ -12,6 +12,8 @@ class VideoPlayerSocketClient {
     this.socket = null;
     this.isConnected = false;
     this.currentSession = null;
+    this.currentRoom = null;
+    this.lastSeq = null; // last room event sequence number seen, for resuming
     this.userId = null;
     this.deviceId = this.generateDeviceId();
     this.deviceName = this.getDeviceName();
@@ -99,6 +101,11 @@ class VideoPlayerSocketClient {
       this.isConnected = true;
       this.emit('connection:established');
       console.log('Connected to server');
+
+      // Back after a drop: pick the room up where we left off
+      if (this.currentRoom) {
+        this.resumeRoom();
+      }
     });
 
     this.socket.on('disconnect', (reason) => {
@@ -142,6 +149,100 @@ class VideoPlayerSocketClient {
       this.lagCompensation = data.lagCompensationOffset || 0;
       this.emit('sync:lag-detected', data);
     });
+
+    // Room events carry a sequence number; remember the latest for resuming
+    // (clock probes number their samples too, but that is a different sequence)
+    this.socket.onAny((event, payload) => {
+      if (!event.startsWith('clock_')) this.trackSeq(payload);
+    });
+
+    this.socket.on('room:joined', (data) => {
+      if (typeof data?.seq === 'number') this.lastSeq = data.seq;
+    });
+
+    this.socket.on('room:resumed', (data) => this.handleResumed(data));
+  }
+
+  // ============================================
+  // ROOM MEMBERSHIP AND RESUME
+  // ============================================
+
+  /**
+   * Join a room; after a dropped connection it is resumed automatically
+   */
+  joinRoom(roomCode) {
+    if (!this.socket) {
+      throw new Error('Not connected to server');
+    }
+
+    this.currentRoom = roomCode;
+    this.lastSeq = null;
+    this.socket.emit('room:join', { roomCode, userId: this.userId });
+  }
+
+  /**
+   * Leave the current room
+   */
+  leaveRoom() {
+    if (!this.currentRoom) return;
+
+    this.socket.emit('room:leave', { roomCode: this.currentRoom });
+    this.currentRoom = null;
+    this.lastSeq = null;
+  }
+
+  /**
+   * Ask the server for everything since the last event we saw
+   */
+  resumeRoom() {
+    this.socket.emit('room:resume', {
+      roomCode: this.currentRoom,
+      lastSeq: this.lastSeq
+    });
+  }
+
+  /**
+   * Feed missed events through the normal handlers, or resync from a snapshot
+   */
+  handleResumed({ roomCode, mode, events = [], lastSeq, snapshot }) {
+    if (roomCode !== this.currentRoom) return;
+
+    if (mode === 'replay') {
+      events.forEach(({ seq, type, payload }) => this.dispatch(type, { ...payload, seq }));
+      this.trackSeq({ seq: lastSeq });
+    } else {
+      // The server's numbering is authoritative after a resync
+      this.lastSeq = lastSeq;
+      if (snapshot) {
+        this.dispatch('room:joined', snapshot);
+        this.emit('room:snapshot', snapshot);
+      }
+    }
+
+    this.emit('room:resumed', { roomCode, mode, missed: events.length });
+  }
+
+  /**
+   * Deliver an event to everything listening for it, as if the server sent it
+   */
+  dispatch(event, data) {
+    const handlers = new Set([
+      ...(this.socket?.listeners(event) || []),
+      ...(this.listeners.get(event) || [])
+    ]);
+    handlers.forEach(callback => {
+      try {
+        callback(data);
+      } catch (error) {
+        console.error(`Error replaying ${event}:`, error);
+      }
+    });
+  }
+
+  trackSeq(payload) {
+    if (typeof payload?.seq === 'number' && payload.seq > (this.lastSeq ?? 0)) {
+      this.lastSeq = payload.seq;
+    }
   }
 
   /**
@@ -492,6 +593,8 @@ class VideoPlayerSocketClient {
     return {
       connected: this.isConnected,
       currentSession: this.currentSession,
+      currentRoom: this.currentRoom,
+      lastSeq: this.lastSeq,
       deviceId: this.deviceId,
       deviceName: this.deviceName,
       performance: this.performance,
@@ -509,6 +612,10 @@ class VideoPlayerSocketClient {
       this.leaveSession();
     }
 
+    if (this.currentRoom) {
+      this.leaveRoom();
+    }
+
     if (this.socket) {
       this.socket.disconnect();
       this.socket = null;
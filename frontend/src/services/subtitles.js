@@ -0,0 +1,88 @@
+import { api } from './api.js';
+
+// Subtitle tracks for the room overlay. Tracks are chosen by language, so a
+// choice still applies after a track is regenerated or the room moves on to
+// another video with subtitles in the same languages.
+
+const STORAGE_KEY = 'videoPlayerSubtitles';
+export const NO_SUBTITLES = { primary: null, secondary: null };
+
+// Tracks available in a room: [{ id, language, videoId, isAutoGenerated, isMachineTranslated, translatedFrom }]
+export async function fetchSubtitleTracks(code) {
+  try {
+    const response = await api.get(`/subtitles/${code}/languages`);
+    return response.tracks || [];
+  } catch (error) {
+    console.error('Failed to fetch subtitle tracks:', error);
+    return { error: error.message };
+  }
+}
+
+// Cues of one track, sorted by start time
+export async function fetchSubtitleCues(code, trackId, language) {
+  try {
+    const response = await api.get(`/subtitles/${code}/subtitles`, { language });
+    const track = (response.subtitles || []).find((subtitle) => subtitle._id === trackId);
+    return [...(track?.cues || [])].sort((a, b) => a.startTime - b.startTime);
+  } catch (error) {
+    console.error('Failed to fetch subtitle cues:', error);
+    return { error: error.message };
+  }
+}
+
+// The platform video a room is playing, mirroring catchUpService.resolveRoomVideoId on the server
+export function roomVideoId({ videoId, videoHash, videoUrl } = {}) {
+  if (/^[0-9a-f]{24}$/i.test(videoId || '')) return videoId;
+  if (/^[0-9a-f]{24}$/i.test(videoHash || '')) return videoHash;
+  const match = String(videoUrl || '').match(/\/api\/videos\/([0-9a-f]{24})\/(?:stream|hls\/)/i);
+  return match ? match[1] : null;
+}
+
+// Best track for a language: one made for the current video, else an uploaded one
+export function pickTrack(tracks, language, videoId) {
+  if (!language) return null;
+  const candidates = tracks.filter((track) => track.language === language);
+  return candidates.find((track) => videoId && track.videoId === videoId)
+    || candidates.find((track) => !track.videoId)
+    || candidates[0]
+    || null;
+}
+
+// Cues showing at time `t` (seconds); cues are sorted by start time
+export function activeCues(cues, t) {
+  // Last cue starting at or before t; overlapping cues started earlier are checked backwards
+  let low = 0;
+  let high = cues.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (cues[mid].startTime <= t) low = mid + 1;
+    else high = mid;
+  }
+  const showing = [];
+  for (let i = low - 1; i >= 0 && t - cues[i].startTime < 60; i--) {
+    if (cues[i].endTime > t) showing.unshift(cues[i]);
+  }
+  return showing;
+}
+
+// Saved choices are kept per user and room: { [userId]: { [roomCode]: { primary, secondary } } }
+export function loadSubtitleChoice(userId, code) {
+  if (!userId || !code) return NO_SUBTITLES;
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    return { ...NO_SUBTITLES, ...saved[userId]?.[code] };
+  } catch {
+    return NO_SUBTITLES;
+  }
+}
+
+export function saveSubtitleChoice(userId, code, choice) {
+  if (!userId || !code) return;
+  try {
+    const saved = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+    saved[userId] = { ...saved[userId], [code]: choice };
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.error('Failed to save subtitle choice:', error);
+  }
+}
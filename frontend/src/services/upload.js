@@ -1,37 +1,152 @@
-import { api } from './api.js';
+const API_BASE = import.meta.env.VITE_API_BASE || 'http://localhost:5000/api';
 
-// Upload a video file and return a shareable URL served from backend
-export async function uploadAndGetUrl(file, userId) {
-  const form = new FormData();
-  form.append('video', file);
-  if (userId) form.append('userId', userId);
+// Unfinished uploads by file, so a reload or a dropped connection resumes instead of starting over
+const STORAGE_KEY = 'videoPlayerResumableUploads';
+const RETRY_DELAYS = [1000, 2000, 4000, 8000, 16000];
+
+class UploadError extends Error {
+  constructor(message, status, body = {}) {
+    super(message);
+    this.status = status;
+    this.code = body.code;
+    this.details = body.details;
+  }
+}
+
+const fileKey = (file, userId) => `${userId}:${file.name}:${file.size}:${file.lastModified}`;
+
+function savedUploads() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}');
+  } catch {
+    return {};
+  }
+}
+
+function rememberUpload(key, uploadId) {
+  try {
+    const saved = savedUploads();
+    if (uploadId) saved[key] = uploadId;
+    else delete saved[key];
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(saved));
+  } catch (error) {
+    console.error('Failed to save upload state:', error);
+  }
+}
+
+async function request(path, options = {}) {
+  const res = await fetch(`${API_BASE}${path}`, options);
+  const body = res.status === 204 ? {} : await res.json().catch(() => ({}));
+  if (!res.ok) throw new UploadError(body.error || `Upload failed: ${res.status}`, res.status, body);
+  return body.data;
+}
+
+async function checksum(blob) {
+  const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer());
+  return btoa(String.fromCharCode(...new Uint8Array(digest)));
+}
 
-  // Prefer a dedicated unauthenticated upload endpoint for rooms; fallback to existing videos if available
-  const endpoint = '/videos/upload';
+const wait = (ms, signal) => new Promise((resolve, reject) => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => {
+    clearTimeout(timer);
+    reject(new DOMException('Upload cancelled', 'AbortError'));
+  }, { once: true });
+});
 
-  const base = import.meta.env.VITE_API_BASE || 'http://localhost:5000/api';
-  const res = await fetch(`${base}${endpoint}`, {
+// Network failures, server errors and corrupted chunks are worth another try
+const isRetryable = (error) => !(error instanceof UploadError) || error.status >= 500 || error.status === 460 || error.status === 409;
+
+async function startUpload(file, { userId, title, isPublic, temporary, contentHash }) {
+  return request('/uploads', {
     method: 'POST',
-    body: form,
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      filename: file.name,
+      size: file.size,
+      mimeType: file.type,
+      title,
+      isPublic,
+      temporary,
+      contentHash,
+      userId
+    })
   });
-  if (!res.ok) throw new Error(`Upload failed: ${res.status}`);
-  const data = await res.json();
+}
+
+/**
+ * Upload a file in checksummed chunks through /api/uploads, resuming an
+ * earlier attempt at the same file when the server still has it.
+ * Resolves with the finished upload ({ uploadId, videoId, video, ... }).
+ * A temporary upload expires on the server once no room plays it any more;
+ * a contentHash (services/contentHash.js) has the server check the file it got.
+ */
+export async function resumableUpload(file, { userId, title, isPublic = true, temporary = false, contentHash, onProgress, signal } = {}) {
+  const uploader = userId || `user_${Math.random().toString(36).slice(2, 11)}`;
+  const key = fileKey(file, uploader);
 
-  // If controller returns an id, expose stream URL, else attempt direct path
-  if (data && data.id) {
-    return `${base.replace('/api','')}/api/videos/${data.id}/stream`;
+  let upload = null;
+  const savedId = savedUploads()[key];
+  if (savedId) {
+    try {
+      upload = await request(`/uploads/${savedId}`, { signal });
+      if (upload.status === 'failed') upload = null;
+    } catch (error) {
+      if (error.name === 'AbortError') throw error;
+      upload = null; // expired or removed on the server: start over
+    }
   }
-  if (data && data.url) return data.url;
+  if (!upload) {
+    upload = await startUpload(file, { userId: uploader, title, isPublic, temporary, contentHash });
+    rememberUpload(key, upload.uploadId);
+  }
+
+  let attempt = 0;
+  while (upload.status === 'uploading' && upload.offset < upload.size) {
+    onProgress?.({ loaded: upload.offset, total: upload.size, progress: upload.offset / upload.size });
 
-  // Fallback: if backend saved to /uploads, and returned filename
-  if (data && data.filename) {
-    return `${base.replace('/api','')}/uploads/${encodeURIComponent(data.filename)}`;
+    const chunk = file.slice(upload.offset, Math.min(upload.offset + upload.chunkSize, upload.size));
+    try {
+      upload = await request(`/uploads/${upload.uploadId}`, {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/offset+octet-stream',
+          'Upload-Offset': String(upload.offset),
+          'Upload-Checksum': `sha256 ${await checksum(chunk)}`
+        },
+        body: chunk,
+        signal
+      });
+      attempt = 0;
+    } catch (error) {
+      if (error.name === 'AbortError' || !isRetryable(error) || attempt >= RETRY_DELAYS.length) {
+        if (error instanceof UploadError && [404, 410].includes(error.status)) rememberUpload(key, null);
+        throw error;
+      }
+      await wait(RETRY_DELAYS[attempt++], signal);
+      // Ask where to carry on: part of the chunk may have made it, or another tab moved on
+      upload = await request(`/uploads/${upload.uploadId}`, { signal }).catch(() => upload);
+    }
   }
 
-  // Last resort: if the backend echoes back path
-  if (data && data.path) {
-    return `${base.replace('/api','')}${data.path.startsWith('/') ? '' : '/'}${data.path}`;
+  if (upload.status !== 'completed') {
+    throw new UploadError(upload.error || `Upload ${upload.status}`, 500);
   }
+  rememberUpload(key, null);
+  onProgress?.({ loaded: upload.size, total: upload.size, progress: 1 });
+  return upload;
+}
 
-  throw new Error('No URL returned from upload');
+/**
+ * Cancel an upload started by resumableUpload()
+ */
+export async function abortUpload(uploadId) {
+  await request(`/uploads/${uploadId}`, { method: 'DELETE' });
+}
+
+// Upload a video file and return a shareable URL served from backend
+export async function uploadAndGetUrl(file, userId, options = {}) {
+  const upload = await resumableUpload(file, { userId, ...options });
+  if (!upload.videoId) throw new Error('No video returned from upload');
+  return `${API_BASE.replace('/api', '')}/api/videos/${upload.videoId}/stream`;
 }
@@ -1,13 +1,29 @@
 import { create } from 'zustand';
+import { clockToState } from '../services/playbackClock.js';
+import { NO_SUBTITLES, loadSubtitleChoice, saveSubtitleChoice } from '../services/subtitles.js';
 
 export const useRoomStore = create((set) => ({
   code: null,
-  state: { t: 0, paused: true, rate: 1, videoHash: null, videoUrl: '' },
+  state: { t: 0, paused: true, rate: 1, videoHash: null, videoId: null, videoUrl: '' },
+  clock: null, // last authoritative clock snapshot from the server
+  clockSync: { offsetMs: 0, rttMs: null, jitterMs: null }, // server clock minus ours
   socketConnected: false,
   user: null,
   participants: [],
   hostId: null,
   controllers: [],
+  moderators: [],
+  allowControl: 'host', // room policy: host | moderators | all
+  queue: [], // upcoming items
+  nowPlaying: null, // queue item currently loaded, if any
+  skipVotes: { votes: 0, needed: 1 },
+  persistence: null, // { persistent, status, retention: { policy, inactiveDays }, purgeAt }
+  resyncedAt: 0, // bumped when a reconnect was too late to replay; panels refetch history
+  subtitleTracks: [], // tracks available in the room, see services/subtitles.js
+  subtitleChoice: NO_SUBTITLES, // this user's { primary, secondary } languages, saved per room
+  videoSource: { source: 'stream', videoHash: null, videoSize: null, videoName: null, verifiedParticipants: [] },
+  localFile: null, // { hash, size, name } of the file this user opened, see services/contentHash.js
+  fileVerification: { status: 'idle', reason: null }, // idle | checking | verified | rejected
   
   // User management
   setUser: (user) => set({ user }),
@@ -20,11 +36,70 @@ export const useRoomStore = create((set) => ({
     console.log('🎮 Setting controllers:', controllers);
     set({ controllers });
   },
+  // Apply a role summary from the server ({ hostId, moderators, controllers, allowControl })
+  setRoles: ({ hostId, moderators, controllers, allowControl }) => set((s) => ({
+    hostId: hostId ?? s.hostId,
+    moderators: Array.isArray(moderators) ? moderators : s.moderators,
+    controllers: Array.isArray(controllers) ? controllers : s.controllers,
+    allowControl: allowControl || s.allowControl
+  })),
+  
+  // Apply a queue summary from the server ({ queue, nowPlaying, skipVotes, skipVotesNeeded })
+  setQueue: ({ queue, nowPlaying, skipVotes, skipVotesNeeded }) => set((s) => ({
+    queue: Array.isArray(queue) ? queue : s.queue,
+    nowPlaying: nowPlaying === undefined ? s.nowPlaying : nowPlaying,
+    skipVotes: {
+      votes: skipVotes ?? s.skipVotes.votes,
+      needed: skipVotesNeeded ?? s.skipVotes.needed
+    }
+  })),
+  
+  // Apply a persistence summary from the server
+  setPersistence: ({ persistent, status, retention, purgeAt }) => set({
+    persistence: { persistent: Boolean(persistent), status, retention, purgeAt }
+  }),
+  
+  // Apply a source summary from the server ({ source, videoHash, videoSize, videoName, verifiedParticipants })
+  setVideoSource: ({ source, videoHash, videoSize, videoName, verifiedParticipants }) => set((s) => ({
+    videoSource: {
+      source: source || 'stream',
+      videoHash: videoHash ?? null,
+      videoSize: videoSize ?? null,
+      videoName: videoName ?? null,
+      verifiedParticipants: Array.isArray(verifiedParticipants) ? verifiedParticipants : s.videoSource.verifiedParticipants
+    }
+  })),
+  setLocalFile: (localFile) => set({ localFile }),
+  setFileVerification: (fileVerification) => set({ fileVerification }),
+  // Someone's file was checked; keeps the list of participants ready to watch current
+  markParticipantVerified: (userId, verified) => set((s) => {
+    const others = s.videoSource.verifiedParticipants.filter((id) => id !== userId);
+    return { videoSource: { ...s.videoSource, verifiedParticipants: verified ? [...others, userId] : others } };
+  }),
   
   // Room management
   setCode: (code) => set({ code }),
   updateState: (partial) => set((s) => ({ state: { ...s.state, ...partial } })),
+  applyClock: (clock) => set((s) => ({
+    clock,
+    state: { ...s.state, ...clockToState(clock, Date.now() + s.clockSync.offsetMs) }
+  })),
+  setClockSync: (clockSync) => set({ clockSync }),
   setSocketConnected: (v) => set({ socketConnected: v }),
+  markResynced: () => set({ resyncedAt: Date.now() }),
+  
+  // Subtitles
+  setSubtitleTracks: (subtitleTracks) => set({ subtitleTracks }),
+  loadSubtitleChoice: () => set((s) => ({ subtitleChoice: loadSubtitleChoice(s.user?.id, s.code) })),
+  setSubtitleChoice: (partial) => set((s) => {
+    const subtitleChoice = { ...s.subtitleChoice, ...partial };
+    // A second track only makes sense alongside a first, and not the same one again
+    if (!subtitleChoice.primary || subtitleChoice.secondary === subtitleChoice.primary) {
+      subtitleChoice.secondary = null;
+    }
+    saveSubtitleChoice(s.user?.id, s.code, subtitleChoice);
+    return { subtitleChoice };
+  }),
   
   // Initialize user with random ID and name if not exists
   initializeUser: () => set((state) => {
@@ -48,9 +123,37 @@ export const useRoomStore = create((set) => ({
     participants: [], 
     hostId: null,
     controllers: [],
-    state: { t: 0, paused: true, rate: 1, videoHash: null, videoUrl: '' } 
+    moderators: [],
+    allowControl: 'host',
+    queue: [],
+    nowPlaying: null,
+    skipVotes: { votes: 0, needed: 1 },
+    persistence: null,
+    subtitleTracks: [],
+    subtitleChoice: NO_SUBTITLES,
+    videoSource: { source: 'stream', videoHash: null, videoSize: null, videoName: null, verifiedParticipants: [] },
+    fileVerification: { status: 'idle', reason: null },
+    clock: null,
+    state: { t: 0, paused: true, rate: 1, videoHash: null, videoId: null, videoUrl: '' } 
   }),
   
+  // Role of a user in the current room, mirroring the server's permission layer
+  roleOf: (userId) => {
+    const state = useRoomStore.getState();
+    if (!userId) return 'viewer';
+    if (state.hostId === userId) return 'host';
+    if (state.moderators.includes(userId)) return 'moderator';
+    if (state.controllers.includes(userId)) return 'controller';
+    return 'viewer';
+  },
+
+  // Whether this user follows the room clock: always for a shared stream, and
+  // in a local-file room once the server has matched their file
+  canSync: () => {
+    const state = useRoomStore.getState();
+    return state.videoSource.source !== 'local' || state.fileVerification.status === 'verified';
+  },
+
   // Computed helper to check if current user can control the room
   canControl: () => {
     const state = useRoomStore.getState();
@@ -66,6 +169,10 @@ export const useRoomStore = create((set) => ({
       return true;
     }
     
+    // Moderators control unless the room is host-only; 'all' lets everyone control
+    if (state.allowControl === 'all') return true;
+    if (state.moderators.includes(userId) && state.allowControl !== 'host') return true;
+
     // Check if user is in controllers array
     const isController = state.controllers.includes(userId);
     console.log('🎮 canControl check:', { 